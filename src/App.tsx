@@ -5,8 +5,12 @@ import { AuthProvider, useAuth } from './context/AuthContext';
 
 // Pages
 import Login from './pages/Login';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import AcceptInvite from './pages/AcceptInvite';
 import Dashboard from './pages/Dashboard';
 import BotManagement from './pages/BotManagement';
+import Inbox from './pages/Inbox';
 import UserManagement from './pages/UserManagement';
 import MonitoringReporting from './pages/MonitoringReporting';
 import Settings from './pages/Settings';
@@ -34,6 +38,9 @@ function App() {
         <Toaster position="top-right" />
         <Routes>
           <Route path="/login" element={<Login />} />
+          <Route path="/forgot-password" element={<ForgotPassword />} />
+          <Route path="/reset-password" element={<ResetPassword />} />
+          <Route path="/accept-invite" element={<AcceptInvite />} />
           <Route path="/" element={
             <ProtectedRoute>
               <Dashboard />
@@ -44,6 +51,11 @@ function App() {
               <BotManagement />
             </ProtectedRoute>
           } />
+          <Route path="/inbox" element={
+            <ProtectedRoute>
+              <Inbox />
+            </ProtectedRoute>
+          } />
           <Route path="/users" element={
             <ProtectedRoute>
               <UserManagement />
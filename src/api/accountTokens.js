@@ -0,0 +1,241 @@
+/**
+ * Account Tokens
+ *
+ * This module issues the links emailed to users to reset a forgotten password
+ * or to accept an invitation and set their first password. Each link carries a
+ * token signed with the signing key of its purpose, see signingKeys.js, whose
+ * ID is stored so it works only once and until it expires. Issuing a new link
+ * invalidates the earlier links of the same type.
+ */
+
+import crypto from 'crypto';
+import bcrypt from 'bcrypt';
+import logger from '../utils/logging.js';
+import * as dbUtils from '../utils/dbUtils.js';
+import { sendMail } from '../utils/mailer.js';
+import { signToken, verifyToken } from './signingKeys.js';
+
+// How long links work, in minutes
+const TOKEN_LIFETIMES = {
+  passwordReset: parseInt(process.env.PASSWORD_RESET_LINK_LIFETIME) || 60,
+  invite: parseInt(process.env.INVITATION_LINK_LIFETIME) || 72 * 60
+};
+
+// Dashboard pages the links open
+const LINK_PATHS = {
+  passwordReset: '/reset-password',
+  invite: '/accept-invite'
+};
+
+/**
+ * Get the address of the dashboard, which emailed links point to
+ * @returns {string} Dashboard URL without trailing slash
+ */
+function getAppUrl() {
+  const url = process.env.APP_URL ||
+    (process.env.NODE_ENV === 'production' ? process.env.CORS_ORIGIN : 'http://localhost:5173');
+
+  return String(url || '').replace(/\/$/, '');
+}
+
+/**
+ * Issue a link token, invalidating the user's earlier links of the same type
+ * @param {Object} user - User the link is for
+ * @param {string} type - 'passwordReset' or 'invite'
+ * @param {Object} issuer - User who asked for the link, if not the user themselves (optional)
+ * @returns {Promise<string>} Signed token
+ */
+async function issueAccountToken(user, type, issuer = null) {
+  const id = crypto.randomUUID();
+  const lifetime = TOKEN_LIFETIMES[type] * 60;
+
+  await dbUtils.useAccountTokens({ userId: user.id, type });
+
+  const created = await dbUtils.createAccountToken({
+    id,
+    userId: user.id,
+    type,
+    createdBy: issuer?.id || null,
+    expiresAt: new Date(Date.now() + lifetime * 1000)
+  });
+
+  if (!created) {
+    throw new Error(`Failed to store the ${type} token`);
+  }
+
+  return signToken({ sub: user.id }, type, { jwtid: id, expiresIn: lifetime });
+}
+
+/**
+ * Find the user a link token was issued to, without using it up
+ * @param {string} token - Token from the link
+ * @param {string} type - 'passwordReset' or 'invite'
+ * @returns {Promise<Object|null>} User and token ID, or null if the token is invalid, used or expired
+ */
+async function checkAccountToken(token, type) {
+  let decoded;
+
+  try {
+    decoded = verifyToken(token, type);
+  } catch (error) {
+    return null;
+  }
+
+  const record = decoded.jti ? await dbUtils.getAccountToken(decoded.jti) : null;
+
+  if (!record || record.type !== type || record.userId !== decoded.sub || record.usedAt ||
+      new Date(record.expiresAt) <= new Date()) {
+    return null;
+  }
+
+  const user = await dbUtils.getUserById(record.userId);
+  return user ? { user, tokenId: record.id } : null;
+}
+
+// Check a link token and use it up; only one of concurrent requests gets it
+async function redeemAccountToken(token, type) {
+  const checked = await checkAccountToken(token, type);
+
+  if (!checked || await dbUtils.useAccountTokens({ id: checked.tokenId }) !== 1) {
+    return null;
+  }
+
+  return checked.user;
+}
+
+// Build an email with a link, as plain text and HTML
+function buildLinkEmail({ greeting, intro, action, url, outro }) {
+  const escape = value => String(value).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+
+  return {
+    text: `${greeting}\n\n${intro}\n\n${action}: ${url}\n\n${outro}\n`,
+    html: `<p>${escape(greeting)}</p><p>${escape(intro)}</p><p><a href="${escape(url)}">${escape(action)}</a></p><p>${escape(outro)}</p>`
+  };
+}
+
+// Describe a link lifetime in words
+function formatLifetime(minutes) {
+  return minutes % (24 * 60) === 0 ? `${minutes / (24 * 60)} day(s)`
+    : minutes % 60 === 0 ? `${minutes / 60} hour(s)`
+    : `${minutes} minute(s)`;
+}
+
+/**
+ * Email a user a link to reset their password
+ * @param {Object} user - User who forgot their password
+ * @param {Object} issuer - Administrator sending the link, if not the user themselves (optional)
+ * @returns {Promise<void>}
+ * @throws {Error} If the link cannot be stored or the email cannot be sent
+ */
+async function sendPasswordReset(user, issuer = null) {
+  const token = await issueAccountToken(user, 'passwordReset', issuer);
+  const url = `${getAppUrl()}${LINK_PATHS.passwordReset}?token=${encodeURIComponent(token)}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    ...buildLinkEmail({
+      greeting: `Hello ${user.username},`,
+      intro: issuer
+        ? 'An administrator asked for a password reset for your Bot Management Dashboard account.'
+        : 'Someone, hopefully you, asked to reset the password of your Bot Management Dashboard account.',
+      action: 'Choose a new password',
+      url,
+      outro: `The link works once, for ${formatLifetime(TOKEN_LIFETIMES.passwordReset)}. If you did not ask for it, ignore this email: your password stays the same.`
+    })
+  });
+
+  logger.info(`Password reset link sent to user ${user.id}`);
+}
+
+/**
+ * Email an invited user a link to set their password and activate their account
+ * @param {Object} user - Invited user
+ * @param {Object} issuer - Administrator who invited them
+ * @returns {Promise<void>}
+ * @throws {Error} If the link cannot be stored or the email cannot be sent
+ */
+async function sendInvitation(user, issuer) {
+  const token = await issueAccountToken(user, 'invite', issuer);
+  const url = `${getAppUrl()}${LINK_PATHS.invite}?token=${encodeURIComponent(token)}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'You are invited to the Bot Management Dashboard',
+    ...buildLinkEmail({
+      greeting: `Hello ${user.username},`,
+      intro: `${issuer.username} invited you to the Bot Management Dashboard as ${user.role}.`,
+      action: 'Accept the invitation',
+      url,
+      outro: `Open the link within ${formatLifetime(TOKEN_LIFETIMES.invite)} to choose your password and set up two-factor authentication.`
+    })
+  });
+
+  logger.info(`Invitation sent to user ${user.id}`);
+}
+
+/**
+ * Set a new password with a password reset link. Every session of the user is
+ * signed out, in case the old password was compromised.
+ * @param {string} token - Token from the link
+ * @param {string} password - New password
+ * @returns {Promise<Object>} Result with success and the user, or the error
+ */
+async function resetPassword(token, password) {
+  try {
+    const user = await redeemAccountToken(token, 'passwordReset');
+
+    if (!user || user.status !== 'active') {
+      return { success: false, error: 'This link is invalid or has expired' };
+    }
+
+    if (!await dbUtils.changeUserPassword(user.id, await bcrypt.hash(password, 10))) {
+      return { success: false, error: 'Failed to update password' };
+    }
+
+    await dbUtils.revokeUserSessions(user.id, 'password reset');
+    await dbUtils.clearLoginAttempts(user.email.toLowerCase());
+
+    logger.info(`Password of user ${user.id} reset`);
+    return { success: true, user };
+  } catch (error) {
+    logger.error('Error resetting password:', error);
+    return { success: false, error: 'Failed to reset password' };
+  }
+}
+
+/**
+ * Activate an invited user with the password they chose
+ * @param {string} token - Token from the invitation link
+ * @param {string} password - Password chosen by the user
+ * @returns {Promise<Object>} Result with success and the user, or the error
+ */
+async function acceptInvitation(token, password) {
+  try {
+    const user = await redeemAccountToken(token, 'invite');
+
+    if (!user || user.status !== 'invited') {
+      return { success: false, error: 'This invitation is invalid or has expired' };
+    }
+
+    if (!await dbUtils.changeUserPassword(user.id, await bcrypt.hash(password, 10)) ||
+        !await dbUtils.updateUserStatus(user.id, 'active')) {
+      return { success: false, error: 'Failed to activate the account' };
+    }
+
+    logger.info(`User ${user.id} accepted their invitation`);
+    return { success: true, user: { ...user, status: 'active' } };
+  } catch (error) {
+    logger.error('Error accepting invitation:', error);
+    return { success: false, error: 'Failed to accept the invitation' };
+  }
+}
+
+export {
+  getAppUrl,
+  checkAccountToken,
+  sendPasswordReset,
+  sendInvitation,
+  resetPassword,
+  acceptInvitation
+};
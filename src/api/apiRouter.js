@@ -2,86 +2,158 @@
  * API Router for the Bot Management Dashboard
  * 
  * This module provides API endpoints for all dashboard functionality.
- * All routes are JWT-protected and utilize RBAC.
+ * All routes are JWT-protected and check the permissions of the user's role,
+ * see permissions.js. Mutating routes are recorded in the audit log, see auditTrail.js.
  */
 
+import crypto from 'crypto';
 import express from 'express';
-import jwt from 'jsonwebtoken';
 import bcrypt from 'bcrypt';
-import { rateLimit } from 'express-rate-limit';
-import { body, validationResult } from 'express-validator';
+import { body, query, validationResult } from 'express-validator';
 import * as dbUtils from '../utils/dbUtils.js';
-import logger from '../utils/logging.js';
-import { spawn } from 'child_process';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import { dirname } from 'path';
+import logger, { setLogContext } from '../utils/logging.js';
 import { 
   authenticateUser, 
   verifyTwoFactor, 
+  authenticatePasskey,
+  authenticateSsoUser,
   refreshToken as refreshAuthToken,
+  endSession,
+  recordSessionActivity,
   setupTwoFactor,
   enableTwoFactor,
   disableTwoFactor,
+  regenerateRecoveryCodes,
+  enrollRecoveryCodes,
+  pruneRecoveryCodes,
   changePassword
 } from './authService.js';
+import { DEFAULT_GRACE_PERIOD, rotateSigningKeys, listSigningKeys, verifyToken } from './signingKeys.js';
+import { CSRF_COOKIE, loadSecuritySettings, getSecuritySettings, setCsrfCookie, verifyCsrfToken } from './securityPolicy.js';
+import {
+  PERMISSIONS,
+  normalizeGrants,
+  loadRoles,
+  getRoles,
+  findRole,
+  isBuiltInRole,
+  can,
+  canAny,
+  getScope,
+  getUserPermissions,
+  coversRole,
+  sendForbidden,
+  requirePermission,
+  requireBotPermission
+} from './permissions.js';
+import { AUDIT_OUTCOMES, auditAction, setAuditDetails, verifyAuditChain } from './auditTrail.js';
+import { getSsoConfig, isSsoConfigured, createAuthorizationRequest, completeAuthorization, resolveSsoUser } from './sso.js';
+import { isApiToken, parseIpRange, createApiToken, isExpired, authenticateApiToken, rejectApiTokens } from './apiTokens.js';
+import { createRegistrationOptions, registerCredential, createAuthenticationOptions } from './webauthn.js';
+import { checkAccountToken, sendPasswordReset, sendInvitation, resetPassword, acceptInvitation } from './accountTokens.js';
+import { createBackup, restoreBackup } from '../utils/backup.js';
+import { EXPORT_FORMATS, writeExport, getExportFilename } from '../utils/csvExport.js';
+import { startBot, stopBot, getBotHealth, sendBotMessage } from '../utils/botSupervisor.js';
+import { isValidTimeZone, applySlaPolicy, recordFirstResponse, getSlaCompliance } from './ticketSla.js';
+import { LOG_LEVELS, LOG_SOURCES, matchesLogFilters, getRecentBotLogs, subscribeToBotLogs, clearBotLogs } from '../utils/botLogs.js';
+import { APP_LOG_SOURCES, flushLogs } from '../utils/logStore.js';
+import { isSecretField, isRedactedSecret, redactBotConfig, getBotSecrets } from '../utils/botSecrets.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
+// Rate limiting is applied by the server, see limitRequestRate in securityPolicy.js
 const router = express.Router();
 
-// Apply rate limiting
-const apiLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // Limit each IP to 100 requests per window
-  standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
-  legacyHeaders: false, // Disable the `X-RateLimit-*` headers
-  message: { error: 'Too many requests, please try again later.' }
-});
+// Authenticate a request made with a personal API token
+const authenticateWithApiToken = async (req, res, next, token) => {
+  let user;
+  
+  try {
+    user = await authenticateApiToken(token, req.ip);
+  } catch (error) {
+    logger.error('Error authenticating API token:', error);
+    return res.status(500).json({ error: 'Failed to authenticate' });
+  }
+  
+  if (!user) {
+    return res.status(403).json({ error: 'Invalid or expired token' });
+  }
+  
+  req.user = user;
+  setLogContext({ userId: user.id });
+  next();
+};
 
-router.use(apiLimiter);
+// Requests the dashboard sends on its own, e.g. polling, so they do not keep an idle session alive
+const isBackgroundRequest = (req) => req.get('X-Background-Request') === 'true';
 
-// Middleware to verify JWT token
-const authenticateJWT = (req, res, next) => {
+// Middleware to verify JWT token, or the API token of an automation client
+const authenticateJWT = async (req, res, next) => {
   const authHeader = req.headers.authorization;
 
   if (authHeader) {
     const token = authHeader.split(' ')[1];
+    let user;
     
-    jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key', (err, user) => {
-      if (err) {
-        return res.status(403).json({ error: 'Invalid or expired token' });
-      }
-      
-      req.user = user;
-      next();
-    });
+    if (isApiToken(token)) {
+      return authenticateWithApiToken(req, res, next, token);
+    }
+    
+    try {
+      user = verifyToken(token, 'access');
+    } catch (err) {
+      return res.status(403).json({ error: 'Invalid or expired token' });
+    }
+    
+    // The role and status are read on every request, so a role change or
+    // suspension applies right away rather than when the token expires
+    let account;
+    
+    try {
+      account = await dbUtils.getUserById(user.id);
+    } catch (error) {
+      logger.error('Error loading authenticated user:', error);
+      return res.status(500).json({ error: 'Failed to authenticate' });
+    }
+    
+    if (!account || account.status !== 'active') {
+      return res.status(403).json({ error: 'Invalid or expired token' });
+    }
+    
+    req.user = { ...user, role: account.role };
+    setLogContext({ userId: user.id });
+    
+    if (!isBackgroundRequest(req)) {
+      recordSessionActivity(user.sid);
+    }
+    
+    next();
   } else {
     res.status(401).json({ error: 'Authentication token is required' });
   }
 };
 
-// Middleware to check admin role
-const checkAdminRole = (req, res, next) => {
-  if (req.user && req.user.role === 'Administrator') {
-    next();
-  } else {
-    res.status(403).json({ error: 'Access denied: requires administrator privileges' });
-  }
+// Authentication endpoints
+
+// Requests authenticated by this cookie must also carry the CSRF token issued with it
+const setRefreshTokenCookie = (res, refreshToken) => {
+  res.cookie('refreshToken', refreshToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
+  });
+  setCsrfCookie(res);
 };
 
-// Middleware to check manager or admin role
-const checkManagerRole = (req, res, next) => {
-  if (req.user && (req.user.role === 'Administrator' || req.user.role === 'Manager')) {
-    next();
-  } else {
-    res.status(403).json({ error: 'Access denied: requires manager privileges' });
-  }
+// Reply to a sign-in refused because the account is locked
+const sendLockout = (res, result) => {
+  res.set('Retry-After', String(result.retryAfter));
+  res.status(429).json({ error: result.error });
 };
 
-// Authentication endpoints
+// Details of the device signing in, shown in its session
+const getClientInfo = (req) => ({ userAgent: req.get('User-Agent'), ipAddress: req.ip });
 router.post('/auth/login', 
+  auditAction('user.login'),
   body('email').isEmail().normalizeEmail(),
   body('password').isString().trim().notEmpty(),
   async (req, res) => {
@@ -97,25 +169,32 @@ router.post('/auth/login',
       const db = await dbUtils.getConnection();
       
       // Authenticate user
-      const result = await authenticateUser(email, password, db);
+      const result = await authenticateUser(email, password, db, getClientInfo(req));
+      
+      setAuditDetails(req, {
+        actor: result.user || (result.userId && { id: result.userId, username: result.username }),
+        targetId: result.user?.id || result.userId,
+        details: { email, twoFactorRequired: Boolean(result.requiresTwoFactor) }
+      });
       
       if (!result.success) {
         if (result.requiresTwoFactor) {
           return res.json({ 
             requiresTwoFactor: true, 
-            userId: result.userId,
-            username: result.username
+            pendingToken: result.pendingToken,
+            username: result.username,
+            methods: result.methods,
+            passkey: result.passkey
           });
         }
+        if (result.locked) {
+          return sendLockout(res, result);
+        }
         return res.status(401).json({ error: result.error });
       }
       
       // Set refresh token in HTTP-only cookie
-      res.cookie('refreshToken', result.refreshToken, {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === 'production',
-        maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-      });
+      setRefreshTokenCookie(res, result.refreshToken);
       
       // Send access token and user info
       res.json({
@@ -128,9 +207,22 @@ router.post('/auth/login',
     }
 });
 
+// Second factor of a password sign-in: a 6-digit code from an authenticator
+// app, a recovery code, or the passkey assertion answering the login challenge,
+// with the pending token the password sign-in returned
 router.post('/auth/verify-2fa', 
-  body('userId').isString().trim(),
-  body('code').isString().trim().isLength({ min: 6, max: 6 }),
+  auditAction('user.2fa.verify'),
+  body('pendingToken').isString().notEmpty(),
+  body('code').optional().isString().trim().isLength({ min: 6, max: 32 }),
+  body('passkey').optional().isObject(),
+  body('passkey.challengeId').if(body('passkey').exists()).isString(),
+  body('passkey.credential').if(body('passkey').exists()).isObject(),
+  body().custom(({ code, passkey }) => {
+    if (!code === !passkey) {
+      throw new Error('Provide either a code or a passkey');
+    }
+    return true;
+  }),
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -138,29 +230,38 @@ router.post('/auth/verify-2fa',
     }
 
     try {
-      const { userId, code } = req.body;
+      const { pendingToken, code, passkey } = req.body;
       
       // Get database connection
       const db = await dbUtils.getConnection();
       
-      // Verify 2FA code
-      const result = await verifyTwoFactor(userId, code, db);
+      // Verify the second factor
+      const result = await verifyTwoFactor(pendingToken, { code, passkey }, db, getClientInfo(req));
+      
+      setAuditDetails(req, {
+        actor: result.user,
+        targetId: result.userId,
+        details: {
+          method: passkey ? 'passkey' : (/^\d{6}$/.test(code) ? 'totp' : 'recoveryCode'),
+          recoveryCodesRemaining: result.recoveryCodesRemaining
+        }
+      });
       
       if (!result.success) {
-        return res.status(401).json({ error: result.error });
+        if (result.locked) {
+          return sendLockout(res, result);
+        }
+        return res.status(401).json({ error: result.error, ssoRequired: result.ssoRequired });
       }
       
       // Set refresh token in HTTP-only cookie
-      res.cookie('refreshToken', result.refreshToken, {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === 'production',
-        maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-      });
+      setRefreshTokenCookie(res, result.refreshToken);
       
       // Send access token and user info
       res.json({
         accessToken: result.accessToken,
-        user: result.user
+        user: result.user,
+        recoveryCodesRemaining: result.recoveryCodesRemaining
       });
     } catch (error) {
       logger.error('2FA verification error:', error);
@@ -168,7 +269,280 @@ router.post('/auth/verify-2fa',
     }
 });
 
-router.post('/auth/refresh-token', async (req, res) => {
+// Passwordless sign-in with a passkey, see webauthn.js. Not audited: options
+// only issue a challenge, the sign-in answering it is audited.
+router.post('/auth/passkeys/login/options', async (req, res) => {
+  try {
+    res.json(await createAuthenticationOptions(null));
+  } catch (error) {
+    logger.error('Error creating passkey sign-in options:', error);
+    res.status(500).json({ error: 'Failed to start passkey sign-in' });
+  }
+});
+
+router.post('/auth/passkeys/login',
+  auditAction('user.passkey.login'),
+  body('challengeId').isString(),
+  body('credential').isObject(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const db = await dbUtils.getConnection();
+      const result = await authenticatePasskey(req.body, db, getClientInfo(req));
+      
+      setAuditDetails(req, {
+        actor: result.user,
+        targetId: result.user?.id || result.userId,
+        details: { credentialId: result.credentialId || req.body.credential.id }
+      });
+      
+      if (!result.success) {
+        if (result.locked) {
+          return sendLockout(res, result);
+        }
+        return res.status(401).json({ error: result.error, ssoRequired: result.ssoRequired });
+      }
+      
+      setRefreshTokenCookie(res, result.refreshToken);
+      
+      res.json({
+        accessToken: result.accessToken,
+        user: result.user
+      });
+    } catch (error) {
+      logger.error('Passkey sign-in error:', error);
+      res.status(500).json({ error: 'An error occurred during authentication' });
+    }
+});
+
+// Password reset and invitation links, see accountTokens.js
+
+// Always answers the same, so the response does not reveal which accounts exist;
+// the email is sent in the background for the same reason
+router.post('/auth/forgot-password',
+  auditAction('user.password.resetRequest'),
+  body('email').isEmail().normalizeEmail(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { email } = req.body;
+      const user = await dbUtils.getUserByEmail(email);
+      
+      // Accounts that must sign in with single sign-on have no password to reset
+      const eligible = user && user.status === 'active' && (!getSecuritySettings().requireSso || user.breakglass);
+      
+      setAuditDetails(req, { targetId: user?.id, details: { email, sent: Boolean(eligible) } });
+      
+      if (eligible) {
+        sendPasswordReset(user).catch(error => logger.error(`Error sending password reset link to user ${user.id}:`, error));
+      }
+      
+      res.json({ success: true, message: 'If an account uses this email, a link to reset its password has been sent' });
+    } catch (error) {
+      logger.error('Forgot password error:', error);
+      res.status(500).json({ error: 'Failed to request a password reset' });
+    }
+});
+
+// Sets the new password but does not sign in, so a second factor is still asked for
+router.post('/auth/reset-password',
+  auditAction('user.password.reset'),
+  body('token').isString().notEmpty(),
+  body('password').isString().trim().isLength({ min: 8 }),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const result = await resetPassword(req.body.token, req.body.password);
+      
+      setAuditDetails(req, { actor: result.user, targetId: result.user?.id });
+      
+      if (!result.success) {
+        return res.status(400).json({ error: result.error });
+      }
+      
+      res.json({ success: true });
+    } catch (error) {
+      logger.error('Password reset error:', error);
+      res.status(500).json({ error: 'An error occurred while resetting the password' });
+    }
+});
+
+// Who an invitation is for, shown before the user chooses their password
+router.post('/auth/invitations/check', body('token').isString().notEmpty(), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const checked = await checkAccountToken(req.body.token, 'invite');
+    
+    if (!checked || checked.user.status !== 'invited') {
+      return res.status(400).json({ error: 'This invitation is invalid or has expired' });
+    }
+    
+    res.json({ username: checked.user.username, email: checked.user.email, role: checked.user.role });
+  } catch (error) {
+    logger.error('Error checking invitation:', error);
+    res.status(500).json({ error: 'Failed to check the invitation' });
+  }
+});
+
+// Activates the account, then signs in with the chosen password like /auth/login,
+// so the user can go on to set up two-factor authentication
+router.post('/auth/invitations/accept',
+  auditAction('user.invitation.accept'),
+  body('token').isString().notEmpty(),
+  body('password').isString().trim().isLength({ min: 8 }),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { token, password } = req.body;
+      const result = await acceptInvitation(token, password);
+      
+      setAuditDetails(req, { actor: result.user, targetId: result.user?.id });
+      
+      if (!result.success) {
+        return res.status(400).json({ error: result.error });
+      }
+      
+      const db = await dbUtils.getConnection();
+      const login = await authenticateUser(result.user.email, password, db, getClientInfo(req));
+      
+      // The account is active either way; when single sign-on is required, the user signs in with it
+      if (!login.success) {
+        return res.json({ success: true, signedIn: false, ssoRequired: login.ssoRequired, error: login.error });
+      }
+      
+      setRefreshTokenCookie(res, login.refreshToken);
+      
+      res.json({
+        success: true,
+        signedIn: true,
+        accessToken: login.accessToken,
+        user: login.user
+      });
+    } catch (error) {
+      logger.error('Invitation acceptance error:', error);
+      res.status(500).json({ error: 'An error occurred while accepting the invitation' });
+    }
+});
+
+// Single sign-on with an OpenID Connect provider, see sso.js. The browser is
+// sent to the provider and back to the dashboard, which then gets its access
+// token with the refresh token cookie set by the callback.
+
+// Holds the sealed sign-in transaction while the browser is at the provider; lax,
+// so it is sent along when the provider redirects back to the callback
+const SSO_TRANSACTION_COOKIE = 'ssoTransaction';
+
+const getSsoCookieOptions = (req) => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'lax',
+  path: `${req.baseUrl}/auth/sso`
+});
+
+// Send the browser back to the dashboard with the outcome of the sign-in
+const redirectAfterSso = (res, params) => {
+  const target = getSsoConfig().postLoginRedirect;
+  res.redirect(`${target}${target.includes('?') ? '&' : '?'}${new URLSearchParams(params)}`);
+};
+
+router.get('/auth/sso', (req, res) => {
+  res.json({
+    enabled: isSsoConfigured(),
+    providerName: getSsoConfig().providerName,
+    required: getSecuritySettings().requireSso
+  });
+});
+
+router.get('/auth/sso/login', async (req, res) => {
+  if (!isSsoConfigured()) {
+    return res.status(404).json({ error: 'Single sign-on is not configured' });
+  }
+  
+  try {
+    const callbackUrl = `${req.protocol}://${req.get('Host')}${req.baseUrl}/auth/sso/callback`;
+    const { url, transaction } = await createAuthorizationRequest(callbackUrl);
+    
+    res.cookie(SSO_TRANSACTION_COOKIE, transaction, { ...getSsoCookieOptions(req), maxAge: 10 * 60 * 1000 });
+    res.redirect(url);
+  } catch (error) {
+    logger.error('Error starting single sign-on:', error);
+    redirectAfterSso(res, { ssoError: 'The single sign-on provider is unavailable' });
+  }
+});
+
+router.get('/auth/sso/callback', auditAction('user.sso.login'), async (req, res) => {
+  const sealedTransaction = req.cookies[SSO_TRANSACTION_COOKIE];
+  res.clearCookie(SSO_TRANSACTION_COOKIE, getSsoCookieOptions(req));
+  
+  // Every outcome is a redirect, so the audit outcome is set explicitly
+  const deny = (error, details) => {
+    setAuditDetails(req, { outcome: 'denied', details: { ...details, reason: error } });
+    redirectAfterSso(res, { ssoError: error });
+  };
+  
+  try {
+    let claims;
+    
+    try {
+      claims = await completeAuthorization(req.query, sealedTransaction);
+    } catch (error) {
+      logger.warn(`Single sign-on failed: ${error.message}`);
+      return deny('Single sign-on failed, please try again', { error: error.message });
+    }
+    
+    const resolved = await resolveSsoUser(claims);
+    const details = { email: claims.email, subject: claims.sub };
+    
+    if (!resolved.success) {
+      return deny(resolved.error, details);
+    }
+    
+    setAuditDetails(req, {
+      actor: resolved.user,
+      targetId: resolved.user.id,
+      before: resolved.previousRole ? { role: resolved.previousRole } : null,
+      after: resolved.previousRole ? { role: resolved.user.role } : null
+    });
+    
+    const db = await dbUtils.getConnection();
+    const result = await authenticateSsoUser(resolved.user, db, getClientInfo(req));
+    
+    if (!result.success) {
+      return deny(result.error, { ...details, provisioned: resolved.provisioned });
+    }
+    
+    setAuditDetails(req, { details: { ...details, provisioned: resolved.provisioned } });
+    setRefreshTokenCookie(res, result.refreshToken);
+    redirectAfterSso(res, { sso: 'success' });
+  } catch (error) {
+    logger.error('Single sign-on error:', error);
+    setAuditDetails(req, { outcome: null });
+    redirectAfterSso(res, { ssoError: 'An error occurred during single sign-on' });
+  }
+});
+
+// Not audited: refreshing runs every few minutes per signed-in user, sign-ins and revocations are
+router.post('/auth/refresh-token', verifyCsrfToken, async (req, res) => {
   try {
     const refreshToken = req.cookies.refreshToken;
     
@@ -183,9 +557,20 @@ router.post('/auth/refresh-token', async (req, res) => {
     const result = await refreshAuthToken(refreshToken, db);
     
     if (!result.success) {
+      res.clearCookie('refreshToken');
       return res.status(401).json({ error: result.error });
     }
     
+    // The refresh token is replaced on every use
+    if (result.refreshToken) {
+      setRefreshTokenCookie(res, result.refreshToken);
+    }
+    
+    // The dashboard only refreshes while its user is active
+    if (!isBackgroundRequest(req)) {
+      recordSessionActivity(result.sessionId);
+    }
+    
     // Send new access token and user info
     res.json({
       accessToken: result.accessToken,
@@ -197,10 +582,17 @@ router.post('/auth/refresh-token', async (req, res) => {
   }
 });
 
-router.post('/auth/logout', (req, res) => {
+router.post('/auth/logout', auditAction('user.logout'), verifyCsrfToken, async (req, res) => {
   try {
+    // Revoke the session so its refresh token cannot be used again
+    if (req.cookies.refreshToken) {
+      const session = await endSession(req.cookies.refreshToken);
+      setAuditDetails(req, { actor: session && { id: session.userId }, targetId: session?.userId, details: { sessionId: session?.sessionId } });
+    }
+    
     // Clear refresh token cookie
     res.clearCookie('refreshToken');
+    res.clearCookie(CSRF_COOKIE);
     res.json({ success: true });
   } catch (error) {
     logger.error('Logout error:', error);
@@ -210,16 +602,75 @@ router.post('/auth/logout', (req, res) => {
 
 router.get('/auth/me', authenticateJWT, (req, res) => {
   // User data is already in req.user from JWT middleware
-  res.json({ user: req.user });
+  res.json({ user: req.user, permissions: getUserPermissions(req.user) });
+});
+
+// Session management. Revoking a session invalidates its refresh token; access
+// tokens it already issued expire on their own within 15 minutes.
+
+const toSessionResponse = (session, currentSessionId) => ({
+  id: session.id,
+  userAgent: session.userAgent,
+  ipAddress: session.ipAddress,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  expiresAt: session.expiresAt,
+  current: session.id === currentSessionId
+});
+
+router.get('/auth/sessions', authenticateJWT, rejectApiTokens, async (req, res) => {
+  try {
+    const sessions = await dbUtils.getUserSessions(req.user.id);
+    res.json({ sessions: sessions.map(session => toSessionResponse(session, req.user.sid)) });
+  } catch (error) {
+    logger.error('Error fetching sessions:', error);
+    res.status(500).json({ error: 'Failed to fetch sessions' });
+  }
+});
+
+// Sign out every other device
+router.delete('/auth/sessions', authenticateJWT, auditAction('user.sessions.revoke'), rejectApiTokens, async (req, res) => {
+  try {
+    const revoked = await dbUtils.revokeUserSessions(req.user.id, 'revoked', req.user.sid);
+    setAuditDetails(req, { targetId: req.user.id, details: { revoked, keptSessionId: req.user.sid } });
+    res.json({ success: true, revoked });
+  } catch (error) {
+    logger.error('Error revoking sessions:', error);
+    res.status(500).json({ error: 'Failed to revoke sessions' });
+  }
+});
+
+// Users can revoke their own sessions, user managers any session
+router.delete('/auth/sessions/:id', authenticateJWT, auditAction('session.revoke'), rejectApiTokens, async (req, res) => {
+  try {
+    const session = await dbUtils.getSessionById(req.params.id);
+    
+    if (!session || session.revokedAt || (session.userId !== req.user.id && !can(req.user, 'users.manage'))) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    await dbUtils.revokeSession(session.id, 'revoked');
+    setAuditDetails(req, { details: { userId: session.userId } });
+    
+    if (session.userId !== req.user.id) {
+      logger.warn(`Session ${session.id} of user ${session.userId} revoked by ${req.user.username}`);
+    }
+    
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error revoking session:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
 });
 
 // Two-factor authentication management
-router.post('/auth/setup-2fa', authenticateJWT, async (req, res) => {
+router.post('/auth/setup-2fa', authenticateJWT, auditAction('user.2fa.setup'), rejectApiTokens, async (req, res) => {
   try {
     // Get database connection
     const db = await dbUtils.getConnection();
     
     // Set up 2FA for the user
+    setAuditDetails(req, { targetId: req.user.id });
     const result = await setupTwoFactor(req.user.id, db);
     
     if (!result.success) {
@@ -238,6 +689,8 @@ router.post('/auth/setup-2fa', authenticateJWT, async (req, res) => {
 
 router.post('/auth/enable-2fa',
   authenticateJWT,
+  auditAction('user.2fa.enable'),
+  rejectApiTokens,
   body('code').isString().trim().isLength({ min: 6, max: 6 }),
   async (req, res) => {
     const errors = validationResult(req);
@@ -252,25 +705,29 @@ router.post('/auth/enable-2fa',
       const db = await dbUtils.getConnection();
       
       // Enable 2FA for the user
+      setAuditDetails(req, { targetId: req.user.id });
       const result = await enableTwoFactor(req.user.id, code, db);
       
       if (!result.success) {
         return res.status(400).json({ error: result.error });
       }
       
-      res.json({ success: true });
+      // Recovery codes are shown once, when the first second factor is enrolled
+      setAuditDetails(req, { details: { recoveryCodesIssued: Boolean(result.recoveryCodes) } });
+      res.json({ success: true, recoveryCodes: result.recoveryCodes });
     } catch (error) {
       logger.error('2FA enabling error:', error);
       res.status(500).json({ error: 'An error occurred while enabling 2FA' });
     }
 });
 
-router.post('/auth/disable-2fa', authenticateJWT, async (req, res) => {
+router.post('/auth/disable-2fa', authenticateJWT, auditAction('user.2fa.disable'), rejectApiTokens, async (req, res) => {
   try {
     // Get database connection
     const db = await dbUtils.getConnection();
     
     // Disable 2FA for the user
+    setAuditDetails(req, { targetId: req.user.id });
     const result = await disableTwoFactor(req.user.id, db);
     
     if (!result.success) {
@@ -284,10 +741,44 @@ router.post('/auth/disable-2fa', authenticateJWT, async (req, res) => {
   }
 });
 
-router.post('/auth/change-password',
+// Passkeys, as second factor or to sign in without a password
+
+// Public view of a passkey, without its public key
+const toPasskeyResponse = ({ id, name, transports, createdAt, lastUsedAt }) => ({ id, name, transports, createdAt, lastUsedAt });
+
+router.get('/auth/passkeys', authenticateJWT, rejectApiTokens, async (req, res) => {
+  try {
+    const credentials = await dbUtils.getUserWebAuthnCredentials(req.user.id);
+    res.json(credentials.map(toPasskeyResponse));
+  } catch (error) {
+    logger.error('Error getting passkeys:', error);
+    res.status(500).json({ error: 'Failed to get passkeys' });
+  }
+});
+
+// Not audited: options only issue a challenge, the registration answering it is audited
+router.post('/auth/passkeys/options', authenticateJWT, rejectApiTokens, async (req, res) => {
+  try {
+    const user = await dbUtils.getUserById(req.user.id);
+    
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    res.json(await createRegistrationOptions(user));
+  } catch (error) {
+    logger.error('Error creating passkey registration options:', error);
+    res.status(500).json({ error: 'Failed to start passkey registration' });
+  }
+});
+
+router.post('/auth/passkeys',
   authenticateJWT,
-  body('currentPassword').isString().trim().notEmpty(),
-  body('newPassword').isString().trim().isLength({ min: 8 }),
+  auditAction('passkey.register'),
+  rejectApiTokens,
+  body('challengeId').isString(),
+  body('credential').isObject(),
+  body('name').optional().isString().trim().isLength({ max: 100 }),
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -295,19 +786,106 @@ router.post('/auth/change-password',
     }
 
     try {
-      const { currentPassword, newPassword } = req.body;
-      
-      // Get database connection
-      const db = await dbUtils.getConnection();
-      
-      // Change password
-      const result = await changePassword(req.user.id, currentPassword, newPassword, db);
+      const result = await registerCredential(req.user, req.body);
       
       if (!result.success) {
         return res.status(400).json({ error: result.error });
       }
       
-      res.json({ success: true });
+      const db = await dbUtils.getConnection();
+      const recoveryCodes = await enrollRecoveryCodes(req.user.id, db);
+      const passkey = toPasskeyResponse(result.credential);
+      
+      setAuditDetails(req, {
+        targetId: passkey.id,
+        after: passkey,
+        details: { userId: req.user.id, recoveryCodesIssued: Boolean(recoveryCodes) }
+      });
+      
+      res.status(201).json({ passkey, recoveryCodes });
+    } catch (error) {
+      logger.error('Error registering passkey:', error);
+      res.status(500).json({ error: 'Failed to register passkey' });
+    }
+});
+
+router.delete('/auth/passkeys/:id', authenticateJWT, auditAction('passkey.delete'), rejectApiTokens, async (req, res) => {
+  try {
+    const credential = await dbUtils.getWebAuthnCredential(req.params.id);
+    
+    if (!credential || credential.userId !== req.user.id) {
+      return res.status(404).json({ error: 'Passkey not found' });
+    }
+    
+    await dbUtils.deleteWebAuthnCredentials({ id: credential.id, userId: req.user.id });
+    
+    // Recovery codes go with the last second factor
+    const db = await dbUtils.getConnection();
+    await pruneRecoveryCodes(req.user.id, db);
+    
+    setAuditDetails(req, { before: toPasskeyResponse(credential), details: { userId: req.user.id } });
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error deleting passkey:', error);
+    res.status(500).json({ error: 'Failed to delete passkey' });
+  }
+});
+
+// Recovery codes, to sign in when the other second factors are lost
+router.get('/auth/recovery-codes', authenticateJWT, rejectApiTokens, async (req, res) => {
+  try {
+    res.json({ remaining: await dbUtils.countRecoveryCodes(req.user.id) });
+  } catch (error) {
+    logger.error('Error counting recovery codes:', error);
+    res.status(500).json({ error: 'Failed to get recovery codes' });
+  }
+});
+
+router.post('/auth/recovery-codes', authenticateJWT, auditAction('user.recoveryCodes.regenerate'), rejectApiTokens, async (req, res) => {
+  try {
+    const db = await dbUtils.getConnection();
+    
+    setAuditDetails(req, { targetId: req.user.id });
+    const result = await regenerateRecoveryCodes(req.user.id, db);
+    
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+    
+    res.json({ recoveryCodes: result.recoveryCodes });
+  } catch (error) {
+    logger.error('Error regenerating recovery codes:', error);
+    res.status(500).json({ error: 'Failed to generate recovery codes' });
+  }
+});
+
+router.post('/auth/change-password',
+  authenticateJWT,
+  auditAction('user.password.change'),
+  rejectApiTokens,
+  body('currentPassword').isString().trim().notEmpty(),
+  body('newPassword').isString().trim().isLength({ min: 8 }),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { currentPassword, newPassword } = req.body;
+      
+      // Get database connection
+      const db = await dbUtils.getConnection();
+      
+      // Change password
+      setAuditDetails(req, { targetId: req.user.id });
+      const result = await changePassword(req.user.id, currentPassword, newPassword, db);
+      
+      if (!result.success) {
+        return res.status(400).json({ error: result.error });
+      }
+      
+      res.json({ success: true });
     } catch (error) {
       logger.error('Password change error:', error);
       res.status(500).json({ error: 'An error occurred while changing password' });
@@ -315,7 +893,22 @@ router.post('/auth/change-password',
 });
 
 // User management endpoints
-router.get('/users', authenticateJWT, async (req, res) => {
+
+// Users can only be given roles that exist
+const roleValidator = (field) => field.custom((name) => {
+  if (!findRole(name)) {
+    throw new Error('Role not found');
+  }
+  return true;
+});
+
+// Users can only hand out, or take away, access they have themselves
+const canAssignRole = (user, roleName) => {
+  const role = findRole(roleName);
+  return !role || coversRole(user, role);
+};
+
+router.get('/users', authenticateJWT, requirePermission('users.view'), async (req, res) => {
   try {
     // Get database connection
     const db = await dbUtils.getConnection();
@@ -330,13 +923,16 @@ router.get('/users', authenticateJWT, async (req, res) => {
   }
 });
 
+// Without a password, the user is invited: they get an email with a link to
+// choose their password, and cannot sign in until they do
 router.post('/users', 
   authenticateJWT,
-  checkAdminRole,
+  auditAction('user.create'),
+  requirePermission('users.manage'),
   body('username').isString().trim().isLength({ min: 3 }),
   body('email').isEmail().normalizeEmail(),
-  body('password').isString().trim().isLength({ min: 8 }),
-  body('role').isIn(['Administrator', 'Manager', 'Normal User']),
+  body('password').optional().isString().trim().isLength({ min: 8 }),
+  roleValidator(body('role')),
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -346,6 +942,10 @@ router.post('/users',
     try {
       const { username, email, password, role } = req.body;
       
+      if (!canAssignRole(req.user, role)) {
+        return res.status(403).json({ error: 'Access denied: the role grants permissions you do not have' });
+      }
+      
       // Get database connection
       const db = await dbUtils.getConnection();
       
@@ -355,9 +955,9 @@ router.post('/users',
         return res.status(400).json({ error: 'Email already in use' });
       }
       
-      // Hash password
+      // Hash password; invited users get a random one until they choose theirs
       const saltRounds = 10;
-      const hashedPassword = await bcrypt.hash(password, saltRounds);
+      const hashedPassword = await bcrypt.hash(password || crypto.randomBytes(32).toString('hex'), saltRounds);
       
       // Create user
       const userId = await dbUtils.createUser({
@@ -365,7 +965,7 @@ router.post('/users',
         email,
         password: hashedPassword,
         role,
-        status: 'active',
+        status: password ? 'active' : 'invited',
         createdAt: new Date().toISOString()
       }, db);
       
@@ -376,12 +976,22 @@ router.post('/users',
       // Get the newly created user
       const user = await dbUtils.getUserById(userId, db);
       
+      // The user exists even if the email fails; the invitation can be sent again
+      let invitationSent;
+      if (!password) {
+        invitationSent = await sendInvitation(user, req.user).then(() => true, (error) => {
+          logger.error(`Error sending invitation to user ${userId}:`, error);
+          return false;
+        });
+      }
+      
       // Remove password from response
       if (user) {
         delete user.password;
       }
       
-      res.status(201).json({ user });
+      setAuditDetails(req, { targetId: userId, after: user, details: password ? undefined : { invitationSent } });
+      res.status(201).json({ user, invitationSent });
     } catch (error) {
       logger.error('Error creating user:', error);
       res.status(500).json({ error: 'Failed to create user' });
@@ -390,7 +1000,8 @@ router.post('/users',
 
 router.patch('/users/:id/status', 
   authenticateJWT,
-  checkAdminRole,
+  auditAction('user.status'),
+  requirePermission('users.manage'),
   body('status').isIn(['active', 'suspended']),
   async (req, res) => {
     const errors = validationResult(req);
@@ -409,14 +1020,21 @@ router.patch('/users/:id/status',
       
       // Get database connection
       const db = await dbUtils.getConnection();
+      const existingUser = await dbUtils.getUserById(id, db);
       
       // Update user status
-      const success = await dbUtils.updateUserStatus(id, status, db);
+      const success = existingUser && await dbUtils.updateUserStatus(id, status, db);
       
       if (!success) {
         return res.status(404).json({ error: 'User not found' });
       }
       
+      setAuditDetails(req, { before: { status: existingUser.status }, after: { status } });
+      
+      if (status === 'suspended') {
+        await dbUtils.revokeUserSessions(id, 'user suspended');
+      }
+      
       res.json({ success: true });
     } catch (error) {
       logger.error('Error updating user status:', error);
@@ -424,7 +1042,7 @@ router.patch('/users/:id/status',
     }
 });
 
-router.delete('/users/:id', authenticateJWT, checkAdminRole, async (req, res) => {
+router.delete('/users/:id', authenticateJWT, auditAction('user.delete'), requirePermission('users.manage'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -437,12 +1055,22 @@ router.delete('/users/:id', authenticateJWT, checkAdminRole, async (req, res) =>
     const db = await dbUtils.getConnection();
     
     // Delete user
-    const success = await dbUtils.deleteUser(id, db);
+    const existingUser = await dbUtils.getUserById(id, db);
+    const success = existingUser && await dbUtils.deleteUser(id, db);
     
     if (!success) {
       return res.status(404).json({ error: 'User not found' });
     }
     
+    setAuditDetails(req, { before: existingUser });
+    
+    await dbUtils.revokeUserSessions(id, 'user deleted');
+    await dbUtils.revokeUserApiTokens(id);
+    await dbUtils.deleteUserIdentities({ userId: id });
+    await dbUtils.deleteWebAuthnCredentials({ userId: id });
+    await dbUtils.deleteRecoveryCodes(id);
+    await dbUtils.deleteUserAccountTokens(id);
+    
     res.json({ success: true });
   } catch (error) {
     logger.error('Error deleting user:', error);
@@ -450,12 +1078,85 @@ router.delete('/users/:id', authenticateJWT, checkAdminRole, async (req, res) =>
   }
 });
 
+// Send an invited user a new invitation link; earlier links stop working
+router.post('/users/:id/invitation', authenticateJWT, auditAction('user.invite'), requirePermission('users.manage'), async (req, res) => {
+  try {
+    const user = await dbUtils.getUserById(req.params.id);
+    
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    if (user.status !== 'invited') {
+      return res.status(400).json({ error: 'This user has already accepted their invitation' });
+    }
+    
+    await sendInvitation(user, req.user);
+    
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error sending invitation:', error);
+    res.status(500).json({ error: 'Failed to send the invitation' });
+  }
+});
+
+// Email a user a link to reset their password; administrators never see the link
+router.post('/users/:id/password-reset', authenticateJWT, auditAction('user.password.resetRequest'), requirePermission('users.manage'), async (req, res) => {
+  try {
+    const user = await dbUtils.getUserById(req.params.id);
+    
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    if (user.status !== 'active') {
+      return res.status(400).json({ error: 'Only active users can reset their password' });
+    }
+    
+    await sendPasswordReset(user, req.user);
+    
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error sending password reset link:', error);
+    res.status(500).json({ error: 'Failed to send the password reset link' });
+  }
+});
+
+router.get('/users/:id/sessions', authenticateJWT, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const sessions = await dbUtils.getUserSessions(req.params.id);
+    res.json({ sessions: sessions.map(session => toSessionResponse(session, req.user.sid)) });
+  } catch (error) {
+    logger.error('Error fetching user sessions:', error);
+    res.status(500).json({ error: 'Failed to fetch user sessions' });
+  }
+});
+
+// Sign a user out of every device
+router.delete('/users/:id/sessions', authenticateJWT, auditAction('user.sessions.revoke'), requirePermission('users.manage'), async (req, res) => {
+  try {
+    const revoked = await dbUtils.revokeUserSessions(req.params.id, 'revoked');
+    setAuditDetails(req, { details: { revoked } });
+    
+    if (revoked > 0) {
+      logger.warn(`${revoked} sessions of user ${req.params.id} revoked by ${req.user.username}`);
+    }
+    
+    res.json({ success: true, revoked });
+  } catch (error) {
+    logger.error('Error revoking user sessions:', error);
+    res.status(500).json({ error: 'Failed to revoke user sessions' });
+  }
+});
+
 router.patch('/users/:id',
   authenticateJWT,
-  checkAdminRole,
+  auditAction('user.update'),
+  requirePermission('users.manage'),
   body('username').optional().isString().trim().isLength({ min: 3 }),
   body('email').optional().isEmail().normalizeEmail(),
-  body('role').optional().isIn(['Administrator', 'Manager', 'Normal User']),
+  roleValidator(body('role').optional()),
+  body('breakglass').optional().isBoolean().toBoolean(),
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -464,7 +1165,21 @@ router.patch('/users/:id',
 
     try {
       const { id } = req.params;
-      const { username, email, role } = req.body;
+      const { username, email, role, breakglass } = req.body;
+      const existingUser = await dbUtils.getUserById(id);
+      
+      if (!existingUser) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      
+      if (role !== undefined && (!canAssignRole(req.user, role) || !canAssignRole(req.user, existingUser.role))) {
+        return res.status(403).json({ error: 'Access denied: the role grants permissions you do not have' });
+      }
+      
+      // Break-glass accounts bypass required single sign-on, which is a security setting
+      if (breakglass !== undefined && !can(req.user, 'settings.write')) {
+        return sendForbidden(res, 'settings.write');
+      }
       
       // Check if email exists and belongs to a different user
       if (email) {
@@ -475,7 +1190,7 @@ router.patch('/users/:id',
       }
       
       // Update user profile
-      const success = await dbUtils.updateUserProfile(id, { username, email, role });
+      const success = await dbUtils.updateUserProfile(id, { username, email, role, breakglass });
       
       if (!success) {
         return res.status(404).json({ error: 'User not found' });
@@ -490,6 +1205,7 @@ router.patch('/users/:id',
         delete user.twoFactorSecret;
       }
       
+      setAuditDetails(req, { before: existingUser, after: user });
       res.json({ user });
     } catch (error) {
       logger.error('Error updating user:', error);
@@ -497,11 +1213,173 @@ router.patch('/users/:id',
     }
 });
 
+// Role and permission endpoints. Users refer to their role by name, so custom
+// role names cannot change and built-in role names cannot be reused.
+
+const grantsValidator = (field) => field.isArray().custom((grants) => {
+  normalizeGrants(grants);
+  return true;
+});
+
+router.get('/permissions', authenticateJWT, (req, res) => {
+  res.json({
+    permissions: Object.entries(PERMISSIONS).map(([name, { description, scopes }]) => ({ name, description, scopes }))
+  });
+});
+
+router.get('/roles', authenticateJWT, requirePermission('users.view'), async (req, res) => {
+  try {
+    await loadRoles();
+    res.json({ roles: getRoles() });
+  } catch (error) {
+    logger.error('Error fetching roles:', error);
+    res.status(500).json({ error: 'Failed to fetch roles' });
+  }
+});
+
+router.post('/roles',
+  authenticateJWT,
+  auditAction('role.create'),
+  requirePermission('roles.manage'),
+  body('name').isString().trim().isLength({ min: 1, max: 50 }),
+  body('description').optional({ values: 'null' }).isString().trim().isLength({ max: 200 }),
+  grantsValidator(body('grants')),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { name, description = null } = req.body;
+      const grants = normalizeGrants(req.body.grants);
+      
+      await loadRoles();
+      
+      if (isBuiltInRole(name) || findRole(name)) {
+        return res.status(400).json({ error: 'Role name already in use' });
+      }
+      
+      if (!coversRole(req.user, { grants })) {
+        return res.status(403).json({ error: 'Access denied: the role grants permissions you do not have' });
+      }
+      
+      const id = await dbUtils.createRole({ name, description, grants });
+      
+      if (!id) {
+        return res.status(500).json({ error: 'Failed to create role' });
+      }
+      
+      await loadRoles();
+      logger.warn(`Role ${name} created by ${req.user.username}`);
+      
+      const role = getRoles().find(candidate => candidate.id === id);
+      setAuditDetails(req, { targetId: id, after: role });
+      res.status(201).json({ role });
+    } catch (error) {
+      logger.error('Error creating role:', error);
+      res.status(500).json({ error: 'Failed to create role' });
+    }
+});
+
+router.patch('/roles/:id',
+  authenticateJWT,
+  auditAction('role.update'),
+  requirePermission('roles.manage'),
+  body('description').optional({ values: 'null' }).isString().trim().isLength({ max: 200 }),
+  grantsValidator(body('grants').optional()),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { description } = req.body;
+      const grants = req.body.grants && normalizeGrants(req.body.grants);
+      
+      if (description === undefined && grants === undefined) {
+        return res.status(400).json({ error: 'No valid update fields provided' });
+      }
+      
+      await loadRoles();
+      const existingRole = getRoles().find(role => role.id === req.params.id);
+      
+      if (!existingRole) {
+        return res.status(404).json({ error: 'Role not found' });
+      }
+      
+      if (!coversRole(req.user, existingRole) || (grants && !coversRole(req.user, { grants }))) {
+        return res.status(403).json({ error: 'Access denied: the role grants permissions you do not have' });
+      }
+      
+      const success = await dbUtils.updateRole(existingRole.id, { description, grants });
+      
+      if (!success) {
+        return res.status(500).json({ error: 'Failed to update role' });
+      }
+      
+      await loadRoles();
+      logger.warn(`Role ${existingRole.name} updated by ${req.user.username}`);
+      
+      const role = findRole(existingRole.name);
+      setAuditDetails(req, { before: existingRole, after: role });
+      res.json({ role });
+    } catch (error) {
+      logger.error('Error updating role:', error);
+      res.status(500).json({ error: 'Failed to update role' });
+    }
+});
+
+router.delete('/roles/:id', authenticateJWT, auditAction('role.delete'), requirePermission('roles.manage'), async (req, res) => {
+  try {
+    await loadRoles();
+    const role = getRoles().find(candidate => candidate.id === req.params.id);
+    
+    if (!role) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+    
+    if (!coversRole(req.user, role)) {
+      return res.status(403).json({ error: 'Access denied: the role grants permissions you do not have' });
+    }
+    
+    const userCount = await dbUtils.countUsersWithRole(role.name);
+    
+    if (userCount > 0) {
+      return res.status(400).json({ error: `Role is assigned to ${userCount} users, assign them another role first` });
+    }
+    
+    const success = await dbUtils.deleteRole(role.id);
+    
+    if (!success) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+    
+    await loadRoles();
+    logger.warn(`Role ${role.name} deleted by ${req.user.username}`);
+    setAuditDetails(req, { before: role });
+    
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error deleting role:', error);
+    res.status(500).json({ error: 'Failed to delete role' });
+  }
+});
+
 // Bot management endpoints
-router.get('/bots', authenticateJWT, async (req, res) => {
+
+// Bot credentials are only ever returned redacted, see /bots/:id/secrets/reveal
+const toBotResponse = (bot) => bot && { ...bot, config: redactBotConfig(bot.config) };
+
+// Bots are checked against grants scoped to their ID or platform
+const botResource = (bot) => ({ botId: bot.id, platform: bot.platform });
+
+router.get('/bots', authenticateJWT, requirePermission('bots.view'), async (req, res) => {
   try {
     const bots = await dbUtils.getAllBots();
-    res.json({ bots });
+    const visibleBots = bots.filter(bot => can(req.user, 'bots.view', botResource(bot)));
+    res.json({ bots: visibleBots.map(toBotResponse) });
   } catch (error) {
     logger.error('Error fetching bots:', error);
     res.status(500).json({ error: 'Failed to fetch bots' });
@@ -510,10 +1388,14 @@ router.get('/bots', authenticateJWT, async (req, res) => {
 
 router.post('/bots', 
   authenticateJWT,
+  auditAction('bot.create'),
+  requirePermission('bots.manage'),
   body('name').isString().trim().isLength({ min: 1, max: 50 }),
   body('platform').isIn(['Discord', 'Telegram', 'WhatsApp', 'Messenger', 'Instagram']),
   body('type').isString().trim(),
   body('config').isObject(),
+  body('config.updateMode').optional().isIn(['polling', 'webhook']),
+  body('config.dropPendingUpdates').optional().isBoolean({ strict: true }),
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -523,6 +1405,10 @@ router.post('/bots',
     try {
       const { name, platform, type, config } = req.body;
       
+      if (!can(req.user, 'bots.manage', { platform })) {
+        return sendForbidden(res, 'bots.manage');
+      }
+      
       // Create bot in database
       const botId = await dbUtils.createBot({ name, platform, type, config });
       
@@ -533,19 +1419,20 @@ router.post('/bots',
       // Get the newly created bot
       const bot = await dbUtils.getBotById(botId);
       
-      res.status(201).json({ bot });
+      setAuditDetails(req, { targetId: botId, after: toBotResponse(bot) });
+      res.status(201).json({ bot: toBotResponse(bot) });
     } catch (error) {
       logger.error('Error creating bot:', error);
       res.status(500).json({ error: 'Failed to create bot' });
     }
 });
 
-router.delete('/bots/:id', authenticateJWT, async (req, res) => {
+router.delete('/bots/:id', authenticateJWT, auditAction('bot.delete'), requireBotPermission('bots.manage'), async (req, res) => {
   try {
     const { id } = req.params;
     
     // First stop the bot process if it's running
-    await stopBotProcess(id);
+    await stopBot(id);
     
     // Delete bot from database
     const success = await dbUtils.deleteBot(id);
@@ -554,6 +1441,9 @@ router.delete('/bots/:id', authenticateJWT, async (req, res) => {
       return res.status(404).json({ error: 'Bot not found' });
     }
     
+    clearBotLogs(id);
+    setAuditDetails(req, { before: toBotResponse(req.bot) });
+    
     res.json({ success: true });
   } catch (error) {
     logger.error('Error deleting bot:', error);
@@ -561,97 +1451,1742 @@ router.delete('/bots/:id', authenticateJWT, async (req, res) => {
   }
 });
 
-router.post('/bots/:id/start', authenticateJWT, async (req, res) => {
+router.post('/bots/:id/start', authenticateJWT, auditAction('bot.start'), requireBotPermission('bots.operate'), async (req, res) => {
   try {
     const { id } = req.params;
     
-    // Get bot from database
-    const bot = await dbUtils.getBotById(id);
-    
-    if (!bot) {
-      return res.status(404).json({ error: 'Bot not found' });
-    }
-    
-    // Start bot process
-    await startBotProcess(bot);
-    
-    // Update bot status in database
-    await dbUtils.updateBotStatus(id, 'online');
+    // Start the bot under supervision, it is marked online once it reports ready
+    await startBot(req.bot);
     
     // Get updated bot data
     const updatedBot = await dbUtils.getBotById(id);
     
-    res.json({ bot: updatedBot });
+    res.json({ bot: toBotResponse(updatedBot), health: getBotHealth(id) });
   } catch (error) {
     logger.error('Error starting bot:', error);
     res.status(500).json({ error: 'Failed to start bot' });
   }
 });
 
-router.post('/bots/:id/stop', authenticateJWT, async (req, res) => {
+router.post('/bots/:id/stop', authenticateJWT, auditAction('bot.stop'), requireBotPermission('bots.operate'), async (req, res) => {
   try {
     const { id } = req.params;
     
-    // Stop bot process
-    await stopBotProcess(id);
-    
-    // Update bot status in database
-    await dbUtils.updateBotStatus(id, 'offline');
+    // Stop bot process and mark it offline
+    await stopBot(id);
     
     // Get updated bot data
     const updatedBot = await dbUtils.getBotById(id);
     
-    res.json({ bot: updatedBot });
+    res.json({ bot: toBotResponse(updatedBot) });
   } catch (error) {
     logger.error('Error stopping bot:', error);
     res.status(500).json({ error: 'Failed to stop bot' });
   }
 });
 
-// Analysis endpoints
-router.get('/analytics/usage', authenticateJWT, checkManagerRole, async (req, res) => {
+router.post('/bots/:id/secrets/reveal', authenticateJWT, auditAction('bot.secrets.reveal'), requireBotPermission('bots.secrets'), async (req, res) => {
   try {
-    const period = req.query.period || 'day';
-    const validPeriods = ['day', 'week', 'month', 'year'];
+    const { bot } = req;
     
-    if (!validPeriods.includes(period)) {
-      return res.status(400).json({ error: 'Invalid period. Must be one of: day, week, month, year' });
-    }
+    logger.warn(`Credentials of bot ${bot.name} (${bot.id}) revealed by user ${req.user.id}`);
     
-    const stats = await dbUtils.getBotUsageStats(period);
-    res.json(stats);
+    res.json({ secrets: getBotSecrets(bot.config) });
   } catch (error) {
-    logger.error('Error fetching bot usage stats:', error);
-    res.status(500).json({ error: 'Failed to fetch bot usage stats' });
+    logger.error('Error revealing bot credentials:', error);
+    res.status(500).json({ error: 'Failed to reveal bot credentials' });
   }
 });
 
-// Settings endpoints
-router.get('/settings', authenticateJWT, async (req, res) => {
+// Replaces the given credentials and re-encrypts all of them under a new data key
+router.post('/bots/:id/secrets/rotate',
+  authenticateJWT,
+  auditAction('bot.secrets.rotate'),
+  requireBotPermission('bots.secrets'),
+  body('secrets').optional().isObject(),
+  body('secrets').optional().custom((secrets) => {
+    for (const [field, value] of Object.entries(secrets)) {
+      if (!isSecretField(field)) {
+        throw new Error(`${field} is not a credential field`);
+      }
+      if (typeof value !== 'string' || !value.trim() || isRedactedSecret(value)) {
+        throw new Error(`${field} must be a new, non-empty value`);
+      }
+    }
+    return true;
+  }),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { bot } = req;
+      const secrets = Object.fromEntries(Object.entries(req.body.secrets || {}).map(([field, value]) => [field, value.trim()]));
+      const success = await dbUtils.updateBotConfig(bot.id, { ...bot.config, ...secrets });
+      
+      if (!success) {
+        return res.status(500).json({ error: 'Failed to rotate bot credentials' });
+      }
+      
+      logger.warn(`Credentials of bot ${bot.name} (${bot.id}) rotated by user ${req.user.id}: ${Object.keys(secrets).join(', ') || 'new data key only'}`);
+      
+      const updatedBot = await dbUtils.getBotById(bot.id);
+      setAuditDetails(req, { details: { fields: Object.keys(secrets) } });
+      
+      res.json({
+        bot: toBotResponse(updatedBot),
+        // Running bots keep the credentials they were started with
+        restartRequired: Object.keys(secrets).length > 0 && updatedBot.status === 'online'
+      });
+    } catch (error) {
+      logger.error('Error rotating bot credentials:', error);
+      res.status(500).json({ error: 'Failed to rotate bot credentials' });
+    }
+});
+
+router.get('/bots/:id/health', authenticateJWT, requireBotPermission('bots.view'), async (req, res) => {
   try {
-    // Get system settings
-    const settings = await dbUtils.getSystemSettings();
-    res.json({ settings });
+    const { bot } = req;
+    res.json({ status: bot.status, health: getBotHealth(bot.id) });
   } catch (error) {
-    logger.error('Error fetching settings:', error);
-    res.status(500).json({ error: 'Failed to fetch settings' });
+    logger.error('Error fetching bot health:', error);
+    res.status(500).json({ error: 'Failed to fetch bot health' });
   }
 });
 
-router.put('/settings', authenticateJWT, async (req, res) => {
+router.get('/bots/:id/restarts',
+  authenticateJWT,
+  requireBotPermission('bots.view'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { bot } = req;
+      const restarts = await dbUtils.getBotRestarts(bot.id, req.query.limit || 50);
+      
+      res.json({ restarts });
+    } catch (error) {
+      logger.error('Error fetching bot restarts:', error);
+      res.status(500).json({ error: 'Failed to fetch bot restarts' });
+    }
+});
+
+// Live bot logs over Server-Sent Events, backfilled with the most recent entries
+const LOG_STREAM_KEEP_ALIVE = 15 * 1000;
+
+router.get('/bots/:id/logs/stream',
+  authenticateJWT,
+  requireBotPermission('bots.logs'),
+  query('level').optional().isIn(LOG_LEVELS),
+  query('source').optional().isString().custom(value => value.split(',').every(source => LOG_SOURCES.includes(source))),
+  query('backfill').optional().isInt({ min: 0, max: 1000 }).toInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { bot } = req;
+      const filters = {
+        level: req.query.level,
+        sources: req.query.source ? req.query.source.split(',') : []
+      };
+      // Reconnecting clients resume after the last entry they received
+      const lastEventId = parseInt(req.get('Last-Event-ID')) || undefined;
+      
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+      
+      const send = (entry) => {
+        res.write(`id: ${entry.id}\nevent: log\ndata: ${JSON.stringify(entry)}\n\n`);
+      };
+      
+      res.write('retry: 3000\n\n');
+      res.write(`event: health\ndata: ${JSON.stringify({ status: bot.status, health: getBotHealth(bot.id) })}\n\n`);
+      
+      getRecentBotLogs(bot.id, {
+        ...filters,
+        limit: req.query.backfill ?? 100,
+        after: lastEventId
+      }).forEach(send);
+      
+      const unsubscribe = subscribeToBotLogs(bot.id, (entry) => {
+        if (matchesLogFilters(entry, filters)) {
+          send(entry);
+        }
+      });
+      
+      // Comments keep proxies from closing an idle stream
+      const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), LOG_STREAM_KEEP_ALIVE);
+      
+      req.on('close', () => {
+        clearInterval(keepAlive);
+        unsubscribe();
+      });
+    } catch (error) {
+      logger.error('Error streaming bot logs:', error);
+      
+      if (res.headersSent) {
+        res.end();
+      } else {
+        res.status(500).json({ error: 'Failed to stream bot logs' });
+      }
+    }
+});
+
+// Ticket management endpoints
+const TICKET_STATUSES = ['open', 'in-progress', 'closed'];
+const TICKET_PRIORITIES = ['low', 'medium', 'high'];
+const TICKET_PLATFORMS = ['Discord', 'Telegram', 'WhatsApp', 'Messenger', 'Instagram'];
+
+// Ticket ID prefixes, matching the ones the platform bots generate
+const TICKET_PREFIXES = {
+  Discord: 'DISC',
+  Telegram: 'TG',
+  WhatsApp: 'WA',
+  Messenger: 'FB',
+  Instagram: 'IG'
+};
+
+// Tickets are checked against grants scoped to their platform
+const canAccessTicket = (user, permission, ticket) => can(user, permission, { platform: ticket.platform });
+
+// PostgreSQL returns ticket columns in lower case
+const getTicketField = (ticket, field) => ticket[field] ?? ticket[field.toLowerCase()] ?? null;
+
+// Ticket filters shared by the ticket list and the ticket export
+const ticketFilterValidators = [
+  query('status').optional().isIn(TICKET_STATUSES),
+  query('platform').optional().isIn(TICKET_PLATFORMS),
+  query('priority').optional().isIn(TICKET_PRIORITIES),
+  query('assignedTo').optional().isString().trim(),
+  query('userId').optional().isString().trim(),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  query('search').optional().isString().trim(),
+  query('sortBy').optional().isIn(['createdAt', 'updatedAt', 'closedAt', 'priority', 'status', 'platform', 'ticketId']),
+  query('sortOrder').optional().isIn(['asc', 'desc'])
+];
+
+const getTicketFilters = (req) => {
+  const { status, platform, priority, assignedTo, userId, from, to, search, sortBy, sortOrder } = req.query;
+  const scope = getScope(req.user, 'tickets.view');
+  
+  return {
+    status,
+    platform,
+    // Only the platforms the user may view tickets of
+    platforms: scope === null ? undefined : (scope ? scope.platforms : []),
+    priority,
+    // 'me' is a shortcut for the tickets assigned to the current user
+    assignedTo: assignedTo === 'me' ? req.user.id : assignedTo,
+    userId,
+    from,
+    to,
+    search,
+    sortBy,
+    sortOrder
+  };
+};
+
+router.get('/tickets',
+  authenticateJWT,
+  requirePermission('tickets.view'),
+  ticketFilterValidators,
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const page = req.query.page || 1;
+      const limit = req.query.limit || 20;
+      const filters = getTicketFilters(req);
+      
+      const [tickets, total] = await Promise.all([
+        dbUtils.getTickets({ ...filters, limit, offset: (page - 1) * limit }),
+        dbUtils.countTickets(filters)
+      ]);
+      
+      res.json({
+        tickets,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        }
+      });
+    } catch (error) {
+      logger.error('Error fetching tickets:', error);
+      res.status(500).json({ error: 'Failed to fetch tickets' });
+    }
+});
+
+router.get('/tickets/:id', authenticateJWT, requirePermission('tickets.view'), async (req, res) => {
+  try {
+    const ticket = await dbUtils.getTicketById(req.params.id);
+    
+    if (!ticket || !canAccessTicket(req.user, 'tickets.view', ticket)) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
+    
+    res.json({ ticket });
+  } catch (error) {
+    logger.error('Error fetching ticket:', error);
+    res.status(500).json({ error: 'Failed to fetch ticket' });
+  }
+});
+
+router.post('/tickets',
+  authenticateJWT,
+  auditAction('ticket.create'),
+  requirePermission('tickets.create'),
+  body('userId').isString().trim().notEmpty(),
+  body('username').isString().trim().notEmpty(),
+  body('platform').isIn(TICKET_PLATFORMS),
+  body('issue').isString().trim().isLength({ min: 1, max: 2000 }),
+  body('priority').optional().isIn(TICKET_PRIORITIES),
+  body('email').optional({ values: 'null' }).isEmail().normalizeEmail(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { userId, username, platform, issue, priority = 'medium', email = null } = req.body;
+      
+      if (!can(req.user, 'tickets.create', { platform })) {
+        return sendForbidden(res, 'tickets.create');
+      }
+      
+      // Ticket IDs get the same platform prefix the bots use
+      const ticketId = await dbUtils.createTicket({
+        ticketPrefix: TICKET_PREFIXES[platform],
+        userId,
+        username,
+        platform,
+        issue,
+        status: 'open',
+        priority,
+        email
+      });
+      
+      if (!ticketId) {
+        return res.status(500).json({ error: 'Failed to create ticket' });
+      }
+      
+      let ticket = await dbUtils.getTicketById(ticketId);
+      
+      // Start the SLA clocks now rather than when the SLA monitor next runs
+      ticket = await applySlaPolicy(ticket) || ticket;
+      
+      setAuditDetails(req, { targetId: ticketId, after: ticket });
+      res.status(201).json({ ticket });
+    } catch (error) {
+      logger.error('Error creating ticket:', error);
+      res.status(500).json({ error: 'Failed to create ticket' });
+    }
+});
+
+router.patch('/tickets/:id',
+  authenticateJWT,
+  auditAction('ticket.update'),
+  requirePermission('tickets.view'),
+  body('status').optional().isIn(TICKET_STATUSES),
+  body('priority').optional().isIn(TICKET_PRIORITIES),
+  body('issue').optional().isString().trim().isLength({ min: 1, max: 2000 }),
+  body('assignedTo').optional({ values: 'null' }).isString().trim(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { id } = req.params;
+      const { status, priority, issue, assignedTo } = req.body;
+      
+      if (status === undefined && priority === undefined && issue === undefined && assignedTo === undefined) {
+        return res.status(400).json({ error: 'No valid update fields provided' });
+      }
+      
+      const existingTicket = await dbUtils.getTicketById(id);
+      
+      if (!existingTicket || !canAccessTicket(req.user, 'tickets.view', existingTicket)) {
+        return res.status(404).json({ error: 'Ticket not found' });
+      }
+      
+      // Assigning and closing tickets need their own permissions
+      const required = [];
+      if (assignedTo !== undefined) required.push('tickets.assign');
+      if (status === 'closed') required.push('tickets.close');
+      if (status !== undefined && status !== 'closed' || priority !== undefined || issue !== undefined) required.push('tickets.update');
+      
+      const missing = required.find(permission => !canAccessTicket(req.user, permission, existingTicket));
+      if (missing) {
+        return sendForbidden(res, missing);
+      }
+      
+      // Make sure tickets are only assigned to existing dashboard users
+      if (assignedTo) {
+        const assignee = await dbUtils.getUserById(assignedTo);
+        if (!assignee) {
+          return res.status(400).json({ error: 'Assignee not found' });
+        }
+      }
+      
+      let ticket = await dbUtils.updateTicket(id, { status, priority, issue, assignedTo });
+      
+      if (!ticket) {
+        return res.status(500).json({ error: 'Failed to update ticket' });
+      }
+      
+      // Picking a ticket up counts as responding to it
+      if (existingTicket.status === 'open' && status !== undefined && status !== 'open') {
+        ticket = await recordFirstResponse(ticket) || ticket;
+      }
+      
+      // Reprioritized tickets are held to the targets of their new priority
+      if (priority !== undefined && priority !== existingTicket.priority) {
+        ticket = await applySlaPolicy(ticket) || ticket;
+      }
+      
+      setAuditDetails(req, { before: existingTicket, after: ticket });
+      res.json({ ticket });
+    } catch (error) {
+      logger.error('Error updating ticket:', error);
+      res.status(500).json({ error: 'Failed to update ticket' });
+    }
+});
+
+// Ticket threads: the user's messages received by the bot, and agents' replies sent through it
+router.get('/tickets/:id/messages', authenticateJWT, requirePermission('tickets.view'), async (req, res) => {
+  try {
+    const ticket = await dbUtils.getTicketById(req.params.id);
+    
+    if (!ticket || !canAccessTicket(req.user, 'tickets.view', ticket)) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
+    
+    const messages = await dbUtils.getTicketMessages(req.params.id);
+    
+    res.json({ messages });
+  } catch (error) {
+    logger.error('Error fetching ticket messages:', error);
+    res.status(500).json({ error: 'Failed to fetch ticket messages' });
+  }
+});
+
+router.post('/tickets/:id/messages',
+  authenticateJWT,
+  auditAction('ticket.reply'),
+  requirePermission('tickets.reply'),
+  body('text').isString().trim().isLength({ min: 1, max: 2000 }),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const ticket = await dbUtils.getTicketById(req.params.id);
+      
+      if (!ticket || !canAccessTicket(req.user, 'tickets.view', ticket)) {
+        return res.status(404).json({ error: 'Ticket not found' });
+      }
+      
+      if (!canAccessTicket(req.user, 'tickets.reply', ticket)) {
+        return sendForbidden(res, 'tickets.reply');
+      }
+      
+      if (ticket.status === 'closed') {
+        return res.status(409).json({ error: 'Reopen the ticket to reply to it' });
+      }
+      
+      const ticketId = getTicketField(ticket, 'ticketId');
+      const botId = getTicketField(ticket, 'botId');
+      const chatId = getTicketField(ticket, 'chatId');
+      
+      // Tickets created on the dashboard, or by bots before threads existed, have nobody to send replies to
+      if (!botId || !chatId) {
+        return res.status(409).json({ error: 'This ticket was not created by a bot, so replies cannot be delivered' });
+      }
+      
+      const { text } = req.body;
+      const replyText = `💬 Reply to ticket ${ticketId}:\n\n${text}`;
+      const outcome = await sendBotMessage(botId, { chatId, text: replyText });
+      
+      // Undelivered replies are kept too, so agents see what did not reach the user
+      const message = await dbUtils.createTicketMessage({
+        ticketId,
+        direction: 'outbound',
+        authorId: req.user.id,
+        authorName: req.user.username,
+        text,
+        status: outcome.sent ? 'sent' : 'failed',
+        error: outcome.error || null
+      });
+      
+      if (!message) {
+        return res.status(500).json({ error: 'Failed to store the reply' });
+      }
+      
+      if (outcome.sent) {
+        await recordFirstResponse(ticket);
+      }
+      
+      // The reply also shows in the user's conversation in the inbox
+      await dbUtils.recordConversationMessage({
+        platform: ticket.platform,
+        botId,
+        userId: getTicketField(ticket, 'userId'),
+        chatId,
+        username: ticket.username
+      }, {
+        direction: 'outbound',
+        sender: 'agent',
+        authorId: req.user.id,
+        authorName: req.user.username,
+        text: replyText,
+        status: message.status,
+        error: message.error
+      });
+      
+      // Recorded even when undelivered, as the reply was stored
+      setAuditDetails(req, { targetId: ticketId, after: { messageId: message.id, botId, status: message.status }, outcome: 'success' });
+      
+      if (!outcome.sent) {
+        return res.status(502).json({ error: `The reply could not be delivered: ${outcome.error}`, message });
+      }
+      
+      res.status(201).json({ message });
+    } catch (error) {
+      logger.error('Error replying to ticket:', error);
+      res.status(500).json({ error: 'Failed to reply to ticket' });
+    }
+});
+
+router.delete('/tickets/:id', authenticateJWT, auditAction('ticket.delete'), requirePermission('tickets.delete'), async (req, res) => {
+  try {
+    const ticket = await dbUtils.getTicketById(req.params.id);
+    
+    if (!ticket || !canAccessTicket(req.user, 'tickets.view', ticket)) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
+    
+    if (!canAccessTicket(req.user, 'tickets.delete', ticket)) {
+      return sendForbidden(res, 'tickets.delete');
+    }
+    
+    const success = await dbUtils.deleteTicket(req.params.id);
+    
+    if (!success) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
+    
+    setAuditDetails(req, { before: ticket });
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error deleting ticket:', error);
+    res.status(500).json({ error: 'Failed to delete ticket' });
+  }
+});
+
+// Conversation endpoints, behind the inbox of live conversations across platforms
+const CONVERSATION_STATUSES = ['open', 'snoozed', 'closed'];
+
+// Conversations are checked against grants scoped to their bot or platform
+const canAccessConversation = (user, permission, conversation) =>
+  can(user, permission, { platform: conversation.platform, botId: conversation.botId });
+
+/**
+ * Get a conversation the user may view
+ * @param {Object} user - Authenticated user
+ * @param {string} id - Conversation ID
+ * @returns {Promise<Object|null>} Conversation, or null if not found or not visible to the user
+ */
+const getVisibleConversation = async (user, id) => {
+  const conversation = await dbUtils.getConversationById(id);
+  
+  return conversation && canAccessConversation(user, 'conversations.view', conversation) ? conversation : null;
+};
+
+router.get('/conversations',
+  authenticateJWT,
+  requirePermission('conversations.view'),
+  query('status').optional().isIn(CONVERSATION_STATUSES),
+  query('platform').optional().isIn(TICKET_PLATFORMS),
+  query('botId').optional().isString().trim(),
+  query('assignedTo').optional().isString().trim(),
+  query('unread').optional().isBoolean().toBoolean(),
+  query('handoff').optional().isBoolean().toBoolean(),
+  query('search').optional().isString().trim(),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { status, platform, botId, assignedTo, unread, handoff, search } = req.query;
+      const page = req.query.page || 1;
+      const limit = req.query.limit || 20;
+      const scope = getScope(req.user, 'conversations.view');
+      const filters = {
+        status,
+        platform,
+        botId,
+        // Only the bots and platforms the user may view conversations of
+        scope: scope === null ? undefined : (scope || { bots: [], platforms: [] }),
+        // 'me' is a shortcut for the conversations assigned to the current user
+        assignedTo: assignedTo === 'me' ? req.user.id : assignedTo,
+        unread,
+        handoff,
+        search
+      };
+      
+      // Snoozed conversations are listed as open again once their time has come,
+      // and idle handoffs as back with the bot
+      await dbUtils.wakeSnoozedConversations();
+      await dbUtils.releaseIdleHandoffs();
+      
+      const [conversations, total] = await Promise.all([
+        dbUtils.getConversations({ ...filters, limit, offset: (page - 1) * limit }),
+        dbUtils.countConversations(filters)
+      ]);
+      
+      res.json({
+        conversations,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        }
+      });
+    } catch (error) {
+      logger.error('Error fetching conversations:', error);
+      res.status(500).json({ error: 'Failed to fetch conversations' });
+    }
+});
+
+router.get('/conversations/:id', authenticateJWT, requirePermission('conversations.view'), async (req, res) => {
+  try {
+    const conversation = await getVisibleConversation(req.user, req.params.id);
+    
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    
+    res.json({ conversation });
+  } catch (error) {
+    logger.error('Error fetching conversation:', error);
+    res.status(500).json({ error: 'Failed to fetch conversation' });
+  }
+});
+
+router.get('/conversations/:id/messages',
+  authenticateJWT,
+  requirePermission('conversations.view'),
+  query('before').optional().isISO8601(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const conversation = await getVisibleConversation(req.user, req.params.id);
+      
+      if (!conversation) {
+        return res.status(404).json({ error: 'Conversation not found' });
+      }
+      
+      const messages = await dbUtils.getConversationMessages(conversation.id, {
+        before: req.query.before ? new Date(req.query.before).toISOString() : null,
+        limit: req.query.limit || 50
+      });
+      
+      res.json({ messages });
+    } catch (error) {
+      logger.error('Error fetching conversation messages:', error);
+      res.status(500).json({ error: 'Failed to fetch conversation messages' });
+    }
+});
+
+// Mark a conversation read, not audited as it only resets the unread count
+router.post('/conversations/:id/read', authenticateJWT, auditAction('conversation.read'), requirePermission('conversations.update'), async (req, res) => {
+  try {
+    const conversation = await getVisibleConversation(req.user, req.params.id);
+    
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    
+    if (!canAccessConversation(req.user, 'conversations.update', conversation)) {
+      return sendForbidden(res, 'conversations.update');
+    }
+    
+    const updated = conversation.unreadCount > 0 ?
+      await dbUtils.updateConversation(conversation.id, { unreadCount: 0 }) :
+      conversation;
+    
+    if (!updated) {
+      return res.status(500).json({ error: 'Failed to update conversation' });
+    }
+    
+    res.json({ conversation: updated });
+  } catch (error) {
+    logger.error('Error marking conversation read:', error);
+    res.status(500).json({ error: 'Failed to update conversation' });
+  }
+});
+
+router.patch('/conversations/:id',
+  authenticateJWT,
+  auditAction('conversation.update'),
+  requirePermission('conversations.view'),
+  body('status').optional().isIn(CONVERSATION_STATUSES),
+  body('snoozedUntil').optional().isISO8601(),
+  body('assignedTo').optional({ values: 'null' }).isString().trim(),
+  body('handoff').optional().isBoolean({ strict: true }),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { status, snoozedUntil, assignedTo, handoff } = req.body;
+      
+      if (status === undefined && assignedTo === undefined && handoff === undefined) {
+        return res.status(400).json({ error: 'No valid update fields provided' });
+      }
+      
+      // Closing a conversation gives control back to the bot
+      if (handoff === true && status === 'closed') {
+        return res.status(400).json({ error: 'Closed conversations cannot be handed off' });
+      }
+      
+      // Snoozing needs the time the conversation comes back, which nothing else takes
+      if (status === 'snoozed' ? !(snoozedUntil && new Date(snoozedUntil) > new Date()) : snoozedUntil !== undefined) {
+        return res.status(400).json({ error: 'snoozedUntil must be a future time, given only when snoozing' });
+      }
+      
+      const existingConversation = await getVisibleConversation(req.user, req.params.id);
+      
+      if (!existingConversation) {
+        return res.status(404).json({ error: 'Conversation not found' });
+      }
+      
+      // Assigning conversations needs its own permission
+      const required = [];
+      if (assignedTo !== undefined) required.push('conversations.assign');
+      if (status !== undefined || handoff !== undefined) required.push('conversations.update');
+      
+      const missing = required.find(permission => !canAccessConversation(req.user, permission, existingConversation));
+      if (missing) {
+        return sendForbidden(res, missing);
+      }
+      
+      // Make sure conversations are only assigned to existing dashboard users
+      if (assignedTo) {
+        const assignee = await dbUtils.getUserById(assignedTo);
+        if (!assignee) {
+          return res.status(400).json({ error: 'Assignee not found' });
+        }
+      }
+      
+      // Agents take conversations over from the bot, or hand them back
+      const handoffChanges = handoff === true && !existingConversation.handoffAt ?
+        { handoffAt: new Date().toISOString(), handoffReason: 'agent' } :
+        (handoff === false || status === 'closed' ? { handoffAt: null, handoffReason: null } : {});
+      
+      const conversation = await dbUtils.updateConversation(existingConversation.id, {
+        status,
+        snoozedUntil: status === undefined ? undefined : (status === 'snoozed' ? new Date(snoozedUntil).toISOString() : null),
+        assignedTo: assignedTo === undefined ? undefined : (assignedTo || null),
+        ...handoffChanges
+      });
+      
+      if (!conversation) {
+        return res.status(500).json({ error: 'Failed to update conversation' });
+      }
+      
+      setAuditDetails(req, { before: existingConversation, after: conversation });
+      res.json({ conversation });
+    } catch (error) {
+      logger.error('Error updating conversation:', error);
+      res.status(500).json({ error: 'Failed to update conversation' });
+    }
+});
+
+router.post('/conversations/:id/messages',
+  authenticateJWT,
+  auditAction('conversation.reply'),
+  requirePermission('conversations.reply'),
+  body('text').isString().trim().isLength({ min: 1, max: 2000 }),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const conversation = await getVisibleConversation(req.user, req.params.id);
+      
+      if (!conversation) {
+        return res.status(404).json({ error: 'Conversation not found' });
+      }
+      
+      if (!canAccessConversation(req.user, 'conversations.reply', conversation)) {
+        return sendForbidden(res, 'conversations.reply');
+      }
+      
+      const { platform, botId, userId, chatId, username } = conversation;
+      
+      if (!botId || !chatId) {
+        return res.status(409).json({ error: 'This conversation has no chat to send replies to' });
+      }
+      
+      const { text } = req.body;
+      const outcome = await sendBotMessage(botId, { chatId, text });
+      
+      // Undelivered replies are kept too, so agents see what did not reach the user
+      const message = await dbUtils.recordConversationMessage({ platform, botId, userId, chatId, username }, {
+        direction: 'outbound',
+        sender: 'agent',
+        authorId: req.user.id,
+        authorName: req.user.username,
+        text,
+        status: outcome.sent ? 'sent' : 'failed',
+        error: outcome.error || null
+      });
+      
+      if (!message) {
+        return res.status(500).json({ error: 'Failed to store the reply' });
+      }
+      
+      // Answering a conversation reads it, and takes it over from the bot
+      await dbUtils.updateConversation(conversation.id, {
+        unreadCount: 0,
+        ...(conversation.handoffAt ? {} : { handoffAt: new Date().toISOString(), handoffReason: 'agent' })
+      });
+      
+      // Recorded even when undelivered, as the reply was stored
+      setAuditDetails(req, { targetId: conversation.id, after: { messageId: message.id, botId, status: message.status }, outcome: 'success' });
+      
+      if (!outcome.sent) {
+        return res.status(502).json({ error: `The reply could not be delivered: ${outcome.error}`, message });
+      }
+      
+      res.status(201).json({ message });
+    } catch (error) {
+      logger.error('Error replying to conversation:', error);
+      res.status(500).json({ error: 'Failed to reply to conversation' });
+    }
+});
+
+// Auto-reply rule endpoints
+const AUTO_REPLY_TRIGGER_TYPES = ['keyword', 'regex', 'exact'];
+
+// Bots compile regex rules with the same flags
+const isValidRegex = (pattern) => {
+  try {
+    new RegExp(pattern, 'i');
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const autoReplyRuleValidators = (isUpdate) => {
+  const field = (name) => isUpdate ? body(name).optional() : body(name);
+
+  return [
+    field('name').isString().trim().isLength({ min: 1, max: 100 }),
+    field('triggerType').isIn(AUTO_REPLY_TRIGGER_TYPES),
+    field('pattern').isString().trim().isLength({ min: 1, max: 500 }),
+    field('response').isString().trim().isLength({ min: 1, max: 2000 }),
+    body('faqTitle').optional({ values: 'null' }).isString().trim().isLength({ min: 1, max: 20 }),
+    body('platform').optional({ values: 'null' }).isIn(TICKET_PLATFORMS),
+    body('botId').optional({ values: 'null' }).isString().trim(),
+    body('priority').optional().isInt({ min: -1000, max: 1000 }).toInt(),
+    body('enabled').optional().isBoolean().toBoolean(),
+    body('handoff').optional().isBoolean().toBoolean()
+  ];
+};
+
+/**
+ * Check the parts of a rule the validators cannot check on their own
+ * @param {Object} rule - Rule as it will be stored
+ * @returns {Promise<string|null>} Error message, or null if the rule is valid
+ */
+const checkAutoReplyRule = async (rule) => {
+  if (rule.triggerType === 'regex' && !isValidRegex(rule.pattern)) {
+    return 'Pattern is not a valid regular expression';
+  }
+  
+  if (rule.botId && !(await dbUtils.getBotById(rule.botId))) {
+    return 'Bot not found';
+  }
+  
+  return null;
+};
+
+/**
+ * Get the bot and platform a rule is checked against. Rules scoped to a bot
+ * without a platform are checked against the bot's platform too.
+ * @param {Object} rule - Auto-reply rule
+ * @returns {Promise<Object>} Resource for can()
+ */
+const getRuleResource = async (rule) => {
+  if (rule.botId && !rule.platform) {
+    const bot = await dbUtils.getBotById(rule.botId);
+    return { botId: rule.botId, platform: bot?.platform };
+  }
+  
+  return { botId: rule.botId, platform: rule.platform };
+};
+
+/**
+ * Tell whether a user may work on a rule. Rules for every bot and platform
+ * need an unscoped grant.
+ * @param {Object} user - Authenticated user
+ * @param {string} permission - Permission name
+ * @param {Object} rule - Auto-reply rule
+ * @returns {Promise<boolean>} True if allowed
+ */
+const canAccessRule = async (user, permission, rule) => {
+  if (!rule.botId && !rule.platform) {
+    return getScope(user, permission) === null;
+  }
+  
+  return can(user, permission, await getRuleResource(rule));
+};
+
+router.get('/auto-reply-rules',
+  authenticateJWT,
+  requirePermission('autoReplies.view'),
+  query('platform').optional().isIn(TICKET_PLATFORMS),
+  query('botId').optional().isString().trim(),
+  query('enabled').optional().isBoolean().toBoolean(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { platform, botId, enabled } = req.query;
+      const rules = await dbUtils.getAutoReplyRules({ platform, botId, enabled });
+      const visibleRules = [];
+      
+      for (const rule of rules) {
+        if (await canAccessRule(req.user, 'autoReplies.view', rule)) {
+          visibleRules.push(rule);
+        }
+      }
+      
+      res.json({ rules: visibleRules });
+    } catch (error) {
+      logger.error('Error fetching auto-reply rules:', error);
+      res.status(500).json({ error: 'Failed to fetch auto-reply rules' });
+    }
+});
+
+router.get('/auto-reply-rules/:id', authenticateJWT, requirePermission('autoReplies.view'), async (req, res) => {
+  try {
+    const rule = await dbUtils.getAutoReplyRuleById(req.params.id);
+    
+    if (!rule || !(await canAccessRule(req.user, 'autoReplies.view', rule))) {
+      return res.status(404).json({ error: 'Auto-reply rule not found' });
+    }
+    
+    res.json({ rule });
+  } catch (error) {
+    logger.error('Error fetching auto-reply rule:', error);
+    res.status(500).json({ error: 'Failed to fetch auto-reply rule' });
+  }
+});
+
+router.post('/auto-reply-rules',
+  authenticateJWT,
+  auditAction('autoReplyRule.create'),
+  requirePermission('autoReplies.manage'),
+  autoReplyRuleValidators(false),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { name, triggerType, pattern, response, faqTitle = null, platform = null, botId = null, priority = 0, enabled = true, handoff = false } = req.body;
+      const ruleData = { name, triggerType, pattern, response, faqTitle, platform, botId, priority, enabled, handoff };
+      
+      const ruleError = await checkAutoReplyRule(ruleData);
+      if (ruleError) {
+        return res.status(400).json({ error: ruleError });
+      }
+      
+      if (!(await canAccessRule(req.user, 'autoReplies.manage', ruleData))) {
+        return sendForbidden(res, 'autoReplies.manage');
+      }
+      
+      const id = await dbUtils.createAutoReplyRule(ruleData);
+      
+      if (!id) {
+        return res.status(500).json({ error: 'Failed to create auto-reply rule' });
+      }
+      
+      const rule = await dbUtils.getAutoReplyRuleById(id);
+      
+      setAuditDetails(req, { targetId: id, after: rule });
+      res.status(201).json({ rule });
+    } catch (error) {
+      logger.error('Error creating auto-reply rule:', error);
+      res.status(500).json({ error: 'Failed to create auto-reply rule' });
+    }
+});
+
+router.patch('/auto-reply-rules/:id',
+  authenticateJWT,
+  auditAction('autoReplyRule.update'),
+  requirePermission('autoReplies.manage'),
+  autoReplyRuleValidators(true),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { id } = req.params;
+      const { name, triggerType, pattern, response, faqTitle, platform, botId, priority, enabled, handoff } = req.body;
+      const updates = { name, triggerType, pattern, response, faqTitle, platform, botId, priority, enabled, handoff };
+      
+      if (Object.values(updates).every(value => value === undefined)) {
+        return res.status(400).json({ error: 'No valid update fields provided' });
+      }
+      
+      const existingRule = await dbUtils.getAutoReplyRuleById(id);
+      
+      if (!existingRule || !(await canAccessRule(req.user, 'autoReplies.view', existingRule))) {
+        return res.status(404).json({ error: 'Auto-reply rule not found' });
+      }
+      
+      // Validate the rule as it will be after the update
+      const mergedRule = { ...existingRule };
+      for (const [field, value] of Object.entries(updates)) {
+        if (value !== undefined) {
+          mergedRule[field] = value;
+        }
+      }
+      
+      // Only check the bot when it changes, rules outlive the bots they were scoped to
+      const ruleError = await checkAutoReplyRule({ ...mergedRule, botId });
+      if (ruleError) {
+        return res.status(400).json({ error: ruleError });
+      }
+      
+      // Rules cannot be moved out of, or into, a scope the user has no access to
+      if (!(await canAccessRule(req.user, 'autoReplies.manage', existingRule)) ||
+          !(await canAccessRule(req.user, 'autoReplies.manage', mergedRule))) {
+        return sendForbidden(res, 'autoReplies.manage');
+      }
+      
+      const success = await dbUtils.updateAutoReplyRule(id, updates);
+      
+      if (!success) {
+        return res.status(500).json({ error: 'Failed to update auto-reply rule' });
+      }
+      
+      const rule = await dbUtils.getAutoReplyRuleById(id);
+      
+      setAuditDetails(req, { before: existingRule, after: rule });
+      res.json({ rule });
+    } catch (error) {
+      logger.error('Error updating auto-reply rule:', error);
+      res.status(500).json({ error: 'Failed to update auto-reply rule' });
+    }
+});
+
+router.delete('/auto-reply-rules/:id', authenticateJWT, auditAction('autoReplyRule.delete'), requirePermission('autoReplies.manage'), async (req, res) => {
+  try {
+    const rule = await dbUtils.getAutoReplyRuleById(req.params.id);
+    
+    if (!rule || !(await canAccessRule(req.user, 'autoReplies.view', rule))) {
+      return res.status(404).json({ error: 'Auto-reply rule not found' });
+    }
+    
+    if (!(await canAccessRule(req.user, 'autoReplies.manage', rule))) {
+      return sendForbidden(res, 'autoReplies.manage');
+    }
+    
+    const success = await dbUtils.deleteAutoReplyRule(req.params.id);
+    
+    if (!success) {
+      return res.status(404).json({ error: 'Auto-reply rule not found' });
+    }
+    
+    setAuditDetails(req, { before: rule });
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error deleting auto-reply rule:', error);
+    res.status(500).json({ error: 'Failed to delete auto-reply rule' });
+  }
+});
+
+// Ticket SLA policy endpoints, see ticketSla.js
+
+// A year, the longest target a policy may set
+const MAX_SLA_TARGET_MINUTES = 365 * 24 * 60;
+
+const slaPolicyValidators = (isUpdate) => {
+  const field = (name) => isUpdate ? body(name).optional() : body(name);
+
+  return [
+    field('name').isString().trim().isLength({ min: 1, max: 100 }),
+    field('priority').isIn(TICKET_PRIORITIES),
+    body('platform').optional({ values: 'null' }).isIn(TICKET_PLATFORMS),
+    body('firstResponseMinutes').optional({ values: 'null' }).isInt({ min: 1, max: MAX_SLA_TARGET_MINUTES }).toInt(),
+    body('resolutionMinutes').optional({ values: 'null' }).isInt({ min: 1, max: MAX_SLA_TARGET_MINUTES }).toInt(),
+    body('businessHours').optional().isBoolean().toBoolean(),
+    body('escalatePriority').optional().isBoolean().toBoolean(),
+    body('escalateTo').optional({ values: 'null' }).isString().trim(),
+    body('enabled').optional().isBoolean().toBoolean()
+  ];
+};
+
+/**
+ * Check the parts of a policy the validators cannot check on their own
+ * @param {Object} policy - Policy as it will be stored
+ * @param {string|null} id - ID of the policy when it is updated
+ * @returns {Promise<string|null>} Error message, or null if the policy is valid
+ */
+const checkSlaPolicy = async (policy, id = null) => {
+  if (!policy.firstResponseMinutes && !policy.resolutionMinutes) {
+    return 'Set a first response target, a resolution target or both';
+  }
+  
+  if (policy.firstResponseMinutes && policy.resolutionMinutes && policy.resolutionMinutes < policy.firstResponseMinutes) {
+    return 'The resolution target cannot be shorter than the first response target';
+  }
+  
+  if (policy.escalateTo && !(await dbUtils.getUserById(policy.escalateTo))) {
+    return 'Escalation user not found';
+  }
+  
+  // A ticket must not be subject to two policies
+  if (policy.enabled) {
+    const policies = await dbUtils.getSlaPolicies({ priority: policy.priority, enabled: true });
+    
+    if (policies.some(other => other.id !== id && other.platform === (policy.platform || null))) {
+      return `An enabled policy already covers ${policy.priority} priority tickets on ${policy.platform || 'every platform'}`;
+    }
+  }
+  
+  return null;
+};
+
+// Policies for every platform need an unscoped grant
+const canAccessSlaPolicy = (user, permission, policy) => {
+  if (!policy.platform) {
+    return getScope(user, permission) === null;
+  }
+  
+  return can(user, permission, { platform: policy.platform });
+};
+
+router.get('/sla-policies',
+  authenticateJWT,
+  requirePermission('slaPolicies.view'),
+  query('priority').optional().isIn(TICKET_PRIORITIES),
+  query('platform').optional().isIn(TICKET_PLATFORMS),
+  query('enabled').optional().isBoolean().toBoolean(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { priority, platform, enabled } = req.query;
+      const policies = await dbUtils.getSlaPolicies({ priority, platform, enabled });
+      
+      res.json({ policies: policies.filter(policy => canAccessSlaPolicy(req.user, 'slaPolicies.view', policy)) });
+    } catch (error) {
+      logger.error('Error fetching SLA policies:', error);
+      res.status(500).json({ error: 'Failed to fetch SLA policies' });
+    }
+});
+
+router.get('/sla-policies/:id', authenticateJWT, requirePermission('slaPolicies.view'), async (req, res) => {
+  try {
+    const policy = await dbUtils.getSlaPolicyById(req.params.id);
+    
+    if (!policy || !canAccessSlaPolicy(req.user, 'slaPolicies.view', policy)) {
+      return res.status(404).json({ error: 'SLA policy not found' });
+    }
+    
+    res.json({ policy });
+  } catch (error) {
+    logger.error('Error fetching SLA policy:', error);
+    res.status(500).json({ error: 'Failed to fetch SLA policy' });
+  }
+});
+
+router.post('/sla-policies',
+  authenticateJWT,
+  auditAction('slaPolicy.create'),
+  requirePermission('slaPolicies.manage'),
+  slaPolicyValidators(false),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const {
+        name, priority, platform = null, firstResponseMinutes = null, resolutionMinutes = null,
+        businessHours = true, escalatePriority = true, escalateTo = null, enabled = true
+      } = req.body;
+      const policyData = { name, priority, platform, firstResponseMinutes, resolutionMinutes, businessHours, escalatePriority, escalateTo, enabled };
+      
+      const policyError = await checkSlaPolicy(policyData);
+      if (policyError) {
+        return res.status(400).json({ error: policyError });
+      }
+      
+      if (!canAccessSlaPolicy(req.user, 'slaPolicies.manage', policyData)) {
+        return sendForbidden(res, 'slaPolicies.manage');
+      }
+      
+      const id = await dbUtils.createSlaPolicy(policyData);
+      
+      if (!id) {
+        return res.status(500).json({ error: 'Failed to create SLA policy' });
+      }
+      
+      const policy = await dbUtils.getSlaPolicyById(id);
+      
+      setAuditDetails(req, { targetId: id, after: policy });
+      res.status(201).json({ policy });
+    } catch (error) {
+      logger.error('Error creating SLA policy:', error);
+      res.status(500).json({ error: 'Failed to create SLA policy' });
+    }
+});
+
+router.patch('/sla-policies/:id',
+  authenticateJWT,
+  auditAction('slaPolicy.update'),
+  requirePermission('slaPolicies.manage'),
+  slaPolicyValidators(true),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { id } = req.params;
+      const { name, priority, platform, firstResponseMinutes, resolutionMinutes, businessHours, escalatePriority, escalateTo, enabled } = req.body;
+      const updates = { name, priority, platform, firstResponseMinutes, resolutionMinutes, businessHours, escalatePriority, escalateTo, enabled };
+      
+      if (Object.values(updates).every(value => value === undefined)) {
+        return res.status(400).json({ error: 'No valid update fields provided' });
+      }
+      
+      const existingPolicy = await dbUtils.getSlaPolicyById(id);
+      
+      if (!existingPolicy || !canAccessSlaPolicy(req.user, 'slaPolicies.view', existingPolicy)) {
+        return res.status(404).json({ error: 'SLA policy not found' });
+      }
+      
+      // Validate the policy as it will be after the update
+      const mergedPolicy = { ...existingPolicy };
+      for (const [field, value] of Object.entries(updates)) {
+        if (value !== undefined) {
+          mergedPolicy[field] = value;
+        }
+      }
+      
+      // Only check the escalation user when it changes, policies outlive the users they escalate to
+      const policyError = await checkSlaPolicy({ ...mergedPolicy, escalateTo }, id);
+      if (policyError) {
+        return res.status(400).json({ error: policyError });
+      }
+      
+      // Policies cannot be moved out of, or into, a scope the user has no access to
+      if (!canAccessSlaPolicy(req.user, 'slaPolicies.manage', existingPolicy) ||
+          !canAccessSlaPolicy(req.user, 'slaPolicies.manage', mergedPolicy)) {
+        return sendForbidden(res, 'slaPolicies.manage');
+      }
+      
+      const success = await dbUtils.updateSlaPolicy(id, updates);
+      
+      if (!success) {
+        return res.status(500).json({ error: 'Failed to update SLA policy' });
+      }
+      
+      const policy = await dbUtils.getSlaPolicyById(id);
+      
+      setAuditDetails(req, { before: existingPolicy, after: policy });
+      res.json({ policy });
+    } catch (error) {
+      logger.error('Error updating SLA policy:', error);
+      res.status(500).json({ error: 'Failed to update SLA policy' });
+    }
+});
+
+router.delete('/sla-policies/:id', authenticateJWT, auditAction('slaPolicy.delete'), requirePermission('slaPolicies.manage'), async (req, res) => {
+  try {
+    const policy = await dbUtils.getSlaPolicyById(req.params.id);
+    
+    if (!policy || !canAccessSlaPolicy(req.user, 'slaPolicies.view', policy)) {
+      return res.status(404).json({ error: 'SLA policy not found' });
+    }
+    
+    if (!canAccessSlaPolicy(req.user, 'slaPolicies.manage', policy)) {
+      return sendForbidden(res, 'slaPolicies.manage');
+    }
+    
+    const success = await dbUtils.deleteSlaPolicy(req.params.id);
+    
+    if (!success) {
+      return res.status(404).json({ error: 'SLA policy not found' });
+    }
+    
+    setAuditDetails(req, { before: policy });
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error deleting SLA policy:', error);
+    res.status(500).json({ error: 'Failed to delete SLA policy' });
+  }
+});
+
+// Lead and interaction endpoints
+const leadFilterValidators = [
+  query('platform').optional().isIn(TICKET_PLATFORMS),
+  query('userId').optional().isString().trim(),
+  query('source').optional().isString().trim(),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  query('search').optional().isString().trim(),
+  query('sortOrder').optional().isIn(['asc', 'desc'])
+];
+
+const getLeadFilters = (req) => {
+  const { platform, userId, source, from, to, search, sortOrder } = req.query;
+  return { platform, userId, source, from, to, search, sortOrder };
+};
+
+const interactionFilterValidators = [
+  query('platform').optional().isIn(TICKET_PLATFORMS),
+  query('userId').optional().isString().trim(),
+  query('command').optional().isString().trim(),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  query('search').optional().isString().trim(),
+  query('sortOrder').optional().isIn(['asc', 'desc'])
+];
+
+const getInteractionFilters = (req) => {
+  const { platform, userId, command, from, to, search, sortOrder } = req.query;
+  return { platform, userId, command, from, to, search, sortOrder };
+};
+
+router.get('/leads',
+  authenticateJWT,
+  requirePermission('reports.view'),
+  leadFilterValidators,
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const page = req.query.page || 1;
+      const limit = req.query.limit || 20;
+      const filters = getLeadFilters(req);
+      
+      const [leads, total] = await Promise.all([
+        dbUtils.getLeads({ ...filters, limit, offset: (page - 1) * limit }),
+        dbUtils.countLeads(filters)
+      ]);
+      
+      res.json({
+        leads,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        }
+      });
+    } catch (error) {
+      logger.error('Error fetching leads:', error);
+      res.status(500).json({ error: 'Failed to fetch leads' });
+    }
+});
+
+router.get('/interactions',
+  authenticateJWT,
+  requirePermission('reports.view'),
+  interactionFilterValidators,
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const page = req.query.page || 1;
+      const limit = req.query.limit || 20;
+      const filters = getInteractionFilters(req);
+      
+      const [interactions, total] = await Promise.all([
+        dbUtils.getInteractions({ ...filters, limit, offset: (page - 1) * limit }),
+        dbUtils.countInteractions(filters)
+      ]);
+      
+      res.json({
+        interactions,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        }
+      });
+    } catch (error) {
+      logger.error('Error fetching interactions:', error);
+      res.status(500).json({ error: 'Failed to fetch interactions' });
+    }
+});
+
+// Application log endpoints
+router.get('/logs',
+  authenticateJWT,
+  requirePermission('logs.view'),
+  query('level').optional().isIn(dbUtils.APP_LOG_LEVELS),
+  query('source').optional().isIn(APP_LOG_SOURCES),
+  query('botId').optional().isString().trim(),
+  query('platform').optional().isString().trim(),
+  query('userId').optional().isString().trim(),
+  query('requestId').optional().isString().trim(),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  query('search').optional().isString().trim(),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const page = req.query.page || 1;
+      const limit = req.query.limit || 50;
+      const { level, source, botId, platform, userId, requestId, from, to, search } = req.query;
+      const filters = { level, source, botId, platform, userId, requestId, from, to, search };
+      
+      // Include the records still waiting to be written
+      await flushLogs();
+      
+      const [logs, total] = await Promise.all([
+        dbUtils.getAppLogs({ ...filters, limit, offset: (page - 1) * limit }),
+        dbUtils.countAppLogs(filters)
+      ]);
+      
+      res.json({
+        logs,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        }
+      });
+    } catch (error) {
+      logger.error('Error fetching logs:', error);
+      res.status(500).json({ error: 'Failed to fetch logs' });
+    }
+});
+
+// Audit log endpoints
+const auditFilterValidators = [
+  query('actorId').optional().isString().trim(),
+  query('action').optional().isString().trim(),
+  query('targetType').optional().isString().trim(),
+  query('targetId').optional().isString().trim(),
+  query('outcome').optional().isIn(AUDIT_OUTCOMES),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  query('search').optional().isString().trim(),
+  query('sortOrder').optional().isIn(['asc', 'desc'])
+];
+
+const getAuditFilters = (req) => {
+  const { actorId, action, targetType, targetId, outcome, from, to, search, sortOrder } = req.query;
+  return { actorId, action, targetType, targetId, outcome, from, to, search, sortOrder };
+};
+
+router.get('/audit',
+  authenticateJWT,
+  requirePermission('audit.view'),
+  auditFilterValidators,
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const page = req.query.page || 1;
+      const limit = req.query.limit || 50;
+      const filters = getAuditFilters(req);
+      
+      const [entries, total] = await Promise.all([
+        dbUtils.getAuditEntries({ ...filters, limit, offset: (page - 1) * limit }),
+        dbUtils.countAuditEntries(filters)
+      ]);
+      
+      res.json({
+        entries,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        }
+      });
+    } catch (error) {
+      logger.error('Error fetching audit log:', error);
+      res.status(500).json({ error: 'Failed to fetch audit log' });
+    }
+});
+
+// Checks the hash chain of the whole audit log
+router.get('/audit/verify', authenticateJWT, requirePermission('audit.view'), async (req, res) => {
+  try {
+    res.json(await verifyAuditChain());
+  } catch (error) {
+    logger.error('Error verifying audit log:', error);
+    res.status(500).json({ error: 'Failed to verify audit log' });
+  }
+});
+
+// Export endpoints
+// Exports accept the same filters as the matching list endpoint and are streamed as they are read
+const sendExport = (type, getFilters) => async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const format = req.query.format || 'csv';
+  const filters = getFilters(req);
+  
+  res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${getExportFilename(type, format)}"`);
+  
+  try {
+    await writeExport(type, format, filters, res);
+  } catch (error) {
+    logger.error(`Error exporting ${type}:`, error);
+    
+    if (res.headersSent) {
+      // Part of the file is already on its way, abort so the download is not mistaken for complete
+      return res.destroy(error);
+    }
+    
+    res.removeHeader('Content-Type');
+    res.removeHeader('Content-Disposition');
+    res.status(500).json({ error: `Failed to export ${type}` });
+  }
+};
+
+const exportFormatValidator = query('format').optional().isIn(Object.keys(EXPORT_FORMATS));
+
+router.get('/exports/tickets', authenticateJWT, requirePermission('reports.view'), exportFormatValidator, ticketFilterValidators, sendExport('tickets', getTicketFilters));
+router.get('/exports/leads', authenticateJWT, requirePermission('reports.view'), exportFormatValidator, leadFilterValidators, sendExport('leads', getLeadFilters));
+router.get('/exports/interactions', authenticateJWT, requirePermission('reports.view'), exportFormatValidator, interactionFilterValidators, sendExport('interactions', getInteractionFilters));
+router.get('/exports/audit', authenticateJWT, requirePermission('audit.view'), exportFormatValidator, auditFilterValidators, sendExport('audit', getAuditFilters));
+
+// Analysis endpoints
+router.get('/analytics/usage', authenticateJWT, requirePermission('reports.view'), async (req, res) => {
+  try {
+    const period = req.query.period || 'day';
+    const validPeriods = ['day', 'week', 'month', 'year'];
+    
+    if (!validPeriods.includes(period)) {
+      return res.status(400).json({ error: 'Invalid period. Must be one of: day, week, month, year' });
+    }
+    
+    const stats = await dbUtils.getBotUsageStats(period);
+    res.json(stats);
+  } catch (error) {
+    logger.error('Error fetching bot usage stats:', error);
+    res.status(500).json({ error: 'Failed to fetch bot usage stats' });
+  }
+});
+
+// How tickets created in a period kept to their SLA targets, the last 30 days by default
+router.get('/analytics/sla',
+  authenticateJWT,
+  requirePermission('reports.view'),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  query('platform').optional().isIn(TICKET_PLATFORMS),
+  query('priority').optional().isIn(TICKET_PRIORITIES),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { to, platform, priority } = req.query;
+      const from = req.query.from || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
+      const compliance = await getSlaCompliance({ from, to, platform, priority });
+      
+      res.json(compliance);
+    } catch (error) {
+      logger.error('Error fetching SLA compliance:', error);
+      res.status(500).json({ error: 'Failed to fetch SLA compliance' });
+    }
+});
+
+// Settings endpoints
+router.get('/settings', authenticateJWT, requirePermission('settings.read'), async (req, res) => {
+  try {
+    // Get system settings
+    const settings = await dbUtils.getSystemSettings();
+    res.json({ settings });
+  } catch (error) {
+    logger.error('Error fetching settings:', error);
+    res.status(500).json({ error: 'Failed to fetch settings' });
+  }
+});
+
+// Security settings take effect immediately, see securityPolicy.js
+const securitySettingsValidators = [
+  body('security').optional().isObject(),
+  body('security.sessionTimeout').optional().isInt({ min: 1, max: 24 * 60 }).toInt(),
+  body('security.maxLoginAttempts').optional().isInt({ min: 1, max: 100 }).toInt(),
+  body('security.rateLimitRequests').optional().isInt({ min: 1, max: 100000 }).toInt(),
+  body('security.rateLimitWindow').optional().isInt({ min: 1, max: 24 * 60 }).toInt(),
+  body('security.enforceHttps').optional().isBoolean().toBoolean(),
+  body('security.csrfProtection').optional().isBoolean().toBoolean(),
+  body('security.requireSso').optional().isBoolean().toBoolean()
+];
+
+// Business hours SLA clocks run in, see ticketSla.js
+const businessHoursSettingsValidators = [
+  body('businessHours').optional().isObject(),
+  body('businessHours.timezone').optional().isString().custom(isValidTimeZone).withMessage('Unknown time zone'),
+  body('businessHours.days').optional().isArray({ min: 1, max: 7 }),
+  body('businessHours.days.*').isInt({ min: 0, max: 6 }).toInt(),
+  body('businessHours.start').optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/),
+  body('businessHours.end').optional().matches(/^(([01]\d|2[0-3]):[0-5]\d|24:00)$/)
+];
+
+// Requiring single sign-on must leave a way in when the provider is down
+const checkRequireSso = async () => {
+  if (!isSsoConfigured()) {
+    return 'Configure single sign-on before requiring it';
+  }
+  
+  const users = await dbUtils.getAllUsers();
+  
+  if (!users.some(user => user.breakglass && user.status === 'active' && can(user, 'settings.write'))) {
+    return 'Mark an active account that can change settings as break-glass before requiring single sign-on';
+  }
+  
+  return null;
+};
+
+router.put('/settings', authenticateJWT, auditAction('settings.update'), requirePermission('settings.write'), securitySettingsValidators, businessHoursSettingsValidators, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
   try {
     // Validate incoming settings
-    if (!req.body) {
+    if (!req.body || Object.keys(req.body).length === 0) {
       return res.status(400).json({ error: 'Settings data is required' });
     }
     
+    // Sections are saved one at a time, so merge them into the stored settings
+    const settings = await dbUtils.getSystemSettings();
+    
+    if (!settings) {
+      return res.status(500).json({ error: 'Failed to save settings' });
+    }
+    
+    const previousSettings = JSON.parse(JSON.stringify(settings));
+    
+    if (req.body.security?.requireSso && !settings.security?.requireSso) {
+      const problem = await checkRequireSso();
+      
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+    }
+    
+    for (const [section, values] of Object.entries(req.body)) {
+      settings[section] = values && typeof values === 'object' && !Array.isArray(values)
+        ? { ...settings[section], ...values }
+        : values;
+    }
+    
+    const { start, end } = settings.businessHours || {};
+    if (req.body.businessHours && start && end && start >= end) {
+      return res.status(400).json({ error: 'Business hours must end after they start' });
+    }
+    
     // Save settings to database
-    const success = await dbUtils.saveSystemSettings(req.body);
+    const success = await dbUtils.saveSystemSettings(settings);
     
     if (!success) {
       return res.status(500).json({ error: 'Failed to save settings' });
     }
     
+    await loadSecuritySettings();
+    
+    setAuditDetails(req, { before: previousSettings, after: settings });
     res.json({ success: true, message: 'Settings updated successfully' });
   } catch (error) {
     logger.error('Error saving settings:', error);
@@ -659,7 +3194,7 @@ router.put('/settings', authenticateJWT, async (req, res) => {
   }
 });
 
-router.post('/settings/test-database', authenticateJWT, body('database').isObject(), async (req, res) => {
+router.post('/settings/test-database', authenticateJWT, auditAction('settings.testDatabase'), requirePermission('settings.write'), body('database').isObject(), async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({ errors: errors.array() });
@@ -681,6 +3216,7 @@ router.post('/settings/test-database', authenticateJWT, body('database').isObjec
       result.message = 'Database engine is required';
     }
     
+    setAuditDetails(req, { details: { engine: database.engine, success: result.success } });
     res.json(result);
   } catch (error) {
     logger.error('Error testing database connection:', error);
@@ -688,54 +3224,96 @@ router.post('/settings/test-database', authenticateJWT, body('database').isObjec
   }
 });
 
-router.post('/settings/regenerate-keys', authenticateJWT, checkAdminRole, async (req, res) => {
-  try {
-    // This would regenerate API keys and secrets in a real implementation
-    // For now we'll just return success
-    res.json({ 
-      success: true, 
-      message: 'Security keys regenerated successfully'
-    });
-  } catch (error) {
-    logger.error('Error regenerating security keys:', error);
-    res.status(500).json({ error: 'Failed to regenerate security keys' });
-  }
+router.get('/settings/signing-keys', authenticateJWT, requirePermission('settings.write'), (req, res) => {
+  res.json({ keys: listSigningKeys(), gracePeriod: DEFAULT_GRACE_PERIOD });
 });
 
-router.post('/settings/backup', authenticateJWT, checkAdminRole, async (req, res) => {
+// Rotates the token signing keys; tokens signed with the previous keys stay valid for the grace period (hours)
+router.post('/settings/regenerate-keys',
+  authenticateJWT,
+  auditAction('settings.signingKeys.rotate'),
+  requirePermission('settings.write'),
+  body('gracePeriod').optional().isInt({ min: 0, max: 30 * 24 }).toInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const gracePeriod = req.body.gracePeriod ?? DEFAULT_GRACE_PERIOD;
+      const keys = await rotateSigningKeys({ gracePeriod });
+      setAuditDetails(req, { details: { gracePeriod, activeKeys: keys.filter(key => key.status === 'active').map(key => key.kid) } });
+      
+      res.json({ 
+        success: true, 
+        message: gracePeriod > 0
+          ? `Security keys regenerated, current sessions remain valid for ${gracePeriod} hours`
+          : 'Security keys regenerated, all sessions have been signed out',
+        gracePeriod,
+        keys
+      });
+    } catch (error) {
+      logger.error('Error regenerating security keys:', error);
+      res.status(500).json({ error: 'Failed to regenerate security keys' });
+    }
+});
+
+router.post('/settings/backup', authenticateJWT, auditAction('backup.create'), requirePermission('backups.manage'), async (req, res) => {
   try {
-    // In a real implementation, this would create an actual backup
-    // For demo purposes, we'll just create a dummy file
-    const timestamp = new Date().toISOString().replace(/:/g, '-');
-    const filename = `backup-${timestamp}.zip`;
+    const backup = await createBackup();
+    setAuditDetails(req, { targetId: backup.filename, details: backup.manifest });
     
     // Set headers for file download
-    res.setHeader('Content-Type', 'application/zip');
-    res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+    res.setHeader('Content-Type', 'application/gzip');
+    res.setHeader('Content-Disposition', `attachment; filename=${backup.filename}`);
+    res.setHeader('X-Backup-Schema-Version', String(backup.manifest.schemaVersion));
     
-    // Create dummy data
-    const dummyData = Buffer.from('This is a dummy backup file for demonstration purposes.');
-    
-    // Send the response
-    res.send(dummyData);
+    res.send(backup.buffer);
   } catch (error) {
     logger.error('Error creating backup:', error);
     res.status(500).json({ error: 'Failed to create backup' });
   }
 });
 
-router.post('/settings/restore', authenticateJWT, checkAdminRole, async (req, res) => {
-  try {
-    // In a real implementation, this would restore from the uploaded backup
-    // For now we'll just return success
-    res.json({ 
-      success: true, 
-      message: 'Backup restored successfully'
-    });
-  } catch (error) {
-    logger.error('Error restoring backup:', error);
-    res.status(500).json({ error: 'Failed to restore backup' });
-  }
+// The archive is uploaded as the raw request body
+router.post('/settings/restore',
+  authenticateJWT,
+  auditAction('backup.restore'),
+  requirePermission('backups.manage'),
+  express.raw({ type: ['application/gzip', 'application/x-gzip', 'application/octet-stream'], limit: '200mb' }),
+  query('dryRun').optional().isBoolean().toBoolean(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ error: 'Backup file is required' });
+      }
+      
+      const result = await restoreBackup(req.body, { dryRun: req.query.dryRun === true });
+      setAuditDetails(req, { details: { dryRun: result.dryRun, counts: result.report.counts } });
+      
+      if (!result.success) {
+        return res.status(400).json({ error: 'Backup validation failed', ...result });
+      }
+      
+      // Restored roles apply right away
+      if (!result.dryRun) {
+        await loadRoles();
+      }
+      
+      res.json({
+        ...result,
+        message: result.dryRun ? 'Backup is valid and can be restored' : 'Backup restored successfully'
+      });
+    } catch (error) {
+      logger.error('Error restoring backup:', error);
+      res.status(500).json({ error: 'Failed to restore backup' });
+    }
 });
 
 // User profile endpoints
@@ -760,6 +3338,8 @@ router.get('/profile', authenticateJWT, async (req, res) => {
 
 router.put('/profile', 
   authenticateJWT,
+  auditAction('user.profile.update'),
+  rejectApiTokens,
   body('username').optional().isString().trim().isLength({ min: 3 }),
   body('email').optional().isEmail().normalizeEmail(),
   body('currentPassword').optional().isString().trim(),
@@ -773,33 +3353,17 @@ router.put('/profile',
     try {
       const { username, email, currentPassword, newPassword } = req.body;
       const userId = req.user.id;
+      setAuditDetails(req, { targetId: userId });
       
       // Check if this is a password change request
       if (currentPassword && newPassword) {
-        const user = await dbUtils.getUserById(userId);
-        
-        if (!user) {
-          return res.status(404).json({ error: 'User not found' });
-        }
-        
-        // Verify current password
-        const isPasswordValid = await bcrypt.compare(currentPassword, user.password);
-        
-        if (!isPasswordValid) {
-          return res.status(401).json({ error: 'Current password is incorrect' });
-        }
-        
-        // Hash new password
-        const saltRounds = 10;
-        const hashedPassword = await bcrypt.hash(newPassword, saltRounds);
+        const result = await changePassword(userId, currentPassword, newPassword, await dbUtils.getConnection());
         
-        // Update password
-        const success = await dbUtils.changeUserPassword(userId, hashedPassword);
-        
-        if (!success) {
-          return res.status(500).json({ error: 'Failed to update password' });
+        if (!result.success) {
+          return res.status(400).json({ error: result.error });
         }
         
+        setAuditDetails(req, { details: { passwordChanged: true } });
         return res.json({ success: true, message: 'Password updated successfully' });
       }
       
@@ -814,7 +3378,8 @@ router.put('/profile',
         }
         
         // Update user profile
-        const success = await dbUtils.updateUserProfile(userId, { username, email });
+        const previousUser = await dbUtils.getUserById(userId);
+        const success = previousUser && await dbUtils.updateUserProfile(userId, { username, email });
         
         if (!success) {
           return res.status(404).json({ error: 'User not found' });
@@ -822,6 +3387,7 @@ router.put('/profile',
         
         // Get updated user data
         const updatedUser = await dbUtils.getUserById(userId);
+        setAuditDetails(req, { before: previousUser, after: updatedUser });
         
         // Remove sensitive data
         if (updatedUser) {
@@ -839,184 +3405,157 @@ router.put('/profile',
     }
 });
 
-// Dashboard data endpoints
-router.get('/dashboard/summary', authenticateJWT, async (req, res) => {
-  try {
-    const summary = await dbUtils.getDashboardSummary();
-    res.json(summary);
-  } catch (error) {
-    logger.error('Error fetching dashboard summary:', error);
-    res.status(500).json({ error: 'Failed to fetch dashboard summary' });
-  }
+// Personal API tokens. Automation clients send them as bearer tokens instead of
+// signing in; a token only uses the permissions in its scopes, and only while
+// the user's role still grants them.
+
+const toApiTokenResponse = (apiToken) => ({
+  id: apiToken.id,
+  name: apiToken.name,
+  prefix: apiToken.tokenPrefix,
+  scopes: apiToken.scopes,
+  allowedIps: apiToken.allowedIps,
+  createdAt: apiToken.createdAt,
+  lastUsedAt: apiToken.lastUsedAt,
+  lastUsedIp: apiToken.lastUsedIp,
+  expiresAt: apiToken.expiresAt,
+  expired: isExpired(apiToken)
 });
 
-router.get('/dashboard/recent-activity', authenticateJWT, async (req, res) => {
+router.get('/profile/tokens', authenticateJWT, rejectApiTokens, async (req, res) => {
   try {
-    const limit = parseInt(req.query.limit) || 10;
-    const activity = await dbUtils.getRecentActivity(limit);
-    res.json({ activity });
+    const apiTokens = await dbUtils.getUserApiTokens(req.user.id);
+    res.json({ tokens: apiTokens.map(toApiTokenResponse) });
   } catch (error) {
-    logger.error('Error fetching recent activity:', error);
-    res.status(500).json({ error: 'Failed to fetch recent activity' });
+    logger.error('Error fetching API tokens:', error);
+    res.status(500).json({ error: 'Failed to fetch API tokens' });
   }
 });
 
-// Helper functions
-const botProcesses = {};
+// The token itself is only returned here, it cannot be retrieved later
+router.post('/profile/tokens',
+  authenticateJWT,
+  auditAction('apiToken.create'),
+  rejectApiTokens,
+  body('name').isString().trim().isLength({ min: 1, max: 100 }),
+  body('scopes').isArray({ min: 1 }),
+  body('scopes.*').isIn(Object.keys(PERMISSIONS)),
+  body('expiresAt').optional({ values: 'null' }).isISO8601().custom((value) => {
+    if (new Date(value) <= new Date()) {
+      throw new Error('Expiry must be in the future');
+    }
+    return true;
+  }),
+  body('allowedIps').optional({ values: 'null' }).isArray(),
+  body('allowedIps.*').custom((value) => {
+    if (!parseIpRange(value)) {
+      throw new Error('Must be an IP address or CIDR range');
+    }
+    return true;
+  }),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-async function startBotProcess(bot) {
-  // Stop existing process if any
-  if (botProcesses[bot.id]) {
-    await stopBotProcess(bot.id);
-  }
-  
-  // Determine which bot script to run based on platform and type
-  let scriptPath;
-  if (bot.platform === 'Discord') {
-    scriptPath = bot.type === 'Moderation' ? 
-      path.join(__dirname, '../bots/discordModBot.js') : 
-      path.join(__dirname, '../bots/discordBot.js');
-  } else if (bot.platform === 'Telegram') {
-    scriptPath = path.join(__dirname, '../bots/telegramBot.js');
-  } else if (bot.platform === 'WhatsApp') {
-    scriptPath = path.join(__dirname, '../bots/whatsappBot.js');
-  } else if (bot.platform === 'Messenger') {
-    scriptPath = path.join(__dirname, '../bots/messengerBot.js');
-  } else if (bot.platform === 'Instagram') {
-    scriptPath = path.join(__dirname, '../bots/instagramBot.js');
-  }
-  
-  if (!scriptPath) {
-    throw new Error(`No script available for platform: ${bot.platform}`);
-  }
-  
-  logger.info(`Starting bot ${bot.name} (ID: ${bot.id}) using script: ${scriptPath}`);
-  
-  try {
-    // Pass the bot ID as a command-line argument
-    const botProcess = spawn('node', [scriptPath, bot.id], {
-      env: {
-        ...process.env,
-        NODE_ENV: process.env.NODE_ENV || 'production'
-      },
-      detached: true, // Run the process in detached mode so it can continue running independently
-      stdio: ['ignore', 'pipe', 'pipe'] // Configure stdio to capture output but not block on stdin
-    });
-    
-    // Store the process reference
-    botProcesses[bot.id] = botProcess;
-    
-    // Handle process events
-    botProcess.stdout.on('data', (data) => {
-      logger.info(`Bot ${bot.name} (${bot.id}): ${data.toString().trim()}`);
-    });
-    
-    botProcess.stderr.on('data', (data) => {
-      logger.error(`Bot ${bot.name} (${bot.id}) error: ${data.toString().trim()}`);
-      // Don't update status to error immediately, as some errors might be transient
-    });
-    
-    botProcess.on('close', (code) => {
-      logger.info(`Bot ${bot.name} (${bot.id}) exited with code ${code}`);
+    try {
+      const { name, scopes, expiresAt, allowedIps } = req.body;
       
-      // Only delete the process reference and update status if this was an actual termination
-      // and not a restart or planned shutdown
-      if (botProcesses[bot.id] === botProcess) {
-        delete botProcesses[bot.id];
-        
-        // Update bot status to offline
-        dbUtils.updateBotStatus(bot.id, 'offline').catch(err => {
-          logger.error(`Failed to update status to offline for bot ${bot.id}:`, err);
-        });
-      }
-    });
-    
-    // Add an error event handler
-    botProcess.on('error', (err) => {
-      logger.error(`Bot ${bot.name} (${bot.id}) process error:`, err);
+      // Tokens cannot use permissions their user does not hold
+      const missing = scopes.find(permission => !canAny(req.user, permission));
       
-      // Only update status if this was the most recent process
-      if (botProcesses[bot.id] === botProcess) {
-        dbUtils.updateBotStatus(bot.id, 'error').catch(err => {
-          logger.error(`Failed to update status to error for bot ${bot.id}:`, err);
-        });
+      if (missing) {
+        return sendForbidden(res, missing);
       }
-    });
-    
-    // Prevent the parent process from waiting for this child to exit
-    botProcess.unref();
+      
+      const { token, apiToken } = await createApiToken(req.user, {
+        name,
+        scopes,
+        expiresAt: expiresAt ? new Date(expiresAt) : null,
+        allowedIps: allowedIps || []
+      });
+      
+      setAuditDetails(req, { targetId: apiToken.id, after: toApiTokenResponse(apiToken) });
+      
+      res.status(201).json({ token, apiToken: toApiTokenResponse(apiToken) });
+    } catch (error) {
+      logger.error('Error creating API token:', error);
+      res.status(500).json({ error: 'Failed to create API token' });
+    }
+});
+
+// Users can revoke their own API tokens, user managers any API token
+router.delete('/profile/tokens/:id', authenticateJWT, auditAction('apiToken.revoke'), rejectApiTokens, async (req, res) => {
+  try {
+    const apiToken = await dbUtils.getApiTokenById(req.params.id);
     
-    // Give the process a moment to start up
-    await new Promise(resolve => setTimeout(resolve, 1000));
+    if (!apiToken || apiToken.revokedAt || (apiToken.userId !== req.user.id && !can(req.user, 'users.manage'))) {
+      return res.status(404).json({ error: 'API token not found' });
+    }
     
-    // Log success
-    logger.info(`Bot ${bot.name} (${bot.id}) process started successfully`);
-    return true;
-  } catch (error) {
-    logger.error(`Failed to start bot ${bot.name} (${bot.id}):`, error);
+    await dbUtils.revokeApiToken(apiToken.id);
+    setAuditDetails(req, { details: { userId: apiToken.userId, name: apiToken.name } });
     
-    // Update bot status to error
-    try {
-      await dbUtils.updateBotStatus(bot.id, 'error');
-    } catch (dbError) {
-      logger.error(`Failed to update status to error for bot ${bot.id}:`, dbError);
+    if (apiToken.userId !== req.user.id) {
+      logger.warn(`API token ${apiToken.id} of user ${apiToken.userId} revoked by ${req.user.username}`);
     }
     
-    throw error;
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error revoking API token:', error);
+    res.status(500).json({ error: 'Failed to revoke API token' });
+  }
+});
+
+router.get('/users/:id/tokens', authenticateJWT, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const apiTokens = await dbUtils.getUserApiTokens(req.params.id);
+    res.json({ tokens: apiTokens.map(toApiTokenResponse) });
+  } catch (error) {
+    logger.error('Error fetching user API tokens:', error);
+    res.status(500).json({ error: 'Failed to fetch user API tokens' });
   }
-}
+});
 
-async function stopBotProcess(id) {
-  if (botProcesses[id]) {
-    logger.info(`Stopping bot ${id}`);
+// Revoke every API token of a user, e.g. when a script's credentials leaked
+router.delete('/users/:id/tokens', authenticateJWT, auditAction('user.apiTokens.revoke'), requirePermission('users.manage'), async (req, res) => {
+  try {
+    const revoked = await dbUtils.revokeUserApiTokens(req.params.id);
+    setAuditDetails(req, { details: { revoked } });
     
-    try {
-      const botProcess = botProcesses[id];
-      
-      // First try to gracefully terminate with SIGTERM
-      botProcess.kill('SIGTERM');
-      
-      // Set a timeout to force kill if it doesn't exit gracefully
-      const killTimeout = setTimeout(() => {
-        if (botProcesses[id] === botProcess) {
-          logger.warn(`Bot ${id} did not exit gracefully, force killing`);
-          botProcess.kill('SIGKILL');
-          delete botProcesses[id];
-        }
-      }, 5000);
-      
-      // Create a promise that resolves when the process exits
-      const exitPromise = new Promise(resolve => {
-        botProcess.once('exit', () => {
-          clearTimeout(killTimeout);
-          resolve();
-        });
-      });
-      
-      // Wait for the process to exit, with a timeout
-      await Promise.race([
-        exitPromise,
-        new Promise(resolve => setTimeout(resolve, 6000))
-      ]);
-      
-      // Delete the reference if it's still the same process
-      if (botProcesses[id] === botProcess) {
-        delete botProcesses[id];
-      }
-      
-      logger.info(`Bot ${id} stopped successfully`);
-      return true;
-    } catch (error) {
-      logger.error(`Error stopping bot ${id}:`, error);
-      // Still delete the reference even if there was an error
-      delete botProcesses[id];
-      return false;
+    if (revoked > 0) {
+      logger.warn(`${revoked} API tokens of user ${req.params.id} revoked by ${req.user.username}`);
     }
+    
+    res.json({ success: true, revoked });
+  } catch (error) {
+    logger.error('Error revoking user API tokens:', error);
+    res.status(500).json({ error: 'Failed to revoke user API tokens' });
   }
-  
-  logger.info(`No running process found for bot ${id}`);
-  return true;
-}
+});
+
+// Dashboard data endpoints
+router.get('/dashboard/summary', authenticateJWT, async (req, res) => {
+  try {
+    const summary = await dbUtils.getDashboardSummary();
+    res.json(summary);
+  } catch (error) {
+    logger.error('Error fetching dashboard summary:', error);
+    res.status(500).json({ error: 'Failed to fetch dashboard summary' });
+  }
+});
+
+router.get('/dashboard/recent-activity', authenticateJWT, async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 10;
+    const activity = await dbUtils.getRecentActivity(limit);
+    res.json({ activity });
+  } catch (error) {
+    logger.error('Error fetching recent activity:', error);
+    res.status(500).json({ error: 'Failed to fetch recent activity' });
+  }
+});
 
 // Export the router
 export default router;
\ No newline at end of file
@@ -0,0 +1,192 @@
+/**
+ * Personal API Tokens
+ *
+ * This module issues and checks the long-lived tokens automation clients use
+ * instead of signing in. A token acts for the user who created it, limited to
+ * the permissions listed as its scopes: it never grants more than the user's
+ * current role, and stops working when the user is suspended or deleted. Tokens
+ * are stored hashed, may expire and may be restricted to IP addresses or ranges.
+ */
+
+import crypto from 'crypto';
+import net from 'net';
+import logger from '../utils/logging.js';
+import * as dbUtils from '../utils/dbUtils.js';
+
+// Tells API tokens apart from access tokens in the Authorization header
+const API_TOKEN_PREFIX = 'pat_';
+
+// Characters of a token kept in clear text, so users can tell their tokens apart
+const DISPLAY_PREFIX_LENGTH = API_TOKEN_PREFIX.length + 8;
+
+// Token usage is written at most this often per token, unless its IP address changes
+const USAGE_UPDATE_INTERVAL = 60 * 1000;
+
+/**
+ * Tell whether a bearer token is an API token rather than an access token
+ * @param {string} token - Bearer token
+ * @returns {boolean} True for API tokens
+ */
+function isApiToken(token) {
+  return typeof token === 'string' && token.startsWith(API_TOKEN_PREFIX);
+}
+
+// API tokens store a hash of their secret, never the secret itself
+function hashApiToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Parse an allowed IP address or CIDR range
+ * @param {string} value - IP address or range, e.g. '203.0.113.7' or '10.0.0.0/8'
+ * @returns {Object|null} Network address, prefix length and family, or null if invalid
+ */
+function parseIpRange(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const [address, prefix, ...rest] = value.trim().split('/');
+  const version = net.isIP(address);
+  const maxPrefix = version === 6 ? 128 : 32;
+
+  if (!version || rest.length > 0 || (prefix !== undefined && !/^\d+$/.test(prefix))) {
+    return null;
+  }
+
+  const prefixLength = prefix === undefined ? maxPrefix : parseInt(prefix);
+
+  return prefixLength <= maxPrefix
+    ? { address, prefixLength, family: version === 6 ? 'ipv6' : 'ipv4' }
+    : null;
+}
+
+/**
+ * Tell whether an IP address is within the allowed IP addresses and ranges of a token
+ * @param {Array} allowedIps - Allowed IP addresses and ranges, empty to allow any
+ * @param {string} ipAddress - Client IP address
+ * @returns {boolean} True if allowed
+ */
+function isIpAllowed(allowedIps, ipAddress) {
+  if (allowedIps.length === 0) {
+    return true;
+  }
+
+  // IPv4 clients of dual-stack servers show up as IPv4-mapped IPv6 addresses
+  const address = String(ipAddress || '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+  const version = net.isIP(address);
+
+  if (!version) {
+    return false;
+  }
+
+  const allowed = new net.BlockList();
+
+  for (const range of allowedIps.map(parseIpRange).filter(Boolean)) {
+    allowed.addSubnet(range.address, range.prefixLength, range.family);
+  }
+
+  return allowed.check(address, version === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Create an API token for a user
+ * @param {Object} user - User the token acts for
+ * @param {Object} options - Token options
+ * @param {string} options.name - Name telling what the token is used for
+ * @param {Array} options.scopes - Permissions the token may use
+ * @param {Date} options.expiresAt - When the token stops working (optional)
+ * @param {Array} options.allowedIps - IP addresses and ranges the token may be used from (optional)
+ * @returns {Promise<Object>} The token, shown only once, and its stored record
+ */
+async function createApiToken(user, { name, scopes, expiresAt, allowedIps = [] }) {
+  const token = `${API_TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const id = crypto.randomUUID();
+
+  const created = await dbUtils.createApiToken({
+    id,
+    userId: user.id,
+    name,
+    tokenHash: hashApiToken(token),
+    tokenPrefix: token.substring(0, DISPLAY_PREFIX_LENGTH),
+    scopes: [...new Set(scopes)],
+    allowedIps: allowedIps.map(value => value.trim()),
+    expiresAt
+  });
+
+  if (!created) {
+    throw new Error('Failed to store the API token');
+  }
+
+  logger.info(`API token ${id} created for user ${user.id}`);
+
+  return { token, apiToken: await dbUtils.getApiTokenById(id) };
+}
+
+/**
+ * Tell whether an API token has expired
+ * @param {Object} apiToken - Stored API token
+ * @returns {boolean} True once it has expired
+ */
+function isExpired(apiToken) {
+  return Boolean(apiToken.expiresAt && new Date(apiToken.expiresAt) <= new Date());
+}
+
+/**
+ * Authenticate a request made with an API token
+ * @param {string} token - API token from the Authorization header
+ * @param {string} ipAddress - Client IP address
+ * @returns {Promise<Object|null>} User the token acts for, with its token ID and scopes,
+ *   or null if the token is unknown, revoked, expired or used from another IP address
+ */
+async function authenticateApiToken(token, ipAddress) {
+  const apiToken = await dbUtils.getApiTokenByHash(hashApiToken(token));
+
+  if (!apiToken || apiToken.revokedAt || isExpired(apiToken)) {
+    return null;
+  }
+
+  if (!isIpAllowed(apiToken.allowedIps, ipAddress)) {
+    logger.warn(`Rejected API token ${apiToken.id} used from ${ipAddress}`);
+    return null;
+  }
+
+  const user = await dbUtils.getUserById(apiToken.userId);
+
+  if (!user || user.status !== 'active') {
+    return null;
+  }
+
+  const lastUsedAt = apiToken.lastUsedAt ? new Date(apiToken.lastUsedAt).getTime() : 0;
+
+  if (apiToken.lastUsedIp !== ipAddress || Date.now() - lastUsedAt >= USAGE_UPDATE_INTERVAL) {
+    dbUtils.touchApiToken(apiToken.id, ipAddress);
+  }
+
+  return {
+    id: user.id,
+    username: user.username,
+    email: user.email,
+    role: user.role,
+    tokenId: apiToken.id,
+    scopes: apiToken.scopes
+  };
+}
+
+// Refuse API tokens on routes managing credentials, which need a signed-in user
+function rejectApiTokens(req, res, next) {
+  if (req.user?.tokenId) {
+    return res.status(403).json({ error: 'This endpoint cannot be used with an API token' });
+  }
+
+  next();
+}
+
+export {
+  isApiToken,
+  parseIpRange,
+  createApiToken,
+  isExpired,
+  authenticateApiToken,
+  rejectApiTokens
+};
@@ -0,0 +1,289 @@
+/**
+ * Audit Trail
+ *
+ * This module records who did what through the API: every mutating route adds
+ * an entry to the append-only audit log with the actor, their IP address, the
+ * action, its target and a before/after diff of what changed. Attempts refused
+ * for lack of authentication or permission are recorded too. Each entry stores
+ * the hash of the previous one, so editing or removing an entry breaks the
+ * chain, which verifyAuditChain detects.
+ */
+
+import crypto from 'crypto';
+import logger from '../utils/logging.js';
+import * as dbUtils from '../utils/dbUtils.js';
+import { isSecretField } from '../utils/botSecrets.js';
+
+const AUDIT_OUTCOMES = ['success', 'denied'];
+
+// Previous hash of the first entry
+const GENESIS_HASH = '0'.repeat(64);
+
+// Replaces secrets in diffs and details
+const REDACTED = '[redacted]';
+
+// Fields never written to the audit log, even redacted; password changes have their own actions
+const OMITTED_FIELDS = ['password', 'twoFactorSecret', '_encrypted', 'tokenHash', 'previousTokenHash'];
+
+// Attempts to append an entry when another server instance takes its sequence number
+const APPEND_ATTEMPTS = 3;
+
+// Entries read per query while verifying the chain
+const VERIFY_BATCH_SIZE = 500;
+
+let lastEntry = null;
+let appending = Promise.resolve();
+
+/**
+ * Serialize a value as JSON with sorted object keys, so the same entry always
+ * hashes the same, whichever engine stored it
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+
+  // Undefined fields are left out, as they are when the entry is stored
+  if (value !== null && typeof value === 'object') {
+    return `{${Object.keys(value).filter(key => value[key] !== undefined).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Compute the hash of an entry, covering every field but the hash itself
+ * @param {Object} entry - Audit log entry
+ * @returns {string} SHA-256 hash in hex
+ */
+function hashEntry(entry) {
+  const { hash, ...fields } = entry;
+  return crypto.createHash('sha256')
+    .update(canonicalJson({ ...fields, timestamp: new Date(fields.timestamp).toISOString() }))
+    .digest('hex');
+}
+
+/**
+ * Redact the secrets of a value before it is written to the audit log
+ * @param {*} value - Value to redact
+ * @returns {*} Copy of the value with secret fields redacted
+ */
+function redact(value) {
+  if (Array.isArray(value)) {
+    return value.map(redact);
+  }
+
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+
+  return Object.fromEntries(Object.entries(value)
+    .filter(([field]) => !OMITTED_FIELDS.includes(field))
+    .map(([field, fieldValue]) => [field, redactField(field, fieldValue)]));
+}
+
+// Redact a field of a resource, entirely if it holds a secret
+function redactField(field, value) {
+  return isSecretField(field) && value ? REDACTED : redact(value);
+}
+
+/**
+ * Diff two versions of a resource, field by field
+ * @param {Object} before - Resource before the action, null if it was created
+ * @param {Object} after - Resource after the action, null if it was deleted
+ * @returns {Object|null} Changed fields with their before and after values, or null if nothing changed
+ */
+function diffChanges(before, after) {
+  if (!before && !after) {
+    return null;
+  }
+
+  const previous = before || {};
+  const next = after || {};
+  const changes = {};
+
+  for (const field of new Set([...Object.keys(previous), ...Object.keys(next)])) {
+    // Compared before redacting, so changed secrets show up as changed
+    if (!OMITTED_FIELDS.includes(field) && canonicalJson(previous[field]) !== canonicalJson(next[field])) {
+      changes[field] = {
+        before: redactField(field, previous[field]) ?? null,
+        after: redactField(field, next[field]) ?? null
+      };
+    }
+  }
+
+  return Object.keys(changes).length > 0 ? changes : null;
+}
+
+/**
+ * Write an entry chained to the last one
+ * @param {Object} fields - Entry without sequence, timestamp and hashes
+ * @returns {Promise<Object>} Stored entry
+ */
+async function writeEntry(fields) {
+  for (let attempt = 0; attempt < APPEND_ATTEMPTS; attempt++) {
+    if (!lastEntry) {
+      lastEntry = await dbUtils.getLastAuditEntry() || { sequence: 0, hash: GENESIS_HASH };
+    }
+
+    const entry = {
+      sequence: lastEntry.sequence + 1,
+      timestamp: new Date().toISOString(),
+      ...fields,
+      previousHash: lastEntry.hash
+    };
+    entry.hash = hashEntry(entry);
+
+    if (await dbUtils.insertAuditEntry(entry)) {
+      lastEntry = entry;
+      return entry;
+    }
+
+    // Another server instance may have appended in the meantime
+    lastEntry = null;
+  }
+
+  throw new Error('Failed to append to the audit log');
+}
+
+/**
+ * Append an entry to the audit log. Entries are written one at a time, in order.
+ * @param {Object} fields - Entry fields
+ * @param {string} fields.action - Action, e.g. 'bot.delete'
+ * @param {string} fields.outcome - 'success' or 'denied'
+ * @param {Object} fields.actor - User who acted, with id and username (optional)
+ * @param {string} fields.targetType - Type of the resource acted on (optional)
+ * @param {string} fields.targetId - ID of the resource acted on (optional)
+ * @param {Object} fields.before - Resource before the action (optional)
+ * @param {Object} fields.after - Resource after the action (optional)
+ * @param {Object} fields.details - Other facts worth keeping, e.g. counts (optional)
+ * @param {string} fields.ipAddress - Client IP address (optional)
+ * @param {string} fields.userAgent - Client user agent (optional)
+ * @param {string} fields.requestId - ID of the API request (optional)
+ * @returns {Promise<Object>} Stored entry
+ */
+function appendAuditEntry({ action, outcome, actor, targetType, targetId, before, after, details, ipAddress, userAgent, requestId }) {
+  const fields = {
+    actorId: actor?.id || null,
+    actorUsername: actor?.username || null,
+    ipAddress: ipAddress || null,
+    userAgent: userAgent || null,
+    action,
+    outcome,
+    targetType: targetType || null,
+    targetId: targetId !== undefined && targetId !== null ? String(targetId) : null,
+    changes: diffChanges(before, after),
+    details: details ? redact(details) : null,
+    requestId: requestId || null
+  };
+
+  const result = appending.then(() => writeEntry(fields));
+  appending = result.catch(() => {});
+  return result;
+}
+
+// Outcome of a request by its status code; other failures changed nothing worth recording
+function getOutcome(statusCode) {
+  if (statusCode < 400) {
+    return 'success';
+  }
+
+  return [401, 403, 429].includes(statusCode) ? 'denied' : null;
+}
+
+/**
+ * Middleware recording the request in the audit log once the response is sent.
+ * Routes describe the target and what changed with setAuditDetails.
+ * @param {string} action - Action, e.g. 'bot.delete'; its first part is the default target type
+ * @returns {Function} Express middleware
+ */
+function auditAction(action) {
+  return (req, res, next) => {
+    req.audit = { targetType: action.split('.')[0], targetId: req.params.id };
+
+    res.on('finish', () => {
+      const outcome = req.audit.outcome !== undefined ? req.audit.outcome : getOutcome(res.statusCode);
+
+      if (!outcome) {
+        return;
+      }
+
+      // Actions of automation clients name the API token they used
+      const details = req.user?.tokenId ? { ...req.audit.details, apiTokenId: req.user.tokenId } : req.audit.details;
+
+      appendAuditEntry({
+        ...req.audit,
+        details,
+        action,
+        outcome,
+        actor: req.audit.actor || req.user,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        requestId: req.id
+      }).catch(error => logger.error(`Error recording ${action} in the audit log:`, error));
+    });
+
+    next();
+  };
+}
+
+/**
+ * Describe the audited action of a request
+ * @param {Object} req - Express request
+ * @param {Object} fields - Any of actor, targetType, targetId, before, after and details, and
+ *   outcome when the status code does not tell it, e.g. for redirects (null to record nothing)
+ */
+function setAuditDetails(req, fields) {
+  if (req.audit) {
+    Object.assign(req.audit, fields);
+  }
+}
+
+/**
+ * Check that no audit log entry was changed, removed or inserted out of order
+ * @returns {Promise<Object>} Result with valid, the number of entries checked and,
+ *   when the chain is broken, the sequence number and reason of the first problem
+ */
+async function verifyAuditChain() {
+  let previous = { sequence: 0, hash: GENESIS_HASH };
+  let checked = 0;
+
+  while (true) {
+    const entries = await dbUtils.getAuditEntries({ afterSequence: previous.sequence, sortOrder: 'asc', limit: VERIFY_BATCH_SIZE });
+
+    for (const entry of entries) {
+      let problem = null;
+
+      if (entry.sequence !== previous.sequence + 1) {
+        problem = `Entries ${previous.sequence + 1} to ${entry.sequence - 1} are missing`;
+      } else if (entry.previousHash !== previous.hash) {
+        problem = 'Previous hash does not match the previous entry';
+      } else if (hashEntry(entry) !== entry.hash) {
+        problem = 'Entry does not match its hash';
+      }
+
+      if (problem) {
+        logger.warn(`Audit log chain broken at entry ${entry.sequence}: ${problem}`);
+        return { valid: false, checked, brokenAt: entry.sequence, error: problem };
+      }
+
+      previous = entry;
+      checked++;
+    }
+
+    if (entries.length < VERIFY_BATCH_SIZE) {
+      return { valid: true, checked, lastSequence: previous.sequence, lastHash: previous.hash };
+    }
+  }
+}
+
+export {
+  AUDIT_OUTCOMES,
+  appendAuditEntry,
+  auditAction,
+  setAuditDetails,
+  diffChanges,
+  verifyAuditChain
+};
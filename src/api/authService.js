@@ -5,20 +5,62 @@
  * It uses JWT for token-based authentication and connects with the database.
  */
 
+import crypto from 'crypto';
 import bcrypt from 'bcrypt';
-import jwt from 'jsonwebtoken';
 import speakeasy from 'speakeasy';
 import logger from '../utils/logging.js';
 import * as dbUtils from '../utils/dbUtils.js';
+import { signToken, verifyToken } from './signingKeys.js';
+import { getSecuritySettings } from './securityPolicy.js';
+import { createAuthenticationOptions, verifyAssertion } from './webauthn.js';
+
+// Lifetime of a refresh token; every refresh issues a new one, extending the session
+const REFRESH_TOKEN_LIFETIME = 7 * 24 * 60 * 60 * 1000;
+
+// A replaced refresh token presented this soon after its replacement comes from
+// concurrent requests of the same client (e.g. two tabs), not from a stolen copy
+const REFRESH_REUSE_GRACE = 10 * 1000;
+
+// Time users have to enter their second factor after their password, in seconds
+const PENDING_SIGN_IN_LIFETIME = 5 * 60;
+
+// Longest lifetime of an access token; shorter when the idle session timeout is
+const MAX_ACCESS_TOKEN_LIFETIME = 15;
+
+// How long an account stays locked after too many failed sign-ins, and how long
+// a failure counts towards the lockout
+const LOCKOUT_DURATION = 15 * 60 * 1000;
+
+// Session activity is written at most this often per session
+const ACTIVITY_UPDATE_INTERVAL = 60 * 1000;
+
+// Recovery codes issued at a time, each 16 characters from an alphabet without look-alikes (80 bits)
+const RECOVERY_CODE_COUNT = 10;
+const RECOVERY_CODE_LENGTH = 16;
+const RECOVERY_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const sessionActivity = new Map();
 
 // User authentication
-async function authenticateUser(email, password, dbConnection) {
+async function authenticateUser(email, password, dbConnection, client = {}) {
   try {
+    // Refuse sign-ins to locked accounts before checking anything else
+    const lockout = await getLockout(email);
+    if (lockout) {
+      return lockout;
+    }
+    
     // Find user in database by email
     const user = await dbUtils.getUserByEmail(email, dbConnection);
     
     if (!user) {
-      return { success: false, error: 'Invalid email or password' };
+      // Unknown addresses are counted too, so responses do not reveal which accounts exist
+      return await recordFailedLogin(email, 'Invalid email or password');
+    }
+    
+    // Invited users activate their account from the link they were emailed
+    if (user.status === 'invited') {
+      return { success: false, error: 'This account has not been activated yet, use the invitation link sent by email' };
     }
     
     // Check if user is suspended
@@ -29,108 +71,255 @@ async function authenticateUser(email, password, dbConnection) {
     // Compare password
     const passwordMatch = await bcrypt.compare(password, user.password);
     if (!passwordMatch) {
-      return { success: false, error: 'Invalid email or password' };
+      return await recordFailedLogin(email, 'Invalid email or password');
+    }
+    
+    // Once single sign-on is required, only break-glass accounts may use their password
+    if (getSecuritySettings().requireSso && !user.breakglass) {
+      return { success: false, ssoRequired: true, error: 'This account must sign in with single sign-on' };
     }
     
-    // Check if 2FA is enabled
-    if (user.twoFactorEnabled) {
+    // Users with a second factor confirm it before a session starts, presenting
+    // the signed token proving they entered their password
+    const methods = await getSecondFactorMethods(user);
+    if (methods.length > 0) {
       return { 
         success: false, 
         requiresTwoFactor: true, 
         userId: user.id,
-        username: user.username
+        username: user.username,
+        pendingToken: signToken({ sub: user.id }, 'twoFactor', { expiresIn: PENDING_SIGN_IN_LIFETIME }),
+        methods,
+        // Passkey challenges for a user are only issued once their password is right
+        passkey: methods.includes('passkey') ? await createAuthenticationOptions(user.id) : null
       };
     }
     
-    // Update last login timestamp
-    await dbUtils.updateLastLogin(user.id, dbConnection);
-    
-    // Generate JWT
-    const accessToken = generateAccessToken(user);
-    const refreshToken = generateRefreshToken(user);
+    // A successful sign-in resets the lockout count
+    await dbUtils.clearLoginAttempts(normalizeEmail(email));
     
-    return {
-      success: true,
-      accessToken,
-      refreshToken,
-      user: {
-        id: user.id,
-        username: user.username,
-        email: user.email,
-        role: user.role
-      }
-    };
+    return await signIn(user, dbConnection, client);
   } catch (error) {
     logger.error('Authentication error:', error);
     return { success: false, error: 'Authentication failed' };
   }
 }
 
-// Verify two-factor authentication
-async function verifyTwoFactor(userId, token, dbConnection) {
+// Verify the second factor of a user who entered their password: a code from
+// their authenticator app, a recovery code, or an assertion signed by a passkey.
+// The user is the one the pending token of their password sign-in was issued to.
+async function verifyTwoFactor(pendingToken, factor, dbConnection, client = {}) {
+  let userId;
+  
+  try {
+    userId = verifyToken(pendingToken, 'twoFactor').sub;
+  } catch (error) {
+    return { success: false, error: 'Your sign-in has expired, enter your password again' };
+  }
+  
+  return { ...await verifySecondFactor(userId, factor, dbConnection, client), userId };
+}
+
+async function verifySecondFactor(userId, factor, dbConnection, client) {
   try {
     // Find user in database by id
     const user = await dbUtils.getUserById(userId, dbConnection);
+    const methods = user ? await getSecondFactorMethods(user) : [];
     
-    if (!user || !user.twoFactorSecret) {
+    if (methods.length === 0) {
       return { success: false, error: 'Invalid user or 2FA not set up' };
     }
     
-    // Verify token
-    const verified = speakeasy.totp.verify({
-      secret: user.twoFactorSecret,
-      encoding: 'base32',
-      token: token,
-      window: 1 // Allow 1 period before/after for clock drift
-    });
+    if (user.status !== 'active') {
+      return { success: false, error: 'This account has been suspended' };
+    }
+    
+    // Wrong codes count towards the lockout of the account, like wrong passwords
+    const lockout = await getLockout(user.email);
+    if (lockout) {
+      return lockout;
+    }
+    
+    let method;
+    let verified = false;
+    
+    if (factor.passkey) {
+      method = 'passkey';
+      verified = methods.includes('passkey') && (await verifyAssertion(factor.passkey, user.id)).success;
+    } else if (/^\d{6}$/.test(factor.code)) {
+      method = 'totp';
+      verified = methods.includes('totp') && speakeasy.totp.verify({
+        secret: user.twoFactorSecret,
+        encoding: 'base32',
+        token: factor.code,
+        window: 1 // Allow 1 period before/after for clock drift
+      });
+    } else {
+      method = 'recoveryCode';
+      verified = await dbUtils.useRecoveryCode(user.id, hashRecoveryCode(factor.code));
+    }
     
     if (!verified) {
-      return { success: false, error: 'Invalid verification code' };
+      return await recordFailedLogin(user.email, method === 'passkey' ? 'Passkey verification failed' : 'Invalid verification code');
     }
     
-    // Update last login timestamp
-    await dbUtils.updateLastLogin(user.id, dbConnection);
+    // Once single sign-on is required, only break-glass accounts may use their password
+    if (getSecuritySettings().requireSso && !user.breakglass) {
+      return { success: false, ssoRequired: true, error: 'This account must sign in with single sign-on' };
+    }
     
-    // Generate JWT
-    const accessToken = generateAccessToken(user);
-    const refreshToken = generateRefreshToken(user);
+    // A successful sign-in resets the lockout count
+    await dbUtils.clearLoginAttempts(normalizeEmail(user.email));
     
-    return {
-      success: true,
-      accessToken,
-      refreshToken,
-      user: {
-        id: user.id,
-        username: user.username,
-        email: user.email,
-        role: user.role
-      }
-    };
+    const result = await signIn(user, dbConnection, client);
+    
+    if (method === 'recoveryCode') {
+      result.recoveryCodesRemaining = await dbUtils.countRecoveryCodes(user.id);
+      logger.info(`User ${user.id} signed in with a recovery code, ${result.recoveryCodesRemaining} left`);
+    }
+    
+    return { ...result, method };
   } catch (error) {
     logger.error('2FA verification error:', error);
     return { success: false, error: 'Verification failed' };
   }
 }
 
-// Refresh access token using refresh token
+// Sign in without a password, with a passkey that verified the user, e.g. by fingerprint
+async function authenticatePasskey(assertion, dbConnection, client = {}) {
+  try {
+    const verification = await verifyAssertion(assertion, null);
+    
+    if (!verification.success) {
+      return { success: false, error: 'Passkey sign-in failed' };
+    }
+    
+    const user = await dbUtils.getUserById(verification.userId, dbConnection);
+    
+    if (!user) {
+      return { success: false, error: 'Passkey sign-in failed' };
+    }
+    
+    if (user.status !== 'active') {
+      return { success: false, userId: user.id, error: 'This account has been suspended' };
+    }
+    
+    const lockout = await getLockout(user.email);
+    if (lockout) {
+      return lockout;
+    }
+    
+    if (getSecuritySettings().requireSso && !user.breakglass) {
+      return { success: false, userId: user.id, ssoRequired: true, error: 'This account must sign in with single sign-on' };
+    }
+    
+    // A successful sign-in resets the lockout count
+    await dbUtils.clearLoginAttempts(normalizeEmail(user.email));
+    
+    return { ...await signIn(user, dbConnection, client), credentialId: verification.credential.id };
+  } catch (error) {
+    logger.error('Passkey sign-in error:', error);
+    return { success: false, error: 'Authentication failed' };
+  }
+}
+
+// Sign in a user authenticated by a single sign-on provider, see sso.js.
+// The provider is responsible for second factors.
+async function authenticateSsoUser(user, dbConnection, client = {}) {
+  try {
+    if (user.status !== 'active') {
+      return { success: false, error: 'This account has been suspended' };
+    }
+    
+    return await signIn(user, dbConnection, client);
+  } catch (error) {
+    logger.error('Single sign-on error:', error);
+    return { success: false, error: 'Authentication failed' };
+  }
+}
+
+// Start a session for an authenticated user and generate its tokens
+async function signIn(user, dbConnection, client) {
+  // Update last login timestamp
+  await dbUtils.updateLastLogin(user.id, dbConnection);
+  
+  const { sessionId, refreshToken } = await startSession(user, client);
+  const accessToken = generateAccessToken(user, sessionId);
+  
+  return {
+    success: true,
+    accessToken,
+    refreshToken,
+    user: {
+      id: user.id,
+      username: user.username,
+      email: user.email,
+      role: user.role
+    }
+  };
+}
+
+// Refresh access token using refresh token. The refresh token is replaced on
+// every use; presenting a replaced token again revokes the whole session.
 async function refreshToken(token, dbConnection) {
   try {
     // Verify refresh token
-    const decoded = jwt.verify(token, process.env.REFRESH_TOKEN_SECRET || 'refresh-secret-key');
+    const decoded = verifyToken(token, 'refresh');
+    
+    // Tokens issued before sessions were tracked cannot be revoked, so they are not accepted
+    const session = decoded.sid ? await dbUtils.getSessionById(decoded.sid) : null;
+    
+    if (!session || session.userId !== decoded.id || session.revokedAt) {
+      return { success: false, error: 'Invalid refresh token' };
+    }
+    
+    // End sessions left idle for longer than the session timeout
+    const { sessionTimeout } = getSecuritySettings();
+    if (Date.now() - new Date(session.lastUsedAt) > sessionTimeout * 60 * 1000) {
+      await dbUtils.revokeSession(session.id, 'idle');
+      return { success: false, error: 'Session expired due to inactivity' };
+    }
+    
+    const tokenHash = hashToken(token);
+    let newRefreshToken = null;
+    
+    if (tokenHash === session.tokenHash) {
+      newRefreshToken = generateRefreshToken({ id: session.userId }, session.id);
+      
+      const rotated = await dbUtils.rotateSessionToken(
+        session.id,
+        tokenHash,
+        hashToken(newRefreshToken),
+        new Date(Date.now() + REFRESH_TOKEN_LIFETIME)
+      );
+      
+      // Another request replaced the token first
+      if (!rotated) {
+        newRefreshToken = null;
+      }
+    } else if (tokenHash !== session.previousTokenHash || Date.now() - new Date(session.rotatedAt) > REFRESH_REUSE_GRACE) {
+      // A replaced token is being reused: it was stolen, or the legitimate client is
+      // using a copy the thief already refreshed. Either way, end the session.
+      await dbUtils.revokeSession(session.id, 'reuse');
+      logger.warn(`Refresh token reuse detected, revoked session ${session.id} of user ${session.userId}`);
+      return { success: false, error: 'Invalid refresh token' };
+    }
     
     // Find user in database by id
     const user = await dbUtils.getUserById(decoded.id, dbConnection);
     
-    if (!user) {
+    if (!user || user.status !== 'active') {
       return { success: false, error: 'Invalid refresh token' };
     }
     
     // Generate new access token
-    const accessToken = generateAccessToken(user);
+    const accessToken = generateAccessToken(user, session.id);
     
     return {
       success: true,
       accessToken,
+      refreshToken: newRefreshToken,
+      sessionId: session.id,
       user: {
         id: user.id,
         username: user.username,
@@ -144,29 +333,222 @@ async function refreshToken(token, dbConnection) {
   }
 }
 
-// Generate access token (short-lived)
-function generateAccessToken(user) {
-  return jwt.sign(
+// End the session of a refresh token, e.g. on logout. Returns the user and session IDs of the token.
+async function endSession(token) {
+  try {
+    const decoded = verifyToken(token, 'refresh');
+    
+    if (decoded.sid) {
+      await dbUtils.revokeSession(decoded.sid, 'logout');
+    }
+    
+    return { userId: decoded.id, sessionId: decoded.sid };
+  } catch (error) {
+    // Invalid or expired tokens have no session left to end
+    return null;
+  }
+}
+
+// Record that a session is in use, for the idle session timeout
+function recordSessionActivity(sessionId) {
+  const now = Date.now();
+  
+  if (!sessionId || now - (sessionActivity.get(sessionId) || 0) < ACTIVITY_UPDATE_INTERVAL) {
+    return;
+  }
+  
+  // Forget sessions that have not been used recently
+  if (sessionActivity.size > 1000) {
+    for (const [id, lastUpdate] of sessionActivity) {
+      if (now - lastUpdate >= ACTIVITY_UPDATE_INTERVAL) {
+        sessionActivity.delete(id);
+      }
+    }
+  }
+  
+  sessionActivity.set(sessionId, now);
+  dbUtils.touchSession(sessionId);
+}
+
+// Failed sign-ins are counted per email address, whether or not an account uses it
+function normalizeEmail(email) {
+  return String(email).toLowerCase();
+}
+
+// Get the failure result for a locked account, or null if it is not locked
+async function getLockout(email) {
+  const attempts = await dbUtils.getLoginAttempts(normalizeEmail(email));
+  const lockedFor = attempts?.lockedUntil ? new Date(attempts.lockedUntil) - Date.now() : 0;
+  
+  if (lockedFor <= 0) {
+    return null;
+  }
+  
+  return {
+    success: false,
+    locked: true,
+    retryAfter: Math.ceil(lockedFor / 1000),
+    error: `Too many failed sign-in attempts, try again in ${Math.ceil(lockedFor / 60000)} minutes`
+  };
+}
+
+// Count a failed sign-in, locking the account once the configured limit is reached
+async function recordFailedLogin(email, error) {
+  const key = normalizeEmail(email);
+  const { maxLoginAttempts } = getSecuritySettings();
+  const attempts = await dbUtils.getLoginAttempts(key);
+  const now = Date.now();
+  
+  // Failures older than the lockout duration, or from before an ended lockout, no longer count
+  const counts = attempts && !attempts.lockedUntil && now - new Date(attempts.lastFailedAt) < LOCKOUT_DURATION;
+  const failedCount = (counts ? attempts.failedCount : 0) + 1;
+  const lockedUntil = failedCount >= maxLoginAttempts ? new Date(now + LOCKOUT_DURATION) : null;
+  
+  await dbUtils.saveLoginAttempts({
+    email: key,
+    failedCount,
+    lastFailedAt: new Date(now).toISOString(),
+    lockedUntil: lockedUntil ? lockedUntil.toISOString() : null
+  });
+  
+  if (lockedUntil) {
+    logger.warn(`Locked sign-ins for ${key} until ${lockedUntil.toISOString()} after ${failedCount} failed attempts`);
+    return await getLockout(key);
+  }
+  
+  return { success: false, error };
+}
+
+// Create a session for a user signing in, returning its ID and first refresh token
+async function startSession(user, client = {}) {
+  await dbUtils.deleteExpiredSessions();
+  
+  const sessionId = crypto.randomUUID();
+  const refreshToken = generateRefreshToken(user, sessionId);
+  
+  const created = await dbUtils.createSession({
+    id: sessionId,
+    userId: user.id,
+    tokenHash: hashToken(refreshToken),
+    userAgent: client.userAgent ? client.userAgent.substring(0, 255) : null,
+    ipAddress: client.ipAddress,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_LIFETIME)
+  });
+  
+  if (!created) {
+    throw new Error('Failed to create session');
+  }
+  
+  return { sessionId, refreshToken };
+}
+
+// Sessions store a hash of their refresh token, never the token itself
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Generate access token (short-lived, expiring no later than the idle session timeout)
+function generateAccessToken(user, sessionId) {
+  const lifetime = Math.min(MAX_ACCESS_TOKEN_LIFETIME, getSecuritySettings().sessionTimeout);
+  
+  return signToken(
     {
       id: user.id,
       username: user.username,
       email: user.email,
-      role: user.role
+      role: user.role,
+      sid: sessionId
     },
-    process.env.JWT_SECRET || 'your-secret-key',
-    { expiresIn: '15m' }
+    'access',
+    { expiresIn: `${lifetime}m` }
   );
 }
 
-// Generate refresh token (long-lived)
-function generateRefreshToken(user) {
-  return jwt.sign(
-    { id: user.id },
-    process.env.REFRESH_TOKEN_SECRET || 'refresh-secret-key',
-    { expiresIn: '7d' }
+// Generate refresh token (long-lived), unique even when issued twice in the same second
+function generateRefreshToken(user, sessionId) {
+  return signToken(
+    { id: user.id, sid: sessionId },
+    'refresh',
+    { expiresIn: REFRESH_TOKEN_LIFETIME / 1000, jwtid: crypto.randomUUID() }
   );
 }
 
+// Second factors a user has enrolled: 'totp', 'passkey', and 'recoveryCode' while unused codes are left
+async function getSecondFactorMethods(user) {
+  const methods = [];
+  
+  if (user.twoFactorEnabled && user.twoFactorSecret) {
+    methods.push('totp');
+  }
+  
+  if ((await dbUtils.getUserWebAuthnCredentials(user.id)).length > 0) {
+    methods.push('passkey');
+  }
+  
+  if (methods.length > 0 && await dbUtils.countRecoveryCodes(user.id) > 0) {
+    methods.push('recoveryCode');
+  }
+  
+  return methods;
+}
+
+// Recovery codes are compared without their dashes and case, and stored hashed
+function hashRecoveryCode(code) {
+  const normalized = String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+// Generate a recovery code, grouped by four characters for readability
+function generateRecoveryCode() {
+  const characters = Array.from(
+    { length: RECOVERY_CODE_LENGTH },
+    () => RECOVERY_CODE_ALPHABET[crypto.randomInt(RECOVERY_CODE_ALPHABET.length)]
+  ).join('');
+  
+  return characters.match(/.{4}/g).join('-');
+}
+
+// Replace the recovery codes of a user with new ones, returned in clear text only this once
+async function regenerateRecoveryCodes(userId, dbConnection) {
+  try {
+    const user = await dbUtils.getUserById(userId, dbConnection);
+    
+    if (!user || (await getSecondFactorMethods(user)).length === 0) {
+      return { success: false, error: 'Set up two-factor authentication or a passkey first' };
+    }
+    
+    const recoveryCodes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+    
+    if (!await dbUtils.replaceRecoveryCodes(userId, recoveryCodes.map(hashRecoveryCode))) {
+      return { success: false, error: 'Failed to generate recovery codes' };
+    }
+    
+    return { success: true, recoveryCodes };
+  } catch (error) {
+    logger.error('Error generating recovery codes:', error);
+    return { success: false, error: 'Failed to generate recovery codes' };
+  }
+}
+
+// Issue recovery codes when a user enrolls their first second factor; null if they already have some
+async function enrollRecoveryCodes(userId, dbConnection) {
+  if (await dbUtils.countRecoveryCodes(userId) > 0) {
+    return null;
+  }
+  
+  const result = await regenerateRecoveryCodes(userId, dbConnection);
+  return result.success ? result.recoveryCodes : null;
+}
+
+// Delete the recovery codes of a user who no longer has any second factor
+async function pruneRecoveryCodes(userId, dbConnection) {
+  const user = await dbUtils.getUserById(userId, dbConnection);
+  
+  if (user && (await getSecondFactorMethods(user)).length === 0) {
+    await dbUtils.deleteRecoveryCodes(userId);
+  }
+}
+
 // Setup two-factor authentication for a user
 async function setupTwoFactor(userId, dbConnection) {
   try {
@@ -225,7 +607,7 @@ async function enableTwoFactor(userId, token, dbConnection) {
       return { success: false, error: 'Failed to enable two-factor authentication' };
     }
     
-    return { success: true };
+    return { success: true, recoveryCodes: await enrollRecoveryCodes(userId, dbConnection) };
   } catch (error) {
     logger.error('Error enabling 2FA:', error);
     return { success: false, error: 'Failed to enable two-factor authentication' };
@@ -241,6 +623,8 @@ async function disableTwoFactor(userId, dbConnection) {
       return { success: false, error: 'Failed to disable two-factor authentication' };
     }
     
+    await pruneRecoveryCodes(userId, dbConnection);
+    
     return { success: true };
   } catch (error) {
     logger.error('Error disabling 2FA:', error);
@@ -248,7 +632,7 @@ async function disableTwoFactor(userId, dbConnection) {
   }
 }
 
-// Change user password
+// Change user password, from the change password and profile endpoints
 async function changePassword(userId, currentPassword, newPassword, dbConnection) {
   try {
     // Find user in database by id
@@ -276,6 +660,9 @@ async function changePassword(userId, currentPassword, newPassword, dbConnection
       return { success: false, error: 'Failed to update password' };
     }
     
+    // Reset links sent before no longer apply
+    await dbUtils.useAccountTokens({ userId, type: 'passwordReset' });
+    
     return { success: true };
   } catch (error) {
     logger.error('Error changing password:', error);
@@ -286,10 +673,17 @@ async function changePassword(userId, currentPassword, newPassword, dbConnection
 export {
   authenticateUser,
   verifyTwoFactor,
+  authenticatePasskey,
+  authenticateSsoUser,
   refreshToken,
+  endSession,
+  recordSessionActivity,
   setupTwoFactor,
   enableTwoFactor,
   disableTwoFactor,
+  regenerateRecoveryCodes,
+  enrollRecoveryCodes,
+  pruneRecoveryCodes,
   changePassword,
   generateAccessToken,
   generateRefreshToken
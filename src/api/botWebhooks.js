@@ -0,0 +1,175 @@
+/**
+ * Bot Webhooks
+ *
+ * Messenger and Instagram deliver messages to webhooks rather than letting bots
+ * poll for them. Each bot has its own endpoint, /webhooks/<platform>/<botId>,
+ * which answers Meta's verify-token handshake and accepts event deliveries
+ * signed with the app secret in the X-Hub-Signature-256 header. Verified events
+ * are passed on to the bot's process by the bot supervisor.
+ *
+ * Telegram bots in webhook mode receive their updates on /webhooks/telegram/<botId>,
+ * registered by the bot with a secret token Telegram sends back in the
+ * X-Telegram-Bot-Api-Secret-Token header.
+ *
+ * The router is mounted before the JSON body parser, as signatures cover the
+ * raw request body.
+ */
+
+import crypto from 'crypto';
+import express from 'express';
+import logger from '../utils/logging.js';
+import * as dbUtils from '../utils/dbUtils.js';
+import { deliverWebhook } from '../utils/botSupervisor.js';
+
+// Platforms by webhook path segment, with the object type of their deliveries
+const WEBHOOK_PLATFORMS = {
+  messenger: { platform: 'Messenger', object: 'page' },
+  instagram: { platform: 'Instagram', object: 'instagram' }
+};
+
+// Meta and Telegram cap deliveries well below this
+const MAX_BODY_SIZE = '1mb';
+
+const router = express.Router();
+
+// Compare secrets without leaking where they differ through timing
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+/**
+ * Check the X-Hub-Signature-256 header of a delivery
+ * @param {Buffer} body - Raw request body
+ * @param {string} header - Header value, 'sha256=' followed by the hex HMAC of the body
+ * @param {string} appSecret - App secret of the bot
+ * @returns {boolean} True if the delivery was signed with the app secret
+ */
+function verifySignature(body, header, appSecret) {
+  const [scheme, signature] = String(header || '').split('=');
+
+  if (scheme !== 'sha256' || !signature) {
+    return false;
+  }
+
+  const expected = crypto.createHmac('sha256', appSecret).update(body).digest('hex');
+  return safeEqual(signature.toLowerCase(), expected);
+}
+
+// Parse a raw JSON body, null when it is not valid JSON
+function parseBody(body) {
+  try {
+    return JSON.parse(Buffer.isBuffer(body) ? body.toString('utf8') : '');
+  } catch (error) {
+    return null;
+  }
+}
+
+// Find the bot a webhook is for, only on the path of its own platform
+async function findWebhookBot(req) {
+  const webhook = WEBHOOK_PLATFORMS[req.params.platform];
+  const bot = webhook && await dbUtils.getBotById(req.params.botId);
+
+  return bot && bot.platform === webhook.platform ? { bot, webhook } : {};
+}
+
+// Telegram updates. A stopped bot is answered with 503, so Telegram keeps them and retries later.
+router.post('/telegram/:botId', express.raw({ type: '*/*', limit: MAX_BODY_SIZE }), async (req, res) => {
+  try {
+    const bot = await dbUtils.getBotById(req.params.botId);
+
+    if (!bot || bot.platform !== 'Telegram' || bot.config.updateMode !== 'webhook') {
+      return res.sendStatus(404);
+    }
+
+    const secretToken = req.get('X-Telegram-Bot-Api-Secret-Token');
+
+    if (!bot.config.webhookSecret || !secretToken || !safeEqual(secretToken, bot.config.webhookSecret)) {
+      logger.warn(`Telegram update with an invalid secret token refused for bot ${bot.id}`);
+      return res.sendStatus(403);
+    }
+
+    const update = parseBody(req.body);
+
+    if (!Number.isInteger(update?.update_id)) {
+      return res.sendStatus(400);
+    }
+
+    if (!deliverWebhook(bot.id, update)) {
+      logger.warn(`Telegram update for bot ${bot.id} refused: the bot is not running`);
+      return res.sendStatus(503);
+    }
+
+    res.sendStatus(200);
+  } catch (error) {
+    logger.error('Error handling Telegram update:', error);
+    res.sendStatus(500);
+  }
+});
+
+// Verify-token handshake, made by Meta when the webhook is subscribed
+router.get('/:platform/:botId', async (req, res) => {
+  try {
+    const { bot } = await findWebhookBot(req);
+
+    if (!bot) {
+      return res.sendStatus(404);
+    }
+
+    const mode = req.query['hub.mode'];
+    const verifyToken = req.query['hub.verify_token'];
+
+    if (mode !== 'subscribe' || !bot.config.verifyToken || !safeEqual(verifyToken, bot.config.verifyToken)) {
+      logger.warn(`Webhook verification failed for bot ${bot.id}`);
+      return res.sendStatus(403);
+    }
+
+    logger.info(`Webhook verified for bot ${bot.name} (${bot.id})`);
+    res.type('text/plain').send(String(req.query['hub.challenge'] ?? ''));
+  } catch (error) {
+    logger.error('Error verifying webhook:', error);
+    res.sendStatus(500);
+  }
+});
+
+// Event deliveries. A stopped bot is answered with 503, so Meta retries them later.
+router.post('/:platform/:botId', express.raw({ type: '*/*', limit: MAX_BODY_SIZE }), async (req, res) => {
+  try {
+    const { bot, webhook } = await findWebhookBot(req);
+
+    if (!bot) {
+      return res.sendStatus(404);
+    }
+
+    if (!bot.config.appSecret) {
+      logger.warn(`Webhook delivery refused for bot ${bot.id}: no app secret is configured to verify it`);
+      return res.sendStatus(403);
+    }
+
+    const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+
+    if (!verifySignature(body, req.get('X-Hub-Signature-256'), bot.config.appSecret)) {
+      logger.warn(`Webhook delivery with an invalid signature refused for bot ${bot.id}`);
+      return res.sendStatus(403);
+    }
+
+    const payload = parseBody(body);
+
+    if (payload?.object !== webhook.object) {
+      return res.sendStatus(400);
+    }
+
+    if (!deliverWebhook(bot.id, payload)) {
+      logger.warn(`Webhook delivery for bot ${bot.id} refused: the bot is not running`);
+      return res.sendStatus(503);
+    }
+
+    res.status(200).send('EVENT_RECEIVED');
+  } catch (error) {
+    logger.error('Error handling webhook delivery:', error);
+    res.sendStatus(500);
+  }
+});
+
+export default router;
@@ -0,0 +1,91 @@
+/**
+ * Human Handoffs
+ *
+ * Bots hand a conversation off to a human when the user asks for a person or
+ * an auto-reply rule marked as a handoff matches, and agents take conversations
+ * over from the inbox. Until the conversation is closed, handed back from the
+ * inbox or idle for HANDOFF_TIMEOUT minutes, the bot stores the user's messages
+ * without answering them, see conversationEngine.js. This module emails the
+ * agents who may answer a conversation a bot handed off: its assignee, or
+ * every active user allowed to reply to it when nobody is assigned.
+ */
+
+import logger from '../utils/logging.js';
+import * as dbUtils from '../utils/dbUtils.js';
+import { sendMail } from '../utils/mailer.js';
+import { can } from './permissions.js';
+import { getAppUrl } from './accountTokens.js';
+
+// Why bots hand conversations off, as told to the agents
+const HANDOFF_REASONS = {
+  user: 'asked to talk to a person',
+  rule: 'sent a message an auto-reply rule hands off to your team'
+};
+
+/**
+ * Get the agents to notify of a handoff
+ * @param {Object} conversation - Handed off conversation
+ * @returns {Promise<Array>} Users with an email address who may reply to the conversation
+ */
+async function getHandoffAgents(conversation) {
+  const resource = { platform: conversation.platform, botId: conversation.botId };
+  const agents = (await dbUtils.getAllUsers()).filter(user =>
+    user.status === 'active' && user.email && can(user, 'conversations.reply', resource)
+  );
+  const assignee = agents.find(agent => agent.id === conversation.assignedTo);
+
+  return assignee ? [assignee] : agents;
+}
+
+/**
+ * Email the agents about a conversation a bot handed off to a human
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<number>} Number of agents notified
+ */
+async function notifyHandoff(conversationId) {
+  const conversation = await dbUtils.getConversationById(conversationId);
+
+  if (!conversation || !conversation.handoffAt) {
+    return 0;
+  }
+
+  const agents = await getHandoffAgents(conversation);
+
+  if (agents.length === 0) {
+    logger.warn(`No agent can be notified of the handoff of conversation ${conversation.id}`);
+    return 0;
+  }
+
+  const messages = await dbUtils.getConversationMessages(conversation.id, { limit: 10 });
+  const lastUserMessage = messages.filter(message => message.direction === 'inbound').pop();
+  const reason = HANDOFF_REASONS[conversation.handoffReason] || 'was handed off to your team';
+  let notified = 0;
+
+  for (const agent of agents) {
+    try {
+      await sendMail({
+        to: agent.email,
+        subject: `${conversation.username} on ${conversation.platform} is waiting for a person`,
+        text: [
+          `Hello ${agent.username},`,
+          '',
+          `${conversation.username} on ${conversation.platform} ${reason}. The bot stays quiet until the conversation is handed back or closed.`,
+          ...(lastUserMessage ? ['', `Last message: "${lastUserMessage.text}"`] : []),
+          '',
+          `Answer them in the inbox: ${getAppUrl()}/inbox`,
+          ''
+        ].join('\n')
+      });
+      notified++;
+    } catch (error) {
+      logger.error(`Error notifying ${agent.email} of the handoff of conversation ${conversation.id}:`, error);
+    }
+  }
+
+  logger.info(`${notified} agent(s) notified of the handoff of conversation ${conversation.id}`);
+  return notified;
+}
+
+export {
+  notifyHandoff
+};
@@ -0,0 +1,361 @@
+/**
+ * Permissions
+ *
+ * This module defines the permissions guarding the API and the roles built
+ * from them. Users hold one role, by name: either a built-in role or a custom
+ * role created by administrators. A role grants permissions either globally or
+ * scoped to some bots and/or platforms, e.g. bots.operate on Telegram bots only.
+ * Custom roles are cached and reloaded when changed, or periodically to pick up
+ * changes made by other server instances.
+ */
+
+import logger from '../utils/logging.js';
+import * as dbUtils from '../utils/dbUtils.js';
+
+// Every permission, with the scopes its grants may be restricted to
+const PERMISSIONS = {
+  'bots.view': { description: 'View bots and their health', scopes: ['bots', 'platforms'] },
+  'bots.manage': { description: 'Create and delete bots', scopes: ['bots', 'platforms'] },
+  'bots.operate': { description: 'Start and stop bots', scopes: ['bots', 'platforms'] },
+  'bots.logs': { description: 'Stream bot logs', scopes: ['bots', 'platforms'] },
+  'bots.secrets': { description: 'Reveal and rotate bot credentials', scopes: ['bots', 'platforms'] },
+  'tickets.view': { description: 'View tickets', scopes: ['platforms'] },
+  'tickets.create': { description: 'Create tickets', scopes: ['platforms'] },
+  'tickets.update': { description: 'Edit tickets', scopes: ['platforms'] },
+  'tickets.assign': { description: 'Assign tickets to users', scopes: ['platforms'] },
+  'tickets.close': { description: 'Close tickets', scopes: ['platforms'] },
+  'tickets.reply': { description: 'Reply to ticket users through the bots', scopes: ['platforms'] },
+  'tickets.delete': { description: 'Delete tickets', scopes: ['platforms'] },
+  'conversations.view': { description: 'View the inbox of conversations', scopes: ['bots', 'platforms'] },
+  'conversations.reply': { description: 'Reply to conversations through the bots', scopes: ['bots', 'platforms'] },
+  'conversations.update': { description: 'Mark conversations read, snooze and close them', scopes: ['bots', 'platforms'] },
+  'conversations.assign': { description: 'Assign conversations to users', scopes: ['bots', 'platforms'] },
+  'autoReplies.view': { description: 'View auto-reply rules', scopes: ['bots', 'platforms'] },
+  'autoReplies.manage': { description: 'Create, edit and delete auto-reply rules', scopes: ['bots', 'platforms'] },
+  'slaPolicies.view': { description: 'View ticket SLA policies', scopes: ['platforms'] },
+  'slaPolicies.manage': { description: 'Create, edit and delete ticket SLA policies', scopes: ['platforms'] },
+  'reports.view': { description: 'View leads, interactions, analytics and exports', scopes: [] },
+  'logs.view': { description: 'View application logs', scopes: [] },
+  'audit.view': { description: 'View, export and verify the audit log', scopes: [] },
+  'users.view': { description: 'View users and roles', scopes: [] },
+  'users.manage': { description: 'Create, edit and delete users and their sessions', scopes: [] },
+  'roles.manage': { description: 'Create, edit and delete custom roles', scopes: [] },
+  'settings.read': { description: 'View system settings', scopes: [] },
+  'settings.write': { description: 'Change system settings and rotate signing keys', scopes: [] },
+  'backups.manage': { description: 'Create and restore backups', scopes: [] }
+};
+
+// Grants every permission
+const ALL_PERMISSIONS = '*';
+
+// Roles that always exist and cannot be changed
+const BUILT_IN_ROLES = [
+  {
+    name: 'Administrator',
+    description: 'Full access',
+    grants: [{ permission: ALL_PERMISSIONS }]
+  },
+  {
+    name: 'Manager',
+    description: 'Operates bots, tickets and conversations, views reports',
+    grants: [
+      'bots.view', 'bots.manage', 'bots.operate', 'bots.logs',
+      'tickets.view', 'tickets.create', 'tickets.update', 'tickets.assign', 'tickets.close', 'tickets.delete', 'tickets.reply',
+      'conversations.view', 'conversations.reply', 'conversations.update', 'conversations.assign',
+      'autoReplies.view', 'slaPolicies.view', 'reports.view', 'logs.view', 'users.view', 'settings.read'
+    ].map(permission => ({ permission }))
+  },
+  {
+    name: 'Normal User',
+    description: 'Works on tickets and conversations',
+    grants: [
+      'bots.view', 'tickets.view', 'tickets.create', 'tickets.update', 'tickets.reply',
+      'conversations.view', 'conversations.reply', 'conversations.update',
+      'autoReplies.view', 'slaPolicies.view', 'users.view', 'settings.read'
+    ].map(permission => ({ permission }))
+  }
+];
+
+// How long cached roles are used before they are read again
+const ROLES_REFRESH_INTERVAL = 60 * 1000;
+
+let customRoles = [];
+let loadedAt = 0;
+let loading = null;
+
+/**
+ * Check the grants of a role and normalize them for storage
+ * @param {Array} grants - Grants as sent by a client
+ * @returns {Array} Grants with only the scopes their permission allows
+ * @throws {Error} If a grant names an unknown permission or an unsupported scope
+ */
+function normalizeGrants(grants) {
+  if (!Array.isArray(grants)) {
+    throw new Error('Grants must be an array');
+  }
+
+  return grants.map((grant) => {
+    const definition = PERMISSIONS[grant?.permission];
+
+    if (!definition) {
+      throw new Error(`Unknown permission: ${grant?.permission}`);
+    }
+
+    const normalized = { permission: grant.permission };
+
+    for (const scope of ['bots', 'platforms']) {
+      if (grant[scope] === undefined || grant[scope] === null) {
+        continue;
+      }
+
+      if (!definition.scopes.includes(scope)) {
+        throw new Error(`${grant.permission} cannot be scoped to ${scope}`);
+      }
+
+      if (!Array.isArray(grant[scope]) || grant[scope].length === 0 || grant[scope].some(value => typeof value !== 'string' || !value)) {
+        throw new Error(`${scope} of ${grant.permission} must be a non-empty list of IDs`);
+      }
+
+      normalized[scope] = [...new Set(grant[scope])];
+    }
+
+    return normalized;
+  });
+}
+
+/**
+ * Read the custom roles from the database
+ * @returns {Promise<Array>} Custom roles
+ */
+async function loadRoles() {
+  customRoles = await dbUtils.getRoles();
+  loadedAt = Date.now();
+  return customRoles;
+}
+
+/**
+ * List the built-in and custom roles
+ * @returns {Array} Roles, built-in ones first
+ */
+function getRoles() {
+  if (!loading && Date.now() - loadedAt > ROLES_REFRESH_INTERVAL) {
+    loading = loadRoles()
+      .catch(error => logger.error('Error loading roles:', error))
+      .finally(() => {
+        loading = null;
+      });
+  }
+
+  return [
+    ...BUILT_IN_ROLES.map(role => ({ ...role, builtIn: true })),
+    ...customRoles.map(role => ({ ...role, builtIn: false }))
+  ];
+}
+
+/**
+ * Find a role by name
+ * @param {string} name - Role name
+ * @returns {Object|undefined} Role
+ */
+function findRole(name) {
+  return getRoles().find(role => role.name === name);
+}
+
+/**
+ * Tell whether a role name belongs to a built-in role
+ * @param {string} name - Role name
+ * @returns {boolean} True for built-in roles
+ */
+function isBuiltInRole(name) {
+  return BUILT_IN_ROLES.some(role => role.name === name);
+}
+
+// Grants of a user's role for one permission; unknown roles grant nothing, and
+// requests made with an API token only get the permissions in its scopes
+function getGrants(user, permission) {
+  const role = user && findRole(user.role);
+
+  if (user?.scopes && !user.scopes.includes(permission)) {
+    return [];
+  }
+
+  return role
+    ? role.grants.filter(grant => grant.permission === ALL_PERMISSIONS || grant.permission === permission)
+    : [];
+}
+
+// Tell whether a grant applies everywhere
+function isGlobalGrant(grant) {
+  return !grant.bots && !grant.platforms;
+}
+
+/**
+ * Tell whether a user holds a permission, for a resource when the permission is scoped
+ * @param {Object} user - Authenticated user
+ * @param {string} permission - Permission name
+ * @param {Object} resource - Bot, ticket or rule, with its id/botId and platform (optional)
+ * @returns {boolean} True if allowed
+ */
+function can(user, permission, resource) {
+  return getGrants(user, permission).some((grant) => {
+    if (isGlobalGrant(grant)) {
+      return true;
+    }
+
+    if (!resource) {
+      return false;
+    }
+
+    return Boolean((grant.bots && resource.botId && grant.bots.includes(resource.botId)) ||
+      (grant.platforms && resource.platform && grant.platforms.includes(resource.platform)));
+  });
+}
+
+/**
+ * Tell whether a user holds a permission for at least one bot or platform
+ * @param {Object} user - Authenticated user
+ * @param {string} permission - Permission name
+ * @returns {boolean} True if any grant exists
+ */
+function canAny(user, permission) {
+  return getGrants(user, permission).length > 0;
+}
+
+/**
+ * Get where a user holds a permission, to filter lists
+ * @param {Object} user - Authenticated user
+ * @param {string} permission - Permission name
+ * @returns {Object|null|boolean} null when granted everywhere, false when not granted,
+ *   otherwise the bot IDs and platforms it is granted for
+ */
+function getScope(user, permission) {
+  const grants = getGrants(user, permission);
+
+  if (grants.length === 0) {
+    return false;
+  }
+
+  if (grants.some(isGlobalGrant)) {
+    return null;
+  }
+
+  return {
+    bots: [...new Set(grants.flatMap(grant => grant.bots || []))],
+    platforms: [...new Set(grants.flatMap(grant => grant.platforms || []))]
+  };
+}
+
+/**
+ * List the permissions a user holds, for the dashboard
+ * @param {Object} user - Authenticated user
+ * @returns {Object} Scope of each permission held, see getScope
+ */
+function getUserPermissions(user) {
+  const permissions = {};
+
+  for (const permission of Object.keys(PERMISSIONS)) {
+    const scope = getScope(user, permission);
+
+    if (scope !== false) {
+      permissions[permission] = scope || { global: true };
+    }
+  }
+
+  return permissions;
+}
+
+/**
+ * Tell whether a user's own grants cover every grant of a role, so users
+ * cannot hand out more access than they have
+ * @param {Object} user - Authenticated user
+ * @param {Object} role - Role to assign or create
+ * @returns {boolean} True if every grant is covered
+ */
+function coversRole(user, role) {
+  return role.grants.every((grant) => {
+    const permissions = grant.permission === ALL_PERMISSIONS ? Object.keys(PERMISSIONS) : [grant.permission];
+
+    return permissions.every((permission) => {
+      const scope = getScope(user, permission);
+
+      if (scope === null) {
+        return true;
+      }
+
+      if (scope === false || isGlobalGrant(grant)) {
+        return false;
+      }
+
+      return (grant.bots || []).every(botId => scope.bots.includes(botId)) &&
+        (grant.platforms || []).every(platform => scope.platforms.includes(platform));
+    });
+  });
+}
+
+// Reply to a request the user lacks a permission for
+function sendForbidden(res, permission) {
+  res.status(403).json({ error: `Access denied: requires the ${permission} permission` });
+}
+
+/**
+ * Middleware requiring a permission. Scoped grants pass too, the route then
+ * checks the resource it works on.
+ * @param {string} permission - Permission name
+ * @returns {Function} Express middleware
+ */
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!canAny(req.user, permission)) {
+      return sendForbidden(res, permission);
+    }
+
+    next();
+  };
+}
+
+/**
+ * Middleware loading the bot of the :id parameter into req.bot, if the user
+ * holds a permission for it
+ * @param {string} permission - Permission name
+ * @returns {Function} Express middleware
+ */
+function requireBotPermission(permission) {
+  return async (req, res, next) => {
+    try {
+      const bot = await dbUtils.getBotById(req.params.id);
+
+      // Bots the user cannot see are reported as missing
+      if (!bot || !can(req.user, 'bots.view', { botId: bot.id, platform: bot.platform })) {
+        return res.status(404).json({ error: 'Bot not found' });
+      }
+
+      if (!can(req.user, permission, { botId: bot.id, platform: bot.platform })) {
+        return sendForbidden(res, permission);
+      }
+
+      req.bot = bot;
+      next();
+    } catch (error) {
+      logger.error('Error checking bot permissions:', error);
+      res.status(500).json({ error: 'Failed to check permissions' });
+    }
+  };
+}
+
+export {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  normalizeGrants,
+  loadRoles,
+  getRoles,
+  findRole,
+  isBuiltInRole,
+  can,
+  canAny,
+  getScope,
+  getUserPermissions,
+  coversRole,
+  sendForbidden,
+  requirePermission,
+  requireBotPermission
+};
@@ -0,0 +1,183 @@
+/**
+ * Security Policy
+ *
+ * This module applies the security settings administrators manage on the
+ * Settings page: API rate limits, HTTPS enforcement with HSTS, CSRF protection
+ * of cookie-authenticated requests, and the values the authentication service
+ * reads for account lockout, idle session timeout and required single sign-on. Settings are cached and
+ * reloaded when saved, or periodically to pick up changes made by other server
+ * instances, so they apply without a restart.
+ */
+
+import crypto from 'crypto';
+import rateLimit from 'express-rate-limit';
+import logger from '../utils/logging.js';
+import * as dbUtils from '../utils/dbUtils.js';
+
+// How long cached settings are used before they are read again
+const SETTINGS_REFRESH_INTERVAL = 60 * 1000;
+
+// Used when a setting is missing or invalid
+const DEFAULT_SECURITY_SETTINGS = {
+  sessionTimeout: parseInt(process.env.SESSION_TIMEOUT) || 15,
+  maxLoginAttempts: 5,
+  rateLimitRequests: parseInt(process.env.RATE_LIMIT_MAX) || 100,
+  rateLimitWindow: parseInt(process.env.RATE_LIMIT_WINDOW) || 15,
+  enforceHttps: process.env.ENFORCE_HTTPS === 'true',
+  csrfProtection: true,
+  requireSso: false
+};
+
+// Hosts that are never redirected to HTTPS, so the dashboard stays reachable while developing
+const LOCAL_HOSTNAMES = ['localhost', '127.0.0.1', '::1'];
+
+const HSTS_HEADER = 'max-age=31536000; includeSubDomains';
+
+// Double-submit CSRF token: the cookie is readable by the dashboard, which echoes it in the header
+const CSRF_COOKIE = 'XSRF-TOKEN';
+const CSRF_HEADER = 'X-XSRF-Token';
+
+let securitySettings = { ...DEFAULT_SECURITY_SETTINGS };
+let loadedAt = 0;
+let loading = null;
+let rateLimiter = createRateLimiter(securitySettings);
+
+/**
+ * Fill in missing or invalid security settings with their defaults
+ * @param {Object} settings - Security settings as stored
+ * @returns {Object} Complete security settings
+ */
+function normalizeSecuritySettings(settings = {}) {
+  const positiveInt = (value, fallback) => (parseInt(value) > 0 ? parseInt(value) : fallback);
+  const boolean = (value, fallback) => (typeof value === 'boolean' ? value : fallback);
+
+  return {
+    sessionTimeout: positiveInt(settings.sessionTimeout, DEFAULT_SECURITY_SETTINGS.sessionTimeout),
+    maxLoginAttempts: positiveInt(settings.maxLoginAttempts, DEFAULT_SECURITY_SETTINGS.maxLoginAttempts),
+    rateLimitRequests: positiveInt(settings.rateLimitRequests, DEFAULT_SECURITY_SETTINGS.rateLimitRequests),
+    rateLimitWindow: positiveInt(settings.rateLimitWindow, DEFAULT_SECURITY_SETTINGS.rateLimitWindow),
+    enforceHttps: boolean(settings.enforceHttps, DEFAULT_SECURITY_SETTINGS.enforceHttps),
+    csrfProtection: boolean(settings.csrfProtection, DEFAULT_SECURITY_SETTINGS.csrfProtection),
+    requireSso: boolean(settings.requireSso, DEFAULT_SECURITY_SETTINGS.requireSso)
+  };
+}
+
+/**
+ * Create the API rate limiter for the given settings
+ * @param {Object} settings - Security settings
+ * @returns {Function} Rate limiting middleware
+ */
+function createRateLimiter({ rateLimitRequests, rateLimitWindow }) {
+  return rateLimit({
+    windowMs: rateLimitWindow * 60 * 1000,
+    limit: rateLimitRequests,
+    standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
+    legacyHeaders: false, // Disable the `X-RateLimit-*` headers
+    message: { error: 'Too many requests, please try again later.' }
+  });
+}
+
+/**
+ * Read the security settings from the database and apply them
+ * @returns {Promise<Object>} Applied security settings
+ */
+async function loadSecuritySettings() {
+  const settings = await dbUtils.getSystemSettings();
+
+  // Keep the current settings if the database cannot be read
+  if (settings) {
+    const previous = securitySettings;
+    securitySettings = normalizeSecuritySettings(settings.security);
+
+    // Rate limit counters start over when the limits change
+    if (previous.rateLimitRequests !== securitySettings.rateLimitRequests ||
+        previous.rateLimitWindow !== securitySettings.rateLimitWindow) {
+      rateLimiter = createRateLimiter(securitySettings);
+      logger.info(`API rate limit set to ${securitySettings.rateLimitRequests} requests per ${securitySettings.rateLimitWindow} minutes`);
+    }
+  }
+
+  loadedAt = Date.now();
+  return securitySettings;
+}
+
+/**
+ * Get the current security settings, reloading them in the background when stale
+ * @returns {Object} Security settings
+ */
+function getSecuritySettings() {
+  if (!loading && Date.now() - loadedAt > SETTINGS_REFRESH_INTERVAL) {
+    loading = loadSecuritySettings()
+      .catch(error => logger.error('Error loading security settings:', error))
+      .finally(() => {
+        loading = null;
+      });
+  }
+
+  return securitySettings;
+}
+
+// Limit API requests per client with the configured rate limit
+function limitRequestRate(req, res, next) {
+  getSecuritySettings();
+  return rateLimiter(req, res, next);
+}
+
+// Redirect plain HTTP requests to HTTPS and send HSTS over HTTPS when enforcement is enabled
+function enforceHttps(req, res, next) {
+  if (!getSecuritySettings().enforceHttps || LOCAL_HOSTNAMES.includes(req.hostname)) {
+    return next();
+  }
+
+  if (req.secure) {
+    res.set('Strict-Transport-Security', HSTS_HEADER);
+    return next();
+  }
+
+  // Redirecting would resend a request body over plain HTTP
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return res.status(403).json({ error: 'HTTPS is required' });
+  }
+
+  res.redirect(301, `https://${req.get('Host')}${req.originalUrl}`);
+}
+
+/**
+ * Issue a new CSRF token cookie, e.g. when a session starts
+ * @param {Object} res - Express response
+ */
+function setCsrfCookie(res) {
+  res.cookie(CSRF_COOKIE, crypto.randomBytes(32).toString('base64url'), {
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days, like the refresh token
+  });
+}
+
+// Reject cookie-authenticated requests whose CSRF header does not match the CSRF cookie
+function verifyCsrfToken(req, res, next) {
+  if (!getSecuritySettings().csrfProtection) {
+    return next();
+  }
+
+  const cookieToken = Buffer.from(req.cookies[CSRF_COOKIE] || '');
+  const headerToken = Buffer.from(req.get(CSRF_HEADER) || '');
+
+  if (cookieToken.length === 0 || cookieToken.length !== headerToken.length ||
+      !crypto.timingSafeEqual(cookieToken, headerToken)) {
+    logger.warn(`Rejected ${req.method} ${req.originalUrl} with a missing or invalid CSRF token`);
+    return res.status(403).json({ error: 'Invalid CSRF token' });
+  }
+
+  next();
+}
+
+export {
+  CSRF_COOKIE,
+  loadSecuritySettings,
+  getSecuritySettings,
+  limitRequestRate,
+  enforceHttps,
+  setCsrfCookie,
+  verifyCsrfToken
+};
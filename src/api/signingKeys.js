@@ -0,0 +1,237 @@
+/**
+ * Signing Key Store
+ *
+ * This module manages the keys signing access and refresh tokens, the
+ * password reset and invitation links sent by email, and the sign-ins waiting
+ * for a second factor. Every token carries the ID (kid) of the key that signed
+ * it. Rotating the keys creates a new active key per purpose and retires the
+ * previous one, which still verifies the tokens it signed until its grace
+ * period ends, so rotating does not log users out mid-session. Key secrets are
+ * stored encrypted with the master key.
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import logger from '../utils/logging.js';
+import * as dbUtils from '../utils/dbUtils.js';
+import { encryptSecret, decryptSecret, isCurrentMasterKey } from '../utils/botSecrets.js';
+
+const TOKEN_PURPOSES = ['access', 'refresh', 'passwordReset', 'invite', 'twoFactor'];
+
+// Secrets the first keys are created from, so existing sessions survive the upgrade;
+// other purposes start with a random secret
+const INITIAL_KEY_SECRETS = {
+  access: 'JWT_SECRET',
+  refresh: 'REFRESH_TOKEN_SECRET'
+};
+
+// Hours retired keys keep verifying tokens, by default the lifetime of a refresh token
+const DEFAULT_GRACE_PERIOD = parseInt(process.env.SIGNING_KEY_GRACE_PERIOD) >= 0
+  ? parseInt(process.env.SIGNING_KEY_GRACE_PERIOD)
+  : 7 * 24;
+
+// Placeholder secrets shipped with the code and deployment examples
+const INSECURE_SECRETS = [
+  'your-secret-key',
+  'refresh-secret-key',
+  'changethissecretkey',
+  '8e8b009e70c89ebc72dd8454d4a67b6ccae5b5bac32ff6db98b020d9c2fe6c5c'
+];
+
+let signingKeys = [];
+
+// Key ID assumed for tokens signed before keys had IDs
+function getInitialKeyId(purpose) {
+  return `${purpose}-initial`;
+}
+
+/**
+ * Refuse to run in production with missing or placeholder secrets
+ * @throws {Error} If a secret is not safe for production
+ */
+function assertProductionSecrets() {
+  if (process.env.NODE_ENV !== 'production') {
+    return;
+  }
+
+  const problems = [];
+
+  if (!process.env.BOT_SECRETS_MASTER_KEY) {
+    problems.push('BOT_SECRETS_MASTER_KEY is not set');
+  }
+
+  for (const name of ['JWT_SECRET', 'REFRESH_TOKEN_SECRET', 'BOT_SECRETS_MASTER_KEY', 'BACKUP_ENCRYPTION_KEY']) {
+    if (INSECURE_SECRETS.includes(process.env[name])) {
+      problems.push(`${name} uses a placeholder value`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Refusing to start in production: ${problems.join(', ')}`);
+  }
+}
+
+/**
+ * Create and store a new active signing key
+ * @param {string} purpose - 'access', 'refresh', 'passwordReset', 'invite' or 'twoFactor'
+ * @param {Object} options - Key options
+ * @param {string} options.kid - Key ID (optional)
+ * @param {string} options.secret - Key secret (optional, random by default)
+ * @returns {Promise<void>}
+ */
+async function createKey(purpose, { kid, secret } = {}) {
+  const key = {
+    kid: kid || `${purpose}-${crypto.randomBytes(8).toString('hex')}`,
+    purpose,
+    secret: secret || crypto.randomBytes(64).toString('base64')
+  };
+
+  if (!await dbUtils.createSigningKey({ ...key, secret: encryptSecret(key.secret) })) {
+    throw new Error(`Failed to store the new ${purpose} signing key`);
+  }
+
+  logger.info(`Created ${purpose} token signing key ${key.kid}`);
+}
+
+/**
+ * Load the signing keys from the database into memory
+ * @returns {Promise<Array>} Stored keys, including those that could not be decrypted
+ */
+async function loadSigningKeys() {
+  const storedKeys = await dbUtils.getSigningKeys();
+  const keys = [];
+
+  for (const key of storedKeys) {
+    try {
+      const secret = decryptSecret(key.secret);
+
+      // Keys encrypted under a previous master key are moved to the current one
+      if (!isCurrentMasterKey(key.secret)) {
+        await dbUtils.updateSigningKeySecret(key.kid, encryptSecret(secret));
+      }
+
+      keys.push({ ...key, secret });
+    } catch (error) {
+      logger.error(`Error decrypting signing key ${key.kid}, tokens it signed are rejected:`, error);
+    }
+  }
+
+  signingKeys = keys;
+  return storedKeys;
+}
+
+/**
+ * Load the signing keys and create the missing active ones.
+ * Call once the database is initialized.
+ * @returns {Promise<void>}
+ */
+async function initializeSigningKeys() {
+  await dbUtils.deleteExpiredSigningKeys();
+  const storedKeys = await loadSigningKeys();
+
+  for (const purpose of TOKEN_PURPOSES) {
+    if (signingKeys.some(key => key.purpose === purpose && key.status === 'active')) {
+      continue;
+    }
+
+    const initialSecret = process.env[INITIAL_KEY_SECRETS[purpose]];
+    const isFirstKey = !storedKeys.some(key => key.purpose === purpose);
+
+    await createKey(purpose, initialSecret && isFirstKey
+      ? { kid: getInitialKeyId(purpose), secret: initialSecret }
+      : {});
+  }
+
+  await loadSigningKeys();
+}
+
+/**
+ * Retire the active signing keys and create new ones
+ * @param {Object} options - Rotation options
+ * @param {number} options.gracePeriod - Hours the retired keys keep verifying tokens
+ * @returns {Promise<Array>} Signing keys after the rotation, see listSigningKeys
+ */
+async function rotateSigningKeys({ gracePeriod = DEFAULT_GRACE_PERIOD } = {}) {
+  const expiresAt = new Date(Date.now() + gracePeriod * 60 * 60 * 1000);
+
+  for (const purpose of TOKEN_PURPOSES) {
+    if (!await dbUtils.retireSigningKeys(purpose, expiresAt)) {
+      throw new Error(`Failed to retire the ${purpose} signing keys`);
+    }
+
+    await createKey(purpose);
+  }
+
+  await dbUtils.deleteExpiredSigningKeys();
+  await loadSigningKeys();
+
+  logger.warn(`Token signing keys rotated, previous keys accepted until ${expiresAt.toISOString()}`);
+
+  return listSigningKeys();
+}
+
+/**
+ * List the signing keys still accepted, without their secrets
+ * @returns {Array} Key ID, purpose, status and dates of each key
+ */
+function listSigningKeys() {
+  return signingKeys
+    .filter(isUsable)
+    .map(({ kid, purpose, status, createdAt, retiredAt, expiresAt }) => ({ kid, purpose, status, createdAt, retiredAt, expiresAt }));
+}
+
+// Tell whether a key may still verify tokens
+function isUsable(key) {
+  return key.status === 'active' || (key.expiresAt && new Date(key.expiresAt) > new Date());
+}
+
+/**
+ * Sign a token with the active key of a purpose
+ * @param {Object} payload - Token payload
+ * @param {string} purpose - 'access', 'refresh', 'passwordReset', 'invite' or 'twoFactor'
+ * @param {Object} options - jsonwebtoken sign options (e.g. expiresIn)
+ * @returns {string} Signed token
+ */
+function signToken(payload, purpose, options = {}) {
+  const key = signingKeys.find(candidate => candidate.purpose === purpose && candidate.status === 'active');
+
+  if (!key) {
+    throw new Error(`No active ${purpose} signing key, initialize the signing keys first`);
+  }
+
+  return jwt.sign(payload, key.secret, { ...options, algorithm: 'HS256', keyid: key.kid });
+}
+
+/**
+ * Verify a token against the key that signed it
+ * @param {string} token - Token to verify
+ * @param {string} purpose - 'access', 'refresh', 'passwordReset', 'invite' or 'twoFactor'
+ * @returns {Object} Decoded payload
+ * @throws {jwt.JsonWebTokenError} If the token is invalid, expired or signed by an unknown key
+ */
+function verifyToken(token, purpose) {
+  const decoded = jwt.decode(token, { complete: true });
+
+  if (!decoded) {
+    throw new jwt.JsonWebTokenError('jwt malformed');
+  }
+
+  const kid = decoded.header.kid || getInitialKeyId(purpose);
+  const key = signingKeys.find(candidate => candidate.kid === kid && candidate.purpose === purpose && isUsable(candidate));
+
+  if (!key) {
+    throw new jwt.JsonWebTokenError('unknown signing key');
+  }
+
+  return jwt.verify(token, key.secret, { algorithms: ['HS256'] });
+}
+
+export {
+  DEFAULT_GRACE_PERIOD,
+  assertProductionSecrets,
+  initializeSigningKeys,
+  rotateSigningKeys,
+  listSigningKeys,
+  signToken,
+  verifyToken
+};
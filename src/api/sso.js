@@ -0,0 +1,448 @@
+/**
+ * Single Sign-On
+ *
+ * This module signs users in with an OpenID Connect provider using the
+ * authorization code flow with PKCE. The provider is configured with the OIDC_*
+ * environment variables and its endpoints and keys are discovered from its
+ * issuer. Provider accounts are linked to users by their subject; on the first
+ * sign-in an account is linked to the user with the same verified email, or a
+ * user is created just in time. IdP groups are mapped to roles at every sign-in.
+ */
+
+import crypto from 'crypto';
+import bcrypt from 'bcrypt';
+import jwt from 'jsonwebtoken';
+import logger from '../utils/logging.js';
+import * as dbUtils from '../utils/dbUtils.js';
+import { encryptSecret, decryptSecret } from '../utils/botSecrets.js';
+import { findRole } from './permissions.js';
+
+// How long discovered provider metadata is used before it is fetched again
+const METADATA_REFRESH_INTERVAL = 60 * 60 * 1000;
+
+// Signing keys are fetched again for unknown key IDs, at most this often
+const JWKS_REFRESH_INTERVAL = 60 * 1000;
+
+// How long a sign-in may take at the provider
+const TRANSACTION_LIFETIME = 10 * 60 * 1000;
+
+// Time allowed for each request to the provider
+const PROVIDER_TIMEOUT = 10 * 1000;
+
+// Allowed difference between our clock and the provider's, in seconds
+const CLOCK_TOLERANCE = 60;
+
+// Asymmetric algorithms accepted for ID tokens
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+let metadataCache = null;
+let jwksCache = null;
+
+/**
+ * Parse the group to role mapping, e.g. 'dashboard-admins=Administrator,support=Manager'
+ * @param {string} value - Comma-separated group=role pairs, first matching group wins
+ * @returns {Array} Mappings with group and role
+ */
+function parseRoleMapping(value) {
+  return (value || '')
+    .split(',')
+    .map(pair => pair.split('='))
+    .filter(([group, role]) => group?.trim() && role?.trim())
+    .map(([group, role]) => ({ group: group.trim(), role: role.trim() }));
+}
+
+/**
+ * Get the single sign-on configuration
+ * @returns {Object} Provider and provisioning settings
+ */
+function getSsoConfig() {
+  return {
+    issuer: process.env.OIDC_ISSUER || '',
+    clientId: process.env.OIDC_CLIENT_ID || '',
+    clientSecret: process.env.OIDC_CLIENT_SECRET || '',
+    redirectUri: process.env.OIDC_REDIRECT_URI || '',
+    scopes: process.env.OIDC_SCOPES || 'openid email profile',
+    providerName: process.env.OIDC_PROVIDER_NAME || 'Single Sign-On',
+    groupsClaim: process.env.OIDC_GROUPS_CLAIM || 'groups',
+    roleMapping: parseRoleMapping(process.env.OIDC_ROLE_MAPPING),
+    defaultRole: process.env.OIDC_DEFAULT_ROLE || 'Normal User',
+    autoProvision: process.env.OIDC_AUTO_PROVISION !== 'false',
+    postLoginRedirect: process.env.OIDC_POST_LOGIN_REDIRECT || '/login'
+  };
+}
+
+/**
+ * Tell whether a single sign-on provider is configured
+ * @returns {boolean} True when an issuer and a client ID are set
+ */
+function isSsoConfigured() {
+  const { issuer, clientId } = getSsoConfig();
+  return Boolean(issuer && clientId);
+}
+
+// Fetch a JSON document from the provider
+async function fetchJson(url, options = {}) {
+  const response = await fetch(url, { ...options, signal: AbortSignal.timeout(PROVIDER_TIMEOUT) });
+  const body = await response.json().catch(() => null);
+
+  if (!response.ok || !body) {
+    const reason = body?.error_description || body?.error || `HTTP ${response.status}`;
+    throw new Error(`Request to ${new URL(url).pathname} failed: ${reason}`);
+  }
+
+  return body;
+}
+
+// Issuers are compared without their trailing slash, which providers add inconsistently
+function sameIssuer(a, b) {
+  return String(a).replace(/\/$/, '') === String(b).replace(/\/$/, '');
+}
+
+/**
+ * Get the provider metadata from its discovery document
+ * @returns {Promise<Object>} Provider metadata
+ */
+async function getProviderMetadata() {
+  const { issuer } = getSsoConfig();
+
+  if (metadataCache && metadataCache.issuer === issuer && Date.now() - metadataCache.fetchedAt < METADATA_REFRESH_INTERVAL) {
+    return metadataCache.metadata;
+  }
+
+  const metadata = await fetchJson(`${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+
+  if (!sameIssuer(metadata.issuer, issuer)) {
+    throw new Error(`Provider reports issuer ${metadata.issuer} instead of ${issuer}`);
+  }
+
+  for (const endpoint of ['authorization_endpoint', 'token_endpoint', 'jwks_uri']) {
+    if (!metadata[endpoint]) {
+      throw new Error(`Provider metadata has no ${endpoint}`);
+    }
+  }
+
+  metadataCache = { issuer, metadata, fetchedAt: Date.now() };
+  return metadata;
+}
+
+/**
+ * Find the provider key that signed an ID token
+ * @param {Object} metadata - Provider metadata
+ * @param {Object} header - ID token header
+ * @returns {Promise<crypto.KeyObject>} Public key
+ */
+async function getSigningKey(metadata, header) {
+  const findKey = keys => keys.find(key => (header.kid ? key.kid === header.kid : true) && (!key.use || key.use === 'sig'));
+  let key = jwksCache?.uri === metadata.jwks_uri ? findKey(jwksCache.keys) : null;
+
+  // Providers rotate their keys, so unknown key IDs are looked up again
+  if (!key && (!jwksCache || jwksCache.uri !== metadata.jwks_uri || Date.now() - jwksCache.fetchedAt >= JWKS_REFRESH_INTERVAL)) {
+    const jwks = await fetchJson(metadata.jwks_uri);
+    jwksCache = { uri: metadata.jwks_uri, keys: Array.isArray(jwks.keys) ? jwks.keys : [], fetchedAt: Date.now() };
+    key = findKey(jwksCache.keys);
+  }
+
+  if (!key) {
+    throw new Error(`Unknown ID token signing key ${header.kid || ''}`.trim());
+  }
+
+  return crypto.createPublicKey({ key, format: 'jwk' });
+}
+
+// PKCE code challenge of a code verifier
+function getCodeChallenge(codeVerifier) {
+  return crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+}
+
+/**
+ * Seal the state of a sign-in, so the client can hold it in a cookie until the
+ * provider redirects back
+ * @param {Object} transaction - State, nonce, code verifier and redirect URI
+ * @returns {string} Encrypted transaction
+ */
+function sealTransaction(transaction) {
+  return Buffer.from(JSON.stringify(encryptSecret(JSON.stringify(transaction)))).toString('base64url');
+}
+
+/**
+ * Open a transaction sealed by sealTransaction
+ * @param {string} sealed - Encrypted transaction
+ * @returns {Object|null} Transaction, or null if it is invalid or too old
+ */
+function openTransaction(sealed) {
+  try {
+    const transaction = JSON.parse(decryptSecret(JSON.parse(Buffer.from(sealed, 'base64url').toString('utf8'))));
+    return Date.now() - transaction.createdAt < TRANSACTION_LIFETIME ? transaction : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Start a sign-in at the provider
+ * @param {string} redirectUri - Callback URL, used when OIDC_REDIRECT_URI is not set
+ * @returns {Promise<Object>} Authorization URL to send the browser to, and the sealed transaction
+ */
+async function createAuthorizationRequest(redirectUri) {
+  const config = getSsoConfig();
+  const metadata = await getProviderMetadata();
+
+  const transaction = {
+    state: crypto.randomBytes(24).toString('base64url'),
+    nonce: crypto.randomBytes(24).toString('base64url'),
+    codeVerifier: crypto.randomBytes(32).toString('base64url'),
+    redirectUri: config.redirectUri || redirectUri,
+    createdAt: Date.now()
+  };
+
+  const url = new URL(metadata.authorization_endpoint);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', config.clientId);
+  url.searchParams.set('redirect_uri', transaction.redirectUri);
+  url.searchParams.set('scope', config.scopes);
+  url.searchParams.set('state', transaction.state);
+  url.searchParams.set('nonce', transaction.nonce);
+  url.searchParams.set('code_challenge', getCodeChallenge(transaction.codeVerifier));
+  url.searchParams.set('code_challenge_method', 'S256');
+
+  return { url: url.toString(), transaction: sealTransaction(transaction) };
+}
+
+/**
+ * Exchange an authorization code for tokens
+ * @param {Object} metadata - Provider metadata
+ * @param {string} code - Authorization code
+ * @param {Object} transaction - Sign-in transaction
+ * @returns {Promise<Object>} Token response
+ */
+async function exchangeCode(metadata, code, transaction) {
+  const { clientId, clientSecret } = getSsoConfig();
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: transaction.redirectUri,
+    code_verifier: transaction.codeVerifier,
+    client_id: clientId
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+
+  // Confidential clients authenticate with HTTP Basic, unless the provider only supports the request body
+  if (clientSecret) {
+    const methods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+
+    if (!methods.includes('client_secret_basic') && methods.includes('client_secret_post')) {
+      params.set('client_secret', clientSecret);
+    } else {
+      headers.Authorization = `Basic ${Buffer.from(`${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`).toString('base64')}`;
+    }
+  }
+
+  return fetchJson(metadata.token_endpoint, { method: 'POST', headers, body: params });
+}
+
+/**
+ * Verify an ID token and return its claims
+ * @param {Object} metadata - Provider metadata
+ * @param {string} idToken - ID token
+ * @param {string} nonce - Nonce sent with the authorization request
+ * @returns {Promise<Object>} Claims
+ */
+async function verifyIdToken(metadata, idToken, nonce) {
+  const { clientId } = getSsoConfig();
+  const decoded = jwt.decode(idToken, { complete: true });
+
+  if (!decoded || !ID_TOKEN_ALGORITHMS.includes(decoded.header.alg)) {
+    throw new Error('ID token is malformed or signed with an unsupported algorithm');
+  }
+
+  const claims = jwt.verify(idToken, await getSigningKey(metadata, decoded.header), {
+    algorithms: ID_TOKEN_ALGORITHMS,
+    issuer: metadata.issuer,
+    audience: clientId,
+    clockTolerance: CLOCK_TOLERANCE
+  });
+
+  if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== clientId) {
+    throw new Error('ID token was issued to another client');
+  }
+
+  if (!claims.nonce || claims.nonce !== nonce) {
+    throw new Error('ID token nonce does not match the sign-in');
+  }
+
+  if (!claims.sub) {
+    throw new Error('ID token has no subject');
+  }
+
+  return claims;
+}
+
+// Read a claim by its path, e.g. 'realm_access.roles'
+function getClaim(claims, path) {
+  return path.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), claims);
+}
+
+/**
+ * Complete a sign-in when the provider redirects back
+ * @param {Object} params - Query parameters of the callback: code, state, or error
+ * @param {string} sealed - Sealed transaction from createAuthorizationRequest
+ * @returns {Promise<Object>} Claims of the signed-in account, with those of the
+ *   userinfo endpoint when the ID token does not carry the groups
+ * @throws {Error} If the sign-in was refused, tampered with or expired
+ */
+async function completeAuthorization({ code, state, error, error_description }, sealed) {
+  if (error) {
+    throw new Error(`Provider refused the sign-in: ${error_description || error}`);
+  }
+
+  const transaction = sealed && openTransaction(sealed);
+
+  if (!transaction || typeof state !== 'string' || state.length !== transaction.state.length ||
+      !crypto.timingSafeEqual(Buffer.from(state), Buffer.from(transaction.state))) {
+    throw new Error('Sign-in state is missing, expired or does not match');
+  }
+
+  if (typeof code !== 'string' || !code) {
+    throw new Error('Provider returned no authorization code');
+  }
+
+  const metadata = await getProviderMetadata();
+  const tokens = await exchangeCode(metadata, code, transaction);
+
+  if (!tokens.id_token) {
+    throw new Error('Provider returned no ID token');
+  }
+
+  const claims = await verifyIdToken(metadata, tokens.id_token, transaction.nonce);
+  const { groupsClaim } = getSsoConfig();
+
+  // Many providers only share groups through the userinfo endpoint
+  if (getClaim(claims, groupsClaim) === undefined && metadata.userinfo_endpoint && tokens.access_token) {
+    const userinfo = await fetchJson(metadata.userinfo_endpoint, { headers: { Authorization: `Bearer ${tokens.access_token}` } });
+
+    if (userinfo.sub !== claims.sub) {
+      throw new Error('Userinfo subject does not match the ID token');
+    }
+
+    return { ...userinfo, ...claims };
+  }
+
+  return claims;
+}
+
+/**
+ * Get the role of an account from its groups
+ * @param {Object} claims - Account claims
+ * @returns {string|null} Role of the first mapped group the account is in, or null if none
+ */
+function getMappedRole(claims) {
+  const { groupsClaim, roleMapping } = getSsoConfig();
+  const value = getClaim(claims, groupsClaim);
+  const groups = Array.isArray(value) ? value.map(String) : (typeof value === 'string' ? value.split(/[\s,]+/) : []);
+
+  for (const { group, role } of roleMapping) {
+    if (!groups.includes(group)) {
+      continue;
+    }
+
+    if (findRole(role)) {
+      return role;
+    }
+
+    logger.error(`OIDC_ROLE_MAPPING maps group ${group} to unknown role ${role}`);
+  }
+
+  return null;
+}
+
+/**
+ * Find, link or create the user of a provider account, and apply its role mapping
+ * @param {Object} claims - Account claims from completeAuthorization
+ * @returns {Promise<Object>} Result with success and the user, whether it was
+ *   provisioned and its previous role if it changed, or an error
+ */
+async function resolveSsoUser(claims) {
+  const config = getSsoConfig();
+  const metadata = await getProviderMetadata();
+  const issuer = metadata.issuer;
+  const email = typeof claims.email === 'string' ? claims.email.toLowerCase() : null;
+  const mappedRole = getMappedRole(claims);
+
+  let identity = await dbUtils.getUserIdentity(issuer, claims.sub);
+  let user = identity && await dbUtils.getUserById(identity.userId);
+  let provisioned = false;
+
+  // The user of a linked account may have been deleted since
+  if (identity && !user) {
+    await dbUtils.deleteUserIdentities({ issuer, subject: claims.sub });
+    identity = null;
+  }
+
+  if (!user) {
+    if (!email || claims.email_verified === false) {
+      return { success: false, error: 'The provider did not share a verified email address' };
+    }
+
+    user = await dbUtils.getUserByEmail(email);
+
+    // Existing accounts are only taken over with an address the provider verified
+    if (user && claims.email_verified !== true) {
+      return { success: false, error: 'An account with this email already exists, but the provider did not verify the address' };
+    }
+
+    if (!user) {
+      if (!config.autoProvision) {
+        return { success: false, error: 'No account exists for this email address' };
+      }
+
+      const role = mappedRole || config.defaultRole;
+
+      if (!findRole(role)) {
+        logger.error(`OIDC_DEFAULT_ROLE ${role} is not a role`);
+        return { success: false, error: 'Single sign-on is misconfigured' };
+      }
+
+      // Provisioned users have no password, they sign in with the provider
+      const userId = await dbUtils.createUser({
+        username: claims.preferred_username || claims.name || email.split('@')[0],
+        email,
+        password: await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10),
+        role
+      });
+      user = userId && await dbUtils.getUserById(userId);
+
+      if (!user) {
+        return { success: false, error: 'Failed to create the account' };
+      }
+
+      provisioned = true;
+      logger.info(`Provisioned user ${user.id} (${email}) from single sign-on with role ${role}`);
+    }
+
+    if (!await dbUtils.createUserIdentity({ issuer, subject: claims.sub, userId: user.id, email })) {
+      return { success: false, error: 'Failed to link the account' };
+    }
+  } else {
+    await dbUtils.touchUserIdentity(issuer, claims.sub, email);
+  }
+
+  // The provider decides the role of mapped users; break-glass accounts are managed locally
+  const role = config.roleMapping.length > 0 && !user.breakglass ? (mappedRole || config.defaultRole) : user.role;
+  const previousRole = user.role;
+
+  if (role !== user.role && findRole(role)) {
+    await dbUtils.updateUserProfile(user.id, { role });
+    user = { ...user, role };
+    logger.info(`Role of user ${user.id} changed from ${previousRole} to ${role} by single sign-on group mapping`);
+  }
+
+  return { success: true, user, provisioned, previousRole: previousRole !== user.role ? previousRole : undefined };
+}
+
+export {
+  getSsoConfig,
+  isSsoConfigured,
+  createAuthorizationRequest,
+  completeAuthorization,
+  resolveSsoUser
+};
@@ -0,0 +1,540 @@
+/**
+ * Ticket SLA
+ *
+ * SLA policies set the first-response and resolution targets of tickets by
+ * priority, for every platform or a single one; a policy for the ticket's
+ * platform wins over one for every platform. Targets are counted in business
+ * hours, as set in the businessHours section of the system settings, unless the
+ * policy counts them around the clock. Tickets get their due dates when the SLA
+ * monitor first sees them, or right away when created or reprioritized on the
+ * dashboard. An agent's first reply, or the ticket leaving 'open', is its first
+ * response.
+ *
+ * Once a minute the SLA monitor escalates the open tickets past a target: their
+ * priority is raised a level, they are reassigned to the policy's escalation
+ * user and the assignee, or the users who may assign them, are emailed. Each
+ * target escalates a ticket once. Compliance is reported by getSlaCompliance.
+ */
+
+import logger from '../utils/logging.js';
+import * as dbUtils from '../utils/dbUtils.js';
+import { sendMail } from '../utils/mailer.js';
+import { can } from './permissions.js';
+import { getAppUrl } from './accountTokens.js';
+
+// How often tickets are checked against their SLA targets
+const SLA_CHECK_INTERVAL = 60 * 1000;
+
+// Used when the business hours are missing or invalid
+const DEFAULT_BUSINESS_HOURS = {
+  timezone: 'UTC',
+  days: [1, 2, 3, 4, 5],
+  start: '09:00',
+  end: '17:00'
+};
+
+// Priority a breached ticket is escalated to
+const ESCALATED_PRIORITIES = {
+  low: 'medium',
+  medium: 'high'
+};
+
+// 'HH:MM' from 00:00 to 24:00
+const TIME_PATTERN = /^(?:([01]\d|2[0-3]):([0-5]\d)|(24):(00))$/;
+
+// Days as numbered by Date.getDay(), by the names Intl formats them with
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const MINUTE = 60 * 1000;
+
+let checkTimer = null;
+let checking = false;
+const formatters = new Map();
+
+/**
+ * Tell whether a time zone is known to the runtime
+ * @param {string} timeZone - IANA time zone, e.g. 'Europe/Paris'
+ * @returns {boolean} True if valid
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Minutes since midnight of an 'HH:MM' time, null when invalid
+function parseTime(value) {
+  const match = TIME_PATTERN.exec(String(value));
+  return match ? parseInt(match[1] ?? match[3]) * 60 + parseInt(match[2] ?? match[4]) : null;
+}
+
+/**
+ * Fill in missing or invalid business hours with their defaults
+ * @param {Object} settings - Business hours as stored
+ * @returns {Object} Time zone, working days and opening and closing times in minutes since midnight
+ */
+function normalizeBusinessHours(settings = {}) {
+  const days = Array.isArray(settings.days) ? settings.days.filter(day => Number.isInteger(day) && day >= 0 && day <= 6) : [];
+  let start = parseTime(settings.start);
+  let end = parseTime(settings.end);
+
+  if (start === null || end === null || start >= end) {
+    start = parseTime(DEFAULT_BUSINESS_HOURS.start);
+    end = parseTime(DEFAULT_BUSINESS_HOURS.end);
+  }
+
+  return {
+    timezone: settings.timezone && isValidTimeZone(settings.timezone) ? settings.timezone : DEFAULT_BUSINESS_HOURS.timezone,
+    days: days.length > 0 ? days : DEFAULT_BUSINESS_HOURS.days,
+    start,
+    end
+  };
+}
+
+// Read the business hours from the system settings
+async function loadBusinessHours() {
+  const settings = await dbUtils.getSystemSettings();
+  return normalizeBusinessHours(settings?.businessHours);
+}
+
+/**
+ * Get the day of the week and the time of day at an instant in a time zone
+ * @param {number} time - Instant, in milliseconds
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} Day (0 for Sunday) and minutes since midnight
+ */
+function getLocalTime(time, timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+
+  const parts = Object.fromEntries(formatters.get(timeZone).formatToParts(new Date(time)).map(part => [part.type, part.value]));
+
+  return {
+    day: WEEKDAYS[parts.weekday],
+    minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute) + (parseInt(parts.second) + (time % 1000) / 1000) / 60
+  };
+}
+
+/**
+ * Get the business hours open at an instant, or the next ones
+ * @param {number} time - Instant, in milliseconds
+ * @param {Object} hours - Normalized business hours
+ * @returns {Object} Opening and closing instants, in milliseconds
+ */
+function getBusinessWindow(time, hours) {
+  let cursor = time;
+
+  // Every day of a week at most, twice for days made longer by daylight saving time
+  for (let i = 0; i < 16; i++) {
+    const { day, minutes } = getLocalTime(cursor, hours.timezone);
+
+    if (hours.days.includes(day) && minutes < hours.end) {
+      return {
+        opensAt: cursor + Math.max(hours.start - minutes, 0) * MINUTE,
+        closesAt: cursor + (hours.end - minutes) * MINUTE
+      };
+    }
+
+    // On to the next local midnight
+    cursor += (24 * 60 - minutes) * MINUTE;
+  }
+
+  throw new Error('Business hours have no working day');
+}
+
+/**
+ * Add minutes to an instant, counting business hours only
+ * @param {number} time - Instant, in milliseconds
+ * @param {number} minutes - Minutes to add
+ * @param {Object} hours - Normalized business hours
+ * @returns {number} Resulting instant, in milliseconds
+ */
+function addBusinessMinutes(time, minutes, hours) {
+  let remaining = minutes * MINUTE;
+  let cursor = time;
+
+  while (true) {
+    const { opensAt, closesAt } = getBusinessWindow(cursor, hours);
+
+    if (remaining <= closesAt - opensAt) {
+      return opensAt + remaining;
+    }
+
+    remaining -= closesAt - opensAt;
+    cursor = closesAt;
+  }
+}
+
+// Read a ticket field as stored by any engine, dates as ISO 8601
+const getTicketField = (ticket, field) => {
+  const value = ticket[field] ?? ticket[field.toLowerCase()] ?? null;
+  return value instanceof Date ? value.toISOString() : value;
+};
+
+/**
+ * Find the SLA policy of a ticket: the enabled policy for its priority and
+ * platform, else the one for its priority on every platform
+ * @param {Object} ticket - Ticket
+ * @param {Array} policies - SLA policies
+ * @returns {Object|null} Policy, or null if none applies
+ */
+function findSlaPolicy(ticket, policies) {
+  const candidates = policies.filter(policy =>
+    policy.enabled && policy.priority === ticket.priority && (!policy.platform || policy.platform === ticket.platform)
+  );
+
+  return candidates.find(policy => policy.platform) || candidates[0] || null;
+}
+
+/**
+ * Get the SLA fields of a ticket under a policy
+ * @param {Object} ticket - Ticket
+ * @param {Object|null} policy - SLA policy
+ * @param {Object} hours - Normalized business hours
+ * @returns {Object} Policy ID and due dates, all null without a policy
+ */
+function getSlaTargets(ticket, policy, hours) {
+  if (!policy) {
+    return { slaPolicyId: null, firstResponseDueAt: null, resolutionDueAt: null };
+  }
+
+  const createdAt = Date.parse(getTicketField(ticket, 'createdAt'));
+  const dueAt = (minutes) => {
+    if (!minutes) {
+      return null;
+    }
+
+    const time = policy.businessHours ? addBusinessMinutes(createdAt, minutes, hours) : createdAt + minutes * MINUTE;
+    return new Date(time).toISOString();
+  };
+
+  return {
+    slaPolicyId: policy.id,
+    firstResponseDueAt: dueAt(policy.firstResponseMinutes),
+    resolutionDueAt: dueAt(policy.resolutionMinutes)
+  };
+}
+
+/**
+ * Apply the SLA policy matching a ticket's priority and platform, from the
+ * time it was created. Breaches stay recorded when the new targets are missed
+ * too, so a reprioritized ticket is not escalated twice for them.
+ * @param {Object} ticket - Ticket
+ * @returns {Promise<Object|null>} Updated ticket, or null on error
+ */
+async function applySlaPolicy(ticket) {
+  const ticketId = getTicketField(ticket, 'ticketId');
+
+  try {
+    const [policies, hours] = await Promise.all([dbUtils.getSlaPolicies({ enabled: true }), loadBusinessHours()]);
+    const targets = getSlaTargets(ticket, findSlaPolicy(ticket, policies), hours);
+    const now = new Date().toISOString();
+    const keepBreach = (dueAt, breachedAt) => (dueAt && dueAt <= now ? getTicketField(ticket, breachedAt) : null);
+
+    return await dbUtils.updateTicket(ticketId, {
+      ...targets,
+      firstResponseBreachedAt: keepBreach(targets.firstResponseDueAt, 'firstResponseBreachedAt'),
+      resolutionBreachedAt: keepBreach(targets.resolutionDueAt, 'resolutionBreachedAt')
+    });
+  } catch (error) {
+    logger.error(`Error applying the SLA policy of ticket ${ticketId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Record the first response to a ticket, unless it was already responded to
+ * @param {Object} ticket - Ticket
+ * @returns {Promise<Object|null>} Updated ticket, or null when there was nothing to record
+ */
+async function recordFirstResponse(ticket) {
+  if (getTicketField(ticket, 'firstResponseAt')) {
+    return null;
+  }
+
+  return dbUtils.updateTicket(getTicketField(ticket, 'ticketId'), { firstResponseAt: new Date().toISOString() });
+}
+
+/**
+ * Get the users to notify of an escalated ticket
+ * @param {Object} ticket - Escalated ticket
+ * @returns {Promise<Array>} Its assignee, or every active user who may assign it
+ */
+async function getEscalationRecipients(ticket) {
+  const resource = { platform: ticket.platform };
+  const users = (await dbUtils.getAllUsers()).filter(user => user.status === 'active' && user.email);
+  const assignee = users.find(user => user.id === getTicketField(ticket, 'assignedTo') && can(user, 'tickets.view', resource));
+
+  return assignee ? [assignee] : users.filter(user => can(user, 'tickets.assign', resource));
+}
+
+/**
+ * Email the users in charge of a ticket that missed its SLA targets
+ * @param {Object} ticket - Escalated ticket
+ * @param {Array<string>} breaches - Targets missed, 'first response' and/or 'resolution'
+ * @returns {Promise<number>} Number of users notified
+ */
+async function notifyEscalation(ticket, breaches) {
+  const ticketId = getTicketField(ticket, 'ticketId');
+  const recipients = await getEscalationRecipients(ticket);
+  let notified = 0;
+
+  if (recipients.length === 0) {
+    logger.warn(`Nobody can be notified of the escalation of ticket ${ticketId}`);
+    return 0;
+  }
+
+  for (const recipient of recipients) {
+    try {
+      await sendMail({
+        to: recipient.email,
+        subject: `Ticket ${ticketId} missed its ${breaches.join(' and ')} target`,
+        text: [
+          `Hello ${recipient.username},`,
+          '',
+          `Ticket ${ticketId} from ${ticket.username} on ${ticket.platform} missed its ${breaches.join(' and ')} target and was escalated. It is now ${ticket.priority} priority.`,
+          '',
+          `Issue: "${ticket.issue}"`,
+          '',
+          `Open the dashboard to pick it up: ${getAppUrl()}`,
+          ''
+        ].join('\n')
+      });
+      notified++;
+    } catch (error) {
+      logger.error(`Error notifying ${recipient.email} of the escalation of ticket ${ticketId}:`, error);
+    }
+  }
+
+  logger.info(`${notified} user(s) notified of the escalation of ticket ${ticketId}`);
+  return notified;
+}
+
+/**
+ * Escalate a ticket past its SLA targets: record the breaches, raise its
+ * priority and reassign it as its policy says, and notify who is in charge
+ * @param {Object} ticket - Ticket, in portable form
+ * @param {Object} policies - SLA policies by ID
+ * @param {string} now - Current time, ISO 8601
+ * @returns {Promise<void>}
+ */
+async function escalateTicket(ticket, policies, now) {
+  const policy = policies[ticket.slaPolicyId] || {};
+  const breaches = [];
+  const updates = {};
+
+  if (!ticket.firstResponseAt && !ticket.firstResponseBreachedAt && ticket.firstResponseDueAt && ticket.firstResponseDueAt <= now) {
+    breaches.push('first response');
+    updates.firstResponseBreachedAt = now;
+  }
+
+  if (!ticket.resolutionBreachedAt && ticket.resolutionDueAt && ticket.resolutionDueAt <= now) {
+    breaches.push('resolution');
+    updates.resolutionBreachedAt = now;
+  }
+
+  if (breaches.length === 0) {
+    return;
+  }
+
+  if (policy.escalatePriority && ESCALATED_PRIORITIES[ticket.priority]) {
+    updates.priority = ESCALATED_PRIORITIES[ticket.priority];
+  }
+
+  if (policy.escalateTo && policy.escalateTo !== ticket.assignedTo) {
+    const escalationUser = await dbUtils.getUserById(policy.escalateTo);
+
+    if (escalationUser?.status === 'active') {
+      updates.assignedTo = escalationUser.id;
+    } else {
+      logger.warn(`Ticket ${ticket.ticketId} not reassigned: the escalation user of SLA policy ${policy.id} is not active`);
+    }
+  }
+
+  const escalated = await dbUtils.updateTicket(ticket.ticketId, updates);
+
+  if (!escalated) {
+    return;
+  }
+
+  logger.warn(`Ticket ${ticket.ticketId} missed its ${breaches.join(' and ')} target and was escalated`, {
+    priority: getTicketField(escalated, 'priority'),
+    assignedTo: getTicketField(escalated, 'assignedTo')
+  });
+
+  await notifyEscalation(escalated, breaches);
+}
+
+/**
+ * Give the open tickets without one their SLA policy, and escalate the tickets
+ * past their targets
+ * @returns {Promise<void>}
+ */
+async function checkSla() {
+  if (checking) {
+    return;
+  }
+
+  checking = true;
+
+  try {
+    const [policies, hours] = await Promise.all([dbUtils.getSlaPolicies(), loadBusinessHours()]);
+    const enabledPolicies = policies.filter(policy => policy.enabled);
+
+    if (enabledPolicies.length > 0) {
+      for (const ticket of await dbUtils.getTicketsWithoutSla()) {
+        const policy = findSlaPolicy(ticket, enabledPolicies);
+
+        if (policy) {
+          await dbUtils.updateTicket(ticket.ticketId, getSlaTargets(ticket, policy, hours));
+        }
+      }
+    }
+
+    const now = new Date().toISOString();
+    const policiesById = Object.fromEntries(policies.map(policy => [policy.id, policy]));
+
+    for (const ticket of await dbUtils.getTicketsBreachingSla(now)) {
+      await escalateTicket(ticket, policiesById, now);
+    }
+  } finally {
+    checking = false;
+  }
+}
+
+/**
+ * Start checking tickets against their SLA targets
+ */
+function startSlaMonitor() {
+  if (checkTimer) {
+    return;
+  }
+
+  checkTimer = setInterval(() => {
+    checkSla().catch(err => logger.error('Error checking ticket SLAs:', err));
+  }, SLA_CHECK_INTERVAL);
+  checkTimer.unref();
+
+  checkSla().catch(err => logger.error('Error checking ticket SLAs:', err));
+}
+
+/**
+ * Stop checking tickets against their SLA targets
+ */
+function stopSlaMonitor() {
+  clearInterval(checkTimer);
+  checkTimer = null;
+}
+
+// Outcome of a target: null without one, else 'met', 'breached' or 'pending'
+function getTargetOutcome(dueAt, doneAt, now) {
+  if (!dueAt) {
+    return null;
+  }
+
+  if (doneAt) {
+    return Date.parse(doneAt) <= Date.parse(dueAt) ? 'met' : 'breached';
+  }
+
+  return now > Date.parse(dueAt) ? 'breached' : 'pending';
+}
+
+// Counters of one target, and the minutes taken to reach it
+const createTargetStats = () => ({ met: 0, breached: 0, pending: 0, minutes: [] });
+
+const createGroupStats = () => ({
+  tickets: 0,
+  escalated: 0,
+  firstResponse: createTargetStats(),
+  resolution: createTargetStats()
+});
+
+// Compliance rate in percent of the decided targets, and the average minutes taken
+const summarizeTarget = ({ met, breached, pending, minutes }) => ({
+  met,
+  breached,
+  pending,
+  compliance: met + breached > 0 ? Math.round(met / (met + breached) * 1000) / 10 : null,
+  averageMinutes: minutes.length > 0 ? Math.round(minutes.reduce((sum, value) => sum + value, 0) / minutes.length) : null
+});
+
+const summarizeGroup = (group) => ({
+  tickets: group.tickets,
+  escalated: group.escalated,
+  firstResponse: summarizeTarget(group.firstResponse),
+  resolution: summarizeTarget(group.resolution)
+});
+
+/**
+ * Report how tickets created in a period kept to their SLA targets
+ * @param {Object} filters - Ticket filters (from, to, platform, platforms, priority)
+ * @returns {Promise<Object>} Compliance overall, by priority and by platform
+ */
+async function getSlaCompliance(filters = {}) {
+  const tickets = await dbUtils.getSlaTickets(filters);
+  const now = Date.now();
+  const overall = createGroupStats();
+  const byPriority = {};
+  const byPlatform = {};
+
+  for (const ticket of tickets) {
+    const groups = [
+      overall,
+      byPriority[ticket.priority] ??= createGroupStats(),
+      byPlatform[ticket.platform] ??= createGroupStats()
+    ];
+    const createdAt = Date.parse(ticket.createdAt);
+    const targets = {
+      firstResponse: { outcome: getTargetOutcome(ticket.firstResponseDueAt, ticket.firstResponseAt, now), doneAt: ticket.firstResponseAt },
+      resolution: { outcome: getTargetOutcome(ticket.resolutionDueAt, ticket.closedAt, now), doneAt: ticket.closedAt }
+    };
+
+    for (const group of groups) {
+      group.tickets++;
+
+      if (ticket.firstResponseBreachedAt || ticket.resolutionBreachedAt) {
+        group.escalated++;
+      }
+
+      for (const [target, { outcome, doneAt }] of Object.entries(targets)) {
+        if (outcome) {
+          group[target][outcome]++;
+        }
+
+        if (outcome && doneAt) {
+          group[target].minutes.push((Date.parse(doneAt) - createdAt) / MINUTE);
+        }
+      }
+    }
+  }
+
+  const summarizeGroups = (groups) => Object.fromEntries(Object.entries(groups).map(([key, group]) => [key, summarizeGroup(group)]));
+
+  return {
+    from: filters.from || null,
+    to: filters.to || null,
+    ...summarizeGroup(overall),
+    byPriority: summarizeGroups(byPriority),
+    byPlatform: summarizeGroups(byPlatform)
+  };
+}
+
+export {
+  isValidTimeZone,
+  applySlaPolicy,
+  recordFirstResponse,
+  startSlaMonitor,
+  stopSlaMonitor,
+  getSlaCompliance
+};
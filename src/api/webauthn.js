@@ -0,0 +1,495 @@
+/**
+ * WebAuthn Passkeys
+ *
+ * This module registers passkeys and checks the assertions they sign, for use
+ * as a second factor after the password or to sign in without one. The relying
+ * party is configured with the WEBAUTHN_* environment variables. Attestation is
+ * not requested: the dashboard trusts any authenticator the user registers, so
+ * attestation statements are not verified. Challenges are stored and can only
+ * be answered once.
+ */
+
+import crypto from 'crypto';
+import logger from '../utils/logging.js';
+import * as dbUtils from '../utils/dbUtils.js';
+
+// How long the browser has to answer a challenge
+const CHALLENGE_LIFETIME = 5 * 60 * 1000;
+
+// COSE algorithms of the public keys accepted, in order of preference
+const COSE_ALGORITHMS = {
+  ES256: -7,
+  EdDSA: -8,
+  RS256: -257
+};
+
+// Flags of the authenticator data
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+const FLAG_ATTESTED_CREDENTIAL_DATA = 0x40;
+const FLAG_EXTENSION_DATA = 0x80;
+
+// Longest name users may give a passkey
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * Get the relying party configuration
+ * @returns {Object} Relying party ID and name, and the origins allowed to use passkeys
+ */
+function getWebAuthnConfig() {
+  const defaultOrigins = process.env.NODE_ENV === 'production'
+    ? [process.env.CORS_ORIGIN].filter(Boolean)
+    : ['http://localhost:5173', `http://localhost:${process.env.PORT || 3000}`];
+
+  return {
+    rpId: process.env.WEBAUTHN_RP_ID || 'localhost',
+    rpName: process.env.WEBAUTHN_RP_NAME || process.env.APP_NAME || 'Bot Management Dashboard',
+    origins: process.env.WEBAUTHN_ORIGINS
+      ? process.env.WEBAUTHN_ORIGINS.split(',').map(origin => origin.trim().replace(/\/$/, '')).filter(Boolean)
+      : defaultOrigins
+  };
+}
+
+/**
+ * Decode a CBOR item, as used by attestation objects and COSE keys. Only the
+ * definite-length encodings authenticators produce are supported.
+ * @param {Buffer} buffer - Encoded data
+ * @param {number} offset - Offset of the item
+ * @returns {Object} Decoded value and the offset after the item
+ * @throws {Error} If the data is malformed
+ */
+function decodeCbor(buffer, offset = 0) {
+  if (offset >= buffer.length) {
+    throw new Error('Truncated CBOR data');
+  }
+
+  const initial = buffer[offset];
+  const majorType = initial >> 5;
+  const info = initial & 0x1f;
+  let position = offset + 1;
+  let length;
+
+  if (info < 24) {
+    length = info;
+  } else if (info <= 27) {
+    const size = 2 ** (info - 24);
+
+    if (position + size > buffer.length) {
+      throw new Error('Truncated CBOR data');
+    }
+
+    length = size === 8 ? Number(buffer.readBigUInt64BE(position)) : buffer.readUIntBE(position, size);
+    position += size;
+  } else {
+    throw new Error('Unsupported CBOR encoding');
+  }
+
+  switch (majorType) {
+    case 0:
+      return { value: length, offset: position };
+
+    case 1:
+      return { value: -1 - length, offset: position };
+
+    case 2:
+    case 3: {
+      if (position + length > buffer.length) {
+        throw new Error('Truncated CBOR data');
+      }
+
+      const bytes = buffer.subarray(position, position + length);
+      return { value: majorType === 2 ? Buffer.from(bytes) : bytes.toString('utf8'), offset: position + length };
+    }
+
+    case 4: {
+      const items = [];
+
+      for (let i = 0; i < length; i++) {
+        const item = decodeCbor(buffer, position);
+        items.push(item.value);
+        position = item.offset;
+      }
+
+      return { value: items, offset: position };
+    }
+
+    case 5: {
+      const map = new Map();
+
+      for (let i = 0; i < length; i++) {
+        const key = decodeCbor(buffer, position);
+        const value = decodeCbor(buffer, key.offset);
+        map.set(key.value, value.value);
+        position = value.offset;
+      }
+
+      return { value: map, offset: position };
+    }
+
+    case 7:
+      // Simple values: false, true and null
+      if ([20, 21, 22].includes(info)) {
+        return { value: [false, true, null][info - 20], offset: position };
+      }
+      throw new Error('Unsupported CBOR simple value');
+
+    default:
+      throw new Error('Unsupported CBOR type');
+  }
+}
+
+/**
+ * Convert a COSE public key into a JWK Node.js can verify signatures with
+ * @param {Map} coseKey - Decoded COSE key
+ * @returns {Object} JWK and COSE algorithm of the key
+ * @throws {Error} If the key type or algorithm is not supported
+ */
+function coseKeyToJwk(coseKey) {
+  const keyType = coseKey.get(1);
+  const algorithm = coseKey.get(3);
+  const base64url = value => Buffer.from(value).toString('base64url');
+
+  if (keyType === 2 && algorithm === COSE_ALGORITHMS.ES256 && coseKey.get(-1) === 1) {
+    return { algorithm, jwk: { kty: 'EC', crv: 'P-256', x: base64url(coseKey.get(-2)), y: base64url(coseKey.get(-3)) } };
+  }
+
+  if (keyType === 1 && algorithm === COSE_ALGORITHMS.EdDSA && coseKey.get(-1) === 6) {
+    return { algorithm, jwk: { kty: 'OKP', crv: 'Ed25519', x: base64url(coseKey.get(-2)) } };
+  }
+
+  if (keyType === 3 && algorithm === COSE_ALGORITHMS.RS256) {
+    return { algorithm, jwk: { kty: 'RSA', n: base64url(coseKey.get(-1)), e: base64url(coseKey.get(-2)) } };
+  }
+
+  throw new Error(`Unsupported public key (key type ${keyType}, algorithm ${algorithm})`);
+}
+
+/**
+ * Parse the authenticator data of a registration or assertion
+ * @param {Buffer} authData - Authenticator data
+ * @returns {Object} RP ID hash, flags, signature counter and, on registration, the new credential
+ * @throws {Error} If the data is malformed
+ */
+function parseAuthenticatorData(authData) {
+  if (authData.length < 37) {
+    throw new Error('Authenticator data is too short');
+  }
+
+  const flags = authData[32];
+  const parsed = {
+    rpIdHash: authData.subarray(0, 32),
+    userPresent: Boolean(flags & FLAG_USER_PRESENT),
+    userVerified: Boolean(flags & FLAG_USER_VERIFIED),
+    signCount: authData.readUInt32BE(33),
+    credential: null
+  };
+
+  if (flags & FLAG_ATTESTED_CREDENTIAL_DATA) {
+    // AAGUID (16 bytes), credential ID length (2 bytes), credential ID, then the COSE public key
+    const idLength = authData.readUInt16BE(53);
+    const keyOffset = 55 + idLength;
+
+    if (keyOffset > authData.length) {
+      throw new Error('Authenticator data is too short');
+    }
+
+    const coseKey = decodeCbor(authData, keyOffset);
+
+    if (!(coseKey.value instanceof Map)) {
+      throw new Error('Invalid credential public key');
+    }
+
+    if (coseKey.offset !== authData.length && !(flags & FLAG_EXTENSION_DATA)) {
+      throw new Error('Unexpected data after the credential public key');
+    }
+
+    parsed.credential = {
+      id: authData.subarray(55, keyOffset).toString('base64url'),
+      ...coseKeyToJwk(coseKey.value)
+    };
+  }
+
+  return parsed;
+}
+
+// Decode a base64url field of a credential sent by the browser
+function decodeField(value, name) {
+  if (typeof value !== 'string' || !/^[A-Za-z0-9_-]+$/.test(value)) {
+    throw new Error(`Invalid ${name}`);
+  }
+
+  return Buffer.from(value, 'base64url');
+}
+
+/**
+ * Check the client data the browser signed over
+ * @param {Buffer} clientDataJSON - Client data
+ * @param {string} type - 'webauthn.create' or 'webauthn.get'
+ * @param {string} challenge - Expected challenge, base64url encoded
+ * @throws {Error} If the type, challenge or origin do not match
+ */
+function checkClientData(clientDataJSON, type, challenge) {
+  let clientData;
+
+  try {
+    clientData = JSON.parse(clientDataJSON.toString('utf8'));
+  } catch (error) {
+    throw new Error('Invalid client data');
+  }
+
+  if (clientData.type !== type) {
+    throw new Error(`Client data type is ${clientData.type}, expected ${type}`);
+  }
+
+  const expected = Buffer.from(challenge, 'base64url');
+  const received = Buffer.from(String(clientData.challenge || ''), 'base64url');
+
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw new Error('Challenge does not match');
+  }
+
+  if (!getWebAuthnConfig().origins.includes(clientData.origin)) {
+    throw new Error(`Origin ${clientData.origin} is not allowed`);
+  }
+
+  if (clientData.crossOrigin === true) {
+    throw new Error('Cross-origin requests are not allowed');
+  }
+}
+
+// Check that authenticator data was made for this relying party by a present user
+function checkAuthenticatorData(authData, requireUserVerification) {
+  const expectedHash = crypto.createHash('sha256').update(getWebAuthnConfig().rpId).digest();
+
+  if (!crypto.timingSafeEqual(authData.rpIdHash, expectedHash)) {
+    throw new Error('Relying party ID does not match');
+  }
+
+  if (!authData.userPresent) {
+    throw new Error('User presence was not confirmed');
+  }
+
+  if (requireUserVerification && !authData.userVerified) {
+    throw new Error('User verification is required');
+  }
+}
+
+/**
+ * Create a challenge and store it until it is answered
+ * @param {string} type - 'registration', 'authentication' (second factor) or 'passwordless'
+ * @param {string|null} userId - User the challenge is for, null for passwordless sign-in
+ * @returns {Promise<Object>} Challenge ID and challenge, base64url encoded
+ */
+async function createChallenge(type, userId) {
+  const challenge = {
+    id: crypto.randomUUID(),
+    userId,
+    type,
+    challenge: crypto.randomBytes(32).toString('base64url'),
+    expiresAt: new Date(Date.now() + CHALLENGE_LIFETIME)
+  };
+
+  if (!await dbUtils.createAuthChallenge(challenge)) {
+    throw new Error('Failed to store the WebAuthn challenge');
+  }
+
+  return challenge;
+}
+
+// Take a challenge of the expected type out of storage
+async function consumeChallenge(challengeId, type) {
+  const challenge = typeof challengeId === 'string' ? await dbUtils.consumeAuthChallenge(challengeId) : null;
+
+  if (!challenge || challenge.type !== type) {
+    throw new Error('The challenge has expired, please try again');
+  }
+
+  return challenge;
+}
+
+/**
+ * Create the options for registering a passkey, for navigator.credentials.create
+ * @param {Object} user - Signed-in user
+ * @returns {Promise<Object>} Challenge ID and public key credential creation options, binary values base64url encoded
+ */
+async function createRegistrationOptions(user) {
+  const { rpId, rpName } = getWebAuthnConfig();
+  const challenge = await createChallenge('registration', user.id);
+  const credentials = await dbUtils.getUserWebAuthnCredentials(user.id);
+
+  return {
+    challengeId: challenge.id,
+    publicKey: {
+      rp: { id: rpId, name: rpName },
+      user: {
+        id: Buffer.from(user.id).toString('base64url'),
+        name: user.email,
+        displayName: user.username
+      },
+      challenge: challenge.challenge,
+      pubKeyCredParams: Object.values(COSE_ALGORITHMS).map(alg => ({ type: 'public-key', alg })),
+      timeout: CHALLENGE_LIFETIME,
+      attestation: 'none',
+      authenticatorSelection: { residentKey: 'preferred', userVerification: 'preferred' },
+      excludeCredentials: credentials.map(credential => ({ type: 'public-key', id: credential.id, transports: credential.transports }))
+    }
+  };
+}
+
+/**
+ * Check a passkey registration and store the new credential
+ * @param {Object} user - Signed-in user
+ * @param {Object} registration - Registration sent by the browser
+ * @param {string} registration.challengeId - ID of the challenge from createRegistrationOptions
+ * @param {Object} registration.credential - Public key credential, binary values base64url encoded
+ * @param {string} registration.name - Name telling the passkey apart (optional)
+ * @returns {Promise<Object>} Result with success and the stored credential, or the error
+ */
+async function registerCredential(user, { challengeId, credential, name }) {
+  try {
+    const challenge = await consumeChallenge(challengeId, 'registration');
+
+    if (challenge.userId !== user.id) {
+      throw new Error('The challenge was issued to another user');
+    }
+
+    const clientDataJSON = decodeField(credential?.response?.clientDataJSON, 'client data');
+    checkClientData(clientDataJSON, 'webauthn.create', challenge.challenge);
+
+    const attestation = decodeCbor(decodeField(credential.response.attestationObject, 'attestation object')).value;
+
+    if (!(attestation instanceof Map) || !Buffer.isBuffer(attestation.get('authData'))) {
+      throw new Error('Invalid attestation object');
+    }
+
+    const authData = parseAuthenticatorData(attestation.get('authData'));
+    checkAuthenticatorData(authData, false);
+
+    if (!authData.credential) {
+      throw new Error('The authenticator returned no credential');
+    }
+
+    if (await dbUtils.getWebAuthnCredential(authData.credential.id)) {
+      throw new Error('This passkey is already registered');
+    }
+
+    const transports = Array.isArray(credential.response.transports)
+      ? credential.response.transports.filter(transport => typeof transport === 'string')
+      : [];
+
+    const created = await dbUtils.createWebAuthnCredential({
+      id: authData.credential.id,
+      userId: user.id,
+      name: String(name || '').trim().substring(0, MAX_NAME_LENGTH) || 'Passkey',
+      publicKey: authData.credential.jwk,
+      algorithm: authData.credential.algorithm,
+      signCount: authData.signCount,
+      transports
+    });
+
+    if (!created) {
+      return { success: false, error: 'Failed to store the passkey' };
+    }
+
+    logger.info(`Passkey registered for user ${user.id}`);
+    return { success: true, credential: await dbUtils.getWebAuthnCredential(authData.credential.id) };
+  } catch (error) {
+    logger.warn(`Passkey registration failed for user ${user.id}: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Create the options for signing in with a passkey, for navigator.credentials.get
+ * @param {string|null} userId - User who entered their password, or null for passwordless sign-in
+ * @returns {Promise<Object>} Challenge ID and public key credential request options, binary values base64url encoded
+ */
+async function createAuthenticationOptions(userId) {
+  const challenge = await createChallenge(userId ? 'authentication' : 'passwordless', userId);
+  const credentials = userId ? await dbUtils.getUserWebAuthnCredentials(userId) : [];
+
+  return {
+    challengeId: challenge.id,
+    publicKey: {
+      rpId: getWebAuthnConfig().rpId,
+      challenge: challenge.challenge,
+      timeout: CHALLENGE_LIFETIME,
+      // Passwordless sign-in lets the authenticator pick a discoverable credential
+      allowCredentials: credentials.map(credential => ({ type: 'public-key', id: credential.id, transports: credential.transports })),
+      userVerification: userId ? 'preferred' : 'required'
+    }
+  };
+}
+
+/**
+ * Check an assertion signed by a passkey
+ * @param {Object} assertion - Assertion sent by the browser
+ * @param {string} assertion.challengeId - ID of the challenge from createAuthenticationOptions
+ * @param {Object} assertion.credential - Public key credential, binary values base64url encoded
+ * @param {string|null} userId - User who entered their password, or null for passwordless sign-in
+ * @returns {Promise<Object>} Result with success and the user ID and credential, or the error
+ */
+async function verifyAssertion({ challengeId, credential }, userId) {
+  try {
+    const challenge = await consumeChallenge(challengeId, userId ? 'authentication' : 'passwordless');
+
+    if (challenge.userId !== userId) {
+      throw new Error('The challenge was issued to another user');
+    }
+
+    const credentialId = decodeField(credential?.id, 'credential ID').toString('base64url');
+    const stored = await dbUtils.getWebAuthnCredential(credentialId);
+
+    if (!stored || (userId && stored.userId !== userId)) {
+      throw new Error('Unknown passkey');
+    }
+
+    if (credential.response?.userHandle &&
+        decodeField(credential.response.userHandle, 'user handle').toString('utf8') !== stored.userId) {
+      throw new Error('The passkey belongs to another user');
+    }
+
+    const clientDataJSON = decodeField(credential.response?.clientDataJSON, 'client data');
+    checkClientData(clientDataJSON, 'webauthn.get', challenge.challenge);
+
+    const rawAuthData = decodeField(credential.response.authenticatorData, 'authenticator data');
+    const authData = parseAuthenticatorData(rawAuthData);
+    checkAuthenticatorData(authData, !userId);
+
+    const signedData = Buffer.concat([rawAuthData, crypto.createHash('sha256').update(clientDataJSON).digest()]);
+    const key = crypto.createPublicKey({ key: stored.publicKey, format: 'jwk' });
+    const verified = crypto.verify(
+      stored.algorithm === COSE_ALGORITHMS.EdDSA ? null : 'sha256',
+      signedData,
+      stored.algorithm === COSE_ALGORITHMS.ES256 ? { key, dsaEncoding: 'der' } : key,
+      decodeField(credential.response.signature, 'signature')
+    );
+
+    if (!verified) {
+      throw new Error('Invalid signature');
+    }
+
+    // A counter that does not increase hints at a cloned authenticator; authenticators without one always report 0
+    if ((authData.signCount > 0 || stored.signCount > 0) && authData.signCount <= stored.signCount) {
+      logger.warn(`Passkey ${stored.id} of user ${stored.userId} reported signature counter ${authData.signCount} after ${stored.signCount}`);
+      throw new Error('The passkey may have been cloned');
+    }
+
+    await dbUtils.updateWebAuthnCredentialUsage(stored.id, authData.signCount);
+
+    return { success: true, userId: stored.userId, credential: stored };
+  } catch (error) {
+    logger.warn(`Passkey sign-in failed: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+}
+
+export {
+  getWebAuthnConfig,
+  decodeCbor,
+  parseAuthenticatorData,
+  createRegistrationOptions,
+  registerCredential,
+  createAuthenticationOptions,
+  verifyAssertion
+};
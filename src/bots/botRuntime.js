@@ -0,0 +1,126 @@
+/**
+ * Bot Runtime
+ *
+ * Connects a bot process to the bot supervisor over IPC. Supervised bots
+ * report when they are ready and answer the supervisor's heartbeat probes,
+ * while the supervisor owns their status in the database. Bots started by
+ * hand (node src/bots/telegramBot.js <botId>) run unsupervised. The server
+ * also passes on the webhook deliveries of bots that receive messages that way,
+ * and the messages agents write on the dashboard for the bot to send. Bots in
+ * turn report the conversations they hand off to a human, for the server to
+ * notify the agents.
+ */
+import logger from '../utils/logging.js';
+
+// Tell whether the process was started by the bot supervisor
+function isSupervised() {
+  return typeof process.send === 'function';
+}
+
+/**
+ * Report a started bot to the supervisor and answer its heartbeat probes
+ * @param {string} botId - Bot ID
+ * @returns {boolean} False when the bot runs unsupervised
+ */
+function connectToSupervisor(botId) {
+  if (!isSupervised()) {
+    return false;
+  }
+
+  process.on('message', (message) => {
+    if (message && message.type === 'ping') {
+      process.send({
+        type: 'pong',
+        sentAt: message.sentAt,
+        memory: process.memoryUsage().rss,
+        uptime: process.uptime()
+      });
+    }
+  });
+
+  // Never leave an orphaned bot running once the supervisor is gone
+  process.on('disconnect', () => {
+    logger.warn(`Lost connection to the bot supervisor, stopping bot ${botId}`);
+    process.kill(process.pid, 'SIGTERM');
+  });
+
+  process.send({ type: 'ready', botId });
+  return true;
+}
+
+/**
+ * Receive the webhook deliveries the server passes on, see botWebhooks.js.
+ * Only supervised bots get them, as the server routes them to its child processes.
+ * @param {Function} handler - Called with the parsed payload of each delivery
+ * @returns {boolean} False when the bot runs unsupervised
+ */
+function onWebhook(handler) {
+  if (!isSupervised()) {
+    return false;
+  }
+
+  process.on('message', (message) => {
+    if (message && message.type === 'webhook') {
+      Promise.resolve(handler(message.payload)).catch(error => {
+        logger.error('Error handling webhook delivery:', error);
+      });
+    }
+  });
+
+  return true;
+}
+
+/**
+ * Send the messages agents write on the dashboard, such as ticket replies,
+ * reporting to the supervisor whether each one was delivered
+ * @param {Function} handler - Called with the chat ID and text of each message, rejects when it cannot be sent
+ * @returns {boolean} False when the bot runs unsupervised
+ */
+function onSendMessage(handler) {
+  if (!isSupervised()) {
+    return false;
+  }
+
+  process.on('message', async (message) => {
+    if (!message || message.type !== 'send') {
+      return;
+    }
+
+    let error = null;
+
+    try {
+      await handler(message.chatId, message.text);
+    } catch (err) {
+      logger.error(`Error sending message to chat ${message.chatId}:`, err);
+      error = err.message || 'The platform refused the message';
+    }
+
+    if (process.connected) {
+      process.send({ type: 'sent', requestId: message.requestId, error });
+    }
+  });
+
+  return true;
+}
+
+/**
+ * Report a conversation handed off to a human to the supervisor
+ * @param {string} conversationId - Conversation ID
+ * @returns {boolean} False when the bot runs unsupervised
+ */
+function reportHandoff(conversationId) {
+  if (!isSupervised() || !process.connected) {
+    return false;
+  }
+
+  process.send({ type: 'handoff', conversationId });
+  return true;
+}
+
+export {
+  isSupervised,
+  connectToSupervisor,
+  onWebhook,
+  onSendMessage,
+  reportHandoff
+};
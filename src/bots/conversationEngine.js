@@ -0,0 +1,964 @@
+/**
+ * Conversation Engine
+ *
+ * Platform-neutral conversation core shared by every platform bot.
+ * Bots translate what their platform receives into a normalized inbound message,
+ * hand it to the engine and render the normalized replies it returns.
+ * Canned replies and FAQ answers are auto-reply rules stored in the database,
+ * so admins can change them without touching the bots.
+ * Multi-step flows such as the ticket wizard keep their progress in the
+ * conversation state store, so they survive a bot process restart.
+ * Text typed by a user with an open ticket is added to the ticket's thread,
+ * where agents answer it from the dashboard.
+ * Every message and reply is also stored in the user's conversation, listed in
+ * the dashboard's inbox.
+ * Users who ask for a person, or trigger an auto-reply rule marked as a handoff,
+ * are handed off to the support team: the bot stops answering them until an
+ * agent hands the conversation back, closes it, or it goes quiet for a while.
+ *
+ * Inbound message:
+ * - userId: Platform user ID
+ * - chatId: Chat agents' replies to the user's tickets are sent to (optional, defaults to userId)
+ * - username: Name stored with tickets, interactions and leads
+ * - displayName: Name used to address the user (optional)
+ * - text: Text typed by the user (optional)
+ * - command: Command already parsed by the platform, e.g. a Discord slash command (optional)
+ * - args: Arguments of that command (optional)
+ * - payload: Payload of a pressed button or quick reply (optional)
+ *
+ * Replies:
+ * - { type: 'text', text }
+ * - { type: 'buttons', text, buttons: [{ title, payload }] }
+ * - { type: 'quick_replies', text, quickReplies: [{ title, payload }] }
+ */
+import logger from '../utils/logging.js';
+import * as dbUtils from '../utils/dbUtils.js';
+import { reportHandoff } from './botRuntime.js';
+
+// Ticket ID prefixes per platform
+const TICKET_PREFIXES = {
+  Discord: 'DISC',
+  Telegram: 'TG',
+  WhatsApp: 'WA',
+  Messenger: 'FB',
+  Instagram: 'IG'
+};
+
+// Button payloads understood by the engine
+const PAYLOADS = {
+  HELP: 'HELP',
+  TICKET: 'TICKET',
+  CONTACT: 'CONTACT',
+  STATUS: 'STATUS',
+  FAQ: 'FAQ',
+  SKIP: 'SKIP',
+  CONFIRM: 'CONFIRM',
+  CANCEL: 'CANCEL',
+  HUMAN: 'HUMAN'
+};
+
+// Prefix of the payloads choosing a ticket priority, followed by the priority
+const PRIORITY_PAYLOAD_PREFIX = 'PRIORITY:';
+
+// Prefix of the payloads answering a FAQ entry, followed by the auto-reply rule ID
+const FAQ_PAYLOAD_PREFIX = 'FAQ:';
+
+// How often running bots reload auto-reply rules from the database
+const RULES_REFRESH_INTERVAL = 10 * 1000;
+
+// Conversation flows are dropped after this much inactivity
+const CONVERSATION_STATE_TTL = 30 * 60 * 1000;
+
+// How often expired conversation states are purged from the database
+const STATE_PURGE_INTERVAL = 60 * 60 * 1000;
+
+const TICKET_HELP = 'To create a ticket, send "{prefix}ticket" and I\'ll walk you through it, or describe your issue right away. For example: {prefix}ticket Need help with login';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const MAIN_MENU = [
+  { title: '📚 FAQ', payload: PAYLOADS.FAQ },
+  { title: '🎫 Create ticket', payload: PAYLOADS.TICKET },
+  { title: '📞 Contact us', payload: PAYLOADS.CONTACT },
+  { title: '📊 Bot status', payload: PAYLOADS.STATUS },
+  { title: '🙋 Talk to a human', payload: PAYLOADS.HUMAN }
+];
+
+// Options offered at each step of the ticket wizard
+const CANCEL_OPTION = { title: '✖️ Cancel', payload: PAYLOADS.CANCEL };
+
+const TICKET_WIZARD_OPTIONS = {
+  issue: [CANCEL_OPTION],
+  priority: [
+    { title: '🟢 Low', payload: `${PRIORITY_PAYLOAD_PREFIX}low` },
+    { title: '🟡 Medium', payload: `${PRIORITY_PAYLOAD_PREFIX}medium` },
+    { title: '🔴 High', payload: `${PRIORITY_PAYLOAD_PREFIX}high` },
+    CANCEL_OPTION
+  ],
+  email: [{ title: '⏭ Skip', payload: PAYLOADS.SKIP }, CANCEL_OPTION],
+  confirm: [{ title: '✅ Confirm', payload: PAYLOADS.CONFIRM }, CANCEL_OPTION]
+};
+
+const WIZARD_PAYLOADS = new Set([PAYLOADS.SKIP, PAYLOADS.CONFIRM, PAYLOADS.CANCEL]);
+
+// Titles of the buttons by payload, shown in the inbox for pressed buttons
+const PAYLOAD_TITLES = new Map(
+  [...MAIN_MENU, ...Object.values(TICKET_WIZARD_OPTIONS).flat()].map(option => [option.payload, option.title])
+);
+
+const PAYLOAD_INTENTS = {
+  [PAYLOADS.HELP]: 'help',
+  [PAYLOADS.TICKET]: 'ticket',
+  [PAYLOADS.CONTACT]: 'contact',
+  [PAYLOADS.STATUS]: 'status',
+  [PAYLOADS.FAQ]: 'faq',
+  [PAYLOADS.HUMAN]: 'handoff'
+};
+
+const COMMAND_INTENTS = {
+  start: 'start',
+  help: 'help',
+  test: 'test',
+  status: 'status',
+  ticket: 'ticket',
+  faq: 'faq',
+  contact: 'contact',
+  human: 'handoff'
+};
+
+// Built-in keyword intents, checked in order after the auto-reply rules
+const KEYWORD_RULES = [
+  { intent: 'handoff', pattern: /\b(human|real person|live agent|talk to (an? )?(agent|person|someone))\b/ },
+  { intent: 'help', pattern: /\b(help|assist)/ },
+  { intent: 'ticket_info', pattern: /\b(ticket|support|issue)/ },
+  { intent: 'status', pattern: /\b(status|uptime|online)\b/ },
+  { intent: 'faq', pattern: /\b(faq|question)/ },
+  { intent: 'test', pattern: /\b(test|working|alive)\b/ }
+];
+
+// Reputation points awarded per intent, any other message earns one point
+const REPUTATION_POINTS = {
+  ticket: 10,
+  start: 5,
+  help: 2,
+  status: 2,
+  faq: 2,
+  test: 2
+};
+
+const textReply = (text) => ({ type: 'text', text });
+const buttonsReply = (text, buttons) => ({ type: 'buttons', text, buttons });
+const quickRepliesReply = (text, quickReplies) => ({ type: 'quick_replies', text, quickReplies });
+
+let lastStatePurge = 0;
+
+/**
+ * Strip emoji and punctuation so typed menu titles can be matched
+ * @param {string} title - Menu title or user text
+ * @returns {string} Normalized lower-case title
+ */
+function normalizeTitle(title) {
+  return title.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, '').trim();
+}
+
+// Platforms without buttons show menu titles as text, typing one back selects it
+const MENU_TITLES = new Map(MAIN_MENU.map(({ title, payload }) => [normalizeTitle(title), payload]));
+
+/**
+ * Normalize text for exact-match rules, ignoring case and trailing punctuation
+ * @param {string} text - Rule pattern or user text
+ * @returns {string} Normalized text
+ */
+function normalizeExact(text) {
+  return text.trim().toLowerCase().replace(/[\s?!.]+$/, '');
+}
+
+/**
+ * Build the matcher of an auto-reply rule
+ * @param {Object} rule - Auto-reply rule
+ * @returns {Function} Function telling whether a message text triggers the rule
+ */
+function createRuleMatcher(rule) {
+  switch (rule.triggerType) {
+    case 'regex': {
+      const regex = new RegExp(rule.pattern, 'i');
+      return text => regex.test(text);
+    }
+
+    case 'exact': {
+      const expected = normalizeExact(rule.pattern);
+      return text => normalizeExact(text) === expected;
+    }
+
+    case 'keyword':
+    default: {
+      // Comma separated keywords or phrases, matched as whole words
+      const keywords = rule.pattern.split(',')
+        .map(keyword => keyword.trim())
+        .filter(Boolean)
+        .map(keyword => keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+
+      if (keywords.length === 0) {
+        return () => false;
+      }
+
+      const regex = new RegExp(`(^|[^\\p{L}\\p{N}])(${keywords.join('|')})(?=$|[^\\p{L}\\p{N}])`, 'iu');
+      return text => regex.test(text);
+    }
+  }
+}
+
+// Enabled rules are shared by every engine in the process and reloaded periodically,
+// so changes made in the dashboard reach running bots without a restart
+const rulesCache = { rules: [], loadedAt: 0, loading: null };
+
+/**
+ * Get the enabled auto-reply rules, reloading them when the cache is stale
+ * @returns {Promise<Array>} Rules with their matchers, highest priority first
+ */
+async function loadAutoReplyRules() {
+  if (Date.now() - rulesCache.loadedAt < RULES_REFRESH_INTERVAL) {
+    return rulesCache.rules;
+  }
+
+  if (!rulesCache.loading) {
+    rulesCache.loading = dbUtils.getAutoReplyRules({ enabled: true })
+      .then(rules => {
+        rulesCache.rules = rules.flatMap(rule => {
+          try {
+            return [{ ...rule, matches: createRuleMatcher(rule) }];
+          } catch (error) {
+            logger.warn(`Skipping auto-reply rule ${rule.id} with an invalid pattern: ${error.message}`);
+            return [];
+          }
+        });
+        rulesCache.loadedAt = Date.now();
+        return rulesCache.rules;
+      })
+      .finally(() => {
+        rulesCache.loading = null;
+      });
+  }
+
+  return rulesCache.loading;
+}
+
+class ConversationEngine {
+  /**
+   * @param {Object} options - Engine options
+   * @param {string} options.platform - Platform name (Discord, Telegram, WhatsApp, Messenger, Instagram)
+   * @param {string} options.botId - ID of the bot the engine answers for
+   * @param {string} options.commandPrefix - Prefix users type before commands, e.g. '/' on Discord
+   * @param {boolean} options.freeText - Whether users can answer with free text, or only with commands and buttons
+   */
+  constructor({ platform, botId = null, commandPrefix = '', freeText = true }) {
+    this.platform = platform;
+    this.botId = botId;
+    this.commandPrefix = commandPrefix;
+    this.freeText = freeText;
+    this.startTime = Date.now();
+    this.messageCount = 0;
+    this.commandCount = 0;
+  }
+
+  /**
+   * Handle a normalized inbound message
+   * @param {Object} message - Normalized inbound message
+   * @returns {Promise<Array>} Normalized replies to send back, in order
+   */
+  async handleMessage(message) {
+    this.messageCount++;
+
+    const rules = await this.getRules();
+
+    // Agents answer handed off conversations, the bot only passes the messages on
+    if (this.botId && await dbUtils.getActiveHandoff(this.getStateKey(message))) {
+      await this.passToAgents(message, rules);
+      return [];
+    }
+
+    const state = await this.getState(message);
+
+    // Messages answering the current step go to the flow, commands and menus still work mid-flow
+    const { intent, args } = state && this.isFlowMessage(message) ?
+      { intent: `${state.flow}_wizard`, args: state } :
+      this.resolveIntent(message, rules);
+    // Typed text also goes to the thread of the user's open ticket, if any
+    const ticket = !state && this.isFreeText(message) ? await this.addToTicketThread(message) : null;
+    let replies;
+    let details = {};
+    let loggedIntent = intent;
+    let handoff = null;
+
+    try {
+      ({ replies, details = {}, intent: loggedIntent = intent, handoff = null } = ticket && intent === 'fallback' ?
+        this.acknowledgeTicketMessage(ticket) :
+        await this.runIntent(intent, args, message, rules));
+    } catch (error) {
+      logger.error(`Error handling ${intent} message on ${this.platform}:`, error);
+      replies = [textReply('Sorry, I encountered an error while processing your message. Please try again later.')];
+    }
+
+    await this.logInteraction(message, loggedIntent, details);
+    await this.recordConversation(message, rules, replies);
+
+    if (handoff) {
+      await this.startHandoff(message, handoff);
+    }
+
+    return replies;
+  }
+
+  /**
+   * Get the enabled auto-reply rules that apply to this bot
+   * @returns {Promise<Array>} Rules, highest priority first
+   */
+  async getRules() {
+    const rules = await loadAutoReplyRules();
+
+    return rules.filter(rule =>
+      (!rule.platform || rule.platform === this.platform) &&
+      (!rule.botId || rule.botId === this.botId)
+    );
+  }
+
+  /**
+   * Get the conversation state of the sender
+   * @param {Object} message - Normalized inbound message
+   * @returns {Promise<Object|null>} Active conversation state, or null
+   */
+  async getState(message) {
+    if (Date.now() - lastStatePurge > STATE_PURGE_INTERVAL) {
+      lastStatePurge = Date.now();
+      await dbUtils.deleteExpiredConversationStates();
+    }
+
+    return dbUtils.getConversationState(this.getStateKey(message));
+  }
+
+  /**
+   * Save the progress of a conversation flow, extending its expiry
+   * @param {Object} message - Normalized inbound message
+   * @param {string} flow - Flow name
+   * @param {string} step - Step waiting for the user's answer
+   * @param {Object} data - Answers collected so far
+   * @returns {Promise<boolean>} Success status
+   */
+  saveState(message, flow, step, data) {
+    return dbUtils.saveConversationState({ ...this.getStateKey(message), flow, step, data }, CONVERSATION_STATE_TTL);
+  }
+
+  // Conversation states are kept per platform, bot and user
+  getStateKey(message) {
+    return { platform: this.platform, botId: this.botId, userId: message.userId };
+  }
+
+  /**
+   * Tell whether a message answers the current flow step rather than starting something new
+   * @param {Object} message - Normalized inbound message
+   * @returns {boolean} True if the flow should handle the message
+   */
+  isFlowMessage(message) {
+    const text = (message.text || '').trim();
+
+    if (message.payload) {
+      return !PAYLOAD_INTENTS[message.payload] && !message.payload.startsWith(FAQ_PAYLOAD_PREFIX);
+    }
+
+    return !message.command && !text.startsWith('/') && !MENU_TITLES.has(normalizeTitle(text));
+  }
+
+  // Typed text, as opposed to commands, buttons and menu titles
+  isFreeText(message) {
+    const text = (message.text || '').trim();
+
+    return Boolean(text) && !message.payload && !message.command &&
+      !text.startsWith('/') && !MENU_TITLES.has(normalizeTitle(text));
+  }
+
+  /**
+   * Add a message of the sender to the thread of their open ticket with this bot
+   * @param {Object} message - Normalized inbound message
+   * @returns {Promise<Object|null>} Ticket the message was added to, or null if the sender has no open ticket
+   */
+  async addToTicketThread(message) {
+    if (!this.botId) {
+      return null;
+    }
+
+    const ticket = await dbUtils.getActiveTicket({ platform: this.platform, botId: this.botId, userId: message.userId });
+
+    if (!ticket) {
+      return null;
+    }
+
+    const stored = await dbUtils.createTicketMessage({
+      ticketId: ticket.ticketId,
+      direction: 'inbound',
+      authorId: message.userId,
+      authorName: message.username,
+      text: message.text.trim(),
+      status: 'received'
+    });
+
+    return stored ? ticket : null;
+  }
+
+  // Confirm a message added to a ticket thread, instead of the fallback menu
+  acknowledgeTicketMessage(ticket) {
+    return {
+      replies: [textReply(`📨 Your message was added to ticket ${ticket.ticketId}. Our support team will reply here.`)],
+      details: { ticketId: ticket.ticketId },
+      intent: 'ticket_message'
+    };
+  }
+
+  /**
+   * Store a message of a handed off conversation without answering it
+   * @param {Object} message - Normalized inbound message
+   * @param {Array} rules - Auto-reply rules that apply to this bot
+   * @returns {Promise<void>}
+   */
+  async passToAgents(message, rules) {
+    if (this.isFreeText(message)) {
+      await this.addToTicketThread(message);
+    }
+
+    await this.logInteraction(message, 'handoff_message');
+    await this.recordConversation(message, rules, []);
+  }
+
+  /**
+   * Hand the sender's conversation off to a human, so the bot stops answering it
+   * @param {Object} message - Normalized inbound message
+   * @param {string} reason - 'user' when they asked for a person, 'rule' when an auto-reply rule did
+   * @returns {Promise<void>}
+   */
+  async startHandoff(message, reason) {
+    if (!this.botId) {
+      return;
+    }
+
+    const conversation = await dbUtils.updateConversation(dbUtils.getConversationStateId(this.getStateKey(message)), {
+      handoffAt: new Date().toISOString(),
+      handoffReason: reason
+    });
+
+    if (!conversation) {
+      return;
+    }
+
+    logger.info(`Conversation ${conversation.id} handed off to a human on ${this.platform}`);
+
+    // The server notifies the agents
+    if (!reportHandoff(conversation.id)) {
+      logger.warn(`Agents are not notified of the handoff of conversation ${conversation.id}, as the bot runs unsupervised`);
+    }
+  }
+
+  /**
+   * Store a message and the replies to it in the sender's conversation
+   * @param {Object} message - Normalized inbound message
+   * @param {Array} rules - Auto-reply rules that apply to this bot
+   * @param {Array} replies - Normalized replies sent back
+   * @returns {Promise<void>}
+   */
+  async recordConversation(message, rules, replies) {
+    if (!this.botId) {
+      return;
+    }
+
+    const key = {
+      platform: this.platform,
+      botId: this.botId,
+      userId: message.userId,
+      chatId: String(message.chatId || message.userId),
+      username: message.username
+    };
+    const text = this.describeMessage(message, rules);
+
+    if (text) {
+      await dbUtils.recordConversationMessage(key, {
+        direction: 'inbound',
+        sender: 'user',
+        authorId: message.userId,
+        authorName: message.username,
+        text,
+        status: 'received'
+      });
+    }
+
+    for (const reply of replies) {
+      await dbUtils.recordConversationMessage(key, {
+        direction: 'outbound',
+        sender: 'bot',
+        authorId: this.botId,
+        text: reply.text,
+        status: 'sent'
+      });
+    }
+  }
+
+  // What the user sent, as shown in the inbox: typed text, the command or the title of the pressed button
+  describeMessage(message, rules) {
+    if (message.payload) {
+      const faqRule = rules.find(rule => `${FAQ_PAYLOAD_PREFIX}${rule.id}` === message.payload);
+
+      return faqRule?.faqTitle || PAYLOAD_TITLES.get(message.payload) || message.payload;
+    }
+
+    if (message.command) {
+      return `${this.commandPrefix}${message.command} ${message.args || ''}`.trim();
+    }
+
+    return (message.text || '').trim();
+  }
+
+  /**
+   * Work out what the user wants
+   * @param {Object} message - Normalized inbound message
+   * @param {Array} rules - Auto-reply rules that apply to this bot
+   * @returns {Object} Intent name and its arguments
+   */
+  resolveIntent(message, rules) {
+    const text = (message.text || '').trim();
+    const faqRule = rules.find(rule => rule.faqTitle && normalizeTitle(rule.faqTitle) === normalizeTitle(text));
+    const payload = message.payload ||
+      MENU_TITLES.get(normalizeTitle(text)) ||
+      (faqRule ? `${FAQ_PAYLOAD_PREFIX}${faqRule.id}` : undefined);
+
+    if (payload) {
+      this.commandCount++;
+
+      if (payload.startsWith(FAQ_PAYLOAD_PREFIX)) {
+        return { intent: 'faq_answer', args: payload.slice(FAQ_PAYLOAD_PREFIX.length) };
+      }
+
+      // Wizard buttons pressed after their flow expired or was finished
+      if (!PAYLOAD_INTENTS[payload] && (WIZARD_PAYLOADS.has(payload) || payload.startsWith(PRIORITY_PAYLOAD_PREFIX))) {
+        return { intent: 'flow_expired', args: '' };
+      }
+
+      return { intent: PAYLOAD_INTENTS[payload] || 'fallback', args: '' };
+    }
+
+    // Commands arrive pre-parsed (Discord) or as "/command args", "/command@botname args" or "ticket <issue>"
+    let command = message.command;
+    let args = message.args || '';
+
+    if (!command) {
+      const match = text.match(/^\/(\w+)(?:@\w+)?\s*([\s\S]*)$/) || text.match(/^(ticket)\s+([\s\S]+)$/i);
+      if (match) {
+        command = match[1].toLowerCase();
+        args = match[2].trim();
+      }
+    }
+
+    if (command) {
+      this.commandCount++;
+      return { intent: COMMAND_INTENTS[command] || 'fallback', args };
+    }
+
+    const rule = rules.find(({ matches }) => matches(text));
+
+    if (rule) {
+      return { intent: 'auto_reply', args: rule };
+    }
+
+    const content = text.toLowerCase();
+    const keywordRule = KEYWORD_RULES.find(({ pattern }) => pattern.test(content));
+
+    return { intent: keywordRule ? keywordRule.intent : 'fallback', args: '' };
+  }
+
+  /**
+   * Produce the replies for an intent
+   * @param {string} intent - Intent name
+   * @param {string} args - Intent arguments
+   * @param {Object} message - Normalized inbound message
+   * @param {Array} rules - Auto-reply rules that apply to this bot
+   * @returns {Promise<Object>} Replies, extra interaction details, optionally the intent to log instead
+   *   and the reason to hand the conversation off to a human
+   */
+  async runIntent(intent, args, message, rules) {
+    switch (intent) {
+      case 'auto_reply':
+        return {
+          replies: [textReply(this.formatText(args.response, message))],
+          details: { ruleId: args.id, rule: args.name },
+          handoff: args.handoff ? 'rule' : null
+        };
+
+      case 'handoff':
+        return {
+          replies: [textReply(this.botId ?
+            '🙋 I\'ve let our support team know you\'d like to talk to a person. Someone will reply here shortly.' :
+            'Please create a ticket and our support team will get in touch with you.')],
+          handoff: 'user'
+        };
+
+      case 'start':
+        return {
+          replies: [buttonsReply(this.formatText('👋 Welcome to our support bot!\n\nI can help you with various tasks. Send "{prefix}help" to see what I can do or press one of the buttons below.'), MAIN_MENU)]
+        };
+
+      case 'help':
+        return {
+          replies: [textReply(this.formatText([
+            '📋 Here\'s how I can help you:',
+            '• Send "{prefix}ticket" to create a support ticket',
+            '• Send "{prefix}faq" to see frequently asked questions',
+            '• Send "{prefix}contact" to get our contact information',
+            '• Send "{prefix}human" to talk to a person from our support team',
+            '• Send "{prefix}status" to check that I\'m online',
+            '• Send "{prefix}help" to see this message again',
+            '',
+            'You can also just send me a message, and I\'ll try to help!'
+          ].join('\n')))]
+        };
+
+      case 'ticket':
+        // "/ticket <issue>" skips the first step of the wizard
+        return this.startTicketWizard(message, args);
+
+      case 'ticket_wizard':
+        return this.continueTicketWizard(args, message);
+
+      case 'ticket_info':
+        return {
+          replies: [buttonsReply(this.formatText(TICKET_HELP), [{ title: '🎫 Create ticket', payload: PAYLOADS.TICKET }])]
+        };
+
+      case 'contact': {
+        // Contact details are maintained as an auto-reply rule
+        const contactRule = rules.find(({ matches }) => matches('contact'));
+
+        return {
+          replies: [textReply(contactRule ?
+            this.formatText(contactRule.response, message) :
+            'Please create a ticket and our support team will get in touch with you.')]
+        };
+      }
+
+      case 'status':
+        return {
+          replies: [textReply([
+            '🤖 Bot Status Report:',
+            '✅ Status: Online and operational',
+            `⏱ Uptime: ${this.calculateUptime()}`,
+            `📊 Messages processed: ${this.messageCount}`,
+            `🔢 Commands executed: ${this.commandCount}`,
+            '',
+            `Server time: ${new Date().toLocaleString()}`
+          ].join('\n'))]
+        };
+
+      case 'faq': {
+        const faqRules = rules.filter(rule => rule.faqTitle);
+
+        if (faqRules.length === 0) {
+          return {
+            replies: [textReply('There are no frequently asked questions yet. Send "help" to see what I can do.')]
+          };
+        }
+
+        return {
+          replies: [buttonsReply('📚 Frequently Asked Questions', faqRules.map(rule => ({
+            title: rule.faqTitle,
+            payload: `${FAQ_PAYLOAD_PREFIX}${rule.id}`
+          })))]
+        };
+      }
+
+      case 'faq_answer': {
+        const faqRule = rules.find(rule => rule.id === args);
+
+        return {
+          replies: [textReply(faqRule ?
+            this.formatText(faqRule.response, message) :
+            'I don\'t have information on that topic yet. Please try another option or contact support.')],
+          details: { ruleId: args }
+        };
+      }
+
+      case 'flow_expired':
+        return {
+          replies: [textReply(this.formatText('⌛ This ticket draft is no longer active. Send "{prefix}ticket" to start a new one.'))]
+        };
+
+      case 'test':
+        return {
+          replies: [textReply('✅ Bot is up and running! Connection to the server is working properly.')]
+        };
+
+      case 'fallback':
+      default:
+        return {
+          replies: [quickRepliesReply('I\'m not sure how to respond to that. Here are some things I can help with:', MAIN_MENU)]
+        };
+    }
+  }
+
+  /**
+   * Start the ticket wizard: issue, then priority, then an optional email, then confirmation
+   * @param {Object} message - Normalized inbound message
+   * @param {string} issue - Issue given along with the command (optional)
+   * @returns {Promise<Object>} Replies asking for the first missing answer
+   */
+  async startTicketWizard(message, issue = '') {
+    if (issue) {
+      await this.saveState(message, 'ticket', 'priority', { issue });
+      return this.askTicketStep('priority', 'How urgent is your issue?');
+    }
+
+    // The issue can only be typed along with the command
+    if (!this.freeText) {
+      return {
+        replies: [textReply(this.formatText('To create a ticket, send "{prefix}ticket" with a description of your issue.'))]
+      };
+    }
+
+    await this.saveState(message, 'ticket', 'issue', {});
+    return this.askTicketStep('issue', '📝 Please describe your issue in a single message.');
+  }
+
+  /**
+   * Handle an answer to the current step of the ticket wizard
+   * @param {Object} state - Conversation state of the sender
+   * @param {Object} message - Normalized inbound message
+   * @returns {Promise<Object>} Replies for the next step
+   */
+  async continueTicketWizard(state, message) {
+    const text = (message.text || '').trim();
+    const options = TICKET_WIZARD_OPTIONS[state.step] || [];
+    // Buttons send their payload, platforms without buttons send the option title back as text
+    const choice = message.payload ||
+      (options.find(({ title }) => normalizeTitle(title) === normalizeTitle(text)) || {}).payload;
+    const data = { ...state.data };
+
+    if (choice === PAYLOADS.CANCEL) {
+      await dbUtils.deleteConversationState(this.getStateKey(message));
+
+      return {
+        replies: [textReply('❌ Ticket creation cancelled.')],
+        details: { flow: 'ticket', step: 'cancelled' }
+      };
+    }
+
+    switch (state.step) {
+      case 'issue':
+        if (!text) {
+          return this.askTicketStep('issue', '📝 Please describe your issue in a single message.');
+        }
+
+        data.issue = text;
+        await this.saveState(message, 'ticket', 'priority', data);
+        return this.askTicketStep('priority', 'How urgent is your issue?');
+
+      case 'priority': {
+        const priority = choice && choice.startsWith(PRIORITY_PAYLOAD_PREFIX) ?
+          choice.slice(PRIORITY_PAYLOAD_PREFIX.length) :
+          ['low', 'medium', 'high'].find(level => level === text.toLowerCase());
+
+        if (!priority) {
+          return this.askTicketStep('priority', 'Please choose a priority: low, medium or high.');
+        }
+
+        data.priority = priority;
+
+        if (!this.freeText) {
+          data.email = null;
+          await this.saveState(message, 'ticket', 'confirm', data);
+          return this.askTicketStep('confirm', this.formatTicketSummary(data));
+        }
+
+        await this.saveState(message, 'ticket', 'email', data);
+        return this.askTicketStep('email', '📧 If you\'d like updates by email, send your email address. Otherwise choose Skip.');
+      }
+
+      case 'email':
+        if (choice === PAYLOADS.SKIP) {
+          data.email = null;
+        } else if (EMAIL_PATTERN.test(text)) {
+          data.email = text;
+        } else {
+          return this.askTicketStep('email', 'That doesn\'t look like an email address. Please send a valid email address or choose Skip.');
+        }
+
+        await this.saveState(message, 'ticket', 'confirm', data);
+        return this.askTicketStep('confirm', this.formatTicketSummary(data));
+
+      case 'confirm':
+        if (choice !== PAYLOADS.CONFIRM && !/^(yes|y)$/i.test(text)) {
+          return this.askTicketStep('confirm', this.formatTicketSummary(data));
+        }
+
+        await dbUtils.deleteConversationState(this.getStateKey(message));
+        return this.createTicket(data.issue, message, data);
+
+      default:
+        // Unknown step, e.g. left behind by an older version: start over
+        return this.startTicketWizard(message);
+    }
+  }
+
+  /**
+   * Ask the question of a ticket wizard step
+   * @param {string} step - Step name
+   * @param {string} text - Question
+   * @returns {Object} Replies and interaction details
+   */
+  askTicketStep(step, text) {
+    return {
+      replies: [quickRepliesReply(text, TICKET_WIZARD_OPTIONS[step])],
+      details: { flow: 'ticket', step }
+    };
+  }
+
+  // Summary shown before the wizard creates the ticket
+  formatTicketSummary({ issue, priority, email }) {
+    return [
+      'Please confirm your ticket:',
+      `📝 Issue: ${issue}`,
+      `⚡ Priority: ${priority}`,
+      `📧 Email: ${email || 'none'}`
+    ].join('\n');
+  }
+
+  /**
+   * Create a support ticket for the sender
+   * @param {string} issue - Issue described by the user
+   * @param {Object} message - Normalized inbound message
+   * @param {Object} options - Priority and contact email chosen in the wizard (optional)
+   * @returns {Promise<Object>} Replies and the created ticket details
+   */
+  async createTicket(issue, message, { priority, email = null } = {}) {
+    const ticketPriority = priority || this.determinePriority(issue);
+    const ticketId = await dbUtils.createTicket({
+      ticketPrefix: TICKET_PREFIXES[this.platform],
+      userId: message.userId,
+      username: message.username,
+      platform: this.platform,
+      issue,
+      status: 'open',
+      priority: ticketPriority,
+      email,
+      botId: this.botId,
+      chatId: String(message.chatId || message.userId)
+    });
+
+    if (!ticketId) {
+      return {
+        replies: [textReply('Sorry, there was an error creating your ticket. Please try again later.')]
+      };
+    }
+
+    return {
+      replies: [textReply([
+        '✅ Your ticket has been created!',
+        `🎫 Ticket ID: ${ticketId}`,
+        `📝 Issue: ${issue}`,
+        `⚡ Priority: ${ticketPriority}`,
+        '⏱ Status: Open',
+        '',
+        email ?
+          `Our support team will get back to you soon, we'll also send updates to ${email}.` :
+          'Our support team will get back to you soon. Please keep this ticket ID for reference.'
+      ].join('\n'))],
+      details: { ticketId, issue, priority: ticketPriority },
+      intent: 'ticket'
+    };
+  }
+
+  /**
+   * Log the interaction, store the lead and award reputation points
+   * @param {Object} message - Normalized inbound message
+   * @param {string} intent - Resolved intent
+   * @param {Object} details - Extra interaction details
+   */
+  async logInteraction(message, intent, details = {}) {
+    const { userId, username } = message;
+
+    try {
+      await dbUtils.logInteraction({
+        userId,
+        username,
+        platform: this.platform,
+        command: intent,
+        details: {
+          ...details,
+          botId: this.botId,
+          message: message.text || message.args || undefined,
+          payload: message.payload || undefined
+        }
+      });
+
+      await dbUtils.storeLead({
+        userId,
+        username,
+        platform: this.platform,
+        source: intent
+      });
+
+      await dbUtils.addReputation(userId, REPUTATION_POINTS[intent] || 1, 'bot');
+    } catch (error) {
+      // Never let bookkeeping break the conversation
+      logger.error(`Error logging ${this.platform} interaction:`, error);
+    }
+  }
+
+  /**
+   * Fill in the placeholders of a reply template
+   * @param {string} text - Template with optional {prefix} and {name} placeholders
+   * @param {Object} message - Normalized inbound message (optional)
+   * @returns {string} Reply text
+   */
+  formatText(text, message = {}) {
+    return text
+      .replace(/\{prefix\}/g, this.commandPrefix)
+      .replace(/\{name\}/g, message.displayName || 'there');
+  }
+
+  // Determine priority based on keywords in the issue
+  determinePriority(issue) {
+    const lowercaseIssue = issue.toLowerCase();
+
+    if (
+      lowercaseIssue.includes('urgent') ||
+      lowercaseIssue.includes('emergency') ||
+      lowercaseIssue.includes('critical') ||
+      lowercaseIssue.includes('immediately')
+    ) {
+      return 'high';
+    } else if (
+      lowercaseIssue.includes('problem') ||
+      lowercaseIssue.includes('error') ||
+      lowercaseIssue.includes('broken') ||
+      lowercaseIssue.includes('not working')
+    ) {
+      return 'medium';
+    } else {
+      return 'low';
+    }
+  }
+
+  // Calculate bot uptime in human-readable format
+  calculateUptime() {
+    const uptimeMs = Date.now() - this.startTime;
+
+    const seconds = Math.floor((uptimeMs / 1000) % 60);
+    const minutes = Math.floor((uptimeMs / (1000 * 60)) % 60);
+    const hours = Math.floor((uptimeMs / (1000 * 60 * 60)) % 24);
+    const days = Math.floor(uptimeMs / (1000 * 60 * 60 * 24));
+
+    let uptime = '';
+    if (days > 0) uptime += `${days} day${days > 1 ? 's' : ''} `;
+    if (hours > 0) uptime += `${hours} hour${hours > 1 ? 's' : ''} `;
+    if (minutes > 0) uptime += `${minutes} minute${minutes > 1 ? 's' : ''} `;
+    if (seconds > 0) uptime += `${seconds} second${seconds > 1 ? 's' : ''}`;
+
+    return uptime.trim() || '0 seconds';
+  }
+}
+
+export default ConversationEngine;
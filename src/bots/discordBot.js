@@ -1,24 +1,45 @@
 /**
  * Standard Discord Bot
  * 
- * This bot implements basic slash commands for auto-reply and lead collection.
+ * Discord adapter for the shared conversation engine, using slash commands and buttons.
  * Commands:
  * - /help: Displays available commands
  * - /ticket: Creates a support ticket and logs the interaction
+ * - /faq: Shows frequently asked questions
+ * - /contact: Shows how to contact the support team
+ * - /status: Shows bot status and uptime
+ * Agents' ticket replies from the dashboard are sent by direct message, and users
+ * answer them the same way.
  */
-import { Client, GatewayIntentBits, REST, Routes, SlashCommandBuilder } from 'discord.js';
+import {
+  Client,
+  GatewayIntentBits,
+  Partials,
+  REST,
+  Routes,
+  SlashCommandBuilder,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle
+} from 'discord.js';
 import logger from '../utils/logging.js';
 import * as dbUtils from '../utils/dbUtils.js';
+import ConversationEngine from './conversationEngine.js';
+import { isSupervised, connectToSupervisor, onSendMessage } from './botRuntime.js';
 
 class DiscordBot {
-  constructor(config) {
+  constructor(config, botId = null) {
     this.config = config;
+    // Slash commands and buttons are the main input, typed messages are only received in direct messages
+    this.engine = new ConversationEngine({ platform: 'Discord', botId, commandPrefix: '/', freeText: false });
     this.client = new Client({
       intents: [
         GatewayIntentBits.Guilds,
         GatewayIntentBits.GuildMessages,
         GatewayIntentBits.DirectMessages
-      ]
+      ],
+      // Direct message channels are not cached until their first message
+      partials: [Partials.Channel]
     });
     
     this.commands = [
@@ -31,7 +52,19 @@ class DiscordBot {
         .addStringOption(option => 
           option.setName('issue')
             .setDescription('Describe your issue')
-            .setRequired(true))
+            .setRequired(true)),
+      new SlashCommandBuilder()
+        .setName('faq')
+        .setDescription('Shows frequently asked questions'),
+      new SlashCommandBuilder()
+        .setName('contact')
+        .setDescription('Shows how to contact the support team'),
+      new SlashCommandBuilder()
+        .setName('status')
+        .setDescription('Shows bot status and uptime'),
+      new SlashCommandBuilder()
+        .setName('human')
+        .setDescription('Talk to a person from the support team')
     ];
   }
   
@@ -61,25 +94,35 @@ class DiscordBot {
       });
       
       this.client.on('interactionCreate', async interaction => {
-        if (!interaction.isCommand()) return;
+        if (!interaction.isChatInputCommand() && !interaction.isButton()) return;
         
         try {
-          const { commandName } = interaction;
+          const sender = {
+            userId: interaction.user.id,
+            username: interaction.user.tag,
+            displayName: interaction.user.globalName || interaction.user.username
+          };
+          
+          const replies = await this.engine.handleMessage(interaction.isButton() ?
+            { ...sender, payload: interaction.customId } :
+            { ...sender, command: interaction.commandName, args: interaction.options.getString('issue') || '' });
           
-          if (commandName === 'help') {
-            await this.handleHelpCommand(interaction);
-          } else if (commandName === 'ticket') {
-            await this.handleTicketCommand(interaction);
-          }
+          await this.sendReplies(interaction, replies);
         } catch (error) {
           logger.error('Error handling command:', error);
-          await interaction.reply({
+          const errorReply = {
             content: 'There was an error while executing this command!',
             ephemeral: true
-          });
+          };
+          await (interaction.replied ? interaction.followUp(errorReply) : interaction.reply(errorReply));
         }
       });
       
+      this.client.on('messageCreate', this.handleDirectMessage.bind(this));
+      
+      // Messages written on the dashboard, such as ticket replies
+      onSendMessage(this.sendDirectMessage.bind(this));
+      
       // Login to Discord
       await this.client.login(this.config.token);
       logger.info('Discord bot started successfully');
@@ -100,96 +143,69 @@ class DiscordBot {
     }
   }
   
-  async handleHelpCommand(interaction) {
-    const embed = {
-      color: 0x0099ff,
-      title: 'Available Commands',
-      description: 'Here are the commands you can use:',
-      fields: [
-        {
-          name: '/help',
-          value: 'Shows this help message'
-        },
-        {
-          name: '/ticket',
-          value: 'Creates a support ticket'
-        }
-      ],
-      timestamp: new Date().toISOString(),
-      footer: {
-        text: 'Bot Support System'
-      }
-    };
-    
-    await interaction.reply({ embeds: [embed] });
+  // Typed direct messages, e.g. users answering an agent's ticket reply
+  async handleDirectMessage(message) {
+    if (message.author.bot || message.guild || !message.content) return;
     
-    // Log the interaction
-    await dbUtils.logInteraction({
-      userId: interaction.user.id,
-      username: interaction.user.tag,
-      platform: 'Discord',
-      command: 'help',
-      timestamp: new Date()
-    });
+    try {
+      const replies = await this.engine.handleMessage({
+        userId: message.author.id,
+        username: message.author.tag,
+        displayName: message.author.globalName || message.author.username,
+        text: message.content
+      });
+      
+      for (const reply of replies) {
+        await message.channel.send(this.renderReply(reply));
+      }
+    } catch (error) {
+      logger.error('Error handling direct message:', error);
+    }
   }
   
-  async handleTicketCommand(interaction) {
-    const issue = interaction.options.getString('issue');
-    const ticketId = Math.floor(1000 + Math.random() * 9000); // Generate a 4-digit ticket number
-    
-    // Store the ticket in the database
-    await dbUtils.createTicket({
-      ticketId: `DISC-${ticketId}`,
-      userId: interaction.user.id,
-      username: interaction.user.tag,
-      platform: 'Discord',
-      issue: issue,
-      status: 'open',
-      createdAt: new Date()
-    });
+  // Send a message written on the dashboard to a user by direct message
+  async sendDirectMessage(userId, text) {
+    const user = await this.client.users.fetch(userId);
+    await user.send(text);
+  }
+  
+  // Render a normalized reply as message content with button rows
+  renderReply(reply) {
+    const options = reply.buttons || reply.quickReplies || [];
+    const components = [];
     
-    // Reply to the user
-    await interaction.reply({
-      content: `Your ticket has been created! Ticket ID: DISC-${ticketId}`,
-      ephemeral: true
-    });
+    // Discord allows five buttons per row
+    for (let i = 0; i < options.length; i += 5) {
+      components.push(new ActionRowBuilder().addComponents(
+        options.slice(i, i + 5).map(({ title, payload }) => new ButtonBuilder()
+          .setCustomId(payload)
+          .setLabel(title)
+          .setStyle(ButtonStyle.Secondary))
+      ));
+    }
     
-    // Send a DM with support instructions
-    try {
-      await interaction.user.send({
-        embeds: [{
-          color: 0x0099ff,
-          title: `Ticket Created: DISC-${ticketId}`,
-          description: `Thank you for submitting a ticket. Our support team will review your issue: "${issue}"`,
-          fields: [
-            {
-              name: 'What happens next?',
-              value: 'A support representative will contact you soon. Please keep this ticket ID for reference.'
-            }
-          ],
-          timestamp: new Date().toISOString(),
-          footer: {
-            text: 'Bot Support System'
-          }
-        }]
-      });
-    } catch (error) {
-      logger.error('Error sending DM to user:', error);
-      await interaction.followUp({
-        content: 'I couldn\'t send you a DM with the ticket details. Please make sure your DMs are open.',
-        ephemeral: true
-      });
+    return { content: reply.text, components };
+  }
+  
+  // Render normalized replies as ephemeral messages with button rows
+  async sendReplies(interaction, replies) {
+    // Interactions must be answered, also while a handed off conversation keeps the bot quiet
+    if (replies.length === 0) {
+      await (interaction.isButton() ?
+        interaction.deferUpdate() :
+        interaction.reply({ content: '📨 Passed on to our support team.', ephemeral: true }));
+      return;
     }
     
-    // Log the interaction
-    await dbUtils.logInteraction({
-      userId: interaction.user.id,
-      username: interaction.user.tag,
-      platform: 'Discord',
-      command: 'ticket',
-      details: { ticketId: `DISC-${ticketId}`, issue },
-      timestamp: new Date()
-    });
+    for (const reply of replies) {
+      const message = { ...this.renderReply(reply), ephemeral: true };
+      
+      if (interaction.replied) {
+        await interaction.followUp(message);
+      } else {
+        await interaction.reply(message);
+      }
+    }
   }
 }
 
@@ -235,27 +251,31 @@ const initializeBot = async () => {
     logger.info(`Starting Discord bot process for bot: ${botName} (${botId})`);
     
     // Create and start the bot instance
-    const bot = new DiscordBot(botConfig);
+    const bot = new DiscordBot(botConfig, botId);
     
     // Start the bot
     await bot.start();
     
-    // Update status in database to 'online'
-    try {
-      await dbUtils.updateBotStatus(botId, 'online');
-      logger.info(`Updated bot status to 'online' for bot ${botName} (${botId})`);
-    } catch (err) {
-      logger.error(`Failed to update bot status for ${botName} (${botId}):`, err);
+    // The supervisor owns the status of supervised bots, update it directly when run by hand
+    if (!connectToSupervisor(botId)) {
+      try {
+        await dbUtils.updateBotStatus(botId, 'online');
+        logger.info(`Updated bot status to 'online' for bot ${botName} (${botId})`);
+      } catch (err) {
+        logger.error(`Failed to update bot status for ${botName} (${botId}):`, err);
+      }
     }
     
     // Handle process termination signals
     process.on('SIGINT', async () => {
       logger.info(`Received SIGINT for bot ${botName} (${botId}), shutting down...`);
       await bot.stop();
-      try {
-        await dbUtils.updateBotStatus(botId, 'offline');
-      } catch (err) {
-        logger.error(`Failed to update bot status to 'offline' for ${botName} (${botId}):`, err);
+      if (!isSupervised()) {
+        try {
+          await dbUtils.updateBotStatus(botId, 'offline');
+        } catch (err) {
+          logger.error(`Failed to update bot status to 'offline' for ${botName} (${botId}):`, err);
+        }
       }
       process.exit(0);
     });
@@ -263,10 +283,12 @@ const initializeBot = async () => {
     process.on('SIGTERM', async () => {
       logger.info(`Received SIGTERM for bot ${botName} (${botId}), shutting down...`);
       await bot.stop();
-      try {
-        await dbUtils.updateBotStatus(botId, 'offline');
-      } catch (err) {
-        logger.error(`Failed to update bot status to 'offline' for ${botName} (${botId}):`, err);
+      if (!isSupervised()) {
+        try {
+          await dbUtils.updateBotStatus(botId, 'offline');
+        } catch (err) {
+          logger.error(`Failed to update bot status to 'offline' for ${botName} (${botId}):`, err);
+        }
       }
       process.exit(0);
     });
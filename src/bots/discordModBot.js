@@ -137,11 +137,9 @@ class DiscordModBot {
   async handleTicketCommand(interaction) {
     const issue = interaction.options.getString('issue');
     const priority = interaction.options.getString('priority') || 'medium';
-    const ticketId = Math.floor(1000 + Math.random() * 9000); // Generate a 4-digit ticket number
-    
-    // Store the ticket in the database
-    await db.createTicket({
-      ticketId: `MOD-${ticketId}`,
+    // Store the ticket in the database, which generates its ID
+    const ticketId = await db.createTicket({
+      ticketPrefix: 'MOD',
       userId: interaction.user.id,
       username: interaction.user.tag,
       platform: 'Discord',
@@ -151,6 +149,14 @@ class DiscordModBot {
       createdAt: new Date()
     });
     
+    if (!ticketId) {
+      await interaction.reply({
+        content: 'Sorry, there was an error creating your ticket. Please try again later.',
+        ephemeral: true
+      });
+      return;
+    }
+    
     // Try to find or create a support channel
     let supportChannel = interaction.guild.channels.cache.find(channel => 
       channel.name === 'support-tickets' && channel.type === 0
@@ -187,7 +193,7 @@ class DiscordModBot {
       await supportChannel.send({
         embeds: [{
           color: priority === 'high' ? 0xff0000 : priority === 'medium' ? 0xffaa00 : 0x00aa00,
-          title: `New Ticket: MOD-${ticketId}`,
+          title: `New Ticket: ${ticketId}`,
           description: `A new support ticket has been created.`,
           fields: [
             {
@@ -213,7 +219,7 @@ class DiscordModBot {
     
     // Reply to the user
     await interaction.reply({
-      content: `Your ticket has been created! Ticket ID: MOD-${ticketId}`,
+      content: `Your ticket has been created! Ticket ID: ${ticketId}`,
       ephemeral: true
     });
     
@@ -222,7 +228,7 @@ class DiscordModBot {
       await interaction.user.send({
         embeds: [{
           color: 0x0099ff,
-          title: `Ticket Created: MOD-${ticketId}`,
+          title: `Ticket Created: ${ticketId}`,
           description: `Thank you for submitting a ticket. Our moderation team will review your issue: "${issue}"`,
           fields: [
             {
@@ -254,7 +260,7 @@ class DiscordModBot {
       username: interaction.user.tag,
       platform: 'Discord',
       command: 'ticket',
-      details: { ticketId: `MOD-${ticketId}`, issue, priority },
+      details: { ticketId, issue, priority },
       timestamp: new Date()
     });
   }
@@ -0,0 +1,64 @@
+/**
+ * Graph API
+ *
+ * Sends the messages of Messenger and Instagram bots through the Send API of
+ * Meta's Graph API, with the page access token of the bot. GRAPH_API_URL
+ * overrides the Graph API address, e.g. to pin another API version.
+ */
+import axios from 'axios';
+
+const DEFAULT_GRAPH_API_URL = 'https://graph.facebook.com/v19.0';
+
+// Requests taking longer are given up on, so a stuck request does not hold the bot's replies
+const REQUEST_TIMEOUT = 15 * 1000;
+
+// Longest quick reply title the Send API accepts, longer ones fail the whole message
+const MAX_QUICK_REPLY_TITLE_LENGTH = 20;
+
+// Shorten a quick reply title to what the Send API accepts, counting characters rather than UTF-16 units
+function fitQuickReplyTitle(title) {
+  const characters = [...String(title)];
+
+  return characters.length > MAX_QUICK_REPLY_TITLE_LENGTH
+    ? `${characters.slice(0, MAX_QUICK_REPLY_TITLE_LENGTH - 1).join('').trimEnd()}…`
+    : characters.join('');
+}
+
+/**
+ * Send a text message to a user
+ * @param {string} accessToken - Page access token of the bot
+ * @param {string} recipientId - Page-scoped ID of the user
+ * @param {string} text - Message text
+ * @param {Array} quickReplies - Quick replies shown under the message, titles longer than 20 characters are shortened
+ * @returns {Promise<Object>} Recipient and message IDs
+ * @throws {Error} With the Graph API's error message when the message was refused
+ */
+async function sendText(accessToken, recipientId, text, quickReplies = []) {
+  const baseUrl = (process.env.GRAPH_API_URL || DEFAULT_GRAPH_API_URL).replace(/\/$/, '');
+
+  try {
+    const response = await axios.post(`${baseUrl}/me/messages`, {
+      recipient: { id: recipientId },
+      messaging_type: 'RESPONSE',
+      message: {
+        text,
+        quick_replies: quickReplies.length > 0
+          ? quickReplies.map(quickReply => ({ ...quickReply, title: fitQuickReplyTitle(quickReply.title) }))
+          : undefined
+      }
+    }, {
+      params: { access_token: accessToken },
+      timeout: REQUEST_TIMEOUT
+    });
+
+    return response.data;
+  } catch (error) {
+    // Graph API errors explain what was wrong with the request
+    const graphError = error.response?.data?.error;
+    throw graphError ? new Error(`Graph API error ${graphError.code}: ${graphError.message}`) : error;
+  }
+}
+
+export {
+  sendText
+};
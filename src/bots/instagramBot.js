@@ -1,31 +1,34 @@
 /**
  * Instagram Bot
  * 
- * This bot implements auto-reply functionality and lead collection for Instagram DMs.
+ * Instagram adapter for the shared conversation engine, which implements
+ * auto-reply functionality, tickets and lead collection for Instagram DMs.
  * Note: This uses the Facebook Graph API since Instagram messaging is part of the Facebook ecosystem.
  */
-import { Botly } from 'botly';
 import logger from '../utils/logging.js';
 import * as dbUtils from '../utils/dbUtils.js';
+import ConversationEngine from './conversationEngine.js';
+import { isSupervised, connectToSupervisor, onWebhook, onSendMessage } from './botRuntime.js';
+import { sendText } from './graphApi.js';
 
 class InstagramBot {
-  constructor(config) {
+  constructor(config, botId = null) {
     this.config = config;
-    this.botly = new Botly({
-      accessToken: config.accessToken,
-      verifyToken: config.verifyToken,
-      webHookPath: config.webHookPath || '/webhook/instagram',
-      notificationType: 'REGULAR' // or 'SILENT_PUSH', 'NO_PUSH'
-    });
+    this.engine = new ConversationEngine({ platform: 'Instagram', botId });
   }
   
   async start() {
     try {
       // Set up event handlers
-      this.botly.on('message', this.handleMessage.bind(this));
+      if (!onWebhook(this.handleWebhook.bind(this))) {
+        logger.warn('Instagram messages are only received by bots started from the dashboard, through the server webhook');
+      }
+      
+      // Messages written on the dashboard, such as ticket replies
+      onSendMessage((userId, text) => this.sendTextMessage(userId, text));
       
       logger.info('Instagram bot started successfully');
-      return this.botly;
+      return this;
     } catch (error) {
       logger.error('Error starting Instagram bot:', error);
       throw error;
@@ -35,128 +38,81 @@ class InstagramBot {
   async stop() {
     try {
       logger.info('Instagram bot stopped');
-      // No specific stop method for Botly
+      // Nothing to stop, messages are received by the server's webhook
     } catch (error) {
       logger.error('Error stopping Instagram bot:', error);
     }
   }
   
+  // Dispatch the messaging events of a webhook delivery
+  async handleWebhook(payload) {
+    for (const entry of payload.entry || []) {
+      for (const event of entry.messaging || []) {
+        if (event.message) {
+          await this.handleMessage(event.sender, event);
+        } else if (event.postback) {
+          await this.handlePostback(event.sender, event);
+        }
+      }
+    }
+  }
+  
   async handleMessage(sender, message) {
     try {
-      // Check if this is an Instagram message
-      if (!message.message || !message.message.is_echo === false) {
+      // Ignore echoes of the messages the bot sent itself
+      if (!message.message || message.message.is_echo) {
         return;
       }
       
-      // Get message content
-      const content = message.message.text ? message.message.text.toLowerCase() : '';
+      const quickReply = message.message.quick_reply;
       
-      // Simple keyword-based auto-replies
-      if (content.includes('hello') || content.includes('hi')) {
-        await this.sendTextMessage(sender.id, 'Hello! Thanks for reaching out on Instagram. How can I help you today?');
-      } else if (content.includes('help')) {
-        await this.sendHelpMessage(sender.id);
-      } else if (content.includes('ticket') || content.includes('support')) {
-        await this.createTicket(sender.id, content);
-      } else if (content.includes('contact') || content.includes('email')) {
-        await this.sendTextMessage(sender.id, 'You can contact our support team at support@example.com or DM us here on Instagram.');
-      } else {
-        // Default response
-        await this.sendTextMessage(sender.id, 'Thanks for your message! I\'m an automated assistant. I can help with support tickets and general inquiries. Type "help" to see what I can do!');
-      }
+      const replies = await this.engine.handleMessage({
+        userId: sender.id,
+        username: 'Instagram User', // We don't have the username from the API
+        text: message.message.text,
+        payload: quickReply ? quickReply.payload : undefined
+      });
       
-      // Log the interaction and collect lead information
-      await this.logInteraction(sender.id, content);
+      await this.sendReplies(sender.id, replies);
     } catch (error) {
       logger.error('Error handling Instagram message:', error);
     }
   }
   
-  async sendTextMessage(userId, text) {
-    return new Promise((resolve, reject) => {
-      this.botly.sendText({
-        id: userId,
-        text: text
-      }, (err, data) => {
-        if (err) {
-          logger.error('Error sending Instagram text message:', err);
-          reject(err);
-        } else {
-          resolve(data);
-        }
-      });
-    });
-  }
-  
-  async sendHelpMessage(userId) {
-    const helpText = `
-Here's how I can help you:
-• Send "ticket" followed by your issue to create a support ticket
-• Send "contact" to get our contact information
-• Send "help" to see this message again
-What would you like to do?
-    `;
-    
-    return this.sendTextMessage(userId, helpText);
-  }
-  
-  async createTicket(userId, content) {
+  async handlePostback(sender, message) {
     try {
-      // Extract the issue from the message
-      const issue = content.replace('ticket', '').trim() || 'No issue specified';
-      
-      // Generate a ticket ID
-      const ticketId = Math.floor(1000 + Math.random() * 9000);
-      
-      // Store the ticket in the database
-      await dbUtils.createTicket({
-        ticketId: `IG-${ticketId}`,
-        userId: userId,
-        username: 'Instagram User', // We don't have the username from the API
-        platform: 'Instagram',
-        issue: issue,
-        status: 'open',
-        createdAt: new Date()
+      const replies = await this.engine.handleMessage({
+        userId: sender.id,
+        username: 'Instagram User',
+        payload: message.postback.payload
       });
       
-      // Reply to the user
-      await this.sendTextMessage(userId, `
-Your ticket has been created!
-Ticket ID: IG-${ticketId}
-Issue: ${issue}
-Our support team will get back to you soon. Please keep this ticket ID for reference.
-      `);
-      
-      // Log the interaction with ticket details
-      await this.logInteraction(userId, content, { ticketId: `IG-${ticketId}`, issue });
+      await this.sendReplies(sender.id, replies);
     } catch (error) {
-      logger.error('Error creating ticket:', error);
-      await this.sendTextMessage(userId, 'Sorry, there was an error creating your ticket. Please try again later.');
+      logger.error('Error handling Instagram postback:', error);
     }
   }
   
-  async logInteraction(userId, message, details = {}) {
-    try {
-      // Log the interaction
-      await dbUtils.logInteraction({
-        userId,
-        username: 'Instagram User', // We don't have the username from the API
-        platform: 'Instagram',
-        command: 'message',
-        details: { ...details, message },
-        timestamp: new Date()
-      });
+  // Render normalized replies; button templates are limited to three buttons, so every menu is sent as quick replies
+  async sendReplies(userId, replies) {
+    for (const reply of replies) {
+      const options = reply.buttons || reply.quickReplies || [];
       
-      // Store lead information
-      await dbUtils.storeLead({
-        userId,
-        username: 'Instagram User',
-        platform: 'Instagram',
-        source: 'message',
-        timestamp: new Date()
-      });
+      await this.sendTextMessage(userId, reply.text, options.map(({ title, payload }) => ({
+        content_type: 'text',
+        title,
+        payload
+      })));
+    }
+  }
+  
+  // Messages are received by the server's webhook, see botWebhooks.js, and sent through the Graph API
+  async sendTextMessage(userId, text, quickReplies = []) {
+    try {
+      return await sendText(this.config.accessToken, userId, text, quickReplies);
     } catch (error) {
-      logger.error('Error logging interaction:', error);
+      logger.error('Error sending Instagram text message:', error);
+      throw error;
     }
   }
 }
@@ -195,35 +151,39 @@ const initializeBot = async () => {
     
     logger.info(`Successfully retrieved Instagram bot configuration from database for bot: ${botName} (${botId})`);
     
-    // Validate that we have required tokens
-    if (!botConfig.accessToken || !botConfig.verifyToken) {
-      throw new Error('Bot configuration is missing required accessToken or verifyToken');
+    // Validate that we have required tokens; the app secret verifies webhook deliveries
+    if (!botConfig.accessToken || !botConfig.verifyToken || !botConfig.appSecret) {
+      throw new Error('Bot configuration is missing required accessToken, verifyToken or appSecret');
     }
     
     logger.info(`Starting Instagram bot process for bot: ${botName} (${botId})`);
     
     // Create and start the bot instance
-    const bot = new InstagramBot(botConfig);
+    const bot = new InstagramBot(botConfig, botId);
     
     // Start the bot
     await bot.start();
     
-    // Update status in database to 'online'
-    try {
-      await dbUtils.updateBotStatus(botId, 'online');
-      logger.info(`Updated bot status to 'online' for bot ${botName} (${botId})`);
-    } catch (err) {
-      logger.error(`Failed to update bot status for ${botName} (${botId}):`, err);
+    // The supervisor owns the status of supervised bots, update it directly when run by hand
+    if (!connectToSupervisor(botId)) {
+      try {
+        await dbUtils.updateBotStatus(botId, 'online');
+        logger.info(`Updated bot status to 'online' for bot ${botName} (${botId})`);
+      } catch (err) {
+        logger.error(`Failed to update bot status for ${botName} (${botId}):`, err);
+      }
     }
     
     // Handle process termination signals
     process.on('SIGINT', async () => {
       logger.info(`Received SIGINT for bot ${botName} (${botId}), shutting down...`);
       await bot.stop();
-      try {
-        await dbUtils.updateBotStatus(botId, 'offline');
-      } catch (err) {
-        logger.error(`Failed to update bot status to 'offline' for ${botName} (${botId}):`, err);
+      if (!isSupervised()) {
+        try {
+          await dbUtils.updateBotStatus(botId, 'offline');
+        } catch (err) {
+          logger.error(`Failed to update bot status to 'offline' for ${botName} (${botId}):`, err);
+        }
       }
       process.exit(0);
     });
@@ -231,10 +191,12 @@ const initializeBot = async () => {
     process.on('SIGTERM', async () => {
       logger.info(`Received SIGTERM for bot ${botName} (${botId}), shutting down...`);
       await bot.stop();
-      try {
-        await dbUtils.updateBotStatus(botId, 'offline');
-      } catch (err) {
-        logger.error(`Failed to update bot status to 'offline' for ${botName} (${botId}):`, err);
+      if (!isSupervised()) {
+        try {
+          await dbUtils.updateBotStatus(botId, 'offline');
+        } catch (err) {
+          logger.error(`Failed to update bot status to 'offline' for ${botName} (${botId}):`, err);
+        }
       }
       process.exit(0);
     });
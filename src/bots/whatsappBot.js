@@ -1,16 +1,20 @@
 /**
  * WhatsApp Bot
  * 
- * This bot implements auto-reply functionality and lead collection.
+ * WhatsApp adapter for the shared conversation engine, which implements
+ * auto-reply functionality, tickets and lead collection.
  */
 import { Client, LocalAuth } from 'whatsapp-web.js';
 import qrcode from 'qrcode-terminal';
 import logger from '../utils/logging.js';
 import * as dbUtils from '../utils/dbUtils.js';
+import ConversationEngine from './conversationEngine.js';
+import { isSupervised, connectToSupervisor, onSendMessage } from './botRuntime.js';
 
 class WhatsAppBot {
-  constructor(config) {
+  constructor(config, botId = null) {
     this.config = config;
+    this.engine = new ConversationEngine({ platform: 'WhatsApp', botId });
     this.client = new Client({
       authStrategy: new LocalAuth({ clientId: config.clientId || 'bot-support-system' }),
       puppeteer: {
@@ -41,6 +45,11 @@ class WhatsAppBot {
       
       this.client.on('message', this.handleMessage.bind(this));
       
+      // Messages written on the dashboard, such as ticket replies
+      onSendMessage(async (chatId, text) => {
+        await this.client.sendMessage(chatId, text);
+      });
+      
       // Initialize the client
       await this.client.initialize();
       logger.info('WhatsApp bot started successfully');
@@ -70,101 +79,31 @@ class WhatsAppBot {
         return;
       }
       
-      const content = message.body.toLowerCase();
       const chat = await message.getChat();
       const contact = await message.getContact();
-      const username = contact.pushname || 'WhatsApp User';
-      
-      // Simple keyword-based auto-replies
-      if (content.includes('hello') || content.includes('hi')) {
-        await chat.sendMessage('Hello! How can I help you today?');
-      } else if (content.includes('help')) {
-        await this.sendHelpMessage(chat);
-      } else if (content.includes('ticket') || content.includes('support')) {
-        await this.createTicket(chat, message, username);
-      } else if (content.includes('contact') || content.includes('email')) {
-        await chat.sendMessage('You can contact our support team at support@example.com');
-      } else {
-        // Default response
-        await chat.sendMessage('I\'m an automated assistant. I can help with support tickets and general inquiries. Type "help" to see what I can do!');
-      }
-      
-      // Log the interaction and collect lead information
-      await this.logInteraction(message.from, username, content);
-    } catch (error) {
-      logger.error('Error handling WhatsApp message:', error);
-    }
-  }
-  
-  async sendHelpMessage(chat) {
-    const helpText = `
-Here's how I can help you:
-• Send "ticket" followed by your issue to create a support ticket
-• Send "contact" to get our contact information
-• Send "help" to see this message again
-What would you like to do?
-    `;
-    
-    await chat.sendMessage(helpText);
-  }
-  
-  async createTicket(chat, message, username) {
-    try {
-      // Extract the issue from the message
-      const issue = message.body.replace(/ticket/i, '').trim() || 'No issue specified';
-      
-      // Generate a ticket ID
-      const ticketId = Math.floor(1000 + Math.random() * 9000);
       
-      // Store the ticket in the database
-      await dbUtils.createTicket({
-        ticketId: `WA-${ticketId}`,
+      const replies = await this.engine.handleMessage({
         userId: message.from,
-        username: username,
-        platform: 'WhatsApp',
-        issue: issue,
-        status: 'open',
-        createdAt: new Date()
+        username: contact.pushname || 'WhatsApp User',
+        displayName: contact.pushname,
+        text: message.body
       });
       
-      // Reply to the user
-      await chat.sendMessage(`
-Your ticket has been created!
-Ticket ID: WA-${ticketId}
-Issue: ${issue}
-Our support team will get back to you soon. Please keep this ticket ID for reference.
-      `);
-      
-      // Log the interaction with ticket details
-      await this.logInteraction(message.from, username, message.body, { ticketId: `WA-${ticketId}`, issue });
+      await this.sendReplies(chat, replies);
     } catch (error) {
-      logger.error('Error creating ticket:', error);
-      await chat.sendMessage('Sorry, there was an error creating your ticket. Please try again later.');
+      logger.error('Error handling WhatsApp message:', error);
     }
   }
   
-  async logInteraction(userId, username, message, details = {}) {
-    try {
-      // Log the interaction
-      await dbUtils.logInteraction({
-        userId,
-        username,
-        platform: 'WhatsApp',
-        command: 'message',
-        details: { ...details, message },
-        timestamp: new Date()
-      });
+  // Render normalized replies; WhatsApp has no buttons, so menu titles are listed for the user to type back
+  async sendReplies(chat, replies) {
+    for (const reply of replies) {
+      const options = reply.buttons || reply.quickReplies || [];
+      const text = options.length > 0 ?
+        `${reply.text}\n\n${options.map(({ title }) => `• ${title}`).join('\n')}` :
+        reply.text;
       
-      // Store lead information
-      await dbUtils.storeLead({
-        userId,
-        username,
-        platform: 'WhatsApp',
-        source: 'message',
-        timestamp: new Date()
-      });
-    } catch (error) {
-      logger.error('Error logging interaction:', error);
+      await chat.sendMessage(text);
     }
   }
 }
@@ -206,27 +145,31 @@ const initializeBot = async () => {
     logger.info(`Starting WhatsApp bot process for bot: ${botName} (${botId})`);
     
     // Create and start the bot instance
-    const bot = new WhatsAppBot(botConfig);
+    const bot = new WhatsAppBot(botConfig, botId);
     
     // Start the bot
     await bot.start();
     
-    // Update status in database to 'online'
-    try {
-      await dbUtils.updateBotStatus(botId, 'online');
-      logger.info(`Updated bot status to 'online' for bot ${botName} (${botId})`);
-    } catch (err) {
-      logger.error(`Failed to update bot status for ${botName} (${botId}):`, err);
+    // The supervisor owns the status of supervised bots, update it directly when run by hand
+    if (!connectToSupervisor(botId)) {
+      try {
+        await dbUtils.updateBotStatus(botId, 'online');
+        logger.info(`Updated bot status to 'online' for bot ${botName} (${botId})`);
+      } catch (err) {
+        logger.error(`Failed to update bot status for ${botName} (${botId}):`, err);
+      }
     }
     
     // Handle process termination signals
     process.on('SIGINT', async () => {
       logger.info(`Received SIGINT for bot ${botName} (${botId}), shutting down...`);
       await bot.stop();
-      try {
-        await dbUtils.updateBotStatus(botId, 'offline');
-      } catch (err) {
-        logger.error(`Failed to update bot status to 'offline' for ${botName} (${botId}):`, err);
+      if (!isSupervised()) {
+        try {
+          await dbUtils.updateBotStatus(botId, 'offline');
+        } catch (err) {
+          logger.error(`Failed to update bot status to 'offline' for ${botName} (${botId}):`, err);
+        }
       }
       process.exit(0);
     });
@@ -234,10 +177,12 @@ const initializeBot = async () => {
     process.on('SIGTERM', async () => {
       logger.info(`Received SIGTERM for bot ${botName} (${botId}), shutting down...`);
       await bot.stop();
-      try {
-        await dbUtils.updateBotStatus(botId, 'offline');
-      } catch (err) {
-        logger.error(`Failed to update bot status to 'offline' for ${botName} (${botId}):`, err);
+      if (!isSupervised()) {
+        try {
+          await dbUtils.updateBotStatus(botId, 'offline');
+        } catch (err) {
+          logger.error(`Failed to update bot status to 'offline' for ${botName} (${botId}):`, err);
+        }
       }
       process.exit(0);
     });
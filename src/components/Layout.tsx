@@ -4,6 +4,7 @@ import { useAuth } from '../context/AuthContext';
 import { 
   Home, 
   Bot, 
+  Inbox, 
   Users, 
   BarChart2, 
   Settings, 
@@ -31,6 +32,7 @@ const Layout: React.FC<LayoutProps> = ({ children, title }) => {
   const navItems = [
     { name: 'Dashboard', path: '/', icon: <Home className="w-5 h-5" /> },
     { name: 'Bot Management', path: '/bots', icon: <Bot className="w-5 h-5" /> },
+    { name: 'Inbox', path: '/inbox', icon: <Inbox className="w-5 h-5" /> },
     { name: 'User Management', path: '/users', icon: <Users className="w-5 h-5" /> },
     { name: 'Monitoring', path: '/monitoring', icon: <BarChart2 className="w-5 h-5" /> },
     { name: 'Settings', path: '/settings', icon: <Settings className="w-5 h-5" /> },
@@ -1,4 +1,4 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
 import axios from 'axios';
 import toast from 'react-hot-toast';
 
@@ -6,30 +6,158 @@ import toast from 'react-hot-toast';
 const apiClient = axios.create({
   baseURL: import.meta.env.PROD ? '/api' : 'http://localhost:3000/api',
   withCredentials: true,
+  // Echo the XSRF-TOKEN cookie in the X-XSRF-TOKEN header, also to the dev API server
+  withXSRFToken: true,
   headers: {
     'Content-Type': 'application/json',
   }
 });
 
+// User input counted as activity for the idle session timeout
+const ACTIVITY_EVENTS = ['mousedown', 'keydown', 'scroll', 'touchstart'];
+
+// How often the access token is checked, and how long before it expires it is refreshed
+const TOKEN_CHECK_INTERVAL = 30 * 1000;
+const TOKEN_REFRESH_MARGIN = 60 * 1000;
+
+// Expiry of the stored access token in milliseconds, 0 without a readable token
+const getAccessTokenExpiry = () => {
+  try {
+    const payload = (localStorage.getItem('accessToken') || '').split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    return JSON.parse(atob(payload)).exp * 1000;
+  } catch {
+    return 0;
+  }
+};
+
 interface User {
   id: string;
   username: string;
   email: string;
-  role: 'Administrator' | 'Manager' | 'Normal User';
+  role: string;
+}
+
+// Single sign-on provider shown on the login page
+interface SsoConfig {
+  enabled: boolean;
+  providerName: string;
+  required: boolean;
+}
+
+// Passkey challenge issued by the server, binary values base64url encoded
+export interface PasskeyRequestOptions {
+  challengeId: string;
+  publicKey: {
+    rpId: string;
+    challenge: string;
+    timeout: number;
+    allowCredentials: { type: 'public-key', id: string, transports: string[] }[];
+    userVerification: UserVerificationRequirement;
+  };
+}
+
+interface PasskeyCreationOptions {
+  challengeId: string;
+  publicKey: {
+    rp: { id: string, name: string };
+    user: { id: string, name: string, displayName: string };
+    challenge: string;
+    pubKeyCredParams: { type: 'public-key', alg: number }[];
+    timeout: number;
+    attestation: AttestationConveyancePreference;
+    authenticatorSelection: AuthenticatorSelectionCriteria;
+    excludeCredentials: { type: 'public-key', id: string, transports: string[] }[];
+  };
+}
+
+// Outcome of a password sign-in; users with a second factor confirm it with one of the listed
+// methods, sending back the pending token that proves they entered their password
+interface LoginResult {
+  success: boolean;
+  requiresTwoFactor?: boolean;
+  pendingToken?: string;
+  methods?: ('totp' | 'passkey' | 'recoveryCode')[];
+  passkey?: PasskeyRequestOptions | null;
+}
+
+// Invited user, shown while they choose their password
+export interface Invitation {
+  username: string;
+  email: string;
+  role: string;
 }
 
 interface AuthContextType {
   user: User | null;
   isAuthenticated: boolean;
   loading: boolean;
-  login: (email: string, password: string) => Promise<{success: boolean, requiresTwoFactor?: boolean, userId?: string}>;
-  verifyTwoFactor: (userId: string, code: string) => Promise<boolean>;
+  login: (email: string, password: string) => Promise<LoginResult>;
+  verifyTwoFactor: (pendingToken: string, code: string) => Promise<boolean>;
+  verifyPasskey: (pendingToken: string, options: PasskeyRequestOptions) => Promise<boolean>;
+  loginWithPasskey: () => Promise<boolean>;
+  registerPasskey: (name: string) => Promise<{success: boolean, recoveryCodes?: string[] | null}>;
+  getSsoConfig: () => Promise<SsoConfig | null>;
+  loginWithSso: () => void;
+  completeSsoLogin: () => Promise<boolean>;
   logout: () => void;
   refreshToken: () => Promise<boolean>;
   setupTwoFactor: () => Promise<{success: boolean, secretKey?: string, qrCodeUrl?: string}>;
-  enableTwoFactor: (code: string) => Promise<boolean>;
+  enableTwoFactor: (code: string) => Promise<{success: boolean, recoveryCodes?: string[] | null}>;
+  requestPasswordReset: (email: string) => Promise<boolean>;
+  resetPassword: (token: string, password: string) => Promise<boolean>;
+  checkInvitation: (token: string) => Promise<Invitation | null>;
+  acceptInvitation: (token: string, password: string) => Promise<{success: boolean, signedIn?: boolean}>;
 }
 
+const fromBase64url = (value: string) => Uint8Array.from(atob(value.replace(/-/g, '+').replace(/_/g, '/')), c => c.charCodeAt(0));
+
+const toBase64url = (buffer: ArrayBuffer) => btoa(String.fromCharCode(...new Uint8Array(buffer)))
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+const toCredentialDescriptor = ({ type, id, transports }: { type: 'public-key', id: string, transports: string[] }) => ({
+  type,
+  id: fromBase64url(id),
+  transports: transports as AuthenticatorTransport[]
+});
+
+// Ask the browser for a passkey assertion and encode it for the server
+const getPasskeyAssertion = async ({ publicKey }: PasskeyRequestOptions) => {
+  const credential = await navigator.credentials.get({
+    publicKey: {
+      ...publicKey,
+      challenge: fromBase64url(publicKey.challenge),
+      allowCredentials: publicKey.allowCredentials.map(toCredentialDescriptor)
+    }
+  }) as PublicKeyCredential | null;
+  
+  if (!credential) {
+    throw new Error('No passkey was selected');
+  }
+  
+  const response = credential.response as AuthenticatorAssertionResponse;
+  
+  return {
+    id: credential.id,
+    type: credential.type,
+    response: {
+      clientDataJSON: toBase64url(response.clientDataJSON),
+      authenticatorData: toBase64url(response.authenticatorData),
+      signature: toBase64url(response.signature),
+      userHandle: response.userHandle ? toBase64url(response.userHandle) : null
+    }
+  };
+};
+
+// The browser cancels passkey prompts with a DOMException, the server answers with an error message
+const getPasskeyError = (error: unknown, fallback: string) => {
+  if (axios.isAxiosError(error)) {
+    return error.response?.data?.error || fallback;
+  }
+  return error instanceof DOMException && error.name === 'NotAllowedError' ? 'Passkey request was cancelled' : fallback;
+};
+
 const AuthContext = createContext<AuthContextType | undefined>(undefined);
 
 // Track if token refresh is in progress to prevent multiple simultaneous refresh attempts
@@ -182,16 +310,44 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
     checkAuth();
   }, []);
 
-  // Set up token refresh interval
+  // Refresh the access token before it expires, but only after the user did something
+  // since the last refresh: an abandoned tab lets the session reach its idle timeout
+  const isSignedIn = Boolean(user);
+  
   useEffect(() => {
-    if (user) {
-      const refreshInterval = setInterval(() => {
-        refreshTokenFn();
-      }, 14 * 60 * 1000); // Refresh token every 14 minutes (token expires in 15)
-      
-      return () => clearInterval(refreshInterval);
+    if (!isSignedIn) {
+      return;
     }
-  }, [user]);
+    
+    let lastActivity = Date.now();
+    let lastRefresh = 0;
+    let refreshing = false;
+    
+    const refreshIfActive = async () => {
+      if (refreshing || lastActivity <= lastRefresh || getAccessTokenExpiry() - Date.now() > TOKEN_REFRESH_MARGIN) {
+        return;
+      }
+      
+      refreshing = true;
+      lastRefresh = Date.now();
+      await refreshTokenFn();
+      refreshing = false;
+    };
+    
+    // Coming back after the token expired refreshes it right away
+    const handleActivity = () => {
+      lastActivity = Date.now();
+      refreshIfActive();
+    };
+    
+    ACTIVITY_EVENTS.forEach(event => window.addEventListener(event, handleActivity, { capture: true, passive: true }));
+    const refreshInterval = setInterval(refreshIfActive, TOKEN_CHECK_INTERVAL);
+    
+    return () => {
+      ACTIVITY_EVENTS.forEach(event => window.removeEventListener(event, handleActivity, { capture: true }));
+      clearInterval(refreshInterval);
+    };
+  }, [isSignedIn]);
 
   const login = async (email: string, password: string) => {
     try {
@@ -203,7 +359,9 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
         return { 
           success: false, 
           requiresTwoFactor: true, 
-          userId: response.data.userId 
+          pendingToken: response.data.pendingToken,
+          methods: response.data.methods,
+          passkey: response.data.passkey
         };
       }
       
@@ -223,10 +381,10 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
     }
   };
 
-  const verifyTwoFactor = async (userId: string, code: string) => {
+  const verifyTwoFactor = async (pendingToken: string, code: string) => {
     try {
       setLoading(true);
-      const response = await apiClient.post('/auth/verify-2fa', { userId, code });
+      const response = await apiClient.post('/auth/verify-2fa', { pendingToken, code });
       
       // Store the token in localStorage
       localStorage.setItem('accessToken', response.data.accessToken);
@@ -234,6 +392,11 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
       setUser(response.data.user);
       toast.success('Two-factor verification successful');
       
+      // Signing in with a recovery code uses it up
+      if (typeof response.data.recoveryCodesRemaining === 'number') {
+        toast(`${response.data.recoveryCodesRemaining} recovery code(s) left, generate new ones from Settings when you run low`);
+      }
+      
       return true;
     } catch (error: any) {
       const errorMessage = error.response?.data?.error || 'Verification failed';
@@ -244,6 +407,132 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
     }
   };
 
+  // Confirm a password sign-in with a passkey, answering the challenge of the login response
+  const verifyPasskey = async (pendingToken: string, options: PasskeyRequestOptions) => {
+    try {
+      setLoading(true);
+      const credential = await getPasskeyAssertion(options);
+      const response = await apiClient.post('/auth/verify-2fa', {
+        pendingToken,
+        passkey: { challengeId: options.challengeId, credential }
+      });
+      
+      localStorage.setItem('accessToken', response.data.accessToken);
+      
+      setUser(response.data.user);
+      toast.success('Two-factor verification successful');
+      
+      return true;
+    } catch (error) {
+      toast.error(getPasskeyError(error, 'Passkey verification failed'));
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Sign in without a password, with a passkey stored on the device or a security key
+  const loginWithPasskey = async () => {
+    try {
+      setLoading(true);
+      const options = await apiClient.post('/auth/passkeys/login/options');
+      const credential = await getPasskeyAssertion(options.data);
+      const response = await apiClient.post('/auth/passkeys/login', {
+        challengeId: options.data.challengeId,
+        credential
+      });
+      
+      localStorage.setItem('accessToken', response.data.accessToken);
+      
+      setUser(response.data.user);
+      toast.success('Login successful');
+      
+      return true;
+    } catch (error) {
+      toast.error(getPasskeyError(error, 'Passkey sign-in failed'));
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Register a passkey for the signed-in user; the first second factor comes with recovery codes
+  const registerPasskey = async (name: string) => {
+    try {
+      const options = await apiClient.post('/auth/passkeys/options');
+      const { challengeId, publicKey } = options.data as PasskeyCreationOptions;
+      
+      const credential = await navigator.credentials.create({
+        publicKey: {
+          ...publicKey,
+          challenge: fromBase64url(publicKey.challenge),
+          user: { ...publicKey.user, id: fromBase64url(publicKey.user.id) },
+          excludeCredentials: publicKey.excludeCredentials.map(toCredentialDescriptor)
+        }
+      }) as PublicKeyCredential | null;
+      
+      if (!credential) {
+        throw new Error('No passkey was created');
+      }
+      
+      const response = credential.response as AuthenticatorAttestationResponse;
+      const result = await apiClient.post('/auth/passkeys', {
+        challengeId,
+        name,
+        credential: {
+          id: credential.id,
+          type: credential.type,
+          response: {
+            clientDataJSON: toBase64url(response.clientDataJSON),
+            attestationObject: toBase64url(response.attestationObject),
+            transports: response.getTransports ? response.getTransports() : []
+          }
+        }
+      });
+      
+      toast.success('Passkey added');
+      return { success: true, recoveryCodes: result.data.recoveryCodes };
+    } catch (error) {
+      toast.error(getPasskeyError(error, 'Failed to add passkey'));
+      return { success: false };
+    }
+  };
+
+  const getSsoConfig = useCallback(async () => {
+    try {
+      const response = await apiClient.get('/auth/sso');
+      return response.data as SsoConfig;
+    } catch (error) {
+      console.error('Failed to load single sign-on configuration:', error);
+      return null;
+    }
+  }, []);
+
+  // The provider redirects back to the login page once the user signed in there
+  const loginWithSso = () => {
+    window.location.href = `${apiClient.defaults.baseURL}/auth/sso/login`;
+  };
+
+  // Single sign-on leaves a refresh token cookie, exchange it for an access token
+  const completeSsoLogin = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await apiClient.post('/auth/refresh-token');
+      
+      localStorage.setItem('accessToken', response.data.accessToken);
+      
+      setUser(response.data.user);
+      toast.success('Login successful');
+      
+      return true;
+    } catch (error) {
+      toast.error((axios.isAxiosError(error) && error.response?.data?.error) || 'Single sign-on failed');
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
   const logout = async () => {
     try {
       await apiClient.post('/auth/logout');
@@ -277,21 +566,79 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
 
   const enableTwoFactor = async (code: string) => {
     try {
-      await apiClient.post('/auth/enable-2fa', { code });
+      const response = await apiClient.post('/auth/enable-2fa', { code });
       
       // Update user object to reflect 2FA status
       const userResponse = await apiClient.get('/auth/me');
       setUser(userResponse.data.user);
       
       toast.success('Two-factor authentication enabled');
-      return true;
+      return { success: true, recoveryCodes: response.data.recoveryCodes };
     } catch (error: any) {
       const errorMessage = error.response?.data?.error || 'Failed to enable two-factor authentication';
       toast.error(errorMessage);
+      return { success: false };
+    }
+  };
+
+  // Emails a reset link; the answer is the same whether or not the account exists
+  const requestPasswordReset = async (email: string) => {
+    try {
+      const response = await apiClient.post('/auth/forgot-password', { email });
+      toast.success(response.data.message);
+      return true;
+    } catch (error) {
+      toast.error((axios.isAxiosError(error) && error.response?.data?.error) || 'Failed to request a password reset');
+      return false;
+    }
+  };
+
+  const resetPassword = async (token: string, password: string) => {
+    try {
+      await apiClient.post('/auth/reset-password', { token, password });
+      toast.success('Password reset, sign in with your new password');
+      return true;
+    } catch (error) {
+      toast.error((axios.isAxiosError(error) && error.response?.data?.error) || 'Failed to reset password');
       return false;
     }
   };
 
+  const checkInvitation = useCallback(async (token: string) => {
+    try {
+      const response = await apiClient.post('/auth/invitations/check', { token });
+      return response.data as Invitation;
+    } catch (error) {
+      console.error('Failed to check invitation:', error);
+      return null;
+    }
+  }, []);
+
+  // Activates the account and signs in, unless single sign-on is required
+  const acceptInvitation = async (token: string, password: string) => {
+    try {
+      const response = await apiClient.post('/auth/invitations/accept', { token, password });
+      
+      if (!response.data.signedIn) {
+        toast.success('Account activated');
+        if (response.data.error) {
+          toast(response.data.error);
+        }
+        return { success: true, signedIn: false };
+      }
+      
+      localStorage.setItem('accessToken', response.data.accessToken);
+      
+      setUser(response.data.user);
+      toast.success('Account activated');
+      
+      return { success: true, signedIn: true };
+    } catch (error) {
+      toast.error((axios.isAxiosError(error) && error.response?.data?.error) || 'Failed to accept the invitation');
+      return { success: false };
+    }
+  };
+
   return (
     <AuthContext.Provider value={{ 
       user, 
@@ -299,10 +646,20 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
       loading, 
       login, 
       verifyTwoFactor,
+      verifyPasskey,
+      loginWithPasskey,
+      registerPasskey,
+      getSsoConfig,
+      loginWithSso,
+      completeSsoLogin,
       logout,
       refreshToken,
       setupTwoFactor,
-      enableTwoFactor
+      enableTwoFactor,
+      requestPasswordReset,
+      resetPassword,
+      checkInvitation,
+      acceptInvitation
     }}>
       {children}
     </AuthContext.Provider>
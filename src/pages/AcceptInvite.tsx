@@ -0,0 +1,283 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useAuth, Invitation } from '../context/AuthContext';
+import { Bot, Fingerprint, Smartphone } from 'lucide-react';
+
+// Choosing a password activates the account; setting up a second factor follows, and can be skipped
+type Step = 'password' | 'twoFactor' | 'recoveryCodes';
+
+const AcceptInvite: React.FC = () => {
+  const [invitation, setInvitation] = useState<Invitation | null>(null);
+  const [checking, setChecking] = useState(true);
+  const [step, setStep] = useState<Step>('password');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [totpSetup, setTotpSetup] = useState<{ secretKey?: string, qrCodeUrl?: string } | null>(null);
+  const [totpCode, setTotpCode] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState<string[]>([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const { checkInvitation, acceptInvitation, setupTwoFactor, enableTwoFactor, registerPasskey } = useAuth();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+
+  useEffect(() => {
+    if (!token) {
+      setChecking(false);
+      return;
+    }
+
+    checkInvitation(token).then((result) => {
+      setInvitation(result);
+      setChecking(false);
+    });
+  }, [token, checkInvitation]);
+
+  const handleAccept = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError('');
+
+    if (password.length < 8) {
+      setError('Password must be at least 8 characters long');
+      return;
+    }
+
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setIsLoading(true);
+    const result = await acceptInvitation(token, password);
+    setIsLoading(false);
+
+    if (result.success) {
+      if (result.signedIn) {
+        setStep('twoFactor');
+      } else {
+        navigate('/login');
+      }
+    }
+  };
+
+  const handleSetupAuthenticator = async () => {
+    const result = await setupTwoFactor();
+
+    if (result.success) {
+      setTotpSetup(result);
+    }
+  };
+
+  const handleEnableAuthenticator = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const result = await enableTwoFactor(totpCode);
+
+    if (result.success) {
+      setRecoveryCodes(result.recoveryCodes || []);
+      setStep('recoveryCodes');
+    }
+  };
+
+  const handleAddPasskey = async () => {
+    const result = await registerPasskey('Passkey');
+
+    if (result.success) {
+      setRecoveryCodes(result.recoveryCodes || []);
+      setStep('recoveryCodes');
+    }
+  };
+
+  const renderContent = () => {
+    if (checking) {
+      return (
+        <div className="flex justify-center">
+          <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-blue-500"></div>
+        </div>
+      );
+    }
+
+    if (step === 'password' && !invitation) {
+      return (
+        <div className="bg-red-50 border-l-4 border-red-500 p-4">
+          <p className="text-sm text-red-700">
+            This invitation is invalid or has expired. Ask your administrator to send a new one.
+          </p>
+        </div>
+      );
+    }
+
+    if (step === 'password') {
+      return (
+        <form className="space-y-6" onSubmit={handleAccept}>
+          {error && (
+            <div className="bg-red-50 border-l-4 border-red-500 p-4">
+              <p className="text-sm text-red-700">{error}</p>
+            </div>
+          )}
+
+          <div className="text-sm text-gray-700">
+            <p>Username: <span className="font-medium">{invitation?.username}</span></p>
+            <p>Email: <span className="font-medium">{invitation?.email}</span></p>
+            <p>Role: <span className="font-medium capitalize">{invitation?.role}</span></p>
+          </div>
+
+          <div className="rounded-md shadow-sm -space-y-px">
+            <div>
+              <label htmlFor="password" className="sr-only">Password</label>
+              <input
+                id="password"
+                name="password"
+                type="password"
+                autoComplete="new-password"
+                required
+                className="appearance-none rounded-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-t-md focus:outline-none focus:ring-blue-500 focus:border-blue-500 focus:z-10 sm:text-sm"
+                placeholder="Choose a password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+              />
+            </div>
+            <div>
+              <label htmlFor="confirm-password" className="sr-only">Confirm password</label>
+              <input
+                id="confirm-password"
+                name="confirmPassword"
+                type="password"
+                autoComplete="new-password"
+                required
+                className="appearance-none rounded-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-b-md focus:outline-none focus:ring-blue-500 focus:border-blue-500 focus:z-10 sm:text-sm"
+                placeholder="Confirm password"
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+              />
+            </div>
+          </div>
+
+          <button
+            type="submit"
+            disabled={isLoading}
+            className={`group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 ${isLoading ? 'opacity-70 cursor-not-allowed' : ''}`}
+          >
+            Activate account
+          </button>
+        </form>
+      );
+    }
+
+    if (step === 'twoFactor') {
+      return (
+        <div className="space-y-6">
+          <p className="text-sm text-gray-600">
+            Protect your account with a second factor, asked for after your password when you sign in.
+          </p>
+
+          {!totpSetup ? (
+            <button
+              onClick={handleSetupAuthenticator}
+              className="w-full flex justify-center items-center py-2 px-4 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+            >
+              <Smartphone size={16} className="mr-2" />
+              Use an authenticator app
+            </button>
+          ) : (
+            <form className="space-y-3" onSubmit={handleEnableAuthenticator}>
+              <p className="text-sm text-gray-700">
+                Add this key to your authenticator app, or open the link on your phone, then enter the 6-digit code it shows.
+              </p>
+              <p className="font-mono text-sm break-all bg-gray-50 p-2 rounded">{totpSetup.secretKey}</p>
+              {totpSetup.qrCodeUrl && (
+                <a href={totpSetup.qrCodeUrl} className="text-sm text-blue-600 hover:text-blue-500">
+                  Open in authenticator app
+                </a>
+              )}
+              <input
+                type="text"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                required
+                maxLength={6}
+                className="appearance-none block w-full px-3 py-2 border border-gray-300 rounded-md placeholder-gray-400 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                placeholder="6-digit code"
+                value={totpCode}
+                onChange={(e) => setTotpCode(e.target.value)}
+              />
+              <button
+                type="submit"
+                className="w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+              >
+                Enable two-factor authentication
+              </button>
+            </form>
+          )}
+
+          {window.PublicKeyCredential && (
+            <button
+              onClick={handleAddPasskey}
+              className="w-full flex justify-center items-center py-2 px-4 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+            >
+              <Fingerprint size={16} className="mr-2" />
+              Add a passkey
+            </button>
+          )}
+
+          <div className="text-center">
+            <button onClick={() => navigate('/')} className="text-sm text-gray-500 hover:text-gray-700">
+              Skip for now, set it up later in Settings
+            </button>
+          </div>
+        </div>
+      );
+    }
+
+    return (
+      <div className="space-y-6">
+        {recoveryCodes.length > 0 && (
+          <div className="p-4 bg-yellow-50 border-l-4 border-yellow-500 rounded-md">
+            <p className="text-sm text-yellow-800 font-medium">
+              Save these recovery codes somewhere safe, they will not be shown again. Each one signs you in once if you lose your second factor.
+            </p>
+            <ul className="mt-2 grid grid-cols-2 gap-1 font-mono text-sm text-gray-900">
+              {recoveryCodes.map(code => (
+                <li key={code}>{code}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+        <button
+          onClick={() => navigate('/')}
+          className="w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+        >
+          I have saved them, continue to the dashboard
+        </button>
+      </div>
+    );
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-100 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8 bg-white p-10 rounded-xl shadow-md">
+        <div className="text-center">
+          <div className="mx-auto h-12 w-12 flex items-center justify-center rounded-full bg-blue-100">
+            <Bot className="h-8 w-8 text-blue-600" />
+          </div>
+          <h2 className="mt-6 text-3xl font-extrabold text-gray-900">
+            {step === 'password' ? 'Accept your invitation' : 'Set up two-factor authentication'}
+          </h2>
+        </div>
+
+        {renderContent()}
+
+        {step === 'password' && (
+          <div className="text-center">
+            <Link to="/login" className="text-sm text-blue-600 hover:text-blue-500">
+              Back to login
+            </Link>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AcceptInvite;
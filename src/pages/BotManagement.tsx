@@ -48,6 +48,16 @@ apiClient.interceptors.response.use(
 
 type BotPlatform = 'Discord' | 'Telegram' | 'WhatsApp' | 'Messenger' | 'Instagram';
 
+// Telegram bots poll for updates, or receive them on a webhook of the server
+type TelegramUpdateMode = 'polling' | 'webhook';
+
+// Platforms delivering messages to a webhook of the server, signed with the app secret
+const isWebhookPlatform = (platform: BotPlatform) => platform === 'Messenger' || platform === 'Instagram';
+
+// Callback URL to subscribe at Meta, served next to the API
+const getWebhookUrl = (bot: Bot) =>
+  new URL(`/webhooks/${bot.platform.toLowerCase()}/${bot.id}`, new URL(apiClient.defaults.baseURL || '/', window.location.origin)).toString();
+
 interface Bot {
   id: string;
   name: string;
@@ -72,8 +82,12 @@ const BotManagement: React.FC = () => {
     credentials: {
       token: '',
       guildId: '',
-      apiKey: ''
-    }
+      apiKey: '',
+      verifyToken: '',
+      appSecret: ''
+    },
+    updateMode: 'polling' as TelegramUpdateMode,
+    dropPendingUpdates: false
   });
 
   // Fetch bots from API
@@ -166,6 +180,12 @@ const BotManagement: React.FC = () => {
         config.guildId = newBot.credentials.guildId;
       } else if (newBot.platform === 'Telegram') {
         config.apiKey = newBot.credentials.apiKey;
+        config.updateMode = newBot.updateMode;
+        config.dropPendingUpdates = newBot.dropPendingUpdates;
+      } else if (isWebhookPlatform(newBot.platform)) {
+        config.accessToken = newBot.credentials.token;
+        config.verifyToken = newBot.credentials.verifyToken;
+        config.appSecret = newBot.credentials.appSecret;
       } else {
         config.apiKey = newBot.credentials.token;
       }
@@ -199,8 +219,12 @@ const BotManagement: React.FC = () => {
         credentials: {
           token: '',
           guildId: '',
-          apiKey: ''
-        }
+          apiKey: '',
+          verifyToken: '',
+          appSecret: ''
+        },
+        updateMode: 'polling',
+        dropPendingUpdates: false
       });
       
     } catch (err: any) {
@@ -452,6 +476,11 @@ const BotManagement: React.FC = () => {
                             <span className="ml-1">{bot.type}</span>
                           </div>
                         </div>
+                        {isWebhookPlatform(bot.platform) && (
+                          <div className="text-xs text-gray-500 mt-1">
+                            Webhook: <span className="font-mono select-all">{getWebhookUrl(bot)}</span>
+                          </div>
+                        )}
                       </div>
                     </div>
                     <div className="flex items-center space-x-2">
@@ -588,6 +617,7 @@ const BotManagement: React.FC = () => {
                     <label htmlFor="bot-token" className="block text-sm font-medium text-gray-700">
                       {newBot.platform === 'Discord' ? 'Bot Token' : 
                        newBot.platform === 'Telegram' ? 'Bot API Key' : 
+                       isWebhookPlatform(newBot.platform) ? 'Page Access Token' :
                        'API Credentials'}
                     </label>
                     <input
@@ -600,6 +630,79 @@ const BotManagement: React.FC = () => {
                     />
                   </div>
                   
+                  {isWebhookPlatform(newBot.platform) && (
+                    <>
+                      <div>
+                        <label htmlFor="verify-token" className="block text-sm font-medium text-gray-700">
+                          Webhook Verify Token
+                        </label>
+                        <input
+                          type="text"
+                          id="verify-token"
+                          className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                          placeholder="Any string, entered again when subscribing the webhook"
+                          value={newBot.credentials.verifyToken}
+                          onChange={(e) => setNewBot({ 
+                            ...newBot, 
+                            credentials: { ...newBot.credentials, verifyToken: e.target.value } 
+                          })}
+                        />
+                      </div>
+                      
+                      <div>
+                        <label htmlFor="app-secret" className="block text-sm font-medium text-gray-700">
+                          App Secret
+                        </label>
+                        <input
+                          type="password"
+                          id="app-secret"
+                          className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                          placeholder="Verifies the signature of webhook deliveries"
+                          value={newBot.credentials.appSecret}
+                          onChange={(e) => setNewBot({ 
+                            ...newBot, 
+                            credentials: { ...newBot.credentials, appSecret: e.target.value } 
+                          })}
+                        />
+                      </div>
+                    </>
+                  )}
+                  
+                  {newBot.platform === 'Telegram' && (
+                    <>
+                      <div>
+                        <label htmlFor="update-mode" className="block text-sm font-medium text-gray-700">
+                          Update delivery
+                        </label>
+                        <select
+                          id="update-mode"
+                          className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                          value={newBot.updateMode}
+                          onChange={(e) => setNewBot({ ...newBot, updateMode: e.target.value as TelegramUpdateMode })}
+                        >
+                          <option value="polling">Long polling</option>
+                          <option value="webhook">Webhook (needs a public HTTPS address)</option>
+                        </select>
+                      </div>
+                      
+                      <div className="flex items-center">
+                        <input
+                          type="checkbox"
+                          id="drop-pending-updates"
+                          className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                          checked={newBot.dropPendingUpdates}
+                          onChange={(e) => setNewBot({ ...newBot, dropPendingUpdates: e.target.checked })}
+                        />
+                        <label htmlFor="drop-pending-updates" className="ml-2 block text-sm text-gray-700">
+                          Drop messages sent while the bot was offline
+                        </label>
+                      </div>
+                      <p className="text-xs text-gray-500">
+                        Update delivery and dropping offline messages are fixed once the bot is created.
+                      </p>
+                    </>
+                  )}
+                  
                   {newBot.platform === 'Discord' && (
                     <div>
                       <label htmlFor="guild-id" className="block text-sm font-medium text-gray-700">
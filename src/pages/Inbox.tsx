@@ -0,0 +1,501 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { toast } from 'react-hot-toast';
+import Layout from '../components/Layout';
+import { useAuth } from '../context/AuthContext';
+import {
+  Search,
+  Send,
+  CheckCircle,
+  RotateCcw,
+  UserPlus,
+  MessageSquare,
+  Hand,
+  Bot
+} from 'lucide-react';
+
+// Configure axios with base URL
+const apiClient = axios.create({
+  baseURL: import.meta.env.PROD ? '/api' : 'http://localhost:3000/api',
+  withCredentials: true,
+  headers: {
+    'Content-Type': 'application/json',
+  }
+});
+
+// Intercept requests to add authentication header
+apiClient.interceptors.request.use((config) => {
+  const token = localStorage.getItem('accessToken');
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+type ConversationStatus = 'open' | 'snoozed' | 'closed';
+
+interface Conversation {
+  id: string;
+  platform: string;
+  botId: string | null;
+  userId: string;
+  username: string;
+  status: ConversationStatus;
+  snoozedUntil: string | null;
+  assignedTo: string | null;
+  handoffAt: string | null;
+  handoffReason: 'user' | 'rule' | 'agent' | null;
+  unreadCount: number;
+  lastMessageText: string | null;
+  lastMessageDirection: 'inbound' | 'outbound' | null;
+  lastMessageAt: string;
+}
+
+interface ConversationMessage {
+  id: string;
+  direction: 'inbound' | 'outbound';
+  sender: 'user' | 'bot' | 'agent';
+  authorName: string | null;
+  text: string;
+  status: 'received' | 'sent' | 'failed';
+  error: string | null;
+  createdAt: string;
+}
+
+interface Assignee {
+  id: string;
+  username: string;
+}
+
+const PLATFORMS = ['Discord', 'Telegram', 'WhatsApp', 'Messenger', 'Instagram'];
+
+// Snooze durations offered, in hours
+const SNOOZE_OPTIONS = [
+  { label: '1 hour', hours: 1 },
+  { label: '4 hours', hours: 4 },
+  { label: '1 day', hours: 24 },
+  { label: '1 week', hours: 24 * 7 }
+];
+
+// Why a conversation was handed off to a human
+const HANDOFF_REASONS = {
+  user: 'Asked for a person',
+  rule: 'Handed off by a rule',
+  agent: 'Taken over by an agent'
+};
+
+// New messages are picked up this often while the inbox is open
+const REFRESH_INTERVAL = 10 * 1000;
+
+// Polling does not count as activity, so an open inbox does not keep an idle session alive
+const BACKGROUND_REQUEST_HEADERS = { 'X-Background-Request': 'true' };
+
+const getErrorMessage = (err: unknown, fallback: string) =>
+  (axios.isAxiosError(err) && err.response?.data?.error) || fallback;
+
+const Inbox: React.FC = () => {
+  const { user } = useAuth();
+  const [conversations, setConversations] = useState<Conversation[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [selected, setSelected] = useState<Conversation | null>(null);
+  const [messages, setMessages] = useState<ConversationMessage[]>([]);
+  const [assignees, setAssignees] = useState<Assignee[]>([]);
+  const [reply, setReply] = useState('');
+  const [sending, setSending] = useState(false);
+  const [filters, setFilters] = useState({
+    status: 'open' as ConversationStatus,
+    platform: '',
+    assignedTo: '',
+    unread: false,
+    handoff: false,
+    search: ''
+  });
+
+  const fetchConversations = useCallback(async (background = false) => {
+    try {
+      const params: Record<string, string | boolean> = { status: filters.status, limit: '50' };
+      if (filters.platform) params.platform = filters.platform;
+      if (filters.assignedTo) params.assignedTo = filters.assignedTo;
+      if (filters.unread) params.unread = true;
+      if (filters.handoff) params.handoff = true;
+      if (filters.search) params.search = filters.search;
+
+      const response = await apiClient.get('/conversations', { params, headers: background ? BACKGROUND_REQUEST_HEADERS : undefined });
+      setConversations(response.data.conversations || []);
+    } catch (err) {
+      console.error('Error fetching conversations:', err);
+      toast.error(getErrorMessage(err, 'Failed to load conversations'));
+    } finally {
+      setLoading(false);
+    }
+  }, [filters]);
+
+  const fetchMessages = useCallback(async (conversationId: string, background = false) => {
+    try {
+      const response = await apiClient.get(`/conversations/${conversationId}/messages`, {
+        headers: background ? BACKGROUND_REQUEST_HEADERS : undefined
+      });
+      setMessages(response.data.messages || []);
+    } catch (err) {
+      console.error('Error fetching conversation messages:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchConversations();
+    const interval = setInterval(() => fetchConversations(true), REFRESH_INTERVAL);
+    return () => clearInterval(interval);
+  }, [fetchConversations]);
+
+  const selectedId = selected?.id;
+
+  useEffect(() => {
+    if (!selectedId) {
+      return;
+    }
+
+    fetchMessages(selectedId);
+    const interval = setInterval(() => fetchMessages(selectedId, true), REFRESH_INTERVAL);
+    return () => clearInterval(interval);
+  }, [selectedId, fetchMessages]);
+
+  // Users conversations can be assigned to, only listed to users who may view them
+  useEffect(() => {
+    apiClient.get('/users')
+      .then((response) => {
+        if (Array.isArray(response.data?.users)) {
+          setAssignees(response.data.users);
+        }
+      })
+      .catch(() => setAssignees([]));
+  }, []);
+
+  // Replace a conversation in the list and the open thread after a change
+  const applyUpdate = (conversation: Conversation) => {
+    setConversations(current => current.map(item => item.id === conversation.id ? conversation : item));
+    setSelected(current => current?.id === conversation.id ? conversation : current);
+  };
+
+  const handleSelect = async (conversation: Conversation) => {
+    setSelected(conversation);
+    setMessages([]);
+    setReply('');
+
+    if (conversation.unreadCount > 0) {
+      try {
+        const response = await apiClient.post(`/conversations/${conversation.id}/read`);
+        applyUpdate(response.data.conversation);
+      } catch (err) {
+        console.error('Error marking conversation read:', err);
+      }
+    }
+  };
+
+  const updateConversation = async (changes: Record<string, string | boolean | null>, successMessage: string) => {
+    if (!selected) {
+      return;
+    }
+
+    try {
+      const response = await apiClient.patch(`/conversations/${selected.id}`, changes);
+      applyUpdate(response.data.conversation);
+      toast.success(successMessage);
+    } catch (err) {
+      console.error('Error updating conversation:', err);
+      toast.error(getErrorMessage(err, 'Failed to update conversation'));
+    }
+  };
+
+  const handleSnooze = (hours: number) => {
+    const snoozedUntil = new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+    updateConversation({ status: 'snoozed', snoozedUntil }, `Conversation snoozed until ${new Date(snoozedUntil).toLocaleString()}`);
+  };
+
+  const handleSendReply = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    if (!selected || !reply.trim()) {
+      return;
+    }
+
+    setSending(true);
+
+    try {
+      const response = await apiClient.post(`/conversations/${selected.id}/messages`, { text: reply });
+      setMessages(current => [...current, response.data.message]);
+      setReply('');
+    } catch (err) {
+      console.error('Error sending reply:', err);
+      toast.error(getErrorMessage(err, 'Failed to send the reply'));
+
+      // Undelivered replies are stored, and shown as failed
+      if (axios.isAxiosError(err) && err.response?.data?.message) {
+        setMessages(current => [...current, err.response?.data.message]);
+      }
+    } finally {
+      setSending(false);
+      fetchConversations();
+    }
+  };
+
+  const getAssigneeName = (id: string | null) => {
+    if (!id) return 'Unassigned';
+    if (id === user?.id) return 'You';
+    return assignees.find(assignee => assignee.id === id)?.username || 'Another user';
+  };
+
+  const getMessageStyle = (message: ConversationMessage) => {
+    if (message.direction === 'inbound') return 'bg-gray-100 text-gray-900 self-start';
+    if (message.status === 'failed') return 'bg-red-50 text-red-900 border border-red-200 self-end';
+    return message.sender === 'agent' ? 'bg-blue-600 text-white self-end' : 'bg-blue-100 text-blue-900 self-end';
+  };
+
+  return (
+    <Layout title="Inbox">
+      <div className="flex h-full bg-white shadow sm:rounded-md overflow-hidden">
+        {/* Conversation list */}
+        <div className="w-full md:w-96 flex flex-col border-r border-gray-200">
+          <div className="p-3 space-y-2 border-b border-gray-200">
+            <div className="flex space-x-1">
+              {(['open', 'snoozed', 'closed'] as ConversationStatus[]).map(status => (
+                <button
+                  key={status}
+                  onClick={() => setFilters({ ...filters, status })}
+                  className={`flex-1 px-2 py-1 text-sm rounded-md capitalize ${
+                    filters.status === status ? 'bg-blue-600 text-white' : 'text-gray-600 hover:bg-gray-100'
+                  }`}
+                >
+                  {status}
+                </button>
+              ))}
+            </div>
+            <div className="relative">
+              <Search className="absolute left-2 top-2 h-4 w-4 text-gray-400" />
+              <input
+                type="text"
+                placeholder="Search by name or message"
+                value={filters.search}
+                onChange={(e) => setFilters({ ...filters, search: e.target.value })}
+                className="block w-full pl-8 pr-3 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              />
+            </div>
+            <div className="flex space-x-2">
+              <select
+                value={filters.platform}
+                onChange={(e) => setFilters({ ...filters, platform: e.target.value })}
+                className="flex-1 border border-gray-300 rounded-md text-sm py-1"
+              >
+                <option value="">All platforms</option>
+                {PLATFORMS.map(platform => (
+                  <option key={platform} value={platform}>{platform}</option>
+                ))}
+              </select>
+              <select
+                value={filters.assignedTo}
+                onChange={(e) => setFilters({ ...filters, assignedTo: e.target.value })}
+                className="flex-1 border border-gray-300 rounded-md text-sm py-1"
+              >
+                <option value="">Anyone</option>
+                <option value="me">Assigned to me</option>
+                <option value="unassigned">Unassigned</option>
+              </select>
+            </div>
+            <label className="flex items-center text-sm text-gray-600">
+              <input
+                type="checkbox"
+                checked={filters.unread}
+                onChange={(e) => setFilters({ ...filters, unread: e.target.checked })}
+                className="mr-2"
+              />
+              Unread only
+            </label>
+            <label className="flex items-center text-sm text-gray-600">
+              <input
+                type="checkbox"
+                checked={filters.handoff}
+                onChange={(e) => setFilters({ ...filters, handoff: e.target.checked })}
+                className="mr-2"
+              />
+              Waiting for a person only
+            </label>
+          </div>
+
+          <ul className="flex-1 overflow-y-auto divide-y divide-gray-200">
+            {loading ? (
+              <li className="text-center py-10">
+                <div className="inline-block h-8 w-8 animate-spin rounded-full border-4 border-solid border-blue-600 border-r-transparent"></div>
+              </li>
+            ) : conversations.length === 0 ? (
+              <li className="text-center py-10 text-sm text-gray-500">No conversations</li>
+            ) : conversations.map(conversation => (
+              <li
+                key={conversation.id}
+                onClick={() => handleSelect(conversation)}
+                className={`px-4 py-3 cursor-pointer hover:bg-gray-50 ${selected?.id === conversation.id ? 'bg-blue-50' : ''}`}
+              >
+                <div className="flex items-center justify-between">
+                  <span className={`text-sm text-gray-900 truncate ${conversation.unreadCount > 0 ? 'font-semibold' : 'font-medium'}`}>
+                    {conversation.username}
+                  </span>
+                  <span className="text-xs text-gray-500 ml-2 whitespace-nowrap">
+                    {new Date(conversation.lastMessageAt).toLocaleString()}
+                  </span>
+                </div>
+                <div className="flex items-center justify-between mt-1">
+                  <p className="text-sm text-gray-500 truncate">
+                    {conversation.lastMessageDirection === 'outbound' && <span className="text-gray-400">↩ </span>}
+                    {conversation.lastMessageText}
+                  </p>
+                  {conversation.unreadCount > 0 && (
+                    <span className="ml-2 px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-blue-600 text-white">
+                      {conversation.unreadCount}
+                    </span>
+                  )}
+                </div>
+                <div className="mt-1 text-xs text-gray-400">
+                  {conversation.platform} • {getAssigneeName(conversation.assignedTo)}
+                  {conversation.handoffAt && (
+                    <span className="ml-2 px-2 inline-flex leading-5 font-semibold rounded-full bg-yellow-100 text-yellow-800">
+                      Human
+                    </span>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+
+        {/* Thread of the selected conversation */}
+        {selected ? (
+          <div className="hidden md:flex flex-1 flex-col">
+            <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200">
+              <div>
+                <h3 className="text-sm font-medium text-gray-900">{selected.username}</h3>
+                <p className="text-xs text-gray-500">
+                  {selected.platform} • {selected.status === 'snoozed' && selected.snoozedUntil
+                    ? `Snoozed until ${new Date(selected.snoozedUntil).toLocaleString()}`
+                    : selected.status}
+                  {selected.handoffAt && ` • ${HANDOFF_REASONS[selected.handoffReason || 'agent']}, the bot is not answering`}
+                </p>
+              </div>
+              <div className="flex items-center space-x-2">
+                <select
+                  value={selected.assignedTo || ''}
+                  onChange={(e) => updateConversation({ assignedTo: e.target.value || null }, 'Assignment updated')}
+                  className="border border-gray-300 rounded-md text-sm py-1"
+                  title="Assign conversation"
+                >
+                  <option value="">Unassigned</option>
+                  {user && !assignees.some(assignee => assignee.id === user.id) && (
+                    <option value={user.id}>{user.username}</option>
+                  )}
+                  {assignees.map(assignee => (
+                    <option key={assignee.id} value={assignee.id}>{assignee.username}</option>
+                  ))}
+                </select>
+                {selected.assignedTo !== user?.id && user && (
+                  <button
+                    onClick={() => updateConversation({ assignedTo: user.id }, 'Conversation assigned to you')}
+                    className="p-1 rounded-full text-gray-500 hover:bg-gray-100 hover:text-gray-900"
+                    title="Assign to me"
+                  >
+                    <UserPlus className="h-5 w-5" />
+                  </button>
+                )}
+                {selected.status !== 'closed' && (selected.handoffAt ? (
+                  <button
+                    onClick={() => updateConversation({ handoff: false }, 'Conversation handed back to the bot')}
+                    className="p-1 rounded-full text-gray-500 hover:bg-gray-100 hover:text-gray-900"
+                    title="Hand back to the bot"
+                  >
+                    <Bot className="h-5 w-5" />
+                  </button>
+                ) : (
+                  <button
+                    onClick={() => updateConversation({ handoff: true }, 'You took the conversation over from the bot')}
+                    className="p-1 rounded-full text-gray-500 hover:bg-gray-100 hover:text-gray-900"
+                    title="Take over from the bot"
+                  >
+                    <Hand className="h-5 w-5" />
+                  </button>
+                ))}
+                {selected.status !== 'closed' && (
+                  <select
+                    value=""
+                    onChange={(e) => e.target.value && handleSnooze(Number(e.target.value))}
+                    className="border border-gray-300 rounded-md text-sm py-1"
+                    title="Snooze conversation"
+                  >
+                    <option value="">Snooze…</option>
+                    {SNOOZE_OPTIONS.map(option => (
+                      <option key={option.hours} value={option.hours}>{option.label}</option>
+                    ))}
+                  </select>
+                )}
+                {selected.status === 'open' ? (
+                  <button
+                    onClick={() => updateConversation({ status: 'closed' }, 'Conversation closed')}
+                    className="p-1 rounded-full text-gray-500 hover:bg-gray-100 hover:text-gray-900"
+                    title="Close conversation"
+                  >
+                    <CheckCircle className="h-5 w-5" />
+                  </button>
+                ) : (
+                  <button
+                    onClick={() => updateConversation({ status: 'open' }, 'Conversation reopened')}
+                    className="p-1 rounded-full text-gray-500 hover:bg-gray-100 hover:text-gray-900"
+                    title="Reopen conversation"
+                  >
+                    <RotateCcw className="h-5 w-5" />
+                  </button>
+                )}
+              </div>
+            </div>
+
+            <div className="flex-1 overflow-y-auto p-4 flex flex-col space-y-2">
+              {messages.map(message => (
+                <div key={message.id} className={`max-w-lg px-3 py-2 rounded-lg text-sm ${getMessageStyle(message)}`}>
+                  <p className="whitespace-pre-wrap">{message.text}</p>
+                  <p className="mt-1 text-xs opacity-75">
+                    {message.sender === 'agent' ? message.authorName : message.sender === 'bot' ? 'Bot' : selected.username}
+                    {' • '}
+                    {new Date(message.createdAt).toLocaleString()}
+                    {message.status === 'failed' && ` • Not delivered: ${message.error}`}
+                  </p>
+                </div>
+              ))}
+            </div>
+
+            <form onSubmit={handleSendReply} className="flex items-end p-3 border-t border-gray-200 space-x-2">
+              <textarea
+                rows={2}
+                maxLength={2000}
+                placeholder={`Reply to ${selected.username} on ${selected.platform}`}
+                value={reply}
+                onChange={(e) => setReply(e.target.value)}
+                className="flex-1 border border-gray-300 rounded-md text-sm px-3 py-2 focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              />
+              <button
+                type="submit"
+                disabled={sending || !reply.trim()}
+                className={`inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 ${
+                  sending || !reply.trim() ? 'opacity-70 cursor-not-allowed' : ''
+                }`}
+              >
+                <Send className="h-4 w-4 mr-2" />
+                Send
+              </button>
+            </form>
+          </div>
+        ) : (
+          <div className="hidden md:flex flex-1 flex-col items-center justify-center text-gray-400">
+            <MessageSquare className="h-12 w-12" />
+            <p className="mt-2 text-sm">Select a conversation to read it and reply</p>
+          </div>
+        )}
+      </div>
+    </Layout>
+  );
+};
+
+export default Inbox;
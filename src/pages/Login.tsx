@@ -1,20 +1,23 @@
 import React, { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
-import { useAuth } from '../context/AuthContext';
-import { Bot, Shield } from 'lucide-react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useAuth, PasskeyRequestOptions } from '../context/AuthContext';
+import { Bot, Shield, KeyRound, Fingerprint } from 'lucide-react';
 
 const Login: React.FC = () => {
   const [email, setEmail] = useState('admin@redwan.work');  // Pre-fill with known email
   const [password, setPassword] = useState('Password123');  // Pre-fill with known password
   const [twoFactorCode, setTwoFactorCode] = useState('');
   const [showTwoFactor, setShowTwoFactor] = useState(false);
-  const [userId, setUserId] = useState<string>('');
+  const [pendingToken, setPendingToken] = useState<string>('');
+  const [passkeyOptions, setPasskeyOptions] = useState<PasskeyRequestOptions | null>(null);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
   const [showLoginDetails, setShowLoginDetails] = useState(true);
+  const [sso, setSso] = useState<{ enabled: boolean, providerName: string, required: boolean } | null>(null);
   
-  const { login, verifyTwoFactor, isAuthenticated } = useAuth();
+  const { login, verifyTwoFactor, verifyPasskey, loginWithPasskey, getSsoConfig, loginWithSso, completeSsoLogin, isAuthenticated } = useAuth();
   const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
   
   useEffect(() => {
     if (isAuthenticated) {
@@ -22,6 +25,27 @@ const Login: React.FC = () => {
     }
   }, [isAuthenticated, navigate]);
   
+  useEffect(() => {
+    getSsoConfig().then(setSso);
+  }, [getSsoConfig]);
+  
+  // The single sign-on provider redirects back here with the outcome of the sign-in
+  useEffect(() => {
+    const ssoError = searchParams.get('ssoError');
+    
+    if (ssoError) {
+      setError(ssoError);
+      setSearchParams({}, { replace: true });
+    } else if (searchParams.get('sso') === 'success') {
+      setSearchParams({}, { replace: true });
+      completeSsoLogin().then((success) => {
+        if (success) {
+          navigate('/');
+        }
+      });
+    }
+  }, [searchParams, setSearchParams, completeSsoLogin, navigate]);
+  
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
     setError('');
@@ -29,9 +53,10 @@ const Login: React.FC = () => {
     try {
       const result = await login(email, password);
       
-      if (result.requiresTwoFactor && result.userId) {
+      if (result.requiresTwoFactor && result.pendingToken) {
         setShowTwoFactor(true);
-        setUserId(result.userId);
+        setPendingToken(result.pendingToken);
+        setPasskeyOptions(result.passkey || null);
       } else if (result.success) {
         navigate('/');
       }
@@ -46,7 +71,7 @@ const Login: React.FC = () => {
     setError('');
     
     try {
-      const success = await verifyTwoFactor(userId, twoFactorCode);
+      const success = await verifyTwoFactor(pendingToken, twoFactorCode);
       
       if (success) {
         navigate('/');
@@ -59,6 +84,31 @@ const Login: React.FC = () => {
     }
   };
   
+  // The passkey challenge of a sign-in can only be answered once
+  const handlePasskeyVerification = async () => {
+    if (!passkeyOptions) {
+      return;
+    }
+    
+    setError('');
+    const success = await verifyPasskey(pendingToken, passkeyOptions);
+    setPasskeyOptions(null);
+    
+    if (success) {
+      navigate('/');
+    } else {
+      setError('Passkey verification failed. Enter a code, or sign in again to retry with your passkey.');
+    }
+  };
+  
+  const handlePasskeyLogin = async () => {
+    setError('');
+    
+    if (await loginWithPasskey()) {
+      navigate('/');
+    }
+  };
+  
   return (
     <div className="min-h-screen flex items-center justify-center bg-gray-100 py-12 px-4 sm:px-6 lg:px-8">
       <div className="max-w-md w-full space-y-8 bg-white p-10 rounded-xl shadow-md">
@@ -136,6 +186,12 @@ const Login: React.FC = () => {
               </div>
             </div>
             
+            <div className="flex justify-end">
+              <Link to="/forgot-password" className="text-sm text-blue-600 hover:text-blue-500">
+                Forgot your password?
+              </Link>
+            </div>
+            
             <div>
               <button
                 type="submit"
@@ -150,6 +206,37 @@ const Login: React.FC = () => {
                 Sign in
               </button>
             </div>
+            
+            {window.PublicKeyCredential && (
+              <div>
+                <button
+                  type="button"
+                  onClick={handlePasskeyLogin}
+                  className="group relative w-full flex justify-center items-center py-2 px-4 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+                >
+                  <Fingerprint size={16} className="mr-2" />
+                  Sign in with a passkey
+                </button>
+              </div>
+            )}
+            
+            {sso?.enabled && (
+              <div>
+                <button
+                  type="button"
+                  onClick={loginWithSso}
+                  className="group relative w-full flex justify-center items-center py-2 px-4 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+                >
+                  <KeyRound size={16} className="mr-2" />
+                  Sign in with {sso.providerName}
+                </button>
+                {sso.required && (
+                  <p className="mt-2 text-xs text-gray-500 text-center">
+                    Single sign-on is required, passwords only work for break-glass accounts
+                  </p>
+                )}
+              </div>
+            )}
           </form>
         ) : (
           <form className="mt-8 space-y-6" onSubmit={handleTwoFactorSubmit}>
@@ -165,7 +252,7 @@ const Login: React.FC = () => {
             
             <div>
               <label htmlFor="two-factor-code" className="block text-sm font-medium text-gray-700">
-                Two-factor authentication code
+                Authentication code or recovery code
               </label>
               <input
                 id="two-factor-code"
@@ -173,7 +260,8 @@ const Login: React.FC = () => {
                 type="text"
                 required
                 className="mt-1 appearance-none block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
-                placeholder="Enter your 6-digit code"
+                placeholder="6-digit code, or a recovery code such as XXXX-XXXX-XXXX-XXXX"
+                autoComplete="one-time-code"
                 value={twoFactorCode}
                 onChange={(e) => setTwoFactorCode(e.target.value)}
               />
@@ -194,6 +282,19 @@ const Login: React.FC = () => {
               </button>
             </div>
             
+            {passkeyOptions && (
+              <div>
+                <button
+                  type="button"
+                  onClick={handlePasskeyVerification}
+                  className="group relative w-full flex justify-center items-center py-2 px-4 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+                >
+                  <Fingerprint size={16} className="mr-2" />
+                  Use a passkey instead
+                </button>
+              </div>
+            )}
+            
             <div className="text-center">
               <button
                 type="button"
@@ -1,4 +1,6 @@
-import React, { useState } from 'react';
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import axios from 'axios';
+import { toast } from 'react-hot-toast';
 import Layout from '../components/Layout';
 import { 
   Download, 
@@ -8,63 +10,276 @@ import {
   Info, 
   AlertCircle,
   Calendar,
-  BarChart2
+  BarChart2,
+  Play,
+  Square,
+  Search
 } from 'lucide-react';
 
-interface Log {
+// Configure axios with base URL
+const apiClient = axios.create({
+  baseURL: import.meta.env.PROD ? '/api' : 'http://localhost:3000/api',
+  withCredentials: true
+});
+
+// Intercept requests to add authentication header
+apiClient.interceptors.request.use((config) => {
+  const token = localStorage.getItem('accessToken');
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+type ExportType = 'leads' | 'tickets' | 'interactions';
+type ExportFormat = 'csv' | 'jsonl' | 'xlsx';
+
+// Live bot log entry, as sent by the bot log stream
+interface BotLogEntry {
+  id: number;
+  botId: string;
+  level: string;
+  source: 'stdout' | 'stderr' | 'supervisor';
+  message: string;
+  timestamp: string;
+}
+
+interface BotSummary {
   id: string;
+  name: string;
+  platform: string;
+  status: string;
+}
+
+// Entries kept on screen while tailing a bot
+const MAX_LIVE_LOGS = 500;
+
+// Application log record, as returned by /logs
+interface Log {
+  id: number | string;
   timestamp: string;
-  level: 'info' | 'warning' | 'error';
+  level: string;
+  source: 'server' | 'api' | 'supervisor' | 'bot';
   message: string;
-  source: string;
-  details?: string;
+  botId: string | null;
+  platform: string | null;
+  userId: string | null;
+  requestId: string | null;
+  meta: Record<string, unknown> | null;
 }
 
+// Records shown per page of the system logs
+const LOGS_PAGE_SIZE = 50;
+
+const getToday = () => new Date().toISOString().split('T')[0];
+
 const MonitoringReporting: React.FC = () => {
-  const [logs, setLogs] = useState<Log[]>([
-    { id: '1', timestamp: '2025-06-15 14:32:45', level: 'error', message: 'Failed to connect to Instagram API', source: 'Instagram Helper', details: 'Connection timeout after 30s' },
-    { id: '2', timestamp: '2025-06-15 14:30:12', level: 'warning', message: 'Rate limit approaching for WhatsApp API', source: 'Sales Assistant', details: '80% of daily limit reached' },
-    { id: '3', timestamp: '2025-06-15 14:28:55', level: 'info', message: 'New ticket created #1234', source: 'Support Bot', details: 'User: @john_doe' },
-    { id: '4', timestamp: '2025-06-15 14:25:33', level: 'info', message: 'User reputation updated for @user123', source: 'Moderation Bot', details: '+10 points added by admin' },
-    { id: '5', timestamp: '2025-06-15 14:22:17', level: 'error', message: 'Database connection timeout', source: 'System', details: 'Connection to PostgreSQL failed' },
-    { id: '6', timestamp: '2025-06-15 14:20:05', level: 'info', message: 'Bot restarted successfully', source: 'Discord Bot', details: 'Uptime: 0h 0m 5s' },
-    { id: '7', timestamp: '2025-06-15 14:18:30', level: 'warning', message: 'High CPU usage detected', source: 'System Monitor', details: '85% CPU utilization for 5 minutes' },
-    { id: '8', timestamp: '2025-06-15 14:15:22', level: 'info', message: 'User logged in', source: 'Auth System', details: 'Username: admin' },
-    { id: '9', timestamp: '2025-06-15 14:10:18', level: 'error', message: 'Failed to send message', source: 'Telegram Bot', details: 'User has blocked the bot' },
-    { id: '10', timestamp: '2025-06-15 14:05:44', level: 'info', message: 'Configuration updated', source: 'System', details: 'Updated by: admin' },
-  ]);
+  const [logs, setLogs] = useState<Log[]>([]);
+  const [logsTotal, setLogsTotal] = useState(0);
+  const [logsPage, setLogsPage] = useState(1);
+  const [isLoadingLogs, setIsLoadingLogs] = useState(false);
+  const [searchInput, setSearchInput] = useState('');
+  const [search, setSearch] = useState('');
   
   const [filterLevel, setFilterLevel] = useState<string>('all');
   const [filterSource, setFilterSource] = useState<string>('all');
-  const [expandedLogId, setExpandedLogId] = useState<string | null>(null);
+  const [expandedLogId, setExpandedLogId] = useState<number | string | null>(null);
+  const [exportFormat, setExportFormat] = useState<ExportFormat>('csv');
   const [dateRange, setDateRange] = useState({
-    start: '2025-06-15',
-    end: '2025-06-15'
+    start: getToday(),
+    end: getToday()
   });
   
-  const filteredLogs = logs.filter(log => {
-    if (filterLevel !== 'all' && log.level !== filterLevel) return false;
-    if (filterSource !== 'all' && log.source !== filterSource) return false;
-    return true;
-  });
+  const [bots, setBots] = useState<BotSummary[]>([]);
+  const [tailBotId, setTailBotId] = useState<string>('');
+  const [tailLevel, setTailLevel] = useState<string>('info');
+  const [tailSource, setTailSource] = useState<string>('all');
+  const [liveLogs, setLiveLogs] = useState<BotLogEntry[]>([]);
+  const [isTailing, setIsTailing] = useState(false);
+  const tailControllerRef = useRef<AbortController | null>(null);
+  const liveLogsEndRef = useRef<HTMLDivElement | null>(null);
+  
+  useEffect(() => {
+    apiClient.get('/bots')
+      .then((response) => {
+        setBots(response.data.bots);
+        if (response.data.bots.length > 0) {
+          setTailBotId(response.data.bots[0].id);
+        }
+      })
+      .catch((error) => console.error('Error fetching bots:', error));
+    
+    // Stop tailing when leaving the page
+    return () => tailControllerRef.current?.abort();
+  }, []);
+  
+  useEffect(() => {
+    liveLogsEndRef.current?.scrollIntoView({ block: 'nearest' });
+  }, [liveLogs]);
+  
+  const stopTail = () => {
+    tailControllerRef.current?.abort();
+    tailControllerRef.current = null;
+    setIsTailing(false);
+  };
+  
+  // EventSource cannot send the Authorization header, so the stream is read with fetch
+  const startTail = async () => {
+    stopTail();
+    setLiveLogs([]);
+    
+    const controller = new AbortController();
+    tailControllerRef.current = controller;
+    setIsTailing(true);
+    
+    const params = new URLSearchParams({ level: tailLevel, backfill: '200' });
+    if (tailSource !== 'all') {
+      params.set('source', tailSource);
+    }
+    
+    try {
+      const response = await fetch(`${apiClient.defaults.baseURL}/bots/${tailBotId}/logs/stream?${params}`, {
+        headers: { Authorization: `Bearer ${localStorage.getItem('accessToken')}` },
+        credentials: 'include',
+        signal: controller.signal
+      });
+      
+      if (!response.ok || !response.body) {
+        throw new Error(response.status === 403 ? 'You do not have permission to view bot logs' : 'Failed to stream bot logs');
+      }
+      
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+      
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        
+        buffer += decoder.decode(value, { stream: true });
+        const events = buffer.split('\n\n');
+        buffer = events.pop() || '';
+        
+        const entries = events
+          .filter((event) => /^event: log$/m.test(event))
+          .map((event) => JSON.parse(event.replace(/^[\s\S]*?^data: /m, '')) as BotLogEntry);
+        
+        if (entries.length > 0) {
+          setLiveLogs((previous) => [...previous, ...entries].slice(-MAX_LIVE_LOGS));
+        }
+      }
+    } catch (error) {
+      if (!controller.signal.aborted) {
+        console.error('Error streaming bot logs:', error);
+        toast.error(error instanceof Error ? error.message : 'Failed to stream bot logs');
+      }
+    } finally {
+      if (tailControllerRef.current === controller) {
+        tailControllerRef.current = null;
+        setIsTailing(false);
+      }
+    }
+  };
   
-  const uniqueSources = Array.from(new Set(logs.map(log => log.source)));
+  const getLiveLogColor = (level: string) => {
+    switch (level) {
+      case 'error':
+        return 'text-red-400';
+      case 'warn':
+        return 'text-yellow-300';
+      case 'info':
+        return 'text-gray-100';
+      default:
+        return 'text-gray-400';
+    }
+  };
+  
+  const fetchLogs = useCallback(async () => {
+    setIsLoadingLogs(true);
+    
+    try {
+      const response = await apiClient.get('/logs', {
+        params: {
+          from: new Date(`${dateRange.start}T00:00:00`).toISOString(),
+          to: new Date(`${dateRange.end}T23:59:59.999`).toISOString(),
+          level: filterLevel !== 'all' ? filterLevel : undefined,
+          source: filterSource !== 'all' ? filterSource : undefined,
+          search: search || undefined,
+          page: logsPage,
+          limit: LOGS_PAGE_SIZE
+        }
+      });
+      
+      setLogs(response.data.logs);
+      setLogsTotal(response.data.pagination.total);
+    } catch (error) {
+      console.error('Error fetching logs:', error);
+      toast.error(axios.isAxiosError(error) && error.response?.status === 403 ?
+        'You do not have permission to view system logs' :
+        'Failed to fetch system logs');
+    } finally {
+      setIsLoadingLogs(false);
+    }
+  }, [filterLevel, filterSource, search, dateRange, logsPage]);
+  
+  useEffect(() => {
+    fetchLogs();
+  }, [fetchLogs]);
+  
+  const logsTotalPages = Math.max(1, Math.ceil(logsTotal / LOGS_PAGE_SIZE));
+  
+  const downloadExport = async (type: ExportType, params: Record<string, string>) => {
+    try {
+      const response = await apiClient.get(`/exports/${type}`, {
+        params: { ...params, format: exportFormat },
+        responseType: 'blob'
+      });
+      
+      // Create a download link for the export file
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      
+      // Get the filename from the response headers or use a default
+      const contentDisposition = response.headers['content-disposition'];
+      const filename = contentDisposition ?
+        contentDisposition.split('filename=')[1].replace(/"/g, '') :
+        `${type}_${new Date().toISOString().split('T')[0]}.${exportFormat}`;
+      
+      link.setAttribute('download', filename);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+      
+      toast.success(`Exported ${type}`);
+    } catch (error) {
+      console.error(`Error exporting ${type}:`, error);
+      toast.error(axios.isAxiosError(error) && error.response?.status === 403 ?
+        'You do not have permission to export data' :
+        `Failed to export ${type}`);
+    }
+  };
+  
+  const getDateRangeParams = () => ({
+    from: new Date(`${dateRange.start}T00:00:00`).toISOString(),
+    to: new Date(`${dateRange.end}T23:59:59.999`).toISOString()
+  });
   
   const handleExportCSV = () => {
-    // This would be an API call in a real application
-    alert('Exporting logs to CSV...');
+    // Bot interactions are the activity log of the selected date range
+    downloadExport('interactions', getDateRangeParams());
   };
   
   const handleExportLeads = () => {
-    // This would be an API call in a real application
-    alert('Exporting leads to CSV...');
+    downloadExport('leads', {});
   };
   
   const getLogLevelIcon = (level: string) => {
     switch (level) {
       case 'info':
         return <Info className="h-5 w-5 text-blue-500" />;
-      case 'warning':
+      case 'warn':
         return <AlertCircle className="h-5 w-5 text-yellow-500" />;
       case 'error':
         return <AlertTriangle className="h-5 w-5 text-red-500" />;
@@ -134,24 +349,41 @@ const MonitoringReporting: React.FC = () => {
                 type="date"
                 className="border border-gray-300 rounded-md shadow-sm py-1 px-2 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
                 value={dateRange.start}
-                onChange={(e) => setDateRange({ ...dateRange, start: e.target.value })}
+                onChange={(e) => {
+                  setDateRange({ ...dateRange, start: e.target.value });
+                  setLogsPage(1);
+                }}
               />
               <span>to</span>
               <input
                 type="date"
                 className="border border-gray-300 rounded-md shadow-sm py-1 px-2 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
                 value={dateRange.end}
-                onChange={(e) => setDateRange({ ...dateRange, end: e.target.value })}
+                onChange={(e) => {
+                  setDateRange({ ...dateRange, end: e.target.value });
+                  setLogsPage(1);
+                }}
               />
             </div>
             <div className="flex space-x-2">
               <button
                 className="inline-flex items-center px-3 py-1 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
-                onClick={() => setLogs([...logs])}
+                onClick={fetchLogs}
+                disabled={isLoadingLogs}
               >
-                <RefreshCw className="h-4 w-4 mr-1" />
+                <RefreshCw className={`h-4 w-4 mr-1 ${isLoadingLogs ? 'animate-spin' : ''}`} />
                 Refresh
               </button>
+              <select
+                aria-label="Export format"
+                className="border border-gray-300 rounded-md shadow-sm py-1 px-2 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                value={exportFormat}
+                onChange={(e) => setExportFormat(e.target.value as ExportFormat)}
+              >
+                <option value="csv">CSV</option>
+                <option value="jsonl">JSON Lines</option>
+                <option value="xlsx">Excel (XLSX)</option>
+              </select>
               <button
                 className="inline-flex items-center px-3 py-1 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
                 onClick={handleExportCSV}
@@ -174,12 +406,15 @@ const MonitoringReporting: React.FC = () => {
               id="level-filter"
               className="border border-gray-300 rounded-md shadow-sm py-1 px-2 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
               value={filterLevel}
-              onChange={(e) => setFilterLevel(e.target.value)}
+              onChange={(e) => {
+                setFilterLevel(e.target.value);
+                setLogsPage(1);
+              }}
             >
               <option value="all">All Levels</option>
-              <option value="info">Info</option>
-              <option value="warning">Warning</option>
-              <option value="error">Error</option>
+              <option value="error">Errors</option>
+              <option value="warn">Warnings and errors</option>
+              <option value="info">Info and above</option>
             </select>
           </div>
           <div className="flex items-center space-x-2">
@@ -188,14 +423,40 @@ const MonitoringReporting: React.FC = () => {
               id="source-filter"
               className="border border-gray-300 rounded-md shadow-sm py-1 px-2 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
               value={filterSource}
-              onChange={(e) => setFilterSource(e.target.value)}
+              onChange={(e) => {
+                setFilterSource(e.target.value);
+                setLogsPage(1);
+              }}
             >
               <option value="all">All Sources</option>
-              {uniqueSources.map((source) => (
-                <option key={source} value={source}>{source}</option>
-              ))}
+              <option value="server">Server</option>
+              <option value="api">API</option>
+              <option value="supervisor">Bot Supervisor</option>
+              <option value="bot">Bots</option>
             </select>
           </div>
+          <form
+            className="flex items-center space-x-2 sm:flex-1"
+            onSubmit={(e) => {
+              e.preventDefault();
+              setSearch(searchInput.trim());
+              setLogsPage(1);
+            }}
+          >
+            <div className="relative flex-1">
+              <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                <Search className="h-4 w-4 text-gray-400" />
+              </div>
+              <input
+                type="text"
+                aria-label="Search logs"
+                className="block w-full pl-9 border border-gray-300 rounded-md shadow-sm py-1 px-2 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                placeholder="Search messages"
+                value={searchInput}
+                onChange={(e) => setSearchInput(e.target.value)}
+              />
+            </div>
+          </form>
         </div>
         
         <div className="overflow-x-auto">
@@ -217,7 +478,14 @@ const MonitoringReporting: React.FC = () => {
               </tr>
             </thead>
             <tbody className="bg-white divide-y divide-gray-200">
-              {filteredLogs.map((log) => (
+              {logs.length === 0 && (
+                <tr>
+                  <td colSpan={4} className="px-6 py-4 text-center text-sm text-gray-500">
+                    {isLoadingLogs ? 'Loading logs...' : 'No log records match these filters'}
+                  </td>
+                </tr>
+              )}
+              {logs.map((log) => (
                 <React.Fragment key={log.id}>
                   <tr 
                     className="hover:bg-gray-50 cursor-pointer"
@@ -230,20 +498,26 @@ const MonitoringReporting: React.FC = () => {
                       </div>
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                      {log.timestamp}
+                      {new Date(log.timestamp).toLocaleString()}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                      {log.source}
+                      {log.source}{log.platform && ` (${log.platform})`}
                     </td>
                     <td className="px-6 py-4 text-sm text-gray-900">
                       {log.message}
                     </td>
                   </tr>
-                  {expandedLogId === log.id && log.details && (
+                  {expandedLogId === log.id && (
                     <tr className="bg-gray-50">
                       <td colSpan={4} className="px-6 py-4">
-                        <div className="text-sm text-gray-500">
-                          <span className="font-medium">Details:</span> {log.details}
+                        <div className="text-sm text-gray-500 space-y-1">
+                          {log.requestId && <div><span className="font-medium">Request:</span> {log.requestId}</div>}
+                          {log.userId && <div><span className="font-medium">User:</span> {log.userId}</div>}
+                          {log.botId && <div><span className="font-medium">Bot:</span> {log.botId}</div>}
+                          {log.meta && (
+                            <pre className="whitespace-pre-wrap font-mono text-xs">{JSON.stringify(log.meta, null, 2)}</pre>
+                          )}
+                          {!log.requestId && !log.userId && !log.botId && !log.meta && <div>No additional details</div>}
                         </div>
                       </td>
                     </tr>
@@ -253,18 +527,132 @@ const MonitoringReporting: React.FC = () => {
             </tbody>
           </table>
         </div>
+        
+        <div className="mt-4 flex items-center justify-between">
+          <p className="text-sm text-gray-500">
+            {logsTotal} {logsTotal === 1 ? 'record' : 'records'}, page {logsPage} of {logsTotalPages}
+          </p>
+          <div className="flex space-x-2">
+            <button
+              className="inline-flex items-center px-3 py-1 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50"
+              onClick={() => setLogsPage(logsPage - 1)}
+              disabled={logsPage <= 1 || isLoadingLogs}
+            >
+              Previous
+            </button>
+            <button
+              className="inline-flex items-center px-3 py-1 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50"
+              onClick={() => setLogsPage(logsPage + 1)}
+              disabled={logsPage >= logsTotalPages || isLoadingLogs}
+            >
+              Next
+            </button>
+          </div>
+        </div>
+      </div>
+      
+      <div className="mb-6 bg-white shadow rounded-lg p-6">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between mb-4">
+          <h2 className="text-lg font-medium text-gray-900">Live Bot Logs</h2>
+          <div className="mt-3 sm:mt-0 flex flex-col sm:flex-row sm:space-x-2 space-y-2 sm:space-y-0">
+            <select
+              aria-label="Bot"
+              className="border border-gray-300 rounded-md shadow-sm py-1 px-2 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+              value={tailBotId}
+              onChange={(e) => setTailBotId(e.target.value)}
+              disabled={isTailing}
+            >
+              {bots.length === 0 && <option value="">No bots</option>}
+              {bots.map((bot) => (
+                <option key={bot.id} value={bot.id}>{bot.name} ({bot.platform})</option>
+              ))}
+            </select>
+            <select
+              aria-label="Minimum level"
+              className="border border-gray-300 rounded-md shadow-sm py-1 px-2 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+              value={tailLevel}
+              onChange={(e) => setTailLevel(e.target.value)}
+              disabled={isTailing}
+            >
+              <option value="error">Errors</option>
+              <option value="warn">Warnings and errors</option>
+              <option value="info">Info and above</option>
+              <option value="debug">Debug and above</option>
+            </select>
+            <select
+              aria-label="Log source"
+              className="border border-gray-300 rounded-md shadow-sm py-1 px-2 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+              value={tailSource}
+              onChange={(e) => setTailSource(e.target.value)}
+              disabled={isTailing}
+            >
+              <option value="all">All Sources</option>
+              <option value="stdout">Output</option>
+              <option value="stderr">Errors output</option>
+              <option value="supervisor">Supervisor</option>
+            </select>
+            {isTailing ? (
+              <button
+                className="inline-flex items-center px-3 py-1 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+                onClick={stopTail}
+              >
+                <Square className="h-4 w-4 mr-1" />
+                Stop
+              </button>
+            ) : (
+              <button
+                className="inline-flex items-center px-3 py-1 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50"
+                onClick={startTail}
+                disabled={!tailBotId}
+              >
+                <Play className="h-4 w-4 mr-1" />
+                Tail
+              </button>
+            )}
+          </div>
+        </div>
+        
+        <div className="h-80 overflow-y-auto rounded-md bg-gray-900 p-4 font-mono text-xs">
+          {liveLogs.length === 0 ? (
+            <p className="text-gray-500">
+              {isTailing ? 'Waiting for log entries...' : 'Choose a bot and press Tail to follow its logs in real time.'}
+            </p>
+          ) : (
+            liveLogs.map((entry) => (
+              <div key={entry.id} className={`whitespace-pre-wrap ${getLiveLogColor(entry.level)}`}>
+                <span className="text-gray-500">{new Date(entry.timestamp).toLocaleTimeString()}</span>{' '}
+                <span className="uppercase">{entry.level}</span>{' '}
+                <span className="text-gray-500">[{entry.source}]</span>{' '}
+                {entry.message}
+              </div>
+            ))
+          )}
+          <div ref={liveLogsEndRef} />
+        </div>
       </div>
       
       <div className="mb-6 bg-white shadow rounded-lg p-6">
         <div className="flex items-center justify-between mb-4">
           <h2 className="text-lg font-medium text-gray-900">Lead Management</h2>
-          <button
-            className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
-            onClick={handleExportLeads}
-          >
-            <Download className="h-4 w-4 mr-2" />
-            Export Leads
-          </button>
+          <div className="flex items-center space-x-2">
+            <select
+              aria-label="Lead export format"
+              className="border border-gray-300 rounded-md shadow-sm py-2 px-2 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+              value={exportFormat}
+              onChange={(e) => setExportFormat(e.target.value as ExportFormat)}
+            >
+              <option value="csv">CSV</option>
+              <option value="jsonl">JSON Lines</option>
+              <option value="xlsx">Excel (XLSX)</option>
+            </select>
+            <button
+              className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+              onClick={handleExportLeads}
+            >
+              <Download className="h-4 w-4 mr-2" />
+              Export Leads
+            </button>
+          </div>
         </div>
         
         <div className="bg-yellow-50 border-l-4 border-yellow-400 p-4 mb-4">
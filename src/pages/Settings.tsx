@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import axios from 'axios';
 import { toast } from 'react-hot-toast';
 import Layout from '../components/Layout';
@@ -14,7 +14,10 @@ import {
   Upload,
   User,
   Shield,
-  Loader
+  Loader,
+  LogOut,
+  Monitor,
+  Fingerprint
 } from 'lucide-react';
 
 // Configure axios with base URL
@@ -35,8 +38,28 @@ apiClient.interceptors.request.use((config) => {
   return config;
 });
 
+// A device signed in to the account
+interface Session {
+  id: string;
+  userAgent: string | null;
+  ipAddress: string | null;
+  createdAt: string;
+  lastUsedAt: string;
+  expiresAt: string;
+  current: boolean;
+}
+
+// A passkey registered to the account
+interface Passkey {
+  id: string;
+  name: string;
+  transports: string[];
+  createdAt: string;
+  lastUsedAt: string | null;
+}
+
 const Settings: React.FC = () => {
-  const { user, refreshToken } = useAuth();
+  const { user, refreshToken, registerPasskey } = useAuth();
   const [activeTab, setActiveTab] = useState<string>('profile');
   const [loading, setLoading] = useState(false);
   const [initialLoading, setInitialLoading] = useState(true);
@@ -72,7 +95,8 @@ const Settings: React.FC = () => {
       rateLimitRequests: 100,
       rateLimitWindow: 15,
       enforceHttps: true,
-      csrfProtection: true
+      csrfProtection: true,
+      requireSso: false
     },
     system: {
       logLevel: 'info',
@@ -91,6 +115,45 @@ const Settings: React.FC = () => {
     databaseVersion: 'SQLite v3.36.0'
   });
   
+  const [sessions, setSessions] = useState<Session[]>([]);
+  
+  // Fetch the devices signed in to the account
+  const fetchSessions = useCallback(async () => {
+    try {
+      const response = await apiClient.get('/auth/sessions');
+      setSessions(response.data.sessions);
+    } catch (error) {
+      console.error('Error fetching sessions:', error);
+    }
+  }, []);
+  
+  const [passkeys, setPasskeys] = useState<Passkey[]>([]);
+  const [passkeyName, setPasskeyName] = useState('');
+  const [recoveryCodesRemaining, setRecoveryCodesRemaining] = useState(0);
+  // Recovery codes are only shown right after they are generated
+  const [newRecoveryCodes, setNewRecoveryCodes] = useState<string[] | null>(null);
+  
+  // Fetch the passkeys of the account and how many recovery codes are left
+  const fetchSecondFactors = useCallback(async () => {
+    try {
+      const [passkeysResponse, recoveryCodesResponse] = await Promise.all([
+        apiClient.get('/auth/passkeys'),
+        apiClient.get('/auth/recovery-codes')
+      ]);
+      setPasskeys(passkeysResponse.data);
+      setRecoveryCodesRemaining(recoveryCodesResponse.data.remaining);
+    } catch (error) {
+      console.error('Error fetching passkeys:', error);
+    }
+  }, []);
+  
+  useEffect(() => {
+    if (activeTab === 'profile') {
+      fetchSessions();
+      fetchSecondFactors();
+    }
+  }, [activeTab, fetchSessions, fetchSecondFactors]);
+  
   // Load user data when component mounts
   useEffect(() => {
     if (user) {
@@ -130,6 +193,7 @@ const Settings: React.FC = () => {
               rateLimitWindow: 15,
               enforceHttps: true,
               csrfProtection: true,
+              requireSso: false,
               ...(response.data.settings.security || {})
             },
             system: {
@@ -242,6 +306,65 @@ const Settings: React.FC = () => {
     }
   };
   
+  // Sign out a single device
+  const handleRevokeSession = async (sessionId: string) => {
+    try {
+      await apiClient.delete(`/auth/sessions/${sessionId}`);
+      toast.success('Session signed out');
+      fetchSessions();
+    } catch (error) {
+      console.error('Error revoking session:', error);
+      toast.error('Failed to sign out session');
+    }
+  };
+  
+  // Sign out every device except this one
+  const handleRevokeOtherSessions = async () => {
+    try {
+      const response = await apiClient.delete('/auth/sessions');
+      toast.success(`Signed out ${response.data.revoked} other session(s)`);
+      fetchSessions();
+    } catch (error) {
+      console.error('Error revoking sessions:', error);
+      toast.error('Failed to sign out other sessions');
+    }
+  };
+  
+  const handleAddPasskey = async () => {
+    const result = await registerPasskey(passkeyName.trim() || 'Passkey');
+    
+    if (result.success) {
+      setPasskeyName('');
+      if (result.recoveryCodes) {
+        setNewRecoveryCodes(result.recoveryCodes);
+      }
+      fetchSecondFactors();
+    }
+  };
+  
+  const handleRemovePasskey = async (passkeyId: string) => {
+    try {
+      await apiClient.delete(`/auth/passkeys/${passkeyId}`);
+      toast.success('Passkey removed');
+      fetchSecondFactors();
+    } catch (error) {
+      console.error('Error removing passkey:', error);
+      toast.error('Failed to remove passkey');
+    }
+  };
+  
+  // New recovery codes replace every previous one
+  const handleRegenerateRecoveryCodes = async () => {
+    try {
+      const response = await apiClient.post('/auth/recovery-codes');
+      setNewRecoveryCodes(response.data.recoveryCodes);
+      fetchSecondFactors();
+    } catch (error) {
+      console.error('Error generating recovery codes:', error);
+      toast.error((axios.isAxiosError(error) && error.response?.data?.error) || 'Failed to generate recovery codes');
+    }
+  };
+  
   const handleDatabaseChange = (e: React.ChangeEvent<HTMLInputElement | HTMLSelectElement>) => {
     const { name, value, type } = e.target;
     const checked = type === 'checkbox' ? (e.target as HTMLInputElement).checked : undefined;
@@ -306,7 +429,7 @@ const Settings: React.FC = () => {
       toast.success(`${section ? section.charAt(0).toUpperCase() + section.slice(1) : 'All'} settings saved successfully!`);
     } catch (error: any) {
       console.error('Error saving settings:', error);
-      toast.error(error.response?.data?.message || 'Failed to save settings');
+      toast.error(error.response?.data?.error || error.response?.data?.message || 'Failed to save settings');
     } finally {
       setLoading(false);
     }
@@ -339,8 +462,8 @@ const Settings: React.FC = () => {
     setLoading(true);
     
     try {
-      await apiClient.post('/settings/regenerate-keys');
-      toast.success('Security keys regenerated successfully!');
+      const response = await apiClient.post('/settings/regenerate-keys');
+      toast.success(response.data.message || 'Security keys regenerated successfully!');
     } catch (error: any) {
       console.error('Error regenerating security keys:', error);
       toast.error(error.response?.data?.message || 'Failed to regenerate security keys');
@@ -367,7 +490,7 @@ const Settings: React.FC = () => {
       const contentDisposition = response.headers['content-disposition'];
       const filename = contentDisposition ? 
         contentDisposition.split('filename=')[1].replace(/"/g, '') :
-        `backup-${new Date().toISOString().split('T')[0]}.zip`;
+        `backup-${new Date().toISOString().split('T')[0]}.json.gz`;
       
       link.setAttribute('download', filename);
       document.body.appendChild(link);
@@ -388,31 +511,46 @@ const Settings: React.FC = () => {
     // Create a file input element
     const fileInput = document.createElement('input');
     fileInput.type = 'file';
-    fileInput.accept = '.zip,.sql,.dump';
+    fileInput.accept = '.gz,.json';
     
     fileInput.onchange = async (e: Event) => {
       const files = (e.target as HTMLInputElement).files;
       if (!files || files.length === 0) return;
       
       const file = files[0];
-      const formData = new FormData();
-      formData.append('backup', file);
+      const uploadOptions = {
+        headers: {
+          'Content-Type': 'application/octet-stream'
+        }
+      };
       
       setLoading(true);
       
       try {
-        await apiClient.post('/settings/restore', formData, {
-          headers: {
-            'Content-Type': 'multipart/form-data'
-          }
-        });
+        // Validate the archive first so nothing is overwritten by a broken file
+        const validation = await apiClient.post('/settings/restore?dryRun=true', file, uploadOptions);
+        const { manifest, counts, warnings } = validation.data.report;
+        const summary = Object.entries(counts as Record<string, number>)
+          .map(([table, count]) => `${table}: ${count}`)
+          .join('\n');
+        
+        const confirmed = window.confirm(
+          `Restore backup from ${manifest.createdAt} (${manifest.sourceEngine} → ${manifest.targetEngine})?\n\n` +
+          `${summary}${warnings.length ? `\n\nWarnings:\n${warnings.join('\n')}` : ''}\n\n` +
+          'All current data will be replaced.'
+        );
+        
+        if (!confirmed) return;
+        
+        await apiClient.post('/settings/restore', file, uploadOptions);
         
         toast.success('Backup restored successfully! The system will restart.');
         // Refresh the page after a short delay to reflect the restored data
         setTimeout(() => window.location.reload(), 3000);
       } catch (error: any) {
         console.error('Error restoring backup:', error);
-        toast.error(error.response?.data?.message || 'Failed to restore backup');
+        const validationErrors = error.response?.data?.report?.errors;
+        toast.error(validationErrors?.length ? validationErrors.join('\n') : error.response?.data?.message || 'Failed to restore backup');
       } finally {
         setLoading(false);
       }
@@ -630,6 +768,144 @@ const Settings: React.FC = () => {
                   </form>
                 </div>
               </div>
+              
+              <div className="mt-8">
+                <div className="flex items-center justify-between mb-3">
+                  <h4 className="text-base font-medium text-gray-900">Active Sessions</h4>
+                  {sessions.some(session => !session.current) && (
+                    <button
+                      onClick={handleRevokeOtherSessions}
+                      className="inline-flex items-center px-3 py-1.5 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+                    >
+                      <LogOut className="h-4 w-4 mr-2" />
+                      Sign Out Other Sessions
+                    </button>
+                  )}
+                </div>
+                {sessions.length === 0 ? (
+                  <p className="text-sm text-gray-500">No active sessions</p>
+                ) : (
+                  <ul className="divide-y divide-gray-200 border border-gray-200 rounded-md">
+                    {sessions.map(session => (
+                      <li key={session.id} className="flex items-center justify-between px-4 py-3">
+                        <div className="flex items-center min-w-0">
+                          <Monitor className="h-5 w-5 text-gray-400 flex-shrink-0" />
+                          <div className="ml-3 min-w-0">
+                            <p className="text-sm font-medium text-gray-900 truncate">
+                              {session.userAgent || 'Unknown device'}
+                              {session.current && (
+                                <span className="ml-2 px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-green-100 text-green-800">
+                                  This device
+                                </span>
+                              )}
+                            </p>
+                            <p className="text-xs text-gray-500">
+                              {session.ipAddress || 'Unknown IP'} · Signed in {new Date(session.createdAt).toLocaleString()} · Last active {new Date(session.lastUsedAt).toLocaleString()}
+                            </p>
+                          </div>
+                        </div>
+                        {!session.current && (
+                          <button
+                            onClick={() => handleRevokeSession(session.id)}
+                            className="ml-4 text-sm font-medium text-red-600 hover:text-red-800"
+                          >
+                            Sign out
+                          </button>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+              
+              <div className="mt-8">
+                <div className="flex items-center justify-between mb-3">
+                  <h4 className="text-base font-medium text-gray-900">Passkeys</h4>
+                  <div className="flex items-center">
+                    <input
+                      type="text"
+                      maxLength={100}
+                      placeholder="Name, e.g. Work laptop"
+                      className="block w-48 border border-gray-300 rounded-md shadow-sm py-1.5 px-3 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                      value={passkeyName}
+                      onChange={(e) => setPasskeyName(e.target.value)}
+                    />
+                    <button
+                      onClick={handleAddPasskey}
+                      className="ml-2 inline-flex items-center px-3 py-1.5 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+                    >
+                      <Fingerprint className="h-4 w-4 mr-2" />
+                      Add Passkey
+                    </button>
+                  </div>
+                </div>
+                <p className="text-sm text-gray-500 mb-3">
+                  Passkeys confirm password sign-ins as a second factor, or sign you in without a password.
+                </p>
+                {passkeys.length === 0 ? (
+                  <p className="text-sm text-gray-500">No passkeys</p>
+                ) : (
+                  <ul className="divide-y divide-gray-200 border border-gray-200 rounded-md">
+                    {passkeys.map(passkey => (
+                      <li key={passkey.id} className="flex items-center justify-between px-4 py-3">
+                        <div className="flex items-center min-w-0">
+                          <Fingerprint className="h-5 w-5 text-gray-400 flex-shrink-0" />
+                          <div className="ml-3 min-w-0">
+                            <p className="text-sm font-medium text-gray-900 truncate">{passkey.name}</p>
+                            <p className="text-xs text-gray-500">
+                              Added {new Date(passkey.createdAt).toLocaleString()} · {passkey.lastUsedAt ? `Last used ${new Date(passkey.lastUsedAt).toLocaleString()}` : 'Never used'}
+                            </p>
+                          </div>
+                        </div>
+                        <button
+                          onClick={() => handleRemovePasskey(passkey.id)}
+                          className="ml-4 text-sm font-medium text-red-600 hover:text-red-800"
+                        >
+                          Remove
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+              
+              <div className="mt-8">
+                <div className="flex items-center justify-between mb-3">
+                  <h4 className="text-base font-medium text-gray-900">Recovery Codes</h4>
+                  {(passkeys.length > 0 || recoveryCodesRemaining > 0) && (
+                    <button
+                      onClick={handleRegenerateRecoveryCodes}
+                      className="inline-flex items-center px-3 py-1.5 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+                    >
+                      <RefreshCw className="h-4 w-4 mr-2" />
+                      Generate New Codes
+                    </button>
+                  )}
+                </div>
+                <p className="text-sm text-gray-500">
+                  {recoveryCodesRemaining > 0
+                    ? `${recoveryCodesRemaining} unused recovery code(s). Each one signs you in once if you lose your authenticator app or passkeys.`
+                    : 'Recovery codes are issued when you set up two-factor authentication or add your first passkey.'}
+                </p>
+                {newRecoveryCodes && (
+                  <div className="mt-3 p-4 bg-yellow-50 border-l-4 border-yellow-500 rounded-md">
+                    <p className="text-sm text-yellow-800 font-medium">
+                      Save these codes somewhere safe, they will not be shown again
+                    </p>
+                    <ul className="mt-2 grid grid-cols-2 gap-1 font-mono text-sm text-gray-900">
+                      {newRecoveryCodes.map(code => (
+                        <li key={code}>{code}</li>
+                      ))}
+                    </ul>
+                    <button
+                      onClick={() => setNewRecoveryCodes(null)}
+                      className="text-xs text-yellow-700 hover:text-yellow-900 mt-2"
+                    >
+                      I have saved them
+                    </button>
+                  </div>
+                )}
+              </div>
             </div>
           )}
           
@@ -884,6 +1160,20 @@ const Settings: React.FC = () => {
                     CSRF Protection
                   </label>
                 </div>
+                
+                <div className="flex items-center">
+                  <input
+                    id="requireSso"
+                    name="requireSso"
+                    type="checkbox"
+                    className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                    checked={settings.security.requireSso}
+                    onChange={handleSecurityChange}
+                  />
+                  <label htmlFor="requireSso" className="ml-2 block text-sm text-gray-900">
+                    Require Single Sign-On (break-glass accounts can still use their password)
+                  </label>
+                </div>
               </div>
               
               <div className="mt-6">
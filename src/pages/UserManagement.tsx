@@ -11,7 +11,9 @@ import {
   User,
   Shield,
   UserCheck,
-  UserX
+  UserX,
+  Mail,
+  KeyRound
 } from 'lucide-react';
 
 // Configure axios with base URL
@@ -49,15 +51,30 @@ interface User {
   id: string;
   username: string;
   email: string;
-  role: 'Administrator' | 'Manager' | 'Normal User';
-  status: 'active' | 'suspended';
+  role: string;
+  status: 'active' | 'suspended' | 'invited';
   createdAt: string;
   lastLogin: string | null;
   twoFactorEnabled: boolean;
 }
 
+interface Role {
+  id?: string;
+  name: string;
+  description: string | null;
+  builtIn: boolean;
+}
+
+// Used until the roles are loaded
+const BUILT_IN_ROLES: Role[] = [
+  { name: 'Administrator', description: null, builtIn: true },
+  { name: 'Manager', description: null, builtIn: true },
+  { name: 'Normal User', description: null, builtIn: true }
+];
+
 const UserManagement: React.FC = () => {
   const [users, setUsers] = useState<User[]>([]);
+  const [roles, setRoles] = useState<Role[]>(BUILT_IN_ROLES);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
   
@@ -68,7 +85,8 @@ const UserManagement: React.FC = () => {
     email: '',
     password: '',
     confirmPassword: '',
-    role: 'Normal User' as const
+    role: 'Normal User',
+    invite: true
   });
   
   const [currentUser, setCurrentUser] = useState<User | null>(null);
@@ -140,6 +158,17 @@ const UserManagement: React.FC = () => {
     fetchUsers();
   }, []);
   
+  // Fetch the built-in and custom roles users can be given
+  useEffect(() => {
+    apiClient.get('/roles')
+      .then((response) => {
+        if (Array.isArray(response.data?.roles)) {
+          setRoles(response.data.roles);
+        }
+      })
+      .catch((err) => console.error('Error fetching roles:', err));
+  }, []);
+  
   // Form validation
   const validateForm = () => {
     if (!newUser.username || newUser.username.length < 3) {
@@ -152,6 +181,11 @@ const UserManagement: React.FC = () => {
       return false;
     }
     
+    // Invited users choose their own password
+    if (newUser.invite) {
+      return true;
+    }
+    
     if (!newUser.password || newUser.password.length < 8) {
       toast.error('Password must be at least 8 characters');
       return false;
@@ -172,20 +206,25 @@ const UserManagement: React.FC = () => {
       const response = await apiClient.post('/users', {
         username: newUser.username,
         email: newUser.email,
-        password: newUser.password,
+        password: newUser.invite ? undefined : newUser.password,
         role: newUser.role
       });
       
       if (response.data && response.data.user) {
         setUsers([...users, response.data.user]);
-        toast.success('User created successfully');
+        if (response.data.invitationSent === false) {
+          toast.error('User created, but the invitation email could not be sent. Try resending it.');
+        } else {
+          toast.success(newUser.invite ? `Invitation sent to ${newUser.email}` : 'User created successfully');
+        }
         setShowCreateModal(false);
         setNewUser({
           username: '',
           email: '',
           password: '',
           confirmPassword: '',
-          role: 'Normal User'
+          role: 'Normal User',
+          invite: true
         });
       } else {
         toast.error('Invalid response from server');
@@ -255,6 +294,31 @@ const UserManagement: React.FC = () => {
     }
   };
   
+  // A new link replaces the previous one
+  const handleResendInvitation = async (user: User) => {
+    try {
+      await apiClient.post(`/users/${user.id}/invitation`);
+      toast.success(`Invitation sent to ${user.email}`);
+    } catch (err) {
+      console.error('Error sending invitation:', err);
+      toast.error((axios.isAxiosError(err) && err.response?.data?.error) || 'Failed to send the invitation');
+    }
+  };
+  
+  const handleSendPasswordReset = async (user: User) => {
+    if (!window.confirm(`Send ${user.username} a link to reset their password?`)) {
+      return;
+    }
+    
+    try {
+      await apiClient.post(`/users/${user.id}/password-reset`);
+      toast.success(`Password reset link sent to ${user.email}`);
+    } catch (err) {
+      console.error('Error sending password reset link:', err);
+      toast.error((axios.isAxiosError(err) && err.response?.data?.error) || 'Failed to send the password reset link');
+    }
+  };
+  
   const handleDeleteUser = async (id: string) => {
     if (!window.confirm('Are you sure you want to delete this user?')) {
       return;
@@ -332,7 +396,9 @@ const UserManagement: React.FC = () => {
                         <div className="flex items-center">
                           <h3 className="text-sm font-medium text-gray-900">{user.username}</h3>
                           <span className={`ml-2 px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
-                            user.status === 'active' ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
+                            user.status === 'active' ? 'bg-green-100 text-green-800'
+                              : user.status === 'invited' ? 'bg-yellow-100 text-yellow-800'
+                              : 'bg-red-100 text-red-800'
                           }`}>
                             {user.status}
                           </span>
@@ -352,14 +418,31 @@ const UserManagement: React.FC = () => {
                     <div className="flex items-center space-x-2">
                       <span className="text-sm text-gray-500">Last login: {user.lastLogin || 'Never'}</span>
                       <div className="flex space-x-1">
-                        {user.status === 'active' ? (
+                        {user.status === 'invited' ? (
                           <button
-                            onClick={() => handleToggleStatus(user.id)}
+                            onClick={() => handleResendInvitation(user)}
                             className="p-1 rounded-full text-gray-500 hover:bg-gray-100 hover:text-gray-900"
-                            title="Suspend User"
+                            title="Resend Invitation"
                           >
-                            <Lock className="h-5 w-5" />
+                            <Mail className="h-5 w-5" />
                           </button>
+                        ) : user.status === 'active' ? (
+                          <>
+                            <button
+                              onClick={() => handleSendPasswordReset(user)}
+                              className="p-1 rounded-full text-gray-500 hover:bg-gray-100 hover:text-gray-900"
+                              title="Send Password Reset Link"
+                            >
+                              <KeyRound className="h-5 w-5" />
+                            </button>
+                            <button
+                              onClick={() => handleToggleStatus(user.id)}
+                              className="p-1 rounded-full text-gray-500 hover:bg-gray-100 hover:text-gray-900"
+                              title="Suspend User"
+                            >
+                              <Lock className="h-5 w-5" />
+                            </button>
+                          </>
                         ) : (
                           <button
                             onClick={() => handleToggleStatus(user.id)}
@@ -448,34 +531,51 @@ const UserManagement: React.FC = () => {
                     />
                   </div>
                   
-                  <div>
-                    <label htmlFor="password" className="block text-sm font-medium text-gray-700">
-                      Password
-                    </label>
+                  <div className="flex items-center">
                     <input
-                      type="password"
-                      id="password"
-                      className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
-                      placeholder="Enter password"
-                      value={newUser.password}
-                      onChange={(e) => setNewUser({ ...newUser, password: e.target.value })}
+                      type="checkbox"
+                      id="invite"
+                      className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                      checked={newUser.invite}
+                      onChange={(e) => setNewUser({ ...newUser, invite: e.target.checked })}
                     />
-                  </div>
-                  
-                  <div>
-                    <label htmlFor="confirm-password" className="block text-sm font-medium text-gray-700">
-                      Confirm Password
+                    <label htmlFor="invite" className="ml-2 block text-sm text-gray-700">
+                      Send an invitation email, so the user chooses their own password
                     </label>
-                    <input
-                      type="password"
-                      id="confirm-password"
-                      className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
-                      placeholder="Confirm password"
-                      value={newUser.confirmPassword}
-                      onChange={(e) => setNewUser({ ...newUser, confirmPassword: e.target.value })}
-                    />
                   </div>
                   
+                  {!newUser.invite && (
+                    <>
+                      <div>
+                        <label htmlFor="password" className="block text-sm font-medium text-gray-700">
+                          Password
+                        </label>
+                        <input
+                          type="password"
+                          id="password"
+                          className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                          placeholder="Enter password"
+                          value={newUser.password}
+                          onChange={(e) => setNewUser({ ...newUser, password: e.target.value })}
+                        />
+                      </div>
+                  
+                      <div>
+                        <label htmlFor="confirm-password" className="block text-sm font-medium text-gray-700">
+                          Confirm Password
+                        </label>
+                        <input
+                          type="password"
+                          id="confirm-password"
+                          className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                          placeholder="Confirm password"
+                          value={newUser.confirmPassword}
+                          onChange={(e) => setNewUser({ ...newUser, confirmPassword: e.target.value })}
+                        />
+                      </div>
+                    </>
+                  )}
+                  
                   <div>
                     <label htmlFor="role" className="block text-sm font-medium text-gray-700">
                       Role
@@ -484,11 +584,11 @@ const UserManagement: React.FC = () => {
                       id="role"
                       className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
                       value={newUser.role}
-                      onChange={(e) => setNewUser({ ...newUser, role: e.target.value as any })}
+                      onChange={(e) => setNewUser({ ...newUser, role: e.target.value })}
                     >
-                      <option value="Administrator">Administrator</option>
-                      <option value="Manager">Manager</option>
-                      <option value="Normal User">Normal User</option>
+                      {roles.map((role) => (
+                        <option key={role.name} value={role.name}>{role.name}</option>
+                      ))}
                     </select>
                   </div>
                 </div>
@@ -500,7 +600,7 @@ const UserManagement: React.FC = () => {
                   className="w-full inline-flex justify-center rounded-md border border-transparent shadow-sm px-4 py-2 bg-blue-600 text-base font-medium text-white hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 sm:col-start-2 sm:text-sm"
                   onClick={handleCreateUser}
                 >
-                  Create User
+                  {newUser.invite ? 'Invite User' : 'Create User'}
                 </button>
                 <button
                   type="button"
@@ -576,11 +676,11 @@ const UserManagement: React.FC = () => {
                       id="edit-role"
                       className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
                       value={currentUser.role}
-                      onChange={(e) => setCurrentUser({ ...currentUser, role: e.target.value as any })}
+                      onChange={(e) => setCurrentUser({ ...currentUser, role: e.target.value })}
                     >
-                      <option value="Administrator">Administrator</option>
-                      <option value="Manager">Manager</option>
-                      <option value="Normal User">Normal User</option>
+                      {roles.map((role) => (
+                        <option key={role.name} value={role.name}>{role.name}</option>
+                      ))}
                     </select>
                   </div>
                 </div>
@@ -7,16 +7,24 @@
 import express from 'express';
 import path from 'path';
 import cookieParser from 'cookie-parser';
-import rateLimit from 'express-rate-limit';
 import helmet from 'helmet';
 import cors from 'cors';
 import { createServer } from 'http';
+import { randomUUID } from 'crypto';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 import dotenv from 'dotenv';
 import * as db from './utils/dbUtils.js';
-import logger from './utils/logging.js';
+import logger, { runWithLogContext } from './utils/logging.js';
+import { startLogStore, stopLogStore } from './utils/logStore.js';
 import apiRouter from './api/apiRouter.js';
+import botWebhooks from './api/botWebhooks.js';
+import { assertProductionSecrets, initializeSigningKeys } from './api/signingKeys.js';
+import { loadSecuritySettings, limitRequestRate, enforceHttps } from './api/securityPolicy.js';
+import { loadRoles } from './api/permissions.js';
+import { startBot, stopBot, startActiveBots, stopAllBots, onHandoff } from './utils/botSupervisor.js';
+import { notifyHandoff } from './api/handoffs.js';
+import { startSlaMonitor, stopSlaMonitor } from './api/ticketSla.js';
 
 // Load environment variables
 dotenv.config();
@@ -32,11 +40,20 @@ const httpServer = createServer(app);
 // Set port
 const PORT = process.env.PORT || 3000;
 
+// Behind a reverse proxy, set TRUST_PROXY to the number of proxies so client IPs and HTTPS are detected
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? parseInt(process.env.TRUST_PROXY) : process.env.TRUST_PROXY === 'true');
+}
+
 // Middleware
 app.use(helmet({ 
-  contentSecurityPolicy: false // Disable CSP in development
+  contentSecurityPolicy: false, // Disable CSP in development
+  strictTransportSecurity: false // Sent by enforceHttps when HTTPS is enforced
 })); 
 
+// Redirect to HTTPS when the security settings enforce it
+app.use(enforceHttps);
+
 // Configure CORS to allow requests from the React dev server
 app.use(cors({
   origin: process.env.NODE_ENV === 'production' 
@@ -45,21 +62,23 @@ app.use(cors({
   credentials: true
 }));
 
+// Tag every request with an ID, echoed back to the client and added to its log records
+app.use((req, res, next) => {
+  const incomingId = req.get('X-Request-Id');
+  req.id = incomingId && /^[\w-]{1,64}$/.test(incomingId) ? incomingId : randomUUID();
+  res.set('X-Request-Id', req.id);
+  runWithLogContext({ requestId: req.id }, next);
+});
+
+// Messenger, Instagram and Telegram webhooks, before the body parsers as signatures cover the raw body
+app.use('/webhooks', botWebhooks);
+
 app.use(express.json());
 app.use(express.urlencoded({ extended: false }));
 app.use(cookieParser());
 
-// Rate limiting
-const apiLimiter = rateLimit({
-  windowMs: (process.env.RATE_LIMIT_WINDOW || 15) * 60 * 1000, // Default: 15 minutes
-  max: process.env.RATE_LIMIT_MAX || 100, // Default: 100 requests per windowMs
-  standardHeaders: true,
-  legacyHeaders: false,
-  message: { message: 'Too many requests, please try again later' }
-});
-
-// Apply rate limiting to API routes
-app.use('/api', apiLimiter);
+// Apply rate limiting to API routes, with the limits from the security settings
+app.use('/api', limitRequestRate);
 
 // API routes
 app.use('/api', apiRouter);
@@ -95,96 +114,30 @@ if (process.env.NODE_ENV === 'production') {
   });
 }
 
-// Bot manager
-const bots = new Map();
-
-async function startBot(bot) {
+// Initialize database and start server
+async function startServer() {
   try {
-    logger.info(`Starting bot: ${bot.name} (${bot.platform})`);
+    // Never run a production server on placeholder secrets
+    assertProductionSecrets();
     
-    let botProcess;
+    // Initialize database
+    await db.initializeDatabase();
+    logger.info('Database initialized successfully');
     
-    switch (bot.platform) {
-      case 'Discord':
-        if (bot.type === 'Standard') {
-          const DiscordBot = await import('./bots/discordBot.js');
-          const discordBot = new DiscordBot.default(bot.config);
-          await discordBot.start();
-          botProcess = discordBot;
-        } else if (bot.type === 'Moderation') {
-          const DiscordModBot = await import('./bots/discordModBot.js');
-          const discordModBot = new DiscordModBot.default(bot.config);
-          await discordModBot.start();
-          botProcess = discordModBot;
-        }
-        break;
-      
-      case 'Telegram':
-        const TelegramBot = await import('./bots/telegramBot.js');
-        const telegramBot = new TelegramBot.default(bot.config);
-        await telegramBot.start();
-        botProcess = telegramBot;
-        break;
-      
-      case 'WhatsApp':
-        const WhatsAppBot = await import('./bots/whatsappBot.js');
-        const whatsappBot = new WhatsAppBot.default(bot.config);
-        await whatsappBot.start();
-        botProcess = whatsappBot;
-        break;
-      
-      case 'Messenger':
-        const MessengerBot = await import('./bots/messengerBot.js');
-        const messengerBot = new MessengerBot.default(bot.config);
-        await messengerBot.start();
-        botProcess = messengerBot;
-        break;
-      
-      case 'Instagram':
-        const InstagramBot = await import('./bots/instagramBot.js');
-        const instagramBot = new InstagramBot.default(bot.config);
-        await instagramBot.start();
-        botProcess = instagramBot;
-        break;
-      
-      default:
-        throw new Error(`Unsupported platform: ${bot.platform}`);
-    }
+    // Load the token signing keys, creating them on first start
+    await initializeSigningKeys();
     
-    // Store bot process
-    bots.set(bot.id, botProcess);
+    // Apply the security settings saved on the Settings page
+    await loadSecuritySettings();
     
-    // Update bot status
-    await db.updateBotStatus(bot.id, 'online');
+    // Load the custom roles users can be assigned
+    await loadRoles();
     
-    logger.info(`Bot started: ${bot.name} (${bot.platform})`);
-  } catch (error) {
-    logger.error(`Error starting bot ${bot.name}:`, error);
-    await db.updateBotStatus(bot.id, 'error');
-  }
-}
-
-async function stopBot(botId) {
-  try {
-    const botProcess = bots.get(botId);
+    // Store log records in the database from now on
+    startLogStore();
     
-    if (botProcess) {
-      await botProcess.stop();
-      bots.delete(botId);
-      await db.updateBotStatus(botId, 'offline');
-      logger.info(`Bot stopped: ${botId}`);
-    }
-  } catch (error) {
-    logger.error(`Error stopping bot ${botId}:`, error);
-  }
-}
-
-// Initialize database and start server
-async function startServer() {
-  try {
-    // Initialize database
-    await db.initializeDatabase();
-    logger.info('Database initialized successfully');
+    // Escalate tickets that miss their SLA targets
+    startSlaMonitor();
     
     // Start server
     httpServer.listen(PORT, () => {
@@ -193,24 +146,17 @@ async function startServer() {
       logger.info(`Frontend dev server running at http://localhost:5173`);
     });
     
-    // Start active bots
-    const activeBots = await db.getActiveBots();
-    if (activeBots && activeBots.length > 0) {
-      logger.info(`Starting ${activeBots.length} active bots...`);
-      
-      for (const bot of activeBots) {
-        await startBot(bot);
-      }
-    }
-    
     // Handle graceful shutdown
     process.on('SIGTERM', async () => {
       logger.info('SIGTERM received, shutting down gracefully');
       
-      // Stop all bots
-      for (const [botId] of bots) {
-        await stopBot(botId);
-      }
+      // Stop all bots, keeping their status so they start again with the server
+      await stopAllBots();
+      
+      stopSlaMonitor();
+      
+      // Write the log records still queued
+      await stopLogStore();
       
       // Close database connection
       await db.closeDatabase();
@@ -221,6 +167,12 @@ async function startServer() {
         process.exit(0);
       });
     });
+    
+    // Email the agents when bots hand conversations off to a human
+    onHandoff(notifyHandoff);
+    
+    // Start active bots under the bot supervisor
+    await startActiveBots();
   } catch (error) {
     logger.error('Error starting server:', error);
     process.exit(1);
@@ -0,0 +1,292 @@
+/**
+ * Backup Utilities
+ *
+ * This module creates and restores portable backup archives.
+ * An archive is a gzipped JSON document holding every table in an engine-neutral
+ * form, so a backup taken on SQLite can be restored into PostgreSQL or MongoDB.
+ * Bot configurations contain platform credentials and are encrypted inside the archive
+ * with the backup key rather than the master key they are stored under, so archives
+ * can be restored on installations with a different master key.
+ */
+
+import crypto from 'crypto';
+import zlib from 'zlib';
+import logger from './logging.js';
+import * as dbUtils from './dbUtils.js';
+import { encryptBotConfig, decryptBotConfig } from './botSecrets.js';
+
+const BACKUP_FORMAT = 'multi-platform-bot-backup';
+
+// Bump this whenever the portable table layout changes
+const BACKUP_SCHEMA_VERSION = 11;
+
+/**
+ * Get the secret used to encrypt bot configurations inside archives
+ * @returns {string} Backup encryption secret
+ */
+function getBackupSecret() {
+  const secret = process.env.BACKUP_ENCRYPTION_KEY || process.env.JWT_SECRET;
+
+  if (!secret) {
+    throw new Error('BACKUP_ENCRYPTION_KEY is not configured');
+  }
+
+  return secret;
+}
+
+/**
+ * Derive the AES key for an archive
+ * @param {string} salt - Base64 salt stored in the archive
+ * @returns {Buffer} 256-bit key
+ */
+function deriveKey(salt) {
+  return crypto.scryptSync(getBackupSecret(), Buffer.from(salt, 'base64'), 32);
+}
+
+/**
+ * Encrypt a value with AES-256-GCM
+ * @param {*} value - Value to encrypt (serialized as JSON)
+ * @param {Buffer} key - Encryption key
+ * @returns {Object} Encrypted payload with iv, tag and data
+ */
+function encryptValue(value, key) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+/**
+ * Decrypt a value produced by encryptValue
+ * @param {Object} payload - Encrypted payload
+ * @param {Buffer} key - Encryption key
+ * @returns {*} Decrypted value
+ */
+function decryptValue(payload, key) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(payload.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(payload.tag, 'base64'));
+  const data = Buffer.concat([decipher.update(Buffer.from(payload.data, 'base64')), decipher.final()]);
+
+  return JSON.parse(data.toString('utf8'));
+}
+
+/**
+ * Calculate the checksum of the archive tables
+ * @param {Object} tables - Map of table name to rows
+ * @returns {string} Hex encoded SHA-256 digest
+ */
+function calculateChecksum(tables) {
+  return crypto.createHash('sha256').update(JSON.stringify(tables)).digest('hex');
+}
+
+/**
+ * Create a backup archive of the whole database
+ * @returns {Promise<Object>} Object with the archive buffer, a filename and the manifest
+ */
+async function createBackup() {
+  const tables = await dbUtils.exportTables();
+  const salt = crypto.randomBytes(16).toString('base64');
+  const key = deriveKey(salt);
+
+  // Never write platform credentials to the archive in clear text
+  tables.bots = tables.bots.map(bot => ({
+    ...bot,
+    config: encryptValue(decryptBotConfig(bot.config), key)
+  }));
+
+  const counts = Object.fromEntries(Object.entries(tables).map(([table, rows]) => [table, rows.length]));
+
+  const archive = {
+    format: BACKUP_FORMAT,
+    schemaVersion: BACKUP_SCHEMA_VERSION,
+    createdAt: new Date().toISOString(),
+    sourceEngine: process.env.DB_ENGINE || 'SQLITE',
+    encryption: {
+      algorithm: 'aes-256-gcm',
+      kdf: 'scrypt',
+      salt,
+      fields: ['bots.config']
+    },
+    counts,
+    checksum: calculateChecksum(tables),
+    tables
+  };
+
+  const buffer = zlib.gzipSync(JSON.stringify(archive));
+  const timestamp = archive.createdAt.replace(/[:.]/g, '-');
+
+  logger.info(`Backup created with ${Object.entries(counts).map(([table, count]) => `${count} ${table}`).join(', ')}`);
+
+  return {
+    buffer,
+    filename: `backup-${timestamp}.json.gz`,
+    manifest: {
+      format: archive.format,
+      schemaVersion: archive.schemaVersion,
+      createdAt: archive.createdAt,
+      sourceEngine: archive.sourceEngine,
+      counts
+    }
+  };
+}
+
+/**
+ * Parse a backup archive, accepting both gzipped and plain JSON
+ * @param {Buffer} buffer - Uploaded archive
+ * @returns {Object} Parsed archive
+ */
+function parseBackup(buffer) {
+  if (!buffer || buffer.length === 0) {
+    throw new Error('Backup file is empty');
+  }
+
+  // Gzip streams start with the magic bytes 0x1f 0x8b
+  const isGzip = buffer[0] === 0x1f && buffer[1] === 0x8b;
+  const json = isGzip ? zlib.gunzipSync(buffer).toString('utf8') : buffer.toString('utf8');
+
+  return JSON.parse(json);
+}
+
+/**
+ * Validate a parsed archive without touching the database
+ * @param {Object} archive - Parsed archive
+ * @returns {Object} Validation report with valid, errors, warnings and counts
+ */
+function validateBackup(archive) {
+  const errors = [];
+  const warnings = [];
+  const counts = {};
+
+  if (!archive || archive.format !== BACKUP_FORMAT) {
+    return { valid: false, errors: ['File is not a bot support system backup'], warnings, counts };
+  }
+
+  if (!Number.isInteger(archive.schemaVersion)) {
+    errors.push('Backup has no schema version');
+  } else if (archive.schemaVersion > BACKUP_SCHEMA_VERSION) {
+    errors.push(`Backup schema version ${archive.schemaVersion} is newer than supported version ${BACKUP_SCHEMA_VERSION}`);
+  }
+
+  if (!archive.tables || typeof archive.tables !== 'object') {
+    errors.push('Backup contains no tables');
+    return { valid: false, errors, warnings, counts };
+  }
+
+  if (archive.checksum !== calculateChecksum(archive.tables)) {
+    errors.push('Backup checksum mismatch, the file is corrupted or was modified');
+  }
+
+  for (const table of Object.keys(archive.tables)) {
+    if (!dbUtils.TABLE_COLUMNS[table]) {
+      warnings.push(`Unknown table "${table}" will be ignored`);
+    }
+  }
+
+  for (const table of Object.keys(dbUtils.TABLE_COLUMNS)) {
+    const rows = archive.tables[table];
+
+    if (rows === undefined) {
+      warnings.push(`Table "${table}" is missing and will be left untouched`);
+      continue;
+    }
+
+    if (!Array.isArray(rows)) {
+      errors.push(`Table "${table}" is not a list of rows`);
+      continue;
+    }
+
+    counts[table] = rows.length;
+
+    const invalidRow = rows.findIndex(row => !row || typeof row !== 'object' || Array.isArray(row));
+    if (invalidRow !== -1) {
+      errors.push(`Table "${table}" has an invalid row at position ${invalidRow}`);
+    }
+  }
+
+  if (Array.isArray(archive.tables.users) && !archive.tables.users.some(user => user && user.role === 'Administrator' && user.status === 'active')) {
+    errors.push('Backup has no active administrator, restoring it would lock everyone out');
+  }
+
+  if (Array.isArray(archive.tables.bots) && archive.encryption) {
+    try {
+      const key = deriveKey(archive.encryption.salt);
+      archive.tables.bots.forEach(bot => decryptValue(bot.config, key));
+    } catch (error) {
+      errors.push('Bot configurations cannot be decrypted, check BACKUP_ENCRYPTION_KEY');
+    }
+  }
+
+  return { valid: errors.length === 0, errors, warnings, counts };
+}
+
+/**
+ * Restore a backup archive into the current database engine
+ * @param {Buffer} buffer - Uploaded archive
+ * @param {Object} options - Restore options
+ * @param {boolean} options.dryRun - Only validate the archive, do not write anything
+ * @returns {Promise<Object>} Result with success, dryRun, report and restored counts
+ */
+async function restoreBackup(buffer, { dryRun = false } = {}) {
+  let archive;
+
+  try {
+    archive = parseBackup(buffer);
+  } catch (error) {
+    logger.warn(`Rejected unreadable backup file: ${error.message}`);
+    return {
+      success: false,
+      dryRun,
+      report: { valid: false, errors: ['Backup file could not be read'], warnings: [], counts: {} }
+    };
+  }
+
+  const report = validateBackup(archive);
+
+  report.manifest = {
+    schemaVersion: archive.schemaVersion,
+    createdAt: archive.createdAt,
+    sourceEngine: archive.sourceEngine,
+    targetEngine: process.env.DB_ENGINE || 'SQLITE'
+  };
+
+  if (!report.valid || dryRun) {
+    return { success: report.valid, dryRun, report };
+  }
+
+  const tables = {};
+  for (const table of Object.keys(dbUtils.TABLE_COLUMNS)) {
+    if (Array.isArray(archive.tables[table])) {
+      tables[table] = archive.tables[table];
+    }
+  }
+
+  if (tables.bots) {
+    const key = archive.encryption ? deriveKey(archive.encryption.salt) : null;
+
+    tables.bots = tables.bots.map(bot => ({
+      ...bot,
+      config: encryptBotConfig(key ? decryptValue(bot.config, key) : bot.config),
+      // No bot process survives a restore, they have to be started again
+      status: 'offline'
+    }));
+  }
+
+  const restored = await dbUtils.restoreTables(tables);
+
+  logger.info(`Backup from ${archive.createdAt} (${archive.sourceEngine}) restored into ${report.manifest.targetEngine}`);
+
+  return { success: true, dryRun, report, restored };
+}
+
+export {
+  BACKUP_SCHEMA_VERSION,
+  createBackup,
+  parseBackup,
+  validateBackup,
+  restoreBackup
+};
@@ -0,0 +1,142 @@
+/**
+ * Bot Logs
+ *
+ * This module keeps the recent output of every bot process in memory and
+ * publishes it live. The bot supervisor records each line bots write to
+ * stdout/stderr along with its own lifecycle events; subscribers such as the
+ * live log stream endpoint receive entries as they happen and can backfill
+ * the most recent ones.
+ */
+
+import { EventEmitter } from 'events';
+
+// Entries kept per bot for backfill
+const BOT_LOG_BUFFER_SIZE = 1000;
+
+// Winston levels, most severe first
+const LOG_LEVELS = ['error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly'];
+
+// Where an entry comes from: the bot's output streams or the supervisor itself
+const LOG_SOURCES = ['stdout', 'stderr', 'supervisor'];
+
+const buffers = new Map();
+const feed = new EventEmitter();
+feed.setMaxListeners(0);
+
+// Entry IDs increase across all bots, so clients can resume after the last one they saw
+let lastEntryId = 0;
+
+/**
+ * Record a log entry of a bot and publish it to subscribers
+ * @param {string} botId - Bot ID
+ * @param {string} level - Log level
+ * @param {string} source - Log source ('stdout', 'stderr' or 'supervisor')
+ * @param {string} message - Log message
+ * @returns {Object} Recorded entry
+ */
+function recordBotLog(botId, level, source, message) {
+  const entry = {
+    id: ++lastEntryId,
+    botId,
+    level,
+    source,
+    message,
+    timestamp: new Date().toISOString()
+  };
+
+  let buffer = buffers.get(botId);
+  if (!buffer) {
+    buffer = [];
+    buffers.set(botId, buffer);
+  }
+
+  buffer.push(entry);
+  if (buffer.length > BOT_LOG_BUFFER_SIZE) {
+    buffer.shift();
+  }
+
+  feed.emit(botId, entry);
+  return entry;
+}
+
+/**
+ * Record a line a bot process wrote to stdout or stderr
+ * @param {string} botId - Bot ID
+ * @param {string} source - 'stdout' or 'stderr'
+ * @param {string} line - Raw output line
+ * @returns {Object|null} Recorded entry, or null for blank lines
+ */
+function recordBotOutput(botId, source, line) {
+  // Bots log through winston's console format: "2024-01-01 12:00:00 info: message"
+  const text = line.replace(/\x1b\[[0-9;]*m/g, '').trim();
+
+  if (!text) {
+    return null;
+  }
+
+  const match = text.match(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2} (\w+): ([\s\S]*)$/);
+
+  if (match && LOG_LEVELS.includes(match[1])) {
+    return recordBotLog(botId, match[1], source, match[2]);
+  }
+
+  return recordBotLog(botId, source === 'stderr' ? 'error' : 'info', source, text);
+}
+
+/**
+ * Tell whether an entry passes the level and source filters
+ * @param {Object} entry - Log entry
+ * @param {Object} filters - Filters
+ * @param {string} filters.level - Least severe level to include (optional)
+ * @param {Array<string>} filters.sources - Sources to include (optional)
+ * @returns {boolean} True if the entry should be included
+ */
+function matchesLogFilters(entry, { level, sources } = {}) {
+  if (level && LOG_LEVELS.indexOf(entry.level) > LOG_LEVELS.indexOf(level)) {
+    return false;
+  }
+
+  return !sources || sources.length === 0 || sources.includes(entry.source);
+}
+
+/**
+ * Get the most recent log entries of a bot
+ * @param {string} botId - Bot ID
+ * @param {Object} options - Level and source filters, plus:
+ * @param {number} options.limit - Maximum number of entries
+ * @param {number} options.after - Only return entries with a greater ID (optional)
+ * @returns {Array} Entries, oldest first
+ */
+function getRecentBotLogs(botId, { limit = 100, after, ...filters } = {}) {
+  const entries = (buffers.get(botId) || [])
+    .filter(entry => (!after || entry.id > after) && matchesLogFilters(entry, filters));
+
+  return limit > 0 ? entries.slice(-limit) : [];
+}
+
+/**
+ * Receive the log entries of a bot as they are recorded
+ * @param {string} botId - Bot ID
+ * @param {Function} listener - Called with each new entry
+ * @returns {Function} Function that ends the subscription
+ */
+function subscribeToBotLogs(botId, listener) {
+  feed.on(botId, listener);
+  return () => feed.off(botId, listener);
+}
+
+// Forget the logs of a deleted bot
+function clearBotLogs(botId) {
+  buffers.delete(botId);
+}
+
+export {
+  LOG_LEVELS,
+  LOG_SOURCES,
+  recordBotLog,
+  recordBotOutput,
+  matchesLogFilters,
+  getRecentBotLogs,
+  subscribeToBotLogs,
+  clearBotLogs
+};
@@ -0,0 +1,298 @@
+/**
+ * Bot Secret Utilities
+ *
+ * This module encrypts the credentials inside bot configurations (tokens, API
+ * keys, access tokens) so they are never stored in clear text. It uses envelope
+ * encryption: the secret fields of each configuration are encrypted with their
+ * own random data key, and that data key is encrypted with the master key from
+ * BOT_SECRETS_MASTER_KEY. Rotating the master key only re-encrypts data keys;
+ * set BOT_SECRETS_PREVIOUS_MASTER_KEY to the old key until every bot has been
+ * migrated on startup. Other secrets stored in the database, such as token
+ * signing keys, are encrypted directly with the master key.
+ */
+
+import crypto from 'crypto';
+import logger from './logging.js';
+
+// Configuration field holding the encrypted secrets
+const ENVELOPE_FIELD = '_encrypted';
+const ENVELOPE_VERSION = 1;
+
+// Prefix of redacted secret values returned by the API
+const SECRET_MASK = '••••';
+
+// Configuration fields treated as secrets, e.g. token, apiKey, accessToken, appSecret
+const SECRET_FIELD_PATTERN = /(token|secret|key|password)$/i;
+
+// Used outside production when BOT_SECRETS_MASTER_KEY is not set,
+// production refuses to start without it
+const DEVELOPMENT_MASTER_KEY = 'development-bot-secrets-master-key';
+
+const masterKeys = new Map();
+let fallbackWarned = false;
+
+/**
+ * Tell whether a configuration field holds a secret
+ * @param {string} field - Field name
+ * @returns {boolean} True for secret fields
+ */
+function isSecretField(field) {
+  return field !== ENVELOPE_FIELD && SECRET_FIELD_PATTERN.test(field);
+}
+
+/**
+ * Derive a master key and its ID from a configured secret
+ * @param {string} secret - Configured master key
+ * @returns {Object} Object with the 256-bit key and its ID
+ */
+function deriveMasterKey(secret) {
+  if (!masterKeys.has(secret)) {
+    const key = crypto.scryptSync(secret, 'bot-secrets-master-key', 32);
+    const id = crypto.createHash('sha256').update(key).digest('hex').substring(0, 16);
+    masterKeys.set(secret, { key, id });
+  }
+
+  return masterKeys.get(secret);
+}
+
+/**
+ * Get the master key new data keys are encrypted with
+ * @returns {Object} Object with the key and its ID
+ */
+function getMasterKey() {
+  const secret = process.env.BOT_SECRETS_MASTER_KEY;
+
+  if (secret) {
+    return deriveMasterKey(secret);
+  }
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('BOT_SECRETS_MASTER_KEY is not configured');
+  }
+
+  if (!fallbackWarned) {
+    logger.warn('BOT_SECRETS_MASTER_KEY is not set, secrets are encrypted with a development key');
+    fallbackWarned = true;
+  }
+
+  return deriveMasterKey(DEVELOPMENT_MASTER_KEY);
+}
+
+/**
+ * Find the master key a data key was encrypted with
+ * @param {string} keyId - Master key ID stored in the envelope
+ * @returns {Buffer} Master key
+ */
+function findMasterKey(keyId) {
+  const candidates = [getMasterKey()];
+
+  if (process.env.BOT_SECRETS_PREVIOUS_MASTER_KEY) {
+    candidates.push(deriveMasterKey(process.env.BOT_SECRETS_PREVIOUS_MASTER_KEY));
+  }
+
+  // Secrets stored while the master key defaulted to JWT_SECRET, re-encrypted on startup
+  if (process.env.JWT_SECRET) {
+    candidates.push(deriveMasterKey(process.env.JWT_SECRET));
+  }
+
+  const match = candidates.find(candidate => candidate.id === keyId);
+
+  if (!match) {
+    throw new Error(`Secrets were encrypted with an unknown master key (${keyId})`);
+  }
+
+  return match.key;
+}
+
+/**
+ * Encrypt a buffer with AES-256-GCM
+ * @param {Buffer} plaintext - Data to encrypt
+ * @param {Buffer} key - Encryption key
+ * @returns {Object} Encrypted payload with iv, tag and data
+ */
+function encrypt(plaintext, key) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+/**
+ * Decrypt a payload produced by encrypt
+ * @param {Object} payload - Encrypted payload
+ * @param {Buffer} key - Encryption key
+ * @returns {Buffer} Decrypted data
+ */
+function decrypt(payload, key) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(payload.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(payload.tag, 'base64'));
+
+  return Buffer.concat([decipher.update(Buffer.from(payload.data, 'base64')), decipher.final()]);
+}
+
+/**
+ * Encrypt a secret with the master key
+ * @param {string} value - Secret in clear text
+ * @returns {Object} Encrypted payload with the master key ID
+ */
+function encryptSecret(value) {
+  const masterKey = getMasterKey();
+
+  return {
+    keyId: masterKey.id,
+    ...encrypt(Buffer.from(value, 'utf8'), masterKey.key)
+  };
+}
+
+/**
+ * Decrypt a secret produced by encryptSecret
+ * @param {Object} payload - Encrypted payload
+ * @returns {string} Secret in clear text
+ */
+function decryptSecret(payload) {
+  return decrypt(payload, findMasterKey(payload.keyId)).toString('utf8');
+}
+
+/**
+ * Tell whether a payload was encrypted with the current master key
+ * @param {Object} payload - Encrypted payload or bot config envelope
+ * @returns {boolean} True if it does not need to be encrypted again
+ */
+function isCurrentMasterKey(payload) {
+  return payload.keyId === getMasterKey().id;
+}
+
+/**
+ * Decrypt the secret fields of a stored bot configuration
+ * @param {Object} config - Configuration as stored
+ * @returns {Object} Configuration with the secret fields in clear text
+ */
+function decryptBotConfig(config) {
+  if (!config || typeof config !== 'object' || !config[ENVELOPE_FIELD]) {
+    return config;
+  }
+
+  const { [ENVELOPE_FIELD]: envelope, ...fields } = config;
+  const dataKey = decrypt(envelope.dataKey, findMasterKey(envelope.keyId));
+  const secrets = JSON.parse(decrypt(envelope.secrets, dataKey).toString('utf8'));
+
+  return { ...fields, ...secrets };
+}
+
+/**
+ * Encrypt the secret fields of a bot configuration before it is stored
+ * @param {Object} config - Configuration, in clear text or already encrypted
+ * @returns {Object} Configuration with the secret fields moved into an envelope
+ */
+function encryptBotConfig(config) {
+  if (!config || typeof config !== 'object') {
+    return config;
+  }
+
+  const fields = {};
+  const secrets = {};
+
+  for (const [field, value] of Object.entries(decryptBotConfig(config))) {
+    if (isSecretField(field) && typeof value === 'string' && value) {
+      secrets[field] = value;
+    } else {
+      fields[field] = value;
+    }
+  }
+
+  if (Object.keys(secrets).length === 0) {
+    return fields;
+  }
+
+  const masterKey = getMasterKey();
+  const dataKey = crypto.randomBytes(32);
+
+  return {
+    ...fields,
+    [ENVELOPE_FIELD]: {
+      version: ENVELOPE_VERSION,
+      keyId: masterKey.id,
+      dataKey: encrypt(dataKey, masterKey.key),
+      secrets: encrypt(Buffer.from(JSON.stringify(secrets), 'utf8'), dataKey)
+    }
+  };
+}
+
+/**
+ * Tell whether a stored configuration has secrets in clear text or under an old master key
+ * @param {Object} config - Configuration as stored
+ * @returns {boolean} True if the configuration should be encrypted again
+ */
+function needsEncryption(config) {
+  if (!config || typeof config !== 'object') {
+    return false;
+  }
+
+  const hasPlaintextSecrets = Object.entries(config)
+    .some(([field, value]) => isSecretField(field) && typeof value === 'string' && value);
+
+  return hasPlaintextSecrets || Boolean(config[ENVELOPE_FIELD] && !isCurrentMasterKey(config[ENVELOPE_FIELD]));
+}
+
+/**
+ * Mask a secret, keeping its last four characters when it is long enough to hide the rest
+ * @param {string} value - Secret value
+ * @returns {string} Redacted value
+ */
+function maskSecret(value) {
+  return value.length >= 12 ? `${SECRET_MASK}${value.slice(-4)}` : SECRET_MASK;
+}
+
+/**
+ * Redact the secret fields of a decrypted bot configuration for API responses
+ * @param {Object} config - Decrypted configuration
+ * @returns {Object} Configuration with redacted secrets
+ */
+function redactBotConfig(config) {
+  if (!config || typeof config !== 'object') {
+    return config;
+  }
+
+  return Object.fromEntries(Object.entries(config)
+    // Secrets that could not be decrypted are left out entirely
+    .filter(([field]) => field !== ENVELOPE_FIELD)
+    .map(([field, value]) => [field, isSecretField(field) && typeof value === 'string' && value ? maskSecret(value) : value]));
+}
+
+/**
+ * Get the secret fields of a decrypted bot configuration
+ * @param {Object} config - Decrypted configuration
+ * @returns {Object} Secret fields in clear text
+ */
+function getBotSecrets(config) {
+  return Object.fromEntries(Object.entries(config || {})
+    .filter(([field, value]) => isSecretField(field) && typeof value === 'string'));
+}
+
+/**
+ * Tell whether a value is a redacted secret sent back unchanged by a client
+ * @param {*} value - Value to check
+ * @returns {boolean} True for redacted values
+ */
+function isRedactedSecret(value) {
+  return typeof value === 'string' && value.startsWith(SECRET_MASK);
+}
+
+export {
+  SECRET_MASK,
+  isSecretField,
+  encryptBotConfig,
+  decryptBotConfig,
+  needsEncryption,
+  redactBotConfig,
+  getBotSecrets,
+  isRedactedSecret,
+  encryptSecret,
+  decryptSecret,
+  isCurrentMasterKey
+};
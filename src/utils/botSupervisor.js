@@ -0,0 +1,536 @@
+/**
+ * Bot Supervisor
+ *
+ * This module owns the lifecycle of every bot process. Bots run as child
+ * processes connected over IPC: the supervisor probes them with periodic
+ * heartbeats, restarts them with exponential backoff when they crash or stop
+ * answering, marks them as 'error' after too many failures within the restart
+ * window and records every restart in the database. Bot output and
+ * supervisor events are also published to the live bot logs. Messages written
+ * on the dashboard, such as ticket replies, are sent to users by the running bot,
+ * and the conversations bots hand off to a human are passed on to the listeners
+ * registered with onHandoff.
+ */
+
+import { fork } from 'child_process';
+import readline from 'readline';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import logger, { runWithoutLogContext } from './logging.js';
+import * as dbUtils from './dbUtils.js';
+import { recordBotLog, recordBotOutput } from './botLogs.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Bot scripts per platform, and per bot type where a platform has several
+const BOT_SCRIPTS = {
+  Discord: { Standard: 'discordBot.js', Moderation: 'discordModBot.js' },
+  Telegram: 'telegramBot.js',
+  WhatsApp: 'whatsappBot.js',
+  Messenger: 'messengerBot.js',
+  Instagram: 'instagramBot.js'
+};
+
+// Heartbeat probes, a bot that misses three in a row is considered hung
+const HEARTBEAT_INTERVAL = (parseInt(process.env.BOT_HEARTBEAT_INTERVAL) || 15) * 1000;
+const HEARTBEAT_TIMEOUT = HEARTBEAT_INTERVAL * 3;
+
+// Time a bot has to connect to its platform and report ready
+const STARTUP_TIMEOUT = 60 * 1000;
+
+// Time a bot has to shut down gracefully before it is killed
+const STOP_TIMEOUT = 5 * 1000;
+
+// Time a bot has to report whether a message sent from the dashboard was delivered
+const SEND_TIMEOUT = 15 * 1000;
+
+// Restart backoff: 1s, 2s, 4s... capped, giving up after too many crashes within the window
+const RESTART_BASE_DELAY = 1000;
+const RESTART_MAX_DELAY = 5 * 60 * 1000;
+const RESTART_WINDOW = (parseInt(process.env.BOT_RESTART_WINDOW) || 10) * 60 * 1000;
+const MAX_RESTARTS = parseInt(process.env.BOT_MAX_RESTARTS) || 5;
+
+// Supervised bots by bot ID
+const supervisedBots = new Map();
+
+// Messages sent through bots waiting for their delivery report, by request ID
+const pendingSends = new Map();
+let lastSendId = 0;
+
+// Listeners told about the conversations bots hand off to a human
+const handoffListeners = new Set();
+
+/**
+ * Get the script that runs a bot
+ * @param {Object} bot - Bot record
+ * @returns {string|null} Absolute script path, or null if the platform is not supported
+ */
+function getBotScript(bot) {
+  const scripts = BOT_SCRIPTS[bot.platform];
+  const script = typeof scripts === 'object' ? scripts[bot.type] || scripts.Standard : scripts;
+
+  return script ? path.join(__dirname, '../bots', script) : null;
+}
+
+/**
+ * Log a lifecycle event of a bot to the server log and the bot's live logs
+ * @param {Object} bot - Bot record
+ * @param {string} level - Log level
+ * @param {string} message - Event description
+ */
+function logBotEvent(bot, level, message) {
+  logger[level](`Bot ${bot.name} (${bot.id}) ${message}`, { botId: bot.id, platform: bot.platform, source: 'supervisor' });
+  recordBotLog(bot.id, level, 'supervisor', message);
+}
+
+/**
+ * Spawn the process of a supervised bot
+ * @param {Object} entry - Supervised bot
+ */
+function spawnBot(entry) {
+  const { bot } = entry;
+
+  logBotEvent(bot, 'info', `starting using script: ${entry.script}`);
+
+  const child = fork(entry.script, [bot.id], {
+    env: {
+      ...process.env,
+      NODE_ENV: process.env.NODE_ENV || 'production'
+    },
+    stdio: ['ignore', 'pipe', 'pipe', 'ipc']
+  });
+
+  Object.assign(entry, {
+    child,
+    state: 'starting',
+    pid: child.pid,
+    startedAt: Date.now(),
+    readyAt: null,
+    lastHeartbeat: null,
+    heartbeatLatency: null,
+    memory: null,
+    exitReason: null,
+    nextRestartAt: null
+  });
+
+  for (const source of ['stdout', 'stderr']) {
+    readline.createInterface({ input: child[source] }).on('line', (line) => {
+      const logEntry = recordBotOutput(bot.id, source, line);
+
+      if (logEntry) {
+        logger.log(logEntry.level, `Bot ${bot.name} (${bot.id}): ${logEntry.message}`, { botId: bot.id, platform: bot.platform, source: 'bot' });
+      }
+    });
+  }
+
+  child.on('message', (message) => handleBotMessage(entry, child, message));
+
+  child.on('error', (err) => {
+    logBotEvent(bot, 'error', `process error: ${err.message}`);
+  });
+
+  child.on('exit', (code, signal) => {
+    handleBotExit(entry, child, code, signal).catch(err => {
+      logger.error(`Error handling exit of bot ${bot.id}:`, err);
+    });
+  });
+
+  entry.heartbeatTimer = setInterval(() => probeBot(entry, child), HEARTBEAT_INTERVAL);
+  entry.heartbeatTimer.unref();
+}
+
+/**
+ * Handle an IPC message from a bot process
+ * @param {Object} entry - Supervised bot
+ * @param {ChildProcess} child - Process that sent the message
+ * @param {Object} message - IPC message
+ */
+function handleBotMessage(entry, child, message) {
+  if (entry.child !== child || !message) {
+    return;
+  }
+
+  switch (message.type) {
+    case 'ready':
+      entry.state = 'running';
+      entry.readyAt = Date.now();
+      entry.lastHeartbeat = Date.now();
+      logBotEvent(entry.bot, 'info', 'process started successfully');
+
+      dbUtils.updateBotStatus(entry.bot.id, 'online').catch(err => {
+        logger.error(`Failed to update status to online for bot ${entry.bot.id}:`, err);
+      });
+      break;
+
+    case 'pong':
+      entry.lastHeartbeat = Date.now();
+      entry.heartbeatLatency = message.sentAt ? Date.now() - message.sentAt : null;
+      entry.memory = message.memory ?? null;
+      break;
+
+    case 'sent':
+      settleSend(message.requestId, message.error ? { sent: false, error: message.error } : { sent: true });
+      break;
+
+    case 'handoff':
+      for (const listener of handoffListeners) {
+        Promise.resolve(listener(message.conversationId, entry.bot)).catch(err => {
+          logger.error(`Error handling the handoff of conversation ${message.conversationId}:`, err);
+        });
+      }
+      break;
+  }
+}
+
+/**
+ * Report the outcome of a message sent through a bot to whoever sent it
+ * @param {number} requestId - Request ID of the message
+ * @param {Object} outcome - Whether it was sent, and the error if not
+ */
+function settleSend(requestId, outcome) {
+  const pending = pendingSends.get(requestId);
+
+  if (pending) {
+    clearTimeout(pending.timer);
+    pendingSends.delete(requestId);
+    pending.resolve(outcome);
+  }
+}
+
+/**
+ * Send a heartbeat probe to a bot, killing it when it stopped answering
+ * @param {Object} entry - Supervised bot
+ * @param {ChildProcess} child - Probed process
+ */
+function probeBot(entry, child) {
+  if (entry.child !== child || !child.connected) {
+    return;
+  }
+
+  const silentFor = Date.now() - (entry.lastHeartbeat || entry.startedAt);
+  const timeout = entry.state === 'starting' ? STARTUP_TIMEOUT : HEARTBEAT_TIMEOUT;
+
+  if (silentFor > timeout) {
+    logBotEvent(entry.bot, 'warn', `did not answer heartbeats for ${Math.round(silentFor / 1000)}s, killing it`);
+    entry.exitReason = entry.state === 'starting' ? 'startup_timeout' : 'unresponsive';
+    child.kill('SIGKILL');
+    return;
+  }
+
+  if (entry.state === 'running') {
+    child.send({ type: 'ping', sentAt: Date.now() });
+  }
+}
+
+/**
+ * Handle the exit of a bot process, scheduling a restart unless it was stopped on purpose
+ * @param {Object} entry - Supervised bot
+ * @param {ChildProcess} child - Exited process
+ * @param {number|null} code - Exit code
+ * @param {string|null} signal - Signal that terminated the process
+ */
+async function handleBotExit(entry, child, code, signal) {
+  if (entry.child !== child) {
+    return;
+  }
+
+  const { bot } = entry;
+
+  clearInterval(entry.heartbeatTimer);
+  entry.child = null;
+  entry.pid = null;
+
+  // Messages the bot had not sent yet are lost with it
+  for (const [requestId, pending] of pendingSends) {
+    if (pending.child === child) {
+      settleSend(requestId, { sent: false, error: 'The bot stopped before sending the message' });
+    }
+  }
+
+  logBotEvent(bot, 'info', `exited with code ${code}${signal ? ` (${signal})` : ''}`);
+
+  if (entry.stopRequested) {
+    entry.state = 'stopped';
+    return;
+  }
+
+  const reason = entry.exitReason || (entry.state === 'starting' ? 'startup_failed' : 'crashed');
+  const now = Date.now();
+
+  entry.failures = entry.failures.filter(timestamp => now - timestamp < RESTART_WINDOW);
+  entry.failures.push(now);
+  const attempt = entry.failures.length;
+
+  if (attempt > MAX_RESTARTS) {
+    entry.state = 'failed';
+    logBotEvent(bot, 'error', `failed ${attempt} times within ${RESTART_WINDOW / 60000} minutes, giving up`);
+
+    await dbUtils.logBotRestart({ botId: bot.id, reason, exitCode: code, signal, attempt, outcome: 'gave_up' });
+    await dbUtils.updateBotStatus(bot.id, 'error');
+    return;
+  }
+
+  const restartDelay = Math.min(RESTART_BASE_DELAY * 2 ** (attempt - 1), RESTART_MAX_DELAY);
+  entry.state = 'backoff';
+  entry.nextRestartAt = now + restartDelay;
+  logBotEvent(bot, 'warn', `${reason}, restarting in ${restartDelay}ms (attempt ${attempt}/${MAX_RESTARTS})`);
+
+  await dbUtils.logBotRestart({ botId: bot.id, reason, exitCode: code, signal, attempt, restartDelay, outcome: 'restarting' });
+
+  entry.restartTimer = setTimeout(async () => {
+    entry.restartTimer = null;
+
+    try {
+      // Pick up configuration changes, and don't resurrect deleted bots
+      const latestBot = await dbUtils.getBotById(bot.id);
+
+      if (entry.stopRequested) {
+        return;
+      }
+
+      if (!latestBot) {
+        supervisedBots.delete(bot.id);
+        return;
+      }
+
+      entry.bot = latestBot;
+      spawnBot(entry);
+    } catch (error) {
+      logger.error(`Error restarting bot ${bot.id}:`, error);
+    }
+  }, restartDelay);
+}
+
+/**
+ * Wait until a freshly spawned bot reports ready or exits
+ * @param {Object} entry - Supervised bot
+ * @param {number} timeout - Maximum wait in milliseconds
+ * @returns {Promise<boolean>} True if the bot is running
+ */
+function waitForReady(entry, timeout) {
+  const { child } = entry;
+
+  return new Promise(resolve => {
+    const finish = () => {
+      clearTimeout(timer);
+      child.off('message', onMessage);
+      child.off('exit', finish);
+      resolve(entry.child === child && entry.state === 'running');
+    };
+    const onMessage = (message) => {
+      if (message && message.type === 'ready') {
+        // Let the supervisor's own listener record the state first
+        setImmediate(finish);
+      }
+    };
+    const timer = setTimeout(finish, timeout);
+
+    child.on('message', onMessage);
+    child.once('exit', finish);
+  });
+}
+
+/**
+ * Start a bot under supervision, restarting it if it is already running
+ * @param {Object} bot - Bot record
+ * @param {Object} options - Start options
+ * @param {number} options.waitTimeout - How long to wait for the bot to report ready
+ * @returns {Promise<boolean>} True if the bot reported ready in time
+ */
+async function startBot(bot, { waitTimeout = 10 * 1000 } = {}) {
+  const script = getBotScript(bot);
+
+  if (!script) {
+    await dbUtils.updateBotStatus(bot.id, 'error');
+    throw new Error(`No script available for platform: ${bot.platform}`);
+  }
+
+  if (supervisedBots.has(bot.id)) {
+    await terminateBot(bot.id);
+  }
+
+  // A manual start gives the bot a fresh restart budget
+  const entry = { bot, script, failures: [], stopRequested: false, restartTimer: null, heartbeatTimer: null };
+  supervisedBots.set(bot.id, entry);
+
+  // The process outlives the request that may have started it, so keep its
+  // output and timers out of that request's log context
+  runWithoutLogContext(() => spawnBot(entry));
+
+  return waitForReady(entry, waitTimeout);
+}
+
+/**
+ * Stop a supervised bot process and cancel any pending restart
+ * @param {string} id - Bot ID
+ */
+async function terminateBot(id) {
+  const entry = supervisedBots.get(id);
+
+  if (!entry) {
+    return;
+  }
+
+  entry.stopRequested = true;
+  clearTimeout(entry.restartTimer);
+  supervisedBots.delete(id);
+
+  const { child } = entry;
+
+  if (!child) {
+    return;
+  }
+
+  logBotEvent(entry.bot, 'info', 'stopping');
+
+  const exited = new Promise(resolve => child.once('exit', resolve));
+
+  // First try to gracefully terminate with SIGTERM, then force kill
+  child.kill('SIGTERM');
+
+  const killTimeout = setTimeout(() => {
+    logBotEvent(entry.bot, 'warn', 'did not exit gracefully, force killing');
+    child.kill('SIGKILL');
+  }, STOP_TIMEOUT);
+
+  await exited;
+  clearTimeout(killTimeout);
+
+  logBotEvent(entry.bot, 'info', 'stopped successfully');
+}
+
+/**
+ * Stop a bot and mark it offline
+ * @param {string} id - Bot ID
+ * @returns {Promise<boolean>} Success status
+ */
+async function stopBot(id) {
+  try {
+    await terminateBot(id);
+    await dbUtils.updateBotStatus(id, 'offline');
+    return true;
+  } catch (error) {
+    logger.error(`Error stopping bot ${id}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Start every bot marked online in the database, e.g. after a server restart
+ */
+async function startActiveBots() {
+  const activeBots = await dbUtils.getActiveBots();
+
+  if (!activeBots || activeBots.length === 0) {
+    return;
+  }
+
+  logger.info(`Starting ${activeBots.length} active bots...`);
+
+  await Promise.all(activeBots.map(bot => startBot(bot).catch(error => {
+    logger.error(`Error starting bot ${bot.name}:`, error);
+  })));
+}
+
+/**
+ * Stop every supervised bot on server shutdown, leaving their status untouched
+ * so they are started again with the server
+ */
+async function stopAllBots() {
+  await Promise.all([...supervisedBots.keys()].map(id => terminateBot(id).catch(error => {
+    logger.error(`Error stopping bot ${id}:`, error);
+  })));
+}
+
+/**
+ * Pass a webhook delivery received by the server on to a running bot, see botWebhooks.js
+ * @param {string} id - Bot ID
+ * @param {Object} payload - Parsed delivery
+ * @returns {boolean} False if the bot is not running to receive it
+ */
+function deliverWebhook(id, payload) {
+  const entry = supervisedBots.get(id);
+
+  if (!entry || entry.state !== 'running' || !entry.child?.connected) {
+    return false;
+  }
+
+  entry.child.send({ type: 'webhook', payload });
+  return true;
+}
+
+/**
+ * Send a text message to a user through a running bot
+ * @param {string} id - Bot ID
+ * @param {Object} message - Chat to send to, in the platform's own terms, and the text
+ * @returns {Promise<Object>} { sent: true }, or { sent: false, error } with the reason it was not sent
+ */
+function sendBotMessage(id, { chatId, text }) {
+  const entry = supervisedBots.get(id);
+
+  if (!entry || entry.state !== 'running' || !entry.child?.connected) {
+    return Promise.resolve({ sent: false, error: 'The bot is not running' });
+  }
+
+  const requestId = ++lastSendId;
+  const { child } = entry;
+
+  return new Promise(resolve => {
+    const timer = setTimeout(() => {
+      settleSend(requestId, { sent: false, error: 'The bot did not report the delivery in time' });
+    }, SEND_TIMEOUT);
+
+    pendingSends.set(requestId, { child, resolve, timer });
+    child.send({ type: 'send', requestId, chatId, text });
+  });
+}
+
+/**
+ * Get the runtime health of a bot
+ * @param {string} id - Bot ID
+ * @returns {Object} Supervisor state, process and heartbeat details
+ */
+function getBotHealth(id) {
+  const entry = supervisedBots.get(id);
+
+  if (!entry) {
+    return { state: 'stopped', pid: null };
+  }
+
+  const now = Date.now();
+  const toISO = (timestamp) => timestamp ? new Date(timestamp).toISOString() : null;
+
+  return {
+    state: entry.state,
+    pid: entry.pid,
+    startedAt: toISO(entry.startedAt),
+    readyAt: toISO(entry.readyAt),
+    lastHeartbeat: toISO(entry.lastHeartbeat),
+    heartbeatLatency: entry.heartbeatLatency,
+    memory: entry.memory,
+    recentFailures: entry.failures.filter(timestamp => now - timestamp < RESTART_WINDOW).length,
+    maxRestarts: MAX_RESTARTS,
+    nextRestartAt: entry.state === 'backoff' ? toISO(entry.nextRestartAt) : null
+  };
+}
+
+/**
+ * Register a listener for the conversations bots hand off to a human
+ * @param {Function} listener - Called with the conversation ID and the bot record
+ */
+function onHandoff(listener) {
+  handoffListeners.add(listener);
+}
+
+export {
+  startBot,
+  stopBot,
+  startActiveBots,
+  stopAllBots,
+  deliverWebhook,
+  sendBotMessage,
+  onHandoff,
+  getBotHealth
+};
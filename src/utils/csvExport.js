@@ -1,176 +1,266 @@
 /**
- * CSV Export Utilities
- * 
- * This module provides functions to generate CSV files from database queries.
+ * Export Utilities
+ *
+ * This module streams leads, tickets, interactions and the audit log out of the database
+ * as CSV, JSON Lines or XLSX. Rows are read in batches, so exports of any
+ * size run in constant memory.
  */
 
-const { createObjectCsvWriter } = require('csv-writer');
-const path = require('path');
-const fs = require('fs');
-const logger = require('./logging');
-const db = require('./utils/dbUtils');
+import { createObjectCsvStringifier } from 'csv-writer';
+import ExcelJS from 'exceljs';
+import path from 'path';
+import fs from 'fs';
+import { once } from 'events';
+import { finished } from 'stream/promises';
+import logger from './logging.js';
+import * as dbUtils from './dbUtils.js';
 
-// Ensure the exports directory exists
-const exportsDir = path.join(process.cwd(), 'data', 'exports');
-if (!fs.existsSync(exportsDir)) {
-  fs.mkdirSync(exportsDir, { recursive: true });
-}
+// Number of rows read from the database per query
+const EXPORT_BATCH_SIZE = 500;
+
+// Exportable data sets with their columns and the dbUtils query behind them
+const EXPORT_TYPES = {
+  leads: {
+    fetch: dbUtils.getLeads,
+    headers: [
+      { id: 'userId', title: 'User ID' },
+      { id: 'username', title: 'Username' },
+      { id: 'platform', title: 'Platform' },
+      { id: 'source', title: 'Source' },
+      { id: 'timestamp', title: 'Timestamp' }
+    ]
+  },
+  tickets: {
+    fetch: dbUtils.getTickets,
+    headers: [
+      { id: 'ticketId', title: 'Ticket ID' },
+      { id: 'userId', title: 'User ID' },
+      { id: 'username', title: 'Username' },
+      { id: 'platform', title: 'Platform' },
+      { id: 'issue', title: 'Issue' },
+      { id: 'status', title: 'Status' },
+      { id: 'priority', title: 'Priority' },
+      { id: 'assignedTo', title: 'Assigned To' },
+      { id: 'email', title: 'Email' },
+      { id: 'createdAt', title: 'Created At' },
+      { id: 'updatedAt', title: 'Updated At' },
+      { id: 'closedAt', title: 'Closed At' }
+    ]
+  },
+  interactions: {
+    fetch: dbUtils.getInteractions,
+    headers: [
+      { id: 'userId', title: 'User ID' },
+      { id: 'username', title: 'Username' },
+      { id: 'platform', title: 'Platform' },
+      { id: 'command', title: 'Command' },
+      { id: 'details', title: 'Details' },
+      { id: 'timestamp', title: 'Timestamp' }
+    ]
+  },
+  // Includes the hashes, so exported entries can be checked against the chain
+  audit: {
+    fetch: dbUtils.getAuditEntries,
+    headers: [
+      { id: 'sequence', title: 'Sequence' },
+      { id: 'timestamp', title: 'Timestamp' },
+      { id: 'actorId', title: 'Actor ID' },
+      { id: 'actorUsername', title: 'Actor' },
+      { id: 'ipAddress', title: 'IP Address' },
+      { id: 'userAgent', title: 'User Agent' },
+      { id: 'action', title: 'Action' },
+      { id: 'outcome', title: 'Outcome' },
+      { id: 'targetType', title: 'Target Type' },
+      { id: 'targetId', title: 'Target ID' },
+      { id: 'changes', title: 'Changes' },
+      { id: 'details', title: 'Details' },
+      { id: 'requestId', title: 'Request ID' },
+      { id: 'previousHash', title: 'Previous Hash' },
+      { id: 'hash', title: 'Hash' }
+    ]
+  }
+};
+
+const EXPORT_FORMATS = {
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  jsonl: { extension: 'jsonl', contentType: 'application/x-ndjson; charset=utf-8' },
+  xlsx: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }
+};
 
 /**
- * Generate a CSV file from database data
- * @param {string} type - Type of data to export (e.g., 'leads', 'tickets', 'interactions')
- * @param {Object} filters - Filters to apply to the data
- * @returns {string} Path to the generated CSV file
+ * Read all rows matching the filters, one batch at a time
+ * @param {string} type - Type of data to export
+ * @param {Object} filters - Filters accepted by the matching list API
+ * @returns {AsyncGenerator<Object>} Rows with only the exported columns
  */
-async function generateCSV(type, filters = {}) {
-  try {
-    // Get data based on type
-    const data = await getData(type, filters);
-    
-    if (!data || data.length === 0) {
-      logger.warn(`No data found for CSV export of type: ${type}`);
-      return null;
+async function* iterateRows(type, filters) {
+  const { fetch, headers } = EXPORT_TYPES[type];
+  let offset = 0;
+
+  while (true) {
+    const rows = await fetch({ ...filters, limit: EXPORT_BATCH_SIZE, offset });
+
+    for (const row of rows) {
+      const record = {};
+      for (const { id } of headers) {
+        // PostgreSQL folds unquoted identifiers to lower case
+        const value = row[id] !== undefined ? row[id] : row[id.toLowerCase()];
+        record[id] = value instanceof Date ? value.toISOString() : (value ?? null);
+      }
+      yield record;
     }
-    
-    // Define CSV file path
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const filePath = path.join(exportsDir, `${type}_${timestamp}.csv`);
-    
-    // Define CSV headers based on data type
-    const headers = getHeaders(type, data[0]);
-    
-    // Create CSV writer
-    const csvWriter = createObjectCsvWriter({
-      path: filePath,
-      header: headers
-    });
-    
-    // Write data to CSV
-    await csvWriter.writeRecords(data);
-    
-    logger.info(`CSV export generated: ${filePath}`);
-    return filePath;
-  } catch (error) {
-    logger.error('Error generating CSV:', error);
-    throw error;
+
+    if (rows.length < EXPORT_BATCH_SIZE) {
+      return;
+    }
+
+    offset += EXPORT_BATCH_SIZE;
   }
 }
 
 /**
- * Get data from the database based on type and filters
- * @param {string} type - Type of data to export
- * @param {Object} filters - Filters to apply to the data
- * @returns {Array} Array of data objects
+ * Make a record safe to open in a spreadsheet application
+ * @param {Object} record - Exported row
+ * @returns {Object} Row with flattened objects and neutralized formulas
  */
-async function getData(type, filters) {
-  // This is a simplified implementation
-  // In a real application, this would query the database based on the type and filters
-  
-  // Example implementation for leads
-  if (type === 'leads') {
-    // Implement database query for leads
-    // This is a placeholder
-    return [
-      { userId: 'user1', username: 'User 1', platform: 'Discord', source: 'help', timestamp: new Date() },
-      { userId: 'user2', username: 'User 2', platform: 'Telegram', source: 'ticket', timestamp: new Date() }
-    ];
+function toSpreadsheetRecord(record) {
+  const result = {};
+
+  for (const [key, value] of Object.entries(record)) {
+    let cell = value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+
+    // Chat users control most of these values, never let them start a formula
+    if (typeof cell === 'string' && /^[=+\-@\t\r]/.test(cell)) {
+      cell = `'${cell}`;
+    }
+
+    result[key] = cell;
   }
-  
-  // Example implementation for tickets
-  if (type === 'tickets') {
-    // Implement database query for tickets
-    // This is a placeholder
-    return [
-      { ticketId: 'DISC-1234', userId: 'user1', username: 'User 1', platform: 'Discord', issue: 'Need help', status: 'open', createdAt: new Date() },
-      { ticketId: 'TG-5678', userId: 'user2', username: 'User 2', platform: 'Telegram', issue: 'Question about service', status: 'closed', createdAt: new Date(), closedAt: new Date() }
-    ];
+
+  return result;
+}
+
+/**
+ * Write a chunk to a stream, waiting for it to drain when its buffer is full
+ * @param {stream.Writable} stream - Destination stream
+ * @param {string} chunk - Data to write
+ */
+async function write(stream, chunk) {
+  // Stop reading from the database once the client has gone away
+  if (stream.destroyed) {
+    throw new Error('Export destination was closed');
   }
-  
-  // Example implementation for interactions
-  if (type === 'interactions') {
-    // Implement database query for interactions
-    // This is a placeholder
-    return [
-      { userId: 'user1', username: 'User 1', platform: 'Discord', command: 'help', timestamp: new Date() },
-      { userId: 'user2', username: 'User 2', platform: 'Telegram', command: 'ticket', details: JSON.stringify({ issue: 'Need help' }), timestamp: new Date() }
-    ];
+
+  if (!stream.write(chunk)) {
+    await Promise.race([once(stream, 'drain'), once(stream, 'close')]);
   }
-  
-  return [];
 }
 
 /**
- * Get CSV headers based on data type and sample data
- * @param {string} type - Type of data
- * @param {Object} sampleData - Sample data object to extract headers from
- * @returns {Array} Array of header objects
+ * Stream an export to a writable stream
+ * @param {string} type - Type of data to export ('leads', 'tickets', 'interactions' or 'audit')
+ * @param {string} format - Output format ('csv', 'jsonl' or 'xlsx')
+ * @param {Object} filters - Filters accepted by the matching list API
+ * @param {stream.Writable} stream - Destination stream, ended when the export completes
+ * @returns {Promise<number>} Number of exported rows
  */
-function getHeaders(type, sampleData) {
-  if (!sampleData) {
-    return [];
+async function writeExport(type, format, filters, stream) {
+  if (!EXPORT_TYPES[type]) {
+    throw new Error(`Unknown export type: ${type}`);
+  }
+
+  if (!EXPORT_FORMATS[format]) {
+    throw new Error(`Unknown export format: ${format}`);
   }
-  
-  // Define headers based on data type
-  switch (type) {
-    case 'leads':
-      return [
-        { id: 'userId', title: 'User ID' },
-        { id: 'username', title: 'Username' },
-        { id: 'platform', title: 'Platform' },
-        { id: 'source', title: 'Source' },
-        { id: 'timestamp', title: 'Timestamp' }
-      ];
-    
-    case 'tickets':
-      return [
-        { id: 'ticketId', title: 'Ticket ID' },
-        { id: 'userId', title: 'User ID' },
-        { id: 'username', title: 'Username' },
-        { id: 'platform', title: 'Platform' },
-        { id: 'issue', title: 'Issue' },
-        { id: 'status', title: 'Status' },
-        { id: 'priority', title: 'Priority' },
-        { id: 'assignedTo', title: 'Assigned To' },
-        { id: 'createdAt', title: 'Created At' },
-        { id: 'updatedAt', title: 'Updated At' },
-        { id: 'closedAt', title: 'Closed At' }
-      ];
-    
-    case 'interactions':
-      return [
-        { id: 'userId', title: 'User ID' },
-        { id: 'username', title: 'Username' },
-        { id: 'platform', title: 'Platform' },
-        { id: 'command', title: 'Command' },
-        { id: 'details', title: 'Details' },
-        { id: 'timestamp', title: 'Timestamp' }
-      ];
-    
-    default:
-      // Generate headers dynamically from sample data
-      return Object.keys(sampleData).map(key => ({
-        id: key,
-        title: key.charAt(0).toUpperCase() + key.slice(1)
-      }));
+
+  const { headers } = EXPORT_TYPES[type];
+  let count = 0;
+
+  switch (format) {
+    case 'xlsx': {
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: false, useSharedStrings: false });
+      const worksheet = workbook.addWorksheet(type);
+      worksheet.columns = headers.map(({ id, title }) => ({ header: title, key: id, width: 20 }));
+
+      for await (const record of iterateRows(type, filters)) {
+        worksheet.addRow(toSpreadsheetRecord(record)).commit();
+        count++;
+      }
+
+      worksheet.commit();
+      await workbook.commit();
+      break;
+    }
+
+    case 'jsonl':
+      for await (const record of iterateRows(type, filters)) {
+        await write(stream, JSON.stringify(record) + '\n');
+        count++;
+      }
+
+      stream.end();
+      break;
+
+    case 'csv':
+    default: {
+      const csvStringifier = createObjectCsvStringifier({ header: headers });
+      await write(stream, csvStringifier.getHeaderString());
+
+      for await (const record of iterateRows(type, filters)) {
+        await write(stream, csvStringifier.stringifyRecords([toSpreadsheetRecord(record)]));
+        count++;
+      }
+
+      stream.end();
+      break;
+    }
   }
+
+  logger.info(`Exported ${count} ${type} as ${format.toUpperCase()}`);
+  return count;
+}
+
+/**
+ * Build the download filename of an export
+ * @param {string} type - Type of data to export
+ * @param {string} format - Output format
+ * @returns {string} Filename such as leads_2024-01-01T00-00-00-000Z.csv
+ */
+function getExportFilename(type, format) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  return `${type}_${timestamp}.${EXPORT_FORMATS[format].extension}`;
 }
 
 /**
- * Export data to CSV and return the file path
+ * Export data to a file in data/exports and return the file path
  * @param {string} type - Type of data to export
  * @param {Object} filters - Filters to apply to the data
- * @returns {string} Path to the generated CSV file
+ * @param {string} format - Output format (defaults to CSV)
+ * @returns {Promise<string>} Path to the generated file
  */
-async function exportToCSV(type, filters = {}) {
+async function exportToFile(type, filters = {}, format = 'csv') {
   try {
-    const filePath = await generateCSV(type, filters);
+    const exportsDir = path.join(process.cwd(), 'data', 'exports');
+    fs.mkdirSync(exportsDir, { recursive: true });
+
+    const filePath = path.join(exportsDir, getExportFilename(type, format));
+    const fileStream = fs.createWriteStream(filePath);
+
+    await writeExport(type, format, filters, fileStream);
+    await finished(fileStream);
+
+    logger.info(`Export generated: ${filePath}`);
     return filePath;
   } catch (error) {
-    logger.error('Error exporting to CSV:', error);
+    logger.error('Error exporting to file:', error);
     throw error;
   }
 }
 
-module.exports = {
-  exportToCSV
-};
\ No newline at end of file
+export {
+  EXPORT_TYPES,
+  EXPORT_FORMATS,
+  writeExport,
+  getExportFilename,
+  exportToFile
+};
@@ -9,11 +9,13 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 import fs from 'fs';
+import { randomInt, randomUUID } from 'crypto';
 import sqlite3 from 'sqlite3';
 import pg from 'pg';
 import { MongoClient } from 'mongodb';
 import logger from './logging.js';
 import bcrypt from 'bcrypt';
+import { encryptBotConfig, decryptBotConfig, needsEncryption } from './botSecrets.js';
 
 const { Pool } = pg;
 const sqliteVerbose = sqlite3.verbose();
@@ -72,13 +74,18 @@ async function initializeDatabase() {
   try {
     switch (DB_ENGINE) {
       case 'POSTGRESQL':
-        return await initializePostgreSQL();
+        await initializePostgreSQL();
+        break;
       case 'MONGODB':
-        return await initializeMongoDB();
+        await initializeMongoDB();
+        break;
       case 'SQLITE':
       default:
-        return await initializeSQLite();
+        await initializeSQLite();
     }
+    
+    // Bots created before credentials were encrypted at rest
+    await encryptStoredBotConfigs();
   } catch (error) {
     logger.error('Error initializing database:', error);
     throw error;
@@ -136,7 +143,8 @@ async function createSQLiteTables() {
           twoFactorSecret TEXT,
           twoFactorEnabled INTEGER DEFAULT 0,
           createdAt TEXT NOT NULL,
-          lastLogin TEXT
+          lastLogin TEXT,
+          breakglass INTEGER DEFAULT 0
         )
       `, (err) => {
         if (err) {
@@ -146,6 +154,46 @@ async function createSQLiteTables() {
         }
       });
       
+      // Break-glass flag of accounts that may sign in with a password when single sign-on is required
+      db.all('PRAGMA table_info(users)', (err, columns) => {
+        if (err || columns.some(column => column.name === 'breakglass')) {
+          return;
+        }
+        
+        db.run('ALTER TABLE users ADD COLUMN breakglass INTEGER DEFAULT 0', (err) => {
+          if (err) {
+            logger.error('Error adding breakglass column to users table:', err);
+          }
+        });
+      });
+      
+      // Accounts of single sign-on providers linked to users
+      db.run(`
+        CREATE TABLE IF NOT EXISTS user_identities (
+          issuer TEXT NOT NULL,
+          subject TEXT NOT NULL,
+          userId TEXT NOT NULL,
+          email TEXT,
+          createdAt TEXT NOT NULL,
+          lastLoginAt TEXT,
+          PRIMARY KEY (issuer, subject)
+        )
+      `, (err) => {
+        if (err) {
+          logger.error('Error creating user_identities table:', err);
+          reject(err);
+          return;
+        }
+      });
+      
+      db.run('CREATE INDEX IF NOT EXISTS idx_user_identities_user ON user_identities (userId)', (err) => {
+        if (err) {
+          logger.error('Error creating user_identities index:', err);
+          reject(err);
+          return;
+        }
+      });
+      
       // Bots table
       db.run(`
         CREATE TABLE IF NOT EXISTS bots (
@@ -178,9 +226,18 @@ async function createSQLiteTables() {
           status TEXT NOT NULL,
           priority TEXT DEFAULT 'medium',
           assignedTo TEXT,
+          email TEXT,
+          botId TEXT,
+          chatId TEXT,
           createdAt TEXT NOT NULL,
           updatedAt TEXT,
-          closedAt TEXT
+          closedAt TEXT,
+          slaPolicyId TEXT,
+          firstResponseAt TEXT,
+          firstResponseDueAt TEXT,
+          resolutionDueAt TEXT,
+          firstResponseBreachedAt TEXT,
+          resolutionBreachedAt TEXT
         )
       `, (err) => {
         if (err) {
@@ -190,6 +247,117 @@ async function createSQLiteTables() {
         }
       });
       
+      // Contact email collected by the ticket wizard, the bot and chat replies
+      // are sent through and the SLA clocks, missing from older databases
+      db.all('PRAGMA table_info(tickets)', (err, columns) => {
+        if (err) {
+          return;
+        }
+        
+        const addedColumns = ['email', 'botId', 'chatId', 'slaPolicyId', 'firstResponseAt', 'firstResponseDueAt', 'resolutionDueAt', 'firstResponseBreachedAt', 'resolutionBreachedAt'];
+        
+        for (const name of addedColumns.filter(name => !columns.some(column => column.name === name))) {
+          db.run(`ALTER TABLE tickets ADD COLUMN ${name} TEXT`, (err) => {
+            if (err) {
+              logger.error(`Error adding ${name} column to tickets table:`, err);
+            }
+          });
+        }
+      });
+      
+      // Messages of ticket threads, from the user through the bot or from agents on the dashboard
+      db.run(`
+        CREATE TABLE IF NOT EXISTS ticket_messages (
+          id TEXT PRIMARY KEY,
+          ticketId TEXT NOT NULL,
+          direction TEXT NOT NULL,
+          authorId TEXT,
+          authorName TEXT NOT NULL,
+          text TEXT NOT NULL,
+          status TEXT NOT NULL,
+          error TEXT,
+          createdAt TEXT NOT NULL
+        )
+      `, (err) => {
+        if (err) {
+          logger.error('Error creating ticket_messages table:', err);
+          reject(err);
+          return;
+        }
+      });
+      
+      db.run('CREATE INDEX IF NOT EXISTS idx_ticket_messages_ticket ON ticket_messages (ticketId, createdAt)');
+      
+      // Conversations of end users with a bot, by the key of their conversation state
+      db.run(`
+        CREATE TABLE IF NOT EXISTS conversations (
+          id TEXT PRIMARY KEY,
+          platform TEXT NOT NULL,
+          botId TEXT,
+          userId TEXT NOT NULL,
+          chatId TEXT,
+          username TEXT NOT NULL,
+          status TEXT NOT NULL,
+          snoozedUntil TEXT,
+          assignedTo TEXT,
+          handoffAt TEXT,
+          handoffReason TEXT,
+          unreadCount INTEGER NOT NULL DEFAULT 0,
+          lastMessageText TEXT,
+          lastMessageDirection TEXT,
+          lastMessageAt TEXT,
+          createdAt TEXT NOT NULL,
+          updatedAt TEXT NOT NULL
+        )
+      `, (err) => {
+        if (err) {
+          logger.error('Error creating conversations table:', err);
+          reject(err);
+          return;
+        }
+      });
+      
+      db.run('CREATE INDEX IF NOT EXISTS idx_conversations_last_message ON conversations (lastMessageAt)');
+      
+      // Human handoff of the conversation, missing from older databases
+      db.all('PRAGMA table_info(conversations)', (err, columns) => {
+        if (err) {
+          return;
+        }
+        
+        for (const name of ['handoffAt', 'handoffReason'].filter(name => !columns.some(column => column.name === name))) {
+          db.run(`ALTER TABLE conversations ADD COLUMN ${name} TEXT`, (err) => {
+            if (err) {
+              logger.error(`Error adding ${name} column to conversations table:`, err);
+            }
+          });
+        }
+      });
+      
+      // Messages of conversations, received from the user or sent by the bot or an agent
+      db.run(`
+        CREATE TABLE IF NOT EXISTS conversation_messages (
+          id TEXT PRIMARY KEY,
+          conversationId TEXT NOT NULL,
+          direction TEXT NOT NULL,
+          sender TEXT NOT NULL,
+          authorId TEXT,
+          authorName TEXT,
+          text TEXT NOT NULL,
+          status TEXT NOT NULL,
+          error TEXT,
+          createdAt TEXT NOT NULL
+        )
+      `, (err) => {
+        if (err) {
+          logger.error('Error creating conversation_messages table:', err);
+          reject(err);
+          return;
+        }
+      });
+      
+      db.run('CREATE INDEX IF NOT EXISTS idx_conversation_messages_conversation ON conversation_messages (conversationId, createdAt)');
+      
       // Interactions table
       db.run(`
         CREATE TABLE IF NOT EXISTS interactions (
@@ -262,511 +430,6336 @@ async function createSQLiteTables() {
         }
       });
       
-      // Check if admin user exists, create if not
-      db.get('SELECT * FROM users WHERE email = ?', ['admin@redwan.work'], (err, row) => {
+      // Bot restart history recorded by the bot supervisor
+      db.run(`
+        CREATE TABLE IF NOT EXISTS bot_restarts (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          botId TEXT NOT NULL,
+          reason TEXT NOT NULL,
+          exitCode INTEGER,
+          signal TEXT,
+          attempt INTEGER NOT NULL,
+          restartDelay INTEGER,
+          outcome TEXT NOT NULL,
+          timestamp TEXT NOT NULL
+        )
+      `, (err) => {
         if (err) {
-          logger.error('Error checking for admin user:', err);
+          logger.error('Error creating bot_restarts table:', err);
           reject(err);
           return;
         }
-        
-        if (!row) {
-          // Create default admin user with the specified credentials
-          const saltRounds = 10;
-          const defaultPassword = "Password123"; // As requested
-          
-          bcrypt.hash(defaultPassword, saltRounds, (err, hash) => {
-            if (err) {
-              logger.error('Error hashing password:', err);
-              reject(err);
-              return;
-            }
-            
-            db.run(`
-              INSERT INTO users (id, username, email, password, role, status, createdAt)
-              VALUES (?, ?, ?, ?, ?, ?, ?)
-            `, [
-              'admin-' + Date.now(),
-              'admin',
-              'admin@redwan.work',
-              hash,
-              'Administrator',
-              'active',
-              new Date().toISOString()
-            ], (err) => {
-              if (err) {
-                logger.error('Error creating admin user:', err);
-                reject(err);
-                return;
-              }
-              
-              logger.info('Default admin user created');
-              resolve();
-            });
-          });
-        } else {
-          resolve();
+      });
+      
+      // Keys signing access and refresh tokens, secrets encrypted with the master key
+      db.run(`
+        CREATE TABLE IF NOT EXISTS signing_keys (
+          kid TEXT PRIMARY KEY,
+          purpose TEXT NOT NULL,
+          secret TEXT NOT NULL,
+          status TEXT NOT NULL,
+          createdAt TEXT NOT NULL,
+          retiredAt TEXT,
+          expiresAt TEXT
+        )
+      `, (err) => {
+        if (err) {
+          logger.error('Error creating signing_keys table:', err);
+          reject(err);
+          return;
         }
       });
-    });
-  });
-}
-
-/**
- * Initialize PostgreSQL database
- */
-async function initializePostgreSQL() {
-  try {
-    const pool = new Pool({
-      host: DB_HOST,
-      port: DB_PORT,
-      database: DB_NAME,
-      user: DB_USER,
-      password: DB_PASSWORD,
-      ssl: process.env.DB_SSL === 'true' ? { rejectUnauthorized: false } : false
-    });
-    
-    // Test the connection
-    const client = await pool.connect();
-    logger.info('Connected to PostgreSQL database');
-    
-    // Create tables if they don't exist
-    await createPostgreSQLTables(client);
-    
-    client.release();
-    db = pool;
-    return pool;
-  } catch (error) {
-    logger.error('Error connecting to PostgreSQL:', error);
-    throw error;
-  }
-}
-
-/**
- * Create PostgreSQL tables if they don't exist
- */
-async function createPostgreSQLTables(client) {
-  try {
-    // Users table
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS users (
-        id TEXT PRIMARY KEY,
-        username TEXT NOT NULL,
-        email TEXT UNIQUE NOT NULL,
-        password TEXT NOT NULL,
-        role TEXT NOT NULL,
-        status TEXT NOT NULL,
-        twoFactorSecret TEXT,
-        twoFactorEnabled BOOLEAN DEFAULT FALSE,
-        createdAt TIMESTAMP NOT NULL,
-        lastLogin TIMESTAMP
-      )
-    `);
-    
-    // Bots table
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS bots (
-        id TEXT PRIMARY KEY,
-        name TEXT NOT NULL,
-        platform TEXT NOT NULL,
-        type TEXT NOT NULL,
-        status TEXT NOT NULL,
-        config JSONB NOT NULL,
-        createdAt TIMESTAMP NOT NULL,
-        lastActive TIMESTAMP
-      )
-    `);
-    
-    // Tickets table
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS tickets (
-        id SERIAL PRIMARY KEY,
-        ticketId TEXT UNIQUE NOT NULL,
-        userId TEXT NOT NULL,
-        username TEXT NOT NULL,
-        platform TEXT NOT NULL,
-        issue TEXT NOT NULL,
-        status TEXT NOT NULL,
-        priority TEXT DEFAULT 'medium',
-        assignedTo TEXT,
-        createdAt TIMESTAMP NOT NULL,
-        updatedAt TIMESTAMP,
-        closedAt TIMESTAMP
-      )
-    `);
-    
-    // Interactions table
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS interactions (
-        id SERIAL PRIMARY KEY,
-        userId TEXT NOT NULL,
-        username TEXT NOT NULL,
-        platform TEXT NOT NULL,
-        command TEXT NOT NULL,
-        details JSONB,
-        timestamp TIMESTAMP NOT NULL
-      )
-    `);
-    
-    // Leads table
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS leads (
-        id SERIAL PRIMARY KEY,
-        userId TEXT NOT NULL,
-        username TEXT NOT NULL,
-        platform TEXT NOT NULL,
-        source TEXT NOT NULL,
-        timestamp TIMESTAMP NOT NULL
-      )
-    `);
-    
-    // Reputation table
+      
+      // Signed-in devices, each holding one refresh token at a time
+      db.run(`
+        CREATE TABLE IF NOT EXISTS sessions (
+          id TEXT PRIMARY KEY,
+          userId TEXT NOT NULL,
+          tokenHash TEXT NOT NULL,
+          previousTokenHash TEXT,
+          rotatedAt TEXT,
+          userAgent TEXT,
+          ipAddress TEXT,
+          createdAt TEXT NOT NULL,
+          lastUsedAt TEXT NOT NULL,
+          expiresAt TEXT NOT NULL,
+          revokedAt TEXT,
+          revokedReason TEXT
+        )
+      `, (err) => {
+        if (err) {
+          logger.error('Error creating sessions table:', err);
+          reject(err);
+          return;
+        }
+      });
+      
+      db.run('CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions (userId)', (err) => {
+        if (err) {
+          logger.error('Error creating sessions index:', err);
+          reject(err);
+          return;
+        }
+      });
+      
+      // Personal API tokens of automation clients, stored hashed
+      db.run(`
+        CREATE TABLE IF NOT EXISTS api_tokens (
+          id TEXT PRIMARY KEY,
+          userId TEXT NOT NULL,
+          name TEXT NOT NULL,
+          tokenHash TEXT UNIQUE NOT NULL,
+          tokenPrefix TEXT NOT NULL,
+          scopes TEXT NOT NULL,
+          allowedIps TEXT NOT NULL,
+          createdAt TEXT NOT NULL,
+          lastUsedAt TEXT,
+          lastUsedIp TEXT,
+          expiresAt TEXT,
+          revokedAt TEXT
+        )
+      `, (err) => {
+        if (err) {
+          logger.error('Error creating api_tokens table:', err);
+          reject(err);
+          return;
+        }
+      });
+      
+      db.run('CREATE INDEX IF NOT EXISTS idx_api_tokens_user ON api_tokens (userId)', (err) => {
+        if (err) {
+          logger.error('Error creating api_tokens index:', err);
+          reject(err);
+          return;
+        }
+      });
+      
+      // One-time codes signing in when other second factors are lost, stored hashed
+      db.run(`
+        CREATE TABLE IF NOT EXISTS recovery_codes (
+          id TEXT PRIMARY KEY,
+          userId TEXT NOT NULL,
+          codeHash TEXT NOT NULL,
+          createdAt TEXT NOT NULL,
+          usedAt TEXT
+        )
+      `, (err) => {
+        if (err) {
+          logger.error('Error creating recovery_codes table:', err);
+          reject(err);
+          return;
+        }
+      });
+      
+      db.run('CREATE INDEX IF NOT EXISTS idx_recovery_codes_user ON recovery_codes (userId)', (err) => {
+        if (err) {
+          logger.error('Error creating recovery_codes index:', err);
+          reject(err);
+          return;
+        }
+      });
+      
+      // WebAuthn passkeys, by credential ID
+      db.run(`
+        CREATE TABLE IF NOT EXISTS webauthn_credentials (
+          id TEXT PRIMARY KEY,
+          userId TEXT NOT NULL,
+          name TEXT NOT NULL,
+          publicKey TEXT NOT NULL,
+          algorithm INTEGER NOT NULL,
+          signCount INTEGER NOT NULL,
+          transports TEXT,
+          createdAt TEXT NOT NULL,
+          lastUsedAt TEXT
+        )
+      `, (err) => {
+        if (err) {
+          logger.error('Error creating webauthn_credentials table:', err);
+          reject(err);
+          return;
+        }
+      });
+      
+      db.run('CREATE INDEX IF NOT EXISTS idx_webauthn_credentials_user ON webauthn_credentials (userId)', (err) => {
+        if (err) {
+          logger.error('Error creating webauthn_credentials index:', err);
+          reject(err);
+          return;
+        }
+      });
+      
+      // Pending WebAuthn challenges, each usable once
+      db.run(`
+        CREATE TABLE IF NOT EXISTS auth_challenges (
+          id TEXT PRIMARY KEY,
+          userId TEXT,
+          type TEXT NOT NULL,
+          challenge TEXT NOT NULL,
+          expiresAt TEXT NOT NULL
+        )
+      `, (err) => {
+        if (err) {
+          logger.error('Error creating auth_challenges table:', err);
+          reject(err);
+          return;
+        }
+      });
+      
+      // Single-use password reset and invitation tokens, by token ID
+      db.run(`
+        CREATE TABLE IF NOT EXISTS account_tokens (
+          id TEXT PRIMARY KEY,
+          userId TEXT NOT NULL,
+          type TEXT NOT NULL,
+          createdBy TEXT,
+          createdAt TEXT NOT NULL,
+          expiresAt TEXT NOT NULL,
+          usedAt TEXT
+        )
+      `, (err) => {
+        if (err) {
+          logger.error('Error creating account_tokens table:', err);
+          reject(err);
+          return;
+        }
+      });
+      
+      // Custom roles, built from permission grants
+      db.run(`
+        CREATE TABLE IF NOT EXISTS roles (
+          id TEXT PRIMARY KEY,
+          name TEXT UNIQUE NOT NULL,
+          description TEXT,
+          grants TEXT NOT NULL,
+          createdAt TEXT NOT NULL,
+          updatedAt TEXT NOT NULL
+        )
+      `, (err) => {
+        if (err) {
+          logger.error('Error creating roles table:', err);
+          reject(err);
+          return;
+        }
+      });
+      
+      // Failed sign-ins per email address, for account lockout
+      db.run(`
+        CREATE TABLE IF NOT EXISTS login_attempts (
+          email TEXT PRIMARY KEY,
+          failedCount INTEGER NOT NULL,
+          lastFailedAt TEXT NOT NULL,
+          lockedUntil TEXT
+        )
+      `, (err) => {
+        if (err) {
+          logger.error('Error creating login_attempts table:', err);
+          reject(err);
+          return;
+        }
+      });
+      
+      // Append-only audit trail of administrative actions, hash chained by sequence
+      db.run(`
+        CREATE TABLE IF NOT EXISTS audit_log (
+          sequence INTEGER PRIMARY KEY,
+          timestamp TEXT NOT NULL,
+          actorId TEXT,
+          actorUsername TEXT,
+          ipAddress TEXT,
+          userAgent TEXT,
+          action TEXT NOT NULL,
+          outcome TEXT NOT NULL,
+          targetType TEXT,
+          targetId TEXT,
+          changes TEXT,
+          details TEXT,
+          requestId TEXT,
+          previousHash TEXT NOT NULL,
+          hash TEXT NOT NULL
+        )
+      `, (err) => {
+        if (err) {
+          logger.error('Error creating audit_log table:', err);
+          reject(err);
+          return;
+        }
+      });
+      
+      db.run('CREATE INDEX IF NOT EXISTS idx_audit_log_timestamp ON audit_log (timestamp)', (err) => {
+        if (err) {
+          logger.error('Error creating audit_log index:', err);
+        }
+      });
+      
+      for (const operation of ['UPDATE', 'DELETE']) {
+        db.run(`
+          CREATE TRIGGER IF NOT EXISTS audit_log_no_${operation.toLowerCase()} BEFORE ${operation} ON audit_log
+          BEGIN
+            SELECT RAISE(ABORT, 'audit_log is append-only');
+          END
+        `, (err) => {
+          if (err) {
+            logger.error('Error creating audit_log trigger:', err);
+          }
+        });
+      }
+      
+      // Structured application logs, queried by the /logs endpoint
+      db.run(`
+        CREATE TABLE IF NOT EXISTS app_logs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          timestamp TEXT NOT NULL,
+          level TEXT NOT NULL,
+          source TEXT NOT NULL,
+          message TEXT NOT NULL,
+          botId TEXT,
+          platform TEXT,
+          userId TEXT,
+          requestId TEXT,
+          meta TEXT
+        )
+      `, (err) => {
+        if (err) {
+          logger.error('Error creating app_logs table:', err);
+          reject(err);
+          return;
+        }
+      });
+      
+      db.run('CREATE INDEX IF NOT EXISTS idx_app_logs_timestamp ON app_logs (timestamp)', (err) => {
+        if (err) {
+          logger.error('Error creating app_logs index:', err);
+        }
+      });
+      
+      // Conversation state table, one in-progress flow per bot user
+      db.run(`
+        CREATE TABLE IF NOT EXISTS conversation_states (
+          id TEXT PRIMARY KEY,
+          platform TEXT NOT NULL,
+          botId TEXT,
+          userId TEXT NOT NULL,
+          flow TEXT NOT NULL,
+          step TEXT NOT NULL,
+          data TEXT NOT NULL,
+          expiresAt TEXT NOT NULL,
+          updatedAt TEXT NOT NULL
+        )
+      `, (err) => {
+        if (err) {
+          logger.error('Error creating conversation_states table:', err);
+          reject(err);
+          return;
+        }
+      });
+      
+      // Auto-reply rules table, seeded with the default replies when it is first created
+      let autoReplyRulesExisted = true;
+      db.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'auto_reply_rules'", (err, row) => {
+        autoReplyRulesExisted = Boolean(row);
+      });
+      
+      db.run(`
+        CREATE TABLE IF NOT EXISTS auto_reply_rules (
+          id TEXT PRIMARY KEY,
+          name TEXT NOT NULL,
+          triggerType TEXT NOT NULL,
+          pattern TEXT NOT NULL,
+          response TEXT NOT NULL,
+          faqTitle TEXT,
+          platform TEXT,
+          botId TEXT,
+          priority INTEGER DEFAULT 0,
+          enabled INTEGER DEFAULT 1,
+          handoff INTEGER DEFAULT 0,
+          createdAt TEXT NOT NULL,
+          updatedAt TEXT NOT NULL
+        )
+      `, (err) => {
+        if (err) {
+          logger.error('Error creating auto_reply_rules table:', err);
+          reject(err);
+          return;
+        }
+        
+        if (!autoReplyRulesExisted) {
+          getDefaultAutoReplyRules().forEach(rule => {
+            db.run(`
+              INSERT INTO auto_reply_rules
+              (id, name, triggerType, pattern, response, faqTitle, platform, botId, priority, enabled, createdAt, updatedAt)
+              VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [rule.id, rule.name, rule.triggerType, rule.pattern, rule.response, rule.faqTitle, null, null, rule.priority, 1, rule.createdAt, rule.updatedAt], (err) => {
+              if (err) {
+                logger.error('Error seeding auto-reply rule:', err);
+              }
+            });
+          });
+          logger.info('Default auto-reply rules created');
+        }
+      });
+      
+      // Whether a rule hands the conversation off to a human, missing from older databases
+      db.all('PRAGMA table_info(auto_reply_rules)', (err, columns) => {
+        if (err || columns.some(column => column.name === 'handoff')) {
+          return;
+        }
+        
+        db.run('ALTER TABLE auto_reply_rules ADD COLUMN handoff INTEGER DEFAULT 0', (err) => {
+          if (err) {
+            logger.error('Error adding handoff column to auto_reply_rules table:', err);
+          }
+        });
+      });
+      
+      // SLA policies: response and resolution targets of tickets by priority and platform
+      db.run(`
+        CREATE TABLE IF NOT EXISTS sla_policies (
+          id TEXT PRIMARY KEY,
+          name TEXT NOT NULL,
+          priority TEXT NOT NULL,
+          platform TEXT,
+          firstResponseMinutes INTEGER,
+          resolutionMinutes INTEGER,
+          businessHours INTEGER DEFAULT 1,
+          escalatePriority INTEGER DEFAULT 1,
+          escalateTo TEXT,
+          enabled INTEGER DEFAULT 1,
+          createdAt TEXT NOT NULL,
+          updatedAt TEXT NOT NULL
+        )
+      `, (err) => {
+        if (err) {
+          logger.error('Error creating sla_policies table:', err);
+          reject(err);
+          return;
+        }
+      });
+      
+      // Check if admin user exists, create if not
+      db.get('SELECT * FROM users WHERE email = ?', ['admin@redwan.work'], (err, row) => {
+        if (err) {
+          logger.error('Error checking for admin user:', err);
+          reject(err);
+          return;
+        }
+        
+        if (!row) {
+          // Create default admin user with the specified credentials
+          const saltRounds = 10;
+          const defaultPassword = "Password123"; // As requested
+          
+          bcrypt.hash(defaultPassword, saltRounds, (err, hash) => {
+            if (err) {
+              logger.error('Error hashing password:', err);
+              reject(err);
+              return;
+            }
+            
+            db.run(`
+              INSERT INTO users (id, username, email, password, role, status, createdAt)
+              VALUES (?, ?, ?, ?, ?, ?, ?)
+            `, [
+              'admin-' + Date.now(),
+              'admin',
+              'admin@redwan.work',
+              hash,
+              'Administrator',
+              'active',
+              new Date().toISOString()
+            ], (err) => {
+              if (err) {
+                logger.error('Error creating admin user:', err);
+                reject(err);
+                return;
+              }
+              
+              logger.info('Default admin user created');
+              resolve();
+            });
+          });
+        } else {
+          resolve();
+        }
+      });
+    });
+  });
+}
+
+/**
+ * Initialize PostgreSQL database
+ */
+async function initializePostgreSQL() {
+  try {
+    const pool = new Pool({
+      host: DB_HOST,
+      port: DB_PORT,
+      database: DB_NAME,
+      user: DB_USER,
+      password: DB_PASSWORD,
+      ssl: process.env.DB_SSL === 'true' ? { rejectUnauthorized: false } : false
+    });
+    
+    // Test the connection
+    const client = await pool.connect();
+    logger.info('Connected to PostgreSQL database');
+    
+    // Create tables if they don't exist
+    await createPostgreSQLTables(client);
+    
+    client.release();
+    db = pool;
+    return pool;
+  } catch (error) {
+    logger.error('Error connecting to PostgreSQL:', error);
+    throw error;
+  }
+}
+
+/**
+ * Create PostgreSQL tables if they don't exist
+ */
+async function createPostgreSQLTables(client) {
+  try {
+    // Users table
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS users (
+        id TEXT PRIMARY KEY,
+        username TEXT NOT NULL,
+        email TEXT UNIQUE NOT NULL,
+        password TEXT NOT NULL,
+        role TEXT NOT NULL,
+        status TEXT NOT NULL,
+        twoFactorSecret TEXT,
+        twoFactorEnabled BOOLEAN DEFAULT FALSE,
+        createdAt TIMESTAMP NOT NULL,
+        lastLogin TIMESTAMP,
+        breakglass BOOLEAN DEFAULT FALSE
+      )
+    `);
+    
+    // Break-glass flag of accounts that may sign in with a password when single sign-on is required
+    await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS breakglass BOOLEAN DEFAULT FALSE');
+    
+    // Accounts of single sign-on providers linked to users
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS user_identities (
+        issuer TEXT NOT NULL,
+        subject TEXT NOT NULL,
+        userId TEXT NOT NULL,
+        email TEXT,
+        createdAt TIMESTAMP NOT NULL,
+        lastLoginAt TIMESTAMP,
+        PRIMARY KEY (issuer, subject)
+      )
+    `);
+    
+    await client.query('CREATE INDEX IF NOT EXISTS idx_user_identities_user ON user_identities (userId)');
+    
+    // Bots table
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS bots (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        platform TEXT NOT NULL,
+        type TEXT NOT NULL,
+        status TEXT NOT NULL,
+        config JSONB NOT NULL,
+        createdAt TIMESTAMP NOT NULL,
+        lastActive TIMESTAMP
+      )
+    `);
+    
+    // Tickets table
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS tickets (
+        id SERIAL PRIMARY KEY,
+        ticketId TEXT UNIQUE NOT NULL,
+        userId TEXT NOT NULL,
+        username TEXT NOT NULL,
+        platform TEXT NOT NULL,
+        issue TEXT NOT NULL,
+        status TEXT NOT NULL,
+        priority TEXT DEFAULT 'medium',
+        assignedTo TEXT,
+        email TEXT,
+        botId TEXT,
+        chatId TEXT,
+        createdAt TIMESTAMP NOT NULL,
+        updatedAt TIMESTAMP,
+        closedAt TIMESTAMP,
+        slaPolicyId TEXT,
+        firstResponseAt TIMESTAMP,
+        firstResponseDueAt TIMESTAMP,
+        resolutionDueAt TIMESTAMP,
+        firstResponseBreachedAt TIMESTAMP,
+        resolutionBreachedAt TIMESTAMP
+      )
+    `);
+    
+    // Contact email collected by the ticket wizard, the bot and chat replies
+    // are sent through and the SLA clocks, missing from older databases
+    await client.query('ALTER TABLE tickets ADD COLUMN IF NOT EXISTS email TEXT');
+    await client.query('ALTER TABLE tickets ADD COLUMN IF NOT EXISTS botId TEXT');
+    await client.query('ALTER TABLE tickets ADD COLUMN IF NOT EXISTS chatId TEXT');
+    await client.query('ALTER TABLE tickets ADD COLUMN IF NOT EXISTS slaPolicyId TEXT');
+    
+    for (const name of ['firstResponseAt', 'firstResponseDueAt', 'resolutionDueAt', 'firstResponseBreachedAt', 'resolutionBreachedAt']) {
+      await client.query(`ALTER TABLE tickets ADD COLUMN IF NOT EXISTS ${name} TIMESTAMP`);
+    }
+    
+    // Messages of ticket threads, from the user through the bot or from agents on the dashboard
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS ticket_messages (
+        id TEXT PRIMARY KEY,
+        ticketId TEXT NOT NULL,
+        direction TEXT NOT NULL,
+        authorId TEXT,
+        authorName TEXT NOT NULL,
+        text TEXT NOT NULL,
+        status TEXT NOT NULL,
+        error TEXT,
+        createdAt TIMESTAMP NOT NULL
+      )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_ticket_messages_ticket ON ticket_messages (ticketId, createdAt)');
+    
+    // Conversations of end users with a bot, by the key of their conversation state
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS conversations (
+        id TEXT PRIMARY KEY,
+        platform TEXT NOT NULL,
+        botId TEXT,
+        userId TEXT NOT NULL,
+        chatId TEXT,
+        username TEXT NOT NULL,
+        status TEXT NOT NULL,
+        snoozedUntil TIMESTAMP,
+        assignedTo TEXT,
+        handoffAt TIMESTAMP,
+        handoffReason TEXT,
+        unreadCount INTEGER NOT NULL DEFAULT 0,
+        lastMessageText TEXT,
+        lastMessageDirection TEXT,
+        lastMessageAt TIMESTAMP,
+        createdAt TIMESTAMP NOT NULL,
+        updatedAt TIMESTAMP NOT NULL
+      )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_conversations_last_message ON conversations (lastMessageAt)');
+    await client.query('ALTER TABLE conversations ADD COLUMN IF NOT EXISTS handoffAt TIMESTAMP');
+    await client.query('ALTER TABLE conversations ADD COLUMN IF NOT EXISTS handoffReason TEXT');
+    
+    // Messages of conversations, received from the user or sent by the bot or an agent
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS conversation_messages (
+        id TEXT PRIMARY KEY,
+        conversationId TEXT NOT NULL,
+        direction TEXT NOT NULL,
+        sender TEXT NOT NULL,
+        authorId TEXT,
+        authorName TEXT,
+        text TEXT NOT NULL,
+        status TEXT NOT NULL,
+        error TEXT,
+        createdAt TIMESTAMP NOT NULL
+      )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_conversation_messages_conversation ON conversation_messages (conversationId, createdAt)');
+    
+    // Interactions table
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS interactions (
+        id SERIAL PRIMARY KEY,
+        userId TEXT NOT NULL,
+        username TEXT NOT NULL,
+        platform TEXT NOT NULL,
+        command TEXT NOT NULL,
+        details JSONB,
+        timestamp TIMESTAMP NOT NULL
+      )
+    `);
+    
+    // Leads table
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS leads (
+        id SERIAL PRIMARY KEY,
+        userId TEXT NOT NULL,
+        username TEXT NOT NULL,
+        platform TEXT NOT NULL,
+        source TEXT NOT NULL,
+        timestamp TIMESTAMP NOT NULL
+      )
+    `);
+    
+    // Reputation table
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS reputation (
+        userId TEXT PRIMARY KEY,
+        points INTEGER DEFAULT 0,
+        level TEXT DEFAULT 'Newcomer',
+        lastUpdated TIMESTAMP NOT NULL,
+        updatedBy TEXT
+      )
+    `);
+
+    // Settings table
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS settings (
+        id SERIAL PRIMARY KEY,
+        userId TEXT NOT NULL,
+        settings JSONB NOT NULL,
+        createdAt TIMESTAMP NOT NULL,
+        updatedAt TIMESTAMP NOT NULL,
+        FOREIGN KEY (userId) REFERENCES users(id)
+      )
+    `);
+    
+    // System-wide settings are stored under the 'system' pseudo user, which the
+    // foreign key would reject (SQLite does not enforce it, so drop it here too)
+    await client.query('ALTER TABLE settings DROP CONSTRAINT IF EXISTS settings_userid_fkey');
+    
+    // Bot restart history recorded by the bot supervisor
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS bot_restarts (
+        id SERIAL PRIMARY KEY,
+        botId TEXT NOT NULL,
+        reason TEXT NOT NULL,
+        exitCode INTEGER,
+        signal TEXT,
+        attempt INTEGER NOT NULL,
+        restartDelay INTEGER,
+        outcome TEXT NOT NULL,
+        timestamp TIMESTAMP NOT NULL
+      )
+    `);
+    
+    // Keys signing access and refresh tokens, secrets encrypted with the master key
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS signing_keys (
+        kid TEXT PRIMARY KEY,
+        purpose TEXT NOT NULL,
+        secret JSONB NOT NULL,
+        status TEXT NOT NULL,
+        createdAt TIMESTAMP NOT NULL,
+        retiredAt TIMESTAMP,
+        expiresAt TIMESTAMP
+      )
+    `);
+    
+    // Signed-in devices, each holding one refresh token at a time
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        id TEXT PRIMARY KEY,
+        userId TEXT NOT NULL,
+        tokenHash TEXT NOT NULL,
+        previousTokenHash TEXT,
+        rotatedAt TIMESTAMP,
+        userAgent TEXT,
+        ipAddress TEXT,
+        createdAt TIMESTAMP NOT NULL,
+        lastUsedAt TIMESTAMP NOT NULL,
+        expiresAt TIMESTAMP NOT NULL,
+        revokedAt TIMESTAMP,
+        revokedReason TEXT
+      )
+    `);
+    
+    await client.query('CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions (userId)');
+    
+    // Personal API tokens of automation clients, stored hashed
     await client.query(`
-      CREATE TABLE IF NOT EXISTS reputation (
-        userId TEXT PRIMARY KEY,
-        points INTEGER DEFAULT 0,
-        level TEXT DEFAULT 'Newcomer',
-        lastUpdated TIMESTAMP NOT NULL,
-        updatedBy TEXT
+      CREATE TABLE IF NOT EXISTS api_tokens (
+        id TEXT PRIMARY KEY,
+        userId TEXT NOT NULL,
+        name TEXT NOT NULL,
+        tokenHash TEXT UNIQUE NOT NULL,
+        tokenPrefix TEXT NOT NULL,
+        scopes JSONB NOT NULL,
+        allowedIps JSONB NOT NULL,
+        createdAt TIMESTAMP NOT NULL,
+        lastUsedAt TIMESTAMP,
+        lastUsedIp TEXT,
+        expiresAt TIMESTAMP,
+        revokedAt TIMESTAMP
+      )
+    `);
+    
+    await client.query('CREATE INDEX IF NOT EXISTS idx_api_tokens_user ON api_tokens (userId)');
+    
+    // One-time codes signing in when other second factors are lost, stored hashed
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS recovery_codes (
+        id TEXT PRIMARY KEY,
+        userId TEXT NOT NULL,
+        codeHash TEXT NOT NULL,
+        createdAt TIMESTAMP NOT NULL,
+        usedAt TIMESTAMP
+      )
+    `);
+    
+    await client.query('CREATE INDEX IF NOT EXISTS idx_recovery_codes_user ON recovery_codes (userId)');
+    
+    // WebAuthn passkeys, by credential ID
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS webauthn_credentials (
+        id TEXT PRIMARY KEY,
+        userId TEXT NOT NULL,
+        name TEXT NOT NULL,
+        publicKey JSONB NOT NULL,
+        algorithm INTEGER NOT NULL,
+        signCount BIGINT NOT NULL,
+        transports JSONB,
+        createdAt TIMESTAMP NOT NULL,
+        lastUsedAt TIMESTAMP
+      )
+    `);
+    
+    await client.query('CREATE INDEX IF NOT EXISTS idx_webauthn_credentials_user ON webauthn_credentials (userId)');
+    
+    // Pending WebAuthn challenges, each usable once
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS auth_challenges (
+        id TEXT PRIMARY KEY,
+        userId TEXT,
+        type TEXT NOT NULL,
+        challenge TEXT NOT NULL,
+        expiresAt TIMESTAMP NOT NULL
+      )
+    `);
+    
+    // Single-use password reset and invitation tokens, by token ID
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS account_tokens (
+        id TEXT PRIMARY KEY,
+        userId TEXT NOT NULL,
+        type TEXT NOT NULL,
+        createdBy TEXT,
+        createdAt TIMESTAMP NOT NULL,
+        expiresAt TIMESTAMP NOT NULL,
+        usedAt TIMESTAMP
+      )
+    `);
+    
+    // Custom roles, built from permission grants
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS roles (
+        id TEXT PRIMARY KEY,
+        name TEXT UNIQUE NOT NULL,
+        description TEXT,
+        grants JSONB NOT NULL,
+        createdAt TIMESTAMP NOT NULL,
+        updatedAt TIMESTAMP NOT NULL
+      )
+    `);
+    
+    // Failed sign-ins per email address, for account lockout
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS login_attempts (
+        email TEXT PRIMARY KEY,
+        failedCount INTEGER NOT NULL,
+        lastFailedAt TIMESTAMP NOT NULL,
+        lockedUntil TIMESTAMP
+      )
+    `);
+    
+    // Append-only audit trail of administrative actions, hash chained by sequence
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS audit_log (
+        sequence BIGINT PRIMARY KEY,
+        timestamp TIMESTAMPTZ NOT NULL,
+        actorId TEXT,
+        actorUsername TEXT,
+        ipAddress TEXT,
+        userAgent TEXT,
+        action TEXT NOT NULL,
+        outcome TEXT NOT NULL,
+        targetType TEXT,
+        targetId TEXT,
+        changes JSONB,
+        details JSONB,
+        requestId TEXT,
+        previousHash TEXT NOT NULL,
+        hash TEXT NOT NULL
+      )
+    `);
+    
+    await client.query('CREATE INDEX IF NOT EXISTS idx_audit_log_timestamp ON audit_log (timestamp)');
+    
+    await client.query(`
+      CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+      BEGIN
+        RAISE EXCEPTION 'audit_log is append-only';
+      END;
+      $$ LANGUAGE plpgsql
+    `);
+    await client.query('DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log');
+    await client.query(`
+      CREATE TRIGGER audit_log_append_only BEFORE UPDATE OR DELETE ON audit_log
+      FOR EACH ROW EXECUTE FUNCTION audit_log_append_only()
+    `);
+    
+    // Structured application logs, queried by the /logs endpoint
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS app_logs (
+        id SERIAL PRIMARY KEY,
+        timestamp TIMESTAMP NOT NULL,
+        level TEXT NOT NULL,
+        source TEXT NOT NULL,
+        message TEXT NOT NULL,
+        botId TEXT,
+        platform TEXT,
+        userId TEXT,
+        requestId TEXT,
+        meta JSONB
+      )
+    `);
+    
+    await client.query('CREATE INDEX IF NOT EXISTS idx_app_logs_timestamp ON app_logs (timestamp)');
+    
+    // Conversation state table, one in-progress flow per bot user
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS conversation_states (
+        id TEXT PRIMARY KEY,
+        platform TEXT NOT NULL,
+        botId TEXT,
+        userId TEXT NOT NULL,
+        flow TEXT NOT NULL,
+        step TEXT NOT NULL,
+        data JSONB NOT NULL,
+        expiresAt TIMESTAMP NOT NULL,
+        updatedAt TIMESTAMP NOT NULL
+      )
+    `);
+    
+    // Auto-reply rules table, seeded with the default replies when it is first created
+    const rulesTable = await client.query("SELECT to_regclass('auto_reply_rules') AS name");
+    
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS auto_reply_rules (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        triggerType TEXT NOT NULL,
+        pattern TEXT NOT NULL,
+        response TEXT NOT NULL,
+        faqTitle TEXT,
+        platform TEXT,
+        botId TEXT,
+        priority INTEGER DEFAULT 0,
+        enabled BOOLEAN DEFAULT TRUE,
+        handoff BOOLEAN DEFAULT FALSE,
+        createdAt TIMESTAMP NOT NULL,
+        updatedAt TIMESTAMP NOT NULL
+      )
+    `);
+    
+    if (!rulesTable.rows[0].name) {
+      for (const rule of getDefaultAutoReplyRules()) {
+        await client.query(`
+          INSERT INTO auto_reply_rules
+          (id, name, triggerType, pattern, response, faqTitle, platform, botId, priority, enabled, createdAt, updatedAt)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+        `, [rule.id, rule.name, rule.triggerType, rule.pattern, rule.response, rule.faqTitle, null, null, rule.priority, true, rule.createdAt, rule.updatedAt]);
+      }
+      logger.info('Default auto-reply rules created in PostgreSQL');
+    }
+    
+    await client.query('ALTER TABLE auto_reply_rules ADD COLUMN IF NOT EXISTS handoff BOOLEAN DEFAULT FALSE');
+    
+    // SLA policies: response and resolution targets of tickets by priority and platform
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS sla_policies (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        priority TEXT NOT NULL,
+        platform TEXT,
+        firstResponseMinutes INTEGER,
+        resolutionMinutes INTEGER,
+        businessHours BOOLEAN DEFAULT TRUE,
+        escalatePriority BOOLEAN DEFAULT TRUE,
+        escalateTo TEXT,
+        enabled BOOLEAN DEFAULT TRUE,
+        createdAt TIMESTAMP NOT NULL,
+        updatedAt TIMESTAMP NOT NULL
       )
     `);
+    
+    // Check if admin user exists, create if not
+    const result = await client.query('SELECT * FROM users WHERE role = $1', ['Administrator']);
+    
+    if (result.rows.length === 0) {
+      // Create default admin user with the specified credentials
+      const saltRounds = 10;
+      const defaultPassword = "Password123"; // As requested
+      
+      const hash = await bcrypt.hash(defaultPassword, saltRounds);
+      
+      await client.query(`
+        INSERT INTO users (id, username, email, password, role, status, createdAt)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+      `, [
+        'admin-' + Date.now(),
+        'admin',
+        'admin@redwan.work', // Updated email as requested
+        hash,
+        'Administrator',
+        'active',
+        new Date()
+      ]);
+      
+      logger.info('Default admin user created in PostgreSQL');
+    }
+  } catch (error) {
+    logger.error('Error creating PostgreSQL tables:', error);
+    throw error;
+  }
+}
+
+/**
+ * Initialize MongoDB database
+ */
+async function initializeMongoDB() {
+  try {
+    const url = DB_URL || `mongodb://${DB_USER}:${DB_PASSWORD}@${DB_HOST}:${DB_PORT}/${DB_NAME}`;
+    client = new MongoClient(url, { useNewUrlParser: true, useUnifiedTopology: true });
+    
+    await client.connect();
+    logger.info('Connected to MongoDB database');
+    
+    db = client.db(DB_NAME);
+    
+    // Create collections and indexes
+    await createMongoDBCollections();
+    
+    return db;
+  } catch (error) {
+    logger.error('Error connecting to MongoDB:', error);
+    throw error;
+  }
+}
+
+/**
+ * Create MongoDB collections and indexes
+ */
+async function createMongoDBCollections() {
+  try {
+    // Create collections if they don't exist
+    const collections = await db.listCollections().toArray();
+    const collectionNames = collections.map(c => c.name);
+    
+    if (!collectionNames.includes('users')) {
+      await db.createCollection('users');
+      await db.collection('users').createIndex({ email: 1 }, { unique: true });
+    }
+    
+    if (!collectionNames.includes('bots')) {
+      await db.createCollection('bots');
+    }
+    
+    if (!collectionNames.includes('tickets')) {
+      await db.createCollection('tickets');
+      await db.collection('tickets').createIndex({ ticketId: 1 }, { unique: true });
+    }
+    
+    if (!collectionNames.includes('ticket_messages')) {
+      await db.createCollection('ticket_messages');
+      await db.collection('ticket_messages').createIndex({ id: 1 }, { unique: true });
+      await db.collection('ticket_messages').createIndex({ ticketId: 1, createdAt: 1 });
+    }
+    
+    if (!collectionNames.includes('conversations')) {
+      await db.createCollection('conversations');
+      await db.collection('conversations').createIndex({ id: 1 }, { unique: true });
+      await db.collection('conversations').createIndex({ lastMessageAt: -1 });
+    }
+    
+    if (!collectionNames.includes('conversation_messages')) {
+      await db.createCollection('conversation_messages');
+      await db.collection('conversation_messages').createIndex({ id: 1 }, { unique: true });
+      await db.collection('conversation_messages').createIndex({ conversationId: 1, createdAt: 1 });
+    }
+    
+    if (!collectionNames.includes('interactions')) {
+      await db.createCollection('interactions');
+      await db.collection('interactions').createIndex({ timestamp: 1 });
+    }
+    
+    if (!collectionNames.includes('leads')) {
+      await db.createCollection('leads');
+      await db.collection('leads').createIndex({ timestamp: 1 });
+    }
+    
+    if (!collectionNames.includes('reputation')) {
+      await db.createCollection('reputation');
+      await db.collection('reputation').createIndex({ userId: 1 }, { unique: true });
+    }
+
+    if (!collectionNames.includes('settings')) {
+      await db.createCollection('settings');
+      await db.collection('settings').createIndex({ userId: 1 }, { unique: true });
+    }
+    
+    if (!collectionNames.includes('bot_restarts')) {
+      await db.createCollection('bot_restarts');
+      await db.collection('bot_restarts').createIndex({ botId: 1, timestamp: -1 });
+    }
+    
+    if (!collectionNames.includes('signing_keys')) {
+      await db.createCollection('signing_keys');
+      await db.collection('signing_keys').createIndex({ kid: 1 }, { unique: true });
+    }
+    
+    if (!collectionNames.includes('sessions')) {
+      await db.createCollection('sessions');
+      await db.collection('sessions').createIndex({ id: 1 }, { unique: true });
+      await db.collection('sessions').createIndex({ userId: 1 });
+    }
+    
+    if (!collectionNames.includes('user_identities')) {
+      await db.createCollection('user_identities');
+      await db.collection('user_identities').createIndex({ issuer: 1, subject: 1 }, { unique: true });
+      await db.collection('user_identities').createIndex({ userId: 1 });
+    }
+    
+    if (!collectionNames.includes('api_tokens')) {
+      await db.createCollection('api_tokens');
+      await db.collection('api_tokens').createIndex({ id: 1 }, { unique: true });
+      await db.collection('api_tokens').createIndex({ tokenHash: 1 }, { unique: true });
+      await db.collection('api_tokens').createIndex({ userId: 1 });
+    }
+    
+    if (!collectionNames.includes('recovery_codes')) {
+      await db.createCollection('recovery_codes');
+      await db.collection('recovery_codes').createIndex({ id: 1 }, { unique: true });
+      await db.collection('recovery_codes').createIndex({ userId: 1 });
+    }
+    
+    if (!collectionNames.includes('webauthn_credentials')) {
+      await db.createCollection('webauthn_credentials');
+      await db.collection('webauthn_credentials').createIndex({ id: 1 }, { unique: true });
+      await db.collection('webauthn_credentials').createIndex({ userId: 1 });
+    }
+    
+    if (!collectionNames.includes('auth_challenges')) {
+      await db.createCollection('auth_challenges');
+      await db.collection('auth_challenges').createIndex({ id: 1 }, { unique: true });
+    }
+    
+    if (!collectionNames.includes('account_tokens')) {
+      await db.createCollection('account_tokens');
+      await db.collection('account_tokens').createIndex({ id: 1 }, { unique: true });
+      await db.collection('account_tokens').createIndex({ userId: 1, type: 1 });
+    }
+    
+    if (!collectionNames.includes('roles')) {
+      await db.createCollection('roles');
+      await db.collection('roles').createIndex({ id: 1 }, { unique: true });
+      await db.collection('roles').createIndex({ name: 1 }, { unique: true });
+    }
+    
+    if (!collectionNames.includes('login_attempts')) {
+      await db.createCollection('login_attempts');
+      await db.collection('login_attempts').createIndex({ email: 1 }, { unique: true });
+    }
+    
+    if (!collectionNames.includes('audit_log')) {
+      await db.createCollection('audit_log');
+      await db.collection('audit_log').createIndex({ sequence: 1 }, { unique: true });
+      await db.collection('audit_log').createIndex({ timestamp: -1 });
+    }
+    
+    if (!collectionNames.includes('app_logs')) {
+      await db.createCollection('app_logs');
+      await db.collection('app_logs').createIndex({ timestamp: -1 });
+      await db.collection('app_logs').createIndex({ botId: 1, timestamp: -1 });
+    }
+    
+    if (!collectionNames.includes('conversation_states')) {
+      await db.createCollection('conversation_states');
+      await db.collection('conversation_states').createIndex({ id: 1 }, { unique: true });
+      // Let MongoDB drop expired states on its own
+      await db.collection('conversation_states').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    }
+    
+    if (!collectionNames.includes('auto_reply_rules')) {
+      await db.createCollection('auto_reply_rules');
+      await db.collection('auto_reply_rules').createIndex({ id: 1 }, { unique: true });
+      await db.collection('auto_reply_rules').insertMany(getDefaultAutoReplyRules().map(rule => ({
+        ...rule,
+        platform: null,
+        botId: null,
+        enabled: true,
+        handoff: false
+      })));
+      logger.info('Default auto-reply rules created in MongoDB');
+    }
+    
+    if (!collectionNames.includes('sla_policies')) {
+      await db.createCollection('sla_policies');
+      await db.collection('sla_policies').createIndex({ id: 1 }, { unique: true });
+    }
+    
+    // Check if admin user exists, create if not
+    const adminUser = await db.collection('users').findOne({ role: 'Administrator' });
+    
+    if (!adminUser) {
+      // Create default admin user with the specified credentials
+      const saltRounds = 10;
+      const defaultPassword = "Password123"; // As requested
+      
+      const hash = await bcrypt.hash(defaultPassword, saltRounds);
+      
+      await db.collection('users').insertOne({
+        id: 'admin-' + Date.now(),
+        username: 'admin',
+        email: 'admin@redwan.work', // Updated email as requested
+        password: hash,
+        role: 'Administrator',
+        status: 'active',
+        twoFactorEnabled: false,
+        createdAt: new Date(),
+        lastLogin: null
+      });
+      
+      logger.info('Default admin user created in MongoDB');
+    }
+  } catch (error) {
+    logger.error('Error creating MongoDB collections:', error);
+    throw error;
+  }
+}
+
+/**
+ * Close the database connection
+ */
+async function closeDatabase() {
+  try {
+    if (DB_ENGINE === 'SQLITE' && db) {
+      return new Promise((resolve, reject) => {
+        db.close((err) => {
+          if (err) {
+            logger.error('Error closing SQLite database:', err);
+            reject(err);
+            return;
+          }
+          logger.info('SQLite database connection closed');
+          resolve();
+        });
+      });
+    } else if (DB_ENGINE === 'POSTGRESQL' && db) {
+      await db.end();
+      logger.info('PostgreSQL database connection closed');
+    } else if (DB_ENGINE === 'MONGODB' && client) {
+      await client.close();
+      logger.info('MongoDB database connection closed');
+    }
+  } catch (error) {
+    logger.error('Error closing database connection:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get active bots from the database
+ * @returns {Promise<Array>} Array of active bot objects
+ */
+async function getActiveBots() {
+  try {
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        const result = await db.query('SELECT * FROM bots WHERE status = $1', ['online']);
+        return result.rows;
+      
+      case 'MONGODB':
+        return await db.collection('bots').find({ status: 'online' }).toArray();
+      
+      case 'SQLITE':
+      default:
+        return new Promise((resolve, reject) => {
+          db.all('SELECT * FROM bots WHERE status = ?', ['online'], (err, rows) => {
+            if (err) {
+              logger.error('Error getting active bots:', err);
+              reject(err);
+              return;
+            }
+            resolve(rows || []);
+          });
+        });
+    }
+  } catch (error) {
+    logger.error('Error getting active bots:', error);
+    return []; // Return empty array instead of throwing to prevent app crash
+  }
+}
+
+/**
+ * Update bot status in the database
+ * @param {string} id - Bot ID
+ * @param {string} status - New status ('online', 'offline', 'error')
+ */
+async function updateBotStatus(id, status) {
+  try {
+    const now = new Date().toISOString();
+    
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        await db.query(
+          'UPDATE bots SET status = $1, lastActive = $2 WHERE id = $3',
+          [status, now, id]
+        );
+        break;
+      
+      case 'MONGODB':
+        await db.collection('bots').updateOne(
+          { id },
+          { $set: { status, lastActive: now } }
+        );
+        break;
+      
+      case 'SQLITE':
+      default:
+        return new Promise((resolve, reject) => {
+          db.run(
+            'UPDATE bots SET status = ?, lastActive = ? WHERE id = ?',
+            [status, now, id],
+            function(err) {
+              if (err) {
+                logger.error('Error updating bot status:', err);
+                reject(err);
+                return;
+              }
+              resolve();
+            }
+          );
+        });
+    }
+    
+    logger.info(`Updated bot ${id} status to ${status}`);
+  } catch (error) {
+    logger.error('Error updating bot status:', error);
+    throw error;
+  }
+}
+
+/**
+ * Record a crash of a bot process and what the supervisor did about it
+ * @param {Object} restartData - Bot ID, reason, exit code, signal, attempt, restart delay and outcome
+ * @returns {Promise<boolean>} Success status
+ */
+async function logBotRestart(restartData) {
+  try {
+    const { botId, reason, exitCode = null, signal = null, attempt, restartDelay = null, outcome } = restartData;
+    const now = new Date().toISOString();
+    const sqlQuery = `
+      INSERT INTO bot_restarts 
+      (botId, reason, exitCode, signal, attempt, restartDelay, outcome, timestamp) 
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+    const sqlParams = [botId, reason, exitCode, signal, attempt, restartDelay, outcome, now];
+    
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        await db.query(toPgPlaceholders(sqlQuery), sqlParams);
+        break;
+      
+      case 'MONGODB':
+        await db.collection('bot_restarts').insertOne({ botId, reason, exitCode, signal, attempt, restartDelay, outcome, timestamp: now });
+        break;
+      
+      case 'SQLITE':
+      default:
+        await new Promise((resolve, reject) => {
+          db.run(sqlQuery, sqlParams, (err) => {
+            if (err) {
+              reject(err);
+              return;
+            }
+            resolve();
+          });
+        });
+    }
+    
+    return true;
+  } catch (error) {
+    logger.error('Error logging bot restart:', error);
+    return false;
+  }
+}
+
+/**
+ * Get the restart history of a bot, most recent first
+ * @param {string} botId - Bot ID
+ * @param {number} limit - Maximum number of entries
+ * @returns {Promise<Array>} Restart history entries
+ */
+async function getBotRestarts(botId, limit = 50) {
+  try {
+    let rows;
+    
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        const result = await db.query('SELECT * FROM bot_restarts WHERE botId = $1 ORDER BY timestamp DESC, id DESC LIMIT $2', [botId, limit]);
+        rows = result.rows;
+        break;
+      
+      case 'MONGODB':
+        rows = await db.collection('bot_restarts')
+          .find({ botId })
+          .sort({ timestamp: -1, _id: -1 })
+          .limit(limit)
+          .toArray();
+        break;
+      
+      case 'SQLITE':
+      default:
+        rows = await new Promise((resolve, reject) => {
+          db.all('SELECT * FROM bot_restarts WHERE botId = ? ORDER BY timestamp DESC, id DESC LIMIT ?', [botId, limit], (err, sqliteRows) => {
+            if (err) {
+              reject(err);
+              return;
+            }
+            resolve(sqliteRows || []);
+          });
+        });
+    }
+    
+    return rows.map(row => normalizeTableRow('bot_restarts', row));
+  } catch (error) {
+    logger.error('Error getting bot restarts:', error);
+    return [];
+  }
+}
+
+// Random digits after the platform prefix of ticket IDs, e.g. TG-48213907
+const TICKET_ID_MIN = 10000000;
+const TICKET_ID_MAX = 100000000;
+
+// IDs generated again when a ticket ID is already taken
+const TICKET_ID_ATTEMPTS = 5;
+
+// Tell whether an insert failed because a unique column already holds the value
+function isUniqueViolation(error) {
+  return (error?.code === 'SQLITE_CONSTRAINT' && /UNIQUE/.test(error.message)) ||
+    error?.code === '23505' ||
+    error?.code === 11000;
+}
+
+// Insert a ticket, leaving errors to the caller so a taken ID can be generated again
+async function insertTicket(ticketData) {
+  const { ticketId, userId, username, platform, issue, status, priority = 'medium', email = null, botId = null, chatId = null } = ticketData;
+  const now = new Date().toISOString();
+
+  switch (DB_ENGINE) {
+    case 'POSTGRESQL':
+      await db.query(`
+        INSERT INTO tickets 
+        (ticketId, userId, username, platform, issue, status, priority, email, botId, chatId, createdAt) 
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      `, [ticketId, userId, username, platform, issue, status, priority, email, botId, chatId, now]);
+      break;
+    
+    case 'MONGODB':
+      await db.collection('tickets').insertOne({
+        ticketId,
+        userId,
+        username,
+        platform,
+        issue,
+        status,
+        priority,
+        email,
+        botId,
+        chatId,
+        createdAt: now
+      });
+      break;
+    
+    case 'SQLITE':
+    default:
+      await new Promise((resolve, reject) => {
+        db.run(`
+          INSERT INTO tickets 
+          (ticketId, userId, username, platform, issue, status, priority, email, botId, chatId, createdAt) 
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [ticketId, userId, username, platform, issue, status, priority, email, botId, chatId, now], (err) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+          resolve();
+        });
+      });
+  }
+}
+
+/**
+ * Create a new ticket in the database.
+ * Tickets created by a bot keep its ID and the chat replies are sent to.
+ * Without a ticketId, one is generated from ticketPrefix and generated again
+ * while it is already taken.
+ * @returns {Promise<string|null>} ID of the created ticket, or null on failure
+ */
+async function createTicket({ ticketPrefix, ...ticketData }) {
+  try {
+    const attempts = ticketData.ticketId ? 1 : TICKET_ID_ATTEMPTS;
+
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      const ticketId = ticketData.ticketId || `${ticketPrefix}-${randomInt(TICKET_ID_MIN, TICKET_ID_MAX)}`;
+
+      try {
+        await insertTicket({ ...ticketData, ticketId });
+      } catch (error) {
+        if (attempt < attempts && isUniqueViolation(error)) {
+          continue;
+        }
+
+        throw error;
+      }
+
+      logger.info(`Ticket ${ticketId} created by ${ticketData.username}`);
+      return ticketId;
+    }
+  } catch (error) {
+    logger.error('Error creating ticket:', error);
+  }
+
+  return null;
+}
+
+/**
+ * Log an interaction in the database
+ */
+async function logInteraction(interactionData) {
+  try {
+    const { userId, username, platform, command, details } = interactionData;
+    const now = new Date().toISOString();
+
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        await db.query(`
+          INSERT INTO interactions 
+          (userId, username, platform, command, details, timestamp) 
+          VALUES ($1, $2, $3, $4, $5, $6)
+        `, [userId, username, platform, command, JSON.stringify(details), now]);
+        break;
+      
+      case 'MONGODB':
+        await db.collection('interactions').insertOne({
+          userId, 
+          username, 
+          platform, 
+          command, 
+          details, 
+          timestamp: now
+        });
+        break;
+      
+      case 'SQLITE':
+      default:
+        return new Promise((resolve, reject) => {
+          db.run(`
+            INSERT INTO interactions 
+            (userId, username, platform, command, details, timestamp) 
+            VALUES (?, ?, ?, ?, ?, ?)
+          `, [userId, username, platform, command, JSON.stringify(details), now], function(err) {
+            if (err) {
+              reject(err);
+              return;
+            }
+            resolve();
+          });
+        });
+    }
+    
+    return true;
+  } catch (error) {
+    logger.error('Error logging interaction:', error);
+    return false;
+  }
+}
+
+/**
+ * Store a new lead in the database
+ */
+async function storeLead(leadData) {
+  try {
+    const { userId, username, platform, source } = leadData;
+    const now = new Date().toISOString();
+
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        await db.query(`
+          INSERT INTO leads 
+          (userId, username, platform, source, timestamp) 
+          VALUES ($1, $2, $3, $4, $5)
+        `, [userId, username, platform, source, now]);
+        break;
+      
+      case 'MONGODB':
+        await db.collection('leads').insertOne({
+          userId, 
+          username, 
+          platform, 
+          source, 
+          timestamp: now
+        });
+        break;
+      
+      case 'SQLITE':
+      default:
+        return new Promise((resolve, reject) => {
+          db.run(`
+            INSERT INTO leads 
+            (userId, username, platform, source, timestamp) 
+            VALUES (?, ?, ?, ?, ?)
+          `, [userId, username, platform, source, now], function(err) {
+            if (err) {
+              reject(err);
+              return;
+            }
+            resolve();
+          });
+        });
+    }
+    
+    logger.info(`New lead stored: ${username} from ${platform} via ${source}`);
+    return true;
+  } catch (error) {
+    logger.error('Error storing lead:', error);
+    return false;
+  }
+}
+
+/**
+ * Get reputation for a user
+ */
+async function getReputation(userId) {
+  try {
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        const result = await db.query('SELECT * FROM reputation WHERE userId = $1', [userId]);
+        return result.rows[0] || null;
+      
+      case 'MONGODB':
+        return await db.collection('reputation').findOne({ userId });
+      
+      case 'SQLITE':
+      default:
+        return new Promise((resolve, reject) => {
+          db.get('SELECT * FROM reputation WHERE userId = ?', [userId], (err, row) => {
+            if (err) {
+              reject(err);
+              return;
+            }
+            resolve(row || null);
+          });
+        });
+    }
+  } catch (error) {
+    logger.error('Error getting reputation:', error);
+    return null;
+  }
+}
+
+/**
+ * Add reputation points for a user
+ */
+async function addReputation(userId, points, updatedBy) {
+  try {
+    const now = new Date().toISOString();
+    const currentRep = await getReputation(userId);
+    
+    if (currentRep) {
+      const newPoints = currentRep.points + points;
+      const level = calculateLevel(newPoints);
+      
+      switch (DB_ENGINE) {
+        case 'POSTGRESQL':
+          await db.query(
+            'UPDATE reputation SET points = $1, level = $2, lastUpdated = $3, updatedBy = $4 WHERE userId = $5',
+            [newPoints, level, now, updatedBy, userId]
+          );
+          break;
+        
+        case 'MONGODB':
+          await db.collection('reputation').updateOne(
+            { userId },
+            { $set: { points: newPoints, level, lastUpdated: now, updatedBy } }
+          );
+          break;
+        
+        case 'SQLITE':
+        default:
+          return new Promise((resolve, reject) => {
+            db.run(
+              'UPDATE reputation SET points = ?, level = ?, lastUpdated = ?, updatedBy = ? WHERE userId = ?',
+              [newPoints, level, now, updatedBy, userId],
+              function(err) {
+                if (err) {
+                  reject(err);
+                  return;
+                }
+                resolve();
+              }
+            );
+          });
+      }
+    } else {
+      const level = calculateLevel(points);
+      
+      switch (DB_ENGINE) {
+        case 'POSTGRESQL':
+          await db.query(
+            'INSERT INTO reputation (userId, points, level, lastUpdated, updatedBy) VALUES ($1, $2, $3, $4, $5)',
+            [userId, points, level, now, updatedBy]
+          );
+          break;
+        
+        case 'MONGODB':
+          await db.collection('reputation').insertOne({
+            userId, 
+            points, 
+            level, 
+            lastUpdated: now, 
+            updatedBy
+          });
+          break;
+        
+        case 'SQLITE':
+        default:
+          return new Promise((resolve, reject) => {
+            db.run(
+              'INSERT INTO reputation (userId, points, level, lastUpdated, updatedBy) VALUES (?, ?, ?, ?, ?)',
+              [userId, points, level, now, updatedBy],
+              function(err) {
+                if (err) {
+                  reject(err);
+                  return;
+                }
+                resolve();
+              }
+            );
+          });
+      }
+    }
+    
+    logger.info(`Added ${points} reputation points to user ${userId}`);
+    return true;
+  } catch (error) {
+    logger.error('Error adding reputation:', error);
+    return false;
+  }
+}
+
+/**
+ * Calculate reputation level based on points
+ */
+function calculateLevel(points) {
+  if (points < 100) return 'Newcomer';
+  if (points < 500) return 'Regular';
+  if (points < 1000) return 'Contributor';
+  if (points < 2500) return 'Advocate';
+  return 'Champion';
+}
+
+/**
+ * Get settings for a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} Settings object
+ */
+async function getUserSettings(userId) {
+  try {
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        const result = await db.query('SELECT * FROM settings WHERE userId = $1', [userId]);
+        return result.rows[0] || null;
+      
+      case 'MONGODB':
+        return await db.collection('settings').findOne({ userId });
+      
+      case 'SQLITE':
+      default:
+        return new Promise((resolve, reject) => {
+          db.get('SELECT * FROM settings WHERE userId = ?', [userId], (err, row) => {
+            if (err) {
+              reject(err);
+              return;
+            }
+            resolve(row || null);
+          });
+        });
+    }
+  } catch (error) {
+    logger.error('Error getting user settings:', error);
+    return null;
+  }
+}
+
+/**
+ * Save settings for a user
+ * @param {string} userId - User ID
+ * @param {Object} settings - Settings object
+ * @returns {Promise<boolean>} Success status
+ */
+async function saveUserSettings(userId, settings) {
+  try {
+    const now = new Date().toISOString();
+    const settingsJson = JSON.stringify(settings);
+    
+    // Check if settings already exist
+    const existingSettings = await getUserSettings(userId);
+    
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        if (existingSettings) {
+          await db.query(
+            'UPDATE settings SET settings = $1, updatedAt = $2 WHERE userId = $3',
+            [settingsJson, now, userId]
+          );
+        } else {
+          await db.query(
+            'INSERT INTO settings (userId, settings, createdAt, updatedAt) VALUES ($1, $2, $3, $4)',
+            [userId, settingsJson, now, now]
+          );
+        }
+        break;
+      
+      case 'MONGODB':
+        if (existingSettings) {
+          await db.collection('settings').updateOne(
+            { userId },
+            { $set: { settings, updatedAt: now } }
+          );
+        } else {
+          await db.collection('settings').insertOne({
+            userId,
+            settings,
+            createdAt: now,
+            updatedAt: now
+          });
+        }
+        break;
+      
+      case 'SQLITE':
+      default:
+        return new Promise((resolve, reject) => {
+          if (existingSettings) {
+            db.run(
+              'UPDATE settings SET settings = ?, updatedAt = ? WHERE userId = ?',
+              [settingsJson, now, userId],
+              function(err) {
+                if (err) {
+                  reject(err);
+                  return;
+                }
+                resolve(true);
+              }
+            );
+          } else {
+            db.run(
+              'INSERT INTO settings (userId, settings, createdAt, updatedAt) VALUES (?, ?, ?, ?)',
+              [userId, settingsJson, now, now],
+              function(err) {
+                if (err) {
+                  reject(err);
+                  return;
+                }
+                resolve(true);
+              }
+            );
+          }
+        });
+    }
+    
+    logger.info(`Settings updated for user ${userId}`);
+    return true;
+  } catch (error) {
+    logger.error('Error saving user settings:', error);
+    return false;
+  }
+}
+
+/**
+ * Parse a stored bot config and decrypt its credentials
+ * @param {Object|string} config - Config as returned by the driver
+ * @returns {Object|string} Decrypted config; secrets that cannot be decrypted are left encrypted
+ */
+function parseBotConfig(config) {
+  let parsed = config;
+  
+  if (typeof parsed === 'string') {
+    try {
+      parsed = JSON.parse(parsed);
+    } catch (e) {
+      // Keep as string if parsing fails
+      return parsed;
+    }
+  }
+  
+  try {
+    return decryptBotConfig(parsed);
+  } catch (error) {
+    logger.error('Error decrypting bot credentials:', error);
+    return parsed;
+  }
+}
+
+/**
+ * Create a new bot in the database
+ * @param {Object} botData - Bot data
+ * @returns {Promise<string|boolean>} Bot ID if successful, false if failed
+ */
+async function createBot(botData) {
+  try {
+    const { name, platform, type } = botData;
+    const id = `bot-${Date.now()}-${Math.random().toString(36).substring(2, 7)}`;
+    const status = 'offline';
+    const createdAt = new Date().toISOString();
+    
+    // Credentials are never stored in clear text
+    const config = encryptBotConfig(botData.config);
+    
+    let configStr;
+    if (typeof config === 'object') {
+      configStr = JSON.stringify(config);
+    } else {
+      configStr = config;
+    }
+    
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        await db.query(
+          'INSERT INTO bots (id, name, platform, type, status, config, createdAt) VALUES ($1, $2, $3, $4, $5, $6, $7)',
+          [id, name, platform, type, status, configStr, createdAt]
+        );
+        break;
+      
+      case 'MONGODB':
+        await db.collection('bots').insertOne({
+          id,
+          name,
+          platform,
+          type,
+          status,
+          config: typeof config === 'object' ? config : JSON.parse(configStr),
+          createdAt,
+          lastActive: null
+        });
+        break;
+      
+      case 'SQLITE':
+      default:
+        return new Promise((resolve, reject) => {
+          db.run(
+            'INSERT INTO bots (id, name, platform, type, status, config, createdAt) VALUES (?, ?, ?, ?, ?, ?, ?)',
+            [id, name, platform, type, status, configStr, createdAt],
+            function(err) {
+              if (err) {
+                reject(err);
+                return;
+              }
+              resolve(id);
+            }
+          );
+        });
+    }
+    
+    logger.info(`Bot created: ${name} (${platform} ${type}) with ID: ${id}`);
+    return id;
+  } catch (error) {
+    logger.error('Error creating bot:', error);
+    return false;
+  }
+}
+
+/**
+ * Get all bots from the database
+ * @returns {Promise<Array>} Array of bot objects
+ */
+async function getAllBots() {
+  try {
+    // Ensure database connection
+    const connection = await getConnection();
+
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        const result = await connection.query('SELECT * FROM bots ORDER BY createdAt DESC');
+        return result.rows.map(bot => ({
+          ...bot,
+          config: parseBotConfig(bot.config)
+        }));
+      
+      case 'MONGODB':
+        const mongoBots = await connection.collection('bots').find({}).sort({ createdAt: -1 }).toArray();
+        return mongoBots.map(bot => ({ ...bot, config: parseBotConfig(bot.config) }));
+      
+      case 'SQLITE':
+      default:
+        return new Promise((resolve, reject) => {
+          connection.all('SELECT * FROM bots ORDER BY createdAt DESC', [], (err, rows) => {
+            if (err) {
+              reject(err);
+              return;
+            }
+            
+            // Parse and decrypt the config of every bot
+            const bots = rows || [];
+            bots.forEach(bot => {
+              bot.config = parseBotConfig(bot.config);
+            });
+            
+            resolve(bots);
+          });
+        });
+    }
+  } catch (error) {
+    logger.error('Error getting all bots:', error);
+    return [];
+  }
+}
+
+/**
+ * Get a bot by ID
+ * @param {string} id - Bot ID
+ * @returns {Promise<Object|null>} Bot object or null if not found
+ */
+async function getBotById(id) {
+  try {
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        const result = await db.query('SELECT * FROM bots WHERE id = $1', [id]);
+        if (result.rows.length === 0) return null;
+        
+        const bot = result.rows[0];
+        bot.config = parseBotConfig(bot.config);
+        return bot;
+      
+      case 'MONGODB':
+        const mongoBot = await db.collection('bots').findOne({ id });
+        return mongoBot && { ...mongoBot, config: parseBotConfig(mongoBot.config) };
+      
+      case 'SQLITE':
+      default:
+        return new Promise((resolve, reject) => {
+          db.get('SELECT * FROM bots WHERE id = ?', [id], (err, row) => {
+            if (err) {
+              reject(err);
+              return;
+            }
+            
+            if (!row) {
+              resolve(null);
+              return;
+            }
+            
+            // Parse and decrypt config
+            row.config = parseBotConfig(row.config);
+            
+            resolve(row);
+          });
+        });
+    }
+  } catch (error) {
+    logger.error('Error getting bot by ID:', error);
+    return null;
+  }
+}
+
+/**
+ * Update a bot in the database
+ * @param {string} id - Bot ID
+ * @param {Object} botData - Bot data to update
+ * @returns {Promise<boolean>} Success status
+ */
+async function updateBot(id, botData) {
+  try {
+    const { name, platform, type, status, config } = botData;
+    const updatableFields = {};
+    
+    if (name !== undefined) updatableFields.name = name;
+    if (platform !== undefined) updatableFields.platform = platform;
+    if (type !== undefined) updatableFields.type = type;
+    if (status !== undefined) updatableFields.status = status;
+    
+    // Handle config separately since it needs encryption and JSON conversion
+    let configStr;
+    if (config !== undefined) {
+      if (typeof config === 'object') {
+        configStr = JSON.stringify(encryptBotConfig(config));
+        updatableFields.config = configStr;
+      } else {
+        configStr = config;
+        updatableFields.config = config;
+      }
+    }
+    
+    // If there's nothing to update
+    if (Object.keys(updatableFields).length === 0) {
+      return false;
+    }
+    
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        // Construct dynamic query
+        const fields = Object.keys(updatableFields);
+        const values = fields.map(field => updatableFields[field]);
+        values.push(id); // Add ID for WHERE clause
+        
+        const query = `UPDATE bots SET ${fields.map((field, i) => `${field} = $${i+1}`).join(', ')} WHERE id = $${fields.length + 1}`;
+        await db.query(query, values);
+        break;
+      
+      case 'MONGODB':
+        const updateDoc = { $set: updatableFields };
+        await db.collection('bots').updateOne({ id }, updateDoc);
+        break;
+      
+      case 'SQLITE':
+      default:
+        return new Promise((resolve, reject) => {
+          // Construct dynamic query
+          const fields = Object.keys(updatableFields);
+          const values = fields.map(field => updatableFields[field]);
+          values.push(id); // Add ID for WHERE clause
+          
+          const query = `UPDATE bots SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`;
+          db.run(query, values, function(err) {
+            if (err) {
+              reject(err);
+              return;
+            }
+            resolve(this.changes > 0);
+          });
+        });
+    }
+    
+    logger.info(`Bot updated: ${id}`);
+    return true;
+  } catch (error) {
+    logger.error('Error updating bot:', error);
+    return false;
+  }
+}
+
+/**
+ * Delete a bot from the database
+ * @param {string} id - Bot ID
+ * @returns {Promise<boolean>} Success status
+ */
+async function deleteBot(id) {
+  try {
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        const result = await db.query('DELETE FROM bots WHERE id = $1', [id]);
+        return result.rowCount > 0;
+      
+      case 'MONGODB':
+        const deleteResult = await db.collection('bots').deleteOne({ id });
+        return deleteResult.deletedCount > 0;
+      
+      case 'SQLITE':
+      default:
+        return new Promise((resolve, reject) => {
+          db.run('DELETE FROM bots WHERE id = ?', [id], function(err) {
+            if (err) {
+              reject(err);
+              return;
+            }
+            resolve(this.changes > 0);
+          });
+        });
+    }
+    
+    logger.info(`Bot deleted: ${id}`);
+    return true;
+  } catch (error) {
+    logger.error('Error deleting bot:', error);
+    return false;
+  }
+}
+
+/**
+ * Encrypt the credentials of bots stored in clear text or under a previous master key
+ * @returns {Promise<number>} Number of bots encrypted
+ */
+async function encryptStoredBotConfigs() {
+  try {
+    let rows;
+    
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        const result = await db.query('SELECT id, config FROM bots');
+        rows = result.rows;
+        break;
+      
+      case 'MONGODB':
+        rows = await db.collection('bots').find({}).project({ id: 1, config: 1 }).toArray();
+        break;
+      
+      case 'SQLITE':
+      default:
+        rows = await new Promise((resolve, reject) => {
+          db.all('SELECT id, config FROM bots', [], (err, sqliteRows) => {
+            if (err) {
+              reject(err);
+              return;
+            }
+            resolve(sqliteRows || []);
+          });
+        });
+    }
+    
+    let encrypted = 0;
+    
+    for (const row of rows) {
+      // One bot that cannot be decrypted must not keep the others in clear text
+      try {
+        const config = typeof row.config === 'string' ? JSON.parse(row.config) : row.config;
+        
+        if (needsEncryption(config) && await updateBotConfig(row.id, decryptBotConfig(config))) {
+          encrypted++;
+        }
+      } catch (error) {
+        logger.error(`Error encrypting the credentials of bot ${row.id}:`, error);
+      }
+    }
+    
+    if (encrypted > 0) {
+      logger.info(`Encrypted the credentials of ${encrypted} bots`);
+    }
+    
+    return encrypted;
+  } catch (error) {
+    logger.error('Error encrypting stored bot credentials:', error);
+    return 0;
+  }
+}
+
+// User related functions
+
+/**
+ * Get a user by ID
+ * @param {string} id - User ID
+ * @returns {Promise<Object|null>} User object or null if not found
+ */
+async function getUserById(id, dbConnection = null) {
+  const connection = dbConnection || db;
+  
+  try {
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        const result = await connection.query('SELECT * FROM users WHERE id = $1', [id]);
+        return result.rows[0] || null;
+      
+      case 'MONGODB':
+        return await connection.collection('users').findOne({ id });
+      
+      case 'SQLITE':
+      default:
+        return new Promise((resolve, reject) => {
+          connection.get('SELECT * FROM users WHERE id = ?', [id], (err, row) => {
+            if (err) {
+              reject(err);
+              return;
+            }
+            resolve(row || null);
+          });
+        });
+    }
+  } catch (error) {
+    logger.error('Error getting user by ID:', error);
+    return null;
+  }
+}
+
+/**
+ * Get a user by email
+ * @param {string} email - User email
+ * @returns {Promise<Object|null>} User object or null if not found
+ */
+async function getUserByEmail(email, dbConnection = null) {
+  const connection = dbConnection || db;
+  
+  try {
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        const result = await connection.query('SELECT * FROM users WHERE email = $1', [email]);
+        return result.rows[0] || null;
+      
+      case 'MONGODB':
+        return await connection.collection('users').findOne({ email });
+      
+      case 'SQLITE':
+      default:
+        return new Promise((resolve, reject) => {
+          connection.get('SELECT * FROM users WHERE email = ?', [email], (err, row) => {
+            if (err) {
+              reject(err);
+              return;
+            }
+            resolve(row || null);
+          });
+        });
+    }
+  } catch (error) {
+    logger.error('Error getting user by email:', error);
+    return null;
+  }
+}
+
+/**
+ * Get all users from the database
+ * @returns {Promise<Array>} Array of user objects
+ */
+async function getAllUsers(dbConnection = null) {
+  try {
+    const connection = dbConnection || await getConnection();
+    
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        const result = await connection.query(
+          'SELECT id, username, email, role, status, twoFactorEnabled, breakglass, createdAt, lastLogin FROM users ORDER BY createdAt DESC'
+        );
+        return result.rows;
+      
+      case 'MONGODB':
+        return await connection.collection('users')
+          .find({})
+          .project({ password: 0, twoFactorSecret: 0 })
+          .sort({ createdAt: -1 })
+          .toArray();
+      
+      case 'SQLITE':
+      default:
+        return new Promise((resolve, reject) => {
+          connection.all(
+            'SELECT id, username, email, role, status, twoFactorEnabled, breakglass, createdAt, lastLogin FROM users ORDER BY createdAt DESC',
+            [],
+            (err, rows) => {
+              if (err) {
+                reject(err);
+                return;
+              }
+              resolve(rows || []);
+            }
+          );
+        });
+    }
+  } catch (error) {
+    logger.error('Error getting all users:', error);
+    return [];
+  }
+}
+
+/**
+ * Create a new user
+ * @param {Object} userData - User data
+ * @returns {Promise<string|null>} User ID if successful, null otherwise
+ */
+async function createUser(userData, dbConnection = null) {
+  try {
+    const connection = dbConnection || await getConnection();
+    
+    const { username, email, password, role, status = 'active' } = userData;
+    const id = `user-${Date.now()}-${Math.random().toString(36).substring(2, 7)}`;
+    const createdAt = new Date().toISOString();
+    
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        await connection.query(
+          'INSERT INTO users (id, username, email, password, role, status, createdAt, twoFactorEnabled) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)',
+          [id, username, email, password, role, status, createdAt, false]
+        );
+        break;
+      
+      case 'MONGODB':
+        await connection.collection('users').insertOne({
+          id,
+          username,
+          email,
+          password,
+          role,
+          status,
+          twoFactorEnabled: false,
+          createdAt,
+          lastLogin: null
+        });
+        break;
+      
+      case 'SQLITE':
+      default:
+        await new Promise((resolve, reject) => {
+          connection.run(
+            'INSERT INTO users (id, username, email, password, role, status, createdAt, twoFactorEnabled) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+            [id, username, email, password, role, status, createdAt, 0],
+            function(err) {
+              if (err) {
+                reject(err);
+                return;
+              }
+              resolve(id);
+            }
+          );
+        });
+    }
+    
+    logger.info(`User created: ${username} (${email}) with ID: ${id}`);
+    return id;
+  } catch (error) {
+    logger.error('Error creating user:', error);
+    return null;
+  }
+}
+
+/**
+ * Update user status
+ * @param {string} id - User ID
+ * @param {string} status - New status ('active', 'suspended', 'invited')
+ * @returns {Promise<boolean>} Success status
+ */
+async function updateUserStatus(id, status, dbConnection = null) {
+  try {
+    const connection = dbConnection || await getConnection();
+    
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        const result = await connection.query(
+          'UPDATE users SET status = $1 WHERE id = $2',
+          [status, id]
+        );
+        return result.rowCount > 0;
+      
+      case 'MONGODB':
+        const updateResult = await connection.collection('users').updateOne(
+          { id },
+          { $set: { status } }
+        );
+        return updateResult.modifiedCount > 0;
+      
+      case 'SQLITE':
+      default:
+        return new Promise((resolve, reject) => {
+          connection.run(
+            'UPDATE users SET status = ? WHERE id = ?',
+            [status, id],
+            function(err) {
+              if (err) {
+                reject(err);
+                return;
+              }
+              resolve(this.changes > 0);
+            }
+          );
+        });
+    }
+  } catch (error) {
+    logger.error('Error updating user status:', error);
+    return false;
+  }
+}
+
+/**
+ * Update user's last login timestamp
+ * @param {string} id - User ID
+ * @returns {Promise<boolean>} Success status
+ */
+async function updateLastLogin(id, dbConnection = null) {
+  const connection = dbConnection || db;
+  
+  try {
+    const now = new Date().toISOString();
+    
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        const result = await connection.query(
+          'UPDATE users SET lastLogin = $1 WHERE id = $2',
+          [now, id]
+        );
+        return result.rowCount > 0;
+      
+      case 'MONGODB':
+        const updateResult = await connection.collection('users').updateOne(
+          { id },
+          { $set: { lastLogin: now } }
+        );
+        return updateResult.modifiedCount > 0;
+      
+      case 'SQLITE':
+      default:
+        return new Promise((resolve, reject) => {
+          connection.run(
+            'UPDATE users SET lastLogin = ? WHERE id = ?',
+            [now, id],
+            function(err) {
+              if (err) {
+                reject(err);
+                return;
+              }
+              resolve(this.changes > 0);
+            }
+          );
+        });
+    }
+  } catch (error) {
+    logger.error('Error updating last login:', error);
+    return false;
+  }
+}
+
+/**
+ * Update user profile
+ * @param {string} id - User ID
+ * @param {Object} profileData - Profile data to update
+ * @returns {Promise<boolean>} Success status
+ */
+async function updateUserProfile(id, profileData, dbConnection = null) {
+  const connection = dbConnection || db;
+  
+  try {
+    const { username, email, role, breakglass } = profileData;
+    const validFields = {};
+    
+    if (username !== undefined) validFields.username = username;
+    if (email !== undefined) validFields.email = email;
+    if (role !== undefined) validFields.role = role;
+    if (breakglass !== undefined) validFields.breakglass = Boolean(breakglass);
+    
+    // If there's nothing to update
+    if (Object.keys(validFields).length === 0) {
+      return false;
+    }
+    
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        // Construct dynamic query
+        const fields = Object.keys(validFields);
+        const values = fields.map(field => validFields[field]);
+        values.push(id); // Add ID for WHERE clause
+        
+        const query = `UPDATE users SET ${fields.map((field, i) => `${field} = $${i+1}`).join(', ')} WHERE id = $${fields.length + 1}`;
+        const result = await connection.query(query, values);
+        return result.rowCount > 0;
+      
+      case 'MONGODB':
+        const updateDoc = { $set: validFields };
+        const updateResult = await connection.collection('users').updateOne({ id }, updateDoc);
+        return updateResult.modifiedCount > 0;
+      
+      case 'SQLITE':
+      default:
+        return new Promise((resolve, reject) => {
+          // Construct dynamic query
+          const fields = Object.keys(validFields);
+          const values = fields.map(field => validFields[field]);
+          values.push(id); // Add ID for WHERE clause
+          
+          const query = `UPDATE users SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`;
+          connection.run(query, values, function(err) {
+            if (err) {
+              reject(err);
+              return;
+            }
+            resolve(this.changes > 0);
+          });
+        });
+    }
+  } catch (error) {
+    logger.error('Error updating user profile:', error);
+    return false;
+  }
+}
+
+/**
+ * Change user password
+ * @param {string} id - User ID
+ * @param {string} newPasswordHash - New password hash
+ * @returns {Promise<boolean>} Success status
+ */
+async function changeUserPassword(id, newPasswordHash, dbConnection = null) {
+  const connection = dbConnection || db;
+  
+  try {
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        const result = await connection.query(
+          'UPDATE users SET password = $1 WHERE id = $2',
+          [newPasswordHash, id]
+        );
+        return result.rowCount > 0;
+      
+      case 'MONGODB':
+        const updateResult = await connection.collection('users').updateOne(
+          { id },
+          { $set: { password: newPasswordHash } }
+        );
+        return updateResult.modifiedCount > 0;
+      
+      case 'SQLITE':
+      default:
+        return new Promise((resolve, reject) => {
+          connection.run(
+            'UPDATE users SET password = ? WHERE id = ?',
+            [newPasswordHash, id],
+            function(err) {
+              if (err) {
+                reject(err);
+                return;
+              }
+              resolve(this.changes > 0);
+            }
+          );
+        });
+    }
+  } catch (error) {
+    logger.error('Error changing user password:', error);
+    return false;
+  }
+}
+
+/**
+ * Delete a user
+ * @param {string} id - User ID
+ * @returns {Promise<boolean>} Success status
+ */
+async function deleteUser(id, dbConnection = null) {
+  const connection = dbConnection || db;
+  
+  try {
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        const result = await connection.query('DELETE FROM users WHERE id = $1', [id]);
+        return result.rowCount > 0;
+      
+      case 'MONGODB':
+        const deleteResult = await connection.collection('users').deleteOne({ id });
+        return deleteResult.deletedCount > 0;
+      
+      case 'SQLITE':
+      default:
+        return new Promise((resolve, reject) => {
+          connection.run(
+            'DELETE FROM users WHERE id = ?',
+            [id],
+            function(err) {
+              if (err) {
+                reject(err);
+                return;
+              }
+              resolve(this.changes > 0);
+            }
+          );
+        });
+    }
+  } catch (error) {
+    logger.error('Error deleting user:', error);
+    return false;
+  }
+}
+
+/**
+ * Set up two-factor authentication for a user
+ * @param {string} id - User ID
+ * @param {string} secretKey - Two-factor secret key
+ * @returns {Promise<boolean>} Success status
+ */
+async function setupTwoFactorAuth(id, secretKey, dbConnection = null) {
+  const connection = dbConnection || db;
+  
+  try {
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        const result = await connection.query(
+          'UPDATE users SET twoFactorSecret = $1 WHERE id = $2',
+          [secretKey, id]
+        );
+        return result.rowCount > 0;
+      
+      case 'MONGODB':
+        const updateResult = await connection.collection('users').updateOne(
+          { id },
+          { $set: { twoFactorSecret: secretKey } }
+        );
+        return updateResult.modifiedCount > 0;
+      
+      case 'SQLITE':
+      default:
+        return new Promise((resolve, reject) => {
+          connection.run(
+            'UPDATE users SET twoFactorSecret = ? WHERE id = ?',
+            [secretKey, id],
+            function(err) {
+              if (err) {
+                reject(err);
+                return;
+              }
+              resolve(this.changes > 0);
+            }
+          );
+        });
+    }
+  } catch (error) {
+    logger.error('Error setting up two-factor auth:', error);
+    return false;
+  }
+}
+
+/**
+ * Enable or disable two-factor authentication for a user
+ * @param {string} id - User ID
+ * @param {boolean} enabled - Whether to enable or disable 2FA
+ * @returns {Promise<boolean>} Success status
+ */
+async function toggleTwoFactorAuth(id, enabled, dbConnection = null) {
+  const connection = dbConnection || db;
+  
+  try {
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        const result = await connection.query(
+          'UPDATE users SET twoFactorEnabled = $1 WHERE id = $2',
+          [enabled, id]
+        );
+        return result.rowCount > 0;
+      
+      case 'MONGODB':
+        const updateResult = await connection.collection('users').updateOne(
+          { id },
+          { $set: { twoFactorEnabled: enabled } }
+        );
+        return updateResult.modifiedCount > 0;
+      
+      case 'SQLITE':
+      default:
+        return new Promise((resolve, reject) => {
+          connection.run(
+            'UPDATE users SET twoFactorEnabled = ? WHERE id = ?',
+            [enabled ? 1 : 0, id],
+            function(err) {
+              if (err) {
+                reject(err);
+                return;
+              }
+              resolve(this.changes > 0);
+            }
+          );
+        });
+    }
+  } catch (error) {
+    logger.error('Error toggling two-factor auth:', error);
+    return false;
+  }
+}
+
+/**
+ * Check if an email exists in the database
+ * @param {string} email - Email to check
+ * @returns {Promise<boolean>} True if email exists
+ */
+async function checkEmailExists(email, dbConnection = null) {
+  const connection = dbConnection || db;
+  
+  try {
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        const result = await connection.query(
+          'SELECT COUNT(*) as count FROM users WHERE email = $1',
+          [email]
+        );
+        return parseInt(result.rows[0].count) > 0;
+      
+      case 'MONGODB':
+        const count = await connection.collection('users').countDocuments({ email });
+        return count > 0;
+      
+      case 'SQLITE':
+      default:
+        return new Promise((resolve, reject) => {
+          connection.get(
+            'SELECT COUNT(*) as count FROM users WHERE email = ?',
+            [email],
+            (err, row) => {
+              if (err) {
+                reject(err);
+                return;
+              }
+              resolve(row && parseInt(row.count) > 0);
+            }
+          );
+        });
+    }
+  } catch (error) {
+    logger.error('Error checking email existence:', error);
+    return false;
+  }
+}
+
+// Analytics related functions
+
+/**
+ * Get bot usage statistics
+ * @param {string} period - Time period ('day', 'week', 'month', 'year')
+ * @returns {Promise<Object>} Usage statistics
+ */
+async function getBotUsageStats(period = 'day') {
+  try {
+    // Get the date cutoff based on the period
+    const now = new Date();
+    const cutoff = new Date();
+    
+    switch (period) {
+      case 'day':
+        cutoff.setDate(now.getDate() - 1);
+        break;
+      case 'week':
+        cutoff.setDate(now.getDate() - 7);
+        break;
+      case 'month':
+        cutoff.setMonth(now.getMonth() - 1);
+        break;
+      case 'year':
+        cutoff.setFullYear(now.getFullYear() - 1);
+        break;
+      default:
+        cutoff.setDate(now.getDate() - 1); // Default to day
+    }
+    
+    const cutoffStr = cutoff.toISOString();
+    
+    // Get interactions data
+    let interactions;
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        const resultInteractions = await db.query(
+          'SELECT platform, COUNT(*) as count FROM interactions WHERE timestamp >= $1 GROUP BY platform',
+          [cutoffStr]
+        );
+        interactions = resultInteractions.rows;
+        break;
+      
+      case 'MONGODB':
+        interactions = await db.collection('interactions').aggregate([
+          { $match: { timestamp: { $gte: cutoffStr } } },
+          { $group: { _id: '$platform', count: { $sum: 1 } } },
+          { $project: { _id: 0, platform: '$_id', count: 1 } }
+        ]).toArray();
+        break;
+      
+      case 'SQLITE':
+      default:
+        interactions = await new Promise((resolve, reject) => {
+          db.all(
+            'SELECT platform, COUNT(*) as count FROM interactions WHERE timestamp >= ? GROUP BY platform',
+            [cutoffStr],
+            (err, rows) => {
+              if (err) {
+                reject(err);
+                return;
+              }
+              resolve(rows || []);
+            }
+          );
+        });
+    }
+    
+    // Get leads data
+    let leads;
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        const resultLeads = await db.query(
+          'SELECT platform, COUNT(*) as count FROM leads WHERE timestamp >= $1 GROUP BY platform',
+          [cutoffStr]
+        );
+        leads = resultLeads.rows;
+        break;
+      
+      case 'MONGODB':
+        leads = await db.collection('leads').aggregate([
+          { $match: { timestamp: { $gte: cutoffStr } } },
+          { $group: { _id: '$platform', count: { $sum: 1 } } },
+          { $project: { _id: 0, platform: '$_id', count: 1 } }
+        ]).toArray();
+        break;
+      
+      case 'SQLITE':
+      default:
+        leads = await new Promise((resolve, reject) => {
+          db.all(
+            'SELECT platform, COUNT(*) as count FROM leads WHERE timestamp >= ? GROUP BY platform',
+            [cutoffStr],
+            (err, rows) => {
+              if (err) {
+                reject(err);
+                return;
+              }
+              resolve(rows || []);
+            }
+          );
+        });
+    }
+    
+    // Get tickets data
+    let tickets;
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        const resultTickets = await db.query(
+          'SELECT platform, status, COUNT(*) as count FROM tickets WHERE createdAt >= $1 GROUP BY platform, status',
+          [cutoffStr]
+        );
+        tickets = resultTickets.rows;
+        break;
+      
+      case 'MONGODB':
+        tickets = await db.collection('tickets').aggregate([
+          { $match: { createdAt: { $gte: cutoffStr } } },
+          { $group: { 
+            _id: { platform: '$platform', status: '$status' }, 
+            count: { $sum: 1 } 
+          }},
+          { $project: { 
+            _id: 0, 
+            platform: '$_id.platform', 
+            status: '$_id.status', 
+            count: 1 
+          }}
+        ]).toArray();
+        break;
+      
+      case 'SQLITE':
+      default:
+        tickets = await new Promise((resolve, reject) => {
+          db.all(
+            'SELECT platform, status, COUNT(*) as count FROM tickets WHERE createdAt >= ? GROUP BY platform, status',
+            [cutoffStr],
+            (err, rows) => {
+              if (err) {
+                reject(err);
+                return;
+              }
+              resolve(rows || []);
+            }
+          );
+        });
+    }
+    
+    return { 
+      interactions,
+      leads,
+      tickets,
+      period
+    };
+  } catch (error) {
+    logger.error('Error getting bot usage stats:', error);
+    return {
+      interactions: [],
+      leads: [],
+      tickets: [],
+      period
+    };
+  }
+}
+
+/**
+ * Get analytical data for a time period
+ * @param {string} startDate - Start date in ISO format
+ * @param {string} endDate - End date in ISO format
+ * @returns {Promise<Object>} Analytics data
+ */
+async function getAnalyticalData(startDate, endDate) {
+  try {
+    // Get platform-wise interaction counts
+    let platformInteractions;
+    
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        platformInteractions = await db.query(`
+          SELECT platform, COUNT(*) as count 
+          FROM interactions 
+          WHERE timestamp BETWEEN $1 AND $2 
+          GROUP BY platform
+        `, [startDate, endDate]);
+        platformInteractions = platformInteractions.rows;
+        break;
+      
+      case 'MONGODB':
+        platformInteractions = await db.collection('interactions').aggregate([
+          { $match: { timestamp: { $gte: startDate, $lte: endDate } } },
+          { $group: { _id: '$platform', count: { $sum: 1 } } },
+          { $project: { platform: '$_id', count: 1, _id: 0 } }
+        ]).toArray();
+        break;
+      
+      case 'SQLITE':
+      default:
+        platformInteractions = await new Promise((resolve, reject) => {
+          db.all(`
+            SELECT platform, COUNT(*) as count 
+            FROM interactions 
+            WHERE timestamp BETWEEN ? AND ? 
+            GROUP BY platform
+          `, [startDate, endDate], (err, rows) => {
+            if (err) {
+              reject(err);
+              return;
+            }
+            resolve(rows || []);
+          });
+        });
+    }
+    
+    // Get command usage statistics
+    let commandUsage;
+    
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        commandUsage = await db.query(`
+          SELECT command, COUNT(*) as count 
+          FROM interactions 
+          WHERE timestamp BETWEEN $1 AND $2 
+          GROUP BY command 
+          ORDER BY count DESC 
+          LIMIT 10
+        `, [startDate, endDate]);
+        commandUsage = commandUsage.rows;
+        break;
+      
+      case 'MONGODB':
+        commandUsage = await db.collection('interactions').aggregate([
+          { $match: { timestamp: { $gte: startDate, $lte: endDate } } },
+          { $group: { _id: '$command', count: { $sum: 1 } } },
+          { $project: { command: '$_id', count: 1, _id: 0 } },
+          { $sort: { count: -1 } },
+          { $limit: 10 }
+        ]).toArray();
+        break;
+      
+      case 'SQLITE':
+      default:
+        commandUsage = await new Promise((resolve, reject) => {
+          db.all(`
+            SELECT command, COUNT(*) as count 
+            FROM interactions 
+            WHERE timestamp BETWEEN ? AND ? 
+            GROUP BY command 
+            ORDER BY count DESC 
+            LIMIT 10
+          `, [startDate, endDate], (err, rows) => {
+            if (err) {
+              reject(err);
+              return;
+            }
+            resolve(rows || []);
+          });
+        });
+    }
+    
+    // Get active users count
+    let activeUsers;
+    
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        activeUsers = await db.query(`
+          SELECT COUNT(DISTINCT userId) as count 
+          FROM interactions 
+          WHERE timestamp BETWEEN $1 AND $2
+        `, [startDate, endDate]);
+        activeUsers = parseInt(activeUsers.rows[0].count);
+        break;
+      
+      case 'MONGODB':
+        activeUsers = await db.collection('interactions').distinct('userId', { 
+          timestamp: { $gte: startDate, $lte: endDate } 
+        });
+        activeUsers = activeUsers.length;
+        break;
+      
+      case 'SQLITE':
+      default:
+        activeUsers = await new Promise((resolve, reject) => {
+          db.get(`
+            SELECT COUNT(DISTINCT userId) as count 
+            FROM interactions 
+            WHERE timestamp BETWEEN ? AND ?
+          `, [startDate, endDate], (err, row) => {
+            if (err) {
+              reject(err);
+              return;
+            }
+            resolve(parseInt(row?.count || 0));
+          });
+        });
+    }
+    
+    // Get new leads count
+    let newLeads;
+    
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        newLeads = await db.query(`
+          SELECT COUNT(*) as count 
+          FROM leads 
+          WHERE timestamp BETWEEN $1 AND $2
+        `, [startDate, endDate]);
+        newLeads = parseInt(newLeads.rows[0].count);
+        break;
+      
+      case 'MONGODB':
+        newLeads = await db.collection('leads').countDocuments({ 
+          timestamp: { $gte: startDate, $lte: endDate } 
+        });
+        break;
+      
+      case 'SQLITE':
+      default:
+        newLeads = await new Promise((resolve, reject) => {
+          db.get(`
+            SELECT COUNT(*) as count 
+            FROM leads 
+            WHERE timestamp BETWEEN ? AND ?
+          `, [startDate, endDate], (err, row) => {
+            if (err) {
+              reject(err);
+              return;
+            }
+            resolve(parseInt(row?.count || 0));
+          });
+        });
+    }
+    
+    return {
+      platformInteractions,
+      commandUsage,
+      activeUsers,
+      newLeads
+    };
+  } catch (error) {
+    logger.error('Error getting analytical data:', error);
+    return {
+      platformInteractions: [],
+      commandUsage: [],
+      activeUsers: 0,
+      newLeads: 0
+    };
+  }
+}
+
+/**
+ * Get recent activity for dashboard display
+ * @param {number} limit - Number of activities to return
+ * @returns {Promise<Array>} Recent activities
+ */
+async function getRecentActivity(limit = 10) {
+  try {
+    // Get recent interactions
+    let recentInteractions;
+    
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        recentInteractions = await db.query(`
+          SELECT userId, username, platform, command, details, timestamp 
+          FROM interactions 
+          ORDER BY timestamp DESC 
+          LIMIT $1
+        `, [limit]);
+        recentInteractions = recentInteractions.rows.map(row => ({
+          ...row,
+          type: 'interaction',
+          details: typeof row.details === 'string' ? JSON.parse(row.details) : row.details
+        }));
+        break;
+      
+      case 'MONGODB':
+        recentInteractions = await db.collection('interactions')
+          .find({})
+          .sort({ timestamp: -1 })
+          .limit(limit)
+          .toArray();
+        recentInteractions = recentInteractions.map(item => ({
+          ...item,
+          type: 'interaction',
+          _id: undefined
+        }));
+        break;
+      
+      case 'SQLITE':
+      default:
+        recentInteractions = await new Promise((resolve, reject) => {
+          db.all(`
+            SELECT userId, username, platform, command, details, timestamp 
+            FROM interactions 
+            ORDER BY timestamp DESC 
+            LIMIT ?
+          `, [limit], (err, rows) => {
+            if (err) {
+              reject(err);
+              return;
+            }
+            resolve((rows || []).map(row => ({
+              ...row,
+              type: 'interaction',
+              details: typeof row.details === 'string' ? JSON.parse(row.details) : row.details
+            })));
+          });
+        });
+    }
+    
+    // Get recent tickets
+    let recentTickets;
+    
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        recentTickets = await db.query(`
+          SELECT ticketId, userId, username, platform, issue, status, priority, createdAt 
+          FROM tickets 
+          ORDER BY createdAt DESC 
+          LIMIT $1
+        `, [limit]);
+        recentTickets = recentTickets.rows.map(row => ({
+          ...row,
+          type: 'ticket'
+        }));
+        break;
+      
+      case 'MONGODB':
+        recentTickets = await db.collection('tickets')
+          .find({})
+          .sort({ createdAt: -1 })
+          .limit(limit)
+          .toArray();
+        recentTickets = recentTickets.map(item => ({
+          ...item,
+          type: 'ticket',
+          _id: undefined
+        }));
+        break;
+      
+      case 'SQLITE':
+      default:
+        recentTickets = await new Promise((resolve, reject) => {
+          db.all(`
+            SELECT ticketId, userId, username, platform, issue, status, priority, createdAt 
+            FROM tickets 
+            ORDER BY createdAt DESC 
+            LIMIT ?
+          `, [limit], (err, rows) => {
+            if (err) {
+              reject(err);
+              return;
+            }
+            resolve((rows || []).map(row => ({
+              ...row,
+              type: 'ticket'
+            })));
+          });
+        });
+    }
+    
+    // Get recent leads
+    let recentLeads;
+    
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        recentLeads = await db.query(`
+          SELECT userId, username, platform, source, timestamp 
+          FROM leads 
+          ORDER BY timestamp DESC 
+          LIMIT $1
+        `, [limit]);
+        recentLeads = recentLeads.rows.map(row => ({
+          ...row,
+          type: 'lead'
+        }));
+        break;
+      
+      case 'MONGODB':
+        recentLeads = await db.collection('leads')
+          .find({})
+          .sort({ timestamp: -1 })
+          .limit(limit)
+          .toArray();
+        recentLeads = recentLeads.map(item => ({
+          ...item,
+          type: 'lead',
+          _id: undefined
+        }));
+        break;
+      
+      case 'SQLITE':
+      default:
+        recentLeads = await new Promise((resolve, reject) => {
+          db.all(`
+            SELECT userId, username, platform, source, timestamp 
+            FROM leads 
+            ORDER BY timestamp DESC 
+            LIMIT ?
+          `, [limit], (err, rows) => {
+            if (err) {
+              reject(err);
+              return;
+            }
+            resolve((rows || []).map(row => ({
+              ...row,
+              type: 'lead'
+            })));
+          });
+        });
+    }
+    
+    // Combine all activities, sort by timestamp/createdAt, and limit
+    const allActivities = [
+      ...recentInteractions,
+      ...recentTickets,
+      ...recentLeads
+    ].sort((a, b) => {
+      const dateA = new Date(a.timestamp || a.createdAt);
+      const dateB = new Date(b.timestamp || b.createdAt);
+      return dateB - dateA;
+    }).slice(0, limit);
+    
+    return allActivities;
+  } catch (error) {
+    logger.error('Error getting recent activity:', error);
+    return [];
+  }
+}
+
+// SLA fields of tickets, kept up to date by the SLA monitor, see ticketSla.js
+const TICKET_SLA_FIELDS = ['slaPolicyId', 'firstResponseAt', 'firstResponseDueAt', 'resolutionDueAt', 'firstResponseBreachedAt', 'resolutionBreachedAt'];
+
+/**
+ * Create or update a ticket in the database
+ * @param {Object} ticketData - Ticket data, and SLA fields which leave updatedAt as it is when changed alone
+ * @returns {Promise<Object|null>} Created/updated ticket or null on error
+ */
+async function updateTicket(id, ticketData) {
+  try {
+    const { status, priority, assignedTo, issue } = ticketData;
+    const updatedAt = new Date().toISOString();
+    const updateData = {};
+    
+    if (status !== undefined) updateData.status = status;
+    if (priority !== undefined) updateData.priority = priority;
+    if (assignedTo !== undefined) updateData.assignedTo = assignedTo;
+    if (issue !== undefined) updateData.issue = issue;
+    
+    if (Object.keys(updateData).length > 0) {
+      updateData.updatedAt = updatedAt;
+    }
+    
+    for (const field of TICKET_SLA_FIELDS) {
+      if (ticketData[field] !== undefined) {
+        updateData[field] = ticketData[field];
+      }
+    }
+    
+    if (Object.keys(updateData).length === 0) {
+      return await getTicketById(id);
+    }
+    
+    // Add closedAt timestamp if status is 'closed', clear it when a ticket is reopened
+    if (status === 'closed') {
+      updateData.closedAt = updatedAt;
+    } else if (status !== undefined) {
+      updateData.closedAt = null;
+    }
+    
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        // Build query dynamically
+        const setItems = Object.keys(updateData).map((key, i) => `${key} = $${i+1}`);
+        const values = [...Object.values(updateData), id];
+        
+        const result = await db.query(
+          `UPDATE tickets SET ${setItems.join(', ')} WHERE ticketId = $${setItems.length + 1} RETURNING *`,
+          values
+        );
+        
+        return result.rows[0] || null;
+      
+      case 'MONGODB':
+        const updateResult = await db.collection('tickets').findOneAndUpdate(
+          { ticketId: id },
+          { $set: updateData },
+          { returnDocument: 'after' }
+        );
+        
+        // Driver v6 returns the document itself, older drivers wrap it in { value }
+        return updateResult && updateResult.value !== undefined ? updateResult.value : updateResult;
+      
+      case 'SQLITE':
+      default:
+        // Build query dynamically
+        const setItemsSqlite = Object.keys(updateData).map(key => `${key} = ?`).join(', ');
+        const valuesSqlite = [...Object.values(updateData), id];
+        
+        await new Promise((resolve, reject) => {
+          db.run(
+            `UPDATE tickets SET ${setItemsSqlite} WHERE ticketId = ?`,
+            valuesSqlite,
+            function(err) {
+              if (err) {
+                reject(err);
+                return;
+              }
+              resolve(this.changes);
+            }
+          );
+        });
+        
+        // Get the updated ticket
+        return new Promise((resolve, reject) => {
+          db.get('SELECT * FROM tickets WHERE ticketId = ?', [id], (err, row) => {
+            if (err) {
+              reject(err);
+              return;
+            }
+            resolve(row || null);
+          });
+        });
+    }
+  } catch (error) {
+    logger.error('Error updating ticket:', error);
+    return null;
+  }
+}
+
+/**
+ * Build the WHERE clause, SQL parameters and MongoDB query for ticket filters
+ * @param {Object} filters - Ticket filters (status, platform, priority, assignedTo, userId, from, to, search)
+ * @returns {Object} Object with sqlWhere, sqlParams and mongoQuery
+ */
+function buildTicketFilters(filters = {}) {
+  const { status, platform, platforms, priority, assignedTo, userId, from, to, search } = filters;
+  const mongoQuery = {};
+  const whereClause = [];
+  const sqlParams = [];
+  
+  if (status) {
+    mongoQuery.status = status;
+    whereClause.push('status = ?');
+    sqlParams.push(status);
+  }
+  
+  if (platform) {
+    mongoQuery.platform = platform;
+    whereClause.push('platform = ?');
+    sqlParams.push(platform);
+  }
+  
+  // Restricts the tickets to some platforms, e.g. the ones a user has access to
+  if (platforms) {
+    mongoQuery.platform = platform ? (platforms.includes(platform) ? platform : { $in: [] }) : { $in: platforms };
+    whereClause.push(platforms.length > 0 ? `platform IN (${platforms.map(() => '?').join(', ')})` : '1 = 0');
+    sqlParams.push(...platforms);
+  }
+  
+  if (priority) {
+    mongoQuery.priority = priority;
+    whereClause.push('priority = ?');
+    sqlParams.push(priority);
+  }
+  
+  if (assignedTo) {
+    // 'unassigned' is a reserved value for tickets nobody has picked up yet
+    if (assignedTo === 'unassigned') {
+      mongoQuery.assignedTo = null;
+      whereClause.push('assignedTo IS NULL');
+    } else {
+      mongoQuery.assignedTo = assignedTo;
+      whereClause.push('assignedTo = ?');
+      sqlParams.push(assignedTo);
+    }
+  }
+  
+  if (userId) {
+    mongoQuery.userId = userId;
+    whereClause.push('userId = ?');
+    sqlParams.push(userId);
+  }
+  
+  if (from || to) {
+    mongoQuery.createdAt = {};
+    if (from) {
+      mongoQuery.createdAt.$gte = from;
+      whereClause.push('createdAt >= ?');
+      sqlParams.push(from);
+    }
+    if (to) {
+      mongoQuery.createdAt.$lte = to;
+      whereClause.push('createdAt <= ?');
+      sqlParams.push(to);
+    }
+  }
+  
+  if (search) {
+    const escaped = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    mongoQuery.$or = [
+      { ticketId: { $regex: escaped, $options: 'i' } },
+      { username: { $regex: escaped, $options: 'i' } },
+      { issue: { $regex: escaped, $options: 'i' } }
+    ];
+    whereClause.push('(LOWER(ticketId) LIKE ? OR LOWER(username) LIKE ? OR LOWER(issue) LIKE ?)');
+    const pattern = `%${search.toLowerCase()}%`;
+    sqlParams.push(pattern, pattern, pattern);
+  }
+  
+  return {
+    sqlWhere: whereClause.length > 0 ? ' WHERE ' + whereClause.join(' AND ') : '',
+    sqlParams,
+    mongoQuery
+  };
+}
+
+/**
+ * Convert SQLite style placeholders (?) to PostgreSQL style ($1, $2, etc.)
+ * @param {string} sql - SQL query with ? placeholders
+ * @returns {string} SQL query with numbered placeholders
+ */
+function toPgPlaceholders(sql) {
+  let index = 0;
+  return sql.replace(/\?/g, () => `$${++index}`);
+}
+
+// Columns tickets may be sorted by; anything else falls back to createdAt
+const TICKET_SORT_FIELDS = ['createdAt', 'updatedAt', 'closedAt', 'priority', 'status', 'platform', 'ticketId'];
+
+/**
+ * Get all tickets with optional filtering, sorting and pagination
+ * @param {Object} filters - Optional filters (status, platform, priority, assignedTo, userId, from, to, search)
+ *                           plus sortBy, sortOrder ('asc' | 'desc'), limit and offset
+ * @returns {Promise<Array>} Array of tickets
+ */
+async function getTickets(filters = {}) {
+  try {
+    const { sqlWhere, sqlParams, mongoQuery } = buildTicketFilters(filters);
+    const sortBy = TICKET_SORT_FIELDS.includes(filters.sortBy) ? filters.sortBy : 'createdAt';
+    const sortOrder = filters.sortOrder === 'asc' ? 'ASC' : 'DESC';
+    const limit = parseInt(filters.limit) > 0 ? parseInt(filters.limit) : null;
+    const offset = parseInt(filters.offset) > 0 ? parseInt(filters.offset) : 0;
+    
+    // Priorities are ranked rather than sorted alphabetically
+    const orderExpression = sortBy === 'priority'
+      ? "CASE priority WHEN 'high' THEN 3 WHEN 'medium' THEN 2 WHEN 'low' THEN 1 ELSE 0 END"
+      : sortBy;
+    
+    let sqlQuery = `SELECT * FROM tickets${sqlWhere} ORDER BY ${orderExpression} ${sortOrder}`;
+    const params = [...sqlParams];
+    
+    if (limit) {
+      sqlQuery += ' LIMIT ? OFFSET ?';
+      params.push(limit, offset);
+    }
+    
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        const result = await db.query(toPgPlaceholders(sqlQuery), params);
+        return result.rows;
+      
+      case 'MONGODB':
+        const pipeline = [{ $match: mongoQuery }];
+        
+        if (sortBy === 'priority') {
+          pipeline.push(
+            { $addFields: { priorityRank: { $indexOfArray: [['low', 'medium', 'high'], '$priority'] } } },
+            { $sort: { priorityRank: sortOrder === 'ASC' ? 1 : -1 } },
+            { $project: { priorityRank: 0 } }
+          );
+        } else {
+          pipeline.push({ $sort: { [sortBy]: sortOrder === 'ASC' ? 1 : -1 } });
+        }
+        
+        if (offset) pipeline.push({ $skip: offset });
+        if (limit) pipeline.push({ $limit: limit });
+        
+        return await db.collection('tickets').aggregate(pipeline).toArray();
+      
+      case 'SQLITE':
+      default:
+        return new Promise((resolve, reject) => {
+          db.all(sqlQuery, params, (err, rows) => {
+            if (err) {
+              reject(err);
+              return;
+            }
+            resolve(rows || []);
+          });
+        });
+    }
+  } catch (error) {
+    logger.error('Error getting tickets:', error);
+    return [];
+  }
+}
+
+/**
+ * Count tickets matching the given filters
+ * @param {Object} filters - Same filters accepted by getTickets
+ * @returns {Promise<number>} Number of matching tickets
+ */
+async function countTickets(filters = {}) {
+  try {
+    const { sqlWhere, sqlParams, mongoQuery } = buildTicketFilters(filters);
+    const sqlQuery = `SELECT COUNT(*) as count FROM tickets${sqlWhere}`;
+    
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        const result = await db.query(toPgPlaceholders(sqlQuery), sqlParams);
+        return parseInt(result.rows[0].count);
+      
+      case 'MONGODB':
+        return await db.collection('tickets').countDocuments(mongoQuery);
+      
+      case 'SQLITE':
+      default:
+        return new Promise((resolve, reject) => {
+          db.get(sqlQuery, sqlParams, (err, row) => {
+            if (err) {
+              reject(err);
+              return;
+            }
+            resolve(parseInt(row?.count || 0));
+          });
+        });
+    }
+  } catch (error) {
+    logger.error('Error counting tickets:', error);
+    return 0;
+  }
+}
+
+/**
+ * Get a ticket by its ticket ID
+ * @param {string} ticketId - Ticket ID (e.g. 'TG-1234')
+ * @returns {Promise<Object|null>} Ticket object or null if not found
+ */
+async function getTicketById(ticketId) {
+  try {
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        const result = await db.query('SELECT * FROM tickets WHERE ticketId = $1', [ticketId]);
+        return result.rows[0] || null;
+      
+      case 'MONGODB':
+        return await db.collection('tickets').findOne({ ticketId });
+      
+      case 'SQLITE':
+      default:
+        return new Promise((resolve, reject) => {
+          db.get('SELECT * FROM tickets WHERE ticketId = ?', [ticketId], (err, row) => {
+            if (err) {
+              reject(err);
+              return;
+            }
+            resolve(row || null);
+          });
+        });
+    }
+  } catch (error) {
+    logger.error('Error getting ticket by ID:', error);
+    return null;
+  }
+}
+
+/**
+ * Delete a ticket
+ * @param {string} ticketId - Ticket ID
+ * @returns {Promise<boolean>} Success status
+ */
+async function deleteTicket(ticketId) {
+  try {
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        await db.query('DELETE FROM ticket_messages WHERE ticketId = $1', [ticketId]);
+        const result = await db.query('DELETE FROM tickets WHERE ticketId = $1', [ticketId]);
+        return result.rowCount > 0;
+      
+      case 'MONGODB':
+        await db.collection('ticket_messages').deleteMany({ ticketId });
+        const deleteResult = await db.collection('tickets').deleteOne({ ticketId });
+        return deleteResult.deletedCount > 0;
+      
+      case 'SQLITE':
+      default:
+        return new Promise((resolve, reject) => {
+          db.serialize(() => {
+            db.run('DELETE FROM ticket_messages WHERE ticketId = ?', [ticketId]);
+            db.run('DELETE FROM tickets WHERE ticketId = ?', [ticketId], function(err) {
+              if (err) {
+                reject(err);
+                return;
+              }
+              resolve(this.changes > 0);
+            });
+          });
+        });
+    }
+  } catch (error) {
+    logger.error('Error deleting ticket:', error);
+    return false;
+  }
+}
+
+/**
+ * Get the newest ticket of a user that is not closed, so their messages can be added to its thread
+ * @param {Object} key - Platform, bot ID and platform user ID
+ * @returns {Promise<Object|null>} Ticket or null if the user has no open ticket with the bot
+ */
+async function getActiveTicket({ platform, botId, userId }) {
+  try {
+    const sqlQuery = "SELECT * FROM tickets WHERE platform = ? AND botId = ? AND userId = ? AND status != 'closed' ORDER BY createdAt DESC LIMIT 1";
+    const sqlParams = [platform, botId, userId];
+    let row;
+    
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        const result = await db.query(toPgPlaceholders(sqlQuery), sqlParams);
+        row = result.rows[0];
+        break;
+      
+      case 'MONGODB':
+        row = await db.collection('tickets').findOne(
+          { platform, botId, userId, status: { $ne: 'closed' } },
+          { sort: { createdAt: -1 } }
+        );
+        break;
+      
+      case 'SQLITE':
+      default:
+        row = await new Promise((resolve, reject) => {
+          db.get(sqlQuery, sqlParams, (err, sqliteRow) => {
+            if (err) {
+              reject(err);
+              return;
+            }
+            resolve(sqliteRow);
+          });
+        });
+    }
+    
+    return row ? normalizeTableRow('tickets', row) : null;
+  } catch (error) {
+    logger.error('Error getting active ticket:', error);
+    return null;
+  }
+}
+
+/**
+ * Get tickets matching raw conditions, in portable form
+ * @param {string} sqlWhere - WHERE clause with ? placeholders
+ * @param {Array} sqlParams - SQL parameters
+ * @param {Object} mongoQuery - Equivalent MongoDB query
+ * @returns {Promise<Array>} Tickets, oldest first
+ */
+async function queryTickets(sqlWhere, sqlParams, mongoQuery) {
+  const sqlQuery = `SELECT * FROM tickets${sqlWhere} ORDER BY createdAt ASC`;
+  let rows;
+  
+  switch (DB_ENGINE) {
+    case 'POSTGRESQL':
+      const result = await db.query(toPgPlaceholders(sqlQuery), sqlParams);
+      rows = result.rows;
+      break;
+    
+    case 'MONGODB':
+      rows = await db.collection('tickets').find(mongoQuery).sort({ createdAt: 1 }).toArray();
+      break;
+    
+    case 'SQLITE':
+    default:
+      rows = await new Promise((resolve, reject) => {
+        db.all(sqlQuery, sqlParams, (err, sqliteRows) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+          resolve(sqliteRows || []);
+        });
+      });
+  }
+  
+  return rows.map(row => normalizeTableRow('tickets', row));
+}
+
+/**
+ * Get the tickets still open that no SLA policy applies to yet
+ * @returns {Promise<Array>} Tickets, oldest first
+ */
+async function getTicketsWithoutSla() {
+  try {
+    return await queryTickets(
+      " WHERE status != 'closed' AND slaPolicyId IS NULL",
+      [],
+      { status: { $ne: 'closed' }, slaPolicyId: null }
+    );
+  } catch (error) {
+    logger.error('Error getting tickets without SLA:', error);
+    return [];
+  }
+}
+
+/**
+ * Get the open tickets past an SLA target that was not marked as breached yet
+ * @param {string} now - Current time, ISO 8601
+ * @returns {Promise<Array>} Tickets, oldest first
+ */
+async function getTicketsBreachingSla(now) {
+  try {
+    return await queryTickets(
+      ` WHERE status != 'closed' AND (
+        (firstResponseAt IS NULL AND firstResponseBreachedAt IS NULL AND firstResponseDueAt <= ?)
+        OR (resolutionBreachedAt IS NULL AND resolutionDueAt <= ?)
+      )`,
+      [now, now],
+      {
+        status: { $ne: 'closed' },
+        $or: [
+          { firstResponseAt: null, firstResponseBreachedAt: null, firstResponseDueAt: { $ne: null, $lte: now } },
+          { resolutionBreachedAt: null, resolutionDueAt: { $ne: null, $lte: now } }
+        ]
+      }
+    );
+  } catch (error) {
+    logger.error('Error getting tickets breaching SLA:', error);
+    return [];
+  }
+}
+
+/**
+ * Get the tickets an SLA policy applies to, for compliance reports
+ * @param {Object} filters - Ticket filters (platform, platforms, priority, from, to)
+ * @returns {Promise<Array>} Tickets, oldest first
+ */
+async function getSlaTickets(filters = {}) {
+  try {
+    const { platform, platforms, priority, from, to } = filters;
+    const { sqlWhere, sqlParams, mongoQuery } = buildTicketFilters({ platform, platforms, priority, from, to });
+    
+    return await queryTickets(
+      sqlWhere ? `${sqlWhere} AND slaPolicyId IS NOT NULL` : ' WHERE slaPolicyId IS NOT NULL',
+      sqlParams,
+      { ...mongoQuery, slaPolicyId: { $ne: null } }
+    );
+  } catch (error) {
+    logger.error('Error getting SLA tickets:', error);
+    return [];
+  }
+}
+
+// Ticket thread functions
+
+/**
+ * Add a message to a ticket thread
+ * @param {Object} messageData - Ticket ID, direction ('inbound' from the user, 'outbound' from an agent),
+ *                               author, text, delivery status ('received', 'sent' or 'failed') and error
+ * @returns {Promise<Object|null>} Stored message or null on error
+ */
+async function createTicketMessage(messageData) {
+  try {
+    const message = normalizeTableRow('ticket_messages', {
+      ...messageData,
+      id: randomUUID(),
+      createdAt: new Date().toISOString()
+    });
+    const columns = TABLE_COLUMNS.ticket_messages;
+    const sqlQuery = `INSERT INTO ticket_messages (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`;
+    const sqlParams = columns.map(column => message[column]);
+    
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        await db.query(toPgPlaceholders(sqlQuery), sqlParams);
+        break;
+      
+      case 'MONGODB':
+        await db.collection('ticket_messages').insertOne({ ...message });
+        break;
+      
+      case 'SQLITE':
+      default:
+        await new Promise((resolve, reject) => {
+          db.run(sqlQuery, sqlParams, (err) => {
+            if (err) {
+              reject(err);
+              return;
+            }
+            resolve();
+          });
+        });
+    }
+    
+    return message;
+  } catch (error) {
+    logger.error('Error creating ticket message:', error);
+    return null;
+  }
+}
+
+/**
+ * Get the messages of a ticket thread
+ * @param {string} ticketId - Ticket ID
+ * @returns {Promise<Array>} Messages, oldest first
+ */
+async function getTicketMessages(ticketId) {
+  try {
+    const sqlQuery = 'SELECT * FROM ticket_messages WHERE ticketId = ? ORDER BY createdAt ASC';
+    let rows;
+    
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        const result = await db.query(toPgPlaceholders(sqlQuery), [ticketId]);
+        rows = result.rows;
+        break;
+      
+      case 'MONGODB':
+        rows = await db.collection('ticket_messages').find({ ticketId }).sort({ createdAt: 1 }).toArray();
+        break;
+      
+      case 'SQLITE':
+      default:
+        rows = await new Promise((resolve, reject) => {
+          db.all(sqlQuery, [ticketId], (err, sqliteRows) => {
+            if (err) {
+              reject(err);
+              return;
+            }
+            resolve(sqliteRows || []);
+          });
+        });
+    }
+    
+    return rows.map(row => normalizeTableRow('ticket_messages', row));
+  } catch (error) {
+    logger.error('Error getting ticket messages:', error);
+    return [];
+  }
+}
+
+// Conversation functions
+
+// Longest preview of the last message kept with a conversation
+const CONVERSATION_PREVIEW_LENGTH = 200;
+
+// Messages recorded within the same millisecond keep their order
+let lastConversationMessageTime = 0;
+
+/**
+ * Record a message of a conversation, creating the conversation with its first message.
+ * Messages from the user count as unread and reopen closed or snoozed conversations.
+ * @param {Object} key - Platform, bot ID, platform user ID and username, plus the chat ID when known
+ * @param {Object} messageData - Direction ('inbound' or 'outbound'), sender ('user', 'bot' or 'agent'),
+ *                               author, text, delivery status ('received', 'sent' or 'failed') and error
+ * @returns {Promise<Object|null>} Stored message or null on error
+ */
+async function recordConversationMessage(key, messageData) {
+  try {
+    lastConversationMessageTime = Math.max(Date.now(), lastConversationMessageTime + 1);
+    
+    const now = new Date(lastConversationMessageTime).toISOString();
+    const conversationId = getConversationStateId(key);
+    const inbound = messageData.direction === 'inbound';
+    const message = normalizeTableRow('conversation_messages', {
+      ...messageData,
+      id: randomUUID(),
+      conversationId,
+      createdAt: now
+    });
+    const conversation = normalizeTableRow('conversations', {
+      id: conversationId,
+      platform: key.platform,
+      botId: key.botId,
+      userId: key.userId,
+      chatId: key.chatId,
+      username: key.username,
+      status: 'open',
+      unreadCount: inbound ? 1 : 0,
+      lastMessageText: message.text.slice(0, CONVERSATION_PREVIEW_LENGTH),
+      lastMessageDirection: message.direction,
+      lastMessageAt: now,
+      createdAt: now,
+      updatedAt: now
+    });
+    
+    const conversationColumns = TABLE_COLUMNS.conversations;
+    const messageColumns = TABLE_COLUMNS.conversation_messages;
+    const upsertQuery = `
+      INSERT INTO conversations (${conversationColumns.join(', ')})
+      VALUES (${conversationColumns.map(() => '?').join(', ')})
+      ON CONFLICT (id) DO UPDATE SET
+        chatId = COALESCE(excluded.chatId, conversations.chatId),
+        username = excluded.username,
+        status = CASE WHEN excluded.unreadCount > 0 THEN 'open' ELSE conversations.status END,
+        snoozedUntil = CASE WHEN excluded.unreadCount > 0 THEN NULL ELSE conversations.snoozedUntil END,
+        unreadCount = conversations.unreadCount + excluded.unreadCount,
+        lastMessageText = excluded.lastMessageText,
+        lastMessageDirection = excluded.lastMessageDirection,
+        lastMessageAt = excluded.lastMessageAt,
+        updatedAt = excluded.updatedAt
+    `;
+    const upsertParams = conversationColumns.map(column => conversation[column]);
+    const insertQuery = `INSERT INTO conversation_messages (${messageColumns.join(', ')}) VALUES (${messageColumns.map(() => '?').join(', ')})`;
+    const insertParams = messageColumns.map(column => message[column]);
+    
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        await db.query(toPgPlaceholders(upsertQuery), upsertParams);
+        await db.query(toPgPlaceholders(insertQuery), insertParams);
+        break;
+      
+      case 'MONGODB': {
+        // Status fields are set on every inbound message, and only on insert otherwise
+        const statusFields = { status: 'open', snoozedUntil: null };
+        
+        await db.collection('conversations').updateOne(
+          { id: conversationId },
+          {
+            $setOnInsert: {
+              id: conversationId,
+              platform: conversation.platform,
+              botId: conversation.botId,
+              userId: conversation.userId,
+              assignedTo: null,
+              createdAt: now,
+              ...(inbound ? {} : statusFields)
+            },
+            $set: {
+              username: conversation.username,
+              lastMessageText: conversation.lastMessageText,
+              lastMessageDirection: conversation.lastMessageDirection,
+              lastMessageAt: now,
+              updatedAt: now,
+              ...(conversation.chatId ? { chatId: conversation.chatId } : {}),
+              ...(inbound ? statusFields : {})
+            },
+            $inc: { unreadCount: conversation.unreadCount }
+          },
+          { upsert: true }
+        );
+        await db.collection('conversation_messages').insertOne({ ...message });
+        break;
+      }
+      
+      case 'SQLITE':
+      default:
+        await new Promise((resolve, reject) => {
+          db.serialize(() => {
+            db.run(upsertQuery, upsertParams, (err) => {
+              if (err) {
+                reject(err);
+              }
+            });
+            db.run(insertQuery, insertParams, (err) => {
+              if (err) {
+                reject(err);
+                return;
+              }
+              resolve();
+            });
+          });
+        });
+    }
+    
+    return message;
+  } catch (error) {
+    logger.error('Error recording conversation message:', error);
+    return null;
+  }
+}
+
+/**
+ * Build the WHERE clause, SQL parameters and MongoDB query for conversation filters
+ * @param {Object} filters - Conversation filters (status, platform, botId, scope, assignedTo, unread, handoff, search)
+ * @returns {Object} Object with sqlWhere, sqlParams and mongoQuery
+ */
+function buildConversationFilters(filters = {}) {
+  const { status, platform, botId, scope, assignedTo, unread, handoff, search } = filters;
+  const mongoConditions = [];
+  const whereClause = [];
+  const sqlParams = [];
+  
+  for (const [column, value] of [['status', status], ['platform', platform], ['botId', botId]]) {
+    if (value) {
+      mongoConditions.push({ [column]: value });
+      whereClause.push(`${column} = ?`);
+      sqlParams.push(value);
+    }
+  }
+  
+  // Restricts the conversations to some bots and platforms, e.g. the ones a user has access to
+  if (scope) {
+    const scopeClause = [];
+    
+    if (scope.bots.length > 0) {
+      scopeClause.push(`botId IN (${scope.bots.map(() => '?').join(', ')})`);
+      sqlParams.push(...scope.bots);
+    }
+    
+    if (scope.platforms.length > 0) {
+      scopeClause.push(`platform IN (${scope.platforms.map(() => '?').join(', ')})`);
+      sqlParams.push(...scope.platforms);
+    }
+    
+    mongoConditions.push({ $or: [{ botId: { $in: scope.bots } }, { platform: { $in: scope.platforms } }] });
+    whereClause.push(scopeClause.length > 0 ? `(${scopeClause.join(' OR ')})` : '1 = 0');
+  }
+  
+  if (assignedTo) {
+    // 'unassigned' is a reserved value for conversations nobody has picked up yet
+    if (assignedTo === 'unassigned') {
+      mongoConditions.push({ assignedTo: null });
+      whereClause.push('assignedTo IS NULL');
+    } else {
+      mongoConditions.push({ assignedTo });
+      whereClause.push('assignedTo = ?');
+      sqlParams.push(assignedTo);
+    }
+  }
+  
+  if (unread) {
+    mongoConditions.push({ unreadCount: { $gt: 0 } });
+    whereClause.push('unreadCount > 0');
+  }
+  
+  // Conversations handed off to a human, or the ones the bots are in control of
+  if (handoff !== undefined) {
+    mongoConditions.push({ handoffAt: handoff ? { $ne: null } : null });
+    whereClause.push(handoff ? 'handoffAt IS NOT NULL' : 'handoffAt IS NULL');
+  }
+  
+  if (search) {
+    const escaped = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    mongoConditions.push({
+      $or: ['username', 'userId', 'lastMessageText'].map(column => ({ [column]: { $regex: escaped, $options: 'i' } }))
+    });
+    whereClause.push('(LOWER(username) LIKE ? OR LOWER(userId) LIKE ? OR LOWER(lastMessageText) LIKE ?)');
+    const pattern = `%${search.toLowerCase()}%`;
+    sqlParams.push(pattern, pattern, pattern);
+  }
+  
+  return {
+    sqlWhere: whereClause.length > 0 ? ' WHERE ' + whereClause.join(' AND ') : '',
+    sqlParams,
+    mongoQuery: mongoConditions.length > 0 ? { $and: mongoConditions } : {}
+  };
+}
+
+/**
+ * Get conversations, most recently active first
+ * @param {Object} filters - Filters accepted by buildConversationFilters, plus limit and offset
+ * @returns {Promise<Array>} Conversations
+ */
+async function getConversations(filters = {}) {
+  try {
+    const { sqlWhere, sqlParams, mongoQuery } = buildConversationFilters(filters);
+    const limit = parseInt(filters.limit) > 0 ? parseInt(filters.limit) : 20;
+    const offset = parseInt(filters.offset) > 0 ? parseInt(filters.offset) : 0;
+    const sqlQuery = `SELECT * FROM conversations${sqlWhere} ORDER BY lastMessageAt DESC LIMIT ? OFFSET ?`;
+    const params = [...sqlParams, limit, offset];
+    let rows;
+    
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        const result = await db.query(toPgPlaceholders(sqlQuery), params);
+        rows = result.rows;
+        break;
+      
+      case 'MONGODB':
+        rows = await db.collection('conversations').find(mongoQuery).sort({ lastMessageAt: -1 }).skip(offset).limit(limit).toArray();
+        break;
+      
+      case 'SQLITE':
+      default:
+        rows = await new Promise((resolve, reject) => {
+          db.all(sqlQuery, params, (err, sqliteRows) => {
+            if (err) {
+              reject(err);
+              return;
+            }
+            resolve(sqliteRows || []);
+          });
+        });
+    }
+    
+    return rows.map(row => normalizeTableRow('conversations', row));
+  } catch (error) {
+    logger.error('Error getting conversations:', error);
+    return [];
+  }
+}
+
+/**
+ * Count conversations matching the given filters
+ * @param {Object} filters - Same filters accepted by getConversations
+ * @returns {Promise<number>} Number of matching conversations
+ */
+async function countConversations(filters = {}) {
+  try {
+    const { sqlWhere, sqlParams, mongoQuery } = buildConversationFilters(filters);
+    const sqlQuery = `SELECT COUNT(*) as count FROM conversations${sqlWhere}`;
+    
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        const result = await db.query(toPgPlaceholders(sqlQuery), sqlParams);
+        return parseInt(result.rows[0].count);
+      
+      case 'MONGODB':
+        return await db.collection('conversations').countDocuments(mongoQuery);
+      
+      case 'SQLITE':
+      default:
+        return await new Promise((resolve, reject) => {
+          db.get(sqlQuery, sqlParams, (err, row) => {
+            if (err) {
+              reject(err);
+              return;
+            }
+            resolve(parseInt(row?.count || 0));
+          });
+        });
+    }
+  } catch (error) {
+    logger.error('Error counting conversations:', error);
+    return 0;
+  }
+}
+
+/**
+ * Get a conversation by ID
+ * @param {string} id - Conversation ID
+ * @returns {Promise<Object|null>} Conversation or null if not found
+ */
+async function getConversationById(id) {
+  try {
+    const sqlQuery = 'SELECT * FROM conversations WHERE id = ?';
+    let row;
+    
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        const result = await db.query(toPgPlaceholders(sqlQuery), [id]);
+        row = result.rows[0];
+        break;
+      
+      case 'MONGODB':
+        row = await db.collection('conversations').findOne({ id });
+        break;
+      
+      case 'SQLITE':
+      default:
+        row = await new Promise((resolve, reject) => {
+          db.get(sqlQuery, [id], (err, sqliteRow) => {
+            if (err) {
+              reject(err);
+              return;
+            }
+            resolve(sqliteRow);
+          });
+        });
+    }
+    
+    return row ? normalizeTableRow('conversations', row) : null;
+  } catch (error) {
+    logger.error('Error getting conversation:', error);
+    return null;
+  }
+}
+
+/**
+ * Update the status, snooze time, assignee, handoff or unread count of a conversation
+ * @param {string} id - Conversation ID
+ * @param {Object} updates - Any of status, snoozedUntil, assignedTo, handoffAt, handoffReason and unreadCount
+ * @returns {Promise<Object|null>} Updated conversation, or null if not found or on error
+ */
+async function updateConversation(id, updates) {
+  try {
+    const changes = { updatedAt: new Date().toISOString() };
+    
+    for (const field of ['status', 'snoozedUntil', 'assignedTo', 'handoffAt', 'handoffReason', 'unreadCount']) {
+      if (updates[field] !== undefined) {
+        changes[field] = updates[field];
+      }
+    }
+    
+    const columns = Object.keys(changes);
+    const sqlQuery = `UPDATE conversations SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`;
+    const sqlParams = [...columns.map(column => changes[column]), id];
+    
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        await db.query(toPgPlaceholders(sqlQuery), sqlParams);
+        break;
+      
+      case 'MONGODB':
+        await db.collection('conversations').updateOne({ id }, { $set: changes });
+        break;
+      
+      case 'SQLITE':
+      default:
+        await new Promise((resolve, reject) => {
+          db.run(sqlQuery, sqlParams, (err) => {
+            if (err) {
+              reject(err);
+              return;
+            }
+            resolve();
+          });
+        });
+    }
+    
+    return await getConversationById(id);
+  } catch (error) {
+    logger.error('Error updating conversation:', error);
+    return null;
+  }
+}
+
+/**
+ * Reopen the snoozed conversations whose snooze time has passed
+ * @returns {Promise<number>} Number of reopened conversations
+ */
+async function wakeSnoozedConversations() {
+  try {
+    const now = new Date().toISOString();
+    const sqlQuery = "UPDATE conversations SET status = 'open', snoozedUntil = NULL, updatedAt = ? WHERE status = 'snoozed' AND snoozedUntil <= ?";
+    
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        const result = await db.query(toPgPlaceholders(sqlQuery), [now, now]);
+        return result.rowCount;
+      
+      case 'MONGODB':
+        const updateResult = await db.collection('conversations').updateMany(
+          { status: 'snoozed', snoozedUntil: { $lte: now } },
+          { $set: { status: 'open', snoozedUntil: null, updatedAt: now } }
+        );
+        return updateResult.modifiedCount;
+      
+      case 'SQLITE':
+      default:
+        return await new Promise((resolve, reject) => {
+          db.run(sqlQuery, [now, now], function(err) {
+            if (err) {
+              reject(err);
+              return;
+            }
+            resolve(this.changes);
+          });
+        });
+    }
+  } catch (error) {
+    logger.error('Error waking snoozed conversations:', error);
+    return 0;
+  }
+}
+
+// Handoffs end once the conversation has had no messages for this long
+const HANDOFF_TIMEOUT = (parseInt(process.env.HANDOFF_TIMEOUT) || 30) * 60 * 1000;
+
+/**
+ * Get the conversation of a user while it is handed off to a human. A handoff
+ * idle for longer than HANDOFF_TIMEOUT is ended, giving control back to the bot.
+ * @param {Object} key - Platform, bot ID and platform user ID
+ * @returns {Promise<Object|null>} Conversation, or null if the bot is in control
+ */
+async function getActiveHandoff(key) {
+  const conversation = await getConversationById(getConversationStateId(key));
+  
+  if (!conversation || !conversation.handoffAt) {
+    return null;
+  }
+  
+  const lastActivity = Math.max(Date.parse(conversation.handoffAt), Date.parse(conversation.lastMessageAt) || 0);
+  
+  if (lastActivity < Date.now() - HANDOFF_TIMEOUT) {
+    await updateConversation(conversation.id, { handoffAt: null, handoffReason: null });
+    logger.info(`Handoff of conversation ${conversation.id} ended after inactivity`);
+    return null;
+  }
+  
+  return conversation;
+}
+
+/**
+ * End the handoffs idle for longer than HANDOFF_TIMEOUT, giving control back to the bots
+ * @returns {Promise<number>} Number of ended handoffs
+ */
+async function releaseIdleHandoffs() {
+  try {
+    const cutoff = new Date(Date.now() - HANDOFF_TIMEOUT).toISOString();
+    const now = new Date().toISOString();
+    const sqlQuery = 'UPDATE conversations SET handoffAt = NULL, handoffReason = NULL, updatedAt = ? WHERE handoffAt < ? AND (lastMessageAt IS NULL OR lastMessageAt < ?)';
+    const sqlParams = [now, cutoff, cutoff];
+    
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        const result = await db.query(toPgPlaceholders(sqlQuery), sqlParams);
+        return result.rowCount;
+      
+      case 'MONGODB':
+        const updateResult = await db.collection('conversations').updateMany(
+          { handoffAt: { $ne: null, $lt: cutoff }, $or: [{ lastMessageAt: null }, { lastMessageAt: { $lt: cutoff } }] },
+          { $set: { handoffAt: null, handoffReason: null, updatedAt: now } }
+        );
+        return updateResult.modifiedCount;
+      
+      case 'SQLITE':
+      default:
+        return await new Promise((resolve, reject) => {
+          db.run(sqlQuery, sqlParams, function(err) {
+            if (err) {
+              reject(err);
+              return;
+            }
+            resolve(this.changes);
+          });
+        });
+    }
+  } catch (error) {
+    logger.error('Error releasing idle handoffs:', error);
+    return 0;
+  }
+}
+
+/**
+ * Get the messages of a conversation
+ * @param {string} conversationId - Conversation ID
+ * @param {Object} options - Page of messages: the latest ones before an ISO date (optional) and how many
+ * @returns {Promise<Array>} Messages, oldest first
+ */
+async function getConversationMessages(conversationId, { before = null, limit = 50 } = {}) {
+  try {
+    const sqlQuery = `SELECT * FROM conversation_messages WHERE conversationId = ?${before ? ' AND createdAt < ?' : ''} ORDER BY createdAt DESC LIMIT ?`;
+    const sqlParams = before ? [conversationId, before, limit] : [conversationId, limit];
+    let rows;
+    
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        const result = await db.query(toPgPlaceholders(sqlQuery), sqlParams);
+        rows = result.rows;
+        break;
+      
+      case 'MONGODB':
+        rows = await db.collection('conversation_messages')
+          .find(before ? { conversationId, createdAt: { $lt: before } } : { conversationId })
+          .sort({ createdAt: -1 })
+          .limit(limit)
+          .toArray();
+        break;
+      
+      case 'SQLITE':
+      default:
+        rows = await new Promise((resolve, reject) => {
+          db.all(sqlQuery, sqlParams, (err, sqliteRows) => {
+            if (err) {
+              reject(err);
+              return;
+            }
+            resolve(sqliteRows || []);
+          });
+        });
+    }
+    
+    return rows.reverse().map(row => normalizeTableRow('conversation_messages', row));
+  } catch (error) {
+    logger.error('Error getting conversation messages:', error);
+    return [];
+  }
+}
+
+// Filterable columns of the append-only activity tables
+const ACTIVITY_FILTER_FIELDS = {
+  leads: ['platform', 'userId', 'source'],
+  interactions: ['platform', 'userId', 'command']
+};
+
+// Columns matched by the free text search of the activity tables
+const ACTIVITY_SEARCH_FIELDS = {
+  leads: ['userId', 'username', 'source'],
+  interactions: ['userId', 'username', 'command']
+};
+
+/**
+ * Build the WHERE clause, SQL parameters and MongoDB query for lead and interaction filters
+ * @param {string} table - 'leads' or 'interactions'
+ * @param {Object} filters - Filters (platform, userId, source or command, from, to, search)
+ * @returns {Object} Object with sqlWhere, sqlParams and mongoQuery
+ */
+function buildActivityFilters(table, filters = {}) {
+  const mongoQuery = {};
+  const whereClause = [];
+  const sqlParams = [];
+  
+  for (const field of ACTIVITY_FILTER_FIELDS[table]) {
+    if (filters[field]) {
+      mongoQuery[field] = filters[field];
+      whereClause.push(`${field} = ?`);
+      sqlParams.push(filters[field]);
+    }
+  }
+  
+  if (filters.from || filters.to) {
+    mongoQuery.timestamp = {};
+    if (filters.from) {
+      mongoQuery.timestamp.$gte = filters.from;
+      whereClause.push('timestamp >= ?');
+      sqlParams.push(filters.from);
+    }
+    if (filters.to) {
+      mongoQuery.timestamp.$lte = filters.to;
+      whereClause.push('timestamp <= ?');
+      sqlParams.push(filters.to);
+    }
+  }
+  
+  if (filters.search) {
+    const escaped = filters.search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pattern = `%${filters.search.toLowerCase()}%`;
+    
+    mongoQuery.$or = ACTIVITY_SEARCH_FIELDS[table].map(field => ({ [field]: { $regex: escaped, $options: 'i' } }));
+    whereClause.push(`(${ACTIVITY_SEARCH_FIELDS[table].map(field => `LOWER(${field}) LIKE ?`).join(' OR ')})`);
+    ACTIVITY_SEARCH_FIELDS[table].forEach(() => sqlParams.push(pattern));
+  }
+  
+  return {
+    sqlWhere: whereClause.length > 0 ? ' WHERE ' + whereClause.join(' AND ') : '',
+    sqlParams,
+    mongoQuery
+  };
+}
+
+/**
+ * Get rows of an activity table with optional filtering and pagination
+ * @param {string} table - 'leads' or 'interactions'
+ * @param {Object} filters - Filters accepted by buildActivityFilters plus sortOrder, limit and offset
+ * @returns {Promise<Array>} Array of rows, newest first unless sortOrder is 'asc'
+ */
+async function getActivityRecords(table, filters = {}) {
+  const { sqlWhere, sqlParams, mongoQuery } = buildActivityFilters(table, filters);
+  const sortOrder = filters.sortOrder === 'asc' ? 'ASC' : 'DESC';
+  const limit = parseInt(filters.limit) > 0 ? parseInt(filters.limit) : null;
+  const offset = parseInt(filters.offset) > 0 ? parseInt(filters.offset) : 0;
+  
+  // The id tie-breaker keeps paging stable when timestamps collide
+  let sqlQuery = `SELECT * FROM ${table}${sqlWhere} ORDER BY timestamp ${sortOrder}, id ${sortOrder}`;
+  const params = [...sqlParams];
+  
+  if (limit) {
+    sqlQuery += ' LIMIT ? OFFSET ?';
+    params.push(limit, offset);
+  }
+  
+  let rows;
+  
+  switch (DB_ENGINE) {
+    case 'POSTGRESQL':
+      const result = await db.query(toPgPlaceholders(sqlQuery), params);
+      rows = result.rows;
+      break;
+    
+    case 'MONGODB':
+      let cursor = db.collection(table)
+        .find(mongoQuery)
+        .sort({ timestamp: sortOrder === 'ASC' ? 1 : -1, _id: sortOrder === 'ASC' ? 1 : -1 });
+      
+      if (offset) cursor = cursor.skip(offset);
+      if (limit) cursor = cursor.limit(limit);
+      
+      rows = await cursor.toArray();
+      break;
+    
+    case 'SQLITE':
+    default:
+      rows = await new Promise((resolve, reject) => {
+        db.all(sqlQuery, params, (err, sqliteRows) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+          resolve(sqliteRows || []);
+        });
+      });
+  }
+  
+  if (table !== 'interactions') {
+    return rows;
+  }
+  
+  return rows.map(row => {
+    if (typeof row.details !== 'string') {
+      return row;
+    }
+    
+    try {
+      return { ...row, details: JSON.parse(row.details) };
+    } catch (e) {
+      // Keep as string if parsing fails
+      return row;
+    }
+  });
+}
+
+/**
+ * Count rows of an activity table matching the given filters
+ * @param {string} table - 'leads' or 'interactions'
+ * @param {Object} filters - Filters accepted by buildActivityFilters
+ * @returns {Promise<number>} Number of matching rows
+ */
+async function countActivityRecords(table, filters = {}) {
+  const { sqlWhere, sqlParams, mongoQuery } = buildActivityFilters(table, filters);
+  const sqlQuery = `SELECT COUNT(*) as count FROM ${table}${sqlWhere}`;
+  
+  switch (DB_ENGINE) {
+    case 'POSTGRESQL':
+      const result = await db.query(toPgPlaceholders(sqlQuery), sqlParams);
+      return parseInt(result.rows[0].count);
+    
+    case 'MONGODB':
+      return await db.collection(table).countDocuments(mongoQuery);
+    
+    case 'SQLITE':
+    default:
+      return new Promise((resolve, reject) => {
+        db.get(sqlQuery, sqlParams, (err, row) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+          resolve(parseInt(row?.count || 0));
+        });
+      });
+  }
+}
+
+/**
+ * Get leads with optional filtering and pagination
+ * @param {Object} filters - Optional filters (platform, userId, source, from, to, search)
+ *                           plus sortOrder ('asc' | 'desc'), limit and offset
+ * @returns {Promise<Array>} Array of leads
+ */
+async function getLeads(filters = {}) {
+  try {
+    return await getActivityRecords('leads', filters);
+  } catch (error) {
+    logger.error('Error getting leads:', error);
+    return [];
+  }
+}
+
+/**
+ * Count leads matching the given filters
+ * @param {Object} filters - Same filters accepted by getLeads
+ * @returns {Promise<number>} Number of matching leads
+ */
+async function countLeads(filters = {}) {
+  try {
+    return await countActivityRecords('leads', filters);
+  } catch (error) {
+    logger.error('Error counting leads:', error);
+    return 0;
+  }
+}
+
+/**
+ * Get interactions with optional filtering and pagination
+ * @param {Object} filters - Optional filters (platform, userId, command, from, to, search)
+ *                           plus sortOrder ('asc' | 'desc'), limit and offset
+ * @returns {Promise<Array>} Array of interactions
+ */
+async function getInteractions(filters = {}) {
+  try {
+    return await getActivityRecords('interactions', filters);
+  } catch (error) {
+    logger.error('Error getting interactions:', error);
+    return [];
+  }
+}
+
+/**
+ * Count interactions matching the given filters
+ * @param {Object} filters - Same filters accepted by getInteractions
+ * @returns {Promise<number>} Number of matching interactions
+ */
+async function countInteractions(filters = {}) {
+  try {
+    return await countActivityRecords('interactions', filters);
+  } catch (error) {
+    logger.error('Error counting interactions:', error);
+    return 0;
+  }
+}
+
+/**
+ * Get bot execution logs
+ * @param {string} botId - Bot ID
+ * @param {number} limit - Number of log entries to return
+ * @returns {Promise<Array>} Array of log entries
+ */
+async function getBotLogs(botId, limit = 100) {
+  try {
+    // Get interactions related to this bot
+    
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        const pgResult = await db.query(`
+          SELECT timestamp, username, command, details 
+          FROM interactions 
+          WHERE details::jsonb @> $1 
+          ORDER BY timestamp DESC 
+          LIMIT $2
+        `, [JSON.stringify({ botId }), limit]);
+        
+        return pgResult.rows.map(row => ({
+          timestamp: row.timestamp,
+          username: row.username,
+          command: row.command,
+          details: typeof row.details === 'string' ? JSON.parse(row.details) : row.details
+        }));
+      
+      case 'MONGODB':
+        return await db.collection('interactions')
+          .find({ 'details.botId': botId })
+          .sort({ timestamp: -1 })
+          .limit(limit)
+          .project({ timestamp: 1, username: 1, command: 1, details: 1, _id: 0 })
+          .toArray();
+      
+      case 'SQLITE':
+      default:
+        const sqliteRows = await new Promise((resolve, reject) => {
+          db.all(`
+            SELECT timestamp, username, command, details 
+            FROM interactions 
+            WHERE details LIKE ? 
+            ORDER BY timestamp DESC 
+            LIMIT ?
+          `, [`%"botId":"${botId}"%`, limit], (err, rows) => {
+            if (err) {
+              reject(err);
+              return;
+            }
+            resolve(rows || []);
+          });
+        });
+        
+        return sqliteRows.map(row => ({
+          timestamp: row.timestamp,
+          username: row.username,
+          command: row.command,
+          details: typeof row.details === 'string' ? JSON.parse(row.details) : row.details
+        }));
+    }
+  } catch (error) {
+    logger.error('Error getting bot logs:', error);
+    return [];
+  }
+}
+
+/**
+ * Update bot configuration
+ * @param {string} botId - Bot ID
+ * @param {Object} config - New configuration object
+ * @returns {Promise<boolean>} Success status
+ */
+async function updateBotConfig(botId, plainConfig) {
+  try {
+    const config = encryptBotConfig(plainConfig);
+    const configStr = typeof config === 'object' ? JSON.stringify(config) : config;
+    
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        const pgResult = await db.query(
+          'UPDATE bots SET config = $1 WHERE id = $2',
+          [configStr, botId]
+        );
+        return pgResult.rowCount > 0;
+      
+      case 'MONGODB':
+        const mongoResult = await db.collection('bots').updateOne(
+          { id: botId },
+          { $set: { config: typeof config === 'object' ? config : JSON.parse(configStr) } }
+        );
+        return mongoResult.modifiedCount > 0;
+      
+      case 'SQLITE':
+      default:
+        return new Promise((resolve, reject) => {
+          db.run(
+            'UPDATE bots SET config = ? WHERE id = ?',
+            [configStr, botId],
+            function(err) {
+              if (err) {
+                reject(err);
+                return;
+              }
+              resolve(this.changes > 0);
+            }
+          );
+        });
+    }
+  } catch (error) {
+    logger.error('Error updating bot config:', error);
+    return false;
+  }
+}
+
+/**
+ * Get dashboard summary statistics
+ * @returns {Promise<Object>} Summary statistics
+ */
+async function getDashboardSummary() {
+  try {
+    const now = new Date();
+    const dayAgo = new Date(now.getTime() - (24 * 60 * 60 * 1000));
+    const weekAgo = new Date(now.getTime() - (7 * 24 * 60 * 60 * 1000));
+    const dayAgoStr = dayAgo.toISOString();
+    const weekAgoStr = weekAgo.toISOString();
+    
+    let onlineBots, totalBots, activeUsers, newTickets, pendingTickets;
+    
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        // Count online bots
+        const onlineBotsResult = await db.query(`SELECT COUNT(*) as count FROM bots WHERE status = 'online'`);
+        onlineBots = parseInt(onlineBotsResult.rows[0].count);
+        
+        // Count total bots
+        const totalBotsResult = await db.query('SELECT COUNT(*) as count FROM bots');
+        totalBots = parseInt(totalBotsResult.rows[0].count);
+        
+        // Count active users in last 24 hours
+        const activeUsersResult = await db.query(
+          'SELECT COUNT(DISTINCT userId) as count FROM interactions WHERE timestamp >= $1',
+          [dayAgoStr]
+        );
+        activeUsers = parseInt(activeUsersResult.rows[0].count);
+        
+        // Count new tickets in last 24 hours
+        const newTicketsResult = await db.query(
+          'SELECT COUNT(*) as count FROM tickets WHERE createdAt >= $1',
+          [dayAgoStr]
+        );
+        newTickets = parseInt(newTicketsResult.rows[0].count);
+        
+        // Count pending tickets
+        const pendingTicketsResult = await db.query(`
+          SELECT COUNT(*) as count FROM tickets 
+          WHERE status = 'open' OR status = 'in-progress'
+        `);
+        pendingTickets = parseInt(pendingTicketsResult.rows[0].count);
+        break;
+      
+      case 'MONGODB':
+        // Count online bots
+        onlineBots = await db.collection('bots').countDocuments({ status: 'online' });
+        
+        // Count total bots
+        totalBots = await db.collection('bots').countDocuments({});
+        
+        // Count active users in last 24 hours
+        const activeUsersList = await db.collection('interactions').distinct('userId', { timestamp: { $gte: dayAgoStr } });
+        activeUsers = activeUsersList.length;
+        
+        // Count new tickets in last 24 hours
+        newTickets = await db.collection('tickets').countDocuments({ createdAt: { $gte: dayAgoStr } });
+        
+        // Count pending tickets
+        pendingTickets = await db.collection('tickets').countDocuments({ status: { $in: ['open', 'in-progress'] } });
+        break;
+      
+      case 'SQLITE':
+      default:
+        // Count online bots
+        onlineBots = await new Promise((resolve, reject) => {
+          db.get("SELECT COUNT(*) as count FROM bots WHERE status = 'online'", [], (err, row) => {
+            if (err) {
+              reject(err);
+              return;
+            }
+            resolve(parseInt(row?.count || 0));
+          });
+        });
+        
+        // Count total bots
+        totalBots = await new Promise((resolve, reject) => {
+          db.get('SELECT COUNT(*) as count FROM bots', [], (err, row) => {
+            if (err) {
+              reject(err);
+              return;
+            }
+            resolve(parseInt(row?.count || 0));
+          });
+        });
+        
+        // Count active users in last 24 hours
+        activeUsers = await new Promise((resolve, reject) => {
+          db.get(
+            'SELECT COUNT(DISTINCT userId) as count FROM interactions WHERE timestamp >= ?',
+            [dayAgoStr],
+            (err, row) => {
+              if (err) {
+                reject(err);
+                return;
+              }
+              resolve(parseInt(row?.count || 0));
+            }
+          );
+        });
+        
+        // Count new tickets in last 24 hours
+        newTickets = await new Promise((resolve, reject) => {
+          db.get(
+            'SELECT COUNT(*) as count FROM tickets WHERE createdAt >= ?',
+            [dayAgoStr],
+            (err, row) => {
+              if (err) {
+                reject(err);
+                return;
+              }
+              resolve(parseInt(row?.count || 0));
+            }
+          );
+        });
+        
+        // Count pending tickets
+        pendingTickets = await new Promise((resolve, reject) => {
+          db.get(
+            "SELECT COUNT(*) as count FROM tickets WHERE status = 'open' OR status = 'in-progress'",
+            [],
+            (err, row) => {
+              if (err) {
+                reject(err);
+                return;
+              }
+              resolve(parseInt(row?.count || 0));
+            }
+          );
+        });
+        break;
+    }
+    
+    // Get active users trend data for past 7 days
+    const dailyActiveUsers = await getDailyActiveUsers(7);
+    
+    return {
+      onlineBots,
+      totalBots,
+      activeUsers,
+      newTickets,
+      pendingTickets,
+      dailyActiveUsers
+    };
+  } catch (error) {
+    logger.error('Error getting dashboard summary:', error);
+    return {
+      onlineBots: 0,
+      totalBots: 0,
+      activeUsers: 0,
+      newTickets: 0,
+      pendingTickets: 0,
+      dailyActiveUsers: []
+    };
+  }
+}
+
+/**
+ * Get daily active users for the past n days
+ * @param {number} days - Number of days to get data for
+ * @returns {Promise<Array>} Daily active users data
+ */
+async function getDailyActiveUsers(days) {
+  try {
+    const now = new Date();
+    const results = [];
+    
+    for (let i = days - 1; i >= 0; i--) {
+      const date = new Date(now);
+      date.setDate(date.getDate() - i);
+      date.setHours(0, 0, 0, 0);
+      
+      const nextDate = new Date(date);
+      nextDate.setDate(nextDate.getDate() + 1);
+      
+      const dateStr = date.toISOString();
+      const nextDateStr = nextDate.toISOString();
+      
+      let activeUsers;
+      
+      switch (DB_ENGINE) {
+        case 'POSTGRESQL':
+          const pgResult = await db.query(
+            'SELECT COUNT(DISTINCT userId) as count FROM interactions WHERE timestamp >= $1 AND timestamp < $2',
+            [dateStr, nextDateStr]
+          );
+          activeUsers = parseInt(pgResult.rows[0].count);
+          break;
+        
+        case 'MONGODB':
+          const distinctUsers = await db.collection('interactions').distinct('userId', {
+            timestamp: { $gte: dateStr, $lt: nextDateStr }
+          });
+          activeUsers = distinctUsers.length;
+          break;
+        
+        case 'SQLITE':
+        default:
+          activeUsers = await new Promise((resolve, reject) => {
+            db.get(
+              'SELECT COUNT(DISTINCT userId) as count FROM interactions WHERE timestamp >= ? AND timestamp < ?',
+              [dateStr, nextDateStr],
+              (err, row) => {
+                if (err) {
+                  reject(err);
+                  return;
+                }
+                resolve(parseInt(row?.count || 0));
+              }
+            );
+          });
+          break;
+      }
+      
+      results.push({
+        date: date.toISOString().split('T')[0], // YYYY-MM-DD format
+        users: activeUsers
+      });
+    }
+    
+    return results;
+  } catch (error) {
+    logger.error('Error getting daily active users:', error);
+    return [];
+  }
+}
+
+/**
+ * Save system settings
+ * @param {Object} settings - Settings object to save
+ * @returns {Promise<boolean>} Success status
+ */
+async function saveSystemSettings(settings) {
+  try {
+    const connection = await getConnection();
+    const now = new Date().toISOString();
+    const systemUserId = 'system';
+    const settingsJson = JSON.stringify(settings);
+    
+    // Check if settings already exist
+    let settingsExist = false;
+    
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        const pgResult = await connection.query(
+          'SELECT COUNT(*) as count FROM settings WHERE userId = $1',
+          [systemUserId]
+        );
+        settingsExist = parseInt(pgResult.rows[0].count) > 0;
+        
+        if (settingsExist) {
+          await connection.query(
+            'UPDATE settings SET settings = $1, updatedAt = $2 WHERE userId = $3',
+            [settingsJson, now, systemUserId]
+          );
+        } else {
+          await connection.query(
+            'INSERT INTO settings (userId, settings, createdAt, updatedAt) VALUES ($1, $2, $3, $4)',
+            [systemUserId, settingsJson, now, now]
+          );
+        }
+        break;
+      
+      case 'MONGODB':
+        const mongoSettings = await connection.collection('settings').findOne({ userId: systemUserId });
+        settingsExist = !!mongoSettings;
+        
+        if (settingsExist) {
+          await connection.collection('settings').updateOne(
+            { userId: systemUserId },
+            { $set: { settings, updatedAt: now } }
+          );
+        } else {
+          await connection.collection('settings').insertOne({
+            userId: systemUserId,
+            settings,
+            createdAt: now,
+            updatedAt: now
+          });
+        }
+        break;
+      
+      case 'SQLITE':
+      default:
+        settingsExist = await new Promise((resolve, reject) => {
+          connection.get(
+            'SELECT COUNT(*) as count FROM settings WHERE userId = ?',
+            [systemUserId],
+            (err, row) => {
+              if (err) {
+                reject(err);
+                return;
+              }
+              resolve(row && parseInt(row.count) > 0);
+            }
+          );
+        });
+        
+        if (settingsExist) {
+          await new Promise((resolve, reject) => {
+            connection.run(
+              'UPDATE settings SET settings = ?, updatedAt = ? WHERE userId = ?',
+              [settingsJson, now, systemUserId],
+              function(err) {
+                if (err) {
+                  reject(err);
+                  return;
+                }
+                resolve(this.changes > 0);
+              }
+            );
+          });
+        } else {
+          await new Promise((resolve, reject) => {
+            connection.run(
+              'INSERT INTO settings (userId, settings, createdAt, updatedAt) VALUES (?, ?, ?, ?)',
+              [systemUserId, settingsJson, now, now],
+              function(err) {
+                if (err) {
+                  reject(err);
+                  return;
+                }
+                resolve(true);
+              }
+            );
+          });
+        }
+        break;
+    }
+    
+    logger.info('System settings updated');
+    return true;
+  } catch (error) {
+    logger.error('Error saving system settings:', error);
+    return false;
+  }
+}
+
+/**
+ * Get system settings
+ * @returns {Promise<Object|null>} Settings object or null if not found
+ */
+async function getSystemSettings() {
+  try {
+    const connection = await getConnection();
+    const systemUserId = 'system';
+    let settings = null;
+    
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        const pgResult = await connection.query(
+          'SELECT settings FROM settings WHERE userId = $1',
+          [systemUserId]
+        );
+        if (pgResult.rows.length > 0) {
+          settings = typeof pgResult.rows[0].settings === 'string' 
+            ? JSON.parse(pgResult.rows[0].settings)
+            : pgResult.rows[0].settings;
+        }
+        break;
+      
+      case 'MONGODB':
+        const mongoSettings = await connection.collection('settings').findOne({ userId: systemUserId });
+        if (mongoSettings) {
+          settings = mongoSettings.settings;
+        }
+        break;
+      
+      case 'SQLITE':
+      default:
+        const sqliteSettings = await new Promise((resolve, reject) => {
+          connection.get(
+            'SELECT settings FROM settings WHERE userId = ?',
+            [systemUserId],
+            (err, row) => {
+              if (err) {
+                reject(err);
+                return;
+              }
+              resolve(row);
+            }
+          );
+        });
+        if (sqliteSettings) {
+          settings = typeof sqliteSettings.settings === 'string'
+            ? JSON.parse(sqliteSettings.settings)
+            : sqliteSettings.settings;
+        }
+        break;
+    }
+    
+    return settings || {
+      database: {
+        engine: 'SQLITE',
+        host: 'localhost',
+        port: '5432',
+        name: 'botdashboard',
+        user: 'postgres',
+        password: '********',
+        url: '',
+        ssl: false
+      },
+      security: {
+        sessionTimeout: parseInt(process.env.SESSION_TIMEOUT) || 15,
+        maxLoginAttempts: 5,
+        rateLimitRequests: parseInt(process.env.RATE_LIMIT_MAX) || 100,
+        rateLimitWindow: parseInt(process.env.RATE_LIMIT_WINDOW) || 15,
+        enforceHttps: process.env.ENFORCE_HTTPS === 'true',
+        csrfProtection: true
+      },
+      system: {
+        logLevel: 'info',
+        logRetention: 14,
+        backupEnabled: true,
+        backupFrequency: 'daily',
+        notificationsEnabled: false,
+        notificationEmail: ''
+      },
+      businessHours: {
+        timezone: 'UTC',
+        days: [1, 2, 3, 4, 5],
+        start: '09:00',
+        end: '17:00'
+      }
+    };
+  } catch (error) {
+    logger.error('Error getting system settings:', error);
+    return null;
+  }
+}
+
+// Auto-reply rule functions
+
+/**
+ * Auto-reply rules created together with the table.
+ * {name} and {prefix} are filled in by the conversation engine.
+ * @returns {Array} Default rules
+ */
+function getDefaultAutoReplyRules() {
+  const now = new Date().toISOString();
+  
+  return [
+    { name: 'Greeting', triggerType: 'keyword', pattern: 'hello, hi, hey', response: 'Hello {name}! How can I help you today?', faqTitle: null, priority: 100 },
+    { name: 'Contact details', triggerType: 'keyword', pattern: 'contact, email, phone', response: 'You can contact our support team at support@example.com or call us at +1-555-123-4567.', faqTitle: null, priority: 90 },
+    { name: 'FAQ: creating tickets', triggerType: 'exact', pattern: 'how do i create a ticket', response: 'To create a ticket, send "{prefix}ticket" followed by your issue description. For example: {prefix}ticket Need help with login', faqTitle: 'Creating tickets', priority: 50 },
+    { name: 'FAQ: bot capabilities', triggerType: 'exact', pattern: 'what can you do', response: 'I can help with creating support tickets, answering common questions, and connecting you with our support team. Try "{prefix}help", "{prefix}status", or just ask me a question!', faqTitle: 'What can you do?', priority: 50 },
+    { name: 'FAQ: contacting support', triggerType: 'exact', pattern: 'how do i contact support', response: 'You can reach our support team by creating a ticket, or by emailing support@example.com. Our working hours are Monday to Friday, 9 AM - 5 PM EST.', faqTitle: 'Contacting support', priority: 50 },
+    { name: 'FAQ: documentation', triggerType: 'keyword', pattern: 'documentation, docs', response: 'Our documentation is available at https://docs.example.com. You can find user guides, API documentation, and troubleshooting tips there.', faqTitle: 'Documentation', priority: 50 },
+    { name: 'Thanks', triggerType: 'keyword', pattern: 'thanks, thank you, thx', response: 'You\'re welcome! Is there anything else I can help you with?', faqTitle: null, priority: 20 },
+    { name: 'Goodbye', triggerType: 'keyword', pattern: 'bye, goodbye', response: 'Goodbye! Feel free to message again if you need anything else.', faqTitle: null, priority: 10 }
+  ].map((rule, index) => ({
+    id: `rule-default-${index + 1}`,
+    ...rule,
+    createdAt: now,
+    updatedAt: now
+  }));
+}
+
+/**
+ * Get auto-reply rules, highest priority first
+ * @param {Object} filters - Optional filters (platform, botId, enabled)
+ * @returns {Promise<Array>} Array of rules
+ */
+async function getAutoReplyRules(filters = {}) {
+  try {
+    const { platform, botId, enabled } = filters;
+    const mongoQuery = {};
+    const whereClause = [];
+    const sqlParams = [];
+    
+    if (platform) {
+      mongoQuery.platform = platform;
+      whereClause.push('platform = ?');
+      sqlParams.push(platform);
+    }
+    
+    if (botId) {
+      mongoQuery.botId = botId;
+      whereClause.push('botId = ?');
+      sqlParams.push(botId);
+    }
+    
+    if (enabled !== undefined) {
+      mongoQuery.enabled = Boolean(enabled);
+      whereClause.push('enabled = ?');
+      sqlParams.push(toSqlValue('auto_reply_rules', 'enabled', enabled));
+    }
+    
+    const sqlWhere = whereClause.length > 0 ? ' WHERE ' + whereClause.join(' AND ') : '';
+    const sqlQuery = `SELECT * FROM auto_reply_rules${sqlWhere} ORDER BY priority DESC, createdAt ASC`;
+    let rows;
+    
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        const result = await db.query(toPgPlaceholders(sqlQuery), sqlParams);
+        rows = result.rows;
+        break;
+      
+      case 'MONGODB':
+        rows = await db.collection('auto_reply_rules')
+          .find(mongoQuery)
+          .sort({ priority: -1, createdAt: 1 })
+          .toArray();
+        break;
+      
+      case 'SQLITE':
+      default:
+        rows = await new Promise((resolve, reject) => {
+          db.all(sqlQuery, sqlParams, (err, sqliteRows) => {
+            if (err) {
+              reject(err);
+              return;
+            }
+            resolve(sqliteRows || []);
+          });
+        });
+    }
+    
+    return rows.map(row => normalizeTableRow('auto_reply_rules', row));
+  } catch (error) {
+    logger.error('Error getting auto-reply rules:', error);
+    return [];
+  }
+}
+
+/**
+ * Get an auto-reply rule by ID
+ * @param {string} id - Rule ID
+ * @returns {Promise<Object|null>} Rule or null if not found
+ */
+async function getAutoReplyRuleById(id) {
+  try {
+    let row;
+    
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        const result = await db.query('SELECT * FROM auto_reply_rules WHERE id = $1', [id]);
+        row = result.rows[0];
+        break;
+      
+      case 'MONGODB':
+        row = await db.collection('auto_reply_rules').findOne({ id });
+        break;
+      
+      case 'SQLITE':
+      default:
+        row = await new Promise((resolve, reject) => {
+          db.get('SELECT * FROM auto_reply_rules WHERE id = ?', [id], (err, sqliteRow) => {
+            if (err) {
+              reject(err);
+              return;
+            }
+            resolve(sqliteRow);
+          });
+        });
+    }
+    
+    return row ? normalizeTableRow('auto_reply_rules', row) : null;
+  } catch (error) {
+    logger.error('Error getting auto-reply rule by ID:', error);
+    return null;
+  }
+}
+
+/**
+ * Create an auto-reply rule
+ * @param {Object} ruleData - Rule data (name, triggerType, pattern, response, faqTitle, platform, botId, priority, enabled, handoff)
+ * @returns {Promise<string|boolean>} ID of the new rule, or false on failure
+ */
+async function createAutoReplyRule(ruleData) {
+  try {
+    const id = `rule-${Date.now()}-${Math.random().toString(36).substring(2, 7)}`;
+    const now = new Date().toISOString();
+    const rule = {
+      id,
+      name: ruleData.name,
+      triggerType: ruleData.triggerType,
+      pattern: ruleData.pattern,
+      response: ruleData.response,
+      faqTitle: ruleData.faqTitle || null,
+      platform: ruleData.platform || null,
+      botId: ruleData.botId || null,
+      priority: ruleData.priority || 0,
+      enabled: ruleData.enabled !== undefined ? Boolean(ruleData.enabled) : true,
+      handoff: Boolean(ruleData.handoff),
+      createdAt: now,
+      updatedAt: now
+    };
+    
+    const columns = TABLE_COLUMNS.auto_reply_rules;
+    const sqlQuery = `INSERT INTO auto_reply_rules (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`;
+    const sqlParams = columns.map(column => toSqlValue('auto_reply_rules', column, rule[column]));
+    
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        await db.query(toPgPlaceholders(sqlQuery), sqlParams);
+        break;
+      
+      case 'MONGODB':
+        await db.collection('auto_reply_rules').insertOne({ ...rule });
+        break;
+      
+      case 'SQLITE':
+      default:
+        await new Promise((resolve, reject) => {
+          db.run(sqlQuery, sqlParams, (err) => {
+            if (err) {
+              reject(err);
+              return;
+            }
+            resolve();
+          });
+        });
+    }
+    
+    logger.info(`Auto-reply rule created: ${rule.name} (${id})`);
+    return id;
+  } catch (error) {
+    logger.error('Error creating auto-reply rule:', error);
+    return false;
+  }
+}
+
+// Auto-reply rule fields that may be changed after creation
+const AUTO_REPLY_RULE_FIELDS = ['name', 'triggerType', 'pattern', 'response', 'faqTitle', 'platform', 'botId', 'priority', 'enabled', 'handoff'];
+
+/**
+ * Update an auto-reply rule
+ * @param {string} id - Rule ID
+ * @param {Object} ruleData - Fields to update
+ * @returns {Promise<boolean>} True if the rule was found and updated
+ */
+async function updateAutoReplyRule(id, ruleData) {
+  try {
+    const updates = { updatedAt: new Date().toISOString() };
+    
+    for (const field of AUTO_REPLY_RULE_FIELDS) {
+      if (ruleData[field] !== undefined) {
+        updates[field] = ruleData[field];
+      }
+    }
+    
+    const columns = Object.keys(updates);
+    const sqlQuery = `UPDATE auto_reply_rules SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`;
+    const sqlParams = [...columns.map(column => toSqlValue('auto_reply_rules', column, updates[column])), id];
+    
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        const result = await db.query(toPgPlaceholders(sqlQuery), sqlParams);
+        return result.rowCount > 0;
+      
+      case 'MONGODB':
+        const updateResult = await db.collection('auto_reply_rules').updateOne({ id }, { $set: updates });
+        return updateResult.matchedCount > 0;
+      
+      case 'SQLITE':
+      default:
+        return await new Promise((resolve, reject) => {
+          db.run(sqlQuery, sqlParams, function(err) {
+            if (err) {
+              reject(err);
+              return;
+            }
+            resolve(this.changes > 0);
+          });
+        });
+    }
+  } catch (error) {
+    logger.error('Error updating auto-reply rule:', error);
+    return false;
+  }
+}
 
-    // Settings table
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS settings (
-        id SERIAL PRIMARY KEY,
-        userId TEXT NOT NULL,
-        settings JSONB NOT NULL,
-        createdAt TIMESTAMP NOT NULL,
-        updatedAt TIMESTAMP NOT NULL,
-        FOREIGN KEY (userId) REFERENCES users(id)
-      )
-    `);
+/**
+ * Delete an auto-reply rule
+ * @param {string} id - Rule ID
+ * @returns {Promise<boolean>} True if the rule was found and deleted
+ */
+async function deleteAutoReplyRule(id) {
+  try {
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        const result = await db.query('DELETE FROM auto_reply_rules WHERE id = $1', [id]);
+        return result.rowCount > 0;
+      
+      case 'MONGODB':
+        const deleteResult = await db.collection('auto_reply_rules').deleteOne({ id });
+        return deleteResult.deletedCount > 0;
+      
+      case 'SQLITE':
+      default:
+        return await new Promise((resolve, reject) => {
+          db.run('DELETE FROM auto_reply_rules WHERE id = ?', [id], function(err) {
+            if (err) {
+              reject(err);
+              return;
+            }
+            resolve(this.changes > 0);
+          });
+        });
+    }
+  } catch (error) {
+    logger.error('Error deleting auto-reply rule:', error);
+    return false;
+  }
+}
+
+// SLA policy functions
+
+/**
+ * Get SLA policies, by priority and name
+ * @param {Object} filters - Optional filters (priority, platform, enabled)
+ * @returns {Promise<Array>} Array of policies
+ */
+async function getSlaPolicies(filters = {}) {
+  try {
+    const { priority, platform, enabled } = filters;
+    const mongoQuery = {};
+    const whereClause = [];
+    const sqlParams = [];
     
-    // Check if admin user exists, create if not
-    const result = await client.query('SELECT * FROM users WHERE role = $1', ['Administrator']);
+    if (priority) {
+      mongoQuery.priority = priority;
+      whereClause.push('priority = ?');
+      sqlParams.push(priority);
+    }
     
-    if (result.rows.length === 0) {
-      // Create default admin user with the specified credentials
-      const saltRounds = 10;
-      const defaultPassword = "Password123"; // As requested
+    if (platform) {
+      mongoQuery.platform = platform;
+      whereClause.push('platform = ?');
+      sqlParams.push(platform);
+    }
+    
+    if (enabled !== undefined) {
+      mongoQuery.enabled = Boolean(enabled);
+      whereClause.push('enabled = ?');
+      sqlParams.push(toSqlValue('sla_policies', 'enabled', enabled));
+    }
+    
+    const sqlWhere = whereClause.length > 0 ? ' WHERE ' + whereClause.join(' AND ') : '';
+    const sqlQuery = `SELECT * FROM sla_policies${sqlWhere} ORDER BY priority ASC, name ASC`;
+    let rows;
+    
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        const result = await db.query(toPgPlaceholders(sqlQuery), sqlParams);
+        rows = result.rows;
+        break;
       
-      const hash = await bcrypt.hash(defaultPassword, saltRounds);
+      case 'MONGODB':
+        rows = await db.collection('sla_policies')
+          .find(mongoQuery)
+          .sort({ priority: 1, name: 1 })
+          .toArray();
+        break;
       
-      await client.query(`
-        INSERT INTO users (id, username, email, password, role, status, createdAt)
-        VALUES ($1, $2, $3, $4, $5, $6, $7)
-      `, [
-        'admin-' + Date.now(),
-        'admin',
-        'admin@redwan.work', // Updated email as requested
-        hash,
-        'Administrator',
-        'active',
-        new Date()
-      ]);
+      case 'SQLITE':
+      default:
+        rows = await new Promise((resolve, reject) => {
+          db.all(sqlQuery, sqlParams, (err, sqliteRows) => {
+            if (err) {
+              reject(err);
+              return;
+            }
+            resolve(sqliteRows || []);
+          });
+        });
+    }
+    
+    return rows.map(row => normalizeTableRow('sla_policies', row));
+  } catch (error) {
+    logger.error('Error getting SLA policies:', error);
+    return [];
+  }
+}
+
+/**
+ * Get an SLA policy by ID
+ * @param {string} id - Policy ID
+ * @returns {Promise<Object|null>} Policy or null if not found
+ */
+async function getSlaPolicyById(id) {
+  try {
+    let row;
+    
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        const result = await db.query('SELECT * FROM sla_policies WHERE id = $1', [id]);
+        row = result.rows[0];
+        break;
       
-      logger.info('Default admin user created in PostgreSQL');
+      case 'MONGODB':
+        row = await db.collection('sla_policies').findOne({ id });
+        break;
+      
+      case 'SQLITE':
+      default:
+        row = await new Promise((resolve, reject) => {
+          db.get('SELECT * FROM sla_policies WHERE id = ?', [id], (err, sqliteRow) => {
+            if (err) {
+              reject(err);
+              return;
+            }
+            resolve(sqliteRow);
+          });
+        });
+    }
+    
+    return row ? normalizeTableRow('sla_policies', row) : null;
+  } catch (error) {
+    logger.error('Error getting SLA policy by ID:', error);
+    return null;
+  }
+}
+
+/**
+ * Create an SLA policy
+ * @param {Object} policyData - Policy data (name, priority, platform, firstResponseMinutes, resolutionMinutes,
+ *                              businessHours, escalatePriority, escalateTo, enabled)
+ * @returns {Promise<string|boolean>} ID of the new policy, or false on failure
+ */
+async function createSlaPolicy(policyData) {
+  try {
+    const id = `sla-${Date.now()}-${Math.random().toString(36).substring(2, 7)}`;
+    const now = new Date().toISOString();
+    const policy = {
+      id,
+      name: policyData.name,
+      priority: policyData.priority,
+      platform: policyData.platform || null,
+      firstResponseMinutes: policyData.firstResponseMinutes || null,
+      resolutionMinutes: policyData.resolutionMinutes || null,
+      businessHours: policyData.businessHours !== undefined ? Boolean(policyData.businessHours) : true,
+      escalatePriority: policyData.escalatePriority !== undefined ? Boolean(policyData.escalatePriority) : true,
+      escalateTo: policyData.escalateTo || null,
+      enabled: policyData.enabled !== undefined ? Boolean(policyData.enabled) : true,
+      createdAt: now,
+      updatedAt: now
+    };
+    
+    const columns = TABLE_COLUMNS.sla_policies;
+    const sqlQuery = `INSERT INTO sla_policies (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`;
+    const sqlParams = columns.map(column => toSqlValue('sla_policies', column, policy[column]));
+    
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        await db.query(toPgPlaceholders(sqlQuery), sqlParams);
+        break;
+      
+      case 'MONGODB':
+        await db.collection('sla_policies').insertOne({ ...policy });
+        break;
+      
+      case 'SQLITE':
+      default:
+        await new Promise((resolve, reject) => {
+          db.run(sqlQuery, sqlParams, (err) => {
+            if (err) {
+              reject(err);
+              return;
+            }
+            resolve();
+          });
+        });
+    }
+    
+    logger.info(`SLA policy created: ${policy.name} (${id})`);
+    return id;
+  } catch (error) {
+    logger.error('Error creating SLA policy:', error);
+    return false;
+  }
+}
+
+// SLA policy fields that may be changed after creation
+const SLA_POLICY_FIELDS = ['name', 'priority', 'platform', 'firstResponseMinutes', 'resolutionMinutes', 'businessHours', 'escalatePriority', 'escalateTo', 'enabled'];
+
+/**
+ * Update an SLA policy
+ * @param {string} id - Policy ID
+ * @param {Object} policyData - Fields to update
+ * @returns {Promise<boolean>} True if the policy was found and updated
+ */
+async function updateSlaPolicy(id, policyData) {
+  try {
+    const updates = { updatedAt: new Date().toISOString() };
+    
+    for (const field of SLA_POLICY_FIELDS) {
+      if (policyData[field] !== undefined) {
+        updates[field] = policyData[field];
+      }
+    }
+    
+    const columns = Object.keys(updates);
+    const sqlQuery = `UPDATE sla_policies SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`;
+    const sqlParams = [...columns.map(column => toSqlValue('sla_policies', column, updates[column])), id];
+    
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        const result = await db.query(toPgPlaceholders(sqlQuery), sqlParams);
+        return result.rowCount > 0;
+      
+      case 'MONGODB':
+        const updateResult = await db.collection('sla_policies').updateOne({ id }, { $set: updates });
+        return updateResult.matchedCount > 0;
+      
+      case 'SQLITE':
+      default:
+        return await new Promise((resolve, reject) => {
+          db.run(sqlQuery, sqlParams, function(err) {
+            if (err) {
+              reject(err);
+              return;
+            }
+            resolve(this.changes > 0);
+          });
+        });
+    }
+  } catch (error) {
+    logger.error('Error updating SLA policy:', error);
+    return false;
+  }
+}
+
+/**
+ * Delete an SLA policy. Tickets keep the targets it gave them.
+ * @param {string} id - Policy ID
+ * @returns {Promise<boolean>} True if the policy was found and deleted
+ */
+async function deleteSlaPolicy(id) {
+  try {
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        const result = await db.query('DELETE FROM sla_policies WHERE id = $1', [id]);
+        return result.rowCount > 0;
+      
+      case 'MONGODB':
+        const deleteResult = await db.collection('sla_policies').deleteOne({ id });
+        return deleteResult.deletedCount > 0;
+      
+      case 'SQLITE':
+      default:
+        return await new Promise((resolve, reject) => {
+          db.run('DELETE FROM sla_policies WHERE id = ?', [id], function(err) {
+            if (err) {
+              reject(err);
+              return;
+            }
+            resolve(this.changes > 0);
+          });
+        });
+    }
+  } catch (error) {
+    logger.error('Error deleting SLA policy:', error);
+    return false;
+  }
+}
+
+// Role functions
+
+/**
+ * Get all custom roles, by name
+ * @returns {Promise<Array>} Roles with their grants
+ */
+async function getRoles() {
+  try {
+    let rows;
+    
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        const result = await db.query('SELECT * FROM roles ORDER BY name ASC');
+        rows = result.rows;
+        break;
+      
+      case 'MONGODB':
+        rows = await db.collection('roles').find({}).sort({ name: 1 }).toArray();
+        break;
+      
+      case 'SQLITE':
+      default:
+        rows = await new Promise((resolve, reject) => {
+          db.all('SELECT * FROM roles ORDER BY name ASC', [], (err, sqliteRows) => {
+            if (err) {
+              reject(err);
+              return;
+            }
+            resolve(sqliteRows || []);
+          });
+        });
+    }
+    
+    return rows.map(row => normalizeTableRow('roles', row));
+  } catch (error) {
+    logger.error('Error getting roles:', error);
+    return [];
+  }
+}
+
+/**
+ * Create a custom role
+ * @param {Object} roleData - Role name, description and grants
+ * @returns {Promise<string|boolean>} ID of the new role, or false on failure
+ */
+async function createRole(roleData) {
+  try {
+    const now = new Date().toISOString();
+    const role = {
+      id: `role-${Date.now()}-${Math.random().toString(36).substring(2, 7)}`,
+      name: roleData.name,
+      description: roleData.description || null,
+      grants: roleData.grants || [],
+      createdAt: now,
+      updatedAt: now
+    };
+    
+    const columns = TABLE_COLUMNS.roles;
+    const sqlQuery = `INSERT INTO roles (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`;
+    const sqlParams = columns.map(column => toSqlValue('roles', column, role[column]));
+    
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        await db.query(toPgPlaceholders(sqlQuery), sqlParams);
+        break;
+      
+      case 'MONGODB':
+        await db.collection('roles').insertOne({ ...role });
+        break;
+      
+      case 'SQLITE':
+      default:
+        await new Promise((resolve, reject) => {
+          db.run(sqlQuery, sqlParams, (err) => {
+            if (err) {
+              reject(err);
+              return;
+            }
+            resolve();
+          });
+        });
     }
+    
+    logger.info(`Role created: ${role.name} (${role.id})`);
+    return role.id;
   } catch (error) {
-    logger.error('Error creating PostgreSQL tables:', error);
-    throw error;
+    logger.error('Error creating role:', error);
+    return false;
   }
 }
 
 /**
- * Initialize MongoDB database
+ * Update the description or grants of a custom role. Names cannot change, users refer to roles by name.
+ * @param {string} id - Role ID
+ * @param {Object} roleData - Description and/or grants
+ * @returns {Promise<boolean>} True if the role was found and updated
  */
-async function initializeMongoDB() {
+async function updateRole(id, roleData) {
   try {
-    const url = DB_URL || `mongodb://${DB_USER}:${DB_PASSWORD}@${DB_HOST}:${DB_PORT}/${DB_NAME}`;
-    client = new MongoClient(url, { useNewUrlParser: true, useUnifiedTopology: true });
-    
-    await client.connect();
-    logger.info('Connected to MongoDB database');
+    const updates = { updatedAt: new Date().toISOString() };
     
-    db = client.db(DB_NAME);
+    for (const field of ['description', 'grants']) {
+      if (roleData[field] !== undefined) {
+        updates[field] = roleData[field];
+      }
+    }
     
-    // Create collections and indexes
-    await createMongoDBCollections();
+    const columns = Object.keys(updates);
+    const sqlQuery = `UPDATE roles SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`;
+    const sqlParams = [...columns.map(column => toSqlValue('roles', column, updates[column])), id];
     
-    return db;
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        const result = await db.query(toPgPlaceholders(sqlQuery), sqlParams);
+        return result.rowCount > 0;
+      
+      case 'MONGODB':
+        const updateResult = await db.collection('roles').updateOne({ id }, { $set: updates });
+        return updateResult.matchedCount > 0;
+      
+      case 'SQLITE':
+      default:
+        return await new Promise((resolve, reject) => {
+          db.run(sqlQuery, sqlParams, function(err) {
+            if (err) {
+              reject(err);
+              return;
+            }
+            resolve(this.changes > 0);
+          });
+        });
+    }
   } catch (error) {
-    logger.error('Error connecting to MongoDB:', error);
-    throw error;
+    logger.error('Error updating role:', error);
+    return false;
   }
 }
 
 /**
- * Create MongoDB collections and indexes
+ * Delete a custom role
+ * @param {string} id - Role ID
+ * @returns {Promise<boolean>} True if the role was found and deleted
  */
-async function createMongoDBCollections() {
+async function deleteRole(id) {
   try {
-    // Create collections if they don't exist
-    const collections = await db.listCollections().toArray();
-    const collectionNames = collections.map(c => c.name);
-    
-    if (!collectionNames.includes('users')) {
-      await db.createCollection('users');
-      await db.collection('users').createIndex({ email: 1 }, { unique: true });
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        const result = await db.query('DELETE FROM roles WHERE id = $1', [id]);
+        return result.rowCount > 0;
+      
+      case 'MONGODB':
+        const deleteResult = await db.collection('roles').deleteOne({ id });
+        return deleteResult.deletedCount > 0;
+      
+      case 'SQLITE':
+      default:
+        return await new Promise((resolve, reject) => {
+          db.run('DELETE FROM roles WHERE id = ?', [id], function(err) {
+            if (err) {
+              reject(err);
+              return;
+            }
+            resolve(this.changes > 0);
+          });
+        });
     }
-    
-    if (!collectionNames.includes('bots')) {
-      await db.createCollection('bots');
+  } catch (error) {
+    logger.error('Error deleting role:', error);
+    return false;
+  }
+}
+
+/**
+ * Count the users holding a role
+ * @param {string} role - Role name
+ * @returns {Promise<number>} Number of users
+ */
+async function countUsersWithRole(role) {
+  try {
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        const result = await db.query('SELECT COUNT(*) AS count FROM users WHERE role = $1', [role]);
+        return parseInt(result.rows[0].count);
+      
+      case 'MONGODB':
+        return await db.collection('users').countDocuments({ role });
+      
+      case 'SQLITE':
+      default:
+        return await new Promise((resolve, reject) => {
+          db.get('SELECT COUNT(*) AS count FROM users WHERE role = ?', [role], (err, row) => {
+            if (err) {
+              reject(err);
+              return;
+            }
+            resolve(row ? parseInt(row.count) : 0);
+          });
+        });
     }
+  } catch (error) {
+    logger.error('Error counting users with role:', error);
+    return 0;
+  }
+}
+
+// Conversation state functions
+
+/**
+ * Build the key of a bot user's conversation state
+ * @param {Object} key - Platform, bot ID (optional) and platform user ID
+ * @returns {string} State ID
+ */
+function getConversationStateId({ platform, botId, userId }) {
+  return `${platform}:${botId || ''}:${userId}`;
+}
+
+/**
+ * Convert a conversation state read from any engine into its portable form
+ * @param {Object} row - Row as returned by the driver
+ * @returns {Object} Conversation state
+ */
+function normalizeConversationState(row) {
+  const state = {};
+  
+  for (const column of ['id', 'platform', 'botId', 'userId', 'flow', 'step', 'data', 'expiresAt', 'updatedAt']) {
+    // PostgreSQL folds unquoted identifiers to lower case
+    const value = row[column] !== undefined ? row[column] : row[column.toLowerCase()];
+    state[column] = value instanceof Date ? value.toISOString() : (value ?? null);
+  }
+  
+  if (typeof state.data === 'string') {
+    state.data = JSON.parse(state.data);
+  }
+  
+  return state;
+}
+
+/**
+ * Get the conversation state of a bot user
+ * @param {Object} key - Platform, bot ID (optional) and platform user ID
+ * @returns {Promise<Object|null>} State, or null if there is none or it has expired
+ */
+async function getConversationState(key) {
+  try {
+    const id = getConversationStateId(key);
+    let row;
     
-    if (!collectionNames.includes('tickets')) {
-      await db.createCollection('tickets');
-      await db.collection('tickets').createIndex({ ticketId: 1 }, { unique: true });
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        const result = await db.query('SELECT * FROM conversation_states WHERE id = $1', [id]);
+        row = result.rows[0];
+        break;
+      
+      case 'MONGODB':
+        row = await db.collection('conversation_states').findOne({ id });
+        break;
+      
+      case 'SQLITE':
+      default:
+        row = await new Promise((resolve, reject) => {
+          db.get('SELECT * FROM conversation_states WHERE id = ?', [id], (err, sqliteRow) => {
+            if (err) {
+              reject(err);
+              return;
+            }
+            resolve(sqliteRow);
+          });
+        });
     }
     
-    if (!collectionNames.includes('interactions')) {
-      await db.createCollection('interactions');
-      await db.collection('interactions').createIndex({ timestamp: 1 });
+    if (!row) {
+      return null;
     }
     
-    if (!collectionNames.includes('leads')) {
-      await db.createCollection('leads');
-      await db.collection('leads').createIndex({ timestamp: 1 });
-    }
+    const state = normalizeConversationState(row);
     
-    if (!collectionNames.includes('reputation')) {
-      await db.createCollection('reputation');
-      await db.collection('reputation').createIndex({ userId: 1 }, { unique: true });
+    if (new Date(state.expiresAt) <= new Date()) {
+      await deleteConversationState(key);
+      return null;
     }
+    
+    return state;
+  } catch (error) {
+    logger.error('Error getting conversation state:', error);
+    return null;
+  }
+}
 
-    if (!collectionNames.includes('settings')) {
-      await db.createCollection('settings');
-      await db.collection('settings').createIndex({ userId: 1 }, { unique: true });
-    }
+/**
+ * Create or replace the conversation state of a bot user
+ * @param {Object} stateData - Platform, bot ID, user ID, flow, step and flow data
+ * @param {number} ttl - Milliseconds of inactivity after which the state expires
+ * @returns {Promise<boolean>} Success status
+ */
+async function saveConversationState(stateData, ttl) {
+  try {
+    const { platform, botId = null, userId, flow, step, data = {} } = stateData;
+    const id = getConversationStateId(stateData);
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + ttl);
     
-    // Check if admin user exists, create if not
-    const adminUser = await db.collection('users').findOne({ role: 'Administrator' });
+    const sqlQuery = `
+      INSERT INTO conversation_states (id, platform, botId, userId, flow, step, data, expiresAt, updatedAt)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (id) DO UPDATE SET
+        flow = excluded.flow,
+        step = excluded.step,
+        data = excluded.data,
+        expiresAt = excluded.expiresAt,
+        updatedAt = excluded.updatedAt
+    `;
     
-    if (!adminUser) {
-      // Create default admin user with the specified credentials
-      const saltRounds = 10;
-      const defaultPassword = "Password123"; // As requested
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        await db.query(toPgPlaceholders(sqlQuery), [id, platform, botId, userId, flow, step, JSON.stringify(data), expiresAt, now]);
+        return true;
       
-      const hash = await bcrypt.hash(defaultPassword, saltRounds);
+      case 'MONGODB':
+        // Dates are kept as Date objects so the TTL index can expire them
+        await db.collection('conversation_states').updateOne(
+          { id },
+          { $set: { platform, botId, userId, flow, step, data, expiresAt, updatedAt: now } },
+          { upsert: true }
+        );
+        return true;
       
-      await db.collection('users').insertOne({
-        id: 'admin-' + Date.now(),
-        username: 'admin',
-        email: 'admin@redwan.work', // Updated email as requested
-        password: hash,
-        role: 'Administrator',
-        status: 'active',
-        twoFactorEnabled: false,
-        createdAt: new Date(),
-        lastLogin: null
-      });
+      case 'SQLITE':
+      default:
+        return await new Promise((resolve, reject) => {
+          db.run(sqlQuery, [id, platform, botId, userId, flow, step, JSON.stringify(data), expiresAt.toISOString(), now.toISOString()], (err) => {
+            if (err) {
+              reject(err);
+              return;
+            }
+            resolve(true);
+          });
+        });
+    }
+  } catch (error) {
+    logger.error('Error saving conversation state:', error);
+    return false;
+  }
+}
+
+/**
+ * Delete the conversation state of a bot user
+ * @param {Object} key - Platform, bot ID (optional) and platform user ID
+ * @returns {Promise<boolean>} Success status
+ */
+async function deleteConversationState(key) {
+  try {
+    const id = getConversationStateId(key);
+    
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        await db.query('DELETE FROM conversation_states WHERE id = $1', [id]);
+        return true;
       
-      logger.info('Default admin user created in MongoDB');
+      case 'MONGODB':
+        await db.collection('conversation_states').deleteOne({ id });
+        return true;
+      
+      case 'SQLITE':
+      default:
+        return await new Promise((resolve, reject) => {
+          db.run('DELETE FROM conversation_states WHERE id = ?', [id], (err) => {
+            if (err) {
+              reject(err);
+              return;
+            }
+            resolve(true);
+          });
+        });
     }
   } catch (error) {
-    logger.error('Error creating MongoDB collections:', error);
-    throw error;
+    logger.error('Error deleting conversation state:', error);
+    return false;
   }
 }
 
 /**
- * Close the database connection
+ * Delete all expired conversation states
+ * @returns {Promise<number>} Number of deleted states
  */
-async function closeDatabase() {
+async function deleteExpiredConversationStates() {
   try {
-    if (DB_ENGINE === 'SQLITE' && db) {
-      return new Promise((resolve, reject) => {
-        db.close((err) => {
-          if (err) {
-            logger.error('Error closing SQLite database:', err);
-            reject(err);
-            return;
-          }
-          logger.info('SQLite database connection closed');
-          resolve();
+    const now = new Date();
+    
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        const result = await db.query('DELETE FROM conversation_states WHERE expiresAt <= $1', [now]);
+        return result.rowCount;
+      
+      case 'MONGODB':
+        const deleteResult = await db.collection('conversation_states').deleteMany({ expiresAt: { $lte: now } });
+        return deleteResult.deletedCount;
+      
+      case 'SQLITE':
+      default:
+        return await new Promise((resolve, reject) => {
+          db.run('DELETE FROM conversation_states WHERE expiresAt <= ?', [now.toISOString()], function(err) {
+            if (err) {
+              reject(err);
+              return;
+            }
+            resolve(this.changes);
+          });
         });
-      });
-    } else if (DB_ENGINE === 'POSTGRESQL' && db) {
-      await db.end();
-      logger.info('PostgreSQL database connection closed');
-    } else if (DB_ENGINE === 'MONGODB' && client) {
-      await client.close();
-      logger.info('MongoDB database connection closed');
     }
   } catch (error) {
-    logger.error('Error closing database connection:', error);
-    throw error;
+    logger.error('Error deleting expired conversation states:', error);
+    return 0;
+  }
+}
+
+// Signing key functions
+
+/**
+ * Convert a signing key read from any engine into its portable form
+ * @param {Object} row - Row as returned by the driver
+ * @returns {Object} Signing key with its encrypted secret
+ */
+function normalizeSigningKey(row) {
+  const key = {};
+  
+  for (const column of ['kid', 'purpose', 'secret', 'status', 'createdAt', 'retiredAt', 'expiresAt']) {
+    // PostgreSQL folds unquoted identifiers to lower case
+    const value = row[column] !== undefined ? row[column] : row[column.toLowerCase()];
+    key[column] = value instanceof Date ? value.toISOString() : (value ?? null);
+  }
+  
+  if (typeof key.secret === 'string') {
+    key.secret = JSON.parse(key.secret);
   }
+  
+  return key;
 }
 
 /**
- * Get active bots from the database
- * @returns {Promise<Array>} Array of active bot objects
+ * Get all token signing keys, newest first
+ * @returns {Promise<Array>} Signing keys with their encrypted secrets
  */
-async function getActiveBots() {
+async function getSigningKeys() {
   try {
+    let rows;
+    
     switch (DB_ENGINE) {
       case 'POSTGRESQL':
-        const result = await db.query('SELECT * FROM bots WHERE status = $1', ['online']);
-        return result.rows;
+        const result = await db.query('SELECT * FROM signing_keys ORDER BY createdAt DESC');
+        rows = result.rows;
+        break;
       
       case 'MONGODB':
-        return await db.collection('bots').find({ status: 'online' }).toArray();
+        rows = await db.collection('signing_keys').find({}).sort({ createdAt: -1 }).toArray();
+        break;
       
       case 'SQLITE':
       default:
-        return new Promise((resolve, reject) => {
-          db.all('SELECT * FROM bots WHERE status = ?', ['online'], (err, rows) => {
+        rows = await new Promise((resolve, reject) => {
+          db.all('SELECT * FROM signing_keys ORDER BY createdAt DESC', [], (err, sqliteRows) => {
             if (err) {
-              logger.error('Error getting active bots:', err);
               reject(err);
               return;
             }
-            resolve(rows || []);
+            resolve(sqliteRows || []);
           });
         });
     }
+    
+    return rows.map(normalizeSigningKey);
   } catch (error) {
-    logger.error('Error getting active bots:', error);
-    return []; // Return empty array instead of throwing to prevent app crash
+    logger.error('Error getting signing keys:', error);
+    return [];
   }
 }
 
 /**
- * Update bot status in the database
- * @param {string} id - Bot ID
- * @param {string} status - New status ('online', 'offline', 'error')
+ * Store a new token signing key
+ * @param {Object} keyData - Key ID, purpose, encrypted secret and status
+ * @returns {Promise<boolean>} Success status
  */
-async function updateBotStatus(id, status) {
+async function createSigningKey(keyData) {
   try {
+    const { kid, purpose, secret, status = 'active' } = keyData;
     const now = new Date().toISOString();
+    const sqlQuery = 'INSERT INTO signing_keys (kid, purpose, secret, status, createdAt) VALUES (?, ?, ?, ?, ?)';
+    const sqlParams = [kid, purpose, JSON.stringify(secret), status, now];
     
     switch (DB_ENGINE) {
       case 'POSTGRESQL':
-        await db.query(
-          'UPDATE bots SET status = $1, lastActive = $2 WHERE id = $3',
-          [status, now, id]
-        );
+        await db.query(toPgPlaceholders(sqlQuery), sqlParams);
         break;
       
       case 'MONGODB':
-        await db.collection('bots').updateOne(
-          { id },
-          { $set: { status, lastActive: now } }
-        );
+        await db.collection('signing_keys').insertOne({ kid, purpose, secret, status, createdAt: now, retiredAt: null, expiresAt: null });
         break;
       
       case 'SQLITE':
       default:
-        return new Promise((resolve, reject) => {
-          db.run(
-            'UPDATE bots SET status = ?, lastActive = ? WHERE id = ?',
-            [status, now, id],
-            function(err) {
-              if (err) {
-                logger.error('Error updating bot status:', err);
-                reject(err);
-                return;
-              }
-              resolve();
+        await new Promise((resolve, reject) => {
+          db.run(sqlQuery, sqlParams, (err) => {
+            if (err) {
+              reject(err);
+              return;
             }
-          );
+            resolve();
+          });
         });
     }
     
-    logger.info(`Updated bot ${id} status to ${status}`);
+    return true;
   } catch (error) {
-    logger.error('Error updating bot status:', error);
-    throw error;
+    logger.error('Error creating signing key:', error);
+    return false;
   }
 }
 
 /**
- * Create a new ticket in the database
+ * Retire the active signing keys of a purpose, keeping them valid for verification until a date.
+ * Keys retired earlier that would outlive that date expire with them.
+ * @param {string} purpose - Token purpose, e.g. 'access'
+ * @param {Date} expiresAt - When the retired keys stop being accepted
+ * @returns {Promise<boolean>} Success status
  */
-async function createTicket(ticketData) {
+async function retireSigningKeys(purpose, expiresAt) {
   try {
-    const { ticketId, userId, username, platform, issue, status, priority = 'medium' } = ticketData;
     const now = new Date().toISOString();
-
+    const expiry = expiresAt.toISOString();
+    const statements = [
+      {
+        sql: "UPDATE signing_keys SET expiresAt = ? WHERE purpose = ? AND status = 'retired' AND expiresAt > ?",
+        params: [expiry, purpose, expiry]
+      },
+      {
+        sql: "UPDATE signing_keys SET status = 'retired', retiredAt = ?, expiresAt = ? WHERE purpose = ? AND status = 'active'",
+        params: [now, expiry, purpose]
+      }
+    ];
+    
     switch (DB_ENGINE) {
       case 'POSTGRESQL':
-        await db.query(`
-          INSERT INTO tickets 
-          (ticketId, userId, username, platform, issue, status, priority, createdAt) 
-          VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-        `, [ticketId, userId, username, platform, issue, status, priority, now]);
+        for (const { sql, params } of statements) {
+          await db.query(toPgPlaceholders(sql), params);
+        }
         break;
       
       case 'MONGODB':
-        await db.collection('tickets').insertOne({
-          ...ticketData,
-          createdAt: now
-        });
+        await db.collection('signing_keys').updateMany(
+          { purpose, status: 'retired', expiresAt: { $gt: expiry } },
+          { $set: { expiresAt: expiry } }
+        );
+        await db.collection('signing_keys').updateMany(
+          { purpose, status: 'active' },
+          { $set: { status: 'retired', retiredAt: now, expiresAt: expiry } }
+        );
         break;
       
       case 'SQLITE':
       default:
-        return new Promise((resolve, reject) => {
-          db.run(`
-            INSERT INTO tickets 
-            (ticketId, userId, username, platform, issue, status, priority, createdAt) 
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-          `, [ticketId, userId, username, platform, issue, status, priority, now], function(err) {
-            if (err) {
-              reject(err);
-              return;
-            }
-            resolve();
+        for (const { sql, params } of statements) {
+          await new Promise((resolve, reject) => {
+            db.run(sql, params, (err) => {
+              if (err) {
+                reject(err);
+                return;
+              }
+              resolve();
+            });
           });
-        });
+        }
     }
     
-    logger.info(`Ticket ${ticketId} created by ${username}`);
     return true;
   } catch (error) {
-    logger.error('Error creating ticket:', error);
+    logger.error('Error retiring signing keys:', error);
     return false;
   }
 }
 
 /**
- * Log an interaction in the database
+ * Replace the encrypted secret of a signing key, e.g. after the master key changed
+ * @param {string} kid - Key ID
+ * @param {Object} secret - Encrypted secret
+ * @returns {Promise<boolean>} Success status
  */
-async function logInteraction(interactionData) {
+async function updateSigningKeySecret(kid, secret) {
   try {
-    const { userId, username, platform, command, details } = interactionData;
-    const now = new Date().toISOString();
-
+    const sqlQuery = 'UPDATE signing_keys SET secret = ? WHERE kid = ?';
+    const sqlParams = [JSON.stringify(secret), kid];
+    
     switch (DB_ENGINE) {
       case 'POSTGRESQL':
-        await db.query(`
-          INSERT INTO interactions 
-          (userId, username, platform, command, details, timestamp) 
-          VALUES ($1, $2, $3, $4, $5, $6)
-        `, [userId, username, platform, command, JSON.stringify(details), now]);
+        await db.query(toPgPlaceholders(sqlQuery), sqlParams);
         break;
       
       case 'MONGODB':
-        await db.collection('interactions').insertOne({
-          userId, 
-          username, 
-          platform, 
-          command, 
-          details, 
-          timestamp: now
-        });
+        await db.collection('signing_keys').updateOne({ kid }, { $set: { secret } });
         break;
       
       case 'SQLITE':
       default:
-        return new Promise((resolve, reject) => {
-          db.run(`
-            INSERT INTO interactions 
-            (userId, username, platform, command, details, timestamp) 
-            VALUES (?, ?, ?, ?, ?, ?)
-          `, [userId, username, platform, command, JSON.stringify(details), now], function(err) {
+        await new Promise((resolve, reject) => {
+          db.run(sqlQuery, sqlParams, (err) => {
             if (err) {
               reject(err);
               return;
@@ -778,2027 +6771,2261 @@ async function logInteraction(interactionData) {
     
     return true;
   } catch (error) {
-    logger.error('Error logging interaction:', error);
+    logger.error('Error updating signing key:', error);
     return false;
   }
 }
 
 /**
- * Store a new lead in the database
+ * Delete retired signing keys past their grace period
+ * @returns {Promise<number>} Number of deleted keys
  */
-async function storeLead(leadData) {
+async function deleteExpiredSigningKeys() {
   try {
-    const { userId, username, platform, source } = leadData;
-    const now = new Date().toISOString();
-
+    const now = new Date();
+    
     switch (DB_ENGINE) {
       case 'POSTGRESQL':
-        await db.query(`
-          INSERT INTO leads 
-          (userId, username, platform, source, timestamp) 
-          VALUES ($1, $2, $3, $4, $5)
-        `, [userId, username, platform, source, now]);
-        break;
+        const result = await db.query("DELETE FROM signing_keys WHERE status = 'retired' AND expiresAt <= $1", [now]);
+        return result.rowCount;
       
       case 'MONGODB':
-        await db.collection('leads').insertOne({
-          userId, 
-          username, 
-          platform, 
-          source, 
-          timestamp: now
-        });
-        break;
+        const deleteResult = await db.collection('signing_keys').deleteMany({ status: 'retired', expiresAt: { $lte: now.toISOString() } });
+        return deleteResult.deletedCount;
       
       case 'SQLITE':
       default:
-        return new Promise((resolve, reject) => {
-          db.run(`
-            INSERT INTO leads 
-            (userId, username, platform, source, timestamp) 
-            VALUES (?, ?, ?, ?, ?)
-          `, [userId, username, platform, source, now], function(err) {
+        return await new Promise((resolve, reject) => {
+          db.run("DELETE FROM signing_keys WHERE status = 'retired' AND expiresAt <= ?", [now.toISOString()], function(err) {
             if (err) {
               reject(err);
               return;
             }
-            resolve();
+            resolve(this.changes);
           });
         });
     }
-    
-    logger.info(`New lead stored: ${username} from ${platform} via ${source}`);
-    return true;
   } catch (error) {
-    logger.error('Error storing lead:', error);
-    return false;
+    logger.error('Error deleting expired signing keys:', error);
+    return 0;
   }
 }
 
+// User identity functions
+
+const USER_IDENTITY_COLUMNS = ['issuer', 'subject', 'userId', 'email', 'createdAt', 'lastLoginAt'];
+
 /**
- * Get reputation for a user
+ * Convert a user identity read from any engine into its portable form
+ * @param {Object} row - Row as returned by the driver
+ * @returns {Object|null} User identity, or null if there is no row
  */
-async function getReputation(userId) {
+function normalizeUserIdentity(row) {
+  if (!row) {
+    return null;
+  }
+  
+  const identity = {};
+  
+  for (const column of USER_IDENTITY_COLUMNS) {
+    // PostgreSQL folds unquoted identifiers to lower case
+    const value = row[column] !== undefined ? row[column] : row[column.toLowerCase()];
+    identity[column] = value instanceof Date ? value.toISOString() : (value ?? null);
+  }
+  
+  return identity;
+}
+
+/**
+ * Get the user identity of a single sign-on account
+ * @param {string} issuer - Issuer of the identity provider
+ * @param {string} subject - Subject identifying the account at the provider
+ * @returns {Promise<Object|null>} User identity or null if the account is not linked
+ */
+async function getUserIdentity(issuer, subject) {
   try {
+    const sqlQuery = 'SELECT * FROM user_identities WHERE issuer = ? AND subject = ?';
+    
     switch (DB_ENGINE) {
       case 'POSTGRESQL':
-        const result = await db.query('SELECT * FROM reputation WHERE userId = $1', [userId]);
-        return result.rows[0] || null;
+        const result = await db.query(toPgPlaceholders(sqlQuery), [issuer, subject]);
+        return normalizeUserIdentity(result.rows[0]);
       
       case 'MONGODB':
-        return await db.collection('reputation').findOne({ userId });
+        return normalizeUserIdentity(await db.collection('user_identities').findOne({ issuer, subject }));
       
       case 'SQLITE':
       default:
-        return new Promise((resolve, reject) => {
-          db.get('SELECT * FROM reputation WHERE userId = ?', [userId], (err, row) => {
+        return await new Promise((resolve, reject) => {
+          db.get(sqlQuery, [issuer, subject], (err, row) => {
             if (err) {
               reject(err);
               return;
             }
-            resolve(row || null);
+            resolve(normalizeUserIdentity(row));
           });
         });
     }
   } catch (error) {
-    logger.error('Error getting reputation:', error);
+    logger.error('Error getting user identity:', error);
     return null;
   }
 }
 
 /**
- * Add reputation points for a user
+ * Link a single sign-on account to a user
+ * @param {Object} identityData - Issuer, subject, user ID and email of the account
+ * @returns {Promise<boolean>} Success status
  */
-async function addReputation(userId, points, updatedBy) {
+async function createUserIdentity(identityData) {
   try {
     const now = new Date().toISOString();
-    const currentRep = await getReputation(userId);
+    const identity = {
+      issuer: identityData.issuer,
+      subject: identityData.subject,
+      userId: identityData.userId,
+      email: identityData.email || null,
+      createdAt: now,
+      lastLoginAt: now
+    };
     
-    if (currentRep) {
-      const newPoints = currentRep.points + points;
-      const level = calculateLevel(newPoints);
+    const sqlQuery = `INSERT INTO user_identities (${USER_IDENTITY_COLUMNS.join(', ')}) VALUES (${USER_IDENTITY_COLUMNS.map(() => '?').join(', ')})`;
+    const sqlParams = USER_IDENTITY_COLUMNS.map(column => identity[column]);
+    
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        await db.query(toPgPlaceholders(sqlQuery), sqlParams);
+        break;
       
-      switch (DB_ENGINE) {
-        case 'POSTGRESQL':
-          await db.query(
-            'UPDATE reputation SET points = $1, level = $2, lastUpdated = $3, updatedBy = $4 WHERE userId = $5',
-            [newPoints, level, now, updatedBy, userId]
-          );
-          break;
-        
-        case 'MONGODB':
-          await db.collection('reputation').updateOne(
-            { userId },
-            { $set: { points: newPoints, level, lastUpdated: now, updatedBy } }
-          );
-          break;
-        
-        case 'SQLITE':
-        default:
-          return new Promise((resolve, reject) => {
-            db.run(
-              'UPDATE reputation SET points = ?, level = ?, lastUpdated = ?, updatedBy = ? WHERE userId = ?',
-              [newPoints, level, now, updatedBy, userId],
-              function(err) {
-                if (err) {
-                  reject(err);
-                  return;
-                }
-                resolve();
-              }
-            );
-          });
-      }
-    } else {
-      const level = calculateLevel(points);
+      case 'MONGODB':
+        await db.collection('user_identities').insertOne(identity);
+        break;
       
-      switch (DB_ENGINE) {
-        case 'POSTGRESQL':
-          await db.query(
-            'INSERT INTO reputation (userId, points, level, lastUpdated, updatedBy) VALUES ($1, $2, $3, $4, $5)',
-            [userId, points, level, now, updatedBy]
-          );
-          break;
-        
-        case 'MONGODB':
-          await db.collection('reputation').insertOne({
-            userId, 
-            points, 
-            level, 
-            lastUpdated: now, 
-            updatedBy
-          });
-          break;
-        
-        case 'SQLITE':
-        default:
-          return new Promise((resolve, reject) => {
-            db.run(
-              'INSERT INTO reputation (userId, points, level, lastUpdated, updatedBy) VALUES (?, ?, ?, ?, ?)',
-              [userId, points, level, now, updatedBy],
-              function(err) {
-                if (err) {
-                  reject(err);
-                  return;
-                }
-                resolve();
-              }
-            );
+      case 'SQLITE':
+      default:
+        await new Promise((resolve, reject) => {
+          db.run(sqlQuery, sqlParams, (err) => {
+            if (err) {
+              reject(err);
+              return;
+            }
+            resolve();
           });
-      }
+        });
     }
     
-    logger.info(`Added ${points} reputation points to user ${userId}`);
     return true;
   } catch (error) {
-    logger.error('Error adding reputation:', error);
+    logger.error('Error creating user identity:', error);
     return false;
   }
 }
 
 /**
- * Calculate reputation level based on points
+ * Record a sign-in with a single sign-on account
+ * @param {string} issuer - Issuer of the identity provider
+ * @param {string} subject - Subject identifying the account at the provider
+ * @param {string} email - Email address the provider currently reports
+ * @returns {Promise<boolean>} Success status
  */
-function calculateLevel(points) {
-  if (points < 100) return 'Newcomer';
-  if (points < 500) return 'Regular';
-  if (points < 1000) return 'Contributor';
-  if (points < 2500) return 'Advocate';
-  return 'Champion';
+async function touchUserIdentity(issuer, subject, email) {
+  try {
+    const now = new Date().toISOString();
+    const sqlQuery = 'UPDATE user_identities SET email = ?, lastLoginAt = ? WHERE issuer = ? AND subject = ?';
+    const sqlParams = [email || null, now, issuer, subject];
+    
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        await db.query(toPgPlaceholders(sqlQuery), sqlParams);
+        break;
+      
+      case 'MONGODB':
+        await db.collection('user_identities').updateOne({ issuer, subject }, { $set: { email: email || null, lastLoginAt: now } });
+        break;
+      
+      case 'SQLITE':
+      default:
+        await new Promise((resolve, reject) => {
+          db.run(sqlQuery, sqlParams, (err) => {
+            if (err) {
+              reject(err);
+              return;
+            }
+            resolve();
+          });
+        });
+    }
+    
+    return true;
+  } catch (error) {
+    logger.error('Error updating user identity:', error);
+    return false;
+  }
 }
 
 /**
- * Get settings for a user
- * @param {string} userId - User ID
- * @returns {Promise<Object|null>} Settings object
+ * Unlink single sign-on accounts, those of a user or a single one
+ * @param {Object} conditions - userId, or issuer and subject
+ * @returns {Promise<number>} Number of unlinked accounts
  */
-async function getUserSettings(userId) {
+async function deleteUserIdentities(conditions) {
   try {
+    const columns = Object.keys(conditions);
+    const sqlQuery = `DELETE FROM user_identities WHERE ${columns.map(column => `${column} = ?`).join(' AND ')}`;
+    const sqlParams = columns.map(column => conditions[column]);
+    
     switch (DB_ENGINE) {
       case 'POSTGRESQL':
-        const result = await db.query('SELECT * FROM settings WHERE userId = $1', [userId]);
-        return result.rows[0] || null;
+        const result = await db.query(toPgPlaceholders(sqlQuery), sqlParams);
+        return result.rowCount;
       
       case 'MONGODB':
-        return await db.collection('settings').findOne({ userId });
+        const deleteResult = await db.collection('user_identities').deleteMany(conditions);
+        return deleteResult.deletedCount;
       
       case 'SQLITE':
       default:
-        return new Promise((resolve, reject) => {
-          db.get('SELECT * FROM settings WHERE userId = ?', [userId], (err, row) => {
+        return await new Promise((resolve, reject) => {
+          db.run(sqlQuery, sqlParams, function(err) {
             if (err) {
               reject(err);
               return;
             }
-            resolve(row || null);
+            resolve(this.changes);
           });
         });
     }
   } catch (error) {
-    logger.error('Error getting user settings:', error);
-    return null;
+    logger.error('Error deleting user identities:', error);
+    return 0;
   }
 }
 
+// Recovery code functions
+
 /**
- * Save settings for a user
+ * Replace the recovery codes of a user, e.g. when they are regenerated
  * @param {string} userId - User ID
- * @param {Object} settings - Settings object
+ * @param {Array} codeHashes - SHA-256 hashes of the new codes
  * @returns {Promise<boolean>} Success status
  */
-async function saveUserSettings(userId, settings) {
+async function replaceRecoveryCodes(userId, codeHashes) {
   try {
     const now = new Date().toISOString();
-    const settingsJson = JSON.stringify(settings);
-    
-    // Check if settings already exist
-    const existingSettings = await getUserSettings(userId);
+    const codes = codeHashes.map((codeHash, index) => ({
+      id: `code-${Date.now()}-${index}-${Math.random().toString(36).substring(2, 7)}`,
+      userId,
+      codeHash,
+      createdAt: now,
+      usedAt: null
+    }));
+    const insertQuery = 'INSERT INTO recovery_codes (id, userId, codeHash, createdAt, usedAt) VALUES (?, ?, ?, ?, ?)';
     
     switch (DB_ENGINE) {
       case 'POSTGRESQL':
-        if (existingSettings) {
-          await db.query(
-            'UPDATE settings SET settings = $1, updatedAt = $2 WHERE userId = $3',
-            [settingsJson, now, userId]
-          );
-        } else {
-          await db.query(
-            'INSERT INTO settings (userId, settings, createdAt, updatedAt) VALUES ($1, $2, $3, $4)',
-            [userId, settingsJson, now, now]
-          );
+        const pgClient = await db.connect();
+        try {
+          await pgClient.query('BEGIN');
+          await pgClient.query('DELETE FROM recovery_codes WHERE userId = $1', [userId]);
+          
+          for (const code of codes) {
+            await pgClient.query(toPgPlaceholders(insertQuery), [code.id, code.userId, code.codeHash, code.createdAt, code.usedAt]);
+          }
+          
+          await pgClient.query('COMMIT');
+        } catch (error) {
+          await pgClient.query('ROLLBACK');
+          throw error;
+        } finally {
+          pgClient.release();
         }
         break;
       
       case 'MONGODB':
-        if (existingSettings) {
-          await db.collection('settings').updateOne(
-            { userId },
-            { $set: { settings, updatedAt: now } }
-          );
-        } else {
-          await db.collection('settings').insertOne({
-            userId,
-            settings,
-            createdAt: now,
-            updatedAt: now
-          });
+        await db.collection('recovery_codes').deleteMany({ userId });
+        
+        if (codes.length > 0) {
+          await db.collection('recovery_codes').insertMany(codes);
         }
         break;
       
       case 'SQLITE':
       default:
-        return new Promise((resolve, reject) => {
-          if (existingSettings) {
-            db.run(
-              'UPDATE settings SET settings = ?, updatedAt = ? WHERE userId = ?',
-              [settingsJson, now, userId],
-              function(err) {
-                if (err) {
-                  reject(err);
-                  return;
-                }
-                resolve(true);
-              }
-            );
-          } else {
-            db.run(
-              'INSERT INTO settings (userId, settings, createdAt, updatedAt) VALUES (?, ?, ?, ?)',
-              [userId, settingsJson, now, now],
-              function(err) {
-                if (err) {
-                  reject(err);
+        await new Promise((resolve, reject) => {
+          let failure = null;
+          const track = (err) => {
+            if (err && !failure) {
+              failure = err;
+            }
+          };
+          
+          db.serialize(() => {
+            db.run('BEGIN TRANSACTION', track);
+            db.run('DELETE FROM recovery_codes WHERE userId = ?', [userId], track);
+            
+            for (const code of codes) {
+              db.run(insertQuery, [code.id, code.userId, code.codeHash, code.createdAt, code.usedAt], track);
+            }
+            
+            // Callbacks run in order, so every statement has reported back by now
+            db.get('SELECT 1', [], () => {
+              db.run(failure ? 'ROLLBACK' : 'COMMIT', (err) => {
+                if (failure || err) {
+                  reject(failure || err);
                   return;
                 }
-                resolve(true);
-              }
-            );
-          }
+                resolve();
+              });
+            });
+          });
         });
     }
     
-    logger.info(`Settings updated for user ${userId}`);
     return true;
   } catch (error) {
-    logger.error('Error saving user settings:', error);
+    logger.error('Error replacing recovery codes:', error);
     return false;
   }
 }
 
 /**
- * Create a new bot in the database
- * @param {Object} botData - Bot data
- * @returns {Promise<string|boolean>} Bot ID if successful, false if failed
+ * Count the recovery codes of a user that are not used yet
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Number of unused codes
  */
-async function createBot(botData) {
+async function countRecoveryCodes(userId) {
   try {
-    const { name, platform, type, config } = botData;
-    const id = `bot-${Date.now()}-${Math.random().toString(36).substring(2, 7)}`;
-    const status = 'offline';
-    const createdAt = new Date().toISOString();
+    const sqlQuery = 'SELECT COUNT(*) as count FROM recovery_codes WHERE userId = ? AND usedAt IS NULL';
     
-    let configStr;
-    if (typeof config === 'object') {
-      configStr = JSON.stringify(config);
-    } else {
-      configStr = config;
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        const result = await db.query(toPgPlaceholders(sqlQuery), [userId]);
+        return parseInt(result.rows[0].count);
+      
+      case 'MONGODB':
+        return await db.collection('recovery_codes').countDocuments({ userId, usedAt: null });
+      
+      case 'SQLITE':
+      default:
+        return await new Promise((resolve, reject) => {
+          db.get(sqlQuery, [userId], (err, row) => {
+            if (err) {
+              reject(err);
+              return;
+            }
+            resolve(row ? row.count : 0);
+          });
+        });
     }
+  } catch (error) {
+    logger.error('Error counting recovery codes:', error);
+    return 0;
+  }
+}
+
+/**
+ * Use up a recovery code. A code can only be used once, even by concurrent requests.
+ * @param {string} userId - User ID
+ * @param {string} codeHash - SHA-256 hash of the code
+ * @returns {Promise<boolean>} True if the code was unused and is now used
+ */
+async function useRecoveryCode(userId, codeHash) {
+  try {
+    const now = new Date().toISOString();
+    const sqlQuery = 'UPDATE recovery_codes SET usedAt = ? WHERE userId = ? AND codeHash = ? AND usedAt IS NULL';
+    const sqlParams = [now, userId, codeHash];
     
     switch (DB_ENGINE) {
       case 'POSTGRESQL':
-        await db.query(
-          'INSERT INTO bots (id, name, platform, type, status, config, createdAt) VALUES ($1, $2, $3, $4, $5, $6, $7)',
-          [id, name, platform, type, status, configStr, createdAt]
-        );
-        break;
+        const result = await db.query(toPgPlaceholders(sqlQuery), sqlParams);
+        return result.rowCount > 0;
       
       case 'MONGODB':
-        await db.collection('bots').insertOne({
-          id,
-          name,
-          platform,
-          type,
-          status,
-          config: typeof config === 'object' ? config : JSON.parse(configStr),
-          createdAt,
-          lastActive: null
-        });
-        break;
+        const updateResult = await db.collection('recovery_codes').updateOne(
+          { userId, codeHash, usedAt: null },
+          { $set: { usedAt: now } }
+        );
+        return updateResult.modifiedCount > 0;
       
       case 'SQLITE':
       default:
-        return new Promise((resolve, reject) => {
-          db.run(
-            'INSERT INTO bots (id, name, platform, type, status, config, createdAt) VALUES (?, ?, ?, ?, ?, ?, ?)',
-            [id, name, platform, type, status, configStr, createdAt],
-            function(err) {
-              if (err) {
-                reject(err);
-                return;
-              }
-              resolve(id);
+        return await new Promise((resolve, reject) => {
+          db.run(sqlQuery, sqlParams, function(err) {
+            if (err) {
+              reject(err);
+              return;
             }
-          );
+            resolve(this.changes > 0);
+          });
         });
     }
-    
-    logger.info(`Bot created: ${name} (${platform} ${type}) with ID: ${id}`);
-    return id;
   } catch (error) {
-    logger.error('Error creating bot:', error);
+    logger.error('Error using recovery code:', error);
     return false;
   }
 }
 
 /**
- * Get all bots from the database
- * @returns {Promise<Array>} Array of bot objects
+ * Delete the recovery codes of a user
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Number of deleted codes
  */
-async function getAllBots() {
+async function deleteRecoveryCodes(userId) {
   try {
-    // Ensure database connection
-    const connection = await getConnection();
-
+    const sqlQuery = 'DELETE FROM recovery_codes WHERE userId = ?';
+    
     switch (DB_ENGINE) {
       case 'POSTGRESQL':
-        const result = await connection.query('SELECT * FROM bots ORDER BY createdAt DESC');
-        return result.rows.map(bot => ({
-          ...bot,
-          config: typeof bot.config === 'string' ? JSON.parse(bot.config) : bot.config
-        }));
+        const result = await db.query(toPgPlaceholders(sqlQuery), [userId]);
+        return result.rowCount;
       
       case 'MONGODB':
-        return await connection.collection('bots').find({}).sort({ createdAt: -1 }).toArray();
+        const deleteResult = await db.collection('recovery_codes').deleteMany({ userId });
+        return deleteResult.deletedCount;
       
       case 'SQLITE':
       default:
-        return new Promise((resolve, reject) => {
-          connection.all('SELECT * FROM bots ORDER BY createdAt DESC', [], (err, rows) => {
+        return await new Promise((resolve, reject) => {
+          db.run(sqlQuery, [userId], function(err) {
             if (err) {
               reject(err);
               return;
             }
-            
-            // Parse config JSON if it's a string
-            const bots = rows || [];
-            bots.forEach(bot => {
-              if (typeof bot.config === 'string') {
-                try {
-                  bot.config = JSON.parse(bot.config);
-                } catch (e) {
-                  // Keep as string if parsing fails
-                }
-              }
-            });
-            
-            resolve(bots);
+            resolve(this.changes);
+          });
+        });
+    }
+  } catch (error) {
+    logger.error('Error deleting recovery codes:', error);
+    return 0;
+  }
+}
+
+// WebAuthn credential functions
+
+const WEBAUTHN_CREDENTIAL_COLUMNS = ['id', 'userId', 'name', 'publicKey', 'algorithm', 'signCount', 'transports', 'createdAt', 'lastUsedAt'];
+
+/**
+ * Convert a WebAuthn credential read from any engine into its portable form
+ * @param {Object} row - Row as returned by the driver
+ * @returns {Object|null} WebAuthn credential, or null if there is no row
+ */
+function normalizeWebAuthnCredential(row) {
+  if (!row) {
+    return null;
+  }
+  
+  const credential = {};
+  
+  for (const column of WEBAUTHN_CREDENTIAL_COLUMNS) {
+    // PostgreSQL folds unquoted identifiers to lower case
+    const value = row[column] !== undefined ? row[column] : row[column.toLowerCase()];
+    credential[column] = value instanceof Date ? value.toISOString() : (value ?? null);
+  }
+  
+  for (const column of ['publicKey', 'transports']) {
+    if (typeof credential[column] === 'string') {
+      try {
+        credential[column] = JSON.parse(credential[column]);
+      } catch (e) {
+        credential[column] = null;
+      }
+    }
+  }
+  
+  // PostgreSQL returns BIGINT values as strings
+  credential.algorithm = Number(credential.algorithm);
+  credential.signCount = Number(credential.signCount);
+  credential.transports = credential.transports || [];
+  
+  return credential;
+}
+
+/**
+ * Store a new WebAuthn credential
+ * @param {Object} credentialData - Credential ID, user ID, name, public key (JWK), algorithm, sign count and transports
+ * @returns {Promise<boolean>} Success status
+ */
+async function createWebAuthnCredential(credentialData) {
+  try {
+    const credential = {
+      id: credentialData.id,
+      userId: credentialData.userId,
+      name: credentialData.name,
+      publicKey: credentialData.publicKey,
+      algorithm: credentialData.algorithm,
+      signCount: credentialData.signCount || 0,
+      transports: credentialData.transports || [],
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null
+    };
+    
+    const sqlQuery = `INSERT INTO webauthn_credentials (${WEBAUTHN_CREDENTIAL_COLUMNS.join(', ')}) VALUES (${WEBAUTHN_CREDENTIAL_COLUMNS.map(() => '?').join(', ')})`;
+    const sqlParams = WEBAUTHN_CREDENTIAL_COLUMNS.map(column => (
+      ['publicKey', 'transports'].includes(column) ? JSON.stringify(credential[column]) : credential[column]
+    ));
+    
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        await db.query(toPgPlaceholders(sqlQuery), sqlParams);
+        break;
+      
+      case 'MONGODB':
+        await db.collection('webauthn_credentials').insertOne(credential);
+        break;
+      
+      case 'SQLITE':
+      default:
+        await new Promise((resolve, reject) => {
+          db.run(sqlQuery, sqlParams, (err) => {
+            if (err) {
+              reject(err);
+              return;
+            }
+            resolve();
           });
         });
     }
+    
+    return true;
   } catch (error) {
-    logger.error('Error getting all bots:', error);
-    return [];
+    logger.error('Error creating WebAuthn credential:', error);
+    return false;
   }
 }
 
 /**
- * Get a bot by ID
- * @param {string} id - Bot ID
- * @returns {Promise<Object|null>} Bot object or null if not found
+ * Get a WebAuthn credential by ID
+ * @param {string} id - Credential ID, base64url encoded
+ * @returns {Promise<Object|null>} WebAuthn credential or null if not found
  */
-async function getBotById(id) {
+async function getWebAuthnCredential(id) {
   try {
+    const sqlQuery = 'SELECT * FROM webauthn_credentials WHERE id = ?';
+    
     switch (DB_ENGINE) {
       case 'POSTGRESQL':
-        const result = await db.query('SELECT * FROM bots WHERE id = $1', [id]);
-        if (result.rows.length === 0) return null;
-        
-        const bot = result.rows[0];
-        if (typeof bot.config === 'string') {
-          bot.config = JSON.parse(bot.config);
-        }
-        return bot;
+        const result = await db.query(toPgPlaceholders(sqlQuery), [id]);
+        return normalizeWebAuthnCredential(result.rows[0]);
       
       case 'MONGODB':
-        return await db.collection('bots').findOne({ id });
+        return normalizeWebAuthnCredential(await db.collection('webauthn_credentials').findOne({ id }));
       
       case 'SQLITE':
       default:
-        return new Promise((resolve, reject) => {
-          db.get('SELECT * FROM bots WHERE id = ?', [id], (err, row) => {
+        return await new Promise((resolve, reject) => {
+          db.get(sqlQuery, [id], (err, row) => {
             if (err) {
               reject(err);
               return;
             }
-            
-            if (!row) {
-              resolve(null);
-              return;
-            }
-            
-            // Parse config JSON if it's a string
-            if (typeof row.config === 'string') {
-              try {
-                row.config = JSON.parse(row.config);
-              } catch (e) {
-                // Keep as string if parsing fails
-              }
-            }
-            
-            resolve(row);
+            resolve(normalizeWebAuthnCredential(row));
           });
         });
     }
   } catch (error) {
-    logger.error('Error getting bot by ID:', error);
+    logger.error('Error getting WebAuthn credential:', error);
     return null;
   }
 }
 
 /**
- * Update a bot in the database
- * @param {string} id - Bot ID
- * @param {Object} botData - Bot data to update
- * @returns {Promise<boolean>} Success status
+ * Get the WebAuthn credentials of a user, oldest first
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} WebAuthn credentials
  */
-async function updateBot(id, botData) {
+async function getUserWebAuthnCredentials(userId) {
   try {
-    const { name, platform, type, status, config } = botData;
-    const updatableFields = {};
-    
-    if (name !== undefined) updatableFields.name = name;
-    if (platform !== undefined) updatableFields.platform = platform;
-    if (type !== undefined) updatableFields.type = type;
-    if (status !== undefined) updatableFields.status = status;
-    
-    // Handle config separately since it needs JSON conversion
-    let configStr;
-    if (config !== undefined) {
-      if (typeof config === 'object') {
-        configStr = JSON.stringify(config);
-        updatableFields.config = configStr;
-      } else {
-        configStr = config;
-        updatableFields.config = config;
-      }
-    }
-    
-    // If there's nothing to update
-    if (Object.keys(updatableFields).length === 0) {
-      return false;
-    }
+    const sqlQuery = 'SELECT * FROM webauthn_credentials WHERE userId = ? ORDER BY createdAt ASC';
+    let rows;
     
     switch (DB_ENGINE) {
       case 'POSTGRESQL':
-        // Construct dynamic query
-        const fields = Object.keys(updatableFields);
-        const values = fields.map(field => updatableFields[field]);
-        values.push(id); // Add ID for WHERE clause
-        
-        const query = `UPDATE bots SET ${fields.map((field, i) => `${field} = $${i+1}`).join(', ')} WHERE id = $${fields.length + 1}`;
-        await db.query(query, values);
+        const result = await db.query(toPgPlaceholders(sqlQuery), [userId]);
+        rows = result.rows;
         break;
       
       case 'MONGODB':
-        const updateDoc = { $set: updatableFields };
-        await db.collection('bots').updateOne({ id }, updateDoc);
+        rows = await db.collection('webauthn_credentials')
+          .find({ userId })
+          .sort({ createdAt: 1 })
+          .toArray();
         break;
       
       case 'SQLITE':
       default:
-        return new Promise((resolve, reject) => {
-          // Construct dynamic query
-          const fields = Object.keys(updatableFields);
-          const values = fields.map(field => updatableFields[field]);
-          values.push(id); // Add ID for WHERE clause
-          
-          const query = `UPDATE bots SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`;
-          db.run(query, values, function(err) {
+        rows = await new Promise((resolve, reject) => {
+          db.all(sqlQuery, [userId], (err, sqliteRows) => {
             if (err) {
               reject(err);
               return;
             }
-            resolve(this.changes > 0);
+            resolve(sqliteRows || []);
           });
         });
     }
     
-    logger.info(`Bot updated: ${id}`);
-    return true;
+    return rows.map(normalizeWebAuthnCredential);
   } catch (error) {
-    logger.error('Error updating bot:', error);
-    return false;
+    logger.error('Error getting user WebAuthn credentials:', error);
+    return [];
   }
 }
 
 /**
- * Delete a bot from the database
- * @param {string} id - Bot ID
+ * Record that a WebAuthn credential was used
+ * @param {string} id - Credential ID
+ * @param {number} signCount - Signature counter the authenticator reported
  * @returns {Promise<boolean>} Success status
  */
-async function deleteBot(id) {
+async function updateWebAuthnCredentialUsage(id, signCount) {
   try {
+    const now = new Date().toISOString();
+    const sqlQuery = 'UPDATE webauthn_credentials SET signCount = ?, lastUsedAt = ? WHERE id = ?';
+    const sqlParams = [signCount, now, id];
+    
     switch (DB_ENGINE) {
       case 'POSTGRESQL':
-        const result = await db.query('DELETE FROM bots WHERE id = $1', [id]);
-        return result.rowCount > 0;
+        await db.query(toPgPlaceholders(sqlQuery), sqlParams);
+        break;
       
       case 'MONGODB':
-        const deleteResult = await db.collection('bots').deleteOne({ id });
-        return deleteResult.deletedCount > 0;
+        await db.collection('webauthn_credentials').updateOne({ id }, { $set: { signCount, lastUsedAt: now } });
+        break;
       
       case 'SQLITE':
       default:
-        return new Promise((resolve, reject) => {
-          db.run('DELETE FROM bots WHERE id = ?', [id], function(err) {
+        await new Promise((resolve, reject) => {
+          db.run(sqlQuery, sqlParams, (err) => {
             if (err) {
               reject(err);
               return;
             }
-            resolve(this.changes > 0);
+            resolve();
           });
         });
     }
     
-    logger.info(`Bot deleted: ${id}`);
     return true;
   } catch (error) {
-    logger.error('Error deleting bot:', error);
+    logger.error('Error updating WebAuthn credential usage:', error);
     return false;
   }
 }
 
-// User related functions
-
 /**
- * Get a user by ID
- * @param {string} id - User ID
- * @returns {Promise<Object|null>} User object or null if not found
+ * Delete WebAuthn credentials, those of a user or a single one
+ * @param {Object} conditions - userId, and id to delete a single credential
+ * @returns {Promise<number>} Number of deleted credentials
  */
-async function getUserById(id, dbConnection = null) {
-  const connection = dbConnection || db;
-  
+async function deleteWebAuthnCredentials(conditions) {
   try {
+    const columns = Object.keys(conditions);
+    const sqlQuery = `DELETE FROM webauthn_credentials WHERE ${columns.map(column => `${column} = ?`).join(' AND ')}`;
+    const sqlParams = columns.map(column => conditions[column]);
+    
     switch (DB_ENGINE) {
       case 'POSTGRESQL':
-        const result = await connection.query('SELECT * FROM users WHERE id = $1', [id]);
-        return result.rows[0] || null;
+        const result = await db.query(toPgPlaceholders(sqlQuery), sqlParams);
+        return result.rowCount;
       
       case 'MONGODB':
-        return await connection.collection('users').findOne({ id });
+        const deleteResult = await db.collection('webauthn_credentials').deleteMany(conditions);
+        return deleteResult.deletedCount;
       
       case 'SQLITE':
       default:
-        return new Promise((resolve, reject) => {
-          connection.get('SELECT * FROM users WHERE id = ?', [id], (err, row) => {
+        return await new Promise((resolve, reject) => {
+          db.run(sqlQuery, sqlParams, function(err) {
             if (err) {
               reject(err);
               return;
             }
-            resolve(row || null);
+            resolve(this.changes);
           });
         });
     }
   } catch (error) {
-    logger.error('Error getting user by ID:', error);
-    return null;
+    logger.error('Error deleting WebAuthn credentials:', error);
+    return 0;
   }
 }
 
+// Authentication challenge functions
+
 /**
- * Get a user by email
- * @param {string} email - User email
- * @returns {Promise<Object|null>} User object or null if not found
+ * Store a challenge an authenticator must sign, dropping expired ones
+ * @param {Object} challengeData - Challenge ID, user ID (null for passwordless sign-in), type, challenge and expiry
+ * @returns {Promise<boolean>} Success status
  */
-async function getUserByEmail(email, dbConnection = null) {
-  const connection = dbConnection || db;
-  
+async function createAuthChallenge(challengeData) {
   try {
+    const now = new Date().toISOString();
+    const challenge = {
+      id: challengeData.id,
+      userId: challengeData.userId || null,
+      type: challengeData.type,
+      challenge: challengeData.challenge,
+      expiresAt: challengeData.expiresAt.toISOString()
+    };
+    
+    const sqlQuery = 'INSERT INTO auth_challenges (id, userId, type, challenge, expiresAt) VALUES (?, ?, ?, ?, ?)';
+    const sqlParams = [challenge.id, challenge.userId, challenge.type, challenge.challenge, challenge.expiresAt];
+    
     switch (DB_ENGINE) {
       case 'POSTGRESQL':
-        const result = await connection.query('SELECT * FROM users WHERE email = $1', [email]);
-        return result.rows[0] || null;
+        await db.query('DELETE FROM auth_challenges WHERE expiresAt <= $1', [now]);
+        await db.query(toPgPlaceholders(sqlQuery), sqlParams);
+        break;
       
       case 'MONGODB':
-        return await connection.collection('users').findOne({ email });
+        await db.collection('auth_challenges').deleteMany({ expiresAt: { $lte: now } });
+        await db.collection('auth_challenges').insertOne(challenge);
+        break;
       
       case 'SQLITE':
       default:
-        return new Promise((resolve, reject) => {
-          connection.get('SELECT * FROM users WHERE email = ?', [email], (err, row) => {
-            if (err) {
-              reject(err);
-              return;
-            }
-            resolve(row || null);
+        await new Promise((resolve, reject) => {
+          db.serialize(() => {
+            db.run('DELETE FROM auth_challenges WHERE expiresAt <= ?', [now]);
+            db.run(sqlQuery, sqlParams, (err) => {
+              if (err) {
+                reject(err);
+                return;
+              }
+              resolve();
+            });
           });
         });
     }
+    
+    return true;
   } catch (error) {
-    logger.error('Error getting user by email:', error);
-    return null;
+    logger.error('Error creating authentication challenge:', error);
+    return false;
   }
 }
 
 /**
- * Get all users from the database
- * @returns {Promise<Array>} Array of user objects
+ * Take a challenge out of storage, so it can only be answered once
+ * @param {string} id - Challenge ID
+ * @returns {Promise<Object|null>} Challenge, or null if unknown, already used or expired
  */
-async function getAllUsers(dbConnection = null) {
+async function consumeAuthChallenge(id) {
   try {
-    const connection = dbConnection || await getConnection();
+    const sqlQuery = 'DELETE FROM auth_challenges WHERE id = ? RETURNING *';
+    let row;
     
     switch (DB_ENGINE) {
       case 'POSTGRESQL':
-        const result = await connection.query(
-          'SELECT id, username, email, role, status, twoFactorEnabled, createdAt, lastLogin FROM users ORDER BY createdAt DESC'
-        );
-        return result.rows;
+        const result = await db.query(toPgPlaceholders(sqlQuery), [id]);
+        row = result.rows[0];
+        break;
       
       case 'MONGODB':
-        return await connection.collection('users')
-          .find({})
-          .project({ password: 0, twoFactorSecret: 0 })
-          .sort({ createdAt: -1 })
-          .toArray();
+        row = await db.collection('auth_challenges').findOneAndDelete({ id }, { includeResultMetadata: false });
+        break;
       
       case 'SQLITE':
       default:
-        return new Promise((resolve, reject) => {
-          connection.all(
-            'SELECT id, username, email, role, status, twoFactorEnabled, createdAt, lastLogin FROM users ORDER BY createdAt DESC',
-            [],
-            (err, rows) => {
-              if (err) {
-                reject(err);
-                return;
-              }
-              resolve(rows || []);
+        row = await new Promise((resolve, reject) => {
+          db.get(sqlQuery, [id], (err, sqliteRow) => {
+            if (err) {
+              reject(err);
+              return;
             }
-          );
+            resolve(sqliteRow);
+          });
         });
     }
+    
+    if (!row) {
+      return null;
+    }
+    
+    const expiresAt = row.expiresAt ?? row.expiresat;
+    
+    if (new Date(expiresAt) <= new Date()) {
+      return null;
+    }
+    
+    return {
+      id: row.id,
+      userId: (row.userId ?? row.userid) || null,
+      type: row.type,
+      challenge: row.challenge,
+      expiresAt: expiresAt instanceof Date ? expiresAt.toISOString() : expiresAt
+    };
   } catch (error) {
-    logger.error('Error getting all users:', error);
-    return [];
+    logger.error('Error consuming authentication challenge:', error);
+    return null;
   }
 }
 
+// Account token functions
+
+const ACCOUNT_TOKEN_COLUMNS = ['id', 'userId', 'type', 'createdBy', 'createdAt', 'expiresAt', 'usedAt'];
+
 /**
- * Create a new user
- * @param {Object} userData - User data
- * @returns {Promise<string|null>} User ID if successful, null otherwise
+ * Convert an account token read from any engine into its portable form
+ * @param {Object} row - Row as returned by the driver
+ * @returns {Object|null} Account token, or null if there is no row
  */
-async function createUser(userData, dbConnection = null) {
+function normalizeAccountToken(row) {
+  if (!row) {
+    return null;
+  }
+  
+  const token = {};
+  
+  for (const column of ACCOUNT_TOKEN_COLUMNS) {
+    // PostgreSQL folds unquoted identifiers to lower case
+    const value = row[column] !== undefined ? row[column] : row[column.toLowerCase()];
+    token[column] = value instanceof Date ? value.toISOString() : (value ?? null);
+  }
+  
+  return token;
+}
+
+/**
+ * Store a new password reset or invitation token, dropping expired ones
+ * @param {Object} tokenData - Token ID, user ID, type, creator and expiry
+ * @returns {Promise<boolean>} Success status
+ */
+async function createAccountToken(tokenData) {
   try {
-    const connection = dbConnection || await getConnection();
+    const now = new Date().toISOString();
+    const token = {
+      id: tokenData.id,
+      userId: tokenData.userId,
+      type: tokenData.type,
+      createdBy: tokenData.createdBy || null,
+      createdAt: now,
+      expiresAt: tokenData.expiresAt.toISOString(),
+      usedAt: null
+    };
     
-    const { username, email, password, role, status = 'active' } = userData;
-    const id = `user-${Date.now()}-${Math.random().toString(36).substring(2, 7)}`;
-    const createdAt = new Date().toISOString();
+    const sqlQuery = `INSERT INTO account_tokens (${ACCOUNT_TOKEN_COLUMNS.join(', ')}) VALUES (${ACCOUNT_TOKEN_COLUMNS.map(() => '?').join(', ')})`;
+    const sqlParams = ACCOUNT_TOKEN_COLUMNS.map(column => token[column]);
     
     switch (DB_ENGINE) {
       case 'POSTGRESQL':
-        await connection.query(
-          'INSERT INTO users (id, username, email, password, role, status, createdAt, twoFactorEnabled) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)',
-          [id, username, email, password, role, status, createdAt, false]
-        );
+        await db.query('DELETE FROM account_tokens WHERE expiresAt <= $1', [now]);
+        await db.query(toPgPlaceholders(sqlQuery), sqlParams);
         break;
       
       case 'MONGODB':
-        await connection.collection('users').insertOne({
-          id,
-          username,
-          email,
-          password,
-          role,
-          status,
-          twoFactorEnabled: false,
-          createdAt,
-          lastLogin: null
-        });
+        await db.collection('account_tokens').deleteMany({ expiresAt: { $lte: now } });
+        await db.collection('account_tokens').insertOne(token);
         break;
       
       case 'SQLITE':
       default:
         await new Promise((resolve, reject) => {
-          connection.run(
-            'INSERT INTO users (id, username, email, password, role, status, createdAt, twoFactorEnabled) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
-            [id, username, email, password, role, status, createdAt, 0],
-            function(err) {
+          db.serialize(() => {
+            db.run('DELETE FROM account_tokens WHERE expiresAt <= ?', [now]);
+            db.run(sqlQuery, sqlParams, (err) => {
               if (err) {
                 reject(err);
                 return;
               }
-              resolve(id);
-            }
-          );
+              resolve();
+            });
+          });
         });
     }
     
-    logger.info(`User created: ${username} (${email}) with ID: ${id}`);
-    return id;
+    return true;
   } catch (error) {
-    logger.error('Error creating user:', error);
-    return null;
+    logger.error('Error creating account token:', error);
+    return false;
   }
 }
 
 /**
- * Update user status
- * @param {string} id - User ID
- * @param {string} status - New status ('active', 'suspended')
- * @returns {Promise<boolean>} Success status
+ * Get a password reset or invitation token by ID, used or not
+ * @param {string} id - Token ID
+ * @returns {Promise<Object|null>} Account token or null if not found
  */
-async function updateUserStatus(id, status, dbConnection = null) {
+async function getAccountToken(id) {
   try {
-    const connection = dbConnection || await getConnection();
+    const sqlQuery = 'SELECT * FROM account_tokens WHERE id = ?';
     
     switch (DB_ENGINE) {
       case 'POSTGRESQL':
-        const result = await connection.query(
-          'UPDATE users SET status = $1 WHERE id = $2',
-          [status, id]
-        );
-        return result.rowCount > 0;
+        const result = await db.query(toPgPlaceholders(sqlQuery), [id]);
+        return normalizeAccountToken(result.rows[0]);
       
       case 'MONGODB':
-        const updateResult = await connection.collection('users').updateOne(
-          { id },
-          { $set: { status } }
-        );
-        return updateResult.modifiedCount > 0;
+        return normalizeAccountToken(await db.collection('account_tokens').findOne({ id }));
       
       case 'SQLITE':
       default:
-        return new Promise((resolve, reject) => {
-          connection.run(
-            'UPDATE users SET status = ? WHERE id = ?',
-            [status, id],
-            function(err) {
-              if (err) {
-                reject(err);
-                return;
-              }
-              resolve(this.changes > 0);
+        return await new Promise((resolve, reject) => {
+          db.get(sqlQuery, [id], (err, row) => {
+            if (err) {
+              reject(err);
+              return;
             }
-          );
+            resolve(normalizeAccountToken(row));
+          });
         });
     }
   } catch (error) {
-    logger.error('Error updating user status:', error);
-    return false;
+    logger.error('Error getting account token:', error);
+    return null;
   }
 }
 
 /**
- * Update user's last login timestamp
- * @param {string} id - User ID
- * @returns {Promise<boolean>} Success status
+ * Mark unused account tokens as used, so they no longer work
+ * @param {Object} conditions - id to use up a single token, or userId and type for all of a user's tokens of a type
+ * @returns {Promise<number>} Number of tokens used up; 0 when a single token was already used
  */
-async function updateLastLogin(id, dbConnection = null) {
-  const connection = dbConnection || db;
-  
+async function useAccountTokens(conditions) {
   try {
     const now = new Date().toISOString();
+    const columns = Object.keys(conditions);
+    const sqlQuery = `UPDATE account_tokens SET usedAt = ? WHERE ${columns.map(column => `${column} = ?`).join(' AND ')} AND usedAt IS NULL`;
+    const sqlParams = [now, ...columns.map(column => conditions[column])];
     
     switch (DB_ENGINE) {
       case 'POSTGRESQL':
-        const result = await connection.query(
-          'UPDATE users SET lastLogin = $1 WHERE id = $2',
-          [now, id]
-        );
-        return result.rowCount > 0;
+        const result = await db.query(toPgPlaceholders(sqlQuery), sqlParams);
+        return result.rowCount;
       
       case 'MONGODB':
-        const updateResult = await connection.collection('users').updateOne(
-          { id },
-          { $set: { lastLogin: now } }
+        const updateResult = await db.collection('account_tokens').updateMany(
+          { ...conditions, usedAt: null },
+          { $set: { usedAt: now } }
         );
-        return updateResult.modifiedCount > 0;
+        return updateResult.modifiedCount;
       
       case 'SQLITE':
       default:
-        return new Promise((resolve, reject) => {
-          connection.run(
-            'UPDATE users SET lastLogin = ? WHERE id = ?',
-            [now, id],
-            function(err) {
-              if (err) {
-                reject(err);
-                return;
-              }
-              resolve(this.changes > 0);
+        return await new Promise((resolve, reject) => {
+          db.run(sqlQuery, sqlParams, function(err) {
+            if (err) {
+              reject(err);
+              return;
             }
-          );
+            resolve(this.changes);
+          });
         });
     }
   } catch (error) {
-    logger.error('Error updating last login:', error);
-    return false;
+    logger.error('Error using account tokens:', error);
+    return 0;
   }
 }
 
 /**
- * Update user profile
- * @param {string} id - User ID
- * @param {Object} profileData - Profile data to update
- * @returns {Promise<boolean>} Success status
+ * Delete the password reset and invitation tokens of a user
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Number of deleted tokens
  */
-async function updateUserProfile(id, profileData, dbConnection = null) {
-  const connection = dbConnection || db;
-  
+async function deleteUserAccountTokens(userId) {
   try {
-    const { username, email, role } = profileData;
-    const validFields = {};
-    
-    if (username !== undefined) validFields.username = username;
-    if (email !== undefined) validFields.email = email;
-    if (role !== undefined) validFields.role = role;
-    
-    // If there's nothing to update
-    if (Object.keys(validFields).length === 0) {
-      return false;
-    }
+    const sqlQuery = 'DELETE FROM account_tokens WHERE userId = ?';
     
     switch (DB_ENGINE) {
       case 'POSTGRESQL':
-        // Construct dynamic query
-        const fields = Object.keys(validFields);
-        const values = fields.map(field => validFields[field]);
-        values.push(id); // Add ID for WHERE clause
-        
-        const query = `UPDATE users SET ${fields.map((field, i) => `${field} = $${i+1}`).join(', ')} WHERE id = $${fields.length + 1}`;
-        const result = await connection.query(query, values);
-        return result.rowCount > 0;
+        const result = await db.query(toPgPlaceholders(sqlQuery), [userId]);
+        return result.rowCount;
       
       case 'MONGODB':
-        const updateDoc = { $set: validFields };
-        const updateResult = await connection.collection('users').updateOne({ id }, updateDoc);
-        return updateResult.modifiedCount > 0;
+        const deleteResult = await db.collection('account_tokens').deleteMany({ userId });
+        return deleteResult.deletedCount;
       
       case 'SQLITE':
       default:
-        return new Promise((resolve, reject) => {
-          // Construct dynamic query
-          const fields = Object.keys(validFields);
-          const values = fields.map(field => validFields[field]);
-          values.push(id); // Add ID for WHERE clause
-          
-          const query = `UPDATE users SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`;
-          connection.run(query, values, function(err) {
+        return await new Promise((resolve, reject) => {
+          db.run(sqlQuery, [userId], function(err) {
             if (err) {
               reject(err);
               return;
             }
-            resolve(this.changes > 0);
+            resolve(this.changes);
           });
         });
     }
   } catch (error) {
-    logger.error('Error updating user profile:', error);
-    return false;
+    logger.error('Error deleting account tokens:', error);
+    return 0;
   }
 }
 
+// Session functions
+
+const SESSION_COLUMNS = ['id', 'userId', 'tokenHash', 'previousTokenHash', 'rotatedAt', 'userAgent', 'ipAddress', 'createdAt', 'lastUsedAt', 'expiresAt', 'revokedAt', 'revokedReason'];
+
 /**
- * Change user password
- * @param {string} id - User ID
- * @param {string} newPasswordHash - New password hash
- * @returns {Promise<boolean>} Success status
+ * Convert a session read from any engine into its portable form
+ * @param {Object} row - Row as returned by the driver
+ * @returns {Object|null} Session, or null if there is no row
  */
-async function changeUserPassword(id, newPasswordHash, dbConnection = null) {
-  const connection = dbConnection || db;
+function normalizeSession(row) {
+  if (!row) {
+    return null;
+  }
+  
+  const session = {};
+  
+  for (const column of SESSION_COLUMNS) {
+    // PostgreSQL folds unquoted identifiers to lower case
+    const value = row[column] !== undefined ? row[column] : row[column.toLowerCase()];
+    session[column] = value instanceof Date ? value.toISOString() : (value ?? null);
+  }
   
+  return session;
+}
+
+/**
+ * Store a new session
+ * @param {Object} sessionData - Session ID, user ID, refresh token hash, client details and expiry
+ * @returns {Promise<boolean>} Success status
+ */
+async function createSession(sessionData) {
   try {
+    const now = new Date().toISOString();
+    const session = {
+      id: sessionData.id,
+      userId: sessionData.userId,
+      tokenHash: sessionData.tokenHash,
+      previousTokenHash: null,
+      rotatedAt: null,
+      userAgent: sessionData.userAgent || null,
+      ipAddress: sessionData.ipAddress || null,
+      createdAt: now,
+      lastUsedAt: now,
+      expiresAt: sessionData.expiresAt.toISOString(),
+      revokedAt: null,
+      revokedReason: null
+    };
+    
+    const sqlQuery = `INSERT INTO sessions (${SESSION_COLUMNS.join(', ')}) VALUES (${SESSION_COLUMNS.map(() => '?').join(', ')})`;
+    const sqlParams = SESSION_COLUMNS.map(column => session[column]);
+    
     switch (DB_ENGINE) {
       case 'POSTGRESQL':
-        const result = await connection.query(
-          'UPDATE users SET password = $1 WHERE id = $2',
-          [newPasswordHash, id]
-        );
-        return result.rowCount > 0;
+        await db.query(toPgPlaceholders(sqlQuery), sqlParams);
+        break;
       
       case 'MONGODB':
-        const updateResult = await connection.collection('users').updateOne(
-          { id },
-          { $set: { password: newPasswordHash } }
-        );
-        return updateResult.modifiedCount > 0;
+        await db.collection('sessions').insertOne(session);
+        break;
       
       case 'SQLITE':
       default:
-        return new Promise((resolve, reject) => {
-          connection.run(
-            'UPDATE users SET password = ? WHERE id = ?',
-            [newPasswordHash, id],
-            function(err) {
-              if (err) {
-                reject(err);
-                return;
-              }
-              resolve(this.changes > 0);
+        await new Promise((resolve, reject) => {
+          db.run(sqlQuery, sqlParams, (err) => {
+            if (err) {
+              reject(err);
+              return;
             }
-          );
+            resolve();
+          });
         });
     }
+    
+    return true;
   } catch (error) {
-    logger.error('Error changing user password:', error);
+    logger.error('Error creating session:', error);
     return false;
   }
 }
 
 /**
- * Delete a user
- * @param {string} id - User ID
- * @returns {Promise<boolean>} Success status
+ * Get a session by ID, revoked or not
+ * @param {string} id - Session ID
+ * @returns {Promise<Object|null>} Session or null if not found
  */
-async function deleteUser(id, dbConnection = null) {
-  const connection = dbConnection || db;
-  
+async function getSessionById(id) {
   try {
     switch (DB_ENGINE) {
       case 'POSTGRESQL':
-        const result = await connection.query('DELETE FROM users WHERE id = $1', [id]);
-        return result.rowCount > 0;
+        const result = await db.query('SELECT * FROM sessions WHERE id = $1', [id]);
+        return normalizeSession(result.rows[0]);
       
       case 'MONGODB':
-        const deleteResult = await connection.collection('users').deleteOne({ id });
-        return deleteResult.deletedCount > 0;
+        return normalizeSession(await db.collection('sessions').findOne({ id }));
       
       case 'SQLITE':
       default:
-        return new Promise((resolve, reject) => {
-          connection.run(
-            'DELETE FROM users WHERE id = ?',
-            [id],
-            function(err) {
-              if (err) {
-                reject(err);
-                return;
-              }
-              resolve(this.changes > 0);
+        return await new Promise((resolve, reject) => {
+          db.get('SELECT * FROM sessions WHERE id = ?', [id], (err, row) => {
+            if (err) {
+              reject(err);
+              return;
             }
-          );
+            resolve(normalizeSession(row));
+          });
         });
     }
   } catch (error) {
-    logger.error('Error deleting user:', error);
-    return false;
+    logger.error('Error getting session:', error);
+    return null;
   }
 }
 
 /**
- * Set up two-factor authentication for a user
- * @param {string} id - User ID
- * @param {string} secretKey - Two-factor secret key
- * @returns {Promise<boolean>} Success status
+ * Get the sessions of a user that are neither revoked nor expired, most recently used first
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Sessions
  */
-async function setupTwoFactorAuth(id, secretKey, dbConnection = null) {
-  const connection = dbConnection || db;
-  
+async function getUserSessions(userId) {
   try {
+    const now = new Date().toISOString();
+    const sqlQuery = 'SELECT * FROM sessions WHERE userId = ? AND revokedAt IS NULL AND expiresAt > ? ORDER BY lastUsedAt DESC';
+    let rows;
+    
     switch (DB_ENGINE) {
       case 'POSTGRESQL':
-        const result = await connection.query(
-          'UPDATE users SET twoFactorSecret = $1 WHERE id = $2',
-          [secretKey, id]
-        );
-        return result.rowCount > 0;
+        const result = await db.query(toPgPlaceholders(sqlQuery), [userId, now]);
+        rows = result.rows;
+        break;
       
       case 'MONGODB':
-        const updateResult = await connection.collection('users').updateOne(
-          { id },
-          { $set: { twoFactorSecret: secretKey } }
-        );
-        return updateResult.modifiedCount > 0;
+        rows = await db.collection('sessions')
+          .find({ userId, revokedAt: null, expiresAt: { $gt: now } })
+          .sort({ lastUsedAt: -1 })
+          .toArray();
+        break;
       
       case 'SQLITE':
       default:
-        return new Promise((resolve, reject) => {
-          connection.run(
-            'UPDATE users SET twoFactorSecret = ? WHERE id = ?',
-            [secretKey, id],
-            function(err) {
-              if (err) {
-                reject(err);
-                return;
-              }
-              resolve(this.changes > 0);
+        rows = await new Promise((resolve, reject) => {
+          db.all(sqlQuery, [userId, now], (err, sqliteRows) => {
+            if (err) {
+              reject(err);
+              return;
             }
-          );
+            resolve(sqliteRows || []);
+          });
         });
     }
+    
+    return rows.map(normalizeSession);
   } catch (error) {
-    logger.error('Error setting up two-factor auth:', error);
-    return false;
+    logger.error('Error getting user sessions:', error);
+    return [];
   }
 }
 
 /**
- * Enable or disable two-factor authentication for a user
- * @param {string} id - User ID
- * @param {boolean} enabled - Whether to enable or disable 2FA
- * @returns {Promise<boolean>} Success status
+ * Replace the refresh token of a session, provided it still holds the expected one.
+ * The replaced token hash is kept to recognize concurrent refreshes.
+ * @param {string} id - Session ID
+ * @param {string} currentTokenHash - Hash of the token being replaced
+ * @param {string} tokenHash - Hash of the new token
+ * @param {Date} expiresAt - Expiry of the new token
+ * @returns {Promise<boolean>} True if the token was replaced, false if the session changed meanwhile
  */
-async function toggleTwoFactorAuth(id, enabled, dbConnection = null) {
-  const connection = dbConnection || db;
-  
+async function rotateSessionToken(id, currentTokenHash, tokenHash, expiresAt) {
   try {
+    const now = new Date().toISOString();
+    const sqlQuery = 'UPDATE sessions SET previousTokenHash = tokenHash, tokenHash = ?, rotatedAt = ?, expiresAt = ? WHERE id = ? AND tokenHash = ? AND revokedAt IS NULL';
+    const sqlParams = [tokenHash, now, expiresAt.toISOString(), id, currentTokenHash];
+    
     switch (DB_ENGINE) {
       case 'POSTGRESQL':
-        const result = await connection.query(
-          'UPDATE users SET twoFactorEnabled = $1 WHERE id = $2',
-          [enabled, id]
-        );
+        const result = await db.query(toPgPlaceholders(sqlQuery), sqlParams);
         return result.rowCount > 0;
       
       case 'MONGODB':
-        const updateResult = await connection.collection('users').updateOne(
-          { id },
-          { $set: { twoFactorEnabled: enabled } }
+        const updateResult = await db.collection('sessions').updateOne(
+          { id, tokenHash: currentTokenHash, revokedAt: null },
+          { $set: { previousTokenHash: currentTokenHash, tokenHash, rotatedAt: now, expiresAt: expiresAt.toISOString() } }
         );
         return updateResult.modifiedCount > 0;
       
       case 'SQLITE':
       default:
-        return new Promise((resolve, reject) => {
-          connection.run(
-            'UPDATE users SET twoFactorEnabled = ? WHERE id = ?',
-            [enabled ? 1 : 0, id],
-            function(err) {
-              if (err) {
-                reject(err);
-                return;
-              }
-              resolve(this.changes > 0);
+        return await new Promise((resolve, reject) => {
+          db.run(sqlQuery, sqlParams, function(err) {
+            if (err) {
+              reject(err);
+              return;
             }
-          );
+            resolve(this.changes > 0);
+          });
         });
     }
   } catch (error) {
-    logger.error('Error toggling two-factor auth:', error);
+    logger.error('Error rotating session token:', error);
     return false;
   }
 }
 
 /**
- * Check if an email exists in the database
- * @param {string} email - Email to check
- * @returns {Promise<boolean>} True if email exists
+ * Revoke the sessions matching a set of conditions
+ * @param {Object} conditions - Column values to match
+ * @param {string} reason - Why the sessions are revoked
+ * @param {string} exceptId - Session to leave untouched (optional)
+ * @returns {Promise<number>} Number of revoked sessions
  */
-async function checkEmailExists(email, dbConnection = null) {
-  const connection = dbConnection || db;
+async function revokeSessionsWhere(conditions, reason, exceptId = null) {
+  const now = new Date().toISOString();
+  const columns = Object.keys(conditions);
+  const sqlParams = [now, reason, ...Object.values(conditions)];
+  let sqlQuery = `UPDATE sessions SET revokedAt = ?, revokedReason = ? WHERE revokedAt IS NULL AND ${columns.map(column => `${column} = ?`).join(' AND ')}`;
   
-  try {
-    switch (DB_ENGINE) {
-      case 'POSTGRESQL':
-        const result = await connection.query(
-          'SELECT COUNT(*) as count FROM users WHERE email = $1',
-          [email]
-        );
-        return parseInt(result.rows[0].count) > 0;
-      
-      case 'MONGODB':
-        const count = await connection.collection('users').countDocuments({ email });
-        return count > 0;
-      
-      case 'SQLITE':
-      default:
-        return new Promise((resolve, reject) => {
-          connection.get(
-            'SELECT COUNT(*) as count FROM users WHERE email = ?',
-            [email],
-            (err, row) => {
-              if (err) {
-                reject(err);
-                return;
-              }
-              resolve(row && parseInt(row.count) > 0);
-            }
-          );
+  if (exceptId) {
+    sqlQuery += ' AND id <> ?';
+    sqlParams.push(exceptId);
+  }
+  
+  switch (DB_ENGINE) {
+    case 'POSTGRESQL':
+      const result = await db.query(toPgPlaceholders(sqlQuery), sqlParams);
+      return result.rowCount;
+    
+    case 'MONGODB':
+      const updateResult = await db.collection('sessions').updateMany(
+        { ...conditions, revokedAt: null, ...(exceptId ? { id: { $ne: exceptId } } : {}) },
+        { $set: { revokedAt: now, revokedReason: reason } }
+      );
+      return updateResult.modifiedCount;
+    
+    case 'SQLITE':
+    default:
+      return await new Promise((resolve, reject) => {
+        db.run(sqlQuery, sqlParams, function(err) {
+          if (err) {
+            reject(err);
+            return;
+          }
+          resolve(this.changes);
         });
-    }
+      });
+  }
+}
+
+/**
+ * Revoke a session, invalidating its refresh token
+ * @param {string} id - Session ID
+ * @param {string} reason - Why the session is revoked, e.g. 'logout' or 'reuse'
+ * @returns {Promise<boolean>} True if an active session was revoked
+ */
+async function revokeSession(id, reason) {
+  try {
+    return await revokeSessionsWhere({ id }, reason) > 0;
   } catch (error) {
-    logger.error('Error checking email existence:', error);
+    logger.error('Error revoking session:', error);
     return false;
   }
 }
 
-// Analytics related functions
+/**
+ * Revoke all sessions of a user
+ * @param {string} userId - User ID
+ * @param {string} reason - Why the sessions are revoked
+ * @param {string} exceptId - Session to keep, e.g. the current one (optional)
+ * @returns {Promise<number>} Number of revoked sessions
+ */
+async function revokeUserSessions(userId, reason, exceptId = null) {
+  try {
+    return await revokeSessionsWhere({ userId }, reason, exceptId);
+  } catch (error) {
+    logger.error('Error revoking user sessions:', error);
+    return 0;
+  }
+}
 
 /**
- * Get bot usage statistics
- * @param {string} period - Time period ('day', 'week', 'month', 'year')
- * @returns {Promise<Object>} Usage statistics
+ * Record activity on a session, for the idle session timeout
+ * @param {string} id - Session ID
+ * @returns {Promise<boolean>} Success status
  */
-async function getBotUsageStats(period = 'day') {
+async function touchSession(id) {
   try {
-    // Get the date cutoff based on the period
-    const now = new Date();
-    const cutoff = new Date();
-    
-    switch (period) {
-      case 'day':
-        cutoff.setDate(now.getDate() - 1);
-        break;
-      case 'week':
-        cutoff.setDate(now.getDate() - 7);
-        break;
-      case 'month':
-        cutoff.setMonth(now.getMonth() - 1);
-        break;
-      case 'year':
-        cutoff.setFullYear(now.getFullYear() - 1);
-        break;
-      default:
-        cutoff.setDate(now.getDate() - 1); // Default to day
-    }
-    
-    const cutoffStr = cutoff.toISOString();
+    const sqlQuery = 'UPDATE sessions SET lastUsedAt = ? WHERE id = ? AND revokedAt IS NULL';
+    const sqlParams = [new Date().toISOString(), id];
     
-    // Get interactions data
-    let interactions;
     switch (DB_ENGINE) {
       case 'POSTGRESQL':
-        const resultInteractions = await db.query(
-          'SELECT platform, COUNT(*) as count FROM interactions WHERE timestamp >= $1 GROUP BY platform',
-          [cutoffStr]
-        );
-        interactions = resultInteractions.rows;
+        await db.query(toPgPlaceholders(sqlQuery), sqlParams);
         break;
       
       case 'MONGODB':
-        interactions = await db.collection('interactions').aggregate([
-          { $match: { timestamp: { $gte: cutoffStr } } },
-          { $group: { _id: '$platform', count: { $sum: 1 } } },
-          { $project: { _id: 0, platform: '$_id', count: 1 } }
-        ]).toArray();
+        await db.collection('sessions').updateOne({ id, revokedAt: null }, { $set: { lastUsedAt: sqlParams[0] } });
         break;
       
       case 'SQLITE':
       default:
-        interactions = await new Promise((resolve, reject) => {
-          db.all(
-            'SELECT platform, COUNT(*) as count FROM interactions WHERE timestamp >= ? GROUP BY platform',
-            [cutoffStr],
-            (err, rows) => {
-              if (err) {
-                reject(err);
-                return;
-              }
-              resolve(rows || []);
+        await new Promise((resolve, reject) => {
+          db.run(sqlQuery, sqlParams, (err) => {
+            if (err) {
+              reject(err);
+              return;
             }
-          );
+            resolve();
+          });
         });
     }
     
-    // Get leads data
-    let leads;
+    return true;
+  } catch (error) {
+    logger.error('Error updating session activity:', error);
+    return false;
+  }
+}
+
+/**
+ * Delete sessions whose refresh token has expired
+ * @returns {Promise<number>} Number of deleted sessions
+ */
+async function deleteExpiredSessions() {
+  try {
+    const now = new Date();
+    
     switch (DB_ENGINE) {
       case 'POSTGRESQL':
-        const resultLeads = await db.query(
-          'SELECT platform, COUNT(*) as count FROM leads WHERE timestamp >= $1 GROUP BY platform',
-          [cutoffStr]
-        );
-        leads = resultLeads.rows;
-        break;
+        const result = await db.query('DELETE FROM sessions WHERE expiresAt <= $1', [now]);
+        return result.rowCount;
       
       case 'MONGODB':
-        leads = await db.collection('leads').aggregate([
-          { $match: { timestamp: { $gte: cutoffStr } } },
-          { $group: { _id: '$platform', count: { $sum: 1 } } },
-          { $project: { _id: 0, platform: '$_id', count: 1 } }
-        ]).toArray();
-        break;
+        const deleteResult = await db.collection('sessions').deleteMany({ expiresAt: { $lte: now.toISOString() } });
+        return deleteResult.deletedCount;
       
       case 'SQLITE':
       default:
-        leads = await new Promise((resolve, reject) => {
-          db.all(
-            'SELECT platform, COUNT(*) as count FROM leads WHERE timestamp >= ? GROUP BY platform',
-            [cutoffStr],
-            (err, rows) => {
-              if (err) {
-                reject(err);
-                return;
-              }
-              resolve(rows || []);
+        return await new Promise((resolve, reject) => {
+          db.run('DELETE FROM sessions WHERE expiresAt <= ?', [now.toISOString()], function(err) {
+            if (err) {
+              reject(err);
+              return;
             }
-          );
+            resolve(this.changes);
+          });
         });
     }
+  } catch (error) {
+    logger.error('Error deleting expired sessions:', error);
+    return 0;
+  }
+}
+
+// API token functions
+
+const API_TOKEN_COLUMNS = ['id', 'userId', 'name', 'tokenHash', 'tokenPrefix', 'scopes', 'allowedIps', 'createdAt', 'lastUsedAt', 'lastUsedIp', 'expiresAt', 'revokedAt'];
+
+/**
+ * Convert an API token read from any engine into its portable form
+ * @param {Object} row - Row as returned by the driver
+ * @returns {Object|null} API token, or null if there is no row
+ */
+function normalizeApiToken(row) {
+  if (!row) {
+    return null;
+  }
+  
+  const token = {};
+  
+  for (const column of API_TOKEN_COLUMNS) {
+    // PostgreSQL folds unquoted identifiers to lower case
+    const value = row[column] !== undefined ? row[column] : row[column.toLowerCase()];
+    token[column] = value instanceof Date ? value.toISOString() : (value ?? null);
+  }
+  
+  for (const column of ['scopes', 'allowedIps']) {
+    if (typeof token[column] === 'string') {
+      try {
+        token[column] = JSON.parse(token[column]);
+      } catch (e) {
+        token[column] = [];
+      }
+    }
+    token[column] = token[column] || [];
+  }
+  
+  return token;
+}
+
+/**
+ * Store a new API token
+ * @param {Object} tokenData - Token ID, user ID, name, token hash and prefix, scopes, allowed IPs and expiry
+ * @returns {Promise<boolean>} Success status
+ */
+async function createApiToken(tokenData) {
+  try {
+    const token = {
+      id: tokenData.id,
+      userId: tokenData.userId,
+      name: tokenData.name,
+      tokenHash: tokenData.tokenHash,
+      tokenPrefix: tokenData.tokenPrefix,
+      scopes: tokenData.scopes,
+      allowedIps: tokenData.allowedIps || [],
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null,
+      lastUsedIp: null,
+      expiresAt: tokenData.expiresAt ? tokenData.expiresAt.toISOString() : null,
+      revokedAt: null
+    };
+    
+    const sqlQuery = `INSERT INTO api_tokens (${API_TOKEN_COLUMNS.join(', ')}) VALUES (${API_TOKEN_COLUMNS.map(() => '?').join(', ')})`;
+    const sqlParams = API_TOKEN_COLUMNS.map(column => Array.isArray(token[column]) ? JSON.stringify(token[column]) : token[column]);
     
-    // Get tickets data
-    let tickets;
     switch (DB_ENGINE) {
       case 'POSTGRESQL':
-        const resultTickets = await db.query(
-          'SELECT platform, status, COUNT(*) as count FROM tickets WHERE createdAt >= $1 GROUP BY platform, status',
-          [cutoffStr]
-        );
-        tickets = resultTickets.rows;
+        await db.query(toPgPlaceholders(sqlQuery), sqlParams);
         break;
       
       case 'MONGODB':
-        tickets = await db.collection('tickets').aggregate([
-          { $match: { createdAt: { $gte: cutoffStr } } },
-          { $group: { 
-            _id: { platform: '$platform', status: '$status' }, 
-            count: { $sum: 1 } 
-          }},
-          { $project: { 
-            _id: 0, 
-            platform: '$_id.platform', 
-            status: '$_id.status', 
-            count: 1 
-          }}
-        ]).toArray();
+        await db.collection('api_tokens').insertOne(token);
         break;
       
       case 'SQLITE':
       default:
-        tickets = await new Promise((resolve, reject) => {
-          db.all(
-            'SELECT platform, status, COUNT(*) as count FROM tickets WHERE createdAt >= ? GROUP BY platform, status',
-            [cutoffStr],
-            (err, rows) => {
-              if (err) {
-                reject(err);
-                return;
-              }
-              resolve(rows || []);
+        await new Promise((resolve, reject) => {
+          db.run(sqlQuery, sqlParams, (err) => {
+            if (err) {
+              reject(err);
+              return;
             }
-          );
+            resolve();
+          });
         });
     }
     
-    return { 
-      interactions,
-      leads,
-      tickets,
-      period
-    };
+    return true;
   } catch (error) {
-    logger.error('Error getting bot usage stats:', error);
-    return {
-      interactions: [],
-      leads: [],
-      tickets: [],
-      period
-    };
+    logger.error('Error creating API token:', error);
+    return false;
+  }
+}
+
+/**
+ * Get an API token by a column value, revoked or not
+ * @param {string} column - 'id' or 'tokenHash'
+ * @param {string} value - Value to look up
+ * @returns {Promise<Object|null>} API token or null if not found
+ */
+async function getApiTokenWhere(column, value) {
+  switch (DB_ENGINE) {
+    case 'POSTGRESQL':
+      const result = await db.query(`SELECT * FROM api_tokens WHERE ${column} = $1`, [value]);
+      return normalizeApiToken(result.rows[0]);
+    
+    case 'MONGODB':
+      return normalizeApiToken(await db.collection('api_tokens').findOne({ [column]: value }));
+    
+    case 'SQLITE':
+    default:
+      return await new Promise((resolve, reject) => {
+        db.get(`SELECT * FROM api_tokens WHERE ${column} = ?`, [value], (err, row) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+          resolve(normalizeApiToken(row));
+        });
+      });
+  }
+}
+
+/**
+ * Get an API token by ID, revoked or not
+ * @param {string} id - Token ID
+ * @returns {Promise<Object|null>} API token or null if not found
+ */
+async function getApiTokenById(id) {
+  try {
+    return await getApiTokenWhere('id', id);
+  } catch (error) {
+    logger.error('Error getting API token:', error);
+    return null;
+  }
+}
+
+/**
+ * Get an API token by the hash of its secret, revoked or not
+ * @param {string} tokenHash - SHA-256 hash of the token
+ * @returns {Promise<Object|null>} API token or null if not found
+ */
+async function getApiTokenByHash(tokenHash) {
+  try {
+    return await getApiTokenWhere('tokenHash', tokenHash);
+  } catch (error) {
+    logger.error('Error getting API token:', error);
+    return null;
   }
 }
 
 /**
- * Get analytical data for a time period
- * @param {string} startDate - Start date in ISO format
- * @param {string} endDate - End date in ISO format
- * @returns {Promise<Object>} Analytics data
+ * Get the API tokens of a user that are not revoked, expired ones included, newest first
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} API tokens
  */
-async function getAnalyticalData(startDate, endDate) {
+async function getUserApiTokens(userId) {
   try {
-    // Get platform-wise interaction counts
-    let platformInteractions;
+    const sqlQuery = 'SELECT * FROM api_tokens WHERE userId = ? AND revokedAt IS NULL ORDER BY createdAt DESC';
+    let rows;
     
     switch (DB_ENGINE) {
       case 'POSTGRESQL':
-        platformInteractions = await db.query(`
-          SELECT platform, COUNT(*) as count 
-          FROM interactions 
-          WHERE timestamp BETWEEN $1 AND $2 
-          GROUP BY platform
-        `, [startDate, endDate]);
-        platformInteractions = platformInteractions.rows;
+        const result = await db.query(toPgPlaceholders(sqlQuery), [userId]);
+        rows = result.rows;
         break;
       
       case 'MONGODB':
-        platformInteractions = await db.collection('interactions').aggregate([
-          { $match: { timestamp: { $gte: startDate, $lte: endDate } } },
-          { $group: { _id: '$platform', count: { $sum: 1 } } },
-          { $project: { platform: '$_id', count: 1, _id: 0 } }
-        ]).toArray();
+        rows = await db.collection('api_tokens')
+          .find({ userId, revokedAt: null })
+          .sort({ createdAt: -1 })
+          .toArray();
         break;
       
       case 'SQLITE':
       default:
-        platformInteractions = await new Promise((resolve, reject) => {
-          db.all(`
-            SELECT platform, COUNT(*) as count 
-            FROM interactions 
-            WHERE timestamp BETWEEN ? AND ? 
-            GROUP BY platform
-          `, [startDate, endDate], (err, rows) => {
+        rows = await new Promise((resolve, reject) => {
+          db.all(sqlQuery, [userId], (err, sqliteRows) => {
             if (err) {
               reject(err);
               return;
             }
-            resolve(rows || []);
+            resolve(sqliteRows || []);
           });
         });
     }
     
-    // Get command usage statistics
-    let commandUsage;
+    return rows.map(normalizeApiToken);
+  } catch (error) {
+    logger.error('Error getting user API tokens:', error);
+    return [];
+  }
+}
+
+/**
+ * Revoke the API tokens matching a column value
+ * @param {string} column - 'id' or 'userId'
+ * @param {string} value - Value to match
+ * @returns {Promise<number>} Number of revoked tokens
+ */
+async function revokeApiTokensWhere(column, value) {
+  const now = new Date().toISOString();
+  const sqlQuery = `UPDATE api_tokens SET revokedAt = ? WHERE ${column} = ? AND revokedAt IS NULL`;
+  
+  switch (DB_ENGINE) {
+    case 'POSTGRESQL':
+      const result = await db.query(toPgPlaceholders(sqlQuery), [now, value]);
+      return result.rowCount;
+    
+    case 'MONGODB':
+      const updateResult = await db.collection('api_tokens').updateMany(
+        { [column]: value, revokedAt: null },
+        { $set: { revokedAt: now } }
+      );
+      return updateResult.modifiedCount;
+    
+    case 'SQLITE':
+    default:
+      return await new Promise((resolve, reject) => {
+        db.run(sqlQuery, [now, value], function(err) {
+          if (err) {
+            reject(err);
+            return;
+          }
+          resolve(this.changes);
+        });
+      });
+  }
+}
+
+/**
+ * Revoke an API token
+ * @param {string} id - Token ID
+ * @returns {Promise<boolean>} True if an active token was revoked
+ */
+async function revokeApiToken(id) {
+  try {
+    return await revokeApiTokensWhere('id', id) > 0;
+  } catch (error) {
+    logger.error('Error revoking API token:', error);
+    return false;
+  }
+}
+
+/**
+ * Revoke all API tokens of a user
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Number of revoked tokens
+ */
+async function revokeUserApiTokens(userId) {
+  try {
+    return await revokeApiTokensWhere('userId', userId);
+  } catch (error) {
+    logger.error('Error revoking user API tokens:', error);
+    return 0;
+  }
+}
+
+/**
+ * Record that an API token was used
+ * @param {string} id - Token ID
+ * @param {string} ipAddress - IP address it was used from
+ * @returns {Promise<boolean>} Success status
+ */
+async function touchApiToken(id, ipAddress) {
+  try {
+    const sqlQuery = 'UPDATE api_tokens SET lastUsedAt = ?, lastUsedIp = ? WHERE id = ?';
+    const sqlParams = [new Date().toISOString(), ipAddress || null, id];
     
     switch (DB_ENGINE) {
       case 'POSTGRESQL':
-        commandUsage = await db.query(`
-          SELECT command, COUNT(*) as count 
-          FROM interactions 
-          WHERE timestamp BETWEEN $1 AND $2 
-          GROUP BY command 
-          ORDER BY count DESC 
-          LIMIT 10
-        `, [startDate, endDate]);
-        commandUsage = commandUsage.rows;
+        await db.query(toPgPlaceholders(sqlQuery), sqlParams);
         break;
       
       case 'MONGODB':
-        commandUsage = await db.collection('interactions').aggregate([
-          { $match: { timestamp: { $gte: startDate, $lte: endDate } } },
-          { $group: { _id: '$command', count: { $sum: 1 } } },
-          { $project: { command: '$_id', count: 1, _id: 0 } },
-          { $sort: { count: -1 } },
-          { $limit: 10 }
-        ]).toArray();
+        await db.collection('api_tokens').updateOne({ id }, { $set: { lastUsedAt: sqlParams[0], lastUsedIp: sqlParams[1] } });
         break;
       
       case 'SQLITE':
       default:
-        commandUsage = await new Promise((resolve, reject) => {
-          db.all(`
-            SELECT command, COUNT(*) as count 
-            FROM interactions 
-            WHERE timestamp BETWEEN ? AND ? 
-            GROUP BY command 
-            ORDER BY count DESC 
-            LIMIT 10
-          `, [startDate, endDate], (err, rows) => {
+        await new Promise((resolve, reject) => {
+          db.run(sqlQuery, sqlParams, (err) => {
             if (err) {
               reject(err);
               return;
             }
-            resolve(rows || []);
+            resolve();
           });
         });
     }
     
-    // Get active users count
-    let activeUsers;
+    return true;
+  } catch (error) {
+    logger.error('Error updating API token usage:', error);
+    return false;
+  }
+}
+
+// Login attempt functions
+
+/**
+ * Get the failed sign-ins of an email address
+ * @param {string} email - Email address, in lower case
+ * @returns {Promise<Object|null>} Failed count, last failure and lockout end, or null if there are none
+ */
+async function getLoginAttempts(email) {
+  try {
+    let row;
     
     switch (DB_ENGINE) {
       case 'POSTGRESQL':
-        activeUsers = await db.query(`
-          SELECT COUNT(DISTINCT userId) as count 
-          FROM interactions 
-          WHERE timestamp BETWEEN $1 AND $2
-        `, [startDate, endDate]);
-        activeUsers = parseInt(activeUsers.rows[0].count);
+        const result = await db.query('SELECT * FROM login_attempts WHERE email = $1', [email]);
+        row = result.rows[0];
         break;
       
       case 'MONGODB':
-        activeUsers = await db.collection('interactions').distinct('userId', { 
-          timestamp: { $gte: startDate, $lte: endDate } 
-        });
-        activeUsers = activeUsers.length;
+        row = await db.collection('login_attempts').findOne({ email });
         break;
       
       case 'SQLITE':
       default:
-        activeUsers = await new Promise((resolve, reject) => {
-          db.get(`
-            SELECT COUNT(DISTINCT userId) as count 
-            FROM interactions 
-            WHERE timestamp BETWEEN ? AND ?
-          `, [startDate, endDate], (err, row) => {
+        row = await new Promise((resolve, reject) => {
+          db.get('SELECT * FROM login_attempts WHERE email = ?', [email], (err, sqliteRow) => {
             if (err) {
               reject(err);
               return;
             }
-            resolve(parseInt(row?.count || 0));
+            resolve(sqliteRow);
           });
         });
     }
     
-    // Get new leads count
-    let newLeads;
+    if (!row) {
+      return null;
+    }
+    
+    const lastFailedAt = row.lastFailedAt ?? row.lastfailedat;
+    const lockedUntil = row.lockedUntil ?? row.lockeduntil;
+    
+    return {
+      email,
+      failedCount: parseInt(row.failedCount ?? row.failedcount),
+      lastFailedAt: lastFailedAt instanceof Date ? lastFailedAt.toISOString() : lastFailedAt,
+      lockedUntil: lockedUntil instanceof Date ? lockedUntil.toISOString() : (lockedUntil || null)
+    };
+  } catch (error) {
+    logger.error('Error getting login attempts:', error);
+    return null;
+  }
+}
+
+/**
+ * Store the failed sign-ins of an email address
+ * @param {Object} attempts - Email, failed count, last failure and lockout end
+ * @returns {Promise<boolean>} Success status
+ */
+async function saveLoginAttempts(attempts) {
+  try {
+    const { email, failedCount, lastFailedAt, lockedUntil = null } = attempts;
+    const sqlQuery = `
+      INSERT INTO login_attempts (email, failedCount, lastFailedAt, lockedUntil)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT (email) DO UPDATE SET
+        failedCount = excluded.failedCount,
+        lastFailedAt = excluded.lastFailedAt,
+        lockedUntil = excluded.lockedUntil
+    `;
+    const sqlParams = [email, failedCount, lastFailedAt, lockedUntil];
     
     switch (DB_ENGINE) {
       case 'POSTGRESQL':
-        newLeads = await db.query(`
-          SELECT COUNT(*) as count 
-          FROM leads 
-          WHERE timestamp BETWEEN $1 AND $2
-        `, [startDate, endDate]);
-        newLeads = parseInt(newLeads.rows[0].count);
+        await db.query(toPgPlaceholders(sqlQuery), sqlParams);
         break;
       
       case 'MONGODB':
-        newLeads = await db.collection('leads').countDocuments({ 
-          timestamp: { $gte: startDate, $lte: endDate } 
-        });
+        await db.collection('login_attempts').updateOne(
+          { email },
+          { $set: { failedCount, lastFailedAt, lockedUntil } },
+          { upsert: true }
+        );
         break;
       
       case 'SQLITE':
       default:
-        newLeads = await new Promise((resolve, reject) => {
-          db.get(`
-            SELECT COUNT(*) as count 
-            FROM leads 
-            WHERE timestamp BETWEEN ? AND ?
-          `, [startDate, endDate], (err, row) => {
+        await new Promise((resolve, reject) => {
+          db.run(sqlQuery, sqlParams, (err) => {
             if (err) {
               reject(err);
               return;
             }
-            resolve(parseInt(row?.count || 0));
+            resolve();
           });
         });
     }
     
-    return {
-      platformInteractions,
-      commandUsage,
-      activeUsers,
-      newLeads
-    };
+    return true;
   } catch (error) {
-    logger.error('Error getting analytical data:', error);
-    return {
-      platformInteractions: [],
-      commandUsage: [],
-      activeUsers: 0,
-      newLeads: 0
-    };
+    logger.error('Error saving login attempts:', error);
+    return false;
   }
 }
 
 /**
- * Get recent activity for dashboard display
- * @param {number} limit - Number of activities to return
- * @returns {Promise<Array>} Recent activities
+ * Forget the failed sign-ins of an email address, e.g. after a successful one
+ * @param {string} email - Email address, in lower case
+ * @returns {Promise<boolean>} Success status
  */
-async function getRecentActivity(limit = 10) {
+async function clearLoginAttempts(email) {
   try {
-    // Get recent interactions
-    let recentInteractions;
-    
     switch (DB_ENGINE) {
       case 'POSTGRESQL':
-        recentInteractions = await db.query(`
-          SELECT userId, username, platform, command, details, timestamp 
-          FROM interactions 
-          ORDER BY timestamp DESC 
-          LIMIT $1
-        `, [limit]);
-        recentInteractions = recentInteractions.rows.map(row => ({
-          ...row,
-          type: 'interaction',
-          details: typeof row.details === 'string' ? JSON.parse(row.details) : row.details
-        }));
+        await db.query('DELETE FROM login_attempts WHERE email = $1', [email]);
         break;
       
       case 'MONGODB':
-        recentInteractions = await db.collection('interactions')
-          .find({})
-          .sort({ timestamp: -1 })
-          .limit(limit)
-          .toArray();
-        recentInteractions = recentInteractions.map(item => ({
-          ...item,
-          type: 'interaction',
-          _id: undefined
-        }));
+        await db.collection('login_attempts').deleteOne({ email });
         break;
       
       case 'SQLITE':
       default:
-        recentInteractions = await new Promise((resolve, reject) => {
-          db.all(`
-            SELECT userId, username, platform, command, details, timestamp 
-            FROM interactions 
-            ORDER BY timestamp DESC 
-            LIMIT ?
-          `, [limit], (err, rows) => {
+        await new Promise((resolve, reject) => {
+          db.run('DELETE FROM login_attempts WHERE email = ?', [email], (err) => {
             if (err) {
               reject(err);
               return;
             }
-            resolve((rows || []).map(row => ({
-              ...row,
-              type: 'interaction',
-              details: typeof row.details === 'string' ? JSON.parse(row.details) : row.details
-            })));
+            resolve();
           });
         });
     }
     
-    // Get recent tickets
-    let recentTickets;
-    
-    switch (DB_ENGINE) {
-      case 'POSTGRESQL':
-        recentTickets = await db.query(`
-          SELECT ticketId, userId, username, platform, issue, status, priority, createdAt 
-          FROM tickets 
-          ORDER BY createdAt DESC 
-          LIMIT $1
-        `, [limit]);
-        recentTickets = recentTickets.rows.map(row => ({
-          ...row,
-          type: 'ticket'
-        }));
+    return true;
+  } catch (error) {
+    logger.error('Error clearing login attempts:', error);
+    return false;
+  }
+}
+
+// Application log functions
+
+// Winston levels, most severe first
+const APP_LOG_LEVELS = ['error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly'];
+
+const APP_LOG_COLUMNS = ['id', 'timestamp', 'level', 'source', 'message', 'botId', 'platform', 'userId', 'requestId', 'meta'];
+
+/**
+ * Store a batch of application log records
+ * @param {Array} records - Records with timestamp, level, source, message, botId, platform, userId, requestId and meta
+ * @returns {Promise<boolean>} Success status
+ */
+async function insertAppLogs(records) {
+  if (records.length === 0) {
+    return true;
+  }
+  
+  try {
+    const sqlQuery = `
+      INSERT INTO app_logs 
+      (timestamp, level, source, message, botId, platform, userId, requestId, meta) 
+      VALUES ${records.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?)').join(', ')}
+    `;
+    const sqlParams = records.flatMap(record => [
+      record.timestamp,
+      record.level,
+      record.source,
+      record.message,
+      record.botId || null,
+      record.platform || null,
+      record.userId || null,
+      record.requestId || null,
+      record.meta ? JSON.stringify(record.meta) : null
+    ]);
+    
+    switch (DB_ENGINE) {
+      case 'POSTGRESQL':
+        await db.query(toPgPlaceholders(sqlQuery), sqlParams);
         break;
       
       case 'MONGODB':
-        recentTickets = await db.collection('tickets')
-          .find({})
-          .sort({ createdAt: -1 })
-          .limit(limit)
-          .toArray();
-        recentTickets = recentTickets.map(item => ({
-          ...item,
-          type: 'ticket',
-          _id: undefined
-        }));
+        await db.collection('app_logs').insertMany(records.map(record => ({
+          timestamp: record.timestamp,
+          level: record.level,
+          source: record.source,
+          message: record.message,
+          botId: record.botId || null,
+          platform: record.platform || null,
+          userId: record.userId || null,
+          requestId: record.requestId || null,
+          meta: record.meta || null
+        })));
         break;
       
       case 'SQLITE':
       default:
-        recentTickets = await new Promise((resolve, reject) => {
-          db.all(`
-            SELECT ticketId, userId, username, platform, issue, status, priority, createdAt 
-            FROM tickets 
-            ORDER BY createdAt DESC 
-            LIMIT ?
-          `, [limit], (err, rows) => {
+        await new Promise((resolve, reject) => {
+          db.run(sqlQuery, sqlParams, (err) => {
             if (err) {
               reject(err);
               return;
             }
-            resolve((rows || []).map(row => ({
-              ...row,
-              type: 'ticket'
-            })));
+            resolve();
           });
         });
     }
     
-    // Get recent leads
-    let recentLeads;
+    return true;
+  } catch (error) {
+    logger.error('Error storing application logs:', error);
+    return false;
+  }
+}
+
+/**
+ * Build the WHERE clause, SQL parameters and MongoDB query for application log filters
+ * @param {Object} filters - Filters (level, source, botId, platform, userId, requestId, from, to, search).
+ *                           level is the least severe level to include.
+ * @returns {Object} Object with sqlWhere, sqlParams and mongoQuery
+ */
+function buildAppLogFilters(filters = {}) {
+  const mongoQuery = {};
+  const whereClause = [];
+  const sqlParams = [];
+  
+  if (filters.level && APP_LOG_LEVELS.includes(filters.level)) {
+    const levels = APP_LOG_LEVELS.slice(0, APP_LOG_LEVELS.indexOf(filters.level) + 1);
+    mongoQuery.level = { $in: levels };
+    whereClause.push(`level IN (${levels.map(() => '?').join(', ')})`);
+    sqlParams.push(...levels);
+  }
+  
+  for (const field of ['source', 'botId', 'platform', 'userId', 'requestId']) {
+    if (filters[field]) {
+      mongoQuery[field] = filters[field];
+      whereClause.push(`${field} = ?`);
+      sqlParams.push(filters[field]);
+    }
+  }
+  
+  if (filters.from || filters.to) {
+    mongoQuery.timestamp = {};
+    if (filters.from) {
+      mongoQuery.timestamp.$gte = filters.from;
+      whereClause.push('timestamp >= ?');
+      sqlParams.push(filters.from);
+    }
+    if (filters.to) {
+      mongoQuery.timestamp.$lte = filters.to;
+      whereClause.push('timestamp <= ?');
+      sqlParams.push(filters.to);
+    }
+  }
+  
+  if (filters.search) {
+    const escaped = filters.search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    mongoQuery.message = { $regex: escaped, $options: 'i' };
+    whereClause.push('LOWER(message) LIKE ?');
+    sqlParams.push(`%${filters.search.toLowerCase()}%`);
+  }
+  
+  return {
+    sqlWhere: whereClause.length > 0 ? ' WHERE ' + whereClause.join(' AND ') : '',
+    sqlParams,
+    mongoQuery
+  };
+}
+
+/**
+ * Convert an application log record read from any engine into its portable form
+ * @param {Object} row - Row as returned by the driver
+ * @returns {Object} Log record
+ */
+function normalizeAppLog(row) {
+  const record = {};
+  
+  for (const column of APP_LOG_COLUMNS) {
+    // PostgreSQL folds unquoted identifiers to lower case
+    const value = row[column] !== undefined ? row[column] : row[column.toLowerCase()];
+    record[column] = value instanceof Date ? value.toISOString() : (value ?? null);
+  }
+  
+  // MongoDB documents have no numeric ID
+  if (record.id === null && row._id) {
+    record.id = row._id.toString();
+  }
+  
+  if (typeof record.meta === 'string') {
+    try {
+      record.meta = JSON.parse(record.meta);
+    } catch (e) {
+      // Keep as string if parsing fails
+    }
+  }
+  
+  return record;
+}
+
+/**
+ * Get application log records with optional filtering and pagination
+ * @param {Object} filters - Filters accepted by buildAppLogFilters plus limit and offset
+ * @returns {Promise<Array>} Log records, newest first
+ */
+async function getAppLogs(filters = {}) {
+  try {
+    const { sqlWhere, sqlParams, mongoQuery } = buildAppLogFilters(filters);
+    const limit = parseInt(filters.limit) > 0 ? parseInt(filters.limit) : 100;
+    const offset = parseInt(filters.offset) > 0 ? parseInt(filters.offset) : 0;
+    const sqlQuery = `SELECT * FROM app_logs${sqlWhere} ORDER BY timestamp DESC, id DESC LIMIT ? OFFSET ?`;
+    const params = [...sqlParams, limit, offset];
+    let rows;
     
     switch (DB_ENGINE) {
       case 'POSTGRESQL':
-        recentLeads = await db.query(`
-          SELECT userId, username, platform, source, timestamp 
-          FROM leads 
-          ORDER BY timestamp DESC 
-          LIMIT $1
-        `, [limit]);
-        recentLeads = recentLeads.rows.map(row => ({
-          ...row,
-          type: 'lead'
-        }));
+        const result = await db.query(toPgPlaceholders(sqlQuery), params);
+        rows = result.rows;
         break;
       
       case 'MONGODB':
-        recentLeads = await db.collection('leads')
-          .find({})
-          .sort({ timestamp: -1 })
+        rows = await db.collection('app_logs')
+          .find(mongoQuery)
+          .sort({ timestamp: -1, _id: -1 })
+          .skip(offset)
           .limit(limit)
           .toArray();
-        recentLeads = recentLeads.map(item => ({
-          ...item,
-          type: 'lead',
-          _id: undefined
-        }));
         break;
       
       case 'SQLITE':
       default:
-        recentLeads = await new Promise((resolve, reject) => {
-          db.all(`
-            SELECT userId, username, platform, source, timestamp 
-            FROM leads 
-            ORDER BY timestamp DESC 
-            LIMIT ?
-          `, [limit], (err, rows) => {
+        rows = await new Promise((resolve, reject) => {
+          db.all(sqlQuery, params, (err, sqliteRows) => {
             if (err) {
               reject(err);
               return;
             }
-            resolve((rows || []).map(row => ({
-              ...row,
-              type: 'lead'
-            })));
+            resolve(sqliteRows || []);
           });
         });
     }
     
-    // Combine all activities, sort by timestamp/createdAt, and limit
-    const allActivities = [
-      ...recentInteractions,
-      ...recentTickets,
-      ...recentLeads
-    ].sort((a, b) => {
-      const dateA = new Date(a.timestamp || a.createdAt);
-      const dateB = new Date(b.timestamp || b.createdAt);
-      return dateB - dateA;
-    }).slice(0, limit);
-    
-    return allActivities;
+    return rows.map(normalizeAppLog);
   } catch (error) {
-    logger.error('Error getting recent activity:', error);
+    logger.error('Error getting application logs:', error);
     return [];
   }
 }
 
 /**
- * Create or update a ticket in the database
- * @param {Object} ticketData - Ticket data
- * @returns {Promise<Object|null>} Created/updated ticket or null on error
+ * Count application log records matching the given filters
+ * @param {Object} filters - Filters accepted by buildAppLogFilters
+ * @returns {Promise<number>} Number of matching records
  */
-async function updateTicket(id, ticketData) {
+async function countAppLogs(filters = {}) {
   try {
-    const { status, priority, assignedTo } = ticketData;
-    const updatedAt = new Date().toISOString();
-    const updateData = {};
-    
-    if (status !== undefined) updateData.status = status;
-    if (priority !== undefined) updateData.priority = priority;
-    if (assignedTo !== undefined) updateData.assignedTo = assignedTo;
-    
-    updateData.updatedAt = updatedAt;
-    
-    // Add closedAt timestamp if status is 'closed'
-    if (status === 'closed') {
-      updateData.closedAt = updatedAt;
-    }
+    const { sqlWhere, sqlParams, mongoQuery } = buildAppLogFilters(filters);
+    const sqlQuery = `SELECT COUNT(*) as count FROM app_logs${sqlWhere}`;
     
     switch (DB_ENGINE) {
       case 'POSTGRESQL':
-        // Build query dynamically
-        const setItems = Object.keys(updateData).map((key, i) => `${key} = $${i+1}`);
-        const values = [...Object.values(updateData), id];
-        
-        const result = await db.query(
-          `UPDATE tickets SET ${setItems.join(', ')} WHERE ticketId = $${setItems.length + 1} RETURNING *`,
-          values
-        );
-        
-        return result.rows[0] || null;
+        const result = await db.query(toPgPlaceholders(sqlQuery), sqlParams);
+        return parseInt(result.rows[0].count);
       
       case 'MONGODB':
-        const updateResult = await db.collection('tickets').findOneAndUpdate(
-          { ticketId: id },
-          { $set: updateData },
-          { returnDocument: 'after' }
-        );
-        
-        return updateResult.value;
+        return await db.collection('app_logs').countDocuments(mongoQuery);
       
       case 'SQLITE':
       default:
-        // Build query dynamically
-        const setItemsSqlite = Object.keys(updateData).map(key => `${key} = ?`).join(', ');
-        const valuesSqlite = [...Object.values(updateData), id];
-        
-        await new Promise((resolve, reject) => {
-          db.run(
-            `UPDATE tickets SET ${setItemsSqlite} WHERE ticketId = ?`,
-            valuesSqlite,
-            function(err) {
-              if (err) {
-                reject(err);
-                return;
-              }
-              resolve(this.changes);
-            }
-          );
-        });
-        
-        // Get the updated ticket
-        return new Promise((resolve, reject) => {
-          db.get('SELECT * FROM tickets WHERE ticketId = ?', [id], (err, row) => {
+        return await new Promise((resolve, reject) => {
+          db.get(sqlQuery, sqlParams, (err, row) => {
             if (err) {
               reject(err);
               return;
             }
-            resolve(row || null);
+            resolve(parseInt(row?.count || 0));
           });
         });
     }
   } catch (error) {
-    logger.error('Error updating ticket:', error);
-    return null;
+    logger.error('Error counting application logs:', error);
+    return 0;
   }
 }
 
 /**
- * Get all tickets with optional filtering
- * @param {Object} filters - Optional filters (status, platform, priority)
- * @returns {Promise<Array>} Array of tickets
+ * Delete application log records older than the given date
+ * @param {Date} cutoff - Records logged before this date are deleted
+ * @returns {Promise<number>} Number of deleted records
  */
-async function getTickets(filters = {}) {
+async function deleteAppLogsBefore(cutoff) {
   try {
-    const { status, platform, priority, assignedTo } = filters;
-    let query = {};
-    let sqlQuery = 'SELECT * FROM tickets';
-    let sqlParams = [];
-    let whereClause = [];
-    
-    // Build filters
-    if (status) {
-      query.status = status;
-      whereClause.push('status = ?');
-      sqlParams.push(status);
-    }
-    
-    if (platform) {
-      query.platform = platform;
-      whereClause.push('platform = ?');
-      sqlParams.push(platform);
-    }
-    
-    if (priority) {
-      query.priority = priority;
-      whereClause.push('priority = ?');
-      sqlParams.push(priority);
-    }
-    
-    if (assignedTo) {
-      query.assignedTo = assignedTo;
-      whereClause.push('assignedTo = ?');
-      sqlParams.push(assignedTo);
-    }
-    
-    if (whereClause.length > 0) {
-      sqlQuery += ' WHERE ' + whereClause.join(' AND ');
-    }
-    
-    sqlQuery += ' ORDER BY createdAt DESC';
-    
     switch (DB_ENGINE) {
       case 'POSTGRESQL':
-        // Convert SQL params to PostgreSQL style ($1, $2, etc.)
-        const pgQuery = sqlQuery.replace(/\?/g, (_, i) => `$${i + 1}`);
-        const result = await db.query(pgQuery, sqlParams);
-        return result.rows;
+        const result = await db.query('DELETE FROM app_logs WHERE timestamp < $1', [cutoff]);
+        return result.rowCount;
       
       case 'MONGODB':
-        return await db.collection('tickets').find(query).sort({ createdAt: -1 }).toArray();
+        const deleteResult = await db.collection('app_logs').deleteMany({ timestamp: { $lt: cutoff.toISOString() } });
+        return deleteResult.deletedCount;
       
       case 'SQLITE':
       default:
-        return new Promise((resolve, reject) => {
-          db.all(sqlQuery, sqlParams, (err, rows) => {
+        return await new Promise((resolve, reject) => {
+          db.run('DELETE FROM app_logs WHERE timestamp < ?', [cutoff.toISOString()], function(err) {
             if (err) {
               reject(err);
               return;
             }
-            resolve(rows || []);
+            resolve(this.changes);
           });
         });
     }
   } catch (error) {
-    logger.error('Error getting tickets:', error);
-    return [];
+    logger.error('Error deleting old application logs:', error);
+    return 0;
   }
 }
 
+// Audit log functions. The audit log is append-only: there are no functions to
+// change or delete entries, and the SQL engines reject it with triggers.
+
+const AUDIT_LOG_COLUMNS = ['sequence', 'timestamp', 'actorId', 'actorUsername', 'ipAddress', 'userAgent', 'action', 'outcome', 'targetType', 'targetId', 'changes', 'details', 'requestId', 'previousHash', 'hash'];
+
 /**
- * Get bot execution logs
- * @param {string} botId - Bot ID
- * @param {number} limit - Number of log entries to return
- * @returns {Promise<Array>} Array of log entries
+ * Append an entry to the audit log
+ * @param {Object} entry - Entry with every column of AUDIT_LOG_COLUMNS
+ * @returns {Promise<boolean>} False on failure, e.g. when the sequence number is already taken
  */
-async function getBotLogs(botId, limit = 100) {
+async function insertAuditEntry(entry) {
   try {
-    // Get interactions related to this bot
+    const sqlQuery = `INSERT INTO audit_log (${AUDIT_LOG_COLUMNS.join(', ')}) VALUES (${AUDIT_LOG_COLUMNS.map(() => '?').join(', ')})`;
+    const sqlParams = AUDIT_LOG_COLUMNS.map((column) => {
+      const value = entry[column] ?? null;
+      return value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+    });
     
     switch (DB_ENGINE) {
       case 'POSTGRESQL':
-        const pgResult = await db.query(`
-          SELECT timestamp, username, command, details 
-          FROM interactions 
-          WHERE details::jsonb @> $1 
-          ORDER BY timestamp DESC 
-          LIMIT $2
-        `, [JSON.stringify({ botId }), limit]);
-        
-        return pgResult.rows.map(row => ({
-          timestamp: row.timestamp,
-          username: row.username,
-          command: row.command,
-          details: typeof row.details === 'string' ? JSON.parse(row.details) : row.details
-        }));
+        await db.query(toPgPlaceholders(sqlQuery), sqlParams);
+        break;
       
       case 'MONGODB':
-        return await db.collection('interactions')
-          .find({ 'details.botId': botId })
-          .sort({ timestamp: -1 })
-          .limit(limit)
-          .project({ timestamp: 1, username: 1, command: 1, details: 1, _id: 0 })
-          .toArray();
+        await db.collection('audit_log').insertOne(Object.fromEntries(AUDIT_LOG_COLUMNS.map(column => [column, entry[column] ?? null])));
+        break;
       
       case 'SQLITE':
       default:
-        const sqliteRows = await new Promise((resolve, reject) => {
-          db.all(`
-            SELECT timestamp, username, command, details 
-            FROM interactions 
-            WHERE details LIKE ? 
-            ORDER BY timestamp DESC 
-            LIMIT ?
-          `, [`%"botId":"${botId}"%`, limit], (err, rows) => {
+        await new Promise((resolve, reject) => {
+          db.run(sqlQuery, sqlParams, (err) => {
             if (err) {
               reject(err);
               return;
             }
-            resolve(rows || []);
+            resolve();
           });
         });
-        
-        return sqliteRows.map(row => ({
-          timestamp: row.timestamp,
-          username: row.username,
-          command: row.command,
-          details: typeof row.details === 'string' ? JSON.parse(row.details) : row.details
-        }));
     }
-  } catch (error) {
-    logger.error('Error getting bot logs:', error);
-    return [];
+    
+    return true;
+  } catch (error) {
+    logger.error('Error appending to the audit log:', error);
+    return false;
+  }
+}
+
+/**
+ * Build the WHERE clause, SQL parameters and MongoDB query for audit log filters
+ * @param {Object} filters - Filters (actorId, action, targetType, targetId, outcome, from, to, afterSequence, search).
+ *                           action also matches the actions below it, e.g. 'bot' matches 'bot.delete'.
+ * @returns {Object} Object with sqlWhere, sqlParams and mongoQuery
+ */
+function buildAuditFilters(filters = {}) {
+  const mongoQuery = {};
+  const whereClause = [];
+  const sqlParams = [];
+  
+  for (const field of ['actorId', 'targetType', 'targetId', 'outcome']) {
+    if (filters[field]) {
+      mongoQuery[field] = filters[field];
+      whereClause.push(`${field} = ?`);
+      sqlParams.push(filters[field]);
+    }
+  }
+  
+  if (filters.action) {
+    const escaped = filters.action.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    mongoQuery.action = { $regex: `^${escaped}(\\.|$)` };
+    whereClause.push('(action = ? OR action LIKE ?)');
+    sqlParams.push(filters.action, `${filters.action.replace(/[%_]/g, '')}.%`);
+  }
+  
+  if (filters.from || filters.to) {
+    mongoQuery.timestamp = {};
+    if (filters.from) {
+      mongoQuery.timestamp.$gte = filters.from;
+      whereClause.push('timestamp >= ?');
+      sqlParams.push(filters.from);
+    }
+    if (filters.to) {
+      mongoQuery.timestamp.$lte = filters.to;
+      whereClause.push('timestamp <= ?');
+      sqlParams.push(filters.to);
+    }
+  }
+  
+  if (filters.afterSequence !== undefined) {
+    mongoQuery.sequence = { $gt: filters.afterSequence };
+    whereClause.push('sequence > ?');
+    sqlParams.push(filters.afterSequence);
+  }
+  
+  if (filters.search) {
+    const escaped = filters.search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    mongoQuery.$or = ['actorUsername', 'action', 'targetId'].map(field => ({ [field]: { $regex: escaped, $options: 'i' } }));
+    whereClause.push('(LOWER(actorUsername) LIKE ? OR LOWER(action) LIKE ? OR LOWER(targetId) LIKE ?)');
+    sqlParams.push(...Array(3).fill(`%${filters.search.toLowerCase()}%`));
   }
+  
+  return {
+    sqlWhere: whereClause.length > 0 ? ' WHERE ' + whereClause.join(' AND ') : '',
+    sqlParams,
+    mongoQuery
+  };
 }
 
 /**
- * Update bot configuration
- * @param {string} botId - Bot ID
- * @param {Object} config - New configuration object
- * @returns {Promise<boolean>} Success status
+ * Convert an audit log entry read from any engine into its portable form
+ * @param {Object} row - Row as returned by the driver
+ * @returns {Object} Audit log entry
+ */
+function normalizeAuditEntry(row) {
+  const entry = {};
+  
+  for (const column of AUDIT_LOG_COLUMNS) {
+    // PostgreSQL folds unquoted identifiers to lower case
+    const value = row[column] !== undefined ? row[column] : row[column.toLowerCase()];
+    entry[column] = value instanceof Date ? value.toISOString() : (value ?? null);
+  }
+  
+  // PostgreSQL returns BIGINT values as strings
+  entry.sequence = parseInt(entry.sequence);
+  
+  for (const column of ['changes', 'details']) {
+    if (typeof entry[column] === 'string') {
+      try {
+        entry[column] = JSON.parse(entry[column]);
+      } catch (e) {
+        // Keep as string if parsing fails
+      }
+    }
+  }
+  
+  return entry;
+}
+
+/**
+ * Get audit log entries with optional filtering and pagination
+ * @param {Object} filters - Filters accepted by buildAuditFilters plus sortOrder, limit and offset
+ * @returns {Promise<Array>} Audit log entries, newest first unless sortOrder is 'asc'
  */
-async function updateBotConfig(botId, config) {
+async function getAuditEntries(filters = {}) {
   try {
-    const configStr = typeof config === 'object' ? JSON.stringify(config) : config;
+    const { sqlWhere, sqlParams, mongoQuery } = buildAuditFilters(filters);
+    const limit = parseInt(filters.limit) > 0 ? parseInt(filters.limit) : 100;
+    const offset = parseInt(filters.offset) > 0 ? parseInt(filters.offset) : 0;
+    const ascending = filters.sortOrder === 'asc';
+    const sqlQuery = `SELECT * FROM audit_log${sqlWhere} ORDER BY sequence ${ascending ? 'ASC' : 'DESC'} LIMIT ? OFFSET ?`;
+    const params = [...sqlParams, limit, offset];
+    let rows;
     
     switch (DB_ENGINE) {
       case 'POSTGRESQL':
-        const pgResult = await db.query(
-          'UPDATE bots SET config = $1 WHERE id = $2',
-          [configStr, botId]
-        );
-        return pgResult.rowCount > 0;
+        const result = await db.query(toPgPlaceholders(sqlQuery), params);
+        rows = result.rows;
+        break;
       
       case 'MONGODB':
-        const mongoResult = await db.collection('bots').updateOne(
-          { id: botId },
-          { $set: { config: typeof config === 'object' ? config : JSON.parse(configStr) } }
-        );
-        return mongoResult.modifiedCount > 0;
+        rows = await db.collection('audit_log')
+          .find(mongoQuery)
+          .sort({ sequence: ascending ? 1 : -1 })
+          .skip(offset)
+          .limit(limit)
+          .toArray();
+        break;
       
       case 'SQLITE':
       default:
-        return new Promise((resolve, reject) => {
-          db.run(
-            'UPDATE bots SET config = ? WHERE id = ?',
-            [configStr, botId],
-            function(err) {
-              if (err) {
-                reject(err);
-                return;
-              }
-              resolve(this.changes > 0);
+        rows = await new Promise((resolve, reject) => {
+          db.all(sqlQuery, params, (err, sqliteRows) => {
+            if (err) {
+              reject(err);
+              return;
             }
-          );
+            resolve(sqliteRows || []);
+          });
         });
     }
+    
+    return rows.map(normalizeAuditEntry);
   } catch (error) {
-    logger.error('Error updating bot config:', error);
-    return false;
+    logger.error('Error getting audit log entries:', error);
+    return [];
   }
 }
 
 /**
- * Get dashboard summary statistics
- * @returns {Promise<Object>} Summary statistics
+ * Count audit log entries matching the given filters
+ * @param {Object} filters - Filters accepted by buildAuditFilters
+ * @returns {Promise<number>} Number of matching entries
  */
-async function getDashboardSummary() {
+async function countAuditEntries(filters = {}) {
   try {
-    const now = new Date();
-    const dayAgo = new Date(now.getTime() - (24 * 60 * 60 * 1000));
-    const weekAgo = new Date(now.getTime() - (7 * 24 * 60 * 60 * 1000));
-    const dayAgoStr = dayAgo.toISOString();
-    const weekAgoStr = weekAgo.toISOString();
-    
-    let onlineBots, totalBots, activeUsers, newTickets, pendingTickets;
+    const { sqlWhere, sqlParams, mongoQuery } = buildAuditFilters(filters);
+    const sqlQuery = `SELECT COUNT(*) as count FROM audit_log${sqlWhere}`;
     
     switch (DB_ENGINE) {
       case 'POSTGRESQL':
-        // Count online bots
-        const onlineBotsResult = await db.query(`SELECT COUNT(*) as count FROM bots WHERE status = 'online'`);
-        onlineBots = parseInt(onlineBotsResult.rows[0].count);
-        
-        // Count total bots
-        const totalBotsResult = await db.query('SELECT COUNT(*) as count FROM bots');
-        totalBots = parseInt(totalBotsResult.rows[0].count);
-        
-        // Count active users in last 24 hours
-        const activeUsersResult = await db.query(
-          'SELECT COUNT(DISTINCT userId) as count FROM interactions WHERE timestamp >= $1',
-          [dayAgoStr]
-        );
-        activeUsers = parseInt(activeUsersResult.rows[0].count);
-        
-        // Count new tickets in last 24 hours
-        const newTicketsResult = await db.query(
-          'SELECT COUNT(*) as count FROM tickets WHERE createdAt >= $1',
-          [dayAgoStr]
-        );
-        newTickets = parseInt(newTicketsResult.rows[0].count);
-        
-        // Count pending tickets
-        const pendingTicketsResult = await db.query(`
-          SELECT COUNT(*) as count FROM tickets 
-          WHERE status = 'open' OR status = 'in-progress'
-        `);
-        pendingTickets = parseInt(pendingTicketsResult.rows[0].count);
-        break;
+        const result = await db.query(toPgPlaceholders(sqlQuery), sqlParams);
+        return parseInt(result.rows[0].count);
       
       case 'MONGODB':
-        // Count online bots
-        onlineBots = await db.collection('bots').countDocuments({ status: 'online' });
-        
-        // Count total bots
-        totalBots = await db.collection('bots').countDocuments({});
-        
-        // Count active users in last 24 hours
-        const activeUsersList = await db.collection('interactions').distinct('userId', { timestamp: { $gte: dayAgoStr } });
-        activeUsers = activeUsersList.length;
-        
-        // Count new tickets in last 24 hours
-        newTickets = await db.collection('tickets').countDocuments({ createdAt: { $gte: dayAgoStr } });
-        
-        // Count pending tickets
-        pendingTickets = await db.collection('tickets').countDocuments({ status: { $in: ['open', 'in-progress'] } });
-        break;
+        return await db.collection('audit_log').countDocuments(mongoQuery);
       
       case 'SQLITE':
       default:
-        // Count online bots
-        onlineBots = await new Promise((resolve, reject) => {
-          db.get("SELECT COUNT(*) as count FROM bots WHERE status = 'online'", [], (err, row) => {
-            if (err) {
-              reject(err);
-              return;
-            }
-            resolve(parseInt(row?.count || 0));
-          });
-        });
-        
-        // Count total bots
-        totalBots = await new Promise((resolve, reject) => {
-          db.get('SELECT COUNT(*) as count FROM bots', [], (err, row) => {
+        return await new Promise((resolve, reject) => {
+          db.get(sqlQuery, sqlParams, (err, row) => {
             if (err) {
               reject(err);
               return;
@@ -2806,344 +9033,289 @@ async function getDashboardSummary() {
             resolve(parseInt(row?.count || 0));
           });
         });
-        
-        // Count active users in last 24 hours
-        activeUsers = await new Promise((resolve, reject) => {
-          db.get(
-            'SELECT COUNT(DISTINCT userId) as count FROM interactions WHERE timestamp >= ?',
-            [dayAgoStr],
-            (err, row) => {
-              if (err) {
-                reject(err);
-                return;
-              }
-              resolve(parseInt(row?.count || 0));
-            }
-          );
-        });
-        
-        // Count new tickets in last 24 hours
-        newTickets = await new Promise((resolve, reject) => {
-          db.get(
-            'SELECT COUNT(*) as count FROM tickets WHERE createdAt >= ?',
-            [dayAgoStr],
-            (err, row) => {
-              if (err) {
-                reject(err);
-                return;
-              }
-              resolve(parseInt(row?.count || 0));
-            }
-          );
-        });
-        
-        // Count pending tickets
-        pendingTickets = await new Promise((resolve, reject) => {
-          db.get(
-            "SELECT COUNT(*) as count FROM tickets WHERE status = 'open' OR status = 'in-progress'",
-            [],
-            (err, row) => {
-              if (err) {
-                reject(err);
-                return;
-              }
-              resolve(parseInt(row?.count || 0));
-            }
-          );
-        });
-        break;
     }
-    
-    // Get active users trend data for past 7 days
-    const dailyActiveUsers = await getDailyActiveUsers(7);
-    
-    return {
-      onlineBots,
-      totalBots,
-      activeUsers,
-      newTickets,
-      pendingTickets,
-      dailyActiveUsers
-    };
   } catch (error) {
-    logger.error('Error getting dashboard summary:', error);
-    return {
-      onlineBots: 0,
-      totalBots: 0,
-      activeUsers: 0,
-      newTickets: 0,
-      pendingTickets: 0,
-      dailyActiveUsers: []
-    };
+    logger.error('Error counting audit log entries:', error);
+    return 0;
   }
 }
 
-/**
- * Get daily active users for the past n days
- * @param {number} days - Number of days to get data for
- * @returns {Promise<Array>} Daily active users data
- */
-async function getDailyActiveUsers(days) {
-  try {
-    const now = new Date();
-    const results = [];
-    
-    for (let i = days - 1; i >= 0; i--) {
-      const date = new Date(now);
-      date.setDate(date.getDate() - i);
-      date.setHours(0, 0, 0, 0);
-      
-      const nextDate = new Date(date);
-      nextDate.setDate(nextDate.getDate() + 1);
-      
-      const dateStr = date.toISOString();
-      const nextDateStr = nextDate.toISOString();
-      
-      let activeUsers;
-      
-      switch (DB_ENGINE) {
-        case 'POSTGRESQL':
-          const pgResult = await db.query(
-            'SELECT COUNT(DISTINCT userId) as count FROM interactions WHERE timestamp >= $1 AND timestamp < $2',
-            [dateStr, nextDateStr]
-          );
-          activeUsers = parseInt(pgResult.rows[0].count);
-          break;
-        
-        case 'MONGODB':
-          const distinctUsers = await db.collection('interactions').distinct('userId', {
-            timestamp: { $gte: dateStr, $lt: nextDateStr }
-          });
-          activeUsers = distinctUsers.length;
-          break;
-        
-        case 'SQLITE':
-        default:
-          activeUsers = await new Promise((resolve, reject) => {
-            db.get(
-              'SELECT COUNT(DISTINCT userId) as count FROM interactions WHERE timestamp >= ? AND timestamp < ?',
-              [dateStr, nextDateStr],
-              (err, row) => {
-                if (err) {
-                  reject(err);
-                  return;
-                }
-                resolve(parseInt(row?.count || 0));
-              }
-            );
-          });
-          break;
-      }
-      
-      results.push({
-        date: date.toISOString().split('T')[0], // YYYY-MM-DD format
-        users: activeUsers
+/**
+ * Get the most recent audit log entry, the one the next entry is chained to
+ * @returns {Promise<Object|null>} Entry, or null if the audit log is empty
+ * @throws {Error} If the audit log cannot be read
+ */
+async function getLastAuditEntry() {
+  let row;
+  
+  switch (DB_ENGINE) {
+    case 'POSTGRESQL':
+      const result = await db.query('SELECT * FROM audit_log ORDER BY sequence DESC LIMIT 1');
+      row = result.rows[0];
+      break;
+    
+    case 'MONGODB':
+      row = await db.collection('audit_log').findOne({}, { sort: { sequence: -1 } });
+      break;
+    
+    case 'SQLITE':
+    default:
+      row = await new Promise((resolve, reject) => {
+        db.get('SELECT * FROM audit_log ORDER BY sequence DESC LIMIT 1', [], (err, sqliteRow) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+          resolve(sqliteRow);
+        });
       });
+  }
+  
+  return row ? normalizeAuditEntry(row) : null;
+}
+
+// Backup and restore functions
+
+/**
+ * Portable column layout of every table included in backups.
+ * Auto-increment integer IDs are left out on purpose so rows can be
+ * restored into any engine without sequence conflicts.
+ */
+const TABLE_COLUMNS = {
+  users: ['id', 'username', 'email', 'password', 'role', 'status', 'twoFactorSecret', 'twoFactorEnabled', 'createdAt', 'lastLogin', 'breakglass'],
+  user_identities: ['issuer', 'subject', 'userId', 'email', 'createdAt', 'lastLoginAt'],
+  recovery_codes: ['id', 'userId', 'codeHash', 'createdAt', 'usedAt'],
+  webauthn_credentials: ['id', 'userId', 'name', 'publicKey', 'algorithm', 'signCount', 'transports', 'createdAt', 'lastUsedAt'],
+  bots: ['id', 'name', 'platform', 'type', 'status', 'config', 'createdAt', 'lastActive'],
+  tickets: ['ticketId', 'userId', 'username', 'platform', 'issue', 'status', 'priority', 'assignedTo', 'email', 'botId', 'chatId', 'createdAt', 'updatedAt', 'closedAt', 'slaPolicyId', 'firstResponseAt', 'firstResponseDueAt', 'resolutionDueAt', 'firstResponseBreachedAt', 'resolutionBreachedAt'],
+  ticket_messages: ['id', 'ticketId', 'direction', 'authorId', 'authorName', 'text', 'status', 'error', 'createdAt'],
+  conversations: ['id', 'platform', 'botId', 'userId', 'chatId', 'username', 'status', 'snoozedUntil', 'assignedTo', 'handoffAt', 'handoffReason', 'unreadCount', 'lastMessageText', 'lastMessageDirection', 'lastMessageAt', 'createdAt', 'updatedAt'],
+  conversation_messages: ['id', 'conversationId', 'direction', 'sender', 'authorId', 'authorName', 'text', 'status', 'error', 'createdAt'],
+  interactions: ['userId', 'username', 'platform', 'command', 'details', 'timestamp'],
+  leads: ['userId', 'username', 'platform', 'source', 'timestamp'],
+  reputation: ['userId', 'points', 'level', 'lastUpdated', 'updatedBy'],
+  settings: ['userId', 'settings', 'createdAt', 'updatedAt'],
+  bot_restarts: ['botId', 'reason', 'exitCode', 'signal', 'attempt', 'restartDelay', 'outcome', 'timestamp'],
+  auto_reply_rules: ['id', 'name', 'triggerType', 'pattern', 'response', 'faqTitle', 'platform', 'botId', 'priority', 'enabled', 'handoff', 'createdAt', 'updatedAt'],
+  sla_policies: ['id', 'name', 'priority', 'platform', 'firstResponseMinutes', 'resolutionMinutes', 'businessHours', 'escalatePriority', 'escalateTo', 'enabled', 'createdAt', 'updatedAt'],
+  roles: ['id', 'name', 'description', 'grants', 'createdAt', 'updatedAt']
+};
+
+// Columns stored as JSON text (SQLite) or JSONB (PostgreSQL)
+const JSON_COLUMNS = {
+  bots: ['config'],
+  interactions: ['details'],
+  settings: ['settings'],
+  roles: ['grants'],
+  webauthn_credentials: ['publicKey', 'transports']
+};
+
+// Columns stored as INTEGER (SQLite) or BOOLEAN (PostgreSQL)
+const BOOLEAN_COLUMNS = {
+  users: ['twoFactorEnabled', 'breakglass'],
+  auto_reply_rules: ['enabled', 'handoff'],
+  sla_policies: ['businessHours', 'escalatePriority', 'enabled']
+};
+
+/**
+ * Convert a row read from any engine into its portable form
+ * @param {string} table - Table name
+ * @param {Object} row - Row as returned by the driver
+ * @returns {Object} Row with camelCase keys, ISO dates, parsed JSON and real booleans
+ */
+function normalizeTableRow(table, row) {
+  const normalized = {};
+  
+  for (const column of TABLE_COLUMNS[table]) {
+    // PostgreSQL folds unquoted identifiers to lower case
+    let value = row[column] !== undefined ? row[column] : row[column.toLowerCase()];
+    
+    if (value === undefined) {
+      value = null;
+    } else if (value instanceof Date) {
+      value = value.toISOString();
+    } else if ((JSON_COLUMNS[table] || []).includes(column) && typeof value === 'string') {
+      try {
+        value = JSON.parse(value);
+      } catch (e) {
+        // Keep as string if parsing fails
+      }
+    } else if ((BOOLEAN_COLUMNS[table] || []).includes(column)) {
+      value = Boolean(value);
     }
     
-    return results;
-  } catch (error) {
-    logger.error('Error getting daily active users:', error);
-    return [];
+    normalized[column] = value;
   }
+  
+  return normalized;
 }
 
 /**
- * Save system settings
- * @param {Object} settings - Settings object to save
- * @returns {Promise<boolean>} Success status
+ * Convert a portable row value into what the current SQL engine expects
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @param {*} value - Portable value
+ * @returns {*} Value ready to be bound to a SQL parameter
  */
-async function saveSystemSettings(settings) {
-  try {
-    const connection = await getConnection();
-    const now = new Date().toISOString();
-    const systemUserId = 'system';
-    const settingsJson = JSON.stringify(settings);
+function toSqlValue(table, column, value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  
+  if ((JSON_COLUMNS[table] || []).includes(column)) {
+    return typeof value === 'string' ? value : JSON.stringify(value);
+  }
+  
+  if ((BOOLEAN_COLUMNS[table] || []).includes(column)) {
+    return DB_ENGINE === 'POSTGRESQL' ? Boolean(value) : (value ? 1 : 0);
+  }
+  
+  return value;
+}
+
+/**
+ * Read every row of the given tables in portable form
+ * @param {Array<string>} tables - Table names (defaults to all backed up tables)
+ * @returns {Promise<Object>} Map of table name to array of rows
+ */
+async function exportTables(tables = Object.keys(TABLE_COLUMNS)) {
+  const connection = await getConnection();
+  const result = {};
+  
+  for (const table of tables) {
+    if (!TABLE_COLUMNS[table]) {
+      throw new Error(`Unknown table: ${table}`);
+    }
     
-    // Check if settings already exist
-    let settingsExist = false;
+    let rows;
     
     switch (DB_ENGINE) {
       case 'POSTGRESQL':
-        const pgResult = await connection.query(
-          'SELECT COUNT(*) as count FROM settings WHERE userId = $1',
-          [systemUserId]
-        );
-        settingsExist = parseInt(pgResult.rows[0].count) > 0;
-        
-        if (settingsExist) {
-          await connection.query(
-            'UPDATE settings SET settings = $1, updatedAt = $2 WHERE userId = $3',
-            [settingsJson, now, systemUserId]
-          );
-        } else {
-          await connection.query(
-            'INSERT INTO settings (userId, settings, createdAt, updatedAt) VALUES ($1, $2, $3, $4)',
-            [systemUserId, settingsJson, now, now]
-          );
-        }
+        const pgResult = await connection.query(`SELECT * FROM ${table}`);
+        rows = pgResult.rows;
         break;
       
       case 'MONGODB':
-        const mongoSettings = await connection.collection('settings').findOne({ userId: systemUserId });
-        settingsExist = !!mongoSettings;
-        
-        if (settingsExist) {
-          await connection.collection('settings').updateOne(
-            { userId: systemUserId },
-            { $set: { settings, updatedAt: now } }
-          );
-        } else {
-          await connection.collection('settings').insertOne({
-            userId: systemUserId,
-            settings,
-            createdAt: now,
-            updatedAt: now
-          });
-        }
+        rows = await connection.collection(table).find({}).project({ _id: 0 }).toArray();
         break;
       
       case 'SQLITE':
       default:
-        settingsExist = await new Promise((resolve, reject) => {
-          connection.get(
-            'SELECT COUNT(*) as count FROM settings WHERE userId = ?',
-            [systemUserId],
-            (err, row) => {
-              if (err) {
-                reject(err);
-                return;
-              }
-              resolve(row && parseInt(row.count) > 0);
+        rows = await new Promise((resolve, reject) => {
+          connection.all(`SELECT * FROM ${table}`, [], (err, sqliteRows) => {
+            if (err) {
+              reject(err);
+              return;
             }
-          );
-        });
-        
-        if (settingsExist) {
-          await new Promise((resolve, reject) => {
-            connection.run(
-              'UPDATE settings SET settings = ?, updatedAt = ? WHERE userId = ?',
-              [settingsJson, now, systemUserId],
-              function(err) {
-                if (err) {
-                  reject(err);
-                  return;
-                }
-                resolve(this.changes > 0);
-              }
-            );
-          });
-        } else {
-          await new Promise((resolve, reject) => {
-            connection.run(
-              'INSERT INTO settings (userId, settings, createdAt, updatedAt) VALUES (?, ?, ?, ?)',
-              [systemUserId, settingsJson, now, now],
-              function(err) {
-                if (err) {
-                  reject(err);
-                  return;
-                }
-                resolve(true);
-              }
-            );
+            resolve(sqliteRows || []);
           });
-        }
-        break;
+        });
     }
     
-    logger.info('System settings updated');
-    return true;
-  } catch (error) {
-    logger.error('Error saving system settings:', error);
-    return false;
+    result[table] = rows.map(row => normalizeTableRow(table, row));
   }
+  
+  return result;
 }
 
 /**
- * Get system settings
- * @returns {Promise<Object|null>} Settings object or null if not found
+ * Replace the contents of the given tables with portable rows.
+ * SQL engines run the whole restore in a single transaction.
+ * @param {Object} tables - Map of table name to array of portable rows
+ * @returns {Promise<Object>} Map of table name to number of restored rows
  */
-async function getSystemSettings() {
-  try {
-    const connection = await getConnection();
-    const systemUserId = 'system';
-    let settings = null;
-    
-    switch (DB_ENGINE) {
-      case 'POSTGRESQL':
-        const pgResult = await connection.query(
-          'SELECT settings FROM settings WHERE userId = $1',
-          [systemUserId]
-        );
-        if (pgResult.rows.length > 0) {
-          settings = typeof pgResult.rows[0].settings === 'string' 
-            ? JSON.parse(pgResult.rows[0].settings)
-            : pgResult.rows[0].settings;
+async function restoreTables(tables) {
+  const connection = await getConnection();
+  const tableNames = Object.keys(tables);
+  const counts = {};
+  
+  for (const table of tableNames) {
+    if (!TABLE_COLUMNS[table]) {
+      throw new Error(`Unknown table: ${table}`);
+    }
+    counts[table] = tables[table].length;
+  }
+  
+  const insertSql = (table, placeholder) => {
+    const columns = TABLE_COLUMNS[table];
+    return `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map((_, i) => placeholder(i)).join(', ')})`;
+  };
+  
+  switch (DB_ENGINE) {
+    case 'POSTGRESQL':
+      const pgClient = await connection.connect();
+      try {
+        await pgClient.query('BEGIN');
+        
+        for (const table of tableNames) {
+          await pgClient.query(`DELETE FROM ${table}`);
+          const sql = insertSql(table, i => `$${i + 1}`);
+          
+          for (const row of tables[table]) {
+            await pgClient.query(sql, TABLE_COLUMNS[table].map(column => toSqlValue(table, column, row[column])));
+          }
         }
-        break;
-      
-      case 'MONGODB':
-        const mongoSettings = await connection.collection('settings').findOne({ userId: systemUserId });
-        if (mongoSettings) {
-          settings = mongoSettings.settings;
+        
+        await pgClient.query('COMMIT');
+      } catch (error) {
+        await pgClient.query('ROLLBACK');
+        logger.error('Error restoring tables, transaction rolled back:', error);
+        throw error;
+      } finally {
+        pgClient.release();
+      }
+      break;
+    
+    case 'MONGODB':
+      // Multi-document transactions need a replica set, so collections are replaced one by one
+      for (const table of tableNames) {
+        await connection.collection(table).deleteMany({});
+        
+        if (tables[table].length > 0) {
+          await connection.collection(table).insertMany(tables[table].map(row => ({ ...row })));
         }
-        break;
-      
-      case 'SQLITE':
-      default:
-        const sqliteSettings = await new Promise((resolve, reject) => {
-          connection.get(
-            'SELECT settings FROM settings WHERE userId = ?',
-            [systemUserId],
-            (err, row) => {
-              if (err) {
-                reject(err);
+      }
+      break;
+    
+    case 'SQLITE':
+    default:
+      await new Promise((resolve, reject) => {
+        let failure = null;
+        const track = (err) => {
+          if (err && !failure) {
+            failure = err;
+          }
+        };
+        
+        connection.serialize(() => {
+          connection.run('BEGIN TRANSACTION', track);
+          
+          for (const table of tableNames) {
+            connection.run(`DELETE FROM ${table}`, track);
+            const sql = insertSql(table, () => '?');
+            
+            for (const row of tables[table]) {
+              connection.run(sql, TABLE_COLUMNS[table].map(column => toSqlValue(table, column, row[column])), track);
+            }
+          }
+          
+          // Callbacks run in order, so every statement has reported back by now
+          connection.get('SELECT 1', [], () => {
+            connection.run(failure ? 'ROLLBACK' : 'COMMIT', (err) => {
+              if (failure || err) {
+                logger.error('Error restoring tables, transaction rolled back:', failure || err);
+                reject(failure || err);
                 return;
               }
-              resolve(row);
-            }
-          );
+              resolve();
+            });
+          });
         });
-        if (sqliteSettings) {
-          settings = typeof sqliteSettings.settings === 'string'
-            ? JSON.parse(sqliteSettings.settings)
-            : sqliteSettings.settings;
-        }
-        break;
-    }
-    
-    return settings || {
-      database: {
-        engine: 'SQLITE',
-        host: 'localhost',
-        port: '5432',
-        name: 'botdashboard',
-        user: 'postgres',
-        password: '********',
-        url: '',
-        ssl: false
-      },
-      security: {
-        sessionTimeout: 15,
-        maxLoginAttempts: 5,
-        rateLimitRequests: 100,
-        rateLimitWindow: 15,
-        enforceHttps: true,
-        csrfProtection: true
-      },
-      system: {
-        logLevel: 'info',
-        logRetention: 14,
-        backupEnabled: true,
-        backupFrequency: 'daily',
-        notificationsEnabled: false,
-        notificationEmail: ''
-      }
-    };
-  } catch (error) {
-    logger.error('Error getting system settings:', error);
-    return null;
+      });
   }
+  
+  logger.info(`Restored tables: ${tableNames.map(table => `${table} (${counts[table]})`).join(', ')}`);
+  return counts;
 }
 
 // Export functions
@@ -3174,6 +9346,8 @@ export {
   deleteBot,
   getActiveBots,
   updateBotStatus,
+  logBotRestart,
+  getBotRestarts,
   
   // Stats and interactions
   createTicket,
@@ -3194,8 +9368,134 @@ export {
   getRecentActivity,
   updateTicket,
   getTickets,
+  countTickets,
+  getTicketById,
+  deleteTicket,
+  getActiveTicket,
+  getTicketsWithoutSla,
+  getTicketsBreachingSla,
+  getSlaTickets,
+  createTicketMessage,
+  getTicketMessages,
+  recordConversationMessage,
+  getConversations,
+  countConversations,
+  getConversationById,
+  updateConversation,
+  wakeSnoozedConversations,
+  getActiveHandoff,
+  releaseIdleHandoffs,
+  getConversationMessages,
+  getLeads,
+  countLeads,
+  getInteractions,
+  countInteractions,
   getBotLogs,
   updateBotConfig,
   getDashboardSummary,
-  getDailyActiveUsers
+  getDailyActiveUsers,
+  
+  // Auto-reply rules
+  getAutoReplyRules,
+  getAutoReplyRuleById,
+  createAutoReplyRule,
+  updateAutoReplyRule,
+  deleteAutoReplyRule,
+  
+  // SLA policies
+  getSlaPolicies,
+  getSlaPolicyById,
+  createSlaPolicy,
+  updateSlaPolicy,
+  deleteSlaPolicy,
+  
+  // Roles
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+  countUsersWithRole,
+  
+  // Conversation states
+  getConversationStateId,
+  getConversationState,
+  saveConversationState,
+  deleteConversationState,
+  deleteExpiredConversationStates,
+  
+  // Signing keys
+  getSigningKeys,
+  createSigningKey,
+  retireSigningKeys,
+  updateSigningKeySecret,
+  deleteExpiredSigningKeys,
+  
+  // User identities
+  getUserIdentity,
+  createUserIdentity,
+  touchUserIdentity,
+  deleteUserIdentities,
+  
+  // Recovery codes
+  replaceRecoveryCodes,
+  countRecoveryCodes,
+  useRecoveryCode,
+  deleteRecoveryCodes,
+  
+  // WebAuthn credentials
+  createWebAuthnCredential,
+  getWebAuthnCredential,
+  getUserWebAuthnCredentials,
+  updateWebAuthnCredentialUsage,
+  deleteWebAuthnCredentials,
+  createAuthChallenge,
+  consumeAuthChallenge,
+  
+  // Account tokens
+  createAccountToken,
+  getAccountToken,
+  useAccountTokens,
+  deleteUserAccountTokens,
+  
+  // Sessions
+  createSession,
+  getSessionById,
+  getUserSessions,
+  rotateSessionToken,
+  revokeSession,
+  revokeUserSessions,
+  touchSession,
+  deleteExpiredSessions,
+  
+  // API tokens
+  createApiToken,
+  getApiTokenById,
+  getApiTokenByHash,
+  getUserApiTokens,
+  revokeApiToken,
+  revokeUserApiTokens,
+  touchApiToken,
+  
+  // Login attempts
+  getLoginAttempts,
+  saveLoginAttempts,
+  clearLoginAttempts,
+  
+  // Application logs
+  APP_LOG_LEVELS,
+  insertAppLogs,
+  getAppLogs,
+  countAppLogs,
+  deleteAppLogsBefore,
+  
+  // Audit log
+  insertAuditEntry,
+  getAuditEntries,
+  countAuditEntries,
+  getLastAuditEntry,
+  
+  // Backup and restore
+  TABLE_COLUMNS,
+  exportTables,
+  restoreTables
 };
\ No newline at end of file
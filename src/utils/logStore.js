@@ -0,0 +1,168 @@
+/**
+ * Log Store
+ *
+ * This module persists the application's log records to the database so they
+ * can be queried through the /logs endpoint. A winston transport queues every
+ * record and writes them in batches; a periodic job deletes records older than
+ * the log retention configured in the system settings.
+ */
+
+import winston from 'winston';
+import * as dbUtils from './dbUtils.js';
+import logger from './logging.js';
+
+// Where a record comes from
+const APP_LOG_SOURCES = ['server', 'api', 'supervisor', 'bot'];
+
+// How often queued records are written, and how many per write
+const FLUSH_INTERVAL = 2 * 1000;
+const FLUSH_BATCH_SIZE = 50;
+
+// Records kept while the database cannot keep up; older ones are dropped
+const MAX_QUEUED_RECORDS = 5000;
+
+// How often records past the retention period are deleted
+const RETENTION_INTERVAL = 60 * 60 * 1000;
+
+// Used when system.logRetention is missing or invalid
+const DEFAULT_LOG_RETENTION_DAYS = 14;
+
+// Record fields stored in their own columns; anything else goes to meta
+const RECORD_FIELDS = ['level', 'message', 'timestamp', 'source', 'botId', 'platform', 'userId', 'requestId'];
+
+let queue = [];
+let flushing = null;
+let flushTimer = null;
+let retentionTimer = null;
+let transport = null;
+
+/**
+ * Winston transport that queues records for the log store
+ */
+class LogStoreTransport extends winston.Transport {
+  log(info, callback) {
+    const meta = {};
+
+    for (const [key, value] of Object.entries(info)) {
+      if (!RECORD_FIELDS.includes(key) && value !== undefined) {
+        meta[key] = value;
+      }
+    }
+
+    queue.push({
+      timestamp: new Date().toISOString(),
+      level: info.level,
+      // Records logged while handling a request come from the API
+      source: APP_LOG_SOURCES.includes(info.source) ? info.source : (info.requestId ? 'api' : 'server'),
+      message: typeof info.message === 'string' ? info.message : JSON.stringify(info.message),
+      botId: info.botId,
+      platform: info.platform,
+      userId: info.userId,
+      requestId: info.requestId,
+      meta: Object.keys(meta).length > 0 ? meta : null
+    });
+
+    if (queue.length > MAX_QUEUED_RECORDS) {
+      queue.splice(0, queue.length - MAX_QUEUED_RECORDS);
+    }
+
+    callback();
+  }
+}
+
+/**
+ * Write all queued records to the database
+ * @returns {Promise<void>}
+ */
+async function flushLogs() {
+  // Only one flush at a time, so records are stored in order
+  if (flushing) {
+    return flushing;
+  }
+
+  flushing = (async () => {
+    while (queue.length > 0) {
+      const batch = queue.splice(0, FLUSH_BATCH_SIZE);
+
+      // Failed batches are dropped rather than retried, so a database outage
+      // cannot grow the queue with its own error records
+      if (!await dbUtils.insertAppLogs(batch)) {
+        break;
+      }
+    }
+  })();
+
+  try {
+    await flushing;
+  } finally {
+    flushing = null;
+  }
+}
+
+/**
+ * Delete records older than the log retention in the system settings
+ * @returns {Promise<number>} Number of deleted records
+ */
+async function purgeExpiredLogs() {
+  const settings = await dbUtils.getSystemSettings();
+  const days = parseInt(settings?.system?.logRetention);
+  const retention = days > 0 ? days : DEFAULT_LOG_RETENTION_DAYS;
+  const cutoff = new Date(Date.now() - retention * 24 * 60 * 60 * 1000);
+
+  const deleted = await dbUtils.deleteAppLogsBefore(cutoff);
+
+  if (deleted > 0) {
+    logger.info(`Deleted ${deleted} log records older than ${retention} days`);
+  }
+
+  return deleted;
+}
+
+/**
+ * Start storing log records in the database. Call once the database is initialized.
+ */
+function startLogStore() {
+  if (transport) {
+    return;
+  }
+
+  transport = new LogStoreTransport();
+  logger.add(transport);
+
+  flushTimer = setInterval(() => {
+    flushLogs().catch(err => logger.error('Error storing log records:', err));
+  }, FLUSH_INTERVAL);
+  flushTimer.unref();
+
+  retentionTimer = setInterval(() => {
+    purgeExpiredLogs().catch(err => logger.error('Error purging expired logs:', err));
+  }, RETENTION_INTERVAL);
+  retentionTimer.unref();
+
+  purgeExpiredLogs().catch(err => logger.error('Error purging expired logs:', err));
+}
+
+/**
+ * Stop storing log records and write the ones still queued
+ * @returns {Promise<void>}
+ */
+async function stopLogStore() {
+  if (!transport) {
+    return;
+  }
+
+  clearInterval(flushTimer);
+  clearInterval(retentionTimer);
+  logger.remove(transport);
+  transport = null;
+
+  await flushLogs();
+}
+
+export {
+  APP_LOG_SOURCES,
+  startLogStore,
+  stopLogStore,
+  flushLogs,
+  purgeExpiredLogs
+};
@@ -2,12 +2,15 @@
  * Logging Utility
  * 
  * This module provides a centralized logging utility using Winston.
- * It configures console and file transports for the logger.
+ * It configures console and file transports for the logger. Log files hold
+ * one JSON record per line; records carry the fields of the current log
+ * context (request ID, user ID) along with any botId/platform metadata.
  */
 
 import winston from 'winston';
 import 'winston-daily-rotate-file';
 import fs from 'fs';
+import { AsyncLocalStorage } from 'async_hooks';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
@@ -21,7 +24,25 @@ if (!fs.existsSync(logsDir)) {
   fs.mkdirSync(logsDir, { recursive: true });
 }
 
-// Define the log format
+// Fields shared by every record logged while handling a request
+const logContext = new AsyncLocalStorage();
+
+// Add the fields of the current log context to a record, without overriding its own
+const addLogContext = winston.format((info) => {
+  const context = logContext.getStore();
+  
+  if (context) {
+    for (const [key, value] of Object.entries(context)) {
+      if (info[key] === undefined && value !== undefined) {
+        info[key] = value;
+      }
+    }
+  }
+  
+  return info;
+});
+
+// Define the console log format
 const logFormat = winston.format.combine(
   winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
   winston.format.printf(
@@ -29,6 +50,12 @@ const logFormat = winston.format.combine(
   )
 );
 
+// Define the file log format, one JSON record per line
+const jsonFormat = winston.format.combine(
+  winston.format.timestamp(),
+  winston.format.json()
+);
+
 // Create file transports for rotating log files
 const fileErrorTransport = new winston.transports.DailyRotateFile({
   filename: path.join(logsDir, 'error-%DATE%.log'),
@@ -36,7 +63,7 @@ const fileErrorTransport = new winston.transports.DailyRotateFile({
   level: 'error',
   maxSize: '20m',
   maxFiles: '14d',
-  format: logFormat,
+  format: jsonFormat,
 });
 
 const fileInfoTransport = new winston.transports.DailyRotateFile({
@@ -44,7 +71,7 @@ const fileInfoTransport = new winston.transports.DailyRotateFile({
   datePattern: 'YYYY-MM-DD',
   maxSize: '20m',
   maxFiles: '14d',
-  format: logFormat,
+  format: jsonFormat,
 });
 
 // Create console transport
@@ -58,6 +85,7 @@ const consoleTransport = new winston.transports.Console({
 // Create the logger
 const logger = winston.createLogger({
   level: process.env.LOG_LEVEL || 'info',
+  format: addLogContext(),
   transports: [
     fileErrorTransport,
     fileInfoTransport,
@@ -71,4 +99,41 @@ const logger = winston.createLogger({
   ],
 });
 
+/**
+ * Run a function with log context fields added to every record it logs
+ * @param {Object} context - Context fields (e.g. requestId, userId)
+ * @param {Function} fn - Function to run
+ * @returns {*} Return value of the function
+ */
+function runWithLogContext(context, fn) {
+  return logContext.run({ ...context }, fn);
+}
+
+/**
+ * Add fields to the current log context, e.g. the user once a request is authenticated
+ * @param {Object} fields - Context fields
+ */
+function setLogContext(fields) {
+  const context = logContext.getStore();
+  
+  if (context) {
+    Object.assign(context, fields);
+  }
+}
+
+/**
+ * Run a function outside of the current log context, e.g. to start work that outlives a request
+ * @param {Function} fn - Function to run
+ * @returns {*} Return value of the function
+ */
+function runWithoutLogContext(fn) {
+  return logContext.exit(fn);
+}
+
+export {
+  runWithLogContext,
+  runWithoutLogContext,
+  setLogContext
+};
+
 export default logger;
\ No newline at end of file
@@ -0,0 +1,122 @@
+/**
+ * Mailer
+ *
+ * This module sends the emails of the dashboard, such as password reset links
+ * and invitations, through the transport selected with MAIL_TRANSPORT: 'smtp'
+ * delivers through an SMTP server, 'file' writes each message to an .eml file
+ * and 'console' logs it, which suits local testing. Other transports can be
+ * plugged in with registerMailTransport.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import logger from './logging.js';
+
+// Transports by name, each a function creating a sender from the mail configuration
+const transports = new Map();
+
+let activeTransport = null;
+
+/**
+ * Get the mail configuration
+ * @returns {Object} Transport name, sender address and the settings of the built-in transports
+ */
+function getMailConfig() {
+  return {
+    transport: (process.env.MAIL_TRANSPORT || 'console').toLowerCase(),
+    from: process.env.MAIL_FROM || 'Bot Management Dashboard <no-reply@localhost>',
+    smtp: {
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER || '',
+      password: process.env.SMTP_PASSWORD || ''
+    },
+    fileDirectory: process.env.MAIL_FILE_DIR || path.join(process.cwd(), 'data', 'mail')
+  };
+}
+
+/**
+ * Register a mail transport, selectable with MAIL_TRANSPORT
+ * @param {string} name - Transport name
+ * @param {Function} createSender - Called with the mail configuration, returns an
+ *   async function sending a message ({ from, to, subject, text, html })
+ */
+function registerMailTransport(name, createSender) {
+  transports.set(name.toLowerCase(), createSender);
+  activeTransport = null;
+}
+
+registerMailTransport('smtp', (config) => {
+  const transporter = nodemailer.createTransport({
+    host: config.smtp.host,
+    port: config.smtp.port,
+    secure: config.smtp.secure,
+    auth: config.smtp.user ? { user: config.smtp.user, pass: config.smtp.password } : undefined
+  });
+
+  return async (message) => {
+    const info = await transporter.sendMail(message);
+    return { messageId: info.messageId };
+  };
+});
+
+registerMailTransport('file', (config) => {
+  // Builds the complete message, as an SMTP server would receive it
+  const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+  return async (message) => {
+    const info = await transporter.sendMail(message);
+    const file = path.join(config.fileDirectory, `${new Date().toISOString().replace(/[:.]/g, '-')}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`);
+
+    await fs.promises.mkdir(config.fileDirectory, { recursive: true });
+    await fs.promises.writeFile(file, info.message);
+
+    logger.info(`Email to ${message.to} written to ${file}`);
+    return { messageId: info.messageId, file };
+  };
+});
+
+registerMailTransport('console', () => async (message) => {
+  logger.info(`Email to ${message.to}: ${message.subject}\n${message.text}`);
+  return { messageId: null };
+});
+
+// Create the sender of the configured transport on first use
+function getSender() {
+  const config = getMailConfig();
+
+  if (!activeTransport || activeTransport.name !== config.transport) {
+    const createSender = transports.get(config.transport);
+
+    if (!createSender) {
+      throw new Error(`Unknown mail transport: ${config.transport}`);
+    }
+
+    activeTransport = { name: config.transport, send: createSender(config) };
+  }
+
+  return activeTransport.send;
+}
+
+/**
+ * Send an email
+ * @param {Object} message - Message to send
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject
+ * @param {string} message.text - Plain text body
+ * @param {string} message.html - HTML body (optional)
+ * @returns {Promise<Object>} Result of the transport, e.g. the message ID
+ * @throws {Error} If the transport fails to send the message
+ */
+async function sendMail({ to, subject, text, html }) {
+  const send = getSender();
+  return await send({ from: getMailConfig().from, to, subject, text, html });
+}
+
+export {
+  getMailConfig,
+  registerMailTransport,
+  sendMail
+};
@@ -0,0 +1,43 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { encryptBotConfig, decryptBotConfig, needsEncryption } from '../src/utils/botSecrets.js';
+
+const CONFIG = { token: '123456:bot-token', guildId: 'guild-1' };
+
+beforeEach(() => {
+  process.env.NODE_ENV = 'development';
+  delete process.env.BOT_SECRETS_MASTER_KEY;
+  delete process.env.BOT_SECRETS_PREVIOUS_MASTER_KEY;
+  delete process.env.JWT_SECRET;
+});
+
+test('stored credentials do not depend on JWT_SECRET', () => {
+  process.env.BOT_SECRETS_MASTER_KEY = 'master-key';
+  process.env.JWT_SECRET = 'jwt-secret';
+  const stored = encryptBotConfig(CONFIG);
+
+  process.env.JWT_SECRET = 'rotated-jwt-secret';
+
+  assert.deepEqual(decryptBotConfig(stored), CONFIG);
+  assert.equal(needsEncryption(stored), false);
+});
+
+test('credentials stored under JWT_SECRET are still read and marked for re-encryption', () => {
+  // Encrypted while the master key defaulted to JWT_SECRET
+  process.env.BOT_SECRETS_MASTER_KEY = 'jwt-secret';
+  const stored = encryptBotConfig(CONFIG);
+
+  process.env.BOT_SECRETS_MASTER_KEY = 'master-key';
+  process.env.JWT_SECRET = 'jwt-secret';
+
+  assert.deepEqual(decryptBotConfig(stored), CONFIG);
+  assert.equal(needsEncryption(stored), true);
+});
+
+test('a development key is used outside production only', () => {
+  const stored = encryptBotConfig(CONFIG);
+  assert.deepEqual(decryptBotConfig(stored), CONFIG);
+
+  process.env.NODE_ENV = 'production';
+  assert.throws(() => encryptBotConfig(CONFIG), /BOT_SECRETS_MASTER_KEY is not configured/);
+});
@@ -0,0 +1,27 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers/server.js';
+
+let server;
+
+before(async () => {
+  server = await startServer({ JWT_SECRET: '', REFRESH_TOKEN_SECRET: '', BOT_SECRETS_MASTER_KEY: '' });
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test('the development server starts without secrets and still stores bot credentials', async () => {
+  const token = await server.login();
+
+  const created = await server.api('POST', '/bots', {
+    token,
+    body: { name: 'Development bot', platform: 'Telegram', type: 'support', config: { token: '123456:development-token' } }
+  });
+  assert.equal(created.status, 201);
+
+  const revealed = await server.api('POST', `/bots/${created.data.bot.id}/secrets/reveal`, { token });
+  assert.equal(revealed.status, 200);
+  assert.equal(revealed.data.secrets.token, '123456:development-token');
+});
@@ -0,0 +1,45 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { sendText } from '../src/bots/graphApi.js';
+
+// Stands in for the Graph API, recording the messages sent
+const sentMessages = [];
+const graphApi = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    sentMessages.push(JSON.parse(body));
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ recipient_id: 'user', message_id: `mid.${sentMessages.length}` }));
+  });
+});
+
+before(async () => {
+  await new Promise(resolve => graphApi.listen(0, '127.0.0.1', resolve));
+  process.env.GRAPH_API_URL = `http://127.0.0.1:${graphApi.address().port}`;
+});
+
+after(() => {
+  graphApi.close();
+});
+
+test('quick reply titles are shortened to the 20 characters the Send API accepts', async () => {
+  await sendText('page-token', 'user-1', 'Pick a question', [
+    { content_type: 'text', title: 'Shipping', payload: 'FAQ_1' },
+    { content_type: 'text', title: 'Exactly twenty chars', payload: 'FAQ_2' },
+    { content_type: 'text', title: 'How do I change my delivery address?', payload: 'FAQ_3' },
+    { content_type: 'text', title: '📦 Where is my order, and when will it arrive?', payload: 'FAQ_4' }
+  ]);
+
+  const quickReplies = sentMessages.at(-1).message.quick_replies;
+
+  assert.deepEqual(quickReplies.map(quickReply => quickReply.title), [
+    'Shipping',
+    'Exactly twenty chars',
+    'How do I change my…',
+    '📦 Where is my order…'
+  ]);
+  assert.deepEqual(quickReplies.map(quickReply => quickReply.payload), ['FAQ_1', 'FAQ_2', 'FAQ_3', 'FAQ_4']);
+  assert.ok(quickReplies.every(quickReply => [...quickReply.title].length <= 20));
+});
@@ -0,0 +1,185 @@
+/**
+ * Test Server
+ *
+ * Starts the API server in a child process, on a free port and with a fresh
+ * SQLite database in a temporary directory, and talks to it over HTTP. Emails
+ * are written to files in the same directory, so tests can follow the links
+ * they contain.
+ */
+import { spawn } from 'child_process';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const SERVER_SCRIPT = fileURLToPath(new URL('../../src/server.js', import.meta.url));
+
+// Seeded by the database on first start
+const ADMIN_CREDENTIALS = { email: 'admin@redwan.work', password: 'Password123' };
+
+const STARTUP_TIMEOUT = 30 * 1000;
+const SHUTDOWN_TIMEOUT = 10 * 1000;
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Find a port nothing listens on
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Poll a condition until it holds
+ * @param {Function} condition - Returns, or resolves to, a truthy value once met
+ * @param {Object} options - timeout and interval, in milliseconds
+ * @returns {Promise<*>} Value of the condition
+ */
+async function waitFor(condition, { timeout = 10 * 1000, interval = 100 } = {}) {
+  const deadline = Date.now() + timeout;
+
+  while (Date.now() < deadline) {
+    const value = await condition();
+
+    if (value) {
+      return value;
+    }
+
+    await wait(interval);
+  }
+
+  throw new Error(`Condition not met within ${timeout} ms`);
+}
+
+/**
+ * Start the server
+ * @param {Object} env - Environment variables added to the test defaults
+ * @returns {Promise<Object>} Server with api(), login(), readMail() and stop()
+ */
+async function startServer(env = {}) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'bot-dashboard-test-'));
+  const mailDirectory = path.join(directory, 'mail');
+  const port = await getFreePort();
+  const baseUrl = `http://127.0.0.1:${port}`;
+  let output = '';
+
+  const child = spawn(process.execPath, [SERVER_SCRIPT], {
+    cwd: directory,
+    env: {
+      ...process.env,
+      NODE_ENV: 'development',
+      PORT: String(port),
+      JWT_SECRET: 'test-jwt-secret',
+      REFRESH_TOKEN_SECRET: 'test-refresh-secret',
+      LOG_LEVEL: 'warn',
+      MAIL_TRANSPORT: 'file',
+      MAIL_FILE_DIR: mailDirectory,
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  child.stdout.on('data', chunk => { output += chunk; });
+  child.stderr.on('data', chunk => { output += chunk; });
+
+  const exited = new Promise(resolve => child.once('exit', resolve));
+
+  /**
+   * Call the API
+   * @param {string} method - HTTP method
+   * @param {string} route - Path under /api, or an absolute path with raw requests
+   * @param {Object} options - token, body, headers, cookies, and raw to send the body as is to route
+   * @returns {Promise<Object>} Status, parsed JSON or text body, headers and the cookies set
+   */
+  const api = async (method, route, { token, body, headers = {}, cookies = {}, raw = false } = {}) => {
+    const cookieHeader = Object.entries(cookies).map(([name, value]) => `${name}=${value}`).join('; ');
+
+    const response = await fetch(raw ? `${baseUrl}${route}` : `${baseUrl}/api${route}`, {
+      method,
+      headers: {
+        ...(body !== undefined && !raw ? { 'Content-Type': 'application/json' } : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...(cookieHeader ? { Cookie: cookieHeader } : {}),
+        ...headers
+      },
+      body: body === undefined ? undefined : raw ? body : JSON.stringify(body)
+    });
+    const isJson = (response.headers.get('content-type') || '').includes('application/json');
+
+    return {
+      status: response.status,
+      data: isJson ? await response.json() : await response.text(),
+      headers: response.headers,
+      cookies: Object.fromEntries(response.headers.getSetCookie().map(cookie => {
+        const [pair] = cookie.split(';');
+        const separator = pair.indexOf('=');
+        return [pair.slice(0, separator), decodeURIComponent(pair.slice(separator + 1))];
+      }))
+    };
+  };
+
+  // Sign in and get an access token
+  const login = async ({ email, password } = ADMIN_CREDENTIALS) => {
+    const response = await api('POST', '/auth/login', { body: { email, password } });
+
+    if (!response.data.accessToken) {
+      throw new Error(`Sign-in of ${email} failed with status ${response.status}`);
+    }
+
+    return response.data.accessToken;
+  };
+
+  // Emails sent to an address, oldest first, with quoted-printable soft line breaks undone
+  const readMail = (to) => {
+    if (!fs.existsSync(mailDirectory)) {
+      return [];
+    }
+
+    return fs.readdirSync(mailDirectory).sort()
+      .map(file => fs.readFileSync(path.join(mailDirectory, file), 'utf8').replace(/=\r?\n/g, '').replace(/=3D/g, '='))
+      .filter(mail => mail.includes(`To: ${to}`));
+  };
+
+  // Stop the server and its bots, then remove its files
+  const stop = async () => {
+    if (child.exitCode === null) {
+      child.kill('SIGTERM');
+
+      const timer = setTimeout(() => child.kill('SIGKILL'), SHUTDOWN_TIMEOUT);
+      await exited;
+      clearTimeout(timer);
+    }
+
+    fs.rmSync(directory, { recursive: true, force: true });
+  };
+
+  try {
+    await waitFor(async () => {
+      if (child.exitCode !== null) {
+        throw new Error(`Server exited with code ${child.exitCode}:\n${output}`);
+      }
+
+      try {
+        return (await fetch(`${baseUrl}/health`)).ok;
+      } catch (error) {
+        return false;
+      }
+    }, { timeout: STARTUP_TIMEOUT, interval: 250 });
+  } catch (error) {
+    await stop();
+    throw error;
+  }
+
+  return { baseUrl, api, login, readMail, stop, getOutput: () => output };
+}
+
+export {
+  startServer,
+  waitFor
+};
@@ -0,0 +1,96 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import http from 'http';
+import { startServer, waitFor } from './helpers/server.js';
+
+const BOT_CONFIG = {
+  accessToken: 'test-page-access-token',
+  verifyToken: 'test-verify-token',
+  appSecret: 'test-app-secret'
+};
+
+// Stands in for the Graph API, recording the messages bots send
+const sentMessages = [];
+const graphApi = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const url = new URL(req.url, 'http://graph.test');
+    sentMessages.push({ path: url.pathname, accessToken: url.searchParams.get('access_token'), body: JSON.parse(body || '{}') });
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ recipient_id: 'user', message_id: `mid.${sentMessages.length}` }));
+  });
+});
+
+const sign = (body, secret) => `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+let server;
+let token;
+let botId;
+
+before(async () => {
+  await new Promise(resolve => graphApi.listen(0, '127.0.0.1', resolve));
+  server = await startServer({ GRAPH_API_URL: `http://127.0.0.1:${graphApi.address().port}` });
+  token = await server.login();
+
+  const created = await server.api('POST', '/bots', {
+    token,
+    body: { name: 'Support page', platform: 'Messenger', type: 'support', config: BOT_CONFIG }
+  });
+  assert.equal(created.status, 201);
+  botId = created.data.bot.id;
+
+  const started = await server.api('POST', `/bots/${botId}/start`, { token });
+  assert.equal(started.status, 200);
+
+  await waitFor(async () => (await server.api('GET', `/bots/${botId}/health`, { token })).data.status === 'online', { timeout: 20 * 1000 });
+});
+
+after(async () => {
+  await server?.stop();
+  graphApi.close();
+});
+
+test('a signed Messenger delivery reaches the bot, which answers through the Graph API', async () => {
+  const body = JSON.stringify({
+    object: 'page',
+    entry: [{
+      id: 'page-1',
+      time: Date.now(),
+      messaging: [{
+        sender: { id: 'user-42' },
+        recipient: { id: 'page-1' },
+        timestamp: Date.now(),
+        message: { mid: 'mid.incoming', text: 'hello' }
+      }]
+    }]
+  });
+
+  const delivery = await server.api('POST', `/webhooks/messenger/${botId}`, {
+    raw: true,
+    body,
+    headers: { 'Content-Type': 'application/json', 'X-Hub-Signature-256': sign(body, BOT_CONFIG.appSecret) }
+  });
+
+  assert.equal(delivery.status, 200);
+  assert.equal(delivery.data, 'EVENT_RECEIVED');
+
+  const reply = await waitFor(() => sentMessages.find(message => message.body.recipient?.id === 'user-42'));
+
+  assert.equal(reply.path, '/me/messages');
+  assert.equal(reply.accessToken, BOT_CONFIG.accessToken);
+  assert.ok(reply.body.message.text);
+});
+
+test('a delivery with an invalid signature is refused', async () => {
+  const body = JSON.stringify({ object: 'page', entry: [] });
+
+  const delivery = await server.api('POST', `/webhooks/messenger/${botId}`, {
+    raw: true,
+    body,
+    headers: { 'Content-Type': 'application/json', 'X-Hub-Signature-256': sign(body, 'another-secret') }
+  });
+
+  assert.equal(delivery.status, 403);
+});
@@ -0,0 +1,105 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers/server.js';
+
+const PASSWORD = 'Password123!';
+
+let server;
+let adminToken;
+const bots = {};
+
+// Create a user with a role and sign them in
+const createUser = async (username, role) => {
+  const created = await server.api('POST', '/users', {
+    token: adminToken,
+    body: { username, email: `${username}@example.com`, password: PASSWORD, role }
+  });
+  assert.equal(created.status, 201);
+
+  return { id: created.data.user.id, token: await server.login({ email: `${username}@example.com`, password: PASSWORD }) };
+};
+
+const createRole = async (name, grants) => {
+  const created = await server.api('POST', '/roles', { token: adminToken, body: { name, grants } });
+  assert.equal(created.status, 201);
+};
+
+before(async () => {
+  server = await startServer();
+  adminToken = await server.login();
+
+  for (const name of ['Sales', 'Support']) {
+    const created = await server.api('POST', '/bots', {
+      token: adminToken,
+      body: { name, platform: 'Telegram', type: 'support', config: { token: `123456:${name.toLowerCase()}-token` } }
+    });
+    assert.equal(created.status, 201);
+    bots[name] = created.data.bot.id;
+  }
+
+  await createRole('Viewer', [{ permission: 'bots.view' }, { permission: 'tickets.view' }]);
+  await createRole('Sales operator', [
+    { permission: 'bots.view', bots: [bots.Sales] },
+    { permission: 'bots.secrets', bots: [bots.Sales] }
+  ]);
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test('a viewer cannot use management routes', async () => {
+  const viewer = await createUser('viewer', 'Viewer');
+
+  assert.equal((await server.api('GET', '/bots', { token: viewer.token })).status, 200);
+  assert.equal((await server.api('POST', '/bots', {
+    token: viewer.token,
+    body: { name: 'New bot', platform: 'Telegram', type: 'support', config: { token: '123456:new-token' } }
+  })).status, 403);
+  assert.equal((await server.api('POST', `/bots/${bots.Sales}/start`, { token: viewer.token })).status, 403);
+  assert.equal((await server.api('DELETE', `/bots/${bots.Sales}`, { token: viewer.token })).status, 403);
+  assert.equal((await server.api('GET', '/users', { token: viewer.token })).status, 403);
+});
+
+test('a manager cannot use routes their role does not grant', async () => {
+  const manager = await createUser('manager', 'Manager');
+
+  assert.equal((await server.api('GET', '/settings', { token: manager.token })).status, 200);
+  assert.equal((await server.api('PUT', '/settings', { token: manager.token, body: {} })).status, 403);
+  assert.equal((await server.api('POST', '/roles', { token: manager.token, body: { name: 'Mine', grants: [] } })).status, 403);
+  assert.equal((await server.api('POST', `/bots/${bots.Sales}/secrets/reveal`, { token: manager.token })).status, 403);
+  assert.equal((await server.api('GET', '/audit', { token: manager.token })).status, 403);
+});
+
+test('a scoped grant only gives access to its own bot', async () => {
+  const operator = await createUser('operator', 'Sales operator');
+
+  const listed = await server.api('GET', '/bots', { token: operator.token });
+  assert.equal(listed.status, 200);
+  assert.deepEqual(listed.data.bots.map(bot => bot.id), [bots.Sales]);
+
+  assert.equal((await server.api('POST', `/bots/${bots.Sales}/secrets/reveal`, { token: operator.token })).status, 200);
+
+  // Bots outside the grant are reported as missing
+  assert.equal((await server.api('POST', `/bots/${bots.Support}/secrets/reveal`, { token: operator.token })).status, 404);
+  assert.equal((await server.api('GET', `/bots/${bots.Support}/health`, { token: operator.token })).status, 404);
+});
+
+test('a demotion applies to access tokens already issued', async () => {
+  const promoted = await createUser('promoted', 'Manager');
+  assert.equal((await server.api('GET', '/users', { token: promoted.token })).status, 200);
+
+  const demoted = await server.api('PATCH', `/users/${promoted.id}`, { token: adminToken, body: { role: 'Viewer' } });
+  assert.equal(demoted.status, 200);
+
+  assert.equal((await server.api('GET', '/users', { token: promoted.token })).status, 403);
+});
+
+test('a suspension applies to access tokens already issued', async () => {
+  const suspended = await createUser('suspended', 'Manager');
+
+  const changed = await server.api('PATCH', `/users/${suspended.id}/status`, { token: adminToken, body: { status: 'suspended' } });
+  assert.equal(changed.status, 200);
+
+  assert.equal((await server.api('GET', '/bots', { token: suspended.token })).status, 403);
+});
@@ -0,0 +1,55 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, waitFor } from './helpers/server.js';
+
+const USER = { username: 'profile-user', email: 'profile-user@example.com', password: 'Original123!', role: 'Manager' };
+
+// Token of the latest reset link sent to an address
+const latestResetToken = (server, to) => {
+  const mail = server.readMail(to).filter(content => content.includes('reset-password')).pop();
+  return mail && decodeURIComponent(mail.match(/reset-password\?token=([^\s"<&]+)/)[1]);
+};
+
+let server;
+
+before(async () => {
+  server = await startServer();
+  const token = await server.login();
+
+  const created = await server.api('POST', '/users', { token, body: USER });
+  assert.equal(created.status, 201);
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test('a reset link sent before a profile password change is rejected', async () => {
+  const forgot = await server.api('POST', '/auth/forgot-password', { body: { email: USER.email } });
+  assert.equal(forgot.status, 200);
+
+  const resetToken = await waitFor(() => latestResetToken(server, USER.email));
+
+  const token = await server.login(USER);
+  const changed = await server.api('PUT', '/profile', {
+    token,
+    body: { currentPassword: USER.password, newPassword: 'Changed123!' }
+  });
+  assert.equal(changed.status, 200);
+
+  const reset = await server.api('POST', '/auth/reset-password', { body: { token: resetToken, password: 'Another123!' } });
+  assert.equal(reset.status, 400);
+
+  // The password set on the profile still applies
+  await server.login({ email: USER.email, password: 'Changed123!' });
+});
+
+test('a profile password change with a wrong current password is refused', async () => {
+  const token = await server.login({ email: USER.email, password: 'Changed123!' });
+  const changed = await server.api('PUT', '/profile', {
+    token,
+    body: { currentPassword: 'Wrong12345!', newPassword: 'Another123!' }
+  });
+
+  assert.equal(changed.status, 400);
+});
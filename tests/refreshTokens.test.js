@@ -0,0 +1,74 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers/server.js';
+
+// Just over REFRESH_REUSE_GRACE in src/api/authService.js
+const AFTER_REUSE_GRACE = 11 * 1000;
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+// Sign in as the admin and keep the refresh token and CSRF cookies
+const signIn = async () => {
+  const response = await server.api('POST', '/auth/login', { body: { email: 'admin@redwan.work', password: 'Password123' } });
+  assert.equal(response.status, 200);
+  return response.cookies;
+};
+
+// Refresh with a refresh token, echoing the CSRF cookie as the dashboard does
+const refresh = (cookies, refreshToken = cookies.refreshToken) => server.api('POST', '/auth/refresh-token', {
+  cookies: { refreshToken, 'XSRF-TOKEN': cookies['XSRF-TOKEN'] },
+  headers: { 'X-XSRF-Token': cookies['XSRF-TOKEN'] }
+});
+
+test('every refresh replaces the refresh token', async () => {
+  const cookies = await signIn();
+
+  const first = await refresh(cookies);
+  assert.equal(first.status, 200);
+  assert.ok(first.data.accessToken);
+  assert.ok(first.cookies.refreshToken);
+  assert.notEqual(first.cookies.refreshToken, cookies.refreshToken);
+
+  const second = await refresh(cookies, first.cookies.refreshToken);
+  assert.equal(second.status, 200);
+  assert.notEqual(second.cookies.refreshToken, first.cookies.refreshToken);
+});
+
+test('a replaced token reused within the grace period keeps the session', async () => {
+  const cookies = await signIn();
+
+  const rotated = await refresh(cookies);
+  assert.equal(rotated.status, 200);
+
+  // e.g. a second tab refreshing with the token it read before the first tab replaced it
+  const concurrent = await refresh(cookies);
+  assert.equal(concurrent.status, 200);
+  assert.ok(concurrent.data.accessToken);
+  assert.equal(concurrent.cookies.refreshToken, undefined);
+
+  assert.equal((await refresh(cookies, rotated.cookies.refreshToken)).status, 200);
+});
+
+test('a replaced token reused after the grace period revokes the session', async () => {
+  const cookies = await signIn();
+
+  const rotated = await refresh(cookies);
+  assert.equal(rotated.status, 200);
+
+  await wait(AFTER_REUSE_GRACE);
+
+  assert.equal((await refresh(cookies)).status, 401);
+
+  // The current token of the session no longer works either
+  assert.equal((await refresh(cookies, rotated.cookies.refreshToken)).status, 401);
+});
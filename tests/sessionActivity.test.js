@@ -0,0 +1,49 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, waitFor } from './helpers/server.js';
+
+const BACKGROUND = { 'X-Background-Request': 'true' };
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+// Last activity of the current session, read without counting as activity
+const getLastUsedAt = async (token) => {
+  const response = await server.api('GET', '/auth/sessions', { token, headers: BACKGROUND });
+  assert.equal(response.status, 200);
+  return response.data.sessions.find(session => session.current).lastUsedAt;
+};
+
+test('only requests made by the user keep a session from going idle', async () => {
+  const signedIn = await server.api('POST', '/auth/login', { body: { email: 'admin@redwan.work', password: 'Password123' } });
+  assert.equal(signedIn.status, 200);
+  const { accessToken } = signedIn.data;
+  const cookies = signedIn.cookies;
+  const signedInAt = await getLastUsedAt(accessToken);
+
+  await wait(50);
+
+  // Polling, and refreshing the token from an unattended tab
+  assert.equal((await server.api('GET', '/conversations', { token: accessToken, headers: BACKGROUND })).status, 200);
+  const refreshed = await server.api('POST', '/auth/refresh-token', {
+    cookies: { refreshToken: cookies.refreshToken, 'XSRF-TOKEN': cookies['XSRF-TOKEN'] },
+    headers: { ...BACKGROUND, 'X-XSRF-Token': cookies['XSRF-TOKEN'] }
+  });
+  assert.equal(refreshed.status, 200);
+
+  await wait(200);
+  assert.equal(await getLastUsedAt(accessToken), signedInAt);
+
+  // A request made by the user
+  assert.equal((await server.api('GET', '/conversations', { token: accessToken })).status, 200);
+  await waitFor(async () => await getLastUsedAt(accessToken) !== signedInAt);
+});
@@ -0,0 +1,34 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers/server.js';
+
+let server;
+let token;
+
+before(async () => {
+  server = await startServer();
+  token = await server.login();
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test('tickets created from the dashboard get distinct IDs with the platform prefix', async () => {
+  const ticketIds = [];
+
+  for (let index = 0; index < 25; index++) {
+    const created = await server.api('POST', '/tickets', {
+      token,
+      body: { userId: `user-${index}`, username: `user${index}`, platform: 'Telegram', issue: 'Cannot sign in' }
+    });
+
+    assert.equal(created.status, 201);
+    ticketIds.push(created.data.ticket.ticketId);
+  }
+
+  for (const ticketId of ticketIds) {
+    assert.match(ticketId, /^TG-\d{8}$/);
+  }
+  assert.equal(new Set(ticketIds).size, ticketIds.length);
+});
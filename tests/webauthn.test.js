@@ -0,0 +1,215 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { startServer, waitFor } from './helpers/server.js';
+
+// Relying party the server uses outside production, see getWebAuthnConfig in src/api/webauthn.js
+const RP_ID = 'localhost';
+const ORIGIN = 'http://localhost:5173';
+
+// Flags of the authenticator data
+const USER_PRESENT = 0x01;
+const USER_VERIFIED = 0x04;
+const ATTESTED_CREDENTIAL_DATA = 0x40;
+
+let server;
+let adminToken;
+let adminId;
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest();
+const base64url = data => Buffer.from(data).toString('base64url');
+
+// Encode unsigned and negative integers, byte and text strings, and maps, as authenticators do
+function encodeCbor(value) {
+  const head = (majorType, length) => {
+    if (length < 24) {
+      return Buffer.from([(majorType << 5) | length]);
+    }
+
+    const size = length < 0x100 ? 1 : length < 0x10000 ? 2 : 4;
+    const bytes = Buffer.alloc(1 + size);
+    bytes[0] = (majorType << 5) | (24 + Math.log2(size));
+    bytes.writeUIntBE(length, 1, size);
+    return bytes;
+  };
+
+  if (typeof value === 'number') {
+    return value >= 0 ? head(0, value) : head(1, -1 - value);
+  }
+
+  if (Buffer.isBuffer(value)) {
+    return Buffer.concat([head(2, value.length), value]);
+  }
+
+  if (typeof value === 'string') {
+    const text = Buffer.from(value, 'utf8');
+    return Buffer.concat([head(3, text.length), text]);
+  }
+
+  const entries = value instanceof Map ? [...value] : Object.entries(value);
+  return Buffer.concat([head(5, entries.length), ...entries.flatMap(([key, item]) => [encodeCbor(key), encodeCbor(item)])]);
+}
+
+// Software authenticator holding one ES256 passkey for the admin
+function createAuthenticator() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const { x, y } = publicKey.export({ format: 'jwk' });
+  const credentialId = crypto.randomBytes(16);
+  const coseKey = new Map([[1, 2], [3, -7], [-1, 1], [-2, Buffer.from(x, 'base64url')], [-3, Buffer.from(y, 'base64url')]]);
+
+  const clientData = (type, challenge, overrides) => Buffer.from(JSON.stringify({
+    type,
+    challenge,
+    origin: ORIGIN,
+    crossOrigin: false,
+    ...overrides
+  }));
+
+  const authenticatorData = ({ rpId = RP_ID, flags, signCount = 0, attestedCredential = Buffer.alloc(0) }) => {
+    const counter = Buffer.alloc(4);
+    counter.writeUInt32BE(signCount);
+    return Buffer.concat([sha256(rpId), Buffer.from([flags]), counter, attestedCredential]);
+  };
+
+  return {
+    credentialId: base64url(credentialId),
+
+    // Answer to navigator.credentials.create, with options to break one part of it
+    register(challenge, { rpId, origin, flags = USER_PRESENT | USER_VERIFIED, attestationObject } = {}) {
+      const idLength = Buffer.alloc(2);
+      idLength.writeUInt16BE(credentialId.length);
+
+      const authData = authenticatorData({
+        rpId,
+        flags: flags | ATTESTED_CREDENTIAL_DATA,
+        attestedCredential: Buffer.concat([Buffer.alloc(16), idLength, credentialId, encodeCbor(coseKey)])
+      });
+
+      return {
+        id: base64url(credentialId),
+        rawId: base64url(credentialId),
+        type: 'public-key',
+        response: {
+          clientDataJSON: base64url(clientData('webauthn.create', challenge, origin ? { origin } : {})),
+          attestationObject: base64url(attestationObject || encodeCbor({ fmt: 'none', attStmt: {}, authData })),
+          transports: ['internal']
+        }
+      };
+    },
+
+    // Answer to navigator.credentials.get, signed with the passkey
+    sign(challenge, { rpId, origin, flags = USER_PRESENT | USER_VERIFIED, signCount } = {}) {
+      const authData = authenticatorData({ rpId, flags, signCount });
+      const clientDataJSON = clientData('webauthn.get', challenge, origin ? { origin } : {});
+      const signature = crypto.sign('sha256', Buffer.concat([authData, sha256(clientDataJSON)]), privateKey);
+
+      return {
+        id: base64url(credentialId),
+        rawId: base64url(credentialId),
+        type: 'public-key',
+        response: {
+          clientDataJSON: base64url(clientDataJSON),
+          authenticatorData: base64url(authData),
+          signature: base64url(signature),
+          userHandle: base64url(adminId)
+        }
+      };
+    }
+  };
+}
+
+const authenticator = createAuthenticator();
+
+// Register a passkey answering a fresh registration challenge
+const register = async (options) => {
+  const { data } = await server.api('POST', '/auth/passkeys/options', { token: adminToken });
+  return server.api('POST', '/auth/passkeys', {
+    token: adminToken,
+    body: { challengeId: data.challengeId, credential: authenticator.register(data.publicKey.challenge, options) }
+  });
+};
+
+// Sign in without a password, answering a fresh challenge; challenge replaces the one signed
+const signIn = async ({ challenge, ...options } = {}) => {
+  const { data } = await server.api('POST', '/auth/passkeys/login/options');
+  return server.api('POST', '/auth/passkeys/login', {
+    body: { challengeId: data.challengeId, credential: authenticator.sign(challenge || data.publicKey.challenge, options) }
+  });
+};
+
+// Passwordless sign-in only answers that it failed, the reason is logged
+const assertSignInRejected = async (response, reason) => {
+  assert.equal(response.status, 401);
+  await waitFor(() => server.getOutput().includes(`Passkey sign-in failed: ${reason}`));
+};
+
+before(async () => {
+  server = await startServer();
+  adminToken = await server.login();
+  adminId = (await server.api('GET', '/auth/me', { token: adminToken })).data.user.id;
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test('a registration is rejected when a check fails', async () => {
+  const rejected = async (options, error) => {
+    const response = await register(options);
+    assert.equal(response.status, 400);
+    assert.equal(response.data.error, error);
+  };
+
+  await rejected({ rpId: 'evil.example' }, 'Relying party ID does not match');
+  await rejected({ origin: 'https://evil.example' }, 'Origin https://evil.example is not allowed');
+  await rejected({ flags: USER_VERIFIED }, 'User presence was not confirmed');
+
+  // Malformed CBOR: a map announcing three entries that ends after a partial key, and an indefinite-length map
+  await rejected({ attestationObject: Buffer.from([0xa3, 0x63, 0x66]) }, 'Truncated CBOR data');
+  await rejected({ attestationObject: Buffer.from([0xbf, 0x63, 0x66, 0x6d, 0x74, 0xff]) }, 'Unsupported CBOR encoding');
+
+  const { data } = await server.api('POST', '/auth/passkeys/options', { token: adminToken });
+  const wrongChallenge = await server.api('POST', '/auth/passkeys', {
+    token: adminToken,
+    body: { challengeId: data.challengeId, credential: authenticator.register(base64url(crypto.randomBytes(32))) }
+  });
+  assert.equal(wrongChallenge.status, 400);
+  assert.equal(wrongChallenge.data.error, 'Challenge does not match');
+
+  const passkeys = await server.api('GET', '/auth/passkeys', { token: adminToken });
+  assert.deepEqual(passkeys.data, []);
+});
+
+test('a valid registration stores the passkey', async () => {
+  const registered = await register();
+
+  assert.equal(registered.status, 201);
+  assert.equal(registered.data.passkey.id, authenticator.credentialId);
+});
+
+test('a valid assertion signs the user in', async () => {
+  const signedIn = await signIn({ signCount: 1 });
+
+  assert.equal(signedIn.status, 200);
+  assert.ok(signedIn.data.accessToken);
+  assert.equal(signedIn.data.user.id, adminId);
+});
+
+test('an assertion is rejected when a check fails', async () => {
+  await assertSignInRejected(await signIn({ rpId: 'evil.example', signCount: 2 }), 'Relying party ID does not match');
+  await assertSignInRejected(await signIn({ origin: 'https://evil.example', signCount: 2 }), 'Origin https://evil.example is not allowed');
+  await assertSignInRejected(await signIn({ challenge: base64url(crypto.randomBytes(32)), signCount: 2 }), 'Challenge does not match');
+  await assertSignInRejected(await signIn({ flags: USER_VERIFIED, signCount: 2 }), 'User presence was not confirmed');
+
+  // None of the rejected assertions moved the counter on
+  assert.equal((await signIn({ signCount: 2 })).status, 200);
+});
+
+test('a signature counter that does not increase is rejected', async () => {
+  assert.equal((await signIn({ signCount: 10 })).status, 200);
+
+  await assertSignInRejected(await signIn({ signCount: 10 }), 'The passkey may have been cloned');
+  await assertSignInRejected(await signIn({ signCount: 4 }), 'The passkey may have been cloned');
+
+  assert.equal((await signIn({ signCount: 11 })).status, 200);
+});